@@ -3,6 +3,7 @@ const alpacaService = require('../services/alpacaService');
 const exchangeService = require('../services/exchangeService');
 const ms = require('../services/mystocksService');
 const { ensureMyStocksSubAccount } = require('../utils/ensureMyStocksAccount');
+const { parseMyStocksHoldings, myStocksCashBalance } = require('../utils/mystocksHoldings');
 const logger = require('../utils/logger');
 
 const getAccountInfo = async (req, res) => {
@@ -36,24 +37,11 @@ const getAccountInfo = async (req, res) => {
         ]);
       } catch (_) {}
 
-      const apiBalance = parseFloat(msWallet?.wallet?.balance || msWallet?.balance || msWallet?.usdBalance || 0);
+      const apiBalance = myStocksCashBalance(msWallet);
       const storedBalance = parseFloat(user.mystocks_wallet_balance || 0);
       const msUsdBalance = apiBalance > 0 ? apiBalance : storedBalance;
 
-      // Compute holdings market value using full price fallback chain
-      const rawHoldings = msPortfolio
-        ? (Array.isArray(msPortfolio) ? msPortfolio
-          : Array.isArray(msPortfolio?.holdings) ? msPortfolio.holdings
-          : Array.isArray(msPortfolio?.positions) ? msPortfolio.positions : [])
-        : [];
-      const holdingsValue = rawHoldings.reduce((s, h) => {
-        const qty = parseFloat(h.quantity || h.qty || h.units || h.shares || 0);
-        if (qty <= 0) return s;
-        const unitPrice = parseFloat(h.currentPrice || h.price || h.localPrice || h.lastPrice || h.marketPrice || h.usdPrice || h.unitPrice || 0);
-        const totalVal = parseFloat(h.value || h.currentValue || h.totalValue || h.marketValue || 0);
-        const price = unitPrice || (totalVal > 0 ? totalVal / qty : 0);
-        return s + price * qty;
-      }, 0);
+      const holdingsValue = parseMyStocksHoldings(msPortfolio).reduce((s, h) => s + h.price * h.quantity, 0);
 
       const totalCash = msUsdBalance + localCashUsd;
       const totalEquity = totalCash + holdingsValue;
@@ -0,0 +1,89 @@
+const accountStatementService = require('../services/accountStatementService');
+const logger = require('../utils/logger');
+
+const formatStatement = (statement, { withSummary = false } = {}) => ({
+  id: statement.id,
+  periodStart: statement.period_start,
+  periodEnd: statement.period_end,
+  kind: statement.kind,
+  generatedAt: statement.generated_at,
+  emailedAt: statement.emailed_at,
+  ...(withSummary ? { summary: statement.summary } : {})
+});
+
+// Service errors carry the status to answer with; anything else is a 500
+const sendError = (res, error, label, message) => {
+  if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+  logger.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message });
+};
+
+// GET /api/v1/account/statements
+const getStatements = async (req, res) => {
+  try {
+    const statements = await accountStatementService.listStatements(req.user.id);
+    res.json({ success: true, statements: statements.map(statement => formatStatement(statement)), count: statements.length });
+  } catch (error) {
+    sendError(res, error, 'Get statements', 'Server error');
+  }
+};
+
+// POST /api/v1/account/statements
+const createStatement = async (req, res) => {
+  try {
+    const { month, from, to, email } = req.body;
+    const statement = await accountStatementService.generate(req.user.id, { month, from, to, email: email === true });
+    res.status(201).json({
+      success: true,
+      message: email === true ? 'Statement generated and emailed' : 'Statement generated',
+      statement: formatStatement(statement, { withSummary: true })
+    });
+  } catch (error) {
+    sendError(res, error, 'Create statement', 'Server error while generating statement');
+  }
+};
+
+// GET /api/v1/account/statements/:statementId
+const getStatement = async (req, res) => {
+  try {
+    const statement = await accountStatementService.getStatement(req.user.id, req.params.statementId);
+    res.json({ success: true, statement: formatStatement(statement, { withSummary: true }) });
+  } catch (error) {
+    sendError(res, error, 'Get statement', 'Server error');
+  }
+};
+
+// GET /api/v1/account/statements/:statementId/download?format=pdf|csv
+const downloadStatement = async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    const statement = await accountStatementService.getStatement(req.user.id, req.params.statementId);
+    const filename = `statement-${statement.period_start}-to-${statement.period_end}.${format}`;
+
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(format === 'csv' ? statement.csv : Buffer.from(statement.pdf));
+  } catch (error) {
+    sendError(res, error, 'Download statement', 'Server error while downloading statement');
+  }
+};
+
+// POST /api/v1/account/statements/:statementId/email
+const emailStatement = async (req, res) => {
+  try {
+    const statement = await accountStatementService.sendStatement(req.user.id, req.params.statementId);
+    res.json({ success: true, message: 'Statement emailed', statement: formatStatement(statement) });
+  } catch (error) {
+    sendError(res, error, 'Email statement', 'Server error while emailing statement');
+  }
+};
+
+module.exports = {
+  getStatements,
+  createStatement,
+  getStatement,
+  downloadStatement,
+  emailStatement
+};
@@ -1,8 +1,141 @@
-const { User, Transaction, Order, MsOrder } = require('../models');
+const { User, Transaction, Order, MsOrder, ReconciliationRun, ReconciliationDiscrepancy, WebhookEvent, MsOrderSaga } = require('../models');
 const PlatformRevenue = require('../models/PlatformRevenue');
 const { Op, fn, col, literal } = require('sequelize');
 const logger = require('../utils/logger');
 const platformConfigService = require('../services/platformConfigService');
+const reconciliationService = require('../services/reconciliationService');
+const webhookEventService = require('../services/webhookEventService');
+const msBuySagaService = require('../services/msBuySagaService');
+const withdrawalReviewService = require('../services/withdrawalReviewService');
+
+const formatReconciliationRun = (run) => ({
+  id: run.id,
+  status: run.status,
+  trigger: run.trigger,
+  triggeredBy: run.triggered_by,
+  periodStart: run.period_start,
+  periodEnd: run.period_end,
+  startedAt: run.created_at,
+  finishedAt: run.finished_at,
+  summary: run.summary,
+  error: run.error,
+});
+
+const formatDiscrepancy = (d) => ({
+  id: d.id,
+  provider: d.provider,
+  type: d.type,
+  reference: d.reference,
+  status: d.status,
+  currency: d.currency,
+  internalAmount: d.internal_amount != null ? parseFloat(d.internal_amount) : null,
+  providerAmount: d.provider_amount != null ? parseFloat(d.provider_amount) : null,
+  details: d.details,
+  occurrences: d.occurrences,
+  transactionId: d.transaction_id,
+  walletId: d.wallet_id,
+  user: d.user ? { id: d.user.id, firstName: d.user.first_name, lastName: d.user.last_name, email: d.user.email } : null,
+  firstRunId: d.run_id,
+  lastRunId: d.last_run_id,
+  resolvedBy: d.resolved_by,
+  resolvedAt: d.resolved_at,
+  resolutionNote: d.resolution_note,
+  createdAt: d.created_at,
+  updatedAt: d.updated_at,
+});
+
+const formatWebhookEvent = (event, { withPayload = false } = {}) => ({
+  id: event.id,
+  provider: event.provider,
+  eventType: event.event_type,
+  receiptId: event.receipt_id,
+  status: event.status,
+  verifiedBy: event.verified_by,
+  sourceIp: event.source_ip,
+  attempts: event.attempts,
+  duplicates: event.duplicates,
+  result: event.result,
+  lastError: event.last_error,
+  processedAt: event.processed_at,
+  reprocessedBy: event.reprocessed_by,
+  reprocessedAt: event.reprocessed_at,
+  receivedAt: event.created_at,
+  ...(withPayload && { payload: event.payload }),
+});
+
+const formatSaga = (saga, { withSteps = false } = {}) => ({
+  id: saga.id,
+  status: saga.status,
+  source: saga.source,
+  userId: saga.user_id,
+  user: saga.user ? { id: saga.user.id, firstName: saga.user.first_name, lastName: saga.user.last_name, email: saga.user.email } : null,
+  msOrderId: saga.ms_order_id,
+  symbol: saga.symbol,
+  quantity: parseFloat(saga.quantity),
+  subAccountId: saga.sub_account_id,
+  fundingReference: saga.funding_reference,
+  totalKes: parseFloat(saga.total_kes),
+  usdAmount: parseFloat(saga.usd_amount),
+  exchangeRate: saga.exchange_rate != null ? parseFloat(saga.exchange_rate) : null,
+  lastError: saga.last_error,
+  compensationAttempts: saga.compensation_attempts,
+  nextRetryAt: saga.next_retry_at,
+  walletDebitedAt: saga.wallet_debited_at,
+  fundedAt: saga.funded_at,
+  tradedAt: saga.traded_at,
+  sweptAt: saga.swept_at,
+  refundedAt: saga.refunded_at,
+  resolvedBy: saga.resolved_by,
+  resolvedAt: saga.resolved_at,
+  resolutionNote: saga.resolution_note,
+  createdAt: saga.created_at,
+  updatedAt: saga.updated_at,
+  ...(withSteps && { steps: saga.steps }),
+});
+
+const formatReviewActor = (actor) =>
+  actor ? { id: actor.id, firstName: actor.first_name, lastName: actor.last_name, email: actor.email } : null;
+
+// What a reviewer is told once a payout has been sent, by the review's status afterwards
+const payoutMessages = {
+  paid: 'Withdrawal approved and paid',
+  processing: 'Withdrawal approved; the bank is still processing the payout',
+  payout_failed: 'Withdrawal approved but the payout failed; the funds were returned to the wallet',
+  payout_error: 'Withdrawal approved but the payout could not be sent; the funds stay reserved. Check the audit trail before retrying',
+};
+
+const formatWithdrawalReview = (review, { withActions = false } = {}) => ({
+  id: review.id,
+  status: review.status,
+  transactionId: review.transaction_id,
+  reference: review.reference,
+  userId: review.user_id,
+  user: formatReviewActor(review.user),
+  amount: parseFloat(review.amount),
+  currency: review.currency,
+  channel: review.channel,
+  method: review.method,
+  destination: review.destination,
+  riskFlags: review.risk_flags,
+  requiredApprovals: review.required_approvals,
+  approvals: review.approvals,
+  deviceId: review.device_id,
+  decidedAt: review.decided_at,
+  createdAt: review.created_at,
+  updatedAt: review.updated_at,
+  ...(withActions && {
+    actions: (review.actions || []).map(action => ({
+      id: action.id,
+      action: action.action,
+      actorId: action.actor_id,
+      actor: formatReviewActor(action.actor),
+      actorRole: action.actor_role,
+      note: action.note,
+      metadata: action.metadata,
+      createdAt: action.created_at,
+    })),
+  }),
+});
 
 const adminController = {
   // Get all pending KYC applications
@@ -832,8 +965,12 @@ const adminController = {
     try {
       const { userId } = req.params;
       const { role } = req.body;
-      if (!['user', 'support'].includes(role)) {
-        return res.status(400).json({ success: false, message: 'Role must be user or support' });
+      if (!['user', 'support', 'finance'].includes(role)) {
+        return res.status(400).json({ success: false, message: 'Role must be user, support or finance' });
+      }
+      // Finance staff approve payouts, so only an admin can hand that out
+      if (role === 'finance' && req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, message: 'Only an admin can assign the finance role' });
       }
       const user = await User.findByPk(userId);
       if (!user) return res.status(404).json({ success: false, message: 'User not found' });
@@ -1137,6 +1274,369 @@ const adminController = {
     }
   },
 
+  // GET /api/v1/admin/reconciliation
+  getReconciliationReport: async (req, res) => {
+    try {
+      const { limit = 10 } = req.query;
+
+      const runs = await ReconciliationRun.findAll({
+        order: [['created_at', 'DESC']],
+        limit: Math.min(parseInt(limit) || 10, 100),
+      });
+
+      const openCounts = await ReconciliationDiscrepancy.findAll({
+        where: { status: 'open' },
+        attributes: ['provider', 'type', [fn('COUNT', col('id')), 'count']],
+        group: ['provider', 'type'],
+        raw: true,
+      });
+
+      const open = { total: 0, byProvider: {}, byType: {} };
+      for (const row of openCounts) {
+        const count = parseInt(row.count);
+        open.total += count;
+        open.byProvider[row.provider] = (open.byProvider[row.provider] || 0) + count;
+        open.byType[row.type] = (open.byType[row.type] || 0) + count;
+      }
+
+      res.json({ success: true, data: { runs: runs.map(formatReconciliationRun), open } });
+    } catch (error) {
+      logger.error('getReconciliationReport error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load reconciliation report' });
+    }
+  },
+
+  // GET /api/v1/admin/reconciliation/runs/:runId
+  getReconciliationRun: async (req, res) => {
+    try {
+      const run = await ReconciliationRun.findByPk(req.params.runId);
+      if (!run) return res.status(404).json({ success: false, message: 'Reconciliation run not found' });
+
+      // Discrepancies first found by this run or still present when it ran
+      const discrepancies = await ReconciliationDiscrepancy.findAll({
+        where: { [Op.or]: [{ run_id: run.id }, { last_run_id: run.id }] },
+        include: [{ model: User, as: 'user', attributes: ['id', 'first_name', 'last_name', 'email'] }],
+        order: [['provider', 'ASC'], ['created_at', 'ASC']],
+      });
+
+      res.json({ success: true, data: { run: formatReconciliationRun(run), discrepancies: discrepancies.map(formatDiscrepancy) } });
+    } catch (error) {
+      logger.error('getReconciliationRun error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load reconciliation run' });
+    }
+  },
+
+  // POST /api/v1/admin/reconciliation/run
+  runReconciliation: async (req, res) => {
+    try {
+      const { since, until } = req.body;
+      if ((since && isNaN(Date.parse(since))) || (until && isNaN(Date.parse(until)))) {
+        return res.status(400).json({ success: false, message: 'since and until must be ISO dates' });
+      }
+
+      const run = await reconciliationService.createRun({ since, until, trigger: 'manual', triggeredBy: req.user.id });
+
+      // Provider checks can take minutes; the report is fetched from the run once it finishes
+      reconciliationService.execute(run).catch(error => logger.error(`Manual reconciliation run ${run.id} failed:`, error));
+
+      logger.info(`Reconciliation run ${run.id} started by admin ${req.user.id}`);
+      res.status(202).json({ success: true, message: 'Reconciliation started', data: formatReconciliationRun(run) });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+      logger.error('runReconciliation error:', error);
+      res.status(500).json({ success: false, message: 'Failed to start reconciliation' });
+    }
+  },
+
+  // GET /api/v1/admin/reconciliation/discrepancies
+  listDiscrepancies: async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status = 'open', provider, type } = req.query;
+      const where = {};
+      if (status !== 'all') where.status = status;
+      if (provider) where.provider = provider;
+      if (type) where.type = type;
+
+      const { count, rows } = await ReconciliationDiscrepancy.findAndCountAll({
+        where,
+        include: [{ model: User, as: 'user', attributes: ['id', 'first_name', 'last_name', 'email'] }],
+        order: [['created_at', 'DESC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit),
+      });
+
+      res.json({
+        success: true,
+        data: {
+          discrepancies: rows.map(formatDiscrepancy),
+          pagination: {
+            total: count,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(count / limit),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('listDiscrepancies error:', error);
+      res.status(500).json({ success: false, message: 'Failed to list discrepancies' });
+    }
+  },
+
+  // PUT /api/v1/admin/reconciliation/discrepancies/:discrepancyId/resolve
+  resolveDiscrepancy: async (req, res) => {
+    try {
+      const { status = 'resolved', note } = req.body;
+      if (!['resolved', 'ignored'].includes(status)) {
+        return res.status(400).json({ success: false, message: 'status must be resolved or ignored' });
+      }
+
+      const discrepancy = await reconciliationService.resolveDiscrepancy(req.params.discrepancyId, { status, note, adminId: req.user.id });
+      res.json({ success: true, message: `Discrepancy ${status}`, data: formatDiscrepancy(discrepancy) });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+      logger.error('resolveDiscrepancy error:', error);
+      res.status(500).json({ success: false, message: 'Failed to resolve discrepancy' });
+    }
+  },
+
+  // GET /api/v1/admin/webhooks/events
+  listWebhookEvents: async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status, provider, eventType } = req.query;
+      const where = {};
+      if (status) where.status = status;
+      if (provider) where.provider = provider;
+      if (eventType) where.event_type = eventType;
+
+      const { count, rows } = await WebhookEvent.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit),
+      });
+
+      res.json({
+        success: true,
+        data: {
+          events: rows.map(event => formatWebhookEvent(event)),
+          pagination: {
+            total: count,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(count / limit),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('listWebhookEvents error:', error);
+      res.status(500).json({ success: false, message: 'Failed to list webhook events' });
+    }
+  },
+
+  // GET /api/v1/admin/webhooks/events/:eventId
+  getWebhookEvent: async (req, res) => {
+    try {
+      const event = await WebhookEvent.findByPk(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ success: false, message: 'Webhook event not found' });
+      }
+
+      res.json({ success: true, data: formatWebhookEvent(event, { withPayload: true }) });
+    } catch (error) {
+      logger.error('getWebhookEvent error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load webhook event' });
+    }
+  },
+
+  // POST /api/v1/admin/webhooks/events/:eventId/reprocess
+  reprocessWebhookEvent: async (req, res) => {
+    try {
+      const event = await webhookEventService.reprocess(req.params.eventId, { adminId: req.user.id });
+      const message = event.isSettled ? 'Webhook event processed' : 'Webhook event failed again';
+      res.json({ success: true, message, data: formatWebhookEvent(event, { withPayload: true }) });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+      logger.error('reprocessWebhookEvent error:', error);
+      res.status(500).json({ success: false, message: 'Failed to re-process webhook event' });
+    }
+  },
+
+  // GET /api/v1/admin/sagas
+  listSagas: async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status = 'stuck,compensating', source, userId } = req.query;
+      const where = {};
+      if (status !== 'all') where.status = { [Op.in]: status.split(',').map(s => s.trim()) };
+      if (source) where.source = source;
+      if (userId) where.user_id = userId;
+
+      const { count, rows } = await MsOrderSaga.findAndCountAll({
+        where,
+        include: [{ model: User, as: 'user', attributes: ['id', 'first_name', 'last_name', 'email'] }],
+        order: [['created_at', 'DESC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit),
+      });
+
+      res.json({
+        success: true,
+        data: {
+          sagas: rows.map(saga => formatSaga(saga)),
+          pagination: {
+            total: count,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(count / limit),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('listSagas error:', error);
+      res.status(500).json({ success: false, message: 'Failed to list sagas' });
+    }
+  },
+
+  // GET /api/v1/admin/sagas/:sagaId
+  getSaga: async (req, res) => {
+    try {
+      const saga = await MsOrderSaga.findByPk(req.params.sagaId, {
+        include: [{ model: User, as: 'user', attributes: ['id', 'first_name', 'last_name', 'email'] }],
+      });
+      if (!saga) {
+        return res.status(404).json({ success: false, message: 'Saga not found' });
+      }
+
+      res.json({ success: true, data: formatSaga(saga, { withSteps: true }) });
+    } catch (error) {
+      logger.error('getSaga error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load saga' });
+    }
+  },
+
+  // POST /api/v1/admin/sagas/:sagaId/compensate
+  compensateSaga: async (req, res) => {
+    try {
+      const saga = await msBuySagaService.compensateById(req.params.sagaId, { adminId: req.user.id });
+      const message = saga.status === 'compensated' ? 'Saga compensated' : 'Compensation failed again';
+      res.json({ success: true, message, data: formatSaga(saga, { withSteps: true }) });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+      logger.error('compensateSaga error:', error);
+      res.status(500).json({ success: false, message: 'Failed to compensate saga' });
+    }
+  },
+
+  // PUT /api/v1/admin/sagas/:sagaId/resolve
+  resolveSaga: async (req, res) => {
+    try {
+      const { note } = req.body;
+      if (!note || !String(note).trim()) {
+        return res.status(400).json({ success: false, message: 'A resolution note is required' });
+      }
+
+      const saga = await msBuySagaService.resolve(req.params.sagaId, { adminId: req.user.id, note: String(note).trim() });
+      res.json({ success: true, message: 'Saga resolved', data: formatSaga(saga, { withSteps: true }) });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+      logger.error('resolveSaga error:', error);
+      res.status(500).json({ success: false, message: 'Failed to resolve saga' });
+    }
+  },
+
+  // GET /api/v1/admin/withdrawals
+  listWithdrawalReviews: async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status = 'pending_review' } = req.query;
+      const { items, total } = await withdrawalReviewService.listReviews({
+        status,
+        page: parseInt(page),
+        limit: parseInt(limit),
+      });
+
+      res.json({
+        success: true,
+        data: {
+          withdrawals: items.map(review => formatWithdrawalReview(review)),
+          pagination: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+      logger.error('listWithdrawalReviews error:', error);
+      res.status(500).json({ success: false, message: 'Failed to list withdrawals' });
+    }
+  },
+
+  // GET /api/v1/admin/withdrawals/:reviewId
+  getWithdrawalReview: async (req, res) => {
+    try {
+      const review = await withdrawalReviewService.getReview(req.params.reviewId);
+      res.json({ success: true, data: formatWithdrawalReview(review, { withActions: true }) });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+      logger.error('getWithdrawalReview error:', error);
+      res.status(500).json({ success: false, message: 'Failed to load withdrawal' });
+    }
+  },
+
+  // POST /api/v1/admin/withdrawals/:reviewId/approve
+  approveWithdrawal: async (req, res) => {
+    try {
+      const note = req.body.note ? String(req.body.note).trim() : null;
+      const { review } = await withdrawalReviewService.approve(req.params.reviewId, req.user, note);
+      const messages = {
+        ...payoutMessages,
+        pending_review: 'Approval recorded; a second reviewer must approve this withdrawal',
+      };
+
+      const updated = await withdrawalReviewService.getReview(review.id);
+      res.json({ success: true, message: messages[updated.status] || 'Withdrawal approved', data: formatWithdrawalReview(updated, { withActions: true }) });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+      logger.error('approveWithdrawal error:', error);
+      res.status(500).json({ success: false, message: 'Failed to approve withdrawal' });
+    }
+  },
+
+  // POST /api/v1/admin/withdrawals/:reviewId/retry
+  retryWithdrawalPayout: async (req, res) => {
+    try {
+      const note = req.body.note ? String(req.body.note).trim() : null;
+      const { review } = await withdrawalReviewService.retryPayout(req.params.reviewId, req.user, note);
+
+      const updated = await withdrawalReviewService.getReview(review.id);
+      res.json({ success: true, message: payoutMessages[updated.status] || 'Payout retried', data: formatWithdrawalReview(updated, { withActions: true }) });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+      logger.error('retryWithdrawalPayout error:', error);
+      res.status(500).json({ success: false, message: 'Failed to retry withdrawal payout' });
+    }
+  },
+
+  // POST /api/v1/admin/withdrawals/:reviewId/reject
+  rejectWithdrawal: async (req, res) => {
+    try {
+      const { note } = req.body;
+      if (!note || !String(note).trim()) {
+        return res.status(400).json({ success: false, message: 'A note is required to reject a withdrawal' });
+      }
+
+      await withdrawalReviewService.reject(req.params.reviewId, req.user, String(note).trim());
+      const updated = await withdrawalReviewService.getReview(req.params.reviewId);
+      res.json({ success: true, message: 'Withdrawal rejected; the funds were returned to the wallet', data: formatWithdrawalReview(updated, { withActions: true }) });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+      logger.error('rejectWithdrawal error:', error);
+      res.status(500).json({ success: false, message: 'Failed to reject withdrawal' });
+    }
+  },
+
   // GET /api/v1/admin/config
   getConfig: async (req, res) => {
     try {
@@ -1153,16 +1653,27 @@ const adminController = {
     try {
       const feeKeys = ['trade_fee_rate', 'deposit_fee_rate', 'withdrawal_fee_rate'];
       const boolKeys = ['alpaca_enabled', 'mystocks_enabled'];
-      const allowed = [...feeKeys, ...boolKeys];
+      const withdrawalKeys = platformConfigService.WITHDRAWAL_CONTROL_KEYS;
+      const allowed = [...feeKeys, ...boolKeys, ...withdrawalKeys];
       const updates = req.body;
 
       for (const key of Object.keys(updates)) {
         if (!allowed.includes(key)) {
           return res.status(400).json({ success: false, message: `Unknown config key: ${key}` });
         }
+        // Withdrawal controls decide which payouts go out unchecked, so support cannot change them
+        if (withdrawalKeys.includes(key) && req.user.role !== 'admin') {
+          return res.status(403).json({ success: false, message: `Only an admin can change ${key}` });
+        }
         if (boolKeys.includes(key)) {
           const val = updates[key] === true || updates[key] === 1 || updates[key] === 'true' ? 1 : 0;
           await platformConfigService.setSetting(key, val);
+        } else if (withdrawalKeys.includes(key)) {
+          const val = parseFloat(updates[key]);
+          if (isNaN(val) || val < 0) {
+            return res.status(400).json({ success: false, message: `${key} must be a non-negative number` });
+          }
+          await platformConfigService.setSetting(key, val);
         } else {
           const val = parseFloat(updates[key]);
           if (isNaN(val) || val < 0 || val > 0.1) {
@@ -0,0 +1,271 @@
+const priceAlertService = require('../services/priceAlertService');
+const logger = require('../utils/logger');
+const { isAfrican } = require('../utils/mystocksQuote');
+
+const formatAlert = (alert) => ({
+  id: alert.id,
+  symbol: alert.symbol,
+  assetName: alert.asset_name,
+  exchange: alert.exchange,
+  denomination: alert.denomination,
+  currency: alert.currency,
+  condition: alert.condition,
+  targetPrice: alert.target_price != null ? parseFloat(alert.target_price) : null,
+  lastPrice: alert.last_price != null ? parseFloat(alert.last_price) : null,
+  notificationMethod: alert.notification_method,
+  status: alert.status,
+  note: alert.note,
+  lastCheckedAt: alert.last_checked_at,
+  triggeredAt: alert.triggered_at,
+  triggerPrice: alert.trigger_price != null ? parseFloat(alert.trigger_price) : null,
+  threshold: alert.threshold != null ? parseFloat(alert.threshold) : null,
+  cooldownMinutes: alert.cooldown_minutes,
+  triggerCount: alert.trigger_count || 0,
+  createdAt: alert.createdAt,
+  updatedAt: alert.updatedAt
+});
+
+// Returns an error message when the condition can't be evaluated with the given fields
+const checkConditionFields = ({ condition, exchange, targetPrice, threshold }) => {
+  if (isAfrican(exchange) && priceAlertService.historyConditions.includes(condition)) {
+    return `${condition} alerts are only available for US stocks`;
+  }
+  if (priceAlertService.priceConditions.includes(condition) && targetPrice == null) {
+    return `targetPrice is required for ${condition} alerts`;
+  }
+  if (priceAlertService.thresholdConditions.includes(condition) && threshold == null) {
+    return `threshold is required for ${condition} alerts`;
+  }
+  return null;
+};
+
+// POST /api/v1/alerts
+const createAlert = async (req, res) => {
+  try {
+    const { symbol, exchange, denomination, condition, targetPrice, threshold, cooldownMinutes, notificationMethod, note } = req.body;
+
+    const conditionError = checkConditionFields({ condition, exchange, targetPrice, threshold });
+    if (conditionError) {
+      return res.status(400).json({ success: false, message: conditionError });
+    }
+
+    const activeCount = await priceAlertService.getUserAlertsCount(req.user.id);
+    if (activeCount >= priceAlertService.maxActiveAlertsPerUser) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${priceAlertService.maxActiveAlertsPerUser} active alerts. Delete or pause an existing alert first.`
+      });
+    }
+
+    let alert;
+    try {
+      alert = await priceAlertService.createAlert(req.user.id, {
+        symbol,
+        exchange,
+        denomination,
+        condition,
+        targetPrice,
+        threshold,
+        cooldownMinutes,
+        notificationMethod,
+        note
+      });
+    } catch (lookupError) {
+      if (lookupError.message?.includes('not found')) {
+        return res.status(404).json({ success: false, message: `Symbol ${symbol.toUpperCase()} not found` });
+      }
+      throw lookupError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Price alert created',
+      alert: formatAlert(alert)
+    });
+  } catch (error) {
+    logger.error('Create alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating alert'
+    });
+  }
+};
+
+// GET /api/v1/alerts
+const getAlerts = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const alerts = await priceAlertService.getUserAlerts(req.user.id, { status });
+
+    res.json({
+      success: true,
+      alerts: alerts.map(formatAlert),
+      count: alerts.length
+    });
+  } catch (error) {
+    logger.error('Get alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// GET /api/v1/alerts/:alertId
+const getAlert = async (req, res) => {
+  try {
+    const alert = await priceAlertService.getUserAlert(req.user.id, req.params.alertId);
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    res.json({ success: true, alert: formatAlert(alert) });
+  } catch (error) {
+    logger.error('Get alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// PATCH /api/v1/alerts/:alertId
+const updateAlert = async (req, res) => {
+  try {
+    const { condition, targetPrice, threshold, cooldownMinutes, denomination, notificationMethod, note } = req.body;
+
+    const existing = await priceAlertService.getUserAlert(req.user.id, req.params.alertId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    if (condition !== undefined) {
+      const conditionError = checkConditionFields({
+        condition,
+        exchange: existing.exchange,
+        targetPrice: targetPrice !== undefined ? targetPrice : existing.target_price,
+        threshold: threshold !== undefined ? threshold : existing.threshold
+      });
+      if (conditionError) {
+        return res.status(400).json({ success: false, message: conditionError });
+      }
+    }
+
+    // Editing a fired alert re-arms it, so it counts towards the limit again
+    if (existing.status === 'triggered') {
+      const activeCount = await priceAlertService.getUserAlertsCount(req.user.id);
+      if (activeCount >= priceAlertService.maxActiveAlertsPerUser) {
+        return res.status(400).json({
+          success: false,
+          message: `You can have at most ${priceAlertService.maxActiveAlertsPerUser} active alerts. Delete or pause an existing alert first.`
+        });
+      }
+    }
+
+    const alert = await priceAlertService.updateAlert(req.user.id, req.params.alertId, {
+      condition,
+      targetPrice,
+      threshold,
+      cooldownMinutes,
+      denomination,
+      notificationMethod,
+      note
+    });
+
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Price alert updated',
+      alert: formatAlert(alert)
+    });
+  } catch (error) {
+    logger.error('Update alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating alert'
+    });
+  }
+};
+
+// POST /api/v1/alerts/:alertId/pause
+const pauseAlert = async (req, res) => {
+  try {
+    const existing = await priceAlertService.getUserAlert(req.user.id, req.params.alertId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+    if (existing.status !== 'active') {
+      return res.status(400).json({ success: false, message: `Cannot pause an alert that is ${existing.status}` });
+    }
+
+    const alert = await priceAlertService.setAlertStatus(req.user.id, req.params.alertId, 'paused');
+    res.json({ success: true, message: 'Price alert paused', alert: formatAlert(alert) });
+  } catch (error) {
+    logger.error('Pause alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while pausing alert'
+    });
+  }
+};
+
+// POST /api/v1/alerts/:alertId/resume
+const resumeAlert = async (req, res) => {
+  try {
+    const existing = await priceAlertService.getUserAlert(req.user.id, req.params.alertId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+    if (existing.status !== 'paused') {
+      return res.status(400).json({ success: false, message: `Cannot resume an alert that is ${existing.status}` });
+    }
+
+    const activeCount = await priceAlertService.getUserAlertsCount(req.user.id);
+    if (activeCount >= priceAlertService.maxActiveAlertsPerUser) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${priceAlertService.maxActiveAlertsPerUser} active alerts.`
+      });
+    }
+
+    const alert = await priceAlertService.setAlertStatus(req.user.id, req.params.alertId, 'active');
+    res.json({ success: true, message: 'Price alert resumed', alert: formatAlert(alert) });
+  } catch (error) {
+    logger.error('Resume alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resuming alert'
+    });
+  }
+};
+
+// DELETE /api/v1/alerts/:alertId
+const deleteAlert = async (req, res) => {
+  try {
+    const deleted = await priceAlertService.deleteAlert(req.user.id, req.params.alertId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    res.json({ success: true, message: 'Price alert deleted' });
+  } catch (error) {
+    logger.error('Delete alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting alert'
+    });
+  }
+};
+
+module.exports = {
+  createAlert,
+  getAlerts,
+  getAlert,
+  updateAlert,
+  pauseAlert,
+  resumeAlert,
+  deleteAlert
+};
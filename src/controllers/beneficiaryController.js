@@ -0,0 +1,81 @@
+const beneficiaryService = require('../services/beneficiaryService');
+const logger = require('../utils/logger');
+
+const formatBeneficiary = (beneficiary, now = new Date()) => ({
+  id: beneficiary.id,
+  type: beneficiary.type,
+  nickname: beneficiary.nickname,
+  accountNumber: beneficiary.account_number,
+  accountName: beneficiary.account_name,
+  coolingOff: beneficiary.isCoolingOff(now),
+  coolingOffUntil: beneficiary.cooling_off_until,
+  createdAt: beneficiary.createdAt,
+  updatedAt: beneficiary.updatedAt
+});
+
+// Service errors carry the status to answer with; anything else is a 500
+const sendError = (res, error, label, message) => {
+  if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+  logger.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message });
+};
+
+// POST /api/v1/beneficiaries
+const createBeneficiary = async (req, res) => {
+  try {
+    const { type, nickname, accountNumber, accountName } = req.body;
+    const beneficiary = await beneficiaryService.createBeneficiary(req.user.id, { type, nickname, accountNumber, accountName });
+    res.status(201).json({ success: true, message: 'Beneficiary saved', beneficiary: formatBeneficiary(beneficiary) });
+  } catch (error) {
+    sendError(res, error, 'Create beneficiary', 'Server error while saving beneficiary');
+  }
+};
+
+// GET /api/v1/beneficiaries
+const getBeneficiaries = async (req, res) => {
+  try {
+    const beneficiaries = await beneficiaryService.getUserBeneficiaries(req.user.id, { type: req.query.type });
+    const now = new Date();
+    res.json({ success: true, beneficiaries: beneficiaries.map(beneficiary => formatBeneficiary(beneficiary, now)), count: beneficiaries.length });
+  } catch (error) {
+    sendError(res, error, 'Get beneficiaries', 'Server error');
+  }
+};
+
+// GET /api/v1/beneficiaries/:beneficiaryId
+const getBeneficiary = async (req, res) => {
+  try {
+    const beneficiary = await beneficiaryService.getUserBeneficiary(req.user.id, req.params.beneficiaryId);
+    res.json({ success: true, beneficiary: formatBeneficiary(beneficiary) });
+  } catch (error) {
+    sendError(res, error, 'Get beneficiary', 'Server error');
+  }
+};
+
+// PATCH /api/v1/beneficiaries/:beneficiaryId
+const updateBeneficiary = async (req, res) => {
+  try {
+    const beneficiary = await beneficiaryService.renameBeneficiary(req.user.id, req.params.beneficiaryId, req.body.nickname);
+    res.json({ success: true, message: 'Beneficiary updated', beneficiary: formatBeneficiary(beneficiary) });
+  } catch (error) {
+    sendError(res, error, 'Update beneficiary', 'Server error while updating beneficiary');
+  }
+};
+
+// DELETE /api/v1/beneficiaries/:beneficiaryId
+const deleteBeneficiary = async (req, res) => {
+  try {
+    await beneficiaryService.removeBeneficiary(req.user.id, req.params.beneficiaryId);
+    res.json({ success: true, message: 'Beneficiary removed' });
+  } catch (error) {
+    sendError(res, error, 'Delete beneficiary', 'Server error while removing beneficiary');
+  }
+};
+
+module.exports = {
+  createBeneficiary,
+  getBeneficiaries,
+  getBeneficiary,
+  updateBeneficiary,
+  deleteBeneficiary
+};
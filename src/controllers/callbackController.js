@@ -2,41 +2,51 @@ const { Wallet, Transaction, User } = require('../models');
 const logger = require('../utils/logger');
 const { sequelize } = require('../config/database');
 const websocketService = require('../services/websocketService');
+const ledgerService = require('../services/ledgerService');
+const paymentSettlementService = require('../services/paymentSettlementService');
+const webhookEventService = require('../services/webhookEventService');
+const standingDepositService = require('../services/standingDepositService');
 const { publishPaymentEvent } = require('../utils/redisPayment');
 
-const handleKCBMpesaCallback = async (req, res) => {
-  // Log immediately - even before any processing
-  console.log('========== KCB CALLBACK RECEIVED ==========');
-  console.log('Headers:', JSON.stringify(req.headers, null, 2));
-  console.log('Body:', JSON.stringify(req.body, null, 2));
-  console.log('============================================');
+// Acknowledgement for a redelivered callback we have already handled
+const duplicateCallbackAck = {
+  ResultCode: 0,
+  ResultDesc: 'Callback received - already processed'
+};
+
+// Route a KCB callback body to its handler; returns the acknowledgement for KCB
+const processKCBCallback = async (callbackData) => {
+  // Detect callback type and route accordingly
+  if (callbackData?.Body?.stkCallback) {
+    // STK Push (Deposit) callback
+    return handleSTKPushCallback(callbackData);
+  } else if (callbackData?.transactionReference || callbackData?.merchantID || callbackData?.retrievalRefNumber) {
+    // B2C (Withdrawal) callback
+    return handleB2CCallback(callbackData);
+  }
+
+  logger.warn('Unknown KCB callback structure:', JSON.stringify(callbackData, null, 2));
+  return {
+    ResultCode: 0,
+    ResultDesc: 'Callback received - unknown structure'
+  };
+};
 
+// Verified and logged by the webhook middleware before it gets here
+const handleKCBMpesaCallback = async (req, res) => {
   try {
     logger.info('KCB callback received:', JSON.stringify(req.body, null, 2));
 
-    const callbackData = req.body;
-
-    // Detect callback type and route accordingly
-    if (callbackData?.Body?.stkCallback) {
-      // STK Push (Deposit) callback
-      return await handleSTKPushCallback(callbackData, res);
-    } else if (callbackData?.transactionReference || callbackData?.merchantID || callbackData?.retrievalRefNumber) {
-      // B2C (Withdrawal) callback
-      return await handleB2CCallback(callbackData, res);
-    } else {
-      logger.warn('Unknown KCB callback structure:', JSON.stringify(callbackData, null, 2));
-      return res.status(200).json({
-        ResultCode: 0,
-        ResultDesc: 'Callback received - unknown structure'
-      });
-    }
+    const ack = await webhookEventService.process(req.webhookEvent, processKCBCallback);
+    return res.status(200).json(ack || duplicateCallbackAck);
   } catch (error) {
     logger.error('KCB callback routing error:', {
       error: error.message,
       stack: error.stack,
-      body: req.body
+      eventId: req.webhookEvent?.id
     });
 
+    // Always return 200 to prevent retries; the failure is kept on the webhook event for re-processing
     return res.status(200).json({
       ResultCode: 0,
       ResultDesc: 'Callback received'
@@ -45,7 +55,7 @@ const handleKCBMpesaCallback = async (req, res) => {
 };
 
 // Handle B2C (Withdrawal) callback
-const handleB2CCallback = async (callbackData, res) => {
+const handleB2CCallback = async (callbackData) => {
   const dbTransaction = await sequelize.transaction();
 
   try {
@@ -81,25 +91,19 @@ const handleB2CCallback = async (callbackData, res) => {
     if (!pendingTransaction) {
       logger.warn('No matching withdrawal transaction found:', { transactionReference });
       await dbTransaction.rollback();
-      return res.status(200).json({
+      return {
         ResultCode: 0,
         ResultDesc: 'Callback received - no matching withdrawal'
-      });
+      };
     }
 
     const wallet = pendingTransaction.wallet;
 
     // Check if successful (statusCode "0" means success for KCB)
     if (statusCode === '0' || statusCode === 0) {
-      // SUCCESS - Mark withdrawal as completed
-      await pendingTransaction.update({
-        status: 'completed',
-        metadata: {
-          ...pendingTransaction.metadata,
-          b2cCallback: callbackData,
-          merchantID,
-          completedAt: new Date().toISOString()
-        }
+      // SUCCESS - The payout held when the withdrawal was initiated has left the platform account
+      await paymentSettlementService.completeWithdrawal(pendingTransaction, wallet, {
+        metadata: { b2cCallback: callbackData, merchantID }
       }, { transaction: dbTransaction });
 
       await dbTransaction.commit();
@@ -133,29 +137,18 @@ const handleB2CCallback = async (callbackData, res) => {
         logger.error('Failed to broadcast withdrawal success:', wsError);
       }
 
-      return res.status(200).json({
+      return {
         ResultCode: 0,
         ResultDesc: 'Withdrawal callback processed successfully'
-      });
+      };
 
     } else {
       // FAILED - Refund the wallet and mark as failed
-      const refundAmount = parseFloat(pendingTransaction.amount);
+      const refundAmount = Math.abs(parseFloat(pendingTransaction.amount));
 
-      await wallet.increment('kes_balance', {
-        by: refundAmount,
-        transaction: dbTransaction
-      });
-
-      await pendingTransaction.update({
-        status: 'failed',
-        metadata: {
-          ...pendingTransaction.metadata,
-          b2cCallback: callbackData,
-          failureReason: statusDescription || statusMessage,
-          refundedAmount: refundAmount,
-          failedAt: new Date().toISOString()
-        }
+      await paymentSettlementService.failWithdrawal(pendingTransaction, wallet, {
+        reason: statusDescription || statusMessage,
+        metadata: { b2cCallback: callbackData }
       }, { transaction: dbTransaction });
 
       await dbTransaction.commit();
@@ -191,10 +184,10 @@ const handleB2CCallback = async (callbackData, res) => {
         logger.error('Failed to broadcast withdrawal failure:', wsError);
       }
 
-      return res.status(200).json({
+      return {
         ResultCode: 0,
         ResultDesc: 'Withdrawal failure callback processed'
-      });
+      };
     }
 
   } catch (error) {
@@ -203,16 +196,12 @@ const handleB2CCallback = async (callbackData, res) => {
       error: error.message,
       stack: error.stack
     });
-
-    return res.status(200).json({
-      ResultCode: 0,
-      ResultDesc: 'Callback received'
-    });
+    throw error;
   }
 };
 
 // Handle STK Push (Deposit) callback
-const handleSTKPushCallback = async (callbackData, res) => {
+const handleSTKPushCallback = async (callbackData) => {
   const dbTransaction = await sequelize.transaction();
 
   try {
@@ -231,10 +220,10 @@ const handleSTKPushCallback = async (callbackData, res) => {
       merchantRequestId
     });
 
-    // Find the pending transaction by matching CheckoutRequestID in metadata
-    const pendingTransactions = await Transaction.findAll({
+    // Find the deposit by its indexed CheckoutRequestID
+    const pendingTransaction = checkoutRequestId && await Transaction.findOne({
       where: {
-        status: 'pending',
+        checkout_request_id: checkoutRequestId,
         type: 'deposit'
       },
       transaction: dbTransaction,
@@ -244,13 +233,6 @@ const handleSTKPushCallback = async (callbackData, res) => {
       }]
     });
 
-    // Find the matching transaction by CheckoutRequestID in metadata
-    const pendingTransaction = pendingTransactions.find(txn => {
-      const kcbResponse = txn.metadata?.kcbResponse?.response;
-      return kcbResponse?.CheckoutRequestID === checkoutRequestId ||
-             kcbResponse?.MerchantRequestID === merchantRequestId;
-    });
-
     if (!pendingTransaction) {
       logger.error('No matching KCB M-Pesa transaction found for callback:', {
         checkoutRequestId,
@@ -258,10 +240,28 @@ const handleSTKPushCallback = async (callbackData, res) => {
       });
       await dbTransaction.rollback();
 
-      return res.status(200).json({
+      return {
         ResultCode: 0,
         ResultDesc: 'Callback received - no matching transaction'
+      };
+    }
+
+    // The status poller may already have settled it. A deposit it timed out can still be
+    // completed by a late success callback, since the customer has paid.
+    const lateConfirmation = pendingTransaction.status === 'failed' &&
+      pendingTransaction.metadata?.expiredBy === 'status_poller' && resultCode === 0;
+    if (pendingTransaction.status !== 'pending' && !lateConfirmation) {
+      logger.info('KCB M-Pesa callback for an already settled deposit:', {
+        transactionId: pendingTransaction.id,
+        status: pendingTransaction.status,
+        checkoutRequestId
       });
+      await dbTransaction.rollback();
+
+      return {
+        ResultCode: 0,
+        ResultDesc: 'Callback received - already processed'
+      };
     }
 
     logger.info('Found matching transaction:', {
@@ -314,34 +314,38 @@ const handleSTKPushCallback = async (callbackData, res) => {
           walletId: pendingTransaction.wallet_id
         });
         await dbTransaction.rollback();
-        return res.status(200).json({
+
+        // The money has still arrived: hold it in suspense until support matches it to a wallet
+        await ledgerService.recordUnmatchedDeposit({
+          amount,
+          reference: pendingTransaction.reference,
+          description: `M-Pesa deposit ${mpesaReceiptNumber} for missing wallet ${pendingTransaction.wallet_id}`,
+          metadata: { mpesaReceiptNumber, checkoutRequestId, transactionId: pendingTransaction.id }
+        });
+
+        return {
           ResultCode: 0,
           ResultDesc: 'Wallet not found'
-        });
+        };
       }
 
-      await wallet.increment('kes_balance', {
-        by: amount,
-        transaction: dbTransaction
-      });
-
-      await pendingTransaction.update({
-        status: 'completed',
-        amount: amount,
+      await paymentSettlementService.completeDeposit(pendingTransaction, wallet, {
+        amount,
+        mpesaReceiptNumber,
         metadata: {
-          ...pendingTransaction.metadata,
-          mpesaReceiptNumber,
           transactionDate,
           phoneNumber,
           checkoutRequestId,
           merchantRequestId,
           resultCode,
           resultDesc,
+          lateConfirmation: lateConfirmation || undefined,
           callbackReceived: new Date().toISOString()
         }
       }, { transaction: dbTransaction });
 
       await dbTransaction.commit();
+      await standingDepositService.handleSettlement(pendingTransaction);
 
       logger.info('KCB M-Pesa payment processed successfully:', {
         userId: wallet.user_id,
@@ -390,10 +394,10 @@ const handleSTKPushCallback = async (callbackData, res) => {
         // Don't fail the callback if WebSocket fails
       }
 
-      return res.status(200).json({
+      return {
         ResultCode: 0,
         ResultDesc: 'Payment processed successfully'
-      });
+      };
 
     } else {
       // FAILED - User cancelled, wrong PIN, timeout, etc.
@@ -425,20 +429,19 @@ const handleSTKPushCallback = async (callbackData, res) => {
       });
 
       // Update transaction as failed
-      await pendingTransaction.update({
-        status: 'failed',
+      await paymentSettlementService.failDeposit(pendingTransaction, {
+        reason: failureReason,
         metadata: {
-          ...pendingTransaction.metadata,
           checkoutRequestId,
           merchantRequestId,
           resultCode,
           resultDesc,
-          failureReason,
           callbackReceived: new Date().toISOString()
         }
       }, { transaction: dbTransaction });
 
       await dbTransaction.commit();
+      await standingDepositService.handleSettlement(pendingTransaction);
 
       // Broadcast payment failure via WebSocket to all subscribed clients
       try {
@@ -485,10 +488,10 @@ const handleSTKPushCallback = async (callbackData, res) => {
         // Don't fail the callback if WebSocket fails
       }
 
-      return res.status(200).json({
+      return {
         ResultCode: 0,
         ResultDesc: 'Callback received'
-      });
+      };
     }
 
   } catch (error) {
@@ -498,12 +501,7 @@ const handleSTKPushCallback = async (callbackData, res) => {
       error: error.message,
       stack: error.stack
     });
-
-    // Always return 200 to prevent retries
-    return res.status(200).json({
-      ResultCode: 0,
-      ResultDesc: 'Callback received'
-    });
+    throw error;
   }
 };
 
@@ -522,7 +520,11 @@ const getMpesaResultCodeDescription = (resultCode) => {
   return descriptions[resultCode] || `Unknown error (Code: ${resultCode})`;
 };
 
+webhookEventService.registerHandler('kcb', processKCBCallback);
+
 module.exports = {
   handleKCBMpesaCallback,
+  processKCBCallback,
+  duplicateCallbackAck,
   getMpesaResultCodeDescription
 };
@@ -1,5 +1,6 @@
-const { Wallet, Transaction, User } = require('../models');
+const { Wallet, Transaction, User, sequelize } = require('../models');
 const exchangeService = require('../services/exchangeService');
+const ledgerService = require('../services/ledgerService');
 const emailService = require('../services/emailService');
 const logger = require('../utils/logger');
 
@@ -629,6 +630,7 @@ const bulkConvertCurrency = async (req, res) => {
     // Process conversions
     const results = [];
     const transactionsToCreate = [];
+    const ledgerEntries = [];
 
     for (const conversion of conversions) {
       const { amount, fromCurrency, toCurrency } = conversion;
@@ -637,18 +639,17 @@ const bulkConvertCurrency = async (req, res) => {
       const forexFees = exchangeService.calculateForexFees(conversionResult.convertedAmount);
       const finalAmount = conversionResult.convertedAmount - forexFees;
 
-      // Update balances
-      if (fromCurrency === 'KES') {
-        wallet.kes_balance -= amount;
-      } else {
-        wallet.usd_balance -= amount;
-      }
+      const reference = `BULK_CONV_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-      if (toCurrency === 'KES') {
-        wallet.kes_balance += finalAmount;
-      } else {
-        wallet.usd_balance += finalAmount;
-      }
+      ledgerEntries.push({
+        fromCurrency,
+        fromAmount: amount,
+        toCurrency,
+        convertedAmount: conversionResult.convertedAmount,
+        fee: forexFees,
+        reference,
+        description: `Bulk convert ${amount} ${fromCurrency} to ${toCurrency}`
+      });
 
       // Create debit transaction
       transactionsToCreate.push({
@@ -657,7 +658,7 @@ const bulkConvertCurrency = async (req, res) => {
         amount: -amount,
         currency: fromCurrency,
         status: 'completed',
-        reference: `BULK_CONV_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        reference,
         description: `Bulk convert ${amount} ${fromCurrency} to ${toCurrency}`,
         exchange_rate: conversionResult.rate,
         fees: { forex: forexFees },
@@ -703,9 +704,14 @@ const bulkConvertCurrency = async (req, res) => {
       });
     }
 
-    // Save wallet and create transactions
-    await wallet.save();
-    await Transaction.bulkCreate(transactionsToCreate);
+    // Post every conversion and its transactions together: all of them land or none do
+    await sequelize.transaction(async (dbTransaction) => {
+      for (const entry of ledgerEntries) {
+        await ledgerService.recordConversion(wallet, entry, { transaction: dbTransaction });
+      }
+      await Transaction.bulkCreate(transactionsToCreate, { transaction: dbTransaction });
+    });
+    await wallet.reload();
 
     const user = await User.findByPk(req.user.id);
 
@@ -1,6 +1,7 @@
 const { User, Wallet, Transaction } = require('../models');
 const alpacaService = require('../services/alpacaService');
 const exchangeService = require('../services/exchangeService');
+const ledgerService = require('../services/ledgerService');
 const logger = require('../utils/logger');
 
 const syncToAlpaca = async (req, res) => {
@@ -73,13 +74,21 @@ const syncToAlpaca = async (req, res) => {
       );
 
       // Deduct from our wallet
-      if (currency === 'KES') {
-        await wallet.deductBalance(amount, 'KES');
-        await wallet.unfreezeFunds(amount, 'KES');
-      } else {
-        await wallet.deductBalance(amount, 'USD');
-        await wallet.unfreezeFunds(amount, 'USD');
-      }
+      const reference = `ALPACA_DEP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      await wallet.unfreezeFunds(amount, currency);
+      await ledgerService.recordBrokerFunding(wallet, {
+        amount,
+        currency,
+        reference,
+        description: `Synced ${currency} ${amount} to Alpaca trading account`,
+        metadata: {
+          provider: 'alpaca',
+          userId: user.id,
+          alpaca_account_id: user.alpaca_account_id,
+          alpaca_transfer_id: alpacaResult.id,
+          usd_amount: requiredBalance
+        }
+      });
 
       // Create transaction record
       const transaction = await Transaction.create({
@@ -87,7 +96,7 @@ const syncToAlpaca = async (req, res) => {
         type: 'alpaca_deposit',
         amount: currency === 'KES' ? amount : requiredBalance,
         currency: currency,
-        reference: `ALPACA_DEP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        reference,
         description: `Synced ${currency} ${amount} to Alpaca trading account`,
         status: 'completed',
         metadata: {
@@ -1,4 +1,9 @@
 const kcbService = require('../services/kcbService');
+const ledgerService = require('../services/ledgerService');
+const mpesaDepositService = require('../services/mpesaDepositService');
+const paymentSettlementService = require('../services/paymentSettlementService');
+const withdrawalReviewService = require('../services/withdrawalReviewService');
+const beneficiaryService = require('../services/beneficiaryService');
 const { Wallet, Transaction, User } = require('../models');
 const logger = require('../utils/logger');
 const { sequelize } = require('../config/database');
@@ -115,8 +120,7 @@ const depositFromBank = async (req, res) => {
           userId
         });
 
-        // Note: Cannot query KCB transaction status - API subscription doesn't include access
-        // Transaction will remain pending until manually verified or updated via callback
+        // The pending payment poller queries KCB for the outcome and settles the transaction
       }
 
       // For timeout: Create pending transaction to track status
@@ -180,11 +184,12 @@ const depositFromBank = async (req, res) => {
     }
 
     // Transfer successful - credit user's wallet
-    const currencyField = currency.toUpperCase() === 'KES' ? 'kes_balance' : 'usd_balance';
-    await wallet.increment(currencyField, {
-      by: amount,
-      transaction
-    });
+    await ledgerService.recordDeposit(wallet, {
+      amount,
+      currency: currency.toUpperCase(),
+      reference: transactionReference,
+      description: `Bank deposit from KCB account ${kcbAccountNumber}`
+    }, { transaction });
 
     // Create transaction record
     const txnRecord = await Transaction.create({
@@ -363,6 +368,64 @@ const withdrawToBank = async (req, res) => {
       beneficiaryBankCode: '01'
     };
 
+    // Risk checks: a flagged withdrawal is held (below) until admin or finance staff approve it
+    const evaluation = await withdrawalReviewService.evaluate(user, wallet, {
+      amount,
+      currency: currency.toUpperCase(),
+      method: 'bank'
+    });
+
+    const reviewDetails = {
+      userId,
+      amount,
+      currency: currency.toUpperCase(),
+      channel: 'kcb',
+      method: 'bank',
+      destination: kcbAccountNumber,
+      payout: { transferData },
+      deviceId: req.get('X-Device-Id'),
+      evaluation
+    };
+
+    if (!evaluation.autoApprove) {
+      // Keep the freeze and move the amount into pending payouts, as a timed-out transfer does;
+      // the transfer is sent once the review is approved
+      await ledgerService.holdPayout(wallet, {
+        amount,
+        currency: currency.toUpperCase(),
+        reference: transactionReference,
+        description: `Bank withdrawal to KCB account ${kcbAccountNumber} (under review)`
+      }, { transaction, fromFrozen: amount });
+
+      const txnRecord = await Transaction.create({
+        wallet_id: wallet.id,
+        type: 'withdrawal',
+        amount: amount,
+        currency: currency.toUpperCase(),
+        status: 'pending',
+        reference: transactionReference,
+        description: `Bank withdrawal to KCB account ${kcbAccountNumber} (under review)`,
+        metadata: {
+          paymentMethod: 'kcb_bank',
+          kcbAccountNumber,
+          accountHolderName: transferData.beneficiaryDetails,
+          processingStatus: 'pending_review'
+        }
+      }, { transaction });
+      const review = await withdrawalReviewService.open(txnRecord, reviewDetails, { transaction });
+
+      await transaction.commit();
+      await withdrawalReviewService.notifyUser(review, 'pending_review');
+
+      return res.status(202).json({
+        success: true,
+        message: 'Your withdrawal has been submitted for review. The funds stay reserved until it is processed.',
+        status: 'pending_review',
+        transactionReference,
+        transactionId: txnRecord.id
+      });
+    }
+
     // Initiate transfer
     const transferResult = await kcbService.transferFunds(transferData);
 
@@ -376,12 +439,19 @@ const withdrawToBank = async (req, res) => {
           userId
         });
 
-        // Note: Cannot query KCB transaction status - API subscription doesn't include access
-        // Transaction will remain pending until manually verified or updated via callback
+        // The pending payment poller queries KCB for the outcome and settles the transaction
       }
 
       // For timeout: Keep funds frozen and create pending transaction
       if (isTimeout) {
+        // The bank may still pay out; the B2C callback settles or reverses this hold
+        await ledgerService.holdPayout(wallet, {
+          amount,
+          currency: currency.toUpperCase(),
+          reference: transactionReference,
+          description: `Bank withdrawal to KCB account ${kcbAccountNumber} (pending)`
+        }, { transaction, fromFrozen: amount });
+
         // Create pending transaction record to prevent duplicate attempts
         const txnRecord = await Transaction.create({
           wallet_id: wallet.id,
@@ -399,6 +469,7 @@ const withdrawToBank = async (req, res) => {
             requiresStatusCheck: true
           }
         }, { transaction });
+        await withdrawalReviewService.open(txnRecord, reviewDetails, { transaction });
 
         await transaction.commit();
 
@@ -441,8 +512,14 @@ const withdrawToBank = async (req, res) => {
       });
     }
 
-    // Deduct from wallet (this also unfreezes)
-    await wallet.deductFunds(amount, currency.toUpperCase());
+    // Deduct from wallet and release the freeze
+    await ledgerService.recordWithdrawal(wallet, {
+      amount,
+      currency: currency.toUpperCase(),
+      reference: transactionReference,
+      description: `Bank withdrawal to KCB account ${kcbAccountNumber}`
+    }, { transaction, fromFrozen: amount });
+    await wallet.unfreezeFunds(amount, currency.toUpperCase(), { transaction });
 
     // Create transaction record
     const txnRecord = await Transaction.create({
@@ -638,73 +715,20 @@ const initiateSTKPush = async (req, res) => {
       });
     }
 
-    // Get or create wallet
-    let wallet = await Wallet.findOne({
-      where: { user_id: userId }
-    });
-
-    if (!wallet) {
-      wallet = await Wallet.create({
-        user_id: userId,
-        kes_balance: 0,
-        usd_balance: 0,
-        frozen_kes: 0,
-        frozen_usd: 0
-      });
-    }
-
-    // Generate unique invoice number
-    const timestamp = Date.now();
-    const invoiceNumber = `RIVEN-${userId}-${timestamp}`;
-
-    logger.info('Initiating KCB M-Pesa STK Push:', {
-      userId,
+    const { success, error, errorData, result } = await mpesaDepositService.initiate(user, {
       phoneNumber,
       amount,
-      invoiceNumber
+      transactionDescription
     });
 
-    // Initiate STK Push through KCB Buni
-    const result = await kcbService.initiateSTKPush({
-      phoneNumber,
-      amount,
-      invoiceNumber,
-      transactionDescription: transactionDescription || `Deposit to Riven Trading - ${user.first_name}`,
-      callbackUrl: process.env.KCB_STK_CALLBACK_URL || 'https://api.rivenapp.com/api/v1/callback'
-    });
-
-    if (!result.success) {
+    if (!success) {
       return res.status(400).json({
         success: false,
-        message: result.error || 'STK Push failed',
-        errorData: result.errorData
+        message: error || 'STK Push failed',
+        errorData
       });
     }
 
-    // Create pending transaction record
-    await Transaction.create({
-      wallet_id: wallet.id,
-      type: 'deposit',
-      amount: amount,
-      currency: 'KES',
-      status: 'pending',
-      reference: result.messageId,
-      description: transactionDescription || 'KCB M-Pesa wallet deposit',
-      metadata: {
-        paymentMethod: 'kcb_mpesa',
-        phoneNumber: result.phoneNumber,
-        invoiceNumber: result.invoiceNumber,
-        messageId: result.messageId,
-        kcbResponse: result.data
-      }
-    });
-
-    logger.info('KCB STK Push initiated successfully:', {
-      userId,
-      messageId: result.messageId,
-      invoiceNumber: result.invoiceNumber
-    });
-
     res.status(200).json({
       success: true,
       message: 'STK Push sent to your phone. Please enter your M-Pesa PIN to complete payment.',
@@ -746,10 +770,9 @@ const withdrawFromWallet = async (req, res) => {
     const {
       amount,
       currency = 'KES',
-      kcbAccountNumber,
-      phoneNumber,
-      accountHolderName
+      beneficiaryId
     } = req.body;
+    let { kcbAccountNumber, phoneNumber, accountHolderName } = req.body;
 
     // Validate inputs
     if (!amount || amount <= 0) {
@@ -770,6 +793,31 @@ const withdrawFromWallet = async (req, res) => {
       });
     }
 
+    // A saved beneficiary supplies the destination and the name on the payout
+    let beneficiary = null;
+    if (beneficiaryId) {
+      if (phoneNumber || kcbAccountNumber) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Send either beneficiaryId or phoneNumber/kcbAccountNumber, not both'
+        });
+      }
+
+      beneficiary = await beneficiaryService.resolveForWithdrawal(userId, beneficiaryId, { amount, currency: currency.toUpperCase() });
+      if (beneficiary.type === 'mpesa') {
+        phoneNumber = beneficiary.account_number;
+      } else {
+        kcbAccountNumber = beneficiary.account_number;
+      }
+      accountHolderName = beneficiary.account_name;
+    } else if (phoneNumber || kcbAccountNumber) {
+      await beneficiaryService.checkRawDestination(userId, {
+        type: phoneNumber ? 'mpesa' : 'bank',
+        accountNumber: phoneNumber || kcbAccountNumber
+      }, { amount, currency: currency.toUpperCase() });
+    }
+
     // Determine withdrawal method: Bank or M-Pesa
     let withdrawalMethod = null;
     let destinationAccount = null;
@@ -884,18 +932,30 @@ const withdrawFromWallet = async (req, res) => {
       });
     }
 
-    // Freeze the amount first
+    const transactionReference = kcbService.generateTransactionReference();
+
+    // Risk checks: a flagged withdrawal is held (below) until admin or finance staff approve it
+    const evaluation = await withdrawalReviewService.evaluate(user, wallet, {
+      amount,
+      currency: currency.toUpperCase(),
+      method: withdrawalMethod
+    });
+
+    // Take the amount out of the balance and freeze it until the bank confirms the payout
     const frozenField = currency.toUpperCase() === 'KES' ? 'frozen_kes' : 'frozen_usd';
+    await ledgerService.holdPayout(wallet, {
+      amount,
+      currency: currency.toUpperCase(),
+      reference: transactionReference,
+      description: `Wallet withdrawal via ${withdrawalMethod} to ${destinationAccount}`
+    }, { transaction });
     await wallet.update({
-      [currencyField]: wallet[currencyField] - amount,
-      [frozenField]: (wallet[frozenField] || 0) + amount
+      [frozenField]: (parseFloat(wallet[frozenField]) || 0) + amount
     }, { transaction });
 
     // Reload wallet to get updated values after freeze
     await wallet.reload({ transaction });
 
-    const transactionReference = kcbService.generateTransactionReference();
-
     logger.info(`Initiating wallet withdrawal via ${withdrawalMethod}:`, {
       userId,
       amount,
@@ -951,6 +1011,55 @@ const withdrawFromWallet = async (req, res) => {
       };
     }
 
+    const reviewDetails = {
+      userId,
+      amount,
+      currency: currency.toUpperCase(),
+      channel: 'kcb',
+      method: withdrawalMethod,
+      destination: destinationAccount,
+      payout: { transferData },
+      deviceId: req.get('X-Device-Id'),
+      evaluation
+    };
+
+    if (!evaluation.autoApprove) {
+      // Keep the hold and the freeze; the transfer is sent once the review is approved
+      const txnRecord = await Transaction.create({
+        wallet_id: wallet.id,
+        type: 'withdrawal',
+        amount: amount,
+        currency: currency.toUpperCase(),
+        status: 'pending',
+        reference: transactionReference,
+        description: withdrawalMethod === 'mpesa'
+          ? `Wallet withdrawal to M-Pesa ${destinationAccount} (under review)`
+          : `Wallet withdrawal to KCB account ${destinationAccount} (under review)`,
+        metadata: {
+          paymentMethod: withdrawalMethod === 'mpesa' ? 'kcb_mpesa' : 'kcb_bank',
+          withdrawalMethod,
+          destinationAccount,
+          phoneNumber: withdrawalMethod === 'mpesa' ? destinationAccount : undefined,
+          kcbAccountNumber: withdrawalMethod === 'bank' ? destinationAccount : undefined,
+          accountHolderName: transferData.beneficiaryDetails,
+          beneficiaryId: beneficiary?.id,
+          processingStatus: 'pending_review'
+        }
+      }, { transaction });
+      const review = await withdrawalReviewService.open(txnRecord, reviewDetails, { transaction });
+
+      await transaction.commit();
+      await withdrawalReviewService.notifyUser(review, 'pending_review');
+
+      return res.status(202).json({
+        success: true,
+        message: 'Your withdrawal has been submitted for review. The funds stay reserved until it is processed.',
+        status: 'pending_review',
+        transactionReference,
+        transactionId: txnRecord.id
+      });
+    }
+
     // Initiate transfer
     const transferResult = await kcbService.transferFunds(transferData);
 
@@ -964,8 +1073,7 @@ const withdrawFromWallet = async (req, res) => {
           userId
         });
 
-        // Note: Cannot query KCB transaction status - API subscription doesn't include access
-        // Transaction will remain pending until manually verified or updated via callback
+        // The pending payment poller queries KCB for the outcome and settles the transaction
       }
 
       // For timeout: Keep funds frozen and create pending transaction
@@ -988,10 +1096,12 @@ const withdrawFromWallet = async (req, res) => {
             phoneNumber: withdrawalMethod === 'mpesa' ? destinationAccount : undefined,
             kcbAccountNumber: withdrawalMethod === 'bank' ? destinationAccount : undefined,
             accountHolderName: transferData.beneficiaryDetails,
+            beneficiaryId: beneficiary?.id,
             timedOut: true,
             requiresStatusCheck: true
           }
         }, { transaction });
+        await withdrawalReviewService.open(txnRecord, reviewDetails, { transaction });
 
         await transaction.commit();
 
@@ -1010,12 +1120,7 @@ const withdrawFromWallet = async (req, res) => {
         });
       }
 
-      // For non-timeout errors: Unfreeze funds and rollback
-      await wallet.update({
-        [currencyField]: wallet[currencyField] + amount,
-        [frozenField]: Math.max(0, wallet[frozenField] - amount)
-      }, { transaction });
-
+      // For non-timeout errors: rolling back undoes the hold and the freeze
       await transaction.rollback();
 
       return res.status(400).json({
@@ -1039,12 +1144,7 @@ const withdrawFromWallet = async (req, res) => {
     });
 
     if (statusCode !== '0' && statusCode !== 0) {
-      // Unfreeze funds if transfer failed
-      await wallet.update({
-        [currencyField]: wallet[currencyField] + amount,
-        [frozenField]: Math.max(0, wallet[frozenField] - amount)
-      }, { transaction });
-
+      // Transfer failed: rolling back undoes the hold and the freeze
       await transaction.rollback();
 
       logger.error('KCB transfer rejected:', {
@@ -1063,7 +1163,13 @@ const withdrawFromWallet = async (req, res) => {
       });
     }
 
-    // Deduct frozen funds permanently (transfer successful)
+    // Transfer successful: settle the held payout and release the freeze
+    await ledgerService.settlePayout({
+      amount,
+      currency: currency.toUpperCase(),
+      reference: transactionReference,
+      description: `Wallet withdrawal via ${withdrawalMethod} to ${destinationAccount}`
+    }, { transaction });
     await wallet.update({
       [frozenField]: Math.max(0, wallet[frozenField] - amount)
     }, { transaction });
@@ -1086,11 +1192,16 @@ const withdrawFromWallet = async (req, res) => {
         phoneNumber: withdrawalMethod === 'mpesa' ? destinationAccount : undefined,
         kcbAccountNumber: withdrawalMethod === 'bank' ? destinationAccount : undefined,
         accountHolderName: transferData.beneficiaryDetails,
+        beneficiaryId: beneficiary?.id,
         retrievalRefNumber: transferResult.retrievalRefNumber,
         kcbResponse: transferResult.data,
         withdrawalType: withdrawalMethod === 'mpesa' ? 'wallet_to_mpesa' : 'wallet_to_bank'
       }
     }, { transaction });
+    await withdrawalReviewService.open(txnRecord, reviewDetails, { transaction });
+    await paymentSettlementService.settleReview(txnRecord, 'paid', {
+      metadata: { retrievalRefNumber: transferResult.retrievalRefNumber }
+    }, { transaction });
 
     await transaction.commit();
 
@@ -1126,6 +1237,9 @@ const withdrawFromWallet = async (req, res) => {
 
   } catch (error) {
     await transaction.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     logger.error('Wallet withdrawal error:', {
       userId: req.user.id,
       error: error.message,
@@ -1,54 +1,35 @@
-const crypto = require('crypto');
 const { User } = require('../../models');
+const webhookEventService = require('../../services/webhookEventService');
+const msEventService = require('../../services/msEventService');
 const logger = require('../../utils/logger');
 
-const verifySignature = (req) => {
-  const secret = process.env.MYSTOCKS_WEBHOOK_SECRET;
-  if (!secret) return true; // skip verification if secret not configured
-
-  const signature = req.headers['x-mystocks-signature'];
-  if (!signature) return false;
-
-  const expected = crypto
-    .createHmac('sha256', secret)
-    .update(JSON.stringify(req.body))
-    .digest('hex');
-
-  return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
-};
-
-const handleWebhook = async (req, res) => {
-  if (!verifySignature(req)) {
-    logger.warn('MS webhook: invalid signature');
-    return res.status(401).json({ success: false, message: 'Invalid signature' });
-  }
-
-  const { event, data } = req.body;
-
+// Apply a MyStocks event. Errors propagate so the webhook event is marked failed.
+const processEvent = async ({ event, data }) => {
   logger.info(`MS webhook received: ${event}`, { subAccountId: data?.subAccountId });
 
-  // Respond immediately — process async
-  res.json({ success: true, received: true });
-
   try {
     switch (event) {
       case 'trade.settled': {
         logger.info(`MS trade settled: orderId=${data.orderId} symbol=${data.symbol} type=${data.type}`);
+        await msEventService.tradeSettled(data);
         break;
       }
 
       case 'trade.rejected': {
         logger.warn(`MS trade rejected: orderId=${data.orderId} reason=${data.rejectionReason}`);
+        await msEventService.tradeRejected(data);
         break;
       }
 
       case 'deposit.confirmed': {
         logger.info(`MS deposit confirmed: subAccountId=${data.subAccountId} amount=${data.amount} ${data.currency}`);
+        await msEventService.depositConfirmed(data);
         break;
       }
 
       case 'withdraw.confirmed': {
         logger.info(`MS withdrawal confirmed: subAccountId=${data.subAccountId} amount=${data.amount}`);
+        await msEventService.withdrawConfirmed(data);
         break;
       }
 
@@ -77,6 +58,7 @@ const handleWebhook = async (req, res) => {
 
       case 'dividend.paid': {
         logger.info(`MS dividend paid: symbol=${data.symbol} perShare=${data.dividendPerShare}`);
+        await msEventService.dividendPaid(data);
         break;
       }
 
@@ -95,7 +77,19 @@ const handleWebhook = async (req, res) => {
     }
   } catch (error) {
     logger.error(`MS webhook processing error for event ${event}:`, error.message);
+    throw error;
   }
 };
 
-module.exports = { handleWebhook };
+// Verified and logged by the webhook middleware before it gets here
+const handleWebhook = (req, res) => {
+  // Respond immediately — process async
+  res.json({ success: true, received: true });
+
+  webhookEventService.process(req.webhookEvent, processEvent)
+    .catch(error => logger.error(`MS webhook event ${req.webhookEvent.id} failed:`, error.message));
+};
+
+webhookEventService.registerHandler('mystocks', processEvent);
+
+module.exports = { handleWebhook, processEvent };
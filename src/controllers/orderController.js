@@ -1,26 +1,98 @@
-const { Order, User, Wallet, Transaction, MsOrder, DemoOrder } = require('../models');
+const { Order, User, Wallet, Transaction, MsOrder } = require('../models');
 const alpacaService = require('../services/alpacaService');
-const ms = require('../services/mystocksService');
 const exchangeService = require('../services/exchangeService');
 const emailService = require('../services/emailService');
 const logger = require('../utils/logger');
 
 const platformConfigService = require('../services/platformConfigService');
+const msRestingOrderService = require('../services/msRestingOrderService');
+const paperOrderService = require('../services/paperOrderService');
 const { recordRevenue } = require('../services/revenueService');
+const ledgerService = require('../services/ledgerService');
+const orderPlacementService = require('../services/orderPlacementService');
+
+const { isAfrican } = require('../utils/mystocksQuote');
+const { validateTrail } = require('../utils/trailingStop');
+
+const {
+  formatMsOrder,
+  formatLegOrder,
+  validateUsOrder,
+  estimateUsOrder,
+  minimumOrderValueError,
+  insufficientFundsResponse,
+  buildUsFees,
+  formatCostBreakdown,
+  resolveAfricanQuantity,
+  fetchDemoUsdPrice,
+  estimateDemoTrade,
+  fetchMsQuote,
+  estimateMsBuy
+} = orderPlacementService;
 
-const AFRICAN_EXCHANGES = new Set(['NSE', 'NGX', 'JSE', 'GSE', 'BRVM', 'LUSE', 'EGX', 'BSE', 'SEM']);
-const isAfrican = (exchange) => !!exchange && AFRICAN_EXCHANGES.has(exchange.toUpperCase());
+const createOrder = async (req, res) => {
+  const { status, body } = await orderPlacementService.placeOrder(req.user.id, req.body, { idempotencyKey: req.idempotencyKey });
+  res.status(status).json(body);
+};
 
-const { ensureMyStocksSubAccount } = require('../utils/ensureMyStocksAccount');
+// Blocking warnings mean createOrder would reject the same request
+const BLOCKING_PREVIEW_WARNINGS = ['insufficient_funds', 'insufficient_shares', 'minimum_order_value'];
 
-const createOrder = async (req, res) => {
+const formatRate = (rate) => `${parseFloat((rate * 100).toFixed(2))}%`;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const fundingSummary = (currency, available, required) => ({
+  currency,
+  available: round2(available),
+  required: round2(required),
+  shortfall: round2(Math.max(0, required - available))
+});
+
+const notionalWarning = (notionalAmounts) => ({
+  type: 'notional_estimate',
+  message: `Quantity is estimated from ${notionalAmounts.currency} ${notionalAmounts.amount} at the current price; the filled quantity may differ`
+});
+
+/**
+ * Dry run of createOrder: the same validation, pricing and fee logic for Alpaca, MyStocks and
+ * demo orders, returning the cost breakdown, funding shortfall and warnings. Nothing is
+ * created, reserved, funded or sent to a broker.
+ */
+const previewOrder = async (req, res) => {
   try {
-    const { symbol, side, type: orderType, qty: quantity, limit_price: limitPrice, stop_price: stopPrice, time_in_force: timeInForce, currency = 'USD', exchange } = req.body;
+    const {
+      symbol,
+      side,
+      type: orderType,
+      qty: quantity,
+      notional,
+      notional_currency: notionalCurrency = 'USD',
+      limit_price: limitPrice,
+      stop_price: stopPrice,
+      trail_percent: trailPercent,
+      trail_amount: trailAmount,
+      time_in_force: timeInForce,
+      order_class: orderClass = 'simple',
+      take_profit: takeProfit,
+      stop_loss: stopLoss,
+      exchange
+    } = req.body;
 
     const { alpacaEnabled, mystocksEnabled } = await platformConfigService.getProviderFlags();
     const user = await User.findByPk(req.user.id);
+    const warnings = [];
+
+    const respond = (provider, preview) => res.json({
+      success: true,
+      provider,
+      preview: {
+        ...preview,
+        canPlace: !warnings.some(w => BLOCKING_PREVIEW_WARNINGS.includes(w.type)),
+        warnings
+      }
+    });
 
-    // African exchange → MyStocks trade (or paper trade in demo mode)
     if (isAfrican(exchange)) {
       if (!mystocksEnabled) {
         return res.status(503).json({ success: false, message: 'African market trading is currently disabled.' });
@@ -29,159 +101,180 @@ const createOrder = async (req, res) => {
       if (!['BUY', 'SELL'].includes(tradeType)) {
         return res.status(400).json({ success: false, message: 'side must be BUY or SELL for African exchanges' });
       }
-      const qty = parseFloat(quantity);
-      if (!qty || qty <= 0) return res.status(400).json({ success: false, message: 'qty must be a positive number' });
       const msSymbol = symbol.toUpperCase();
+      const type = (orderType || '').toLowerCase();
+      const isResting = msRestingOrderService.orderTypes.includes(type);
+
+      let qty;
+      let notionalAmounts;
+      try {
+        ({ qty, notionalAmounts } = await resolveAfricanQuantity({ msSymbol, orderType, quantity, notional, notionalCurrency }));
+      } catch (quantityError) {
+        if (!quantityError.status) throw quantityError;
+        return res.status(quantityError.status).json({ success: false, message: quantityError.message });
+      }
+      if (notionalAmounts) warnings.push(notionalWarning(notionalAmounts));
 
-      // Demo mode: execute as paper trade using demo balance
       const isDemo = user?.account_mode === 'demo' || process.env.NODE_ENV === 'development';
+
       if (isDemo) {
-        const demoBalance = parseFloat(user?.demo_balance || 0);
-        const exchangeRate = await exchangeService.getExchangeRate('USD', 'KES');
-        let currentPrice = 0;
-        let stockCurrency = 'KES';
-        let priceError = null;
-        try {
-          const ticker = msSymbol.includes('.') ? msSymbol.split('.')[0] : msSymbol;
-          const snap = await ms.getStocks({ search: ticker });
-          const stocks = Array.isArray(snap) ? snap : (snap?.stocks || []);
-          const stock = stocks.find(s => s.symbol?.toUpperCase() === msSymbol) || stocks[0];
-          currentPrice = parseFloat(stock?.usdPrice || (stock?.price ? stock.price / exchangeRate : 0) || 0);
-          stockCurrency = stock?.currency || 'KES';
-        } catch (err) {
-          const status = err?.response?.status;
-          if (status === 503 || status === 502 || status === 504) {
-            priceError = 'Market data is temporarily unavailable. Please try again in a moment.';
-          } else if (err.message?.includes('timeout')) {
-            priceError = 'Market data request timed out. Please try again.';
-          } else {
-            priceError = 'Unable to fetch current price for this stock.';
+        if (isResting && type !== 'trailing_stop') {
+          return res.status(400).json({ success: false, message: 'Only market and trailing_stop orders are supported in demo mode for African exchanges' });
+        }
+        if (type === 'trailing_stop') {
+          const trailError = tradeType !== 'SELL'
+            ? 'trailing_stop orders must be SELL orders'
+            : validateTrail({ trailPercent, trailAmount });
+          if (trailError) {
+            return res.status(400).json({ success: false, message: trailError });
           }
         }
+
+        const { currentPrice, priceError } = await fetchDemoUsdPrice(msSymbol);
         if (!currentPrice || currentPrice <= 0) {
           return res.status(503).json({ success: false, message: priceError || 'Unable to fetch current price for this stock.' });
         }
-        const gross = Math.round(qty * currentPrice * 100) / 100;
+        const { gross, fee, totalCost, proceeds } = await estimateDemoTrade(qty, currentPrice);
         const tradeFeeRate = await platformConfigService.getSetting('trade_fee_rate');
-        const fee = Math.round(gross * tradeFeeRate * 100) / 100;
+
+        const preview = {
+          symbol: msSymbol,
+          side: tradeType,
+          orderType: type === 'trailing_stop' ? type : 'market',
+          quantity: qty,
+          estimatedPrice: currentPrice,
+          currency: 'USD',
+          ...(notionalAmounts && { notional: notionalAmounts }),
+          costBreakdown: {
+            stockValue: { usd: gross },
+            commission: { usd: fee, rate: formatRate(tradeFeeRate) },
+            ...(tradeType === 'BUY' ? { totalCost: { usd: totalCost } } : { netProceeds: { usd: proceeds } })
+          },
+          funding: null
+        };
+
         if (tradeType === 'BUY') {
-          const totalCost = gross + fee;
-          if (demoBalance < totalCost) {
-            return res.status(400).json({ success: false, message: 'Insufficient demo balance', available: parseFloat(demoBalance.toFixed(2)), required: parseFloat(totalCost.toFixed(2)) });
+          preview.funding = fundingSummary('USD', parseFloat(user?.demo_balance || 0), totalCost);
+          if (preview.funding.shortfall > 0) {
+            warnings.push({ type: 'insufficient_funds', message: 'Insufficient demo balance' });
           }
-          const newBalance = Math.round((demoBalance - totalCost) * 100) / 100;
-          const demoOrder = await DemoOrder.create({ user_id: req.user.id, symbol: msSymbol, side: 'BUY', quantity: qty, price_usd: currentPrice, gross_usd: gross, fee_usd: fee, total_cost_usd: totalCost, currency: stockCurrency, exchange: exchange.toUpperCase(), balance_after: newBalance, status: 'FILLED', filled_at: new Date() });
-          await user.update({ demo_balance: newBalance });
-          recordRevenue('trade_fee', { userId: req.user.id, amountUsd: fee, currency: 'USD', reference: `DEMO_${demoOrder.id}` });
-          return res.status(201).json({ success: true, provider: 'demo', order: { symbol: msSymbol, side: 'BUY', quantity: qty, price: currentPrice, gross, fee, totalCost, balanceAfter: newBalance } });
         } else {
-          const existingOrders = await DemoOrder.findAll({ where: { user_id: req.user.id, symbol: msSymbol } });
-          let netQty = 0;
-          for (const o of existingOrders) { if (o.side === 'BUY') netQty += parseFloat(o.quantity); else netQty -= parseFloat(o.quantity); }
-          if (netQty < qty) return res.status(400).json({ success: false, message: 'Insufficient shares', available: parseFloat(netQty.toFixed(6)), required: qty });
-          const proceeds = Math.round((gross - fee) * 100) / 100;
-          const newBalance = Math.round((demoBalance + proceeds) * 100) / 100;
-          const demoOrder = await DemoOrder.create({ user_id: req.user.id, symbol: msSymbol, side: 'SELL', quantity: qty, price_usd: currentPrice, gross_usd: gross, fee_usd: fee, total_cost_usd: proceeds, currency: stockCurrency, exchange: exchange.toUpperCase(), balance_after: newBalance, status: 'FILLED', filled_at: new Date() });
-          await user.update({ demo_balance: newBalance });
-          recordRevenue('trade_fee', { userId: req.user.id, amountUsd: fee, currency: 'USD', reference: `DEMO_${demoOrder.id}` });
-          return res.status(201).json({ success: true, provider: 'demo', order: { symbol: msSymbol, side: 'SELL', quantity: qty, price: currentPrice, gross, fee, proceeds, balanceAfter: newBalance } });
+          const available = await paperOrderService.getAvailableShares(req.user.id, msSymbol);
+          preview.shares = { available: parseFloat(available.toFixed(6)), required: qty };
+          if (available < qty) {
+            warnings.push({ type: 'insufficient_shares', message: 'Insufficient shares' });
+          }
         }
+        return respond('demo', preview);
       }
 
-      const subAccountId = await ensureMyStocksSubAccount(req.user.id);
-
-      // For BUY orders: auto-fund MyStocks sub-account from local KES wallet
-      if (tradeType === 'BUY') {
-        let currentPrice = null;
+      if (isResting) {
+        let prepared;
         try {
-          // Strip exchange suffix (e.g. SCOM.KE → SCOM) to match MyStocks symbol format
-          const ticker = msSymbol.includes('.') ? msSymbol.split('.')[0] : msSymbol;
-          const snap = await ms.getStocks({ search: ticker });
-          const all = Array.isArray(snap) ? snap : (snap?.stocks || []);
-          const stock = all.find(s => {
-            const sym = (s.symbol || '').toUpperCase();
-            return sym === msSymbol || sym === ticker;
-          }) || all[0];
-          if (stock) currentPrice = parseFloat(stock.price || stock.currentPrice || 0);
-        } catch (_) {}
-
-        if (!currentPrice || currentPrice <= 0) {
-          return res.status(503).json({ success: false, message: 'Unable to fetch current price. Please try again.' });
-        }
-
-        const exchangeRate = await exchangeService.getExchangeRate('USD', 'KES');
-        const tradeFeeRate = await platformConfigService.getSetting('trade_fee_rate');
-        const grossKes = qty * currentPrice;
-        const feeKes = Math.round(grossKes * tradeFeeRate * 100) / 100;
-        const totalKes = grossKes + feeKes;
-
-        const wallet = await Wallet.findOne({ where: { user_id: req.user.id } });
-        const kesBalance = parseFloat(wallet?.kes_balance || 0);
-
-        if (kesBalance < totalKes) {
-          return res.status(400).json({
-            success: false,
-            message: 'Insufficient balance',
-            required: `KES ${totalKes.toFixed(2)}`,
-            available: `KES ${kesBalance.toFixed(2)}`,
+          prepared = await msRestingOrderService.prepareRestingOrder(req.user.id, {
+            symbol: msSymbol,
+            side: tradeType,
+            orderType,
+            quantity: qty,
+            limitPrice,
+            stopPrice,
+            trailPercent,
+            trailAmount,
+            timeInForce: (timeInForce || 'day').toLowerCase()
           });
+        } catch (restingError) {
+          if (!restingError.status) throw restingError;
+          return res.status(restingError.status).json({ success: false, message: restingError.message });
         }
 
-        // Convert KES → USD and deposit to MyStocks sub-account
-        const usdAmount = Math.round((totalKes / exchangeRate) * 10000) / 10000;
-        try {
-          await ms.depositToSubAccount(subAccountId, {
-            amount: usdAmount,
-            currency: 'USD',
-            localAmount: totalKes,
-            localCurrency: 'KES',
-            fxRate: exchangeRate,
-            reference: `ORDER_${req.user.id}_${Date.now()}`,
-          });
-          await wallet.update({ kes_balance: Math.max(0, kesBalance - totalKes) });
-          logger.info(`Funded MyStocks $${usdAmount} (KES ${totalKes}) for user ${req.user.id}`);
-        } catch (fundErr) {
-          logger.error(`MyStocks deposit failed for user ${req.user.id}: ${fundErr.message}`);
-          const msError = fundErr.response?.data?.error || fundErr.response?.data?.message || '';
-          const userMessage = msError.toLowerCase().includes('master wallet')
-            ? 'Trading services are temporarily unavailable. Please try again later or contact support.'
-            : 'Failed to fund trading account. Please try again.';
-          return res.status(502).json({ success: false, message: userMessage });
+        const { quote, grossKes, feeKes, reservedKes, availableKes, availableShares, trail } = prepared;
+        const preview = {
+          symbol: quote.symbol,
+          side: tradeType,
+          orderType: type,
+          quantity: qty,
+          estimatedPrice: quote.localPrice,
+          currency: quote.currency,
+          ...(trail && { stopPrice: trail.stopPrice }),
+          costBreakdown: null,
+          funding: null
+        };
+        if (tradeType === 'BUY') {
+          preview.costBreakdown = {
+            stockValue: { kes: round2(grossKes) },
+            commission: { kes: feeKes },
+            totalCost: { kes: reservedKes }
+          };
+          preview.funding = fundingSummary('KES', availableKes, reservedKes);
+          if (preview.funding.shortfall > 0) {
+            warnings.push({ type: 'insufficient_funds', message: 'Insufficient balance' });
+          }
+        } else {
+          preview.shares = { available: parseFloat(Math.max(availableShares, 0).toFixed(6)), required: qty };
+          if (availableShares < qty) {
+            warnings.push({ type: 'insufficient_shares', message: 'Insufficient shares' });
+          }
         }
+        return respond('mystocks', preview);
       }
 
-      const data = await ms.placeTrade(subAccountId, { symbol: msSymbol, type: tradeType, quantity: qty });
-      await MsOrder.create({
-        user_id: req.user.id,
-        order_id: data?.orderId || null,
+      const quote = await fetchMsQuote(msSymbol);
+      const currentPrice = quote?.localPrice;
+      if (!currentPrice || currentPrice <= 0) {
+        return res.status(503).json({ success: false, message: 'Unable to fetch current price. Please try again.' });
+      }
+      const { exchangeRate, tradeFeeRate, grossKes, feeKes, totalKes, availableKes } =
+        await estimateMsBuy(req.user.id, qty, currentPrice);
+
+      const preview = {
         symbol: msSymbol,
         side: tradeType,
+        orderType: 'market',
         quantity: qty,
-        local_price: data?.localPrice || null,
-        usd_price: data?.usdPrice || null,
-        gross_usd: data?.gross || null,
-        fee_usd: data?.fee || null,
-        total_cost_usd: data?.totalCost || null,
-        currency: data?.currency || 'KES',
-        status: data?.status || 'FILLED',
-        exchange: exchange?.toUpperCase() || 'NSE',
-        wallet_balance_after: data?.newWalletBalance || null,
-        filled_at: new Date()
-      });
-      if (data?.newWalletBalance != null) {
-        const [updated] = await User.update(
-          { mystocks_wallet_balance: data.newWalletBalance },
-          { where: { id: req.user.id } }
-        );
-        logger.info(`MyStocks wallet balance updated for user ${req.user.id}: ${data.newWalletBalance} (rows updated: ${updated})`);
+        estimatedPrice: currentPrice,
+        currency: quote.currency,
+        ...(notionalAmounts && { notional: notionalAmounts }),
+        costBreakdown: {
+          stockValue: { kes: round2(grossKes), usd: round2(grossKes / exchangeRate) },
+          commission: { kes: feeKes, usd: round2(feeKes / exchangeRate), rate: formatRate(tradeFeeRate) },
+          ...(tradeType === 'BUY' && { totalCost: { kes: round2(totalKes), usd: round2(totalKes / exchangeRate) } })
+        },
+        funding: null
+      };
+      // MyStocks BUYs are funded from the KES wallet at placement
+      if (tradeType === 'BUY') {
+        preview.funding = fundingSummary('KES', availableKes, totalKes);
+        if (preview.funding.shortfall > 0) {
+          warnings.push({ type: 'insufficient_funds', message: 'Insufficient balance' });
+        }
+      } else {
+        // Shares already held by resting SELLs can't be sold again
+        let availableShares;
+        try {
+          availableShares = await msRestingOrderService.getAvailableShares(req.user.id, msSymbol);
+        } catch (sharesError) {
+          if (!sharesError.status) throw sharesError;
+          return res.status(sharesError.status).json({ success: false, message: sharesError.message });
+        }
+        preview.shares = { available: parseFloat(Math.max(availableShares, 0).toFixed(6)), required: qty };
+        if (availableShares < qty) {
+          warnings.push({ type: 'insufficient_shares', message: 'Insufficient shares' });
+        }
       }
-      return res.status(202).json({ success: true, provider: 'mystocks', data });
+      return respond('mystocks', preview);
     }
 
     if (!alpacaEnabled) {
       return res.status(503).json({ success: false, message: 'US market trading is currently disabled.' });
     }
 
+    const usOrderError = validateUsOrder({
+      orderType, orderClass, timeInForce, takeProfit, stopLoss, notional, trailPercent, trailAmount
+    });
+    if (usOrderError) {
+      return res.status(400).json({ success: false, message: usOrderError });
+    }
+
     if (!user || !user.alpaca_account_id) {
       return res.status(404).json({
         success: false,
@@ -189,39 +282,11 @@ const createOrder = async (req, res) => {
       });
     }
 
-    // Get Alpaca account to check available cash
-    const alpacaAccount = await alpacaService.getAccount(user.alpaca_account_id);
-    const alpacaCashOnly = parseFloat(alpacaAccount.cash || 0);
-
-    // Get local wallet balance to combine with Alpaca cash
-    let wallet = await Wallet.findOne({ where: { user_id: req.user.id } });
-    if (!wallet) {
-      wallet = { kes_balance: 0, usd_balance: 0, frozen_kes: 0, frozen_usd: 0 };
-    }
-    const localUsdBalance = parseFloat(wallet.usd_balance) || 0;
-    const localKesBalance = parseFloat(wallet.kes_balance) || 0;
-
-    // Get exchange rate for KES to USD conversion
-    const kesExchangeRate = await exchangeService.getExchangeRate('USD', 'KES');
-    const localCashUsd = localUsdBalance + (localKesBalance / kesExchangeRate);
-
-    // Combined available cash = Alpaca cash + Local wallet (matching portfolio calculation)
-    const alpacaCash = alpacaCashOnly + localCashUsd;
-
-    // Get current stock price for order value calculation
-    const quote = await alpacaService.getLatestQuote(symbol);
-
-    // Validate and parse prices
-    let estimatedPrice = 0;
-    if (limitPrice) {
-      estimatedPrice = parseFloat(limitPrice);
-    } else if (quote.ap) {
-      estimatedPrice = parseFloat(quote.ap);
-    } else if (quote.bp) {
-      estimatedPrice = parseFloat(quote.bp);
-    }
+    const estimate = await estimateUsOrder({
+      user, symbol, orderClass, quantity, notional, notionalCurrency, limitPrice, takeProfit, stopLoss
+    });
+    const { alpacaCash, estimatedPrice, notionalAmounts, parsedQuantity, totalCostUsd } = estimate;
 
-    // Validate estimated price
     if (!estimatedPrice || isNaN(estimatedPrice) || estimatedPrice <= 0) {
       return res.status(400).json({
         success: false,
@@ -229,8 +294,6 @@ const createOrder = async (req, res) => {
         error: 'Price unavailable'
       });
     }
-
-    const parsedQuantity = parseFloat(quantity);
     if (!parsedQuantity || isNaN(parsedQuantity) || parsedQuantity <= 0) {
       return res.status(400).json({
         success: false,
@@ -239,227 +302,52 @@ const createOrder = async (req, res) => {
       });
     }
 
-    const orderValue = parsedQuantity * estimatedPrice;
-
-    // Broker limitation: minimum order value is $1
-    const MIN_ORDER_VALUE_USD = 1;
-    if (orderValue < MIN_ORDER_VALUE_USD) {
-      const minQuantity = Math.ceil((MIN_ORDER_VALUE_USD / estimatedPrice) * 10000) / 10000;
-      return res.status(400).json({
-        success: false,
-        message: 'Order value is below the minimum required',
-        error: {
-          type: 'minimum_order_value',
-          orderValue: `$${orderValue.toFixed(4)}`,
-          minimumRequired: `$${MIN_ORDER_VALUE_USD}`,
-          currentPrice: `$${estimatedPrice.toFixed(2)}`,
-          currentQuantity: parsedQuantity,
-          minimumQuantity: minQuantity,
-          suggestion: `Increase quantity to at least ${minQuantity} shares to meet the $${MIN_ORDER_VALUE_USD} minimum order value`
-        }
-      });
+    const minimumValueError = minimumOrderValueError(estimate);
+    if (minimumValueError) {
+      warnings.push({ message: 'Order value is below the minimum required', ...minimumValueError });
     }
+    if (notionalAmounts) warnings.push(notionalWarning(notionalAmounts));
 
-    const COMMISSION_RATE = await platformConfigService.getSetting('trade_fee_rate');
-    const commissionUsd = orderValue * COMMISSION_RATE;
-    const totalCostUsd = orderValue + commissionUsd;
-
-    // Reuse exchange rate from above (kesExchangeRate)
-    const exchangeRate = kesExchangeRate;
-
-    // Calculate values in KES for display
-    const orderValueKes = orderValue * exchangeRate;
-    const commissionKes = commissionUsd * exchangeRate;
-    const totalCostKes = totalCostUsd * exchangeRate;
-
-    // Check Alpaca buying power (all orders execute in USD on Alpaca)
-    if (side === 'buy' && alpacaCash < totalCostUsd) {
-      const shortfall = totalCostUsd - alpacaCash;
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient funds to place this order',
-        error: {
-          type: 'insufficient_funds',
-          currency: 'USD',
-          required: `$${totalCostUsd.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-          available: `$${alpacaCash.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-          shortfall: `$${shortfall.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-          suggestions: [
-            `Deposit at least $${shortfall.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} to complete this order`,
-            'Try a smaller order amount'
-          ]
-        }
-        // Old detailed response format (commented out):
-        // error: {
-        //   type: 'insufficient_funds',
-        //   required: {
-        //     usd: `$${totalCostUsd.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-        //     kes: `KES ${totalCostKes.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
-        //   },
-        //   available: {
-        //     usd: `$${alpacaCash.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-        //     kes: `KES ${(alpacaCash * exchangeRate).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
-        //   },
-        //   shortfall: {
-        //     usd: `$${shortfall.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-        //     kes: `KES ${(shortfall * exchangeRate).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
-        //   },
-        //   breakdown: {
-        //     stockValue: {
-        //       usd: `$${orderValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-        //       kes: `KES ${orderValueKes.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
-        //     },
-        //     commission: {
-        //       usd: `$${commissionUsd.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (1%)`,
-        //       kes: `KES ${commissionKes.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (1%)`
-        //     },
-        //     total: {
-        //       usd: `$${totalCostUsd.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-        //       kes: `KES ${totalCostKes.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
-        //     }
-        //   },
-        //   suggestions: [
-        //     'Deposit more funds to your trading account',
-        //     'Reduce the order quantity',
-        //     'Use a limit order for better price control'
-        //   ]
-        // }
-      });
-    }
-
-    // Create order in database first
-    const order = await Order.create({
-      user_id: req.user.id,
+    const preview = {
       symbol: symbol.toUpperCase(),
       side,
-      order_type: orderType,
+      orderType,
+      orderClass,
       quantity: parsedQuantity,
-      limit_price: limitPrice ? parseFloat(limitPrice) : null,
-      stop_price: stopPrice ? parseFloat(stopPrice) : null,
-      time_in_force: timeInForce || 'day',
-      order_value: orderValue,
-      currency: 'USD', // All orders execute in USD on Alpaca
-      exchange_rate: exchangeRate,
-      status: 'pending',
-      fees: {
-        commission: {
-          rate: COMMISSION_RATE,
-          percentage: '1%',
-          amountUsd: commissionUsd,
-          amountKes: commissionKes
-        },
-        totalCostUsd: totalCostUsd,
-        totalCostKes: totalCostKes,
-        stockValueUsd: orderValue,
-        stockValueKes: orderValueKes
-      },
-      metadata: {
-        client_order_id: `ORDER_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
-        estimated_price: estimatedPrice,
-        display_currency: currency // What currency user selected for display
+      estimatedPrice,
+      currency: 'USD',
+      exchangeRate: estimate.exchangeRate,
+      ...(notionalAmounts && { notional: notionalAmounts }),
+      costBreakdown: formatCostBreakdown(buildUsFees(estimate, orderClass)),
+      funding: null
+    };
+    if (side === 'buy') {
+      preview.funding = fundingSummary('USD', alpacaCash, totalCostUsd);
+      if (preview.funding.shortfall > 0) {
+        warnings.push({ type: 'insufficient_funds', message: 'Insufficient funds to place this order' });
       }
-    });
+    }
 
+    // Orders placed outside market hours queue until the next open
     try {
-
-      // Prepare Alpaca order
-      const alpacaOrderData = {
-        symbol: symbol.toUpperCase(),
-        side,
-        orderType,
-        quantity: parsedQuantity,
-        timeInForce: timeInForce || 'day',
-        clientOrderId: order.metadata.client_order_id
-      };
-
-      if (limitPrice) alpacaOrderData.limitPrice = parseFloat(limitPrice);
-      if (stopPrice) alpacaOrderData.stopPrice = parseFloat(stopPrice);
-
-      // Place order with Alpaca
-      const alpacaOrder = await alpacaService.createOrder(alpacaOrderData);
-
-      // Update order with Alpaca details
-      await order.updateFromAlpaca(alpacaOrder);
-
-      logger.info(`Order created successfully for user ${req.user.id}:`, {
-        orderId: order.id,
-        alpacaOrderId: alpacaOrder.id,
-        symbol,
-        side,
-        quantity
-      });
-
-      // Send notification email
-      try {
-        await emailService.sendTransactionEmail(user, {
-          type: `order_${side}`,
-          amount: orderValue,
-          currency,
-          status: 'submitted',
-          reference: order.id,
-          metadata: { symbol, quantity }
+      const marketStatus = await alpacaService.getMarketStatus();
+      if (!marketStatus.is_open) {
+        warnings.push({
+          type: 'market_closed',
+          message: 'The market is closed. The order will be queued until the next open.',
+          nextOpen: marketStatus.next_open || null
         });
-      } catch (emailError) {
-        logger.warn('Failed to send order notification email:', emailError);
       }
-
-      res.status(201).json({
-        success: true,
-        message: 'Order placed successfully',
-        order: {
-          id: order.id,
-          alpacaOrderId: order.alpaca_order_id,
-          symbol: order.symbol,
-          side: order.side,
-          orderType: order.order_type,
-          quantity: order.quantity,
-          status: order.status,
-          orderValue: order.order_value,
-          currency: order.currency,
-          exchangeRate: order.exchange_rate,
-          fees: order.fees,
-          createdAt: order.createdAt
-        },
-        costBreakdown: {
-          stockValue: {
-            usd: order.fees.stockValueUsd,
-            kes: order.fees.stockValueKes
-          },
-          commission: {
-            usd: order.fees.commission.amountUsd,
-            kes: order.fees.commission.amountKes,
-            rate: order.fees.commission.percentage
-          },
-          totalCost: {
-            usd: order.fees.totalCostUsd,
-            kes: order.fees.totalCostKes
-          }
-        }
-      });
-
-    } catch (alpacaError) {
-      // Update order status to failed
-      await order.update({
-        status: 'rejected',
-        rejection_reason: alpacaError.message
-      });
-
-      logger.error('Alpaca order creation failed:', alpacaError);
-
-      res.status(400).json({
-        success: false,
-        message: 'Failed to place order with broker',
-        error: alpacaError.message
-      });
+    } catch (marketError) {
+      logger.warn(`Market status unavailable for order preview: ${marketError.message}`);
     }
 
+    return respond('alpaca', preview);
   } catch (error) {
-    logger.error('Create order error:', error.message);
-    const msMessage = error.response?.data?.error || error.response?.data?.message;
-    const status = error.response?.status || 500;
-    res.status(status).json({
+    logger.error('Preview order error:', error);
+    res.status(500).json({
       success: false,
-      message: msMessage || error.message || 'Server error during order creation'
+      message: 'Failed to preview order'
     });
   }
 };
@@ -476,7 +364,7 @@ const getOrders = async (req, res) => {
     // MyStocks user (no Alpaca account, or explicit African exchange filter)
     if (!user?.alpaca_account_id || isAfrican(exchange)) {
       // Normalize status: app may send Alpaca-style names (pending_new) — map to MsOrder values
-      const msStatusMap = { pending_new: 'PENDING', filled: 'FILLED', canceled: 'CANCELLED', expired: 'EXPIRED' };
+      const msStatusMap = { pending_new: 'PENDING', open: 'PENDING', filled: 'FILLED', canceled: 'CANCELLED', expired: 'EXPIRED' };
       const whereClause = { user_id: req.user.id };
       if (status && status.toLowerCase() !== 'all') {
         whereClause.status = msStatusMap[status.toLowerCase()] || status.toUpperCase();
@@ -492,36 +380,10 @@ const getOrders = async (req, res) => {
         offset
       });
 
-      const msStatusToAlpaca = { PENDING: 'pending_new', FILLED: 'filled', CANCELLED: 'canceled', EXPIRED: 'expired' };
       return res.json({
         success: true,
         provider: 'mystocks',
-        orders: msOrders.map(o => {
-          const usdPrice = parseFloat(o.usd_price || 0);
-          const createdAt = o.createdAt || o.created_at || null;
-          return {
-            id: o.id,
-            orderId: o.order_id,
-            symbol: o.symbol,
-            logo: `/api/v1/assets/logo/${o.symbol}`,
-            side: o.side.toLowerCase(),       // Flutter expects lowercase: 'buy' / 'sell'
-            quantity: parseFloat(o.quantity),
-            price: usdPrice,                  // Flutter: json['price']
-            averagePrice: usdPrice,           // Flutter: json['averagePrice']
-            limitPrice: usdPrice,
-            localPrice: parseFloat(o.local_price || 0),
-            usdPrice,
-            grossUsd: parseFloat(o.gross_usd || 0),
-            feeUsd: parseFloat(o.fee_usd || 0),
-            totalCostUsd: parseFloat(o.total_cost_usd || 0),
-            currency: o.currency,
-            status: msStatusToAlpaca[o.status] || o.status.toLowerCase(),
-            exchange: o.exchange,
-            filledAt: o.filled_at,
-            submittedAt: createdAt,           // Flutter: json['submittedAt'] → date display
-            createdAt
-          };
-        }),
+        orders: msOrders.map(formatMsOrder),
         pagination: {
           currentPage: pageNum,
           totalPages: Math.ceil(count / limitNum),
@@ -553,11 +415,20 @@ const getOrders = async (req, res) => {
         logo: alpacaService.getCompanyLogo(order.symbol),
         side: order.side,
         orderType: order.order_type,
+        orderClass: order.order_class,
+        parentOrderId: order.parent_order_id,
+        legType: order.leg_type,
+        replacesOrderId: order.replaces_order_id,
+        replacedByOrderId: order.replaced_by_order_id,
         quantity: order.quantity,
+        notional: order.notional,
         filledQuantity: order.filled_quantity,
         remainingQuantity: order.remainingQuantity,
         limitPrice: order.limit_price,
         stopPrice: order.stop_price,
+        trailPercent: order.trail_percent,
+        trailAmount: order.trail_amount,
+        highWaterMark: order.high_water_mark,
         averagePrice: order.average_price,
         status: order.status,
         orderValue: order.order_value,
@@ -612,6 +483,10 @@ const getOrder = async (req, res) => {
       }
     }
 
+    const legs = order.order_class && order.order_class !== 'simple' && !order.parent_order_id
+      ? await Order.findAll({ where: { parent_order_id: order.id }, order: [['created_at', 'ASC']] })
+      : [];
+
     res.json({
       success: true,
       order: {
@@ -621,11 +496,21 @@ const getOrder = async (req, res) => {
         logo: alpacaService.getCompanyLogo(order.symbol),
         side: order.side,
         orderType: order.order_type,
+        orderClass: order.order_class,
+        parentOrderId: order.parent_order_id,
+        legType: order.leg_type,
+        replacesOrderId: order.replaces_order_id,
+        replacedByOrderId: order.replaced_by_order_id,
+        legs: legs.map(formatLegOrder),
         quantity: order.quantity,
+        notional: order.notional,
         filledQuantity: order.filled_quantity,
         remainingQuantity: order.remainingQuantity,
         limitPrice: order.limit_price,
         stopPrice: order.stop_price,
+        trailPercent: order.trail_percent,
+        trailAmount: order.trail_amount,
+        highWaterMark: order.high_water_mark,
         averagePrice: order.average_price,
         status: order.status,
         orderValue: order.order_value,
@@ -663,6 +548,17 @@ const cancelOrder = async (req, res) => {
     });
 
     if (!order) {
+      // Not an Alpaca order — it may be a resting MyStocks order
+      try {
+        const msOrder = await msRestingOrderService.cancelRestingOrder(req.user.id, orderId);
+        if (msOrder) {
+          return res.json({ success: true, message: 'Order cancelled successfully' });
+        }
+      } catch (cancelError) {
+        if (!cancelError.status) throw cancelError;
+        return res.status(cancelError.status).json({ success: false, message: cancelError.message });
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Order not found'
@@ -687,6 +583,19 @@ const cancelOrder = async (req, res) => {
       cancelled_at: new Date()
     });
 
+    // Alpaca cancels the legs along with an advanced order's parent
+    if (order.order_class && order.order_class !== 'simple' && !order.parent_order_id) {
+      await Order.update(
+        { status: 'canceled', cancelled_at: new Date() },
+        {
+          where: {
+            parent_order_id: order.id,
+            status: { [Order.sequelize.Sequelize.Op.notIn]: ['filled', 'canceled', 'expired', 'rejected', 'replaced'] }
+          }
+        }
+      );
+    }
+
     // Unfreeze funds if it was a buy order
     if (order.side === 'buy') {
       const wallet = await Wallet.findOne({ where: { user_id: req.user.id } });
@@ -713,6 +622,209 @@ const cancelOrder = async (req, res) => {
   }
 };
 
+// Order types whose price or size can be amended in place through Alpaca's replace
+const REPLACEABLE_ORDER_TYPES = ['limit', 'stop', 'stop_limit', 'trailing_stop'];
+const PENDING_CHANGE_STATUSES = ['pending_replace', 'pending_cancel'];
+
+const replaceOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const {
+      qty: quantity,
+      limit_price: limitPrice,
+      stop_price: stopPrice,
+      time_in_force: timeInForce
+    } = req.body;
+
+    const order = await Order.findOne({
+      where: {
+        id: orderId,
+        user_id: req.user.id
+      }
+    });
+
+    if (!order) {
+      const msOrder = await MsOrder.findOne({ where: { id: orderId, user_id: req.user.id } });
+      if (msOrder) {
+        return res.status(400).json({
+          success: false,
+          message: 'African exchange orders cannot be modified. Cancel the order and place a new one.'
+        });
+      }
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.isCompleted || !order.alpaca_order_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only open orders can be modified'
+      });
+    }
+
+    // Alpaca is still working on an earlier replace or cancel of this order
+    if (PENDING_CHANGE_STATUSES.includes(order.status)) {
+      return res.status(422).json({
+        success: false,
+        message: 'This order already has a change pending with the broker. Try again once it completes.'
+      });
+    }
+
+    if (!REPLACEABLE_ORDER_TYPES.includes(order.order_type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only limit, stop and trailing stop orders can be modified'
+      });
+    }
+
+    // Alpaca replaces an advanced order's legs individually, not through the parent
+    if (order.order_class !== 'simple' && !order.parent_order_id) {
+      return res.status(400).json({
+        success: false,
+        message: `Modify the take-profit or stop-loss leg of a ${order.order_class} order instead`
+      });
+    }
+
+    if (quantity == null && limitPrice == null && stopPrice == null && timeInForce == null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one of qty, limit_price, stop_price or time_in_force'
+      });
+    }
+    if (limitPrice != null && !['limit', 'stop_limit'].includes(order.order_type)) {
+      return res.status(400).json({ success: false, message: `limit_price cannot be set on a ${order.order_type} order` });
+    }
+    if (stopPrice != null && !['stop', 'stop_limit'].includes(order.order_type)) {
+      return res.status(400).json({ success: false, message: `stop_price cannot be set on a ${order.order_type} order` });
+    }
+
+    const newQuantity = quantity != null ? parseFloat(quantity) : parseFloat(order.quantity);
+    const newLimitPrice = limitPrice != null ? parseFloat(limitPrice) : order.limit_price;
+    const newStopPrice = stopPrice != null ? parseFloat(stopPrice) : order.stop_price;
+    const newTimeInForce = timeInForce || order.time_in_force;
+
+    // Re-price the fee breakdown at the order's original commission rate and exchange rate
+    const estimatedPrice = parseFloat(newLimitPrice || newStopPrice || order.metadata?.estimated_price || 0);
+    const orderValue = newQuantity * estimatedPrice;
+    const commissionRate = order.fees?.commission?.rate ?? await platformConfigService.getSetting('trade_fee_rate');
+    const commissionUsd = orderValue * commissionRate;
+    const exchangeRate = parseFloat(order.exchange_rate) || await exchangeService.getExchangeRate('USD', 'KES');
+    // A buy that grows is funded again, as createOrder would fund a new order of that size
+    if (order.side === 'buy' && orderValue > parseFloat(order.order_value || 0)) {
+      const user = await User.findByPk(req.user.id);
+      const estimate = await estimateUsOrder({
+        user,
+        symbol: order.symbol,
+        orderClass: 'simple',
+        quantity: newQuantity,
+        limitPrice: estimatedPrice || undefined
+      });
+      if (estimate.alpacaCash < estimate.totalCostUsd) {
+        return res.status(400).json(insufficientFundsResponse(estimate));
+      }
+    }
+
+    const clientOrderId = `ORDER_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+
+    let alpacaOrder;
+    try {
+      alpacaOrder = await alpacaService.replaceOrder(order.alpaca_order_id, {
+        quantity: quantity != null ? newQuantity : undefined,
+        limitPrice: limitPrice != null ? newLimitPrice : undefined,
+        stopPrice: stopPrice != null ? newStopPrice : undefined,
+        timeInForce: timeInForce || undefined,
+        clientOrderId
+      });
+    } catch (alpacaError) {
+      logger.error('Alpaca order replace failed:', alpacaError);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to modify order with broker',
+        error: alpacaError.message
+      });
+    }
+
+    const replacement = await Order.create({
+      user_id: order.user_id,
+      symbol: order.symbol,
+      side: order.side,
+      order_type: order.order_type,
+      order_class: order.order_class,
+      parent_order_id: order.parent_order_id,
+      leg_type: order.leg_type,
+      replaces_order_id: order.id,
+      quantity: newQuantity,
+      limit_price: newLimitPrice,
+      stop_price: newStopPrice,
+      trail_percent: order.trail_percent,
+      trail_amount: order.trail_amount,
+      time_in_force: newTimeInForce,
+      order_value: orderValue,
+      currency: order.currency,
+      exchange_rate: exchangeRate,
+      status: 'pending',
+      fees: {
+        ...order.fees,
+        commission: {
+          ...order.fees?.commission,
+          rate: commissionRate,
+          amountUsd: commissionUsd,
+          amountKes: commissionUsd * exchangeRate
+        },
+        totalCostUsd: orderValue + commissionUsd,
+        totalCostKes: (orderValue + commissionUsd) * exchangeRate,
+        stockValueUsd: orderValue,
+        stockValueKes: orderValue * exchangeRate
+      },
+      metadata: {
+        ...order.metadata,
+        client_order_id: clientOrderId,
+        estimated_price: estimatedPrice
+      }
+    });
+    await replacement.updateFromAlpaca(alpacaOrder);
+
+    await order.update({
+      status: 'replaced',
+      replaced_by_order_id: replacement.id
+    });
+
+    logger.info(`Order replaced: ${order.id} -> ${replacement.id}`);
+
+    res.json({
+      success: true,
+      message: 'Order modified successfully',
+      replacedOrderId: order.id,
+      order: {
+        id: replacement.id,
+        alpacaOrderId: replacement.alpaca_order_id,
+        replacesOrderId: replacement.replaces_order_id,
+        symbol: replacement.symbol,
+        side: replacement.side,
+        orderType: replacement.order_type,
+        orderClass: replacement.order_class,
+        quantity: replacement.quantity,
+        limitPrice: replacement.limit_price,
+        stopPrice: replacement.stop_price,
+        timeInForce: replacement.time_in_force,
+        status: replacement.status,
+        orderValue: replacement.order_value,
+        currency: replacement.currency,
+        fees: replacement.fees,
+        createdAt: replacement.createdAt
+      }
+    });
+  } catch (error) {
+    logger.error('Replace order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during order modification'
+    });
+  }
+};
+
 const syncOrdersWithAlpaca = async (req, res) => {
   try {
     // Get all non-completed orders from database
@@ -720,7 +832,7 @@ const syncOrdersWithAlpaca = async (req, res) => {
       where: {
         user_id: req.user.id,
         status: {
-          [Order.sequelize.Sequelize.Op.notIn]: ['filled', 'canceled', 'expired', 'rejected']
+          [Order.sequelize.Sequelize.Op.notIn]: ['filled', 'canceled', 'expired', 'rejected', 'replaced']
         }
       }
     });
@@ -769,6 +881,17 @@ const handleOrderFill = async (order) => {
     const commissionUsd = order.fees?.commission?.amountUsd || 0;
     const actualStockCost = order.filled_quantity * order.average_price;
 
+    // Journal the fill, with the commission it earned the platform
+    await ledgerService.recordBrokerTrade({
+      provider: 'alpaca',
+      side: order.side,
+      amount: actualStockCost,
+      fee: commissionUsd,
+      reference: `ORDER_${order.id}`,
+      description: `${order.side.toUpperCase()} ${order.filled_quantity} ${order.symbol} @ $${order.average_price}`,
+      metadata: { orderId: order.id, userId: order.user_id, symbol: order.symbol, quantity: order.filled_quantity, price: order.average_price }
+    });
+
     // Create transaction record for the trade (for tracking purposes)
     if (wallet) {
       await Transaction.create({
@@ -842,8 +965,10 @@ const handleOrderFill = async (order) => {
 
 module.exports = {
   createOrder,
+  previewOrder,
   getOrders,
   getOrder,
   cancelOrder,
+  replaceOrder,
   syncOrdersWithAlpaca
 };
\ No newline at end of file
@@ -2,55 +2,19 @@ const { User, DemoOrder } = require('../models');
 const alpacaService = require('../services/alpacaService');
 const ms = require('../services/mystocksService');
 const exchangeService = require('../services/exchangeService');
+const paperOrderService = require('../services/paperOrderService');
+const portfolioService = require('../services/portfolioService');
+const platformConfigService = require('../services/platformConfigService');
+const { convertNotional, notionalToQuantity } = require('../utils/notional');
 const logger = require('../utils/logger');
 
 const AFRICAN_EXCHANGES = new Set(['NSE', 'NGX', 'JSE', 'GSE', 'BRVM', 'LUSE', 'EGX', 'BSE', 'SEM']);
 const isAfrican = (exchange) => !!exchange && AFRICAN_EXCHANGES.has(exchange.toUpperCase());
 
-// Build positions from demo_orders with live price lookup
+// Demo positions as the portfolio service replays and prices them, with KES amounts
 const buildDemoPositions = async (userId, exchangeRate) => {
-  const orders = await DemoOrder.findAll({ where: { user_id: userId }, order: [['filled_at', 'ASC']] });
-  const bySymbol = {};
-  for (const o of orders) {
-    const sym = o.symbol;
-    if (!bySymbol[sym]) bySymbol[sym] = { symbol: sym, exchange: o.exchange || 'NSE', currency: o.currency || 'USD', totalQty: 0, totalCost: 0 };
-    const qty = parseFloat(o.quantity);
-    const price = parseFloat(o.price_usd || 0);
-    if (o.side === 'BUY') { bySymbol[sym].totalQty += qty; bySymbol[sym].totalCost += qty * price; }
-    else { bySymbol[sym].totalQty -= qty; bySymbol[sym].totalCost -= qty * price; }
-  }
-
-  return Promise.all(
-    Object.values(bySymbol).filter(p => p.totalQty > 0.00001).map(async p => {
-      let currentPrice = p.totalQty > 0 ? p.totalCost / p.totalQty : 0;
-      try {
-        if (AFRICAN_EXCHANGES.has(p.exchange?.toUpperCase())) {
-          const stocks = await ms.getStocks({ search: p.symbol });
-          const stock = Array.isArray(stocks) ? stocks[0] : stocks?.stocks?.[0];
-          if (stock?.usdPrice) currentPrice = parseFloat(stock.usdPrice);
-          else if (stock?.price) currentPrice = parseFloat(stock.price) / (exchangeRate || 1);
-        } else {
-          const quote = await alpacaService.getLatestQuote(p.symbol);
-          if (quote.ap || quote.bp) currentPrice = parseFloat(quote.ap || quote.bp);
-        }
-      } catch (_) {}
-      const avgEntry = p.totalQty > 0 ? p.totalCost / p.totalQty : 0;
-      const marketValue = p.totalQty * currentPrice;
-      const costBasis = p.totalQty * avgEntry;
-      const unrealizedPL = marketValue - costBasis;
-      return {
-        symbol: p.symbol, name: p.symbol,
-        logo: `/api/v1/assets/logo/${p.symbol}`,
-        quantity: p.totalQty, side: 'long',
-        averageEntryPrice: parseFloat(avgEntry.toFixed(8)),
-        currentPrice, marketValue, marketValueKES: marketValue * (exchangeRate || 1),
-        costBasis, costBasisKES: costBasis * (exchangeRate || 1),
-        unrealizedPL, unrealizedPLKES: unrealizedPL * (exchangeRate || 1),
-        unrealizedPLPercent: costBasis > 0 ? parseFloat(((unrealizedPL / costBasis) * 100).toFixed(2)) : 0,
-        exchange: p.exchange, currency: p.currency, provider: 'demo', status: 'open'
-      };
-    })
-  );
+  const positions = await portfolioService.getDemoPositions(userId);
+  return positions.map(p => portfolioService.withKes(p, exchangeRate));
 };
 
 // GET /api/v1/paper-trading
@@ -94,19 +58,77 @@ const getPaperAccount = async (req, res) => {
   }
 };
 
+const toNumberOrNull = (value) => (value != null ? parseFloat(value) : null);
+
+const formatPaperOrder = (o) => ({
+  id: o.id, symbol: o.symbol, side: o.side,
+  quantity: parseFloat(o.quantity),
+  orderType: o.order_type || 'market',
+  price: parseFloat(o.price_usd || 0),
+  gross: parseFloat(o.gross_usd || 0),
+  fee: parseFloat(o.fee_usd || 0),
+  totalCost: parseFloat(o.total_cost_usd || 0),
+  balanceAfter: parseFloat(o.balance_after || 0),
+  stopPrice: toNumberOrNull(o.stop_price),
+  trailPercent: toNumberOrNull(o.trail_percent),
+  trailAmount: toNumberOrNull(o.trail_amount),
+  highWaterMark: toNumberOrNull(o.high_water_mark),
+  exchange: o.exchange, currency: o.currency,
+  status: o.status, filledAt: o.filled_at, triggeredAt: o.triggered_at || null
+});
+
 // POST /api/v1/paper-trading/trade
-// Body: { symbol, side (BUY|SELL), qty, exchange }
+// Body: { symbol, side (BUY|SELL), qty | notional, notional_currency?, exchange, type?, trail_percent?, trail_amount? }
 const placePaperTrade = async (req, res) => {
   try {
-    const { symbol, side, qty: quantity, exchange } = req.body;
+    const {
+      symbol, side, qty: quantity, exchange, type = 'market', trail_percent, trail_amount,
+      notional, notional_currency: notionalCurrency = 'USD'
+    } = req.body;
 
     const tradeType = (side || '').toUpperCase();
     if (!['BUY', 'SELL'].includes(tradeType)) {
       return res.status(400).json({ success: false, message: 'side must be BUY or SELL' });
     }
 
-    const qty = parseFloat(quantity);
-    if (!qty || qty <= 0) return res.status(400).json({ success: false, message: 'qty must be a positive number' });
+    const orderType = String(type).toLowerCase();
+    if (!['market', 'trailing_stop'].includes(orderType)) {
+      return res.status(400).json({ success: false, message: 'type must be market or trailing_stop' });
+    }
+
+    let qty = parseFloat(quantity);
+    if (notional != null) {
+      if (quantity != null) {
+        return res.status(400).json({ success: false, message: 'Provide either qty or notional, not both' });
+      }
+      if (!(parseFloat(notional) > 0)) {
+        return res.status(400).json({ success: false, message: 'notional must be a positive number' });
+      }
+      if (!['KES', 'USD'].includes(String(notionalCurrency).toUpperCase())) {
+        return res.status(400).json({ success: false, message: 'notional_currency must be KES or USD' });
+      }
+      if (orderType !== 'market') {
+        return res.status(400).json({ success: false, message: 'notional orders must be market orders' });
+      }
+    } else if (!qty || qty <= 0) {
+      return res.status(400).json({ success: false, message: 'qty must be a positive number' });
+    }
+
+    if (orderType === 'trailing_stop') {
+      try {
+        const order = await paperOrderService.createTrailingStop(req.user.id, {
+          symbol: symbol || '', exchange, side: tradeType, quantity: qty,
+          trailPercent: trail_percent, trailAmount: trail_amount
+        });
+        return res.status(201).json({ success: true, provider: 'demo', order: formatPaperOrder(order) });
+      } catch (err) {
+        if (err.status) {
+          const { status, message, available, required } = err;
+          return res.status(status).json({ success: false, message, available, required });
+        }
+        throw err;
+      }
+    }
 
     const user = await User.findByPk(req.user.id, { attributes: ['id', 'demo_balance'] });
     const sym = (symbol || '').toUpperCase();
@@ -133,8 +155,19 @@ const placePaperTrade = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Unable to fetch current price for this stock' });
     }
 
+    // Paper prices are in USD, so the share count comes from the USD value of the amount
+    let notionalAmounts = null;
+    if (notional != null) {
+      notionalAmounts = convertNotional(notional, notionalCurrency, exchangeRate);
+      qty = notionalToQuantity(notionalAmounts.usd, currentPrice);
+      if (!qty) {
+        return res.status(400).json({ success: false, message: 'Notional amount is too small to buy a fraction of a share' });
+      }
+    }
+
     const gross = Math.round(qty * currentPrice * 100) / 100;
-    const fee = Math.round(gross * 0.01 * 100) / 100;
+    const tradeFeeRate = await platformConfigService.getSetting('trade_fee_rate');
+    const fee = Math.round(gross * tradeFeeRate * 100) / 100;
 
     if (tradeType === 'BUY') {
       const totalCost = gross + fee;
@@ -160,17 +193,14 @@ const placePaperTrade = async (req, res) => {
         order: {
           symbol: sym, side: 'BUY', quantity: qty,
           price: currentPrice, gross, fee, totalCost,
+          ...(notionalAmounts && { notional: notionalAmounts }),
           balanceAfter: newBalance,
           balanceAfterKES: parseFloat((newBalance / exchangeRate).toFixed(2))
         }
       });
     } else {
-      const existingOrders = await DemoOrder.findAll({ where: { user_id: req.user.id, symbol: sym } });
-      let netQty = 0;
-      for (const o of existingOrders) {
-        if (o.side === 'BUY') netQty += parseFloat(o.quantity);
-        else netQty -= parseFloat(o.quantity);
-      }
+      // Shares already promised to pending trailing stops can't be sold twice
+      const netQty = await paperOrderService.getAvailableShares(req.user.id, sym);
       if (netQty < qty) {
         return res.status(400).json({
           success: false,
@@ -194,6 +224,7 @@ const placePaperTrade = async (req, res) => {
         order: {
           symbol: sym, side: 'SELL', quantity: qty,
           price: currentPrice, gross, fee, proceeds,
+          ...(notionalAmounts && { notional: notionalAmounts }),
           balanceAfter: newBalance,
           balanceAfterKES: parseFloat((newBalance / exchangeRate).toFixed(2))
         }
@@ -222,17 +253,7 @@ const getPaperOrders = async (req, res) => {
 
     return res.json({
       success: true, provider: 'demo',
-      orders: orders.map(o => ({
-        id: o.id, symbol: o.symbol, side: o.side,
-        quantity: parseFloat(o.quantity),
-        price: parseFloat(o.price_usd || 0),
-        gross: parseFloat(o.gross_usd || 0),
-        fee: parseFloat(o.fee_usd || 0),
-        totalCost: parseFloat(o.total_cost_usd || 0),
-        balanceAfter: parseFloat(o.balance_after || 0),
-        exchange: o.exchange, currency: o.currency,
-        status: o.status, filledAt: o.filled_at
-      }))
+      orders: orders.map(formatPaperOrder)
     });
   } catch (error) {
     logger.error('Get paper orders error:', error);
@@ -240,6 +261,24 @@ const getPaperOrders = async (req, res) => {
   }
 };
 
+// DELETE /api/v1/paper-trading/orders/:orderId
+// Only pending trailing stops can be cancelled; market paper trades fill immediately
+const cancelPaperOrder = async (req, res) => {
+  try {
+    const order = await paperOrderService.cancelOrder(req.user.id, req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    return res.json({ success: true, provider: 'demo', order: formatPaperOrder(order) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    logger.error('Cancel paper order error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel paper order' });
+  }
+};
+
 // GET /api/v1/paper-trading/positions
 const getPaperPositions = async (req, res) => {
   try {
@@ -414,6 +453,7 @@ const getPaperPerformance = async (req, res) => {
     const demoOrders = await DemoOrder.findAll({
       where: {
         user_id: req.user.id,
+        ...DemoOrder.executedWhere,
         filled_at: { [DemoOrder.sequelize.Sequelize.Op.between]: [startDate, endDate] }
       },
       order: [['filled_at', 'ASC']]
@@ -470,6 +510,7 @@ module.exports = {
   getPaperAccount,
   placePaperTrade,
   getPaperOrders,
+  cancelPaperOrder,
   getPaperPositions,
   getPaperPortfolio,
   getPaperAllocation,
@@ -1,413 +1,76 @@
-const { User, Order, Wallet, MsOrder, DemoOrder } = require('../models');
+const { User, Order, Wallet, MsOrder } = require('../models');
 const alpacaService = require('../services/alpacaService');
-const ms = require('../services/mystocksService');
 const exchangeService = require('../services/exchangeService');
+const portfolioSnapshotService = require('../services/portfolioSnapshotService');
+const taxLotService = require('../services/taxLotService');
+const taxReportService = require('../services/taxReportService');
+const portfolioService = require('../services/portfolioService');
 const logger = require('../utils/logger');
-const { getProviderFlags } = require('../services/platformConfigService');
-
-const AFRICAN_EXCHANGES = new Set(['NSE', 'NGX', 'JSE', 'GSE', 'BRVM', 'LUSE', 'EGX', 'BSE', 'SEM']);
-
-// Build a symbol → weighted avg USD entry price lookup from local MsOrder history
-const computeAvgEntryPrices = (msOrders) => {
-  const bySymbol = {};
-  for (const o of msOrders) {
-    const sym = o.symbol;
-    if (!bySymbol[sym]) bySymbol[sym] = { totalQty: 0, totalCost: 0 };
-    const qty = parseFloat(o.quantity);
-    const price = parseFloat(o.usd_price || 0);
-    if (o.side === 'BUY') { bySymbol[sym].totalQty += qty; bySymbol[sym].totalCost += qty * price; }
-    else { bySymbol[sym].totalQty -= qty; bySymbol[sym].totalCost -= qty * price; }
+
+// Returns from the nightly equity snapshots since `startDate`; null without two snapshots yet
+const loadSnapshotReturns = async (userId, startDate) => {
+  try {
+    return await portfolioSnapshotService.getReturns(userId, {
+      from: startDate.toISOString().split('T')[0],
+      to: new Date().toISOString().split('T')[0]
+    });
+  } catch (error) {
+    logger.warn(`Failed to load portfolio snapshots for user ${userId}:`, error);
+    return null;
   }
-  return (sym) => {
-    const d = bySymbol[sym];
-    return d && d.totalQty > 0 ? d.totalCost / d.totalQty : 0;
-  };
 };
 
-// Aggregate DemoOrder records into positions with current prices
-const buildDemoPositions = async (userId, exchangeRate) => {
-  const orders = await DemoOrder.findAll({ where: { user_id: userId }, order: [['filled_at', 'ASC']] });
-  const bySymbol = {};
-  for (const o of orders) {
-    const sym = o.symbol;
-    if (!bySymbol[sym]) bySymbol[sym] = { symbol: sym, exchange: o.exchange || 'NSE', currency: o.currency || 'USD', totalQty: 0, totalCost: 0 };
-    const qty = parseFloat(o.quantity);
-    const price = parseFloat(o.price_usd || 0);
-    if (o.side === 'BUY') { bySymbol[sym].totalQty += qty; bySymbol[sym].totalCost += qty * price; }
-    else { bySymbol[sym].totalQty -= qty; bySymbol[sym].totalCost -= qty * price; }
-  }
+// Asset classes each `market` filter on GET /portfolio/positions matches
+const MARKET_ASSET_CLASSES = {
+  us_equity: ['us_equity', 'us_stock'],
+  us_stock: ['us_equity', 'us_stock'],
+  ke_stock: ['ke_equity', 'ke_stock'],
+  african: ['ke_equity', 'ke_stock', 'african_equity']
+};
 
-  return Promise.all(
-    Object.values(bySymbol).filter(p => p.totalQty > 0.00001).map(async p => {
-      let currentPrice = p.totalQty > 0 ? p.totalCost / p.totalQty : 0;
-      try {
-        if (AFRICAN_EXCHANGES.has(p.exchange?.toUpperCase())) {
-          const stocks = await ms.getStocks({ search: p.symbol });
-          const stock = Array.isArray(stocks) ? stocks[0] : stocks?.stocks?.[0];
-          if (stock?.usdPrice) currentPrice = parseFloat(stock.usdPrice);
-          else if (stock?.price) currentPrice = parseFloat(stock.price) / (exchangeRate || 1);
-        } else {
-          const quote = await alpacaService.getLatestQuote(p.symbol);
-          if (quote.ap || quote.bp) currentPrice = parseFloat(quote.ap || quote.bp);
-        }
-      } catch (_) {}
-      const avgEntry = p.totalQty > 0 ? p.totalCost / p.totalQty : 0;
-      const marketValue = p.totalQty * currentPrice;
-      const costBasis = p.totalQty * avgEntry;
-      const unrealizedPL = marketValue - costBasis;
-      return {
-        symbol: p.symbol, name: p.symbol,
-        logo: `/api/v1/assets/logo/${p.symbol}`,
-        quantity: p.totalQty, side: 'long', averageEntryPrice: parseFloat(avgEntry.toFixed(8)),
-        currentPrice, marketValue, marketValueKES: marketValue * (exchangeRate || 1),
-        costBasis, costBasisKES: costBasis * (exchangeRate || 1),
-        unrealizedPL, unrealizedPLKES: unrealizedPL * (exchangeRate || 1),
-        unrealizedPLPercent: costBasis > 0 ? parseFloat(((unrealizedPL / costBasis) * 100).toFixed(2)) : 0,
-        exchange: p.exchange, currency: p.currency,
-        provider: 'demo', status: 'open'
-      };
-    })
-  );
+const ASSET_CLASS_LABELS = {
+  us_equity: 'US Stocks',
+  us_stock: 'US Stocks',
+  ke_equity: 'KE Stocks',
+  ke_stock: 'KE Stocks',
+  african_equity: 'African Equities',
+  crypto: 'Crypto',
+  etf: 'ETFs'
 };
 
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Consolidated portfolio across Alpaca, MyStocks and the local wallet (or the demo account)
 const getPortfolio = async (req, res) => {
   try {
-    // Fetch user, wallet, exchange rate, and provider flags in parallel
-    const [user, walletRow, exchangeRate, { alpacaEnabled, mystocksEnabled }] = await Promise.all([
-      User.findByPk(req.user.id),
-      Wallet.findOne({ where: { user_id: req.user.id } }),
-      exchangeService.getExchangeRate('USD', 'KES'),
-      getProviderFlags()
-    ]);
-
-    const wallet = walletRow || { kes_balance: 0, usd_balance: 0, frozen_kes: 0, frozen_usd: 0 };
-    const localKesBalance = parseFloat(wallet.kes_balance) || 0;
-    const localUsdBalance = parseFloat(wallet.usd_balance) || 0;
-
-    // Demo mode: return demo portfolio (same logic as paper trading)
-    const isDemo = user?.account_mode === 'demo' || process.env.NODE_ENV === 'development';
-    if (isDemo) {
-      const demoBalance = parseFloat(user?.demo_balance || 10000);
-      const demoPositions = await buildDemoPositions(req.user.id, exchangeRate).catch(() => []);
-      const demoMarketValue = demoPositions.reduce((s, p) => s + (p.marketValue || 0), 0);
-      const totalEquity = demoBalance + demoMarketValue;
-      return res.json({
-        success: true,
-        provider: 'demo',
-        accountMode: 'demo',
-        portfolio: {
-          summary: {
-            totalEquity,
-            totalEquityKES: totalEquity * exchangeRate,
-            dayChange: 0,
-            dayChangeKES: 0,
-            dayChangePercent: 0,
-            buyingPower: demoBalance,
-            buyingPowerKES: demoBalance * exchangeRate,
-            cash: demoBalance,
-            cashKES: demoBalance * exchangeRate,
-            portfolioValue: totalEquity,
-            portfolioValueKES: totalEquity * exchangeRate,
-            demoBalance,
-            demoBalanceKES: demoBalance * exchangeRate,
-            lastUpdated: new Date().toISOString()
-          },
-          positions: demoPositions,
-          positionsCount: demoPositions.length,
-          exchangeRate,
-          account: null,
-          localWallet: { kesBalance: localKesBalance, usdBalance: localUsdBalance }
-        }
-      });
-    }
-
-    if (!user || !user.alpaca_account_id || (!alpacaEnabled && mystocksEnabled)) {
-      // MyStocks-only path: no Alpaca account, Alpaca disabled, or MyStocks-only mode
-      if (!mystocksEnabled) {
-        return res.status(503).json({ success: false, message: 'Trading services are currently unavailable.' });
-      }
-      // African-only user — fetch MyStocks portfolio + wallet
-      let msPortfolio = null;
-      let msUsdBalance = parseFloat(user?.mystocks_wallet_balance || 0);
-      let pendingOrders = [];
-      let getAvgEntry = () => 0;
-
-      try {
-        if (user?.mystocks_sub_account_id) {
-          const [portfolioData, walletData, ordersData, msOrdersData] = await Promise.allSettled([
-            ms.getPortfolio(user.mystocks_sub_account_id),
-            ms.getWallet(user.mystocks_sub_account_id),
-            ms.getUserOrders(user.mystocks_sub_account_id, { status: 'PENDING' }),
-            MsOrder.findAll({ where: { user_id: req.user.id }, order: [['filled_at', 'ASC']] })
-          ]);
-          if (portfolioData.status === 'fulfilled') msPortfolio = portfolioData.value;
-          if (walletData.status === 'fulfilled') {
-            const apiBalance = parseFloat(walletData.value?.wallet?.balance || walletData.value?.balance || 0);
-            if (apiBalance > 0) msUsdBalance = apiBalance;
-          }
-          if (ordersData.status === 'fulfilled') {
-            pendingOrders = Array.isArray(ordersData.value?.orders) ? ordersData.value.orders : [];
-          }
-          getAvgEntry = computeAvgEntryPrices(msOrdersData.status === 'fulfilled' ? msOrdersData.value : []);
-        }
-      } catch (_) {}
-
-      const positions = [];
-      if (msPortfolio) {
-        const holdings = Array.isArray(msPortfolio) ? msPortfolio
-          : Array.isArray(msPortfolio?.holdings) ? msPortfolio.holdings
-          : Array.isArray(msPortfolio?.positions) ? msPortfolio.positions : [];
-
-        logger.info('MyStocks portfolio raw holdings sample:', JSON.stringify(holdings[0] || {}));
-        holdings.forEach(h => {
-          const qty = parseFloat(h.quantity || h.qty || h.units || h.shares || 0);
-          if (qty <= 0) return; // skip expired/cancelled zero-qty entries
-
-          // Try every known field name for per-unit price
-          const unitPrice = parseFloat(
-            h.currentPrice || h.price || h.localPrice || h.lastPrice ||
-            h.marketPrice || h.usdPrice || h.unitPrice || h.closePrice ||
-            h.tradePrice || h.currentUnitPrice || 0
-          );
-          // Fallback: some APIs return total value instead of unit price
-          const totalVal = parseFloat(h.value || h.currentValue || h.totalValue || h.marketValue || 0);
-          const price = unitPrice || (qty > 0 && totalVal > 0 ? totalVal / qty : 0);
-
-          const nativeCost = parseFloat(
-            h.averageCost || h.avgCost || h.averagePrice || h.avgPrice ||
-            h.purchasePrice || h.costBasis || 0
-          );
-          const cost = nativeCost || getAvgEntry(h.symbol) || price;
-          const marketValue = qty * price;
-          const unrealizedPL = marketValue - (qty * cost);
-          positions.push({
-            symbol: h.symbol,
-            name: h.name || h.symbol,
-            quantity: Math.ceil(qty),
-            averageEntryPrice: cost,
-            currentPrice: price,
-            marketValue,
-            marketValueKES: marketValue * exchangeRate,
-            unrealizedPL,
-            unrealizedPLKES: unrealizedPL * exchangeRate,
-            unrealizedPLPercent: cost > 0 ? (unrealizedPL / (qty * cost)) * 100 : 0,
-            exchange: h.exchange || 'NSE',
-            currency: h.currency || 'KES',
-            status: h.status ? h.status.toLowerCase() : 'filled',
-            provider: 'mystocks'
-          });
-        });
-      }
-
-      // Append pending orders not already in filled holdings
-      const filledSymbols = new Set(positions.map(p => p.symbol));
-      pendingOrders.forEach(o => {
-        const priceUsd = parseFloat(o.usdPriceAtOrder || 0);
-        const qty = parseFloat(o.quantity || 0);
-        const totalUsd = parseFloat(o.totalAmount || qty * priceUsd);
-        positions.push({
-          symbol: o.symbol,
-          name: o.stockName || o.symbol,
-          quantity: Math.ceil(qty),
-          averageEntryPrice: priceUsd,
-          currentPrice: priceUsd,
-          marketValue: totalUsd,
-          marketValueKES: totalUsd * exchangeRate,
-          unrealizedPL: 0,
-          unrealizedPLKES: 0,
-          unrealizedPLPercent: 0,
-          exchange: o.exchange || 'NSE',
-          currency: 'USD',
-          status: 'pending',
-          orderId: o.orderId,
-          placedAt: o.createdAt,
-          provider: 'mystocks'
-        });
-      });
-
-      // If live portfolio and pending orders are both empty, fall back to local MsOrder history
-      if (positions.length === 0) {
-        const msOrderHistory = await MsOrder.findAll({
-          where: { user_id: req.user.id },
-          order: [['filled_at', 'ASC']]
-        });
-        const bySymbol = {};
-        for (const o of msOrderHistory) {
-          const sym = o.symbol;
-          if (!bySymbol[sym]) bySymbol[sym] = { symbol: sym, exchange: o.exchange || 'NSE', currency: o.currency || 'KES', totalQty: 0, totalCost: 0 };
-          const qty = parseFloat(o.quantity);
-          const price = parseFloat(o.usd_price || o.local_price || 0);
-          if (o.side === 'BUY') { bySymbol[sym].totalQty += qty; bySymbol[sym].totalCost += qty * price; }
-          else { bySymbol[sym].totalQty -= qty; bySymbol[sym].totalCost -= qty * price; }
-        }
-        const msPositions = await Promise.all(
-          Object.values(bySymbol).filter(p => p.totalQty > 0.0001).map(async p => {
-            let currentPrice = p.totalQty > 0 && p.totalCost > 0 ? p.totalCost / p.totalQty : 0;
-            try {
-              // Strip .KE/.ZA suffix — MyStocks search doesn't accept the suffix
-              const ticker = p.symbol.includes('.') ? p.symbol.split('.')[0] : p.symbol;
-              const stocks = await ms.getStocks({ search: ticker });
-              const stock = Array.isArray(stocks) ? stocks[0] : stocks?.stocks?.[0];
-              if (stock?.usdPrice) currentPrice = parseFloat(stock.usdPrice);
-              else if (stock?.price) currentPrice = parseFloat(stock.price) / (exchangeRate || 1);
-            } catch (_) {}
-            const marketValue = p.totalQty * currentPrice;
-            return {
-              symbol: p.symbol,
-              name: p.symbol,
-              quantity: Math.ceil(p.totalQty),
-              averageEntryPrice: p.totalQty > 0 && p.totalCost > 0 ? p.totalCost / p.totalQty : 0,
-              currentPrice,
-              marketValue,
-              marketValueKES: marketValue * (exchangeRate || 1),
-              unrealizedPL: 0,
-              unrealizedPLKES: 0,
-              unrealizedPLPercent: 0,
-              exchange: p.exchange,
-              currency: p.currency,
-              status: 'open',
-              provider: 'mystocks'
-            };
-          })
-        );
-        positions.push(...msPositions);
-      }
-
-      const localCashUsd = localUsdBalance + (localKesBalance / (exchangeRate || 1));
-      const holdingsValue = positions.reduce((s, p) => s + p.marketValue, 0);
-      const totalEquity = msUsdBalance + holdingsValue + localCashUsd;
-      const totalEquityKES = totalEquity * exchangeRate;
-
-      return res.json({
-        success: true,
-        provider: 'mystocks',
-        portfolio: {
-          summary: {
-            totalEquity,
-            totalEquityKES,
-            dayChange: 0,
-            dayChangeKES: 0,
-            dayChangePercent: 0,
-            buyingPower: msUsdBalance,
-            buyingPowerKES: msUsdBalance * exchangeRate,
-            cash: msUsdBalance,
-            cashKES: msUsdBalance * exchangeRate,
-            portfolioValue: totalEquity,
-            portfolioValueKES: totalEquityKES,
-            lastUpdated: new Date().toISOString()
-          },
-          positions,
-          positionsCount: positions.length,
-          exchangeRate,
-          account: null,
-          localWallet: { kesBalance: localKesBalance, usdBalance: localUsdBalance },
-          myStocksWallet: { balance: msUsdBalance, currency: 'USD' }
-        }
-      });
-    }
-
-    if (!alpacaEnabled) {
-      return res.status(503).json({ success: false, message: 'US market trading is currently disabled.' });
-    }
-
-    // Fetch Alpaca account, positions, and local orders in parallel
-    const [account, positions, userOrders] = await Promise.all([
-      alpacaService.getAccount(user.alpaca_account_id),
-      alpacaService.getPositions(user.alpaca_account_id),
-      Order.findAll({
-        where: { user_id: req.user.id },
-        order: [['created_at', 'DESC']],
-        limit: 100
-      })
-    ]);
-
-    // Calculate portfolio metrics from Alpaca
-    const alpacaEquity = parseFloat(account.equity || 0);
-    const dayChange = parseFloat(account.unrealized_pl || 0);
-    const dayChangePercent = alpacaEquity > 0 ? (dayChange / (alpacaEquity - dayChange)) * 100 : 0;
-    const alpacaBuyingPower = parseFloat(account.buying_power || 0);
-    const alpacaCash = parseFloat(account.cash || 0);
-
-    // Convert local wallet to USD and combine with Alpaca
-    const localCashUsd = localUsdBalance + (localKesBalance / exchangeRate);
-
-    // Total values = Alpaca + Local Wallet
-    const totalCash = alpacaCash + localCashUsd;
-    const totalEquity = alpacaEquity + localCashUsd;
-    const totalBuyingPower = alpacaBuyingPower + localCashUsd;
-
-    // Format positions
-    const formattedPositions = positions.map(position => {
-      // Check if there are any pending orders for this symbol
-      const hasPendingOrders = userOrders.some(order =>
-        order.symbol.toUpperCase() === position.symbol.toUpperCase() &&
-        ['pending', 'new', 'partially_filled', 'accepted', 'pending_new',
-         'accepted_for_bidding', 'pending_cancel', 'pending_replace'].includes(order.status)
-      );
-
-      return {
-        symbol: position.symbol,
-        logo: alpacaService.getCompanyLogo(position.symbol),
-        quantity: parseFloat(position.qty),
-        marketValue: parseFloat(position.market_value),
-        costBasis: parseFloat(position.cost_basis),
-        unrealizedPL: parseFloat(position.unrealized_pl),
-        unrealizedPLPercent: parseFloat(position.unrealized_plpc) * 100,
-        averageEntryPrice: parseFloat(position.avg_entry_price),
-        lastDayPrice: parseFloat(position.lastday_price),
-        changeToday: parseFloat(position.change_today),
-        side: position.side,
-        exchange: position.exchange || 'NASDAQ',
-        assetClass: position.asset_class || 'us_equity',
-        status: hasPendingOrders ? 'pending' : 'open'
-      };
-    });
+    const portfolio = await portfolioService.getUserPortfolio(req.user.id);
+    const { exchangeRate } = portfolio;
+    const summary = portfolioService.summarize(portfolio);
+    const positions = portfolio.positions.map(p => portfolioService.withKes(p, exchangeRate));
+    const isDemo = portfolio.mode === 'demo';
+    const myStocks = portfolio.breakdown.find(b => b.provider === 'mystocks');
 
     res.json({
       success: true,
+      provider: portfolio.mode,
+      ...(isDemo ? { accountMode: 'demo' } : {}),
       portfolio: {
-        summary: {
-          totalEquity,
-          totalEquityKES: totalEquity * exchangeRate,
-          dayChange,
-          dayChangeKES: dayChange * exchangeRate,
-          dayChangePercent: parseFloat(dayChangePercent.toFixed(2)),
-          buyingPower: totalBuyingPower,
-          buyingPowerKES: totalBuyingPower * exchangeRate,
-          cash: totalCash,
-          cashKES: totalCash * exchangeRate,
-          portfolioValue: totalEquity,
-          portfolioValueKES: totalEquity * exchangeRate,
-          lastUpdated: new Date().toISOString()
-        },
-        positions: formattedPositions,
-        positionsCount: formattedPositions.length,
+        summary: isDemo
+          ? { ...summary, demoBalance: portfolio.cash, demoBalanceKES: portfolio.cash * exchangeRate }
+          : summary,
+        positions,
+        positionsCount: positions.length,
         exchangeRate,
-        account: {
-          status: account.status,
-          patternDayTrader: account.pattern_day_trader,
-          tradingBlocked: account.trading_blocked,
-          transfersBlocked: account.transfers_blocked,
-          accountBlocked: account.account_blocked,
-          createdAt: account.created_at
-        },
-        localWallet: {
-          kesBalance: localKesBalance,
-          usdBalance: localUsdBalance,
-          totalUsd: localCashUsd
-        },
-        mystocks: await (async () => {
-          if (!user.mystocks_sub_account_id) return null;
-          try {
-            return await ms.getPortfolio(user.mystocks_sub_account_id);
-          } catch (e) {
-            logger.warn('MyStocks portfolio fetch error:', e.message);
-            return null;
-          }
-        })()
+        account: portfolio.account,
+        localWallet: portfolio.localWallet,
+        breakdown: portfolio.breakdown,
+        ...(myStocks ? { myStocksWallet: { balance: myStocks.cash, currency: 'USD' } } : {})
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     logger.error('Get portfolio error:', error);
     res.status(500).json({
       success: false,
@@ -419,214 +82,39 @@ const getPortfolio = async (req, res) => {
 const getPositions = async (req, res) => {
   try {
     const { market } = req.query;
+    const portfolio = await portfolioService.getUserPortfolio(req.user.id, { liveQuotes: true, includePending: false });
+    const { exchangeRate } = portfolio;
 
-    // Check if user has an Alpaca account
-    const user = await User.findByPk(req.user.id);
-    const exchangeRate = await exchangeService.getExchangeRate('USD', 'KES');
-
-    if (!user || !user.alpaca_account_id) {
-      // Try live MyStocks portfolio first, fall back to locally saved ms_orders
-      let positions = [];
-      const msOrdersForAvg = await MsOrder.findAll({ where: { user_id: req.user.id }, order: [['filled_at', 'ASC']] }).catch(() => []);
-      const getAvgEntry = computeAvgEntryPrices(msOrdersForAvg);
-      try {
-        if (user?.mystocks_sub_account_id) {
-          const msPortfolio = await ms.getPortfolio(user.mystocks_sub_account_id);
-          const holdings = Array.isArray(msPortfolio) ? msPortfolio
-            : Array.isArray(msPortfolio?.holdings) ? msPortfolio.holdings
-            : Array.isArray(msPortfolio?.positions) ? msPortfolio.positions : [];
-          if (holdings.length > 0) {
-            positions = holdings
-              .filter(h => parseFloat(h.quantity || h.qty || h.units || h.shares || 0) > 0)
-              .map(h => {
-                const qty = parseFloat(h.quantity || h.qty || h.units || h.shares || 0);
-                const unitPrice = parseFloat(
-                  h.currentPrice || h.price || h.localPrice || h.lastPrice ||
-                  h.marketPrice || h.usdPrice || h.unitPrice || h.closePrice ||
-                  h.tradePrice || h.currentUnitPrice || 0
-                );
-                const totalVal = parseFloat(h.value || h.currentValue || h.totalValue || h.marketValue || 0);
-                const price = unitPrice || (qty > 0 && totalVal > 0 ? totalVal / qty : 0);
-                const nativeCost = parseFloat(
-                  h.averageCost || h.avgCost || h.averagePrice || h.avgPrice ||
-                  h.purchasePrice || h.costBasis || 0
-                );
-                const cost = nativeCost || getAvgEntry(h.symbol) || price;
-                const marketValue = qty * price;
-                const costBasis = qty * cost;
-                const unrealizedPL = marketValue - costBasis;
-                return {
-                  symbol: h.symbol, name: h.name || h.symbol,
-                  logo: `/api/v1/assets/logo/${h.symbol}`,
-                  quantity: qty, side: 'long', averageEntryPrice: cost,
-                  currentPrice: price, marketValue,
-                  marketValueKES: marketValue * exchangeRate,
-                  costBasis, costBasisKES: costBasis * exchangeRate,
-                  unrealizedPL, unrealizedPLKES: unrealizedPL * exchangeRate,
-                  unrealizedPLPercent: costBasis > 0 ? parseFloat(((unrealizedPL / costBasis) * 100).toFixed(2)) : 0,
-                  exchange: h.exchange || 'NSE', currency: h.currency || 'KES',
-                  provider: 'mystocks', status: 'open'
-                };
-              });
-          }
-        }
-      } catch (_) {}
-
-      // Fall back to locally saved trades if portfolio API returned nothing
-      if (positions.length === 0) {
-        const msOrders = await MsOrder.findAll({ where: { user_id: req.user.id }, order: [['filled_at', 'ASC']] });
-        const bySymbol = {};
-        for (const o of msOrders) {
-          const sym = o.symbol;
-          if (!bySymbol[sym]) bySymbol[sym] = { symbol: sym, exchange: o.exchange || 'NSE', currency: o.currency || 'KES', totalQty: 0, totalCost: 0 };
-          const qty = parseFloat(o.quantity);
-          const price = parseFloat(o.usd_price || o.local_price || 0);
-          if (o.side === 'BUY') { bySymbol[sym].totalQty += qty; bySymbol[sym].totalCost += qty * price; }
-          else { bySymbol[sym].totalQty -= qty; bySymbol[sym].totalCost -= qty * price; }
-        }
-        positions = await Promise.all(
-          Object.values(bySymbol).filter(p => p.totalQty > 0.0001).map(async p => {
-            let currentPrice = p.totalQty > 0 ? p.totalCost / p.totalQty : 0;
-            try {
-              const stocks = await ms.getStocks({ search: p.symbol });
-              const stock = Array.isArray(stocks) ? stocks[0] : stocks?.stocks?.[0];
-              if (stock?.usdPrice) currentPrice = parseFloat(stock.usdPrice);
-              else if (stock?.price) currentPrice = parseFloat(stock.price) / exchangeRate;
-            } catch (_) {}
-            const avgEntry = p.totalQty > 0 ? p.totalCost / p.totalQty : 0;
-            const marketValue = p.totalQty * currentPrice;
-            const costBasis = p.totalQty * avgEntry;
-            const unrealizedPL = marketValue - costBasis;
-            return {
-              symbol: p.symbol, name: p.symbol,
-              logo: `/api/v1/assets/logo/${p.symbol}`,
-              quantity: p.totalQty, side: 'long', averageEntryPrice: avgEntry,
-              currentPrice, marketValue, marketValueKES: marketValue * exchangeRate,
-              costBasis, costBasisKES: costBasis * exchangeRate,
-              unrealizedPL, unrealizedPLKES: unrealizedPL * exchangeRate,
-              unrealizedPLPercent: costBasis > 0 ? parseFloat(((unrealizedPL / costBasis) * 100).toFixed(2)) : 0,
-              exchange: p.exchange, currency: p.currency,
-              provider: 'mystocks', status: 'open'
-            };
-          })
-        );
-      }
-
-      const totalValue = positions.reduce((s, p) => s + p.marketValue, 0);
-      const totalCostBasis = positions.reduce((s, p) => s + p.costBasis, 0);
-      const totalUnrealizedPL = totalValue - totalCostBasis;
-
-      return res.json({
-        success: true,
-        provider: 'mystocks',
-        positions,
-        summary: {
-          totalPositions: positions.length,
-          totalValue: parseFloat(totalValue.toFixed(2)),
-          totalValueKES: parseFloat((totalValue * exchangeRate).toFixed(2)),
-          totalCostBasis: parseFloat(totalCostBasis.toFixed(2)),
-          totalCostBasisKES: parseFloat((totalCostBasis * exchangeRate).toFixed(2)),
-          totalUnrealizedPL: parseFloat(totalUnrealizedPL.toFixed(2)),
-          totalUnrealizedPLKES: parseFloat((totalUnrealizedPL * exchangeRate).toFixed(2)),
-          totalUnrealizedPLPercent: totalCostBasis > 0 ? parseFloat(((totalUnrealizedPL / totalCostBasis) * 100).toFixed(2)) : 0,
-          exchangeRate
-        }
-      });
-    }
-
-    // Get positions for this specific user's Alpaca account
-    const positions = await alpacaService.getPositions(user.alpaca_account_id);
-
-    // Get all user orders to check for pending orders
-    const userOrders = await Order.findAll({
-      where: { user_id: req.user.id },
-      order: [['created_at', 'DESC']]
-    });
-
-    const formattedPositions = await Promise.all(
-      positions.map(async (position) => {
-        // Get current quote for real-time data
-        let currentPrice = parseFloat(position.current_price);
-        try {
-          const quote = await alpacaService.getLatestQuote(position.symbol);
-          currentPrice = quote.ap || quote.bp || currentPrice;
-        } catch (quoteError) {
-          logger.warn(`Failed to get current quote for ${position.symbol}:`, quoteError);
-        }
-
-        const quantity = parseFloat(position.qty);
-        const currentValue = quantity * currentPrice;
-        const costBasis = parseFloat(position.cost_basis);
-        const unrealizedPL = currentValue - costBasis;
-        const unrealizedPLPercent = costBasis > 0 ? (unrealizedPL / costBasis) * 100 : 0;
-
-        // Check if there are any pending orders for this symbol
-        const hasPendingOrders = userOrders.some(order =>
-          order.symbol.toUpperCase() === position.symbol.toUpperCase() &&
-          ['pending', 'new', 'partially_filled', 'accepted', 'pending_new',
-           'accepted_for_bidding', 'pending_cancel', 'pending_replace'].includes(order.status)
-        );
-
-        return {
-          symbol: position.symbol,
-          logo: alpacaService.getCompanyLogo(position.symbol),
-          quantity,
-          side: position.side,
-          averageEntryPrice: parseFloat(position.avg_entry_price),
-          currentPrice,
-          marketValue: currentValue,
-          marketValueKES: currentValue * exchangeRate,
-          costBasis,
-          costBasisKES: costBasis * exchangeRate,
-          unrealizedPL,
-          unrealizedPLKES: unrealizedPL * exchangeRate,
-          unrealizedPLPercent: parseFloat(unrealizedPLPercent.toFixed(2)),
-          changeToday: parseFloat(position.change_today || 0),
-          changeTodayKES: parseFloat(position.change_today || 0) * exchangeRate,
-          lastDayPrice: parseFloat(position.lastday_price || currentPrice),
-          exchange: position.exchange || 'NASDAQ',
-          assetClass: position.asset_class || 'us_equity',
-          status: hasPendingOrders ? 'pending' : 'open'
-        };
-      })
-    );
-
-    let filteredPositions = formattedPositions;
-    if (market) {
-      const marketMap = {
-        'us_equity': ['us_equity', 'us_stock'],
-        'us_stock': ['us_equity', 'us_stock'],
-        'ke_stock': ['ke_equity', 'ke_stock']
-      };
-
-      const allowedMarkets = marketMap[market.toLowerCase()] || [market.toLowerCase()];
-      filteredPositions = formattedPositions.filter(pos =>
-        allowedMarkets.includes(pos.assetClass.toLowerCase())
-      );
-    }
+    const allowed = market ? (MARKET_ASSET_CLASSES[market.toLowerCase()] || [market.toLowerCase()]) : null;
+    const positions = portfolio.positions
+      .filter(p => !allowed || allowed.includes((p.assetClass || '').toLowerCase()))
+      .map(p => portfolioService.withKes(p, exchangeRate));
 
-    // Calculate totals based on filtered positions
-    const totalValue = filteredPositions.reduce((sum, pos) => sum + pos.marketValue, 0);
-    const totalCostBasis = filteredPositions.reduce((sum, pos) => sum + pos.costBasis, 0);
+    // Totals over the filtered positions
+    const totalValue = positions.reduce((sum, p) => sum + p.marketValue, 0);
+    const totalCostBasis = positions.reduce((sum, p) => sum + p.costBasis, 0);
     const totalUnrealizedPL = totalValue - totalCostBasis;
-    const totalUnrealizedPLPercent = totalCostBasis > 0 ? (totalUnrealizedPL / totalCostBasis) * 100 : 0;
 
     res.json({
       success: true,
-      positions: filteredPositions,
+      provider: portfolio.mode,
+      positions,
       summary: {
-        totalPositions: filteredPositions.length,
-        totalValue,
-        totalValueKES: totalValue * exchangeRate,
-        totalCostBasis,
-        totalCostBasisKES: totalCostBasis * exchangeRate,
-        totalUnrealizedPL,
-        totalUnrealizedPLKES: totalUnrealizedPL * exchangeRate,
-        totalUnrealizedPLPercent: parseFloat(totalUnrealizedPLPercent.toFixed(2)),
+        totalPositions: positions.length,
+        totalValue: round2(totalValue),
+        totalValueKES: round2(totalValue * exchangeRate),
+        totalCostBasis: round2(totalCostBasis),
+        totalCostBasisKES: round2(totalCostBasis * exchangeRate),
+        totalUnrealizedPL: round2(totalUnrealizedPL),
+        totalUnrealizedPLKES: round2(totalUnrealizedPL * exchangeRate),
+        totalUnrealizedPLPercent: totalCostBasis > 0 ? round2((totalUnrealizedPL / totalCostBasis) * 100) : 0,
         exchangeRate
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     logger.error('Get positions error:', error);
     res.status(500).json({
       success: false,
@@ -644,59 +132,19 @@ const getPosition = async (req, res) => {
     const exchangeRate = await exchangeService.getExchangeRate('USD', 'KES');
 
     if (!user || !user.alpaca_account_id) {
-      // Try MyStocks portfolio for African users
-      try {
-        if (user?.mystocks_sub_account_id) {
-          const [msPortfolio, msOrdersForAvg] = await Promise.all([
-            ms.getPortfolio(user.mystocks_sub_account_id),
-            MsOrder.findAll({ where: { user_id: req.user.id, symbol: symbol.toUpperCase() }, order: [['filled_at', 'ASC']] })
-          ]);
-          const getAvgEntry = computeAvgEntryPrices(msOrdersForAvg);
-          const holdings = Array.isArray(msPortfolio) ? msPortfolio
-            : Array.isArray(msPortfolio?.holdings) ? msPortfolio.holdings
-            : Array.isArray(msPortfolio?.positions) ? msPortfolio.positions : [];
-          const holding = holdings.find(h => h.symbol?.toUpperCase() === symbol.toUpperCase());
-          if (holding) {
-            const qty = parseFloat(holding.quantity || holding.qty || holding.units || holding.shares || 0);
-            const unitPrice = parseFloat(
-              holding.currentPrice || holding.price || holding.localPrice || holding.lastPrice ||
-              holding.marketPrice || holding.usdPrice || holding.unitPrice || holding.closePrice ||
-              holding.tradePrice || holding.currentUnitPrice || 0
-            );
-            const totalVal = parseFloat(holding.value || holding.currentValue || holding.totalValue || holding.marketValue || 0);
-            const price = unitPrice || (qty > 0 && totalVal > 0 ? totalVal / qty : 0);
-            const nativeCost = parseFloat(
-              holding.averageCost || holding.avgCost || holding.averagePrice || holding.avgPrice ||
-              holding.purchasePrice || holding.costBasis || 0
-            );
-            const cost = nativeCost || getAvgEntry(symbol.toUpperCase()) || price;
-            const marketValue = qty * price;
-            const costBasis = qty * cost;
-            const unrealizedPL = marketValue - costBasis;
-            return res.json({
-              success: true,
-              provider: 'mystocks',
-              position: {
-                symbol: holding.symbol,
-                quantity: qty,
-                side: 'long',
-                averageEntryPrice: cost,
-                currentPrice: price,
-                marketValue,
-                marketValueKES: marketValue * exchangeRate,
-                costBasis,
-                costBasisKES: costBasis * exchangeRate,
-                unrealizedPL,
-                unrealizedPLKES: unrealizedPL * exchangeRate,
-                unrealizedPLPercent: costBasis > 0 ? parseFloat(((unrealizedPL / costBasis) * 100).toFixed(2)) : 0,
-                exchange: holding.exchange || 'NSE',
-                currency: holding.currency || 'KES'
-              },
-              exchangeRate
-            });
-          }
+      // African-only user — the position from MyStocks, or from local MsOrder history
+      if (user?.mystocks_sub_account_id) {
+        const { positions } = await portfolioService.loadMyStocks(user, { includePending: false });
+        const position = positions.find(p => p.symbol?.toUpperCase() === symbol.toUpperCase());
+        if (position) {
+          return res.json({
+            success: true,
+            provider: 'mystocks',
+            position: portfolioService.withKes(position, exchangeRate),
+            exchangeRate
+          });
         }
-      } catch (_) {}
+      }
       return res.status(404).json({ success: false, message: 'Position not found' });
     }
 
@@ -795,7 +243,7 @@ const getPerformance = async (req, res) => {
     const { period = '1M' } = req.query;
 
     const [user, exchangeRate] = await Promise.all([
-      User.findByPk(req.user.id, { attributes: ['id', 'alpaca_account_id', 'mystocks_wallet_balance'] }),
+      User.findByPk(req.user.id, { attributes: ['id', 'alpaca_account_id', 'mystocks_sub_account_id', 'mystocks_wallet_balance'] }),
       exchangeService.getExchangeRate('USD', 'KES')
     ]);
 
@@ -812,6 +260,9 @@ const getPerformance = async (req, res) => {
       default:   startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     }
 
+    // Time- and money-weighted returns, drawdown and benchmark come from the stored equity curve
+    const returns = await loadSnapshotReturns(req.user.id, startDate);
+
     // African-only user — compute performance from MsOrder history
     if (!user?.alpaca_account_id) {
       const orders = await MsOrder.findAll({
@@ -822,68 +273,10 @@ const getPerformance = async (req, res) => {
         order: [['filled_at', 'ASC']]
       });
 
-      // currentEquity = cash balance + market value of current holdings
-      let currentEquity = parseFloat(user?.mystocks_wallet_balance || 0);
-      try {
-        if (user?.mystocks_sub_account_id) {
-          const [walletResult, portfolioResult] = await Promise.allSettled([
-            ms.getWallet(user.mystocks_sub_account_id),
-            ms.getPortfolio(user.mystocks_sub_account_id)
-          ]);
-          const cashBalance = walletResult.status === 'fulfilled'
-            ? parseFloat(walletResult.value?.wallet?.balance || walletResult.value?.balance || 0)
-            : 0;
-          let holdingsValue = 0;
-          if (portfolioResult.status === 'fulfilled') {
-            const ph = portfolioResult.value;
-            const hList = Array.isArray(ph) ? ph
-              : Array.isArray(ph?.holdings) ? ph.holdings
-              : Array.isArray(ph?.positions) ? ph.positions : [];
-            holdingsValue = hList.reduce((s, h) => {
-              const qty = parseFloat(h.quantity || h.qty || h.units || h.shares || 0);
-              if (qty <= 0) return s;
-              const unitPrice = parseFloat(
-                h.currentPrice || h.price || h.localPrice || h.lastPrice ||
-                h.marketPrice || h.usdPrice || h.unitPrice || h.closePrice ||
-                h.tradePrice || h.currentUnitPrice || 0
-              );
-              const totalVal = parseFloat(h.value || h.currentValue || h.totalValue || h.marketValue || 0);
-              const price = unitPrice || (qty > 0 && totalVal > 0 ? totalVal / qty : 0);
-              return s + qty * price;
-            }, 0);
-          }
-          currentEquity = cashBalance + holdingsValue;
-        }
-      } catch (_) {}
-
-      // Live portfolio returns no price data for these symbols — compute holdings value
-      // the same way getPositions does: MsOrder net qty + ms.getStocks current price
-      if (currentEquity <= 0) {
-        const allMsOrders = await MsOrder.findAll({ where: { user_id: req.user.id }, order: [['filled_at', 'ASC']] });
-        const bySymbol = {};
-        for (const o of allMsOrders) {
-          const sym = o.symbol;
-          if (!bySymbol[sym]) bySymbol[sym] = { symbol: sym, totalQty: 0 };
-          const qty = parseFloat(o.quantity);
-          if (o.side === 'BUY') bySymbol[sym].totalQty += qty;
-          else bySymbol[sym].totalQty -= qty;
-        }
-        const activeHoldings = Object.values(bySymbol).filter(p => p.totalQty > 0.0001);
-        const holdingValues = await Promise.all(
-          activeHoldings.map(async p => {
-            try {
-              const ticker = p.symbol.includes('.') ? p.symbol.split('.')[0] : p.symbol;
-              const stocks = await ms.getStocks({ search: ticker });
-              const stock = Array.isArray(stocks) ? stocks[0] : stocks?.stocks?.[0];
-              const price = stock?.usdPrice ? parseFloat(stock.usdPrice)
-                : stock?.price ? parseFloat(stock.price) / (exchangeRate || 1)
-                : 0;
-              return p.totalQty * price;
-            } catch (_) { return 0; }
-          })
-        );
-        currentEquity = holdingValues.reduce((s, v) => s + v, 0);
-      }
+      // currentEquity = MyStocks cash + holdings, which are replayed from MsOrder history when MyStocks has none
+      const { equity: currentEquity } = user
+        ? await portfolioService.loadMyStocks(user, { includePending: false })
+        : { equity: 0 };
 
       const buyOrders = orders.filter(o => o.side === 'BUY');
       const sellOrders = orders.filter(o => o.side === 'SELL');
@@ -954,6 +347,7 @@ const getPerformance = async (req, res) => {
             mostTradedSymbol: bySymbol[0]?.symbol || null
           },
           bySymbol,
+          returns,
           exchangeRate
         }
       });
@@ -1043,6 +437,7 @@ const getPerformance = async (req, res) => {
           )
         },
         bySymbol: Object.values(symbolPerformance).sort((a, b) => b.totalValue - a.totalValue),
+        returns,
         exchangeRate
       }
     });
@@ -1144,6 +539,65 @@ const closePosition = async (req, res) => {
   }
 };
 
+// GET /asset-trend body from portfolio snapshots: value is equity, profit is equity less net deposits
+const buildSnapshotTrend = (snapshots, exchangeRate) => {
+  const chartData = snapshots.map(s => {
+    const value = parseFloat(s.equity_usd);
+    const invested = parseFloat(s.net_deposits_usd);
+    const profit = value - invested;
+    return {
+      date: s.snapshot_date,
+      value,
+      valueKES: Math.round(value * exchangeRate * 100) / 100,
+      profit: Math.round(profit * 10000) / 10000,
+      profitKES: Math.round(profit * exchangeRate * 100) / 100,
+      profitPercent: invested > 0 ? Math.round((profit / invested) * 10000) / 100 : 0,
+      stocks: (s.holdings || []).length
+    };
+  });
+  const latest = snapshots[snapshots.length - 1];
+  const latestPoint = chartData[chartData.length - 1];
+  const invested = parseFloat(latest.net_deposits_usd);
+  const cash = parseFloat(latest.cash_usd);
+  const values = chartData.map(p => p.value);
+  const dayChanges = chartData.map((p, i) => (i > 0 ? p.value - chartData[i - 1].value - parseFloat(snapshots[i].flow_usd) : 0));
+
+  return {
+    success: true,
+    provider: latest.provider,
+    source: 'snapshots',
+    portfolio: {
+      invested,
+      investedKES: Math.round(invested * exchangeRate * 100) / 100,
+      currentValue: latestPoint.value,
+      currentValueKES: latestPoint.valueKES,
+      profit: latestPoint.profit,
+      profitKES: latestPoint.profitKES,
+      profitPercent: latestPoint.profitPercent,
+      totalStocks: latestPoint.stocks,
+      cash,
+      cashKES: Math.round(cash * exchangeRate * 100) / 100
+    },
+    chartData,
+    summary: {
+      period: {
+        from: chartData[0].date,
+        to: latestPoint.date,
+        days: chartData.length
+      },
+      highest: Math.max(...values),
+      lowest: Math.min(...values),
+      // Day-on-day change in value, net of that day's deposits and withdrawals
+      bestDay: Math.round(Math.max(0, ...dayChanges) * 10000) / 10000,
+      worstDay: Math.round(Math.min(0, ...dayChanges) * 10000) / 10000,
+      average: Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10000) / 10000
+    },
+    returns: portfolioSnapshotService.computeReturns(snapshots),
+    exchangeRate,
+    lastUpdated: new Date(latest.updated_at || latest.snapshot_date).toISOString()
+  };
+};
+
 const getAssetTrend = async (req, res) => {
   try {
     const { timeframe = '1Day', limit = 30 } = req.query;
@@ -1152,41 +606,32 @@ const getAssetTrend = async (req, res) => {
     const user = await User.findByPk(req.user.id);
     const exchangeRate = await exchangeService.getExchangeRate('USD', 'KES');
 
+    // Daily trend: serve the stored equity curve once the nightly job has written two snapshots
+    if (timeframe === '1Day') {
+      const limitNum = Math.min(parseInt(limit) || 30, 100);
+      const from = new Date(Date.now() - (limitNum - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const snapshots = await portfolioSnapshotService.getHistory(req.user.id, { from }).catch(error => {
+        logger.warn(`Failed to load portfolio snapshots for user ${req.user.id}:`, error);
+        return [];
+      });
+      if (snapshots.length >= 2) return res.json(buildSnapshotTrend(snapshots, exchangeRate));
+    }
+
     if (!user || !user.alpaca_account_id) {
       // African-only user — build trend from ms_orders history + live MyStocks data
       const limitNum = Math.min(parseInt(limit) || 30, 100);
 
-      const [msPortfolioResult, msWalletResult, pendingOrdersResult, dbOrders, walletRow] = await Promise.allSettled([
-        user?.mystocks_sub_account_id ? ms.getPortfolio(user.mystocks_sub_account_id) : Promise.resolve(null),
-        user?.mystocks_sub_account_id ? ms.getWallet(user.mystocks_sub_account_id) : Promise.resolve(null),
-        user?.mystocks_sub_account_id ? ms.getUserOrders(user.mystocks_sub_account_id) : Promise.resolve({ orders: [] }),
+      const [myStocks, orders, localWallet] = await Promise.all([
+        user ? portfolioService.loadMyStocks(user) : null,
         MsOrder.findAll({
-          where: { user_id: req.user.id },
+          where: { user_id: req.user.id, ...MsOrder.executedWhere },
           order: [['filled_at', 'ASC']],
           limit: 500
-        }),
-        Wallet.findOne({ where: { user_id: req.user.id } })
+        }).catch(() => []),
+        Wallet.findOne({ where: { user_id: req.user.id } }).catch(() => null)
       ]);
-
-      const msPortfolio = msPortfolioResult.status === 'fulfilled' ? msPortfolioResult.value : null;
-      const msWalletRaw = msWalletResult.status === 'fulfilled' ? msWalletResult.value : null;
-      const msWalletBalance = parseFloat(msWalletRaw?.wallet?.balance || msWalletRaw?.balance || user?.mystocks_wallet_balance || 0);
-      const allMsOrders = pendingOrdersResult.status === 'fulfilled' ? (pendingOrdersResult.value?.orders || []) : [];
-      const orders = dbOrders.status === 'fulfilled' ? dbOrders.value : [];
-      const localWallet = walletRow.status === 'fulfilled' ? walletRow.value : null;
-      const localKesBalance = parseFloat(localWallet?.kes_balance || 0);
-      const localUsdBalance = parseFloat(localWallet?.usd_balance || 0);
-      const localCashUsd = localUsdBalance + (localKesBalance / (exchangeRate || 1));
-
-      // Current filled holdings from MyStocks
-      const holdings = msPortfolio
-        ? (Array.isArray(msPortfolio) ? msPortfolio
-          : Array.isArray(msPortfolio?.holdings) ? msPortfolio.holdings
-          : Array.isArray(msPortfolio?.positions) ? msPortfolio.positions : [])
-        : [];
-
-      // Pending orders from MyStocks API
-      const pendingOrders = allMsOrders.filter(o => o.status === 'PENDING');
+      const msWalletBalance = myStocks ? myStocks.cash : parseFloat(user?.mystocks_wallet_balance || 0);
+      const localCashUsd = portfolioService.loadWallet(localWallet, exchangeRate).cash;
 
       // Invested = sum of all BUY db orders minus SELL proceeds
       const totalInvested = orders
@@ -1197,19 +642,11 @@ const getAssetTrend = async (req, res) => {
         .reduce((s, o) => s + parseFloat(o.total_cost_usd || 0), 0);
       const netInvested = Math.max(0, totalInvested - totalSellProceeds);
 
-      // Current value = filled holdings market value + pending order amounts + cash
-      const holdingsValue = holdings.reduce((s, h) => {
-        const qty = parseFloat(h.quantity || h.qty || h.units || h.shares || 0);
-        if (qty <= 0) return s;
-        const unitPrice = parseFloat(h.currentPrice || h.price || h.localPrice || h.lastPrice || h.marketPrice || h.usdPrice || h.unitPrice || 0);
-        const totalVal = parseFloat(h.value || h.currentValue || h.totalValue || h.marketValue || 0);
-        const price = unitPrice || (totalVal > 0 ? totalVal / qty : 0);
-        return s + price * qty;
-      }, 0);
-      const pendingValue = pendingOrders.reduce((s, o) => s + parseFloat(o.totalAmount || 0), 0);
-      const currentValue = holdingsValue + pendingValue + msWalletBalance + localCashUsd;
+      // Current value = MyStocks holdings, with pending orders at their amount, + cash
+      const holdingsValue = myStocks ? myStocks.holdingsValue : 0;
+      const currentValue = holdingsValue + msWalletBalance + localCashUsd;
       // Profit = investment performance only (exclude local cash so uninvested KES doesn't inflate P&L)
-      const investmentValue = holdingsValue + pendingValue + msWalletBalance;
+      const investmentValue = holdingsValue + msWalletBalance;
       const profit = investmentValue - netInvested;
 
       // Build chart: add localCash as a stable baseline so historical points match the scale of today's value
@@ -1253,7 +690,7 @@ const getAssetTrend = async (req, res) => {
           profit: Math.round(profit * 10000) / 10000,
           profitKES: Math.round(profit * exchangeRate * 100) / 100,
           profitPercent: netInvested > 0 ? Math.round((profit / netInvested) * 10000) / 100 : 0,
-          totalStocks: holdings.length + pendingOrders.length,
+          totalStocks: myStocks ? myStocks.positions.length : 0,
           cash: msWalletBalance + localCashUsd,
           cashKES: Math.round((msWalletBalance + localCashUsd) * exchangeRate * 100) / 100,
           myStocksCash: msWalletBalance,
@@ -1447,374 +884,137 @@ const getAssetTrend = async (req, res) => {
   }
 };
 
-// Get portfolio allocation for pie chart
-const getPortfolioAllocation = async (req, res) => {
+// Realized and unrealized P&L per position from tax lots (FIFO, LIFO or average cost)
+const getProfitAndLoss = async (req, res) => {
   try {
-    // Check if user has an Alpaca account
-    const user = await User.findByPk(req.user.id);
-    const exchangeRate = await exchangeService.getExchangeRate('USD', 'KES');
-
-    // Get local wallet balance
-    let wallet = await Wallet.findOne({ where: { user_id: req.user.id } });
-    if (!wallet) {
-      wallet = { kes_balance: 0, usd_balance: 0, frozen_kes: 0, frozen_usd: 0 };
-    }
-    const localKesBalance = parseFloat(wallet.kes_balance) || 0;
-    const localUsdBalance = parseFloat(wallet.usd_balance) || 0;
-    const localCashUsd = localUsdBalance + (localKesBalance / exchangeRate);
-
-    if (!user || !user.alpaca_account_id) {
-      // African-only user — build allocation from MyStocks portfolio + wallet
-      let holdings = [];
-      let getAvgEntry = () => 0;
-      let msBalance = parseFloat(user?.mystocks_wallet_balance || 0);
-      try {
-        if (user?.mystocks_sub_account_id) {
-          const [msPortfolio, msWalletData, msOrdersForAvg] = await Promise.all([
-            ms.getPortfolio(user.mystocks_sub_account_id),
-            ms.getWallet(user.mystocks_sub_account_id),
-            MsOrder.findAll({ where: { user_id: req.user.id }, order: [['filled_at', 'ASC']] })
-          ]);
-          const liveBalance = parseFloat(msWalletData?.wallet?.balance || msWalletData?.balance || 0);
-          if (liveBalance > 0) msBalance = liveBalance;
-          getAvgEntry = computeAvgEntryPrices(msOrdersForAvg);
-          const raw = Array.isArray(msPortfolio) ? msPortfolio
-            : Array.isArray(msPortfolio?.holdings) ? msPortfolio.holdings
-            : Array.isArray(msPortfolio?.positions) ? msPortfolio.positions : [];
-          holdings = raw;
-        }
-      } catch (_) {}
-
-      // Normalize holdings with full price fallback chain (same as getPortfolio)
-      const normalizedHoldings = holdings
-        .map(h => {
-          const qty = parseFloat(h.quantity || h.qty || h.units || h.shares || 0);
-          if (qty <= 0) return null;
-          const unitPrice = parseFloat(
-            h.currentPrice || h.price || h.localPrice || h.lastPrice ||
-            h.marketPrice || h.usdPrice || h.unitPrice || h.closePrice ||
-            h.tradePrice || h.currentUnitPrice || 0
-          );
-          const totalVal = parseFloat(h.value || h.currentValue || h.totalValue || h.marketValue || 0);
-          const price = unitPrice || (qty > 0 && totalVal > 0 ? totalVal / qty : 0);
-          const nativeCost = parseFloat(
-            h.averageCost || h.avgCost || h.averagePrice || h.avgPrice ||
-            h.purchasePrice || h.costBasis || 0
-          );
-          const cost = nativeCost || getAvgEntry(h.symbol) || price;
-          return { h, qty, price, cost, value: qty * price, exchange: h.exchange || 'NSE', sector: h.sector || 'Other' };
-        })
-        .filter(Boolean);
-
-      const marketValue = normalizedHoldings.reduce((s, n) => s + n.value, 0);
-      const portfolioValue = msBalance + marketValue + localCashUsd;
-
-      const byStock = normalizedHoldings.map(({ h, qty, price, cost, value, exchange }) => {
-        const costBasis = qty * cost;
-        const unrealizedPL = value - costBasis;
-        return {
-          symbol: h.symbol,
-          name: h.name || h.symbol,
-          value: parseFloat(value.toFixed(2)),
-          valueKES: parseFloat((value * exchangeRate).toFixed(2)),
-          percentage: portfolioValue > 0 ? parseFloat(((value / portfolioValue) * 100).toFixed(2)) : 0,
-          quantity: Math.ceil(qty),   // int for Flutter model (ceil so 0.01 → 1, not 0)
-          currentPrice: price,
-          avgEntryPrice: parseFloat(cost.toFixed(8)),
-          unrealizedPL: parseFloat(unrealizedPL.toFixed(2)),
-          unrealizedPLPercent: costBasis > 0 ? parseFloat(((unrealizedPL / costBasis) * 100).toFixed(2)) : 0,
-          exchange
-        };
-      });
-
-      const bySector = Object.values(
-        normalizedHoldings.reduce((acc, { sector, value }) => {
-          if (!acc[sector]) acc[sector] = { name: sector, value: 0, valueKES: 0, percentage: 0, count: 0 };
-          acc[sector].value += value;
-          acc[sector].valueKES += value * exchangeRate;
-          acc[sector].count += 1;
-          return acc;
-        }, {})
-      ).map(s => ({ ...s, value: parseFloat(s.value.toFixed(2)), valueKES: parseFloat(s.valueKES.toFixed(2)), percentage: portfolioValue > 0 ? parseFloat(((s.value / portfolioValue) * 100).toFixed(2)) : 0 }));
-
-      const byExchange = Object.values(
-        normalizedHoldings.reduce((acc, { exchange, value }) => {
-          if (!acc[exchange]) acc[exchange] = { name: exchange, value: 0, valueKES: 0, percentage: 0, count: 0 };
-          acc[exchange].value += value;
-          acc[exchange].valueKES += value * exchangeRate;
-          acc[exchange].count += 1;
-          return acc;
-        }, {})
-      ).map(e => ({ ...e, value: parseFloat(e.value.toFixed(2)), valueKES: parseFloat(e.valueKES.toFixed(2)), percentage: portfolioValue > 0 ? parseFloat(((e.value / portfolioValue) * 100).toFixed(2)) : 0 }));
-
-      return res.json({
-        success: true,
-        provider: 'mystocks',
-        allocation: {
-          byAssetClass: [
-            ...(marketValue > 0 ? [{ name: 'African Equities', value: parseFloat(marketValue.toFixed(2)), valueKES: parseFloat((marketValue * exchangeRate).toFixed(2)), percentage: portfolioValue > 0 ? parseFloat(((marketValue / portfolioValue) * 100).toFixed(2)) : 0, count: normalizedHoldings.length, stocks: byStock.map(s => s.symbol) }] : [])
-          ],
-          bySector,
-          byStock,
-          byExchange
-        },
-        summary: {
-          portfolioValue: parseFloat(portfolioValue.toFixed(2)),
-          portfolioValueKES: parseFloat((portfolioValue * exchangeRate).toFixed(2)),
-          cash: parseFloat((msBalance + localCashUsd).toFixed(2)),
-          cashKES: parseFloat(((msBalance + localCashUsd) * exchangeRate).toFixed(2)),
-          marketValue: parseFloat(marketValue.toFixed(2)),
-          marketValueKES: parseFloat((marketValue * exchangeRate).toFixed(2)),
-          totalPositions: holdings.length,
-          exchangeRate
-        },
-        localWallet: { kesBalance: localKesBalance, usdBalance: localUsdBalance, totalUsd: localCashUsd },
-        lastUpdated: new Date().toISOString()
-      });
+    const { method = 'fifo', from, to } = req.query;
+    const pnl = await taxLotService.getProfitAndLoss(req.user.id, { method, from, to });
+    res.json({ success: true, pnl });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
     }
+    logger.error('Get profit and loss error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profit and loss'
+    });
+  }
+};
 
-    // Get account info to get cash balance
-    const account = await alpacaService.getAccount(user.alpaca_account_id);
-    const alpacaCash = parseFloat(account.cash || 0);
-
-    // Get all user's positions for this specific Alpaca account
-    const positions = await alpacaService.getPositions(user.alpaca_account_id);
-
-    // Calculate market value of positions
-    const marketValue = positions.reduce((sum, pos) => sum + parseFloat(pos.market_value), 0);
-
-    // Combined cash = Alpaca cash + Local wallet
-    const totalCash = alpacaCash + localCashUsd;
-
-    // Portfolio value = total cash + market value of investments
-    const portfolioValue = totalCash + marketValue;
+// GET /api/v1/portfolio/tax-report?year=2026&method=fifo&format=json|csv|pdf
+const getTaxReport = async (req, res) => {
+  try {
+    const { year = new Date().getUTCFullYear() - 1, method = 'fifo', format = 'json' } = req.query;
+    const report = await taxReportService.getReport(req.user.id, { year, method });
 
-    if (!positions || positions.length === 0) {
-      return res.json({
-        success: true,
-        allocation: {
-          byAssetClass: totalCash > 0 ? [{
-            name: 'Cash',
-            value: parseFloat(totalCash.toFixed(2)),
-            valueKES: parseFloat((totalCash * exchangeRate).toFixed(2)),
-            percentage: 100,
-            count: 0,
-            stocks: []
-          }] : [],
-          bySector: [],
-          byStock: [],
-          byExchange: []
-        },
-        summary: {
-          portfolioValue: parseFloat(portfolioValue.toFixed(2)),
-          portfolioValueKES: parseFloat((portfolioValue * exchangeRate).toFixed(2)),
-          cash: parseFloat(totalCash.toFixed(2)),
-          cashKES: parseFloat((totalCash * exchangeRate).toFixed(2)),
-          marketValue: 0,
-          marketValueKES: 0,
-          totalPositions: 0,
-          exchangeRate
-        },
-        localWallet: {
-          kesBalance: localKesBalance,
-          usdBalance: localUsdBalance,
-          totalUsd: localCashUsd
-        },
-        lastUpdated: new Date().toISOString(),
-        message: 'No positions found. Buy stocks to see your portfolio allocation.'
-      });
+    if (format === 'json') return res.json({ success: true, report });
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/pdf',
+      'Content-Disposition': `attachment; filename="tax-report-${report.year}.${format}"`
+    });
+    res.send(format === 'csv' ? taxReportService.toCsv(report) : taxReportService.toPdf(report));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
     }
-
-    // Total value for percentage calculations (includes cash)
-    const totalValue = portfolioValue;
-
-    // Fetch additional data for each position (sector, industry)
-    const positionDetails = await Promise.all(
-      positions.map(async (position) => {
-        const marketValue = parseFloat(position.market_value);
-        const percentage = totalValue > 0 ? (marketValue / totalValue) * 100 : 0;
-
-        // Try to get asset details for sector/industry info
-        let sector = 'Unknown';
-        let industry = 'Unknown';
-        let exchange = position.exchange || 'NASDAQ';
-        let assetClass = position.asset_class || 'us_equity';
-
-        try {
-          // Get asset info from Alpaca
-          const asset = await alpacaService.getAsset(position.symbol);
-          exchange = asset.exchange || exchange;
-          assetClass = asset.class || assetClass;
-        } catch (assetError) {
-          logger.warn(`Could not get asset details for ${position.symbol}`);
-        }
-
-        // Determine asset class label
-        let assetClassLabel = 'US Stocks';
-        if (assetClass === 'us_equity' || assetClass === 'us_stock') {
-          assetClassLabel = 'US Stocks';
-        } else if (assetClass === 'ke_equity' || assetClass === 'ke_stock') {
-          assetClassLabel = 'KE Stocks';
-        } else if (assetClass === 'crypto') {
-          assetClassLabel = 'Crypto';
-        } else if (assetClass === 'etf') {
-          assetClassLabel = 'ETFs';
-        }
-
-        return {
-          symbol: position.symbol,
-          name: position.symbol, // Could fetch company name
-          marketValue,
-          marketValueKES: marketValue * exchangeRate,
-          percentage: parseFloat(percentage.toFixed(2)),
-          quantity: parseFloat(position.qty),
-          currentPrice: parseFloat(position.current_price),
-          assetClass,
-          assetClassLabel,
-          sector,
-          industry,
-          exchange,
-          unrealizedPL: parseFloat(position.unrealized_pl),
-          unrealizedPLPercent: parseFloat(position.unrealized_plpc) * 100
-        };
-      })
-    );
-
-    // Group by Asset Class
-    const assetClassGroups = {};
-    positionDetails.forEach(pos => {
-      const key = pos.assetClassLabel;
-      if (!assetClassGroups[key]) {
-        assetClassGroups[key] = {
-          name: key,
-          value: 0,
-          valueKES: 0,
-          percentage: 0,
-          count: 0,
-          stocks: []
-        };
-      }
-      assetClassGroups[key].value += pos.marketValue;
-      assetClassGroups[key].valueKES += pos.marketValueKES;
-      assetClassGroups[key].count += 1;
-      assetClassGroups[key].stocks.push(pos.symbol);
+    logger.error('Get tax report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate tax report'
     });
+  }
+};
 
-    // Add Cash as an asset class if there's cash in the account
-    if (totalCash > 0) {
-      assetClassGroups['Cash'] = {
-        name: 'Cash',
-        value: totalCash,
-        valueKES: totalCash * exchangeRate,
-        percentage: 0,
-        count: 0,
-        stocks: []
-      };
-    }
+// Get portfolio allocation for pie chart, across every provider in the consolidated portfolio
+const getPortfolioAllocation = async (req, res) => {
+  try {
+    const portfolio = await portfolioService.getUserPortfolio(req.user.id, { includePending: false });
+    const { exchangeRate, cash, equity: portfolioValue } = portfolio;
 
-    // Calculate percentages for asset classes
-    const byAssetClass = Object.values(assetClassGroups).map(group => ({
-      ...group,
-      percentage: parseFloat(((group.value / totalValue) * 100).toFixed(2)),
-      value: parseFloat(group.value.toFixed(2)),
-      valueKES: parseFloat(group.valueKES.toFixed(2))
-    })).sort((a, b) => b.percentage - a.percentage);
-
-    // Group by Exchange
-    const exchangeGroups = {};
-    positionDetails.forEach(pos => {
-      const key = pos.exchange;
-      if (!exchangeGroups[key]) {
-        exchangeGroups[key] = {
-          name: key,
-          value: 0,
-          valueKES: 0,
-          percentage: 0,
-          count: 0,
-          stocks: []
-        };
+    // Alpaca's asset record has the listing exchange and class the position lacks
+    const holdings = await Promise.all(portfolio.positions.map(async (position) => {
+      if (position.provider !== 'alpaca') return position;
+      try {
+        const asset = await alpacaService.getAsset(position.symbol);
+        return { ...position, exchange: asset.exchange || position.exchange, assetClass: asset.class || position.assetClass };
+      } catch (assetError) {
+        logger.warn(`Could not get asset details for ${position.symbol}`);
+        return position;
       }
-      exchangeGroups[key].value += pos.marketValue;
-      exchangeGroups[key].valueKES += pos.marketValueKES;
-      exchangeGroups[key].count += 1;
-      exchangeGroups[key].stocks.push(pos.symbol);
-    });
-
-    // Calculate percentages for exchanges
-    const byExchange = Object.values(exchangeGroups).map(group => ({
+    }));
+
+    const marketValue = holdings.reduce((sum, p) => sum + p.marketValue, 0);
+    const percentOf = (value) => (portfolioValue > 0 ? round2((value / portfolioValue) * 100) : 0);
+    const byPercentage = (a, b) => b.percentage - a.percentage;
+
+    const groupBy = (keyOf) => Object.values(holdings.reduce((groups, p) => {
+      const key = keyOf(p);
+      if (!groups[key]) groups[key] = { name: key, value: 0, count: 0, stocks: [] };
+      groups[key].value += p.marketValue;
+      groups[key].count += 1;
+      groups[key].stocks.push(p.symbol);
+      return groups;
+    }, {}));
+    const formatGroup = (group) => ({
       ...group,
-      percentage: parseFloat(((group.value / totalValue) * 100).toFixed(2)),
-      value: parseFloat(group.value.toFixed(2)),
-      valueKES: parseFloat(group.valueKES.toFixed(2))
-    })).sort((a, b) => b.percentage - a.percentage);
-
-    // Group by Sector (placeholder - would need external data source)
-    const sectorGroups = {};
-    positionDetails.forEach(pos => {
-      const key = pos.sector;
-      if (!sectorGroups[key]) {
-        sectorGroups[key] = {
-          name: key,
-          value: 0,
-          valueKES: 0,
-          percentage: 0,
-          count: 0,
-          stocks: []
-        };
-      }
-      sectorGroups[key].value += pos.marketValue;
-      sectorGroups[key].valueKES += pos.marketValueKES;
-      sectorGroups[key].count += 1;
-      sectorGroups[key].stocks.push(pos.symbol);
+      value: round2(group.value),
+      valueKES: round2(group.value * exchangeRate),
+      percentage: percentOf(group.value)
     });
 
-    // Calculate percentages for sectors
-    const bySector = Object.values(sectorGroups).map(group => ({
-      ...group,
-      percentage: parseFloat(((group.value / totalValue) * 100).toFixed(2)),
-      value: parseFloat(group.value.toFixed(2)),
-      valueKES: parseFloat(group.valueKES.toFixed(2))
-    })).sort((a, b) => b.percentage - a.percentage);
-
-    // Individual stocks allocation
-    const byStock = positionDetails.map(pos => ({
-      symbol: pos.symbol,
-      name: pos.name,
-      value: parseFloat(pos.marketValue.toFixed(2)),
-      valueKES: parseFloat(pos.marketValueKES.toFixed(2)),
-      percentage: pos.percentage,
-      quantity: pos.quantity,
-      currentPrice: pos.currentPrice,
-      unrealizedPL: parseFloat(pos.unrealizedPL.toFixed(2)),
-      unrealizedPLPercent: parseFloat(pos.unrealizedPLPercent.toFixed(2))
-    })).sort((a, b) => b.percentage - a.percentage);
+    const assetClasses = groupBy(p => ASSET_CLASS_LABELS[p.assetClass] || 'US Stocks');
+    if (cash > 0) assetClasses.push({ name: 'Cash', value: cash, count: 0, stocks: [] });
+
+    const byStock = holdings.map(p => ({
+      symbol: p.symbol,
+      name: p.name,
+      provider: p.provider,
+      value: round2(p.marketValue),
+      valueKES: round2(p.marketValue * exchangeRate),
+      percentage: percentOf(p.marketValue),
+      // MyStocks quantities are ints for the Flutter model (ceil so 0.01 → 1, not 0)
+      quantity: p.provider === 'mystocks' ? Math.ceil(p.quantity) : p.quantity,
+      currentPrice: p.currentPrice,
+      avgEntryPrice: parseFloat(p.averageEntryPrice.toFixed(8)),
+      unrealizedPL: round2(p.unrealizedPL),
+      unrealizedPLPercent: p.unrealizedPLPercent,
+      exchange: p.exchange
+    })).sort(byPercentage);
 
     res.json({
       success: true,
+      provider: portfolio.mode,
       allocation: {
-        byAssetClass,
-        byExchange,
-        bySector,
-        byStock
+        byAssetClass: assetClasses.map(formatGroup).sort(byPercentage),
+        byExchange: groupBy(p => p.exchange).map(formatGroup).sort(byPercentage),
+        bySector: groupBy(p => p.sector || 'Other').map(formatGroup).sort(byPercentage),
+        byStock,
+        byProvider: portfolio.breakdown.map(b => ({
+          name: b.provider,
+          value: round2(b.equity),
+          valueKES: round2(b.equity * exchangeRate),
+          percentage: percentOf(b.equity)
+        }))
       },
       summary: {
-        portfolioValue: parseFloat(portfolioValue.toFixed(2)),
-        portfolioValueKES: parseFloat((portfolioValue * exchangeRate).toFixed(2)),
-        cash: parseFloat(totalCash.toFixed(2)),
-        cashKES: parseFloat((totalCash * exchangeRate).toFixed(2)),
-        marketValue: parseFloat(marketValue.toFixed(2)),
-        marketValueKES: parseFloat((marketValue * exchangeRate).toFixed(2)),
-        totalPositions: positions.length,
+        portfolioValue: round2(portfolioValue),
+        portfolioValueKES: round2(portfolioValue * exchangeRate),
+        cash: round2(cash),
+        cashKES: round2(cash * exchangeRate),
+        marketValue: round2(marketValue),
+        marketValueKES: round2(marketValue * exchangeRate),
+        totalPositions: holdings.length,
         exchangeRate
       },
-      localWallet: {
-        kesBalance: localKesBalance,
-        usdBalance: localUsdBalance,
-        totalUsd: localCashUsd
-      },
-      lastUpdated: new Date().toISOString()
+      localWallet: portfolio.localWallet,
+      lastUpdated: new Date().toISOString(),
+      ...(holdings.length === 0 ? { message: 'No positions found. Buy stocks to see your portfolio allocation.' } : {})
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     logger.error('Get portfolio allocation error:', error);
     res.status(500).json({
       success: false,
@@ -1830,5 +1030,7 @@ module.exports = {
   getPerformance,
   closePosition,
   getAssetTrend,
+  getProfitAndLoss,
+  getTaxReport,
   getPortfolioAllocation
 };
\ No newline at end of file
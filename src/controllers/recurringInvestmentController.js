@@ -0,0 +1,154 @@
+const recurringInvestmentService = require('../services/recurringInvestmentService');
+const logger = require('../utils/logger');
+
+const formatPlan = (plan) => ({
+  id: plan.id,
+  name: plan.name,
+  amount: parseFloat(plan.amount),
+  fundingCurrency: plan.funding_currency,
+  targets: plan.targets,
+  frequency: plan.frequency,
+  dayOfWeek: plan.day_of_week,
+  dayOfMonth: plan.day_of_month,
+  onInsufficientFunds: plan.on_insufficient_funds,
+  status: plan.status,
+  nextRunAt: plan.next_run_at,
+  scheduledFor: plan.scheduled_for,
+  retryCount: plan.retry_count,
+  lastRunAt: plan.last_run_at,
+  lastRunStatus: plan.last_run_status,
+  createdAt: plan.createdAt,
+  updatedAt: plan.updatedAt
+});
+
+const formatExecution = (execution) => ({
+  id: execution.id,
+  scheduledFor: execution.scheduled_for,
+  attempt: execution.attempt,
+  status: execution.status,
+  amount: parseFloat(execution.amount),
+  currency: execution.currency,
+  orders: execution.orders,
+  retryAt: execution.retry_at,
+  error: execution.error,
+  createdAt: execution.createdAt
+});
+
+const planInput = (body) => ({
+  name: body.name,
+  amount: body.amount,
+  fundingCurrency: body.fundingCurrency,
+  frequency: body.frequency,
+  dayOfWeek: body.dayOfWeek,
+  dayOfMonth: body.dayOfMonth,
+  targets: body.targets,
+  onInsufficientFunds: body.onInsufficientFunds
+});
+
+// Service errors carry the status to answer with; anything else is a 500
+const sendError = (res, error, label, message) => {
+  if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+  logger.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message });
+};
+
+// POST /api/v1/recurring-investments
+const createPlan = async (req, res) => {
+  try {
+    const plan = await recurringInvestmentService.createPlan(req.user.id, planInput(req.body));
+    res.status(201).json({ success: true, message: 'Recurring investment created', plan: formatPlan(plan) });
+  } catch (error) {
+    sendError(res, error, 'Create recurring investment', 'Server error while creating recurring investment');
+  }
+};
+
+// GET /api/v1/recurring-investments
+const getPlans = async (req, res) => {
+  try {
+    const plans = await recurringInvestmentService.getUserPlans(req.user.id, { status: req.query.status });
+    res.json({ success: true, plans: plans.map(formatPlan), count: plans.length });
+  } catch (error) {
+    sendError(res, error, 'Get recurring investments', 'Server error');
+  }
+};
+
+// GET /api/v1/recurring-investments/:planId
+const getPlan = async (req, res) => {
+  try {
+    const plan = await recurringInvestmentService.getUserPlan(req.user.id, req.params.planId);
+    res.json({ success: true, plan: formatPlan(plan) });
+  } catch (error) {
+    sendError(res, error, 'Get recurring investment', 'Server error');
+  }
+};
+
+// PATCH /api/v1/recurring-investments/:planId
+const updatePlan = async (req, res) => {
+  try {
+    const plan = await recurringInvestmentService.updatePlan(req.user.id, req.params.planId, planInput(req.body));
+    res.json({ success: true, message: 'Recurring investment updated', plan: formatPlan(plan) });
+  } catch (error) {
+    sendError(res, error, 'Update recurring investment', 'Server error while updating recurring investment');
+  }
+};
+
+// POST /api/v1/recurring-investments/:planId/pause
+const pausePlan = async (req, res) => {
+  try {
+    const plan = await recurringInvestmentService.pausePlan(req.user.id, req.params.planId);
+    res.json({ success: true, message: 'Recurring investment paused', plan: formatPlan(plan) });
+  } catch (error) {
+    sendError(res, error, 'Pause recurring investment', 'Server error while pausing recurring investment');
+  }
+};
+
+// POST /api/v1/recurring-investments/:planId/resume
+const resumePlan = async (req, res) => {
+  try {
+    const plan = await recurringInvestmentService.resumePlan(req.user.id, req.params.planId);
+    res.json({ success: true, message: 'Recurring investment resumed', plan: formatPlan(plan) });
+  } catch (error) {
+    sendError(res, error, 'Resume recurring investment', 'Server error while resuming recurring investment');
+  }
+};
+
+// DELETE /api/v1/recurring-investments/:planId
+const cancelPlan = async (req, res) => {
+  try {
+    await recurringInvestmentService.cancelPlan(req.user.id, req.params.planId);
+    res.json({ success: true, message: 'Recurring investment cancelled' });
+  } catch (error) {
+    sendError(res, error, 'Cancel recurring investment', 'Server error while cancelling recurring investment');
+  }
+};
+
+// GET /api/v1/recurring-investments/:planId/executions
+const getExecutions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { count, rows } = await recurringInvestmentService.getExecutions(req.user.id, req.params.planId, {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      executions: rows.map(formatExecution),
+      pagination: { total: count, page, limit, totalPages: Math.ceil(count / limit) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get recurring investment executions', 'Server error');
+  }
+};
+
+module.exports = {
+  createPlan,
+  getPlans,
+  getPlan,
+  updatePlan,
+  pausePlan,
+  resumePlan,
+  cancelPlan,
+  getExecutions
+};
@@ -0,0 +1,144 @@
+const standingDepositService = require('../services/standingDepositService');
+const logger = require('../utils/logger');
+
+const formatDeposit = (deposit) => ({
+  id: deposit.id,
+  amount: parseFloat(deposit.amount),
+  currency: 'KES',
+  dayOfMonth: deposit.day_of_month,
+  phoneNumber: deposit.phone_number,
+  recurringPlanId: deposit.recurring_plan_id,
+  status: deposit.status,
+  nextRunAt: deposit.next_run_at,
+  lastRunAt: deposit.last_run_at,
+  lastRunStatus: deposit.last_run_status,
+  consecutiveFailures: deposit.consecutive_failures,
+  createdAt: deposit.createdAt,
+  updatedAt: deposit.updatedAt
+});
+
+const formatAttempt = (txn) => ({
+  transactionId: txn.id,
+  reference: txn.reference,
+  amount: parseFloat(txn.amount),
+  status: txn.status,
+  mpesaReceiptNumber: txn.metadata?.mpesaReceiptNumber || null,
+  failureReason: txn.metadata?.failureReason || null,
+  autoConversion: txn.metadata?.autoConversion || null,
+  createdAt: txn.createdAt
+});
+
+const depositInput = (body) => ({
+  amount: body.amount,
+  dayOfMonth: body.dayOfMonth,
+  phoneNumber: body.phoneNumber,
+  recurringPlanId: body.recurringPlanId
+});
+
+// Service errors carry the status to answer with; anything else is a 500
+const sendError = (res, error, label, message) => {
+  if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+  logger.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message });
+};
+
+// POST /api/v1/standing-deposits
+const createDeposit = async (req, res) => {
+  try {
+    const deposit = await standingDepositService.createDeposit(req.user.id, depositInput(req.body));
+    res.status(201).json({ success: true, message: 'Standing deposit created', deposit: formatDeposit(deposit) });
+  } catch (error) {
+    sendError(res, error, 'Create standing deposit', 'Server error while creating standing deposit');
+  }
+};
+
+// GET /api/v1/standing-deposits
+const getDeposits = async (req, res) => {
+  try {
+    const deposits = await standingDepositService.getUserDeposits(req.user.id, { status: req.query.status });
+    res.json({ success: true, deposits: deposits.map(formatDeposit), count: deposits.length });
+  } catch (error) {
+    sendError(res, error, 'Get standing deposits', 'Server error');
+  }
+};
+
+// GET /api/v1/standing-deposits/:depositId
+const getDeposit = async (req, res) => {
+  try {
+    const deposit = await standingDepositService.getUserDeposit(req.user.id, req.params.depositId);
+    res.json({ success: true, deposit: formatDeposit(deposit) });
+  } catch (error) {
+    sendError(res, error, 'Get standing deposit', 'Server error');
+  }
+};
+
+// PATCH /api/v1/standing-deposits/:depositId
+const updateDeposit = async (req, res) => {
+  try {
+    const deposit = await standingDepositService.updateDeposit(req.user.id, req.params.depositId, depositInput(req.body));
+    res.json({ success: true, message: 'Standing deposit updated', deposit: formatDeposit(deposit) });
+  } catch (error) {
+    sendError(res, error, 'Update standing deposit', 'Server error while updating standing deposit');
+  }
+};
+
+// POST /api/v1/standing-deposits/:depositId/pause
+const pauseDeposit = async (req, res) => {
+  try {
+    const deposit = await standingDepositService.pauseDeposit(req.user.id, req.params.depositId);
+    res.json({ success: true, message: 'Standing deposit paused', deposit: formatDeposit(deposit) });
+  } catch (error) {
+    sendError(res, error, 'Pause standing deposit', 'Server error while pausing standing deposit');
+  }
+};
+
+// POST /api/v1/standing-deposits/:depositId/resume
+const resumeDeposit = async (req, res) => {
+  try {
+    const deposit = await standingDepositService.resumeDeposit(req.user.id, req.params.depositId);
+    res.json({ success: true, message: 'Standing deposit resumed', deposit: formatDeposit(deposit) });
+  } catch (error) {
+    sendError(res, error, 'Resume standing deposit', 'Server error while resuming standing deposit');
+  }
+};
+
+// DELETE /api/v1/standing-deposits/:depositId
+const cancelDeposit = async (req, res) => {
+  try {
+    await standingDepositService.cancelDeposit(req.user.id, req.params.depositId);
+    res.json({ success: true, message: 'Standing deposit cancelled' });
+  } catch (error) {
+    sendError(res, error, 'Cancel standing deposit', 'Server error while cancelling standing deposit');
+  }
+};
+
+// GET /api/v1/standing-deposits/:depositId/attempts
+const getAttempts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { count, rows } = await standingDepositService.getAttempts(req.user.id, req.params.depositId, {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      attempts: rows.map(formatAttempt),
+      pagination: { total: count, page, limit, totalPages: Math.ceil(count / limit) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get standing deposit attempts', 'Server error');
+  }
+};
+
+module.exports = {
+  createDeposit,
+  getDeposits,
+  getDeposit,
+  updateDeposit,
+  pauseDeposit,
+  resumeDeposit,
+  cancelDeposit,
+  getAttempts
+};
@@ -210,8 +210,8 @@ const getBars = async (req, res) => {
         const sym = symbol.toUpperCase();
         const [[realOrders, paperOrders], usdToLocal] = await Promise.all([
           Promise.all([
-            MsOrder.findAll({ where: { user_id: req.user.id, symbol: sym } }),
-            DemoOrder.findAll({ where: { user_id: req.user.id, symbol: sym } })
+            MsOrder.findAll({ where: { user_id: req.user.id, symbol: sym, ...MsOrder.executedWhere } }),
+            DemoOrder.findAll({ where: { user_id: req.user.id, symbol: sym, ...DemoOrder.executedWhere } })
           ]),
           exchangeService.getExchangeRate('USD', stockSnapshot?.currency || 'KES').catch(() => null)
         ]);
@@ -2304,8 +2304,8 @@ const getCompanyInfo = async (req, res) => {
         try {
           const [[realOrders, paperOrders], usdToLocal, watchlist] = await Promise.all([
             Promise.all([
-              MsOrder.findAll({ where: { user_id: userId, symbol: upperSymbol } }),
-              DemoOrder.findAll({ where: { user_id: userId, symbol: upperSymbol } })
+              MsOrder.findAll({ where: { user_id: userId, symbol: upperSymbol, ...MsOrder.executedWhere } }),
+              DemoOrder.findAll({ where: { user_id: userId, symbol: upperSymbol, ...DemoOrder.executedWhere } })
             ]),
             exchangeService.getExchangeRate('USD', stockSnapshot.currency || 'KES').catch(() => exchangeRate),
             Watchlist.findOne({ where: { user_id: userId } }).catch(() => null)
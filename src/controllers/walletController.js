@@ -8,6 +8,11 @@ const ms = require('../services/mystocksService');
 const { ensureMyStocksSubAccount } = require('../utils/ensureMyStocksAccount');
 const platformConfigService = require('../services/platformConfigService');
 const { recordRevenue } = require('../services/revenueService');
+const ledgerService = require('../services/ledgerService');
+const depositConversionService = require('../services/depositConversionService');
+const paymentSettlementService = require('../services/paymentSettlementService');
+const withdrawalReviewService = require('../services/withdrawalReviewService');
+const beneficiaryService = require('../services/beneficiaryService');
 
 const getWallet = async (req, res) => {
   try {
@@ -241,8 +246,13 @@ const initiateDeposit = async (req, res) => {
       const depositFee = Math.round(amount * depositFeeRate * 100) / 100;
       const netDepositAmount = amount - depositFee;
 
-      wallet.kes_balance = parseFloat(wallet.kes_balance) + netDepositAmount;
-      await wallet.save();
+      await ledgerService.recordDeposit(wallet, {
+        amount,
+        fee: depositFee,
+        reference,
+        description: `Sandbox deposit of KES ${amount}`
+      });
+      await wallet.reload();
 
       recordRevenue('deposit_fee', { userId: req.user.id, amountKes: depositFee, currency: 'KES', reference: reference });
       logger.info(`Sandbox deposit completed for user ${req.user.id}: KES ${amount} (fee: KES ${depositFee}, net: KES ${netDepositAmount})`);
@@ -256,73 +266,20 @@ const initiateDeposit = async (req, res) => {
       // Auto-convert to USD if user preference is enabled
       if (user && user.auto_convert_deposits) {
         try {
-          const conversionAmount = amount;
-          const conversion = await exchangeService.convertCurrency(conversionAmount, 'KES', 'USD');
-          const forexFees = exchangeService.calculateForexFees(conversion.convertedAmount);
-          const finalUSDAmount = conversion.convertedAmount - forexFees;
-
-          // Update balances: remove KES, add USD
-          wallet.kes_balance = parseFloat(wallet.kes_balance) - conversionAmount;
-          wallet.usd_balance = parseFloat(wallet.usd_balance) + finalUSDAmount;
-          await wallet.save();
-
-          autoConvertedUSD = finalUSDAmount;
-
-          // Record conversion transaction
-          await Transaction.create({
-            wallet_id: wallet.id,
-            type: 'forex_conversion',
-            amount: -conversionAmount,
-            currency: 'KES',
-            reference: `AUTOCONV_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            exchange_rate: conversion.rate,
-            fees: { forex: forexFees },
-            description: `Auto-convert ${conversionAmount} KES to USD on sandbox deposit`,
-            status: 'completed',
-            metadata: {
-              originalAmount: conversionAmount,
-              convertedAmount: conversion.convertedAmount,
-              forexFees,
-              finalAmount: finalUSDAmount,
-              rate: conversion.rate,
-              autoConversion: true,
-              relatedDeposit: reference
-            }
-          });
-
-          await Transaction.create({
-            wallet_id: wallet.id,
-            type: 'forex_conversion',
-            amount: finalUSDAmount,
-            currency: 'USD',
-            reference: `AUTOCRED_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            exchange_rate: conversion.rate,
-            fees: { forex: forexFees },
-            description: `Receive ${finalUSDAmount} USD from auto-conversion`,
-            status: 'completed',
-            metadata: {
-              originalAmount: conversionAmount,
-              convertedAmount: conversion.convertedAmount,
-              forexFees,
-              finalAmount: finalUSDAmount,
-              rate: conversion.rate,
-              autoConversion: true,
-              relatedDeposit: reference
-            }
+          // Only the amount credited after the deposit fee can be converted
+          conversionDetails = await depositConversionService.convertToUsd(wallet, {
+            kesAmount: netDepositAmount,
+            depositReference: reference,
+            label: 'sandbox deposit'
           });
-
-          conversionDetails = {
-            kesAmount: conversionAmount,
-            usdAmount: finalUSDAmount,
-            rate: conversion.rate,
-            fees: forexFees
-          };
+          await wallet.reload();
+          autoConvertedUSD = conversionDetails.usdAmount;
 
           logger.info(`Auto-conversion completed for sandbox deposit ${reference}:`, {
-            kesAmount: conversionAmount,
-            usdReceived: finalUSDAmount,
-            rate: conversion.rate,
-            fees: forexFees
+            kesAmount: conversionDetails.kesAmount,
+            usdReceived: conversionDetails.usdAmount,
+            rate: conversionDetails.rate,
+            fees: conversionDetails.fees
           });
 
         } catch (conversionError) {
@@ -466,7 +423,12 @@ const mpesaCallback = async (req, res) => {
 
       const depositFeeRate = await platformConfigService.getSetting('deposit_fee_rate');
       const depositFee = Math.round(transaction.amount * depositFeeRate * 100) / 100;
-      wallet.kes_balance += (transaction.amount - depositFee);
+      await ledgerService.recordDeposit(wallet, {
+        amount: transaction.amount,
+        fee: depositFee,
+        reference,
+        description: `M-Pesa deposit ${callbackResult.metadata.mpesaReceiptNumber}`
+      });
       recordRevenue('deposit_fee', { userId: wallet.user_id, amountKes: depositFee, currency: 'KES', reference: reference });
 
       // Check if user has auto-conversion enabled
@@ -478,72 +440,18 @@ const mpesaCallback = async (req, res) => {
       // Auto-convert to USD if user preference is enabled
       if (user && user.auto_convert_deposits) {
         try {
-          const conversionAmount = transaction.amount;
-          const conversion = await exchangeService.convertCurrency(conversionAmount, 'KES', 'USD');
-          const forexFees = exchangeService.calculateForexFees(conversion.convertedAmount);
-          const finalUSDAmount = conversion.convertedAmount - forexFees;
-
-          // Update balances: remove KES, add USD
-          wallet.kes_balance -= conversionAmount;
-          wallet.usd_balance += finalUSDAmount;
-          autoConvertedUSD = finalUSDAmount;
-
-          // Record conversion transaction
-          const conversionTransaction = {
-            type: 'forex_conversion',
-            amount: -conversionAmount,
-            currency: 'KES',
-            reference: `AUTOCONV_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            exchange_rate: conversion.rate,
-            fees: { forex: forexFees },
-            description: `Auto-convert ${conversionAmount} KES to USD on deposit`,
-            status: 'completed',
-            metadata: {
-              originalAmount: conversionAmount,
-              convertedAmount: conversion.convertedAmount,
-              forexFees,
-              finalAmount: finalUSDAmount,
-              rate: conversion.rate,
-              autoConversion: true,
-              relatedDeposit: reference
-            }
-          };
-
-          const creditTransaction = {
-            type: 'forex_conversion',
-            amount: finalUSDAmount,
-            currency: 'USD',
-            reference: `AUTOCRED_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            exchange_rate: conversion.rate,
-            fees: { forex: forexFees },
-            description: `Receive ${finalUSDAmount} USD from auto-conversion`,
-            status: 'completed',
-            metadata: {
-              originalAmount: conversionAmount,
-              convertedAmount: conversion.convertedAmount,
-              forexFees,
-              finalAmount: finalUSDAmount,
-              rate: conversion.rate,
-              autoConversion: true,
-              relatedDeposit: reference
-            }
-          };
-
-          await wallet.addTransaction(conversionTransaction);
-          await wallet.addTransaction(creditTransaction);
-
-          conversionDetails = {
-            kesAmount: conversionAmount,
-            usdAmount: finalUSDAmount,
-            rate: conversion.rate,
-            fees: forexFees
-          };
+          // Only the amount credited after the deposit fee can be converted
+          conversionDetails = await depositConversionService.convertToUsd(wallet, {
+            kesAmount: transaction.amount - depositFee,
+            depositReference: reference
+          });
+          autoConvertedUSD = conversionDetails.usdAmount;
 
           logger.info(`Auto-conversion completed for deposit ${reference}:`, {
-            kesAmount: conversionAmount,
-            usdReceived: finalUSDAmount,
-            rate: conversion.rate,
-            fees: forexFees
+            kesAmount: conversionDetails.kesAmount,
+            usdReceived: conversionDetails.usdAmount,
+            rate: conversionDetails.rate,
+            fees: conversionDetails.fees
           });
 
         } catch (conversionError) {
@@ -671,14 +579,23 @@ const convertCurrency = async (req, res) => {
     const forexFees = exchangeService.calculateForexFees(conversion.convertedAmount);
     const finalAmount = conversion.convertedAmount - forexFees;
 
-    await wallet.updateBalance(amount, fromCurrency, 'subtract');
-    await wallet.updateBalance(finalAmount, toCurrency, 'add');
+    const conversionReference = `CONV_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    await ledgerService.recordConversion(wallet, {
+      fromCurrency,
+      fromAmount: amount,
+      toCurrency,
+      convertedAmount: conversion.convertedAmount,
+      fee: forexFees,
+      reference: conversionReference,
+      description: `Convert ${amount} ${fromCurrency} to ${toCurrency}`
+    });
+    await wallet.reload();
 
     const conversionTransaction = {
       type: 'forex_conversion',
       amount: -amount,
       currency: fromCurrency,
-      reference: `CONV_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      reference: conversionReference,
       exchangeRate: conversion.rate,
       fees: { forex: forexFees },
       description: `Convert ${amount} ${fromCurrency} to ${toCurrency}`,
@@ -750,7 +667,8 @@ const convertCurrency = async (req, res) => {
 
 const initiateWithdrawal = async (req, res) => {
   try {
-    const { amount, currency, method, phoneNumber, accountDetails } = req.body;
+    const { amount, currency, beneficiaryId } = req.body;
+    let { method, phoneNumber, accountDetails } = req.body;
 
     // Validation
     if (!['KES', 'USD'].includes(currency)) {
@@ -760,6 +678,36 @@ const initiateWithdrawal = async (req, res) => {
       });
     }
 
+    // A saved beneficiary supplies the destination, and the method when none is given
+    let beneficiary = null;
+    if (beneficiaryId) {
+      if (phoneNumber || accountDetails) {
+        return res.status(400).json({
+          success: false,
+          message: 'Send either beneficiaryId or phoneNumber/accountDetails, not both'
+        });
+      }
+
+      beneficiary = await beneficiaryService.resolveForWithdrawal(req.user.id, beneficiaryId, { amount, currency });
+      const beneficiaryMethod = beneficiary.type === 'mpesa' ? 'mpesa' : 'bank_transfer';
+      if (method && method !== beneficiaryMethod) {
+        return res.status(400).json({
+          success: false,
+          message: `This beneficiary can only be paid by ${beneficiaryMethod}`
+        });
+      }
+
+      method = beneficiaryMethod;
+      if (beneficiary.type === 'mpesa') {
+        phoneNumber = beneficiary.account_number;
+      } else {
+        accountDetails = { bankName: 'KCB', accountNumber: beneficiary.account_number, accountName: beneficiary.account_name };
+      }
+    } else if (method === 'mpesa' && phoneNumber) {
+      // M-Pesa payouts go out automatically; bank and PayPal payouts are sent by finance after review
+      await beneficiaryService.checkRawDestination(req.user.id, { type: 'mpesa', accountNumber: phoneNumber }, { amount, currency });
+    }
+
     if (!method || !['mpesa', 'bank_transfer', 'paypal'].includes(method)) {
       return res.status(400).json({
         success: false,
@@ -806,7 +754,7 @@ const initiateWithdrawal = async (req, res) => {
 
     // Get user details for beneficiary name
     const user = await User.findByPk(req.user.id);
-    const beneficiaryName = `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.email;
+    const beneficiaryName = beneficiary?.account_name || `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.email;
 
     const kesBalance = parseFloat(wallet.kes_balance) || 0;
     const usdBalance = parseFloat(wallet.usd_balance) || 0;
@@ -867,6 +815,85 @@ const initiateWithdrawal = async (req, res) => {
     }
 
     const reference = kcbService.generateTransactionReference();
+    const isSandboxMode = process.env.NODE_ENV === 'development';
+
+    // Risk checks: a flagged withdrawal waits in the admin review queue with its funds frozen
+    const evaluation = await withdrawalReviewService.evaluate(user, wallet, {
+      amount,
+      currency,
+      method,
+      manualPayout: method !== 'mpesa' && !isSandboxMode
+    });
+    const reviewDetails = {
+      userId: req.user.id,
+      amount,
+      currency,
+      channel: 'wallet',
+      method,
+      destination: method === 'mpesa' ? phoneNumber : null,
+      payout: { phoneNumber, beneficiaryName, netAmount, fee: withdrawalFees, accountDetails },
+      deviceId: req.get('X-Device-Id'),
+      evaluation
+    };
+
+    if (!evaluation.autoApprove) {
+      const dbTransaction = await sequelize.transaction();
+      let review;
+
+      try {
+        if (currency === 'KES') {
+          wallet.frozen_kes = (parseFloat(wallet.frozen_kes) || 0) + amount;
+        } else {
+          wallet.frozen_usd = (parseFloat(wallet.frozen_usd) || 0) + amount;
+        }
+        await wallet.save({ transaction: dbTransaction });
+
+        const txnRecord = await Transaction.create({
+          wallet_id: wallet.id,
+          type: 'withdrawal',
+          amount: -amount,
+          currency,
+          reference,
+          status: 'pending',
+          fees: { withdrawal: withdrawalFees },
+          description: method === 'mpesa' ? `M-Pesa withdrawal to ${phoneNumber}` : `${method} withdrawal of ${currency} ${amount}`,
+          metadata: {
+            method,
+            phoneNumber,
+            accountDetails,
+            beneficiaryName,
+            netAmount,
+            withdrawalFees,
+            beneficiaryId: beneficiary?.id,
+            processingStatus: 'pending_review'
+          }
+        }, { transaction: dbTransaction });
+
+        review = await withdrawalReviewService.open(txnRecord, reviewDetails, { transaction: dbTransaction });
+        await dbTransaction.commit();
+      } catch (dbError) {
+        await dbTransaction.rollback();
+        throw dbError;
+      }
+
+      await withdrawalReviewService.notifyUser(review, 'pending_review');
+
+      return res.status(202).json({
+        success: true,
+        message: 'Withdrawal submitted for review. Your funds are reserved until it has been processed.',
+        withdrawal: {
+          reference,
+          amount,
+          currency,
+          method,
+          withdrawalFees,
+          netAmount,
+          status: 'pending',
+          processingStatus: 'pending_review',
+          estimatedProcessingTime: getEstimatedProcessingTime(method, currency)
+        }
+      });
+    }
 
     // Handle M-Pesa withdrawal via KCB
     if (method === 'mpesa') {
@@ -900,9 +927,11 @@ const initiateWithdrawal = async (req, res) => {
             beneficiaryName,
             netAmount,
             withdrawalFees,
+            beneficiaryId: beneficiary?.id,
             processingStatus: 'processing'
           }
         }, { transaction: dbTransaction });
+        await withdrawalReviewService.open(txnRecord, reviewDetails, { transaction: dbTransaction });
 
         // Commit the freeze and transaction creation
         await dbTransaction.commit();
@@ -917,7 +946,13 @@ const initiateWithdrawal = async (req, res) => {
 
         if (kcbResult.success) {
           // Deduct from wallet and unfreeze
-          wallet.kes_balance = (parseFloat(wallet.kes_balance) || 0) - amount;
+          await ledgerService.recordWithdrawal(wallet, {
+            amount,
+            fee: withdrawalFees,
+            reference,
+            description: `M-Pesa withdrawal to ${phoneNumber}`
+          }, { fromFrozen: amount });
+          await wallet.reload();
           wallet.frozen_kes = (parseFloat(wallet.frozen_kes) || 0) - amount;
           await wallet.save();
 
@@ -932,6 +967,9 @@ const initiateWithdrawal = async (req, res) => {
               kcbStatusCode: kcbResult.statusCode
             }
           });
+          await paymentSettlementService.settleReview(txnRecord, 'paid', {
+            metadata: { kcbReference: kcbResult.retrievalRefNumber }
+          });
 
           logger.info(`M-Pesa withdrawal completed for user ${req.user.id}:`, {
             reference,
@@ -972,6 +1010,7 @@ const initiateWithdrawal = async (req, res) => {
               errorData: kcbResult.errorData
             }
           });
+          await paymentSettlementService.settleReview(txnRecord, 'payout_failed', { note: kcbResult.error });
 
           logger.error(`M-Pesa withdrawal failed for user ${req.user.id}:`, {
             reference,
@@ -1002,20 +1041,20 @@ const initiateWithdrawal = async (req, res) => {
       }
     }
 
-    // SANDBOX MODE for other methods: Check if we're in development
-    const isSandboxMode = process.env.NODE_ENV === 'development';
-
+    // SANDBOX MODE for other methods: complete instantly unless a risk rule held them above
     if (isSandboxMode) {
       // Sandbox: Instantly process withdrawal
       logger.info(`SANDBOX MODE: Simulating withdrawal for user ${req.user.id}`);
 
       // Deduct from wallet
-      if (currency === 'KES') {
-        wallet.kes_balance = parseFloat(wallet.kes_balance) - amount;
-      } else {
-        wallet.usd_balance = parseFloat(wallet.usd_balance) - amount;
-      }
-      await wallet.save();
+      await ledgerService.recordWithdrawal(wallet, {
+        amount,
+        currency,
+        fee: withdrawalFees,
+        reference,
+        description: `Sandbox ${method} withdrawal of ${currency} ${amount}`
+      });
+      await wallet.reload();
 
       // Create completed transaction
       const transaction = await Transaction.create({
@@ -1032,11 +1071,14 @@ const initiateWithdrawal = async (req, res) => {
           accountDetails,
           netAmount,
           withdrawalFees,
+          beneficiaryId: beneficiary?.id,
           processingStatus: 'completed',
           processedAt: new Date().toISOString(),
           sandbox: true
         }
       });
+      await withdrawalReviewService.open(transaction, reviewDetails);
+      await paymentSettlementService.settleReview(transaction, 'paid', { metadata: { sandbox: true } });
 
       logger.info(`Sandbox withdrawal completed for user ${req.user.id}: ${currency} ${amount}`);
 
@@ -1057,57 +1099,16 @@ const initiateWithdrawal = async (req, res) => {
       });
     }
 
-    // PRODUCTION MODE for bank_transfer/paypal: Freeze funds and await approval
-    if (currency === 'KES') {
-      wallet.frozen_kes = (parseFloat(wallet.frozen_kes) || 0) + amount;
-    } else {
-      wallet.frozen_usd = (parseFloat(wallet.frozen_usd) || 0) + amount;
-    }
-    await wallet.save();
-
-    const transaction = await Transaction.create({
-      wallet_id: wallet.id,
-      type: 'withdrawal',
-      amount: -amount,
-      currency,
-      reference,
-      status: 'pending',
-      fees: { withdrawal: withdrawalFees },
-      description: `${method} withdrawal of ${currency} ${amount}`,
-      metadata: {
-        method,
-        accountDetails,
-        netAmount,
-        withdrawalFees,
-        processingStatus: 'pending_approval'
-      }
-    });
-
-    logger.info(`Withdrawal initiated for user ${req.user.id}:`, {
-      amount,
-      currency,
-      method,
-      reference,
-      netAmount,
-      withdrawalFees
-    });
-
-    res.json({
-      success: true,
-      message: 'Withdrawal initiated successfully. Processing may take 1-5 business days.',
-      withdrawal: {
-        reference,
-        amount,
-        currency,
-        method,
-        withdrawalFees,
-        netAmount,
-        status: 'pending',
-        estimatedProcessingTime: getEstimatedProcessingTime(method, currency)
-      }
+    // Outside development, bank transfer and PayPal payouts are sent by finance, so they were held above
+    res.status(400).json({
+      success: false,
+      message: `Unsupported withdrawal method: ${method}`
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     logger.error('Initiate withdrawal error:', error);
     res.status(500).json({
       success: false,
@@ -1116,6 +1117,8 @@ const initiateWithdrawal = async (req, res) => {
   }
 };
 
+// Approve or reject a held withdrawal by its reference; the same decision as the admin
+// withdrawal review queue, kept for clients that still call this endpoint
 const processWithdrawal = async (req, res) => {
   try {
     const { reference } = req.params;
@@ -1128,65 +1131,23 @@ const processWithdrawal = async (req, res) => {
       });
     }
 
-    const transaction = await Transaction.findOne({ where: { reference } });
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: 'Transaction not found'
-      });
-    }
-
-    if (transaction.type !== 'withdrawal' || transaction.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid transaction for processing'
-      });
-    }
-
-    const wallet = await Wallet.findOne({ where: { id: transaction.wallet_id } });
-
-    if (action === 'approve') {
-      // Process the actual withdrawal
-      const success = await processActualWithdrawal(transaction);
-
-      if (success) {
-        transaction.status = 'completed';
-        transaction.metadata.processingStatus = 'completed';
-        transaction.metadata.processedAt = new Date();
-        transaction.metadata.adminNotes = adminNotes;
-
-        // Unfreeze and subtract from balance
-        await wallet.unfreezeFunds(Math.abs(transaction.amount), transaction.currency);
-        await wallet.updateBalance(Math.abs(transaction.amount), transaction.currency, 'subtract');
-
-        logger.info(`Withdrawal approved and processed: ${reference}`);
-      } else {
-        transaction.status = 'failed';
-        transaction.metadata.processingStatus = 'failed';
-        transaction.metadata.failureReason = 'Processing failed';
-
-        // Unfreeze funds but keep in balance
-        await wallet.unfreezeFunds(Math.abs(transaction.amount), transaction.currency);
-
-        logger.error(`Withdrawal processing failed: ${reference}`);
-      }
-    } else {
-      // Reject withdrawal
-      transaction.status = 'cancelled';
-      transaction.metadata.processingStatus = 'rejected';
-      transaction.metadata.rejectionReason = adminNotes || 'Withdrawn by admin';
-
-      // Unfreeze funds but keep in balance
-      await wallet.unfreezeFunds(Math.abs(transaction.amount), transaction.currency);
-
-      logger.info(`Withdrawal rejected: ${reference}`);
-    }
-
-    await transaction.save();
+    const review = await withdrawalReviewService.findByReference(reference);
+    const result = action === 'approve'
+      ? await withdrawalReviewService.approve(review.id, req.user, adminNotes)
+      : await withdrawalReviewService.reject(review.id, req.user, adminNotes);
+    const transaction = await Transaction.findByPk(review.transaction_id);
 
     res.json({
       success: true,
-      message: `Withdrawal ${action}d successfully`,
+      message: result.review.status === 'pending_review'
+        ? 'Approval recorded. This withdrawal needs another reviewer before it is paid.'
+        : `Withdrawal ${action}d successfully`,
+      review: {
+        id: result.review.id,
+        status: result.review.status,
+        approvals: result.review.approvals,
+        requiredApprovals: result.review.required_approvals
+      },
       transaction: {
         reference: transaction.reference,
         status: transaction.status,
@@ -1196,6 +1157,9 @@ const processWithdrawal = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     logger.error('Process withdrawal error:', error);
     res.status(500).json({
       success: false,
@@ -1270,33 +1234,6 @@ function getEstimatedProcessingTime(method, currency) {
   return processingTimes[method] || '1-5 business days';
 }
 
-async function processActualWithdrawal(transaction) {
-  try {
-    const { method, accountDetails } = transaction.metadata;
-
-    // This would integrate with actual payment processors
-    // For now, we'll simulate success
-    if (method === 'mpesa') {
-      // Integrate with M-Pesa B2C API
-      logger.info(`Processing M-Pesa withdrawal: ${transaction.reference}`);
-      return true; // Simulated success
-    } else if (method === 'bank_transfer') {
-      // Integrate with bank transfer API
-      logger.info(`Processing bank transfer: ${transaction.reference}`);
-      return true; // Simulated success
-    } else if (method === 'paypal') {
-      // Integrate with PayPal API
-      logger.info(`Processing PayPal withdrawal: ${transaction.reference}`);
-      return true; // Simulated success
-    }
-
-    return false;
-  } catch (error) {
-    logger.error('Actual withdrawal processing error:', error);
-    return false;
-  }
-}
-
 const getCurrentExchangeRates = async (req, res) => {
   try {
     const rates = await exchangeService.getCurrentRates();
@@ -0,0 +1,52 @@
+const cron = require('node-cron');
+const accountStatementService = require('../services/accountStatementService');
+const logger = require('../utils/logger');
+
+class AccountStatementJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn('Account Statement Job is already running');
+      return;
+    }
+
+    // Send last month's statements at 04:00 UTC on the 1st, after the month's final portfolio
+    // snapshot has been taken
+    this.job = cron.schedule('0 4 1 * *', async () => {
+      try {
+        logger.info('Running monthly account statements...');
+        await accountStatementService.run();
+      } catch (error) {
+        logger.error('Account statement run failed:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.job.start();
+    this.isRunning = true;
+
+    logger.info('Account Statement Job started successfully');
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('Account Statement Job is not running');
+      return;
+    }
+
+    if (this.job) {
+      this.job.stop();
+    }
+
+    this.isRunning = false;
+    logger.info('Account Statement Job stopped');
+  }
+}
+
+module.exports = new AccountStatementJob();
@@ -0,0 +1,49 @@
+const cron = require('node-cron');
+const msBuySagaService = require('../services/msBuySagaService');
+const logger = require('../utils/logger');
+
+class MsSagaJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn('MyStocks Saga Job is already running');
+      return;
+    }
+
+    // Retry failed BUY compensations and flag interrupted sagas, every 5 minutes
+    this.job = cron.schedule('*/5 * * * *', async () => {
+      try {
+        await msBuySagaService.retryCompensations();
+      } catch (error) {
+        logger.error('MyStocks saga retry failed:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.job.start();
+    this.isRunning = true;
+
+    logger.info('MyStocks Saga Job started successfully');
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('MyStocks Saga Job is not running');
+      return;
+    }
+
+    if (this.job) {
+      this.job.stop();
+    }
+
+    this.isRunning = false;
+    logger.info('MyStocks Saga Job stopped');
+  }
+}
+
+module.exports = new MsSagaJob();
@@ -0,0 +1,49 @@
+const cron = require('node-cron');
+const pendingPaymentService = require('../services/pendingPaymentService');
+const logger = require('../utils/logger');
+
+class PendingPaymentJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn('Pending Payment Job is already running');
+      return;
+    }
+
+    // Poll KCB for deposits and withdrawals still waiting on their callback, every minute
+    this.job = cron.schedule('* * * * *', async () => {
+      try {
+        await pendingPaymentService.checkPendingPayments();
+      } catch (error) {
+        logger.error('Pending payment check failed:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.job.start();
+    this.isRunning = true;
+
+    logger.info('Pending Payment Job started successfully');
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('Pending Payment Job is not running');
+      return;
+    }
+
+    if (this.job) {
+      this.job.stop();
+    }
+
+    this.isRunning = false;
+    logger.info('Pending Payment Job stopped');
+  }
+}
+
+module.exports = new PendingPaymentJob();
@@ -0,0 +1,52 @@
+const cron = require('node-cron');
+const portfolioSnapshotService = require('../services/portfolioSnapshotService');
+const logger = require('../utils/logger');
+
+class PortfolioSnapshotJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn('Portfolio Snapshot Job is already running');
+      return;
+    }
+
+    // Snapshot every user's equity nightly at 23:50 UTC, after the NSE and US closes, so the
+    // snapshot dates line up with UTC days
+    this.job = cron.schedule('50 23 * * *', async () => {
+      try {
+        logger.info('Running nightly portfolio snapshots...');
+        await portfolioSnapshotService.run();
+      } catch (error) {
+        logger.error('Portfolio snapshot run failed:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.job.start();
+    this.isRunning = true;
+
+    logger.info('Portfolio Snapshot Job started successfully');
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('Portfolio Snapshot Job is not running');
+      return;
+    }
+
+    if (this.job) {
+      this.job.stop();
+    }
+
+    this.isRunning = false;
+    logger.info('Portfolio Snapshot Job stopped');
+  }
+}
+
+module.exports = new PortfolioSnapshotJob();
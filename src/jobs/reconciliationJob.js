@@ -0,0 +1,50 @@
+const cron = require('node-cron');
+const reconciliationService = require('../services/reconciliationService');
+const logger = require('../utils/logger');
+
+class ReconciliationJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn('Reconciliation Job is already running');
+      return;
+    }
+
+    // Reconcile wallets against KCB / M-Pesa, MyStocks and Alpaca daily at 3 AM
+    this.job = cron.schedule('0 3 * * *', async () => {
+      try {
+        logger.info('Running daily reconciliation...');
+        await reconciliationService.run({ trigger: 'scheduled' });
+      } catch (error) {
+        logger.error('Daily reconciliation failed:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.job.start();
+    this.isRunning = true;
+
+    logger.info('Reconciliation Job started successfully');
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('Reconciliation Job is not running');
+      return;
+    }
+
+    if (this.job) {
+      this.job.stop();
+    }
+
+    this.isRunning = false;
+    logger.info('Reconciliation Job stopped');
+  }
+}
+
+module.exports = new ReconciliationJob();
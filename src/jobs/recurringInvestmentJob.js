@@ -0,0 +1,49 @@
+const cron = require('node-cron');
+const recurringInvestmentService = require('../services/recurringInvestmentService');
+const logger = require('../utils/logger');
+
+class RecurringInvestmentJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn('Recurring Investment Job is already running');
+      return;
+    }
+
+    // Run due auto-invest plans and their retries, every 15 minutes
+    this.job = cron.schedule('*/15 * * * *', async () => {
+      try {
+        await recurringInvestmentService.runDuePlans();
+      } catch (error) {
+        logger.error('Recurring investment run failed:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.job.start();
+    this.isRunning = true;
+
+    logger.info('Recurring Investment Job started successfully');
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('Recurring Investment Job is not running');
+      return;
+    }
+
+    if (this.job) {
+      this.job.stop();
+    }
+
+    this.isRunning = false;
+    logger.info('Recurring Investment Job stopped');
+  }
+}
+
+module.exports = new RecurringInvestmentJob();
@@ -0,0 +1,55 @@
+const cron = require('node-cron');
+const msRestingOrderService = require('../services/msRestingOrderService');
+const paperOrderService = require('../services/paperOrderService');
+const logger = require('../utils/logger');
+
+class RestingOrderJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn('Resting Order Job is already running');
+      return;
+    }
+
+    // Check MyStocks resting orders and paper trailing stops against live prices every minute
+    this.job = cron.schedule('* * * * *', async () => {
+      try {
+        await msRestingOrderService.checkPendingOrders();
+      } catch (error) {
+        logger.error('MyStocks resting order check failed:', error);
+      }
+      try {
+        await paperOrderService.checkPendingOrders();
+      } catch (error) {
+        logger.error('Paper trailing stop check failed:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.job.start();
+    this.isRunning = true;
+
+    logger.info('Resting Order Job started successfully');
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('Resting Order Job is not running');
+      return;
+    }
+
+    if (this.job) {
+      this.job.stop();
+    }
+
+    this.isRunning = false;
+    logger.info('Resting Order Job stopped');
+  }
+}
+
+module.exports = new RestingOrderJob();
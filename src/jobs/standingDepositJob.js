@@ -0,0 +1,49 @@
+const cron = require('node-cron');
+const standingDepositService = require('../services/standingDepositService');
+const logger = require('../utils/logger');
+
+class StandingDepositJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn('Standing Deposit Job is already running');
+      return;
+    }
+
+    // Send reminders and due STK pushes for standing deposits, every 15 minutes
+    this.job = cron.schedule('*/15 * * * *', async () => {
+      try {
+        await standingDepositService.runDue();
+      } catch (error) {
+        logger.error('Standing deposit run failed:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.job.start();
+    this.isRunning = true;
+
+    logger.info('Standing Deposit Job started successfully');
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('Standing Deposit Job is not running');
+      return;
+    }
+
+    if (this.job) {
+      this.job.stop();
+    }
+
+    this.isRunning = false;
+    logger.info('Standing Deposit Job stopped');
+  }
+}
+
+module.exports = new StandingDepositJob();
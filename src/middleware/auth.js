@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { User, BiometricAuth } = require('../models');
+const tradingAccessService = require('../services/tradingAccessService');
 const logger = require('../utils/logger');
 
 const auth = async (req, res, next) => {
@@ -101,22 +102,9 @@ const requireKYC = (req, res, next) => {
   next();
 };
 
-const AFRICAN_EXCHANGES = new Set(['NSE', 'NGX', 'JSE', 'GSE', 'BRVM', 'LUSE', 'EGX', 'BSE', 'SEM']);
-const isAfricanExchange = (ex) => !!ex && AFRICAN_EXCHANGES.has(ex.toUpperCase());
-const isAfricanSymbol = (sym) => /\.[A-Z]{2,3}$/i.test(sym || '');
-
 const requireKYCOrMyStocks = (req, res, next) => {
-  const { exchange, symbol } = req.body;
-  if (isAfricanExchange(exchange) || isAfricanSymbol(symbol)) {
-    return next();
-  }
-  if (req.user.kyc_status !== 'approved') {
-    return res.status(403).json({
-      success: false,
-      message: 'KYC verification required for this action.',
-      kycStatus: req.user.kyc_status
-    });
-  }
+  const block = tradingAccessService.kycBlock(req.user, req.body);
+  if (block) return res.status(block.status).json(block.body);
   next();
 };
 
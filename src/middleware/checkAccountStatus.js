@@ -1,103 +1,15 @@
 const { User } = require('../models');
 const alpacaService = require('../services/alpacaService');
+const tradingAccessService = require('../services/tradingAccessService');
 const logger = require('../utils/logger');
 
-const AFRICAN_EXCHANGES = new Set(['NSE', 'NGX', 'JSE', 'GSE', 'BRVM', 'LUSE', 'EGX', 'BSE', 'SEM']);
-const isAfricanOrder = (req) => {
-  const exchange = req.body?.exchange?.trim()?.toUpperCase();
-  const symbol = req.body?.symbol || '';
-  return (exchange && AFRICAN_EXCHANGES.has(exchange)) || /\.[A-Z]{2,3}$/i.test(symbol);
-};
-
 const checkAccountStatus = async (req, res, next) => {
-  try {
-    if (isAfricanOrder(req)) return next();
-
-    const userId = req.user.id;
-
-    // Get user's Alpaca account ID
-    const user = await User.findByPk(userId);
-
-    if (!user || !user.alpaca_account_id) {
-      return res.status(403).json({
-        success: false,
-        message: 'No trading account found. Complete onboarding to start trading.',
-        blocked: true,
-        reason: 'no_account'
-      });
-    }
-
-    // Get account status from Alpaca
-    const account = await alpacaService.getAccount(user.alpaca_account_id);
-
-    // Check if account is closed
-    const isClosed = account.status === 'ACCOUNT_CLOSED' || account.status === 'CLOSED';
-    if (isClosed) {
-      logger.warn('Blocked trading attempt on closed account:', {
-        userId,
-        accountId: user.alpaca_account_id,
-        accountNumber: account.account_number,
-        status: account.status
-      });
-
-      return res.status(403).json({
-        success: false,
-        message: 'Your trading account is closed and cannot be used for trading or transfers. Please contact support for assistance.',
-        blocked: true,
-        reason: 'account_closed'
-      });
-    }
-
-    // Check if account is inactive or pending
-    const inactiveStatuses = ['INACTIVE', 'DISABLED', 'REJECTED'];
-    if (inactiveStatuses.includes(account.status)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Your trading account is not active. Please contact support.',
-        blocked: true,
-        reason: 'account_inactive',
-        status: account.status
-      });
-    }
-
-    // Check if trading is blocked
-    if (account.trading_blocked) {
-      return res.status(403).json({
-        success: false,
-        message: 'Trading is currently blocked on your account. Please contact support.',
-        blocked: true,
-        reason: 'trading_blocked'
-      });
-    }
-
-    // Check if account is blocked
-    if (account.account_blocked) {
-      return res.status(403).json({
-        success: false,
-        message: 'Your account is blocked. Please contact support.',
-        blocked: true,
-        reason: 'account_blocked'
-      });
-    }
-
-    // Account is active, allow request to proceed
-    req.alpacaAccount = account;
-    next();
-
-  } catch (error) {
-    logger.error('Account status check error:', {
-      userId: req.user?.id,
-      error: error.message
-    });
+  const { block, account } = await tradingAccessService.accountBlock(req.user.id, req.body);
+  if (block) return res.status(block.status).json(block.body);
 
-    // On error, fail safely by blocking the request
-    return res.status(500).json({
-      success: false,
-      message: 'Unable to verify account status. Please try again.',
-      blocked: true,
-      reason: 'verification_error'
-    });
-  }
+  // Account is active, allow request to proceed
+  req.alpacaAccount = account;
+  next();
 };
 
 /**
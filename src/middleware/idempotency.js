@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const { IdempotencyKey } = require('../models');
+const redisService = require('../config/redis');
+const logger = require('../utils/logger');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+// Keys are honoured for a day; after that the same key starts a new request
+const KEY_TTL_SECONDS = 24 * 60 * 60;
+// A key still processing after this long belongs to a request that died before responding
+const PROCESSING_TIMEOUT_SECONDS = 5 * 60;
+
+const cacheKey = (userId, scope, key) => `idempotency:${userId}:${scope}:${key}`;
+
+const hashBody = (body) => crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+
+/**
+ * Alpaca client_order_id for an idempotent order. Deterministic, so a retry that slips past
+ * our own records is still rejected by Alpaca as a duplicate.
+ */
+const clientOrderIdFor = (userId, key) =>
+  `ORDER_${crypto.createHash('sha256').update(`${userId}:${key}`).digest('hex').slice(0, 40)}`;
+
+const replay = (res, record) => {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.response_status).json(record.response_body);
+};
+
+const readCache = async (redisKey) => {
+  try {
+    return await redisService.get(redisKey);
+  } catch (error) {
+    logger.warn(`Idempotency cache read failed for ${redisKey}: ${error.message}`);
+    return null;
+  }
+};
+
+const writeCache = async (redisKey, record) => {
+  try {
+    await redisService.set(redisKey, record, KEY_TTL_SECONDS);
+  } catch (error) {
+    logger.warn(`Idempotency cache write failed for ${redisKey}: ${error.message}`);
+  }
+};
+
+const ageSeconds = (record) => (Date.now() - new Date(record.created_at).getTime()) / 1000;
+
+// Claim the key in Postgres; the unique index makes concurrent retries race for a single row
+const claimKey = async ({ userId, scope, key, requestHash, holdUnknown }) => {
+  try {
+    const [record, created] = await IdempotencyKey.findOrCreate({
+      where: { user_id: userId, scope, key },
+      defaults: { request_hash: requestHash, status: 'processing' }
+    });
+    if (created) return { record, created };
+
+    // Expired keys are released and claimed afresh
+    if (ageSeconds(record) > KEY_TTL_SECONDS) {
+      await record.destroy();
+      return claimKey({ userId, scope, key, requestHash, holdUnknown });
+    }
+
+    // The request holding a stale key died mid-flight. Where a repeat could duplicate it, the
+    // key is held as unknown; otherwise it is released for the retry to claim.
+    if (record.status === 'processing' && ageSeconds(record) > PROCESSING_TIMEOUT_SECONDS) {
+      if (holdUnknown) {
+        await record.update({ status: 'unknown' });
+        return { record, created: false };
+      }
+      await record.destroy();
+      return claimKey({ userId, scope, key, requestHash, holdUnknown });
+    }
+    return { record, created: false };
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return { record: null, created: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Honour an optional Idempotency-Key header on a money-moving endpoint. The first request
+ * with a key runs normally and its response is stored; a retry with the same key and body
+ * gets the stored response back instead of running again. Must run after `auth` and the
+ * endpoint's validation, so a rejected body doesn't use up the key.
+ *
+ * @param {string} scope - endpoint name, so the same key can be used on different endpoints
+ * @param {object} [options]
+ * @param {boolean} [options.holdUnknown] - on a server error or a request that died, hold the
+ *   key as `unknown` instead of releasing it. For endpoints where the work may have happened
+ *   anyway (a MyStocks trade or KCB payout that timed out) and a retry could repeat it.
+ */
+const idempotency = (scope, { holdUnknown = false } = {}) => async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (key == null) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `${HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const userId = req.user.id;
+  const requestHash = hashBody(req.body);
+  const redisKey = cacheKey(userId, scope, key);
+  const mismatch = () => res.status(422).json({
+    success: false,
+    message: `${HEADER} has already been used for a different request`
+  });
+
+  try {
+    const cached = await readCache(redisKey);
+    if (cached?.response_status) {
+      return cached.request_hash === requestHash ? replay(res, cached) : mismatch();
+    }
+
+    const { record, created } = await claimKey({ userId, scope, key, requestHash, holdUnknown });
+    if (!created) {
+      if (record && record.request_hash !== requestHash) return mismatch();
+      if (record?.isCompleted) return replay(res, record);
+      if (record?.status === 'unknown') {
+        return res.status(409).json({
+          success: false,
+          outcomeUnknown: true,
+          message: `The earlier request with this ${HEADER} did not finish cleanly and may have gone through. Check its status before retrying with a new ${HEADER}.`
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: `A request with this ${HEADER} is still being processed`
+      });
+    }
+
+    req.idempotencyKey = key;
+
+    // Capture the response so retries can replay it
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      // Server errors and rate limiting aren't final: release the key so the client can retry,
+      // unless the endpoint holds server errors as unknown
+      let settle;
+      if (status >= 500 && holdUnknown) {
+        settle = record.update({ status: 'unknown', response_status: status, response_body: body });
+      } else if (status >= 500 || status === 429) {
+        settle = record.destroy();
+      } else {
+        settle = record.update({ status: 'completed', response_status: status, response_body: body })
+          .then(() => writeCache(redisKey, { request_hash: requestHash, response_status: status, response_body: body }));
+      }
+      settle.catch(error => logger.error(`Failed to record ${HEADER} ${key} for user ${userId}:`, error));
+      return originalJson(body);
+    };
+
+    return next();
+  } catch (error) {
+    logger.error(`${HEADER} check failed for user ${userId}:`, error);
+    return res.status(500).json({ success: false, message: 'Unable to process request. Please try again.' });
+  }
+};
+
+module.exports = { idempotency, clientOrderIdFor };
@@ -191,15 +191,84 @@ const orderValidation = [
     .withMessage('Side must be buy or sell'),
   body('type')
     .if((_value, { req }) => !isAfricanBodyReq(req))
-    .isIn(['market', 'limit', 'stop', 'stop_limit'])
+    .isIn(['market', 'limit', 'stop', 'stop_limit', 'trailing_stop'])
     .withMessage('Invalid order type'),
+  body('type')
+    .if((_value, { req }) => isAfricanBodyReq(req))
+    .optional()
+    .customSanitizer(v => v?.toLowerCase())
+    .isIn(['market', 'limit', 'stop_loss', 'take_profit', 'trailing_stop', 'buy', 'sell'])
+    .withMessage('Invalid order type. Must be market, limit, stop_loss, take_profit, or trailing_stop'),
   body('qty')
+    .if((_value, { req }) => req.body.notional == null)
     .isFloat({ min: 0.0001 })
     .withMessage('Quantity must be at least 0.0001'),
+  body('notional')
+    .optional()
+    .custom((_value, { req }) => req.body.qty == null)
+    .withMessage('Provide either qty or notional, not both')
+    .bail()
+    .isFloat({ gt: 0 })
+    .withMessage('Notional amount must be greater than 0'),
+  body('notional_currency')
+    .optional()
+    .customSanitizer(v => v?.toUpperCase())
+    .isIn(['KES', 'USD'])
+    .withMessage('notional_currency must be KES or USD'),
   body('time_in_force')
     .if((_value, { req }) => !isAfricanBodyReq(req))
     .isIn(['day', 'gtc', 'ioc', 'fok'])
     .withMessage('Invalid time_in_force. Must be day, gtc, ioc, or fok'),
+  body('time_in_force')
+    .if((_value, { req }) => isAfricanBodyReq(req))
+    .optional()
+    .customSanitizer(v => v?.toLowerCase())
+    .isIn(['day', 'gtc'])
+    .withMessage('Invalid time_in_force. Must be day or gtc for African exchanges'),
+  body('limit_price')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Limit price must be greater than 0'),
+  body('stop_price')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Stop price must be greater than 0'),
+  body('trail_percent')
+    .optional()
+    .isFloat({ gt: 0, lt: 100 })
+    .withMessage('Trail percent must be between 0 and 100'),
+  body('trail_amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Trail amount must be greater than 0'),
+  body('order_class')
+    .if((_value, { req }) => !isAfricanBodyReq(req))
+    .optional()
+    .isIn(['simple', 'bracket', 'oco', 'oto'])
+    .withMessage('Invalid order_class. Must be simple, bracket, oco, or oto'),
+  body('take_profit.limit_price')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Take-profit limit price must be greater than 0'),
+  body('stop_loss.stop_price')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Stop-loss stop price must be greater than 0'),
+  body('stop_loss.limit_price')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Stop-loss limit price must be greater than 0'),
+  handleValidationErrors
+];
+
+const orderReplaceValidation = [
+  param('orderId')
+    .isUUID()
+    .withMessage('Invalid order ID'),
+  body('qty')
+    .optional()
+    .isFloat({ min: 0.0001 })
+    .withMessage('Quantity must be at least 0.0001'),
   body('limit_price')
     .optional()
     .isFloat({ min: 0.01 })
@@ -208,6 +277,10 @@ const orderValidation = [
     .optional()
     .isFloat({ min: 0.01 })
     .withMessage('Stop price must be greater than 0'),
+  body('time_in_force')
+    .optional()
+    .isIn(['day', 'gtc', 'ioc', 'fok'])
+    .withMessage('Invalid time_in_force. Must be day, gtc, ioc, or fok'),
   handleValidationErrors
 ];
 
@@ -296,7 +369,13 @@ const withdrawalValidation = [
   body('currency')
     .isIn(['KES', 'USD'])
     .withMessage('Currency must be KES or USD'),
+  // A saved beneficiary supplies the destination, and the method when none is given
+  body('beneficiaryId')
+    .optional()
+    .isUUID()
+    .withMessage('beneficiaryId must be a valid ID'),
   body('method')
+    .if((value, { req }) => !req.body.beneficiaryId || value != null)
     .isIn(['mpesa', 'bank_transfer', 'paypal'])
     .withMessage('Method must be mpesa, bank_transfer, or paypal'),
   // For M-Pesa, phoneNumber can be provided directly
@@ -350,7 +429,8 @@ const withdrawalValidation = [
   // Custom validation to ensure required data is present
   body()
     .custom((value, { req }) => {
-      const { method, phoneNumber, accountDetails } = req.body;
+      const { method, phoneNumber, accountDetails, beneficiaryId } = req.body;
+      if (beneficiaryId) return true;
 
       if (method === 'mpesa') {
         if (!phoneNumber && !accountDetails?.phoneNumber) {
@@ -424,6 +504,7 @@ module.exports = {
   registerV2Validation,
   loginValidation,
   orderValidation,
+  orderReplaceValidation,
   depositValidation,
   kycValidation,
   supportTicketValidation,
@@ -0,0 +1,41 @@
+const webhookEventService = require('../services/webhookEventService');
+const logger = require('../utils/logger');
+
+/**
+ * Authenticate a provider callback by its IP allow-list and/or HMAC signature before any
+ * handler sees the body. Rejected requests never reach the event log.
+ *
+ * @param {string} provider - kcb or mystocks
+ */
+const verifyWebhook = (provider) => (req, res, next) => {
+  try {
+    req.webhookVerifiedBy = webhookEventService.verify(provider, req);
+    return next();
+  } catch (error) {
+    logger.warn(`Rejected ${provider} webhook from ${req.ip}: ${error.message}`);
+    return res.status(error.status || 401).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Record a verified callback in the event log and answer redeliveries of an event we already
+ * have with `duplicateAck`, without running the handler again. Must run after `verifyWebhook`.
+ */
+const recordWebhook = (provider, duplicateAck) => async (req, res, next) => {
+  try {
+    const { event, duplicate } = await webhookEventService.receive(provider, req, req.webhookVerifiedBy);
+    if (duplicate) {
+      logger.info(`Duplicate ${provider} webhook ${event ? event.receipt_id : ''} acknowledged without processing`);
+      return res.status(200).json(duplicateAck);
+    }
+
+    req.webhookEvent = event;
+    return next();
+  } catch (error) {
+    // Not acknowledged, so the provider delivers it again
+    logger.error(`Failed to record ${provider} webhook:`, error);
+    return res.status(500).json({ success: false, message: 'Unable to record webhook' });
+  }
+};
+
+module.exports = { verifyWebhook, recordWebhook };
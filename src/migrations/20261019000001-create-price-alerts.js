@@ -0,0 +1,32 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS price_alerts (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        symbol varchar(30) NOT NULL,
+        asset_name varchar(255),
+        condition varchar(30) NOT NULL,
+        target_price decimal(15,6),
+        last_price decimal(15,6),
+        notification_method varchar(10) NOT NULL DEFAULT 'both',
+        status varchar(20) NOT NULL DEFAULT 'active',
+        note varchar(255),
+        last_checked_at timestamptz,
+        triggered_at timestamptz,
+        trigger_price decimal(15,6),
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "price_alerts_user_id" ON price_alerts (user_id)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "price_alerts_status" ON price_alerts (status)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "price_alerts_symbol_status" ON price_alerts (symbol, status)`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('price_alerts');
+  }
+};
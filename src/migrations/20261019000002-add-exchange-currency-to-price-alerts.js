@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface) => {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE price_alerts
+        ADD COLUMN IF NOT EXISTS exchange VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS denomination VARCHAR(10) NOT NULL DEFAULT 'usd',
+        ADD COLUMN IF NOT EXISTS currency VARCHAR(10) NOT NULL DEFAULT 'USD';
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('price_alerts', 'exchange');
+    await queryInterface.removeColumn('price_alerts', 'denomination');
+    await queryInterface.removeColumn('price_alerts', 'currency');
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface) => {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE price_alerts
+        ADD COLUMN IF NOT EXISTS threshold DECIMAL(10,4),
+        ADD COLUMN IF NOT EXISTS cooldown_minutes INTEGER,
+        ADD COLUMN IF NOT EXISTS trigger_count INTEGER NOT NULL DEFAULT 0;
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('price_alerts', 'threshold');
+    await queryInterface.removeColumn('price_alerts', 'cooldown_minutes');
+    await queryInterface.removeColumn('price_alerts', 'trigger_count');
+  }
+};
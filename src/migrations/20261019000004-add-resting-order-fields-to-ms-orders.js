@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface) => {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE ms_orders
+        ADD COLUMN IF NOT EXISTS order_type VARCHAR(20) NOT NULL DEFAULT 'market',
+        ADD COLUMN IF NOT EXISTS limit_price DECIMAL(15,6),
+        ADD COLUMN IF NOT EXISTS stop_price DECIMAL(15,6),
+        ADD COLUMN IF NOT EXISTS time_in_force VARCHAR(10),
+        ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS triggered_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS reserved_kes DECIMAL(18,2),
+        ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "ms_orders_status_order_type" ON ms_orders (status, order_type)`);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "ms_orders_status_order_type"`);
+    for (const column of ['order_type', 'limit_price', 'stop_price', 'time_in_force', 'expires_at', 'triggered_at', 'reserved_kes', 'rejection_reason']) {
+      await queryInterface.removeColumn('ms_orders', column);
+    }
+  }
+};
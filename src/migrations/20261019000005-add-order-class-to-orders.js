@@ -0,0 +1,23 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface) => {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE orders
+        ADD COLUMN IF NOT EXISTS order_class VARCHAR(20) NOT NULL DEFAULT 'simple',
+        ADD COLUMN IF NOT EXISTS parent_order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+        ADD COLUMN IF NOT EXISTS leg_type VARCHAR(20);
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "orders_parent_order_id" ON orders (parent_order_id)`);
+    // Alpaca reports bracket legs as 'held' until the entry fills
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_orders_status" ADD VALUE IF NOT EXISTS 'held'`);
+  },
+
+  // Postgres can't drop an enum value, so 'held' stays on rollback
+  down: async (queryInterface) => {
+    await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "orders_parent_order_id"`);
+    await queryInterface.removeColumn('orders', 'leg_type');
+    await queryInterface.removeColumn('orders', 'parent_order_id');
+    await queryInterface.removeColumn('orders', 'order_class');
+  }
+};
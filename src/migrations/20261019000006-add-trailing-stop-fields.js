@@ -0,0 +1,41 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface) => {
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_orders_order_type" ADD VALUE IF NOT EXISTS 'trailing_stop'`);
+    await queryInterface.sequelize.query(`
+      ALTER TABLE orders
+        ADD COLUMN IF NOT EXISTS trail_percent DECIMAL(7,4),
+        ADD COLUMN IF NOT EXISTS trail_amount DECIMAL(15,2),
+        ADD COLUMN IF NOT EXISTS high_water_mark DECIMAL(15,2);
+    `);
+    await queryInterface.sequelize.query(`
+      ALTER TABLE ms_orders
+        ADD COLUMN IF NOT EXISTS trail_percent DECIMAL(7,4),
+        ADD COLUMN IF NOT EXISTS trail_amount DECIMAL(15,6),
+        ADD COLUMN IF NOT EXISTS high_water_mark DECIMAL(15,6);
+    `);
+    await queryInterface.sequelize.query(`
+      ALTER TABLE demo_orders
+        ADD COLUMN IF NOT EXISTS order_type VARCHAR(20) NOT NULL DEFAULT 'market',
+        ADD COLUMN IF NOT EXISTS stop_price DECIMAL(15,8),
+        ADD COLUMN IF NOT EXISTS trail_percent DECIMAL(7,4),
+        ADD COLUMN IF NOT EXISTS trail_amount DECIMAL(15,8),
+        ADD COLUMN IF NOT EXISTS high_water_mark DECIMAL(15,8),
+        ADD COLUMN IF NOT EXISTS triggered_at TIMESTAMPTZ;
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "demo_orders_status_order_type" ON demo_orders (status, order_type)`);
+  },
+
+  // Postgres can't drop an enum value, so 'trailing_stop' stays on rollback
+  down: async (queryInterface) => {
+    await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "demo_orders_status_order_type"`);
+    for (const column of ['order_type', 'stop_price', 'trail_percent', 'trail_amount', 'high_water_mark', 'triggered_at']) {
+      await queryInterface.removeColumn('demo_orders', column);
+    }
+    for (const column of ['trail_percent', 'trail_amount', 'high_water_mark']) {
+      await queryInterface.removeColumn('ms_orders', column);
+      await queryInterface.removeColumn('orders', column);
+    }
+  }
+};
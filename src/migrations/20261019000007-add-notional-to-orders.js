@@ -0,0 +1,14 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface) => {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE orders
+        ADD COLUMN IF NOT EXISTS notional DECIMAL(15, 2);
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('orders', 'notional');
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface) => {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE orders
+        ADD COLUMN IF NOT EXISTS replaces_order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS replaced_by_order_id UUID REFERENCES orders(id) ON DELETE SET NULL;
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "orders_replaces_order_id" ON orders (replaces_order_id)`);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "orders_replaces_order_id"`);
+    await queryInterface.removeColumn('orders', 'replaced_by_order_id');
+    await queryInterface.removeColumn('orders', 'replaces_order_id');
+  }
+};
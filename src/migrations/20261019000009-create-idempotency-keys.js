@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        scope varchar(50) NOT NULL,
+        key varchar(255) NOT NULL,
+        request_hash varchar(64) NOT NULL,
+        status varchar(20) NOT NULL DEFAULT 'processing',
+        response_status integer,
+        response_body jsonb,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS "idempotency_keys_user_scope_key" ON idempotency_keys (user_id, scope, key)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "idempotency_keys_created_at" ON idempotency_keys (created_at)`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('idempotency_keys');
+  }
+};
@@ -0,0 +1,51 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS ledger_accounts (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        code varchar(100) NOT NULL UNIQUE,
+        name varchar(255) NOT NULL,
+        type varchar(20) NOT NULL,
+        currency varchar(3) NOT NULL,
+        wallet_id uuid REFERENCES wallets(id) ON DELETE CASCADE,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "ledger_accounts_wallet_id" ON ledger_accounts (wallet_id)`);
+
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS journal_entries (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        type varchar(50) NOT NULL,
+        reference varchar(100) NOT NULL,
+        description text,
+        metadata jsonb DEFAULT '{}',
+        created_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS "journal_entries_type_reference" ON journal_entries (type, reference)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "journal_entries_created_at" ON journal_entries (created_at)`);
+
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS ledger_postings (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        journal_entry_id uuid NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+        account_id uuid NOT NULL REFERENCES ledger_accounts(id),
+        currency varchar(3) NOT NULL,
+        amount decimal(18,2) NOT NULL,
+        created_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "ledger_postings_journal_entry_id" ON ledger_postings (journal_entry_id)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "ledger_postings_account_id" ON ledger_postings (account_id)`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('ledger_postings');
+    await queryInterface.dropTable('journal_entries');
+    await queryInterface.dropTable('ledger_accounts');
+  }
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS reconciliation_runs (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        status varchar(20) NOT NULL DEFAULT 'running',
+        trigger varchar(20) NOT NULL DEFAULT 'scheduled',
+        triggered_by uuid REFERENCES users(id) ON DELETE SET NULL,
+        period_start timestamptz NOT NULL,
+        period_end timestamptz NOT NULL,
+        finished_at timestamptz,
+        summary jsonb DEFAULT '{}',
+        error text,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "reconciliation_runs_status" ON reconciliation_runs (status)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "reconciliation_runs_created_at" ON reconciliation_runs (created_at)`);
+
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS reconciliation_discrepancies (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        run_id uuid NOT NULL REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+        last_run_id uuid REFERENCES reconciliation_runs(id) ON DELETE SET NULL,
+        provider varchar(20) NOT NULL,
+        type varchar(30) NOT NULL,
+        reference varchar(100) NOT NULL,
+        fingerprint varchar(200) NOT NULL,
+        transaction_id uuid REFERENCES transactions(id) ON DELETE SET NULL,
+        user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+        wallet_id uuid REFERENCES wallets(id) ON DELETE SET NULL,
+        currency varchar(3),
+        internal_amount decimal(18, 2),
+        provider_amount decimal(18, 2),
+        details jsonb DEFAULT '{}',
+        occurrences integer NOT NULL DEFAULT 1,
+        status varchar(20) NOT NULL DEFAULT 'open',
+        resolved_by uuid REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at timestamptz,
+        resolution_note text,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "reconciliation_discrepancies_fingerprint_status" ON reconciliation_discrepancies (fingerprint, status)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "reconciliation_discrepancies_status_provider" ON reconciliation_discrepancies (status, provider)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "reconciliation_discrepancies_run_id" ON reconciliation_discrepancies (run_id)`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('reconciliation_discrepancies');
+    await queryInterface.dropTable('reconciliation_runs');
+  }
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS checkout_request_id varchar(100)`);
+    await queryInterface.sequelize.query(`
+      UPDATE transactions
+      SET checkout_request_id = metadata->'kcbResponse'->'response'->>'CheckoutRequestID'
+      WHERE checkout_request_id IS NULL
+        AND metadata->'kcbResponse'->'response'->>'CheckoutRequestID' IS NOT NULL
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "transactions_checkout_request_id" ON transactions (checkout_request_id)`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "transactions_checkout_request_id"`);
+    await queryInterface.sequelize.query(`ALTER TABLE transactions DROP COLUMN IF EXISTS checkout_request_id`);
+  }
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        provider varchar(20) NOT NULL,
+        event_type varchar(50),
+        receipt_id varchar(150) NOT NULL,
+        payload jsonb NOT NULL,
+        source_ip varchar(64),
+        verified_by varchar(20) NOT NULL,
+        status varchar(20) NOT NULL DEFAULT 'received',
+        attempts integer NOT NULL DEFAULT 0,
+        duplicates integer NOT NULL DEFAULT 0,
+        result jsonb,
+        last_error text,
+        processed_at timestamptz,
+        reprocessed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+        reprocessed_at timestamptz,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS "webhook_events_provider_receipt_id" ON webhook_events (provider, receipt_id)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "webhook_events_status_provider" ON webhook_events (status, provider)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "webhook_events_created_at" ON webhook_events (created_at)`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('webhook_events');
+  }
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_transactions_type" ADD VALUE IF NOT EXISTS 'dividend'`);
+
+    await queryInterface.sequelize.query(`
+      ALTER TABLE ms_orders
+        ADD COLUMN IF NOT EXISTS funding_reference varchar(100),
+        ADD COLUMN IF NOT EXISTS funded_kes decimal(18,2),
+        ADD COLUMN IF NOT EXISTS funded_usd decimal(18,4),
+        ADD COLUMN IF NOT EXISTS settled_at timestamptz,
+        ADD COLUMN IF NOT EXISTS refunded_at timestamptz
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "ms_orders_order_id" ON ms_orders (order_id)`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "ms_orders_order_id"`);
+    await queryInterface.sequelize.query(`
+      ALTER TABLE ms_orders
+        DROP COLUMN IF EXISTS funding_reference,
+        DROP COLUMN IF EXISTS funded_kes,
+        DROP COLUMN IF EXISTS funded_usd,
+        DROP COLUMN IF EXISTS settled_at,
+        DROP COLUMN IF EXISTS refunded_at
+    `);
+    // Postgres can't drop an enum value; 'dividend' stays on enum_transactions_type
+  }
+};
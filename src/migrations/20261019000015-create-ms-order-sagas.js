@@ -0,0 +1,43 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS ms_order_sagas (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        ms_order_id uuid REFERENCES ms_orders(id) ON DELETE SET NULL,
+        source varchar(20) NOT NULL DEFAULT 'order',
+        status varchar(20) NOT NULL DEFAULT 'started',
+        symbol varchar(30) NOT NULL,
+        quantity decimal(15,6) NOT NULL,
+        sub_account_id varchar(255) NOT NULL,
+        funding_reference varchar(100) NOT NULL,
+        total_kes decimal(18,2) NOT NULL,
+        usd_amount decimal(18,4) NOT NULL,
+        exchange_rate decimal(18,6),
+        steps jsonb NOT NULL DEFAULT '[]'::jsonb,
+        last_error text,
+        compensation_attempts integer NOT NULL DEFAULT 0,
+        next_retry_at timestamptz,
+        wallet_debited_at timestamptz,
+        funded_at timestamptz,
+        traded_at timestamptz,
+        swept_at timestamptz,
+        refunded_at timestamptz,
+        resolved_by uuid REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at timestamptz,
+        resolution_note text,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS "ms_order_sagas_funding_reference" ON ms_order_sagas (funding_reference)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "ms_order_sagas_status_next_retry_at" ON ms_order_sagas (status, next_retry_at)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "ms_order_sagas_user_id" ON ms_order_sagas (user_id)`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('ms_order_sagas');
+  }
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS recurring_investment_plans (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name varchar(100),
+        amount decimal(18,2) NOT NULL,
+        funding_currency varchar(3) NOT NULL,
+        targets jsonb NOT NULL,
+        frequency varchar(10) NOT NULL,
+        day_of_week integer,
+        day_of_month integer,
+        on_insufficient_funds varchar(10) NOT NULL DEFAULT 'retry',
+        status varchar(20) NOT NULL DEFAULT 'active',
+        scheduled_for timestamptz,
+        next_run_at timestamptz,
+        retry_count integer NOT NULL DEFAULT 0,
+        last_run_at timestamptz,
+        last_run_status varchar(20),
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "recurring_investment_plans_user_id" ON recurring_investment_plans (user_id)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "recurring_investment_plans_status_next_run_at" ON recurring_investment_plans (status, next_run_at)`);
+
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS recurring_investment_executions (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        plan_id uuid NOT NULL REFERENCES recurring_investment_plans(id) ON DELETE CASCADE,
+        user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        scheduled_for timestamptz NOT NULL,
+        attempt integer NOT NULL DEFAULT 1,
+        status varchar(20) NOT NULL,
+        amount decimal(18,2) NOT NULL,
+        currency varchar(3) NOT NULL,
+        orders jsonb NOT NULL DEFAULT '[]'::jsonb,
+        retry_at timestamptz,
+        error text,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS "recurring_investment_executions_plan_id_scheduled_for_attempt" ON recurring_investment_executions (plan_id, scheduled_for, attempt)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "recurring_investment_executions_user_id_created_at" ON recurring_investment_executions (user_id, created_at)`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('recurring_investment_executions');
+    await queryInterface.dropTable('recurring_investment_plans');
+  }
+};
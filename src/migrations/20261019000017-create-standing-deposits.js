@@ -0,0 +1,31 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS standing_deposits (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        phone_number varchar(20) NOT NULL,
+        amount decimal(15,2) NOT NULL,
+        day_of_month integer NOT NULL,
+        recurring_plan_id uuid REFERENCES recurring_investment_plans(id) ON DELETE SET NULL,
+        status varchar(20) NOT NULL DEFAULT 'active',
+        next_run_at timestamptz,
+        reminded_for timestamptz,
+        last_run_at timestamptz,
+        last_run_status varchar(20),
+        last_transaction_id uuid,
+        consecutive_failures integer NOT NULL DEFAULT 0,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "standing_deposits_user_id" ON standing_deposits (user_id)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "standing_deposits_status_next_run_at" ON standing_deposits (status, next_run_at)`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('standing_deposits');
+  }
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_users_role" ADD VALUE IF NOT EXISTS 'finance'`);
+
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS withdrawal_reviews (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        transaction_id uuid NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        wallet_id uuid NOT NULL,
+        reference varchar(100) NOT NULL,
+        amount decimal(15,2) NOT NULL,
+        currency varchar(3) NOT NULL,
+        channel varchar(20) NOT NULL,
+        method varchar(20) NOT NULL,
+        destination varchar(255),
+        payout jsonb NOT NULL DEFAULT '{}'::jsonb,
+        status varchar(20) NOT NULL,
+        risk_flags jsonb NOT NULL DEFAULT '[]'::jsonb,
+        required_approvals integer NOT NULL DEFAULT 1,
+        approvals integer NOT NULL DEFAULT 0,
+        device_id varchar(255),
+        decided_at timestamptz,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS "withdrawal_reviews_transaction_id" ON withdrawal_reviews (transaction_id)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "withdrawal_reviews_status_created_at" ON withdrawal_reviews (status, created_at)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "withdrawal_reviews_user_id" ON withdrawal_reviews (user_id)`);
+
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS withdrawal_review_actions (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        review_id uuid NOT NULL REFERENCES withdrawal_reviews(id) ON DELETE CASCADE,
+        actor_id uuid REFERENCES users(id) ON DELETE SET NULL,
+        actor_role varchar(20),
+        action varchar(20) NOT NULL,
+        note text,
+        metadata jsonb NOT NULL DEFAULT '{}'::jsonb,
+        created_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "withdrawal_review_actions_review_id_created_at" ON withdrawal_review_actions (review_id, created_at)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "withdrawal_review_actions_actor_id" ON withdrawal_review_actions (actor_id)`);
+    // One approval per reviewer, so four-eyes approvals come from two different people
+    await queryInterface.sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS "withdrawal_review_actions_one_approval_per_actor" ON withdrawal_review_actions (review_id, actor_id) WHERE action = 'approved'`);
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO platform_settings (key, value, description, updated_at) VALUES
+        ('withdrawal_auto_approve_kes', '20000', 'KES withdrawals up to this amount are paid without review', NOW()),
+        ('withdrawal_auto_approve_usd', '150', 'USD withdrawals up to this amount are paid without review', NOW()),
+        ('withdrawal_daily_auto_approve_kes', '50000', 'KES a user can withdraw without review in 24 hours', NOW()),
+        ('withdrawal_daily_auto_approve_usd', '400', 'USD a user can withdraw without review in 24 hours', NOW()),
+        ('withdrawal_dual_approval_kes', '500000', 'KES withdrawals above this need two approvers', NOW()),
+        ('withdrawal_dual_approval_usd', '4000', 'USD withdrawals above this need two approvers', NOW()),
+        ('withdrawal_velocity_max_count', '5', 'Withdrawals in 24 hours after which further ones are reviewed', NOW()),
+        ('withdrawal_new_device_hours', '72', 'Withdrawals are reviewed for this many hours after a new device is registered', NOW())
+      ON CONFLICT (key) DO NOTHING
+    `);
+
+    // Bank transfer and PayPal withdrawals already waiting for approval move into the queue
+    await queryInterface.sequelize.query(`
+      INSERT INTO withdrawal_reviews (transaction_id, user_id, wallet_id, reference, amount, currency, channel, method, payout, status, risk_flags)
+      SELECT t.id, w.user_id, t.wallet_id, t.reference, abs(t.amount), t.currency::text, 'wallet', t.metadata->>'method',
+        jsonb_build_object('netAmount', (t.metadata->>'netAmount')::numeric, 'fee', (t.metadata->>'withdrawalFees')::numeric, 'accountDetails', t.metadata->'accountDetails'),
+        'pending_review', jsonb_build_array(jsonb_build_object('rule', 'manual_payout', 'detail', 'Awaiting approval before the review queue existed'))
+      FROM transactions t
+      JOIN wallets w ON w.id = t.wallet_id
+      WHERE t.type = 'withdrawal' AND t.status = 'pending' AND t.metadata->>'processingStatus' = 'pending_approval'
+      ON CONFLICT (transaction_id) DO NOTHING
+    `);
+    await queryInterface.sequelize.query(`
+      UPDATE transactions SET metadata = jsonb_set(metadata, '{processingStatus}', '"pending_review"')
+      WHERE type = 'withdrawal' AND status = 'pending' AND metadata->>'processingStatus' = 'pending_approval'
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      UPDATE transactions t SET metadata = jsonb_set(t.metadata, '{processingStatus}', '"pending_approval"')
+      FROM withdrawal_reviews r
+      WHERE r.transaction_id = t.id AND r.status = 'pending_review' AND r.method IN ('bank_transfer', 'paypal')
+    `);
+    await queryInterface.dropTable('withdrawal_review_actions');
+    await queryInterface.dropTable('withdrawal_reviews');
+    await queryInterface.sequelize.query(`DELETE FROM platform_settings WHERE key LIKE 'withdrawal\\_%' AND key <> 'withdrawal_fee_rate'`);
+    // Postgres cannot drop an enum value; finance users are demoted instead
+    await queryInterface.sequelize.query(`UPDATE users SET role = 'user' WHERE role = 'finance'`);
+  }
+};
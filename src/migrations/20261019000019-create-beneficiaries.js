@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS beneficiaries (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        type varchar(10) NOT NULL,
+        nickname varchar(50) NOT NULL,
+        account_number varchar(20) NOT NULL,
+        account_name varchar(100) NOT NULL,
+        status varchar(10) NOT NULL DEFAULT 'active',
+        cooling_off_until timestamptz,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "beneficiaries_user_id_status" ON beneficiaries (user_id, status)`);
+    await queryInterface.sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS "beneficiaries_user_id_type_account_number" ON beneficiaries (user_id, type, account_number) WHERE status = 'active'`);
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO platform_settings (key, value, description, updated_at) VALUES
+        ('withdrawal_beneficiary_cooling_off_hours', '24', 'Hours after a beneficiary is added during which only small payouts can be sent to it', NOW()),
+        ('withdrawal_beneficiary_cooling_off_limit_kes', '10000', 'Largest KES payout to a beneficiary still in its cooling-off period', NOW()),
+        ('withdrawal_beneficiary_cooling_off_limit_usd', '75', 'Largest USD payout to a beneficiary still in its cooling-off period', NOW())
+      ON CONFLICT (key) DO NOTHING
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('beneficiaries');
+    await queryInterface.sequelize.query(`DELETE FROM platform_settings WHERE key LIKE 'withdrawal\\_beneficiary\\_%'`);
+  }
+};
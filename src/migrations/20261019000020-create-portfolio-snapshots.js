@@ -0,0 +1,31 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        snapshot_date date NOT NULL,
+        provider varchar(10) NOT NULL,
+        equity_usd numeric(18,4) NOT NULL DEFAULT 0,
+        cash_usd numeric(18,4) NOT NULL DEFAULT 0,
+        holdings_value_usd numeric(18,4) NOT NULL DEFAULT 0,
+        holdings jsonb NOT NULL DEFAULT '[]',
+        net_deposits_usd numeric(18,4) NOT NULL DEFAULT 0,
+        flow_usd numeric(18,4) NOT NULL DEFAULT 0,
+        exchange_rate numeric(10,4),
+        breakdown jsonb NOT NULL DEFAULT '{}',
+        benchmark_close numeric(12,4),
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS "portfolio_snapshots_user_id_snapshot_date" ON portfolio_snapshots (user_id, snapshot_date)`);
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS "portfolio_snapshots_snapshot_date" ON portfolio_snapshots (snapshot_date)`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('portfolio_snapshots');
+  }
+};
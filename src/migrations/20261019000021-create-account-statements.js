@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE IF NOT EXISTS account_statements (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        period_start date NOT NULL,
+        period_end date NOT NULL,
+        kind varchar(10) NOT NULL,
+        summary jsonb NOT NULL DEFAULT '{}',
+        pdf bytea NOT NULL,
+        csv text NOT NULL,
+        generated_at timestamptz NOT NULL,
+        emailed_at timestamptz,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+    await queryInterface.sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS "account_statements_user_id_period_start_period_end" ON account_statements (user_id, period_start, period_end)`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('account_statements');
+  }
+};
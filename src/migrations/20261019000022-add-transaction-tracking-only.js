@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS tracking_only boolean NOT NULL DEFAULT false`);
+    // Rows written from MyStocks webhooks record money held at MyStocks, not in the wallet
+    await queryInterface.sequelize.query(`
+      UPDATE transactions
+      SET tracking_only = true
+      WHERE reference LIKE 'MSDEP\\_%' OR reference LIKE 'MSWDR\\_%'
+        OR reference LIKE 'MSORDER\\_%' OR reference LIKE 'MSFEE\\_%' OR reference LIKE 'MSDIV\\_%'
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`ALTER TABLE transactions DROP COLUMN IF EXISTS tracking_only`);
+  }
+};
@@ -0,0 +1,68 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A generated account statement, kept so it can be downloaded again. The figures are in
+// summary; the rendered PDF and CSV are stored alongside so re-downloads match what was sent.
+class AccountStatement extends Model {}
+
+AccountStatement.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  // First and last day covered, inclusive, UTC
+  period_start: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  period_end: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // monthly for a calendar month, custom for any other range
+  kind: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: { isIn: [['monthly', 'custom']] }
+  },
+  // Balances, activity, trades, fees and holdings as built by accountStatementService
+  summary: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  pdf: {
+    type: DataTypes.BLOB,
+    allowNull: false
+  },
+  csv: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // When the figures were built; a statement built before its period ended is rebuilt on request
+  generated_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  emailed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  tableName: 'account_statements',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['user_id', 'period_start', 'period_end'] }
+  ]
+});
+
+module.exports = AccountStatement;
@@ -0,0 +1,71 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A saved payout destination: an M-Pesa number or a KCB account the user withdraws to by id
+// instead of typing the number each time. Newly added beneficiaries are in a cooling-off period
+// (cooling_off_until) during which only small payouts can be sent to them.
+class Beneficiary extends Model {
+  get isActive() {
+    return this.status === 'active';
+  }
+
+  isCoolingOff(now = new Date()) {
+    return !!this.cooling_off_until && new Date(this.cooling_off_until) > now;
+  }
+}
+
+Beneficiary.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  // mpesa: account_number is 2547XXXXXXXX / 2541XXXXXXXX; bank: a KCB account number
+  type: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: { isIn: [['mpesa', 'bank']] }
+  },
+  nickname: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  account_number: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  // Name the payout is sent to
+  account_name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Removed beneficiaries are kept so past withdrawals still resolve
+  status: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'active',
+    validate: { isIn: [['active', 'removed']] }
+  },
+  cooling_off_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  tableName: 'beneficiaries',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id', 'status'] },
+    // One active entry per destination
+    { unique: true, fields: ['user_id', 'type', 'account_number'], where: { status: 'active' } }
+  ]
+});
+
+module.exports = Beneficiary;
@@ -1,7 +1,12 @@
 const { DataTypes, Model } = require('sequelize');
 const { sequelize } = require('../config/database');
 
-class DemoOrder extends Model {}
+class DemoOrder extends Model {
+  // Where-clause for filled paper trades; pending trailing stops must not count toward positions
+  static get executedWhere() {
+    return { status: 'FILLED' };
+  }
+}
 
 DemoOrder.init({
   id: {
@@ -62,6 +67,32 @@ DemoOrder.init({
   filled_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
+  },
+  // market fills immediately; trailing_stop rests as PENDING and is simulated server-side
+  order_type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'market'
+  },
+  stop_price: {
+    type: DataTypes.DECIMAL(15, 8),
+    allowNull: true
+  },
+  trail_percent: {
+    type: DataTypes.DECIMAL(7, 4),
+    allowNull: true
+  },
+  trail_amount: {
+    type: DataTypes.DECIMAL(15, 8),
+    allowNull: true
+  },
+  high_water_mark: {
+    type: DataTypes.DECIMAL(15, 8),
+    allowNull: true
+  },
+  triggered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   sequelize,
@@ -70,7 +101,8 @@ DemoOrder.init({
   underscored: true,
   indexes: [
     { fields: ['user_id'] },
-    { fields: ['user_id', 'symbol'] }
+    { fields: ['user_id', 'symbol'] },
+    { fields: ['status', 'order_type'] }
   ]
 });
 
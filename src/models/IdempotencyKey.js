@@ -0,0 +1,64 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per Idempotency-Key a user has sent to a money-moving endpoint, holding the
+// response to replay if the same request is retried.
+class IdempotencyKey extends Model {
+  get isCompleted() {
+    return this.status === 'completed';
+  }
+}
+
+IdempotencyKey.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  // Endpoint the key belongs to (orders, wallet_withdraw, kcb_wallet_withdraw)
+  scope: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  key: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // SHA-256 of the request body, so a key can't be reused for a different request
+  request_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  // unknown: the request failed or died in a way that may still have placed it (held, not replayed)
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'processing',
+    validate: { isIn: [['processing', 'completed', 'unknown']] }
+  },
+  response_status: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  response_body: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  tableName: 'idempotency_keys',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['user_id', 'scope', 'key'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,141 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Double-entry ledger. Every movement of money is a JournalEntry whose LedgerPostings sum to
+// zero per currency; Wallet balances are a cached view of the postings on each wallet account.
+
+class LedgerAccount extends Model {
+  // Assets and expenses grow with debits; liabilities, equity and revenue grow with credits
+  get isDebitNormal() {
+    return ['asset', 'expense'].includes(this.type);
+  }
+}
+
+class JournalEntry extends Model {}
+
+class LedgerPosting extends Model {}
+
+LedgerAccount.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // wallet:<wallet_id>:<currency> for user wallets, platform:<name>:<currency> otherwise
+  code: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['asset', 'liability', 'equity', 'revenue', 'expense']] }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  wallet_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'wallets', key: 'id' },
+    onDelete: 'CASCADE'
+  }
+}, {
+  sequelize,
+  tableName: 'ledger_accounts',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['code'] },
+    { fields: ['wallet_id'] }
+  ]
+});
+
+JournalEntry.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // deposit, withdrawal, payout_hold, payout_settlement, payout_reversal, forex_conversion,
+  // broker_funding, unmatched_deposit, opening_balance
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // Business reference (transaction or order reference); unique per type so a replayed
+  // callback can't post the same movement twice
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  }
+}, {
+  sequelize,
+  tableName: 'journal_entries',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['type', 'reference'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+LedgerPosting.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  journal_entry_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'journal_entries', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  account_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'ledger_accounts', key: 'id' }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  // Signed: debits are positive, credits negative
+  amount: {
+    type: DataTypes.DECIMAL(18, 2),
+    allowNull: false
+  }
+}, {
+  sequelize,
+  tableName: 'ledger_postings',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['journal_entry_id'] },
+    { fields: ['account_id'] }
+  ]
+});
+
+JournalEntry.hasMany(LedgerPosting, { foreignKey: 'journal_entry_id', as: 'postings' });
+LedgerPosting.belongsTo(JournalEntry, { foreignKey: 'journal_entry_id', as: 'journalEntry' });
+LedgerAccount.hasMany(LedgerPosting, { foreignKey: 'account_id', as: 'postings' });
+LedgerPosting.belongsTo(LedgerAccount, { foreignKey: 'account_id', as: 'account' });
+
+module.exports = { LedgerAccount, JournalEntry, LedgerPosting };
@@ -1,7 +1,18 @@
-const { DataTypes, Model } = require('sequelize');
+const { DataTypes, Model, Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 
-class MsOrder extends Model {}
+class MsOrder extends Model {
+  // Where-clause for rows that are real trades: market orders MyStocks didn't reject, plus
+  // resting orders that were triggered and submitted. Spread it into holdings / cost-basis queries.
+  static get executedWhere() {
+    return {
+      [Op.or]: [
+        { order_type: 'market', status: { [Op.ne]: 'REJECTED' } },
+        { triggered_at: { [Op.ne]: null }, status: { [Op.ne]: 'REJECTED' } }
+      ]
+    };
+  }
+}
 
 MsOrder.init({
   id: {
@@ -82,6 +93,78 @@ MsOrder.init({
   flag_note: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  // market orders fill immediately; limit / stop_loss / take_profit / trailing_stop rest as PENDING until triggered
+  order_type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'market'
+  },
+  // Trigger prices are in the listing's local currency
+  limit_price: {
+    type: DataTypes.DECIMAL(15, 6),
+    allowNull: true
+  },
+  stop_price: {
+    type: DataTypes.DECIMAL(15, 6),
+    allowNull: true
+  },
+  // trailing_stop: one of trail_percent / trail_amount (local currency); stop_price follows the high-water mark
+  trail_percent: {
+    type: DataTypes.DECIMAL(7, 4),
+    allowNull: true
+  },
+  trail_amount: {
+    type: DataTypes.DECIMAL(15, 6),
+    allowNull: true
+  },
+  high_water_mark: {
+    type: DataTypes.DECIMAL(15, 6),
+    allowNull: true
+  },
+  time_in_force: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  triggered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // KES frozen in the local wallet while a BUY order rests
+  reserved_kes: {
+    type: DataTypes.DECIMAL(18, 2),
+    allowNull: true
+  },
+  rejection_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // BUYs: the ledger broker_funding reference and amounts sent to the sub-account for this order,
+  // so a rejected trade can be refunded
+  funding_reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  funded_kes: {
+    type: DataTypes.DECIMAL(18, 2),
+    allowNull: true
+  },
+  funded_usd: {
+    type: DataTypes.DECIMAL(18, 4),
+    allowNull: true
+  },
+  // Set from MyStocks trade.settled / trade.rejected webhooks
+  settled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  refunded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   sequelize,
@@ -91,7 +174,9 @@ MsOrder.init({
   indexes: [
     { fields: ['user_id'] },
     { fields: ['symbol'] },
-    { fields: ['user_id', 'symbol'] }
+    { fields: ['user_id', 'symbol'] },
+    { fields: ['order_id'] },
+    { fields: ['status', 'order_type'] }
   ]
 });
 
@@ -0,0 +1,145 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A funded MyStocks BUY tracked step by step (debit the KES wallet, fund the sub-account, place
+// the trade) so a failure part-way through can be undone: the USD is swept back out of the
+// sub-account and the wallet credited again.
+class MsOrderSaga extends Model {
+  // Compensation can still move money for these
+  get isOpen() {
+    return ['started', 'wallet_debited', 'funded', 'compensating', 'stuck'].includes(this.status);
+  }
+}
+
+MsOrderSaga.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  // Set once the trade is recorded
+  ms_order_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'ms_orders', key: 'id' },
+    onDelete: 'SET NULL'
+  },
+  // order: market BUY from createOrder; resting_order: triggered limit/stop BUY
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'order',
+    validate: { isIn: [['order', 'resting_order']] }
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'started',
+    validate: {
+      isIn: [['started', 'wallet_debited', 'funded', 'completed', 'compensating', 'compensated', 'aborted', 'stuck', 'resolved']]
+    }
+  },
+  symbol: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.DECIMAL(15, 6),
+    allowNull: false
+  },
+  sub_account_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // Ledger reference of the broker_funding entry and the MyStocks deposit
+  funding_reference: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  total_kes: {
+    type: DataTypes.DECIMAL(18, 2),
+    allowNull: false
+  },
+  usd_amount: {
+    type: DataTypes.DECIMAL(18, 4),
+    allowNull: false
+  },
+  exchange_rate: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: true
+  },
+  // [{ step, status, at, error }] in the order they happened
+  steps: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  compensation_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  next_retry_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  wallet_debited_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  funded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  traded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // USD withdrawn from the sub-account during compensation
+  swept_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // KES credited back to the wallet during compensation
+  refunded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolved_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'SET NULL'
+  },
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolution_note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  tableName: 'ms_order_sagas',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['funding_reference'] },
+    { fields: ['status', 'next_retry_at'] },
+    { fields: ['user_id'] }
+  ]
+});
+
+module.exports = MsOrderSaga;
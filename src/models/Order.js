@@ -7,7 +7,7 @@ class Order extends Model {
   }
 
   get isCompleted() {
-    return ['filled', 'canceled', 'expired', 'rejected'].includes(this.status);
+    return ['filled', 'canceled', 'expired', 'rejected', 'replaced'].includes(this.status);
   }
 
   get totalValue() {
@@ -37,6 +37,19 @@ class Order extends Model {
       updates.cancelled_at = new Date(alpacaOrderData.canceled_at);
     }
 
+    // Notional orders only learn their share count once Alpaca fills them
+    if (this.notional != null && alpacaOrderData.status === 'filled' && updates.filled_quantity > 0) {
+      updates.quantity = updates.filled_quantity;
+    }
+
+    // Trailing stops: Alpaca moves the stop as the high-water mark rises
+    if (alpacaOrderData.hwm) {
+      updates.high_water_mark = parseFloat(alpacaOrderData.hwm);
+    }
+    if (this.order_type === 'trailing_stop' && alpacaOrderData.stop_price) {
+      updates.stop_price = parseFloat(alpacaOrderData.stop_price);
+    }
+
     return this.update(updates);
   }
 }
@@ -69,13 +82,54 @@ Order.init({
     allowNull: false
   },
   order_type: {
-    type: DataTypes.ENUM('market', 'limit', 'stop', 'stop_limit'),
+    type: DataTypes.ENUM('market', 'limit', 'stop', 'stop_limit', 'trailing_stop'),
     allowNull: false
   },
+  // simple, or an Alpaca advanced order: bracket / oco / oto
+  order_class: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'simple'
+  },
+  // Set on the take-profit / stop-loss legs of an advanced order
+  parent_order_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  leg_type: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  // PATCH /orders/:orderId goes through Alpaca's replace, which closes the old order and opens a new one
+  replaces_order_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  replaced_by_order_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
   time_in_force: {
     type: DataTypes.ENUM('day', 'gtc', 'ioc', 'fok'),
     defaultValue: 'day'
   },
+  // USD amount of a notional (dollar-amount) order; quantity is an estimate until it fills
+  notional: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
   quantity: {
     type: DataTypes.DECIMAL(15, 6),
     allowNull: false,
@@ -104,6 +158,19 @@ Order.init({
       min: 0
     }
   },
+  // trailing_stop orders set one of trail_percent / trail_amount; Alpaca reports the high-water mark
+  trail_percent: {
+    type: DataTypes.DECIMAL(7, 4),
+    allowNull: true
+  },
+  trail_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  high_water_mark: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
   average_price: {
     type: DataTypes.DECIMAL(15, 2),
     allowNull: true,
@@ -116,7 +183,7 @@ Order.init({
       'pending', 'new', 'partially_filled', 'filled', 'done_for_day',
       'canceled', 'expired', 'replaced', 'pending_cancel', 'pending_replace',
       'accepted', 'pending_new', 'accepted_for_bidding', 'stopped',
-      'rejected', 'suspended', 'calculated'
+      'rejected', 'suspended', 'calculated', 'held'
     ),
     defaultValue: 'pending'
   },
@@ -195,6 +262,9 @@ Order.init({
     },
     {
       fields: ['user_id', 'status']
+    },
+    {
+      fields: ['parent_order_id']
     }
   ]
 });
@@ -0,0 +1,93 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per user per UTC day: what the account was worth at the nightly snapshot and how much
+// money had come in from outside. Amounts are USD; KES wallet balances are converted at
+// exchange_rate. The equity curve behind the performance endpoints is read from these rows.
+class PortfolioSnapshot extends Model {}
+
+PortfolioSnapshot.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  // YYYY-MM-DD, UTC
+  snapshot_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // Where the holdings are: alpaca or mystocks (plus the local wallet), or the demo account
+  provider: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: { isIn: [['alpaca', 'mystocks', 'demo']] }
+  },
+  // cash_usd + holdings_value_usd
+  equity_usd: {
+    type: DataTypes.DECIMAL(18, 4),
+    allowNull: false,
+    defaultValue: 0
+  },
+  cash_usd: {
+    type: DataTypes.DECIMAL(18, 4),
+    allowNull: false,
+    defaultValue: 0
+  },
+  holdings_value_usd: {
+    type: DataTypes.DECIMAL(18, 4),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // [{ symbol, exchange, quantity, price, marketValue }]
+  holdings: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Deposits less withdrawals up to and including this day; the demo account's starting balance
+  net_deposits_usd: {
+    type: DataTypes.DECIMAL(18, 4),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Deposits less withdrawals completed on this day
+  flow_usd: {
+    type: DataTypes.DECIMAL(18, 4),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // USD/KES used for the KES balances and flows
+  exchange_rate: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: true
+  },
+  // { alpaca, mystocks, wallet, demo } equity in USD
+  breakdown: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  // Benchmark close on this day, for comparing returns; null when it couldn't be fetched
+  benchmark_close: {
+    type: DataTypes.DECIMAL(12, 4),
+    allowNull: true
+  }
+}, {
+  sequelize,
+  tableName: 'portfolio_snapshots',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['user_id', 'snapshot_date'] },
+    { fields: ['snapshot_date'] }
+  ]
+});
+
+module.exports = PortfolioSnapshot;
@@ -0,0 +1,111 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+class PriceAlert extends Model {
+  get isActive() {
+    return this.status === 'active';
+  }
+}
+
+PriceAlert.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  symbol: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  asset_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // African exchange code (NSE, NGX, ...) for MyStocks-priced alerts; null for US equities
+  exchange: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  // Whether target_price is in the listing's local currency or in USD
+  denomination: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'usd'
+  },
+  currency: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  condition: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  target_price: {
+    type: DataTypes.DECIMAL(15, 6),
+    allowNull: true
+  },
+  last_price: {
+    type: DataTypes.DECIMAL(15, 6),
+    allowNull: true
+  },
+  notification_method: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'both'
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  last_checked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  triggered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  trigger_price: {
+    type: DataTypes.DECIMAL(15, 6),
+    allowNull: true
+  },
+  // percent_move: % change from previous close; volume_spike: multiple of 20-day average volume
+  threshold: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: true
+  },
+  // When set the alert stays active after firing and is suppressed for this many minutes
+  cooldown_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  trigger_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  sequelize,
+  tableName: 'price_alerts',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['status'] },
+    { fields: ['symbol', 'status'] }
+  ]
+});
+
+module.exports = PriceAlert;
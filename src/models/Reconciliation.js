@@ -0,0 +1,194 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Reconciliation of our wallets and transactions against KCB / M-Pesa, MyStocks and Alpaca.
+// Each run records what it checked; anything that didn't match is kept as a discrepancy
+// until an admin resolves or ignores it.
+
+class ReconciliationRun extends Model {}
+
+class ReconciliationDiscrepancy extends Model {
+  get isOpen() {
+    return this.status === 'open';
+  }
+}
+
+ReconciliationRun.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'running',
+    validate: { isIn: [['running', 'completed', 'failed']] }
+  },
+  trigger: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'scheduled',
+    validate: { isIn: [['scheduled', 'manual']] }
+  },
+  // Admin who started a manual run
+  triggered_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'SET NULL'
+  },
+  // Records created in [period_start, period_end] are reconciled
+  period_start: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  period_end: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Per-provider counts of records checked, matched and unverified, plus discrepancy totals
+  summary: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  tableName: 'reconciliation_runs',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['status'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+ReconciliationDiscrepancy.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Run that first found the discrepancy
+  run_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'reconciliation_runs', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  // Most recent run that still found it
+  last_run_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'reconciliation_runs', key: 'id' },
+    onDelete: 'SET NULL'
+  },
+  provider: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['kcb', 'mystocks', 'alpaca', 'ledger']] }
+  },
+  type: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    validate: {
+      isIn: [[
+        'missing_at_provider', 'missing_internally', 'missing_in_ledger', 'duplicate',
+        'amount_mismatch', 'status_mismatch', 'receipt_mismatch', 'balance_mismatch'
+      ]]
+    }
+  },
+  // Transaction reference, M-Pesa receipt, funding reference, Alpaca transfer id or wallet id
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // provider:type:reference; a discrepancy found again by a later run updates the open row
+  fingerprint: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  transaction_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'transactions', key: 'id' },
+    onDelete: 'SET NULL'
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'SET NULL'
+  },
+  wallet_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'wallets', key: 'id' },
+    onDelete: 'SET NULL'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: true
+  },
+  internal_amount: {
+    type: DataTypes.DECIMAL(18, 2),
+    allowNull: true
+  },
+  provider_amount: {
+    type: DataTypes.DECIMAL(18, 2),
+    allowNull: true
+  },
+  details: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  occurrences: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'open',
+    validate: { isIn: [['open', 'resolved', 'ignored']] }
+  },
+  resolved_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'SET NULL'
+  },
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolution_note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  tableName: 'reconciliation_discrepancies',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['fingerprint', 'status'] },
+    { fields: ['status', 'provider'] },
+    { fields: ['run_id'] }
+  ]
+});
+
+ReconciliationRun.hasMany(ReconciliationDiscrepancy, { foreignKey: 'run_id', as: 'discrepancies' });
+ReconciliationDiscrepancy.belongsTo(ReconciliationRun, { foreignKey: 'run_id', as: 'run' });
+ReconciliationDiscrepancy.belongsTo(ReconciliationRun, { foreignKey: 'last_run_id', as: 'lastRun' });
+
+module.exports = { ReconciliationRun, ReconciliationDiscrepancy };
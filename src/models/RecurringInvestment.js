@@ -0,0 +1,183 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Recurring investment (auto-invest) plans: a fixed amount invested on a schedule into one
+// symbol or a weighted basket. Each run of a plan is kept as an execution with the orders it
+// placed.
+
+class RecurringInvestmentPlan extends Model {
+  get isActive() {
+    return this.status === 'active';
+  }
+}
+
+class RecurringInvestmentExecution extends Model {}
+
+RecurringInvestmentPlan.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Invested each run, in funding_currency
+  amount: {
+    type: DataTypes.DECIMAL(18, 2),
+    allowNull: false
+  },
+  // Wallet the amount is denominated in and drawn from
+  funding_currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: { isIn: [['KES', 'USD']] }
+  },
+  // [{ symbol, exchange, weight }]: exchange is null for US equities, weights add up to 100
+  targets: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  frequency: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: { isIn: [['daily', 'weekly', 'biweekly', 'monthly']] }
+  },
+  // 0 = Sunday; weekly and biweekly plans
+  day_of_week: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // 1-28; monthly plans
+  day_of_month: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // What a run does when the wallet can't cover it: retry later the same day, or skip to the next run
+  on_insufficient_funds: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'retry',
+    validate: { isIn: [['retry', 'skip']] }
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'active',
+    validate: { isIn: [['active', 'paused', 'cancelled']] }
+  },
+  // The scheduled run currently due (kept while it is retried)
+  scheduled_for: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // When the runner next picks the plan up: scheduled_for, or a retry after it
+  next_run_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  retry_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  last_run_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_run_status: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  }
+}, {
+  sequelize,
+  tableName: 'recurring_investment_plans',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['status', 'next_run_at'] }
+  ]
+});
+
+RecurringInvestmentExecution.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  plan_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'recurring_investment_plans', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  scheduled_for: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // 1 for the scheduled run, 2+ for its retries
+  attempt: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  // completed: every target bought; partial: some were; skipped: none, for lack of funds;
+  // failed: none, for any other reason
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['completed', 'partial', 'skipped', 'failed']] }
+  },
+  // Invested by this attempt's placed orders
+  amount: {
+    type: DataTypes.DECIMAL(18, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  // [{ symbol, exchange, amount, outcome, httpStatus, provider, orderId, message }]
+  orders: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Set when the runner will try the missing targets again
+  retry_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  tableName: 'recurring_investment_executions',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['plan_id', 'scheduled_for', 'attempt'] },
+    { fields: ['user_id', 'created_at'] }
+  ]
+});
+
+RecurringInvestmentPlan.hasMany(RecurringInvestmentExecution, { foreignKey: 'plan_id', as: 'executions' });
+RecurringInvestmentExecution.belongsTo(RecurringInvestmentPlan, { foreignKey: 'plan_id', as: 'plan' });
+
+module.exports = { RecurringInvestmentPlan, RecurringInvestmentExecution };
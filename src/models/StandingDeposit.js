@@ -0,0 +1,92 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A monthly M-Pesa deposit the server starts on the user's behalf: on the chosen day an STK push
+// for the amount is sent to the phone, and the user approves it with their PIN. Each push is a
+// regular KCB deposit Transaction carrying the standing deposit's id in its metadata.
+class StandingDeposit extends Model {
+  get isActive() {
+    return this.status === 'active';
+  }
+}
+
+StandingDeposit.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  // 2547XXXXXXXX, as kcbService formats it
+  phone_number: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  // KES
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  // 1-28
+  day_of_month: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Optional recurring investment plan this deposit pays for
+  recurring_plan_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'recurring_investment_plans', key: 'id' },
+    onDelete: 'SET NULL'
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'active',
+    validate: { isIn: [['active', 'paused', 'cancelled']] }
+  },
+  next_run_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // The run the user was last reminded about, so each run gets one reminder
+  reminded_for: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_run_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // pending while the push awaits the PIN, then completed or failed
+  last_run_status: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  last_transaction_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Reset by a completed deposit; the deposit pauses itself when these pile up
+  consecutive_failures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  sequelize,
+  tableName: 'standing_deposits',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['status', 'next_run_at'] }
+  ]
+});
+
+module.exports = StandingDeposit;
@@ -184,7 +184,7 @@ User.init({
     defaultValue: null
   },
   role: {
-    type: DataTypes.ENUM('user', 'admin', 'support'),
+    type: DataTypes.ENUM('user', 'admin', 'support', 'finance'),
     defaultValue: 'user'
   },
   status: {
@@ -22,7 +22,8 @@ class Wallet extends Model {
     return transaction;
   }
 
-  async freezeFunds(amount, currency) {
+  // Holds sit outside the ledger: frozen funds are still the user's, just not spendable
+  async freezeFunds(amount, currency, options = {}) {
     const parsedAmount = parseFloat(amount);
 
     if (isNaN(parsedAmount) || parsedAmount <= 0) {
@@ -43,10 +44,10 @@ class Wallet extends Model {
       this.frozen_usd = currentFrozen + parsedAmount;
     }
 
-    return this.save();
+    return this.save(options);
   }
 
-  async unfreezeFunds(amount, currency) {
+  async unfreezeFunds(amount, currency, options = {}) {
     const parsedAmount = parseFloat(amount);
 
     if (isNaN(parsedAmount) || parsedAmount < 0) {
@@ -61,33 +62,7 @@ class Wallet extends Model {
       this.frozen_usd = Math.max(0, currentFrozen - parsedAmount);
     }
 
-    return this.save();
-  }
-
-  async updateBalance(amount, currency, operation = 'add') {
-    const parsedAmount = parseFloat(amount);
-
-    if (isNaN(parsedAmount) || parsedAmount < 0) {
-      throw new Error('Invalid amount for balance update');
-    }
-
-    if (currency === 'KES') {
-      const currentBalance = parseFloat(this.kes_balance) || 0;
-      if (operation === 'add') {
-        this.kes_balance = currentBalance + parsedAmount;
-      } else {
-        this.kes_balance = Math.max(0, currentBalance - parsedAmount);
-      }
-    } else if (currency === 'USD') {
-      const currentBalance = parseFloat(this.usd_balance) || 0;
-      if (operation === 'add') {
-        this.usd_balance = currentBalance + parsedAmount;
-      } else {
-        this.usd_balance = Math.max(0, currentBalance - parsedAmount);
-      }
-    }
-
-    return this.save();
+    return this.save(options);
   }
 }
 
@@ -106,7 +81,7 @@ Transaction.init({
     }
   },
   type: {
-    type: DataTypes.ENUM('deposit', 'withdrawal', 'trade_buy', 'trade_sell', 'fee', 'forex_conversion'),
+    type: DataTypes.ENUM('deposit', 'withdrawal', 'trade_buy', 'trade_sell', 'fee', 'forex_conversion', 'dividend'),
     allowNull: false
   },
   amount: {
@@ -130,6 +105,11 @@ Transaction.init({
     type: DataTypes.STRING(100),
     allowNull: true
   },
+  // KCB STK push CheckoutRequestID, used to match the M-Pesa callback to its deposit
+  checkout_request_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
   alpaca_order_id: {
     type: DataTypes.STRING(100),
     allowNull: true
@@ -149,6 +129,13 @@ Transaction.init({
   metadata: {
     type: DataTypes.JSONB,
     defaultValue: {}
+  },
+  // Set on rows that record money held by a provider (MyStocks) rather than in this wallet; they
+  // are history only and never count as wallet flows
+  tracking_only: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
   }
 }, {
   sequelize,
@@ -165,6 +152,9 @@ Transaction.init({
     {
       fields: ['mpesa_transaction_id']
     },
+    {
+      fields: ['checkout_request_id']
+    },
     {
       fields: ['status']
     },
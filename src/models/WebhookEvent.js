@@ -0,0 +1,100 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Every verified callback from KCB or MyStocks, kept so a redelivered or replayed event is
+// recognised by its receipt ID and a failed one can be processed again by an admin.
+class WebhookEvent extends Model {
+  get isSettled() {
+    return this.status === 'processed';
+  }
+}
+
+WebhookEvent.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  provider: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['kcb', 'mystocks']] }
+  },
+  // stk_push / b2c for KCB, the event name (trade.settled, ...) for MyStocks
+  event_type: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Provider's ID for the event (CheckoutRequestID, transaction reference, event id), or a
+  // hash of the body when it carries none
+  receipt_id: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  source_ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  // How the sender was authenticated: hmac, ip, hmac+ip or none (local development only)
+  verified_by: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'received',
+    validate: { isIn: [['received', 'processing', 'processed', 'failed']] }
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Redeliveries of the same receipt that were acknowledged without processing
+  duplicates: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Acknowledgement returned to the provider by the last attempt
+  result: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  processed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Admin who last re-processed the event
+  reprocessed_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'SET NULL'
+  },
+  reprocessed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  tableName: 'webhook_events',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['provider', 'receipt_id'] },
+    { fields: ['status', 'provider'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+module.exports = WebhookEvent;
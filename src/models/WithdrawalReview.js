@@ -0,0 +1,169 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Payout review: every withdrawal gets a review when it is requested, recording whether the
+// risk rules let it through or held it for admin/finance approval. The actions table is the
+// audit trail of who decided what.
+
+class WithdrawalReview extends Model {
+  get isOpen() {
+    return this.status === 'pending_review';
+  }
+}
+
+class WithdrawalReviewAction extends Model {}
+
+WithdrawalReview.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  transaction_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'transactions', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  wallet_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  // kcb: POST /kcb/wallet/withdraw (held with a ledger payout hold); wallet: POST /wallet/withdraw
+  // (held by freezing funds)
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['kcb', 'wallet']] }
+  },
+  // mpesa, bank, bank_transfer or paypal
+  method: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  destination: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // What the payout needs once approved (the KCB transfer, or the M-Pesa payout details)
+  payout: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  // pending_review -> approved -> paid | payout_failed | processing (KCB timed out; the callback or
+  // the pending payment poller settles it) | payout_error (sending failed; retried from approved);
+  // or auto_approved (settled the same way), or rejected
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['auto_approved', 'pending_review', 'approved', 'processing', 'paid', 'payout_failed', 'payout_error', 'rejected']] }
+  },
+  // [{ rule, detail }] from withdrawalReviewService.evaluate
+  risk_flags: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // 2 above the four-eyes limit
+  required_approvals: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  approvals: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  device_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  decided_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  tableName: 'withdrawal_reviews',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['transaction_id'] },
+    { fields: ['status', 'created_at'] },
+    { fields: ['user_id'] }
+  ]
+});
+
+WithdrawalReviewAction.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  review_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: 'withdrawal_reviews', key: 'id' },
+    onDelete: 'CASCADE'
+  },
+  // Null for decisions the system made
+  actor_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'SET NULL'
+  },
+  actor_role: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  action: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [['auto_approved', 'held', 'approved', 'rejected', 'paid', 'payout_failed', 'processing', 'payout_error', 'payout_retried']] }
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  }
+}, {
+  sequelize,
+  tableName: 'withdrawal_review_actions',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['review_id', 'created_at'] },
+    { fields: ['actor_id'] }
+  ]
+});
+
+WithdrawalReview.hasMany(WithdrawalReviewAction, { foreignKey: 'review_id', as: 'actions' });
+WithdrawalReviewAction.belongsTo(WithdrawalReview, { foreignKey: 'review_id', as: 'review' });
+
+module.exports = { WithdrawalReview, WithdrawalReviewAction };
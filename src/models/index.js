@@ -21,6 +21,18 @@ const MsOrder = require('./MsOrder');
 const DemoOrder = require('./DemoOrder');
 const PlatformSetting = require('./PlatformSetting');
 const PlatformRevenue = require('./PlatformRevenue');
+const PriceAlert = require('./PriceAlert');
+const IdempotencyKey = require('./IdempotencyKey');
+const { LedgerAccount, JournalEntry, LedgerPosting } = require('./Ledger');
+const { ReconciliationRun, ReconciliationDiscrepancy } = require('./Reconciliation');
+const WebhookEvent = require('./WebhookEvent');
+const MsOrderSaga = require('./MsOrderSaga');
+const { RecurringInvestmentPlan, RecurringInvestmentExecution } = require('./RecurringInvestment');
+const StandingDeposit = require('./StandingDeposit');
+const { WithdrawalReview, WithdrawalReviewAction } = require('./WithdrawalReview');
+const Beneficiary = require('./Beneficiary');
+const PortfolioSnapshot = require('./PortfolioSnapshot');
+const AccountStatement = require('./AccountStatement');
 
 // Define associations
 User.hasOne(Wallet, { foreignKey: 'user_id', as: 'wallet' });
@@ -28,6 +40,10 @@ Wallet.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
 User.hasMany(Order, { foreignKey: 'user_id', as: 'orders' });
 Order.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+Order.hasMany(Order, { foreignKey: 'parent_order_id', as: 'legs' });
+Order.belongsTo(Order, { foreignKey: 'parent_order_id', as: 'parentOrder' });
+Order.belongsTo(Order, { foreignKey: 'replaces_order_id', as: 'replacesOrder' });
+Order.belongsTo(Order, { foreignKey: 'replaced_by_order_id', as: 'replacedByOrder' });
 
 User.hasMany(Notification, { foreignKey: 'user_id', as: 'notifications' });
 Notification.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
@@ -77,6 +93,53 @@ Referral.belongsTo(WaitlistUser, { foreignKey: 'referred_user_id', as: 'referred
 User.hasMany(PlatformRevenue, { foreignKey: 'user_id', as: 'revenue' });
 PlatformRevenue.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
+// Price alert associations
+User.hasMany(PriceAlert, { foreignKey: 'user_id', as: 'priceAlerts' });
+PriceAlert.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Idempotency key associations
+User.hasMany(IdempotencyKey, { foreignKey: 'user_id', as: 'idempotencyKeys' });
+IdempotencyKey.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Ledger associations
+Wallet.hasMany(LedgerAccount, { foreignKey: 'wallet_id', as: 'ledgerAccounts' });
+LedgerAccount.belongsTo(Wallet, { foreignKey: 'wallet_id', as: 'wallet' });
+
+// Reconciliation associations
+ReconciliationDiscrepancy.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+ReconciliationDiscrepancy.belongsTo(User, { foreignKey: 'resolved_by', as: 'resolver' });
+ReconciliationDiscrepancy.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction' });
+
+// MyStocks BUY saga associations
+MsOrderSaga.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+MsOrderSaga.belongsTo(MsOrder, { foreignKey: 'ms_order_id', as: 'order' });
+
+// Recurring investment associations
+User.hasMany(RecurringInvestmentPlan, { foreignKey: 'user_id', as: 'recurringInvestmentPlans' });
+RecurringInvestmentPlan.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Standing deposit associations
+User.hasMany(StandingDeposit, { foreignKey: 'user_id', as: 'standingDeposits' });
+StandingDeposit.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+StandingDeposit.belongsTo(RecurringInvestmentPlan, { foreignKey: 'recurring_plan_id', as: 'recurringPlan' });
+
+// Withdrawal review associations
+WithdrawalReview.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+WithdrawalReview.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction' });
+WithdrawalReviewAction.belongsTo(User, { foreignKey: 'actor_id', as: 'actor' });
+
+// Beneficiary associations
+User.hasMany(Beneficiary, { foreignKey: 'user_id', as: 'beneficiaries' });
+Beneficiary.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Portfolio snapshot associations
+User.hasMany(PortfolioSnapshot, { foreignKey: 'user_id', as: 'portfolioSnapshots' });
+PortfolioSnapshot.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Account statement associations
+User.hasMany(AccountStatement, { foreignKey: 'user_id', as: 'accountStatements' });
+AccountStatement.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
 // User referral associations (self-referencing)
 User.belongsTo(User, { foreignKey: 'referred_by', as: 'referrer' });
 User.hasMany(User, { foreignKey: 'referred_by', as: 'referredUsers' });
@@ -113,4 +176,21 @@ module.exports = {
   DemoOrder,
   PlatformSetting,
   PlatformRevenue,
+  PriceAlert,
+  IdempotencyKey,
+  LedgerAccount,
+  JournalEntry,
+  LedgerPosting,
+  ReconciliationRun,
+  ReconciliationDiscrepancy,
+  WebhookEvent,
+  MsOrderSaga,
+  RecurringInvestmentPlan,
+  RecurringInvestmentExecution,
+  StandingDeposit,
+  WithdrawalReview,
+  WithdrawalReviewAction,
+  Beneficiary,
+  PortfolioSnapshot,
+  AccountStatement,
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const {
   getAccountInfo,
   getAccountActivity,
@@ -10,7 +11,15 @@ const {
   deleteAccount,
   switchAccountMode
 } = require('../controllers/accountController');
+const {
+  getStatements,
+  createStatement,
+  getStatement,
+  downloadStatement,
+  emailStatement
+} = require('../controllers/accountStatementController');
 const { auth } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -24,4 +33,41 @@ router.get('/trades', auth, getTradeHistory);
 router.get('/documents', auth, getAccountDocuments);
 router.patch('/mode', auth, switchAccountMode);
 
+const statementIdValidation = [
+  param('statementId')
+    .isUUID()
+    .withMessage('statementId must be a valid UUID')
+];
+
+// Statements: a calendar month, or a from/to range (checked further by the service)
+router.get('/statements', auth, getStatements);
+router.post('/statements', auth, [
+  body('month')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('month must be YYYY-MM'),
+  body('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('from must be a date (YYYY-MM-DD)'),
+  body('to')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('to must be a date (YYYY-MM-DD)'),
+  body('email')
+    .optional()
+    .isBoolean()
+    .withMessage('email must be true or false')
+    .toBoolean()
+], handleValidationErrors, createStatement);
+router.get('/statements/:statementId', auth, statementIdValidation, handleValidationErrors, getStatement);
+router.get('/statements/:statementId/download', auth, [
+  ...statementIdValidation,
+  query('format')
+    .optional()
+    .isIn(['pdf', 'csv'])
+    .withMessage('format must be pdf or csv')
+], handleValidationErrors, downloadStatement);
+router.post('/statements/:statementId/email', auth, statementIdValidation, handleValidationErrors, emailStatement);
+
 module.exports = router;
\ No newline at end of file
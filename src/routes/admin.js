@@ -1,5 +1,5 @@
 const express = require('express');
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, authorize, adminAuth } = require('../middleware/auth');
 const {
   getPendingKYC,
   getKYCDetails,
@@ -23,12 +23,39 @@ const {
   getConfig,
   updateConfig,
   getRevenue,
+  getReconciliationReport,
+  getReconciliationRun,
+  runReconciliation,
+  listDiscrepancies,
+  resolveDiscrepancy,
+  listWebhookEvents,
+  getWebhookEvent,
+  reprocessWebhookEvent,
+  listSagas,
+  getSaga,
+  compensateSaga,
+  resolveSaga,
+  listWithdrawalReviews,
+  getWithdrawalReview,
+  approveWithdrawal,
+  rejectWithdrawal,
+  retryWithdrawalPayout,
 } = require('../controllers/adminController');
 
 const router = express.Router();
 
 // All admin routes require authentication and admin privileges
 router.use(auth);
+
+// Withdrawal review queue: admin and finance only (support cannot approve payouts), so these
+// are declared before the adminAuth gate below
+const withdrawalReviewers = authorize('admin', 'finance');
+router.get('/withdrawals', withdrawalReviewers, listWithdrawalReviews);
+router.get('/withdrawals/:reviewId', withdrawalReviewers, getWithdrawalReview);
+router.post('/withdrawals/:reviewId/approve', withdrawalReviewers, approveWithdrawal);
+router.post('/withdrawals/:reviewId/reject', withdrawalReviewers, rejectWithdrawal);
+router.post('/withdrawals/:reviewId/retry', withdrawalReviewers, retryWithdrawalPayout);
+
 router.use(adminAuth);
 
 // Analytics
@@ -67,4 +94,22 @@ router.put('/config', updateConfig);
 // Revenue
 router.get('/revenue', getRevenue);
 
+// Reconciliation
+router.get('/reconciliation', getReconciliationReport);
+router.post('/reconciliation/run', runReconciliation);
+router.get('/reconciliation/runs/:runId', getReconciliationRun);
+router.get('/reconciliation/discrepancies', listDiscrepancies);
+router.put('/reconciliation/discrepancies/:discrepancyId/resolve', resolveDiscrepancy);
+
+// Inbound webhook event log
+router.get('/webhooks/events', listWebhookEvents);
+router.get('/webhooks/events/:eventId', getWebhookEvent);
+router.post('/webhooks/events/:eventId/reprocess', reprocessWebhookEvent);
+
+// MyStocks BUY sagas (stuck and compensating by default)
+router.get('/sagas', listSagas);
+router.get('/sagas/:sagaId', getSaga);
+router.post('/sagas/:sagaId/compensate', compensateSaga);
+router.put('/sagas/:sagaId/resolve', resolveSaga);
+
 module.exports = router;
\ No newline at end of file
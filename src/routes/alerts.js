@@ -0,0 +1,112 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  createAlert,
+  getAlerts,
+  getAlert,
+  updateAlert,
+  pauseAlert,
+  resumeAlert,
+  deleteAlert
+} = require('../controllers/alertController');
+const { auth } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const priceAlertService = require('../services/priceAlertService');
+const { AFRICAN_EXCHANGES } = require('../utils/mystocksQuote');
+
+const router = express.Router();
+
+const alertIdValidation = [
+  param('alertId')
+    .isUUID()
+    .withMessage('alertId must be a valid UUID')
+];
+
+router.post('/', auth, [
+  body('symbol')
+    .notEmpty()
+    .withMessage('Stock symbol is required'),
+  body('exchange')
+    .optional({ nullable: true })
+    .customSanitizer(v => v?.toUpperCase())
+    .isIn([...AFRICAN_EXCHANGES])
+    .withMessage('exchange must be a supported African exchange (omit for US stocks)'),
+  body('denomination')
+    .optional()
+    .isIn(['local', 'usd'])
+    .withMessage('denomination must be local or usd'),
+  body('condition')
+    .isIn(priceAlertService.conditions)
+    .withMessage(`condition must be one of: ${priceAlertService.conditions.join(', ')}`),
+  body('targetPrice')
+    .if(body('condition').isIn(priceAlertService.priceConditions))
+    .isFloat({ gt: 0 })
+    .withMessage('targetPrice must be greater than 0'),
+  body('threshold')
+    .if(body('condition').isIn(priceAlertService.thresholdConditions))
+    .isFloat({ gt: 0, max: 1000 })
+    .withMessage('threshold must be greater than 0 for percent_move and volume_spike alerts'),
+  body('cooldownMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 5, max: 10080 })
+    .withMessage('cooldownMinutes must be between 5 and 10080'),
+  body('notificationMethod')
+    .optional()
+    .isIn(['push', 'email', 'both'])
+    .withMessage('notificationMethod must be push, email, or both'),
+  body('note')
+    .optional({ nullable: true })
+    .isLength({ max: 255 })
+    .withMessage('note must be at most 255 characters')
+], handleValidationErrors, createAlert);
+
+router.get('/', auth, [
+  query('status')
+    .optional()
+    .isIn(['active', 'paused', 'triggered'])
+    .withMessage('status must be active, paused, or triggered')
+], handleValidationErrors, getAlerts);
+
+router.get('/:alertId', auth, alertIdValidation, handleValidationErrors, getAlert);
+
+router.patch('/:alertId', auth, [
+  ...alertIdValidation,
+  body('denomination')
+    .optional()
+    .isIn(['local', 'usd'])
+    .withMessage('denomination must be local or usd'),
+  body('targetPrice')
+    .if(body('denomination').exists())
+    .exists()
+    .withMessage('targetPrice is required when changing denomination'),
+  body('condition')
+    .optional()
+    .isIn(priceAlertService.conditions)
+    .withMessage(`condition must be one of: ${priceAlertService.conditions.join(', ')}`),
+  body('targetPrice')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('targetPrice must be greater than 0'),
+  body('threshold')
+    .optional()
+    .isFloat({ gt: 0, max: 1000 })
+    .withMessage('threshold must be greater than 0'),
+  body('cooldownMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 5, max: 10080 })
+    .withMessage('cooldownMinutes must be between 5 and 10080'),
+  body('notificationMethod')
+    .optional()
+    .isIn(['push', 'email', 'both'])
+    .withMessage('notificationMethod must be push, email, or both'),
+  body('note')
+    .optional({ nullable: true })
+    .isLength({ max: 255 })
+    .withMessage('note must be at most 255 characters')
+], handleValidationErrors, updateAlert);
+
+router.post('/:alertId/pause', auth, alertIdValidation, handleValidationErrors, pauseAlert);
+router.post('/:alertId/resume', auth, alertIdValidation, handleValidationErrors, resumeAlert);
+router.delete('/:alertId', auth, alertIdValidation, handleValidationErrors, deleteAlert);
+
+module.exports = router;
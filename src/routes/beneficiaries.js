@@ -0,0 +1,54 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  createBeneficiary,
+  getBeneficiaries,
+  getBeneficiary,
+  updateBeneficiary,
+  deleteBeneficiary
+} = require('../controllers/beneficiaryController');
+const { auth } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+const beneficiaryIdValidation = [
+  param('beneficiaryId')
+    .isUUID()
+    .withMessage('beneficiaryId must be a valid UUID')
+];
+
+const nicknameValidation = body('nickname')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('nickname must be 1 to 50 characters');
+
+// Shape checks only; the service checks the number or account format
+router.post('/', auth, [
+  body('type')
+    .isIn(['mpesa', 'bank'])
+    .withMessage('type must be mpesa or bank'),
+  nicknameValidation,
+  body('accountNumber')
+    .exists()
+    .withMessage('accountNumber is required'),
+  body('accountName')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('accountName must be at most 100 characters')
+], handleValidationErrors, createBeneficiary);
+
+router.get('/', auth, [
+  query('type')
+    .optional()
+    .isIn(['mpesa', 'bank'])
+    .withMessage('type must be mpesa or bank')
+], handleValidationErrors, getBeneficiaries);
+
+router.get('/:beneficiaryId', auth, beneficiaryIdValidation, handleValidationErrors, getBeneficiary);
+router.patch('/:beneficiaryId', auth, [...beneficiaryIdValidation, nicknameValidation], handleValidationErrors, updateBeneficiary);
+router.delete('/:beneficiaryId', auth, beneficiaryIdValidation, handleValidationErrors, deleteBeneficiary);
+
+module.exports = router;
@@ -1,9 +1,11 @@
 const express = require('express');
 const { mpesaCallback } = require('../controllers/walletController');
-const { handleKCBMpesaCallback } = require('../controllers/callbackController');
+const { handleKCBMpesaCallback, duplicateCallbackAck } = require('../controllers/callbackController');
+const { verifyWebhook, recordWebhook } = require('../middleware/webhook');
 const router = express.Router();
 
-router.post('/', handleKCBMpesaCallback);
-router.post('/legacy/:reference', mpesaCallback);
+// No auth — KCB calls these directly. The sender is verified by IP allow-list and/or signature.
+router.post('/', verifyWebhook('kcb'), recordWebhook('kcb', duplicateCallbackAck), handleKCBMpesaCallback);
+router.post('/legacy/:reference', verifyWebhook('kcb'), recordWebhook('kcb', duplicateCallbackAck), mpesaCallback);
 
 module.exports = router;
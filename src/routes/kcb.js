@@ -10,11 +10,12 @@ const {
   checkDepositStatus
 } = require('../controllers/kcbController');
 const { auth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const router = express.Router();
 
 router.post('/deposit', auth, depositFromBank);
 router.post('/withdraw', auth, withdrawToBank);
-router.post('/wallet/withdraw', auth, withdrawFromWallet);
+router.post('/wallet/withdraw', auth, idempotency('kcb_wallet_withdraw', { holdUnknown: true }), withdrawFromWallet);
 router.get('/wallet/withdraw/:transactionReference', auth, queryWithdrawalStatus);
 router.post('/stkpush', auth, initiateSTKPush);
 router.get('/stkpush/status/:messageId', auth, checkDepositStatus);
@@ -1,9 +1,15 @@
 const express = require('express');
 const { handleWebhook } = require('../../controllers/mystocks/msWebhookController');
+const { verifyWebhook, recordWebhook } = require('../../middleware/webhook');
 
 const router = express.Router();
 
-// No auth — MyStocks calls this directly. Signature verified inside the controller.
-router.post('/webhooks', handleWebhook);
+// No auth — MyStocks calls this directly. The sender is verified by IP allow-list and/or signature.
+router.post(
+  '/webhooks',
+  verifyWebhook('mystocks'),
+  recordWebhook('mystocks', { success: true, received: true, duplicate: true }),
+  handleWebhook
+);
 
 module.exports = router;
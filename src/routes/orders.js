@@ -1,21 +1,26 @@
 const express = require('express');
 const {
   createOrder,
+  previewOrder,
   getOrders,
   getOrder,
   cancelOrder,
+  replaceOrder,
   syncOrdersWithAlpaca
 } = require('../controllers/orderController');
 const { auth, requireKYCOrMyStocks } = require('../middleware/auth');
-const { orderValidation, paginationValidation } = require('../middleware/validation');
+const { orderValidation, orderReplaceValidation, paginationValidation } = require('../middleware/validation');
 const { checkAccountStatus } = require('../middleware/checkAccountStatus');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
 // Trading operations require account status check
-router.post('/', auth, requireKYCOrMyStocks, checkAccountStatus, orderValidation, createOrder);
+router.post('/', auth, requireKYCOrMyStocks, checkAccountStatus, orderValidation, idempotency('orders', { holdUnknown: true }), createOrder);
+router.post('/preview', auth, requireKYCOrMyStocks, orderValidation, previewOrder);
 router.get('/', auth, paginationValidation, getOrders);
 router.get('/:orderId', auth, getOrder);
+router.patch('/:orderId', auth, checkAccountStatus, orderReplaceValidation, replaceOrder);
 router.delete('/:orderId', auth, checkAccountStatus, cancelOrder);
 router.post('/sync', auth, syncOrdersWithAlpaca);
 
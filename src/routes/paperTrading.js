@@ -4,6 +4,7 @@ const {
   getPaperAccount,
   placePaperTrade,
   getPaperOrders,
+  cancelPaperOrder,
   getPaperPositions,
   getPaperPortfolio,
   getPaperAllocation,
@@ -15,6 +16,7 @@ const router = express.Router();
 router.get('/', auth, getPaperAccount);
 router.post('/trade', auth, placePaperTrade);
 router.get('/orders', auth, getPaperOrders);
+router.delete('/orders/:orderId', auth, cancelPaperOrder);
 router.get('/positions', auth, getPaperPositions);
 router.get('/portfolio', auth, getPaperPortfolio);
 router.get('/allocation', auth, getPaperAllocation);
@@ -1,4 +1,5 @@
 const express = require('express');
+const { query } = require('express-validator');
 const {
   getPortfolio,
   getPositions,
@@ -6,10 +7,13 @@ const {
   getPerformance,
   closePosition,
   getAssetTrend,
+  getProfitAndLoss,
+  getTaxReport,
   getPortfolioAllocation
 } = require('../controllers/portfolioController');
 const { auth } = require('../middleware/auth');
 const { checkAccountStatus } = require('../middleware/checkAccountStatus');
+const { handleValidationErrors } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -20,6 +24,13 @@ router.get('/positions/:symbol', auth, getPosition);
 router.get('/performance', auth, getPerformance);
 router.get('/asset-trend', auth, getAssetTrend);
 router.get('/allocation', auth, getPortfolioAllocation);
+router.get('/pnl', auth, getProfitAndLoss);
+router.get('/tax-report', auth, [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'pdf'])
+    .withMessage('format must be json, csv or pdf')
+], handleValidationErrors, getTaxReport);
 
 // Trading operations - require active account
 router.post('/positions/:symbol/close', auth, checkAccountStatus, closePosition);
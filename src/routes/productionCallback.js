@@ -1,8 +1,9 @@
 const express = require('express');
-const { handleKCBMpesaCallback } = require('../controllers/callbackController');
+const { handleKCBMpesaCallback, duplicateCallbackAck } = require('../controllers/callbackController');
+const { verifyWebhook, recordWebhook } = require('../middleware/webhook');
 const router = express.Router();
 
 // Production callback endpoint - same functionality as development callback
-router.post('/', handleKCBMpesaCallback);
+router.post('/', verifyWebhook('kcb'), recordWebhook('kcb', duplicateCallbackAck), handleKCBMpesaCallback);
 
 module.exports = router;
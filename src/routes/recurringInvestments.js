@@ -0,0 +1,94 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  createPlan,
+  getPlans,
+  getPlan,
+  updatePlan,
+  pausePlan,
+  resumePlan,
+  cancelPlan,
+  getExecutions
+} = require('../controllers/recurringInvestmentController');
+const { auth } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { FREQUENCIES, MAX_DAY_OF_MONTH } = require('../utils/recurringSchedule');
+
+const router = express.Router();
+
+const planIdValidation = [
+  param('planId')
+    .isUUID()
+    .withMessage('planId must be a valid UUID')
+];
+
+// Shape checks only; the service validates the schedule and targets as a whole
+const planFieldValidation = [
+  body('name')
+    .optional({ nullable: true })
+    .isLength({ max: 100 })
+    .withMessage('name must be at most 100 characters'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('amount must be greater than 0'),
+  body('fundingCurrency')
+    .optional()
+    .customSanitizer(v => v?.toUpperCase())
+    .isIn(['KES', 'USD'])
+    .withMessage('fundingCurrency must be KES or USD'),
+  body('frequency')
+    .optional()
+    .isIn(FREQUENCIES)
+    .withMessage(`frequency must be one of: ${FREQUENCIES.join(', ')}`),
+  body('dayOfWeek')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 6 })
+    .withMessage('dayOfWeek must be 0 (Sunday) to 6 (Saturday)')
+    .toInt(),
+  body('dayOfMonth')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: MAX_DAY_OF_MONTH })
+    .withMessage(`dayOfMonth must be 1 to ${MAX_DAY_OF_MONTH}`)
+    .toInt(),
+  body('targets')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('targets must be a non-empty array of { symbol, exchange?, weight? }'),
+  body('onInsufficientFunds')
+    .optional()
+    .isIn(['retry', 'skip'])
+    .withMessage('onInsufficientFunds must be retry or skip')
+];
+
+router.post('/', auth, [
+  body('amount')
+    .exists()
+    .withMessage('amount is required'),
+  body('fundingCurrency')
+    .exists()
+    .withMessage('fundingCurrency is required'),
+  body('frequency')
+    .exists()
+    .withMessage('frequency is required'),
+  body('targets')
+    .exists()
+    .withMessage('targets is required'),
+  ...planFieldValidation
+], handleValidationErrors, createPlan);
+
+router.get('/', auth, [
+  query('status')
+    .optional()
+    .isIn(['active', 'paused', 'cancelled'])
+    .withMessage('status must be active, paused, or cancelled')
+], handleValidationErrors, getPlans);
+
+router.get('/:planId', auth, planIdValidation, handleValidationErrors, getPlan);
+router.patch('/:planId', auth, [...planIdValidation, ...planFieldValidation], handleValidationErrors, updatePlan);
+router.post('/:planId/pause', auth, planIdValidation, handleValidationErrors, pausePlan);
+router.post('/:planId/resume', auth, planIdValidation, handleValidationErrors, resumePlan);
+router.delete('/:planId', auth, planIdValidation, handleValidationErrors, cancelPlan);
+router.get('/:planId/executions', auth, planIdValidation, handleValidationErrors, getExecutions);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  createDeposit,
+  getDeposits,
+  getDeposit,
+  updateDeposit,
+  pauseDeposit,
+  resumeDeposit,
+  cancelDeposit,
+  getAttempts
+} = require('../controllers/standingDepositController');
+const { auth } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { MAX_DAY_OF_MONTH } = require('../utils/recurringSchedule');
+
+const router = express.Router();
+
+const depositIdValidation = [
+  param('depositId')
+    .isUUID()
+    .withMessage('depositId must be a valid UUID')
+];
+
+// Shape checks only; the service checks limits and the phone number
+const depositFieldValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('amount must be greater than 0'),
+  body('dayOfMonth')
+    .optional()
+    .isInt({ min: 1, max: MAX_DAY_OF_MONTH })
+    .withMessage(`dayOfMonth must be 1 to ${MAX_DAY_OF_MONTH}`)
+    .toInt(),
+  body('phoneNumber')
+    .optional()
+    .isString()
+    .withMessage('phoneNumber must be a string'),
+  body('recurringPlanId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('recurringPlanId must be a valid UUID')
+];
+
+router.post('/', auth, [
+  body('amount')
+    .exists()
+    .withMessage('amount is required'),
+  body('dayOfMonth')
+    .exists()
+    .withMessage('dayOfMonth is required'),
+  ...depositFieldValidation
+], handleValidationErrors, createDeposit);
+
+router.get('/', auth, [
+  query('status')
+    .optional()
+    .isIn(['active', 'paused', 'cancelled'])
+    .withMessage('status must be active, paused, or cancelled')
+], handleValidationErrors, getDeposits);
+
+router.get('/:depositId', auth, depositIdValidation, handleValidationErrors, getDeposit);
+router.patch('/:depositId', auth, [...depositIdValidation, ...depositFieldValidation], handleValidationErrors, updateDeposit);
+router.post('/:depositId/pause', auth, depositIdValidation, handleValidationErrors, pauseDeposit);
+router.post('/:depositId/resume', auth, depositIdValidation, handleValidationErrors, resumeDeposit);
+router.delete('/:depositId', auth, depositIdValidation, handleValidationErrors, cancelDeposit);
+router.get('/:depositId/attempts', auth, depositIdValidation, handleValidationErrors, getAttempts);
+
+module.exports = router;
@@ -22,7 +22,8 @@ const {
   getWalletInsights,
   bulkConvertCurrency
 } = require('../controllers/enhancedWalletController');
-const { auth } = require('../middleware/auth');
+const { auth, authorize } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { depositValidation, paginationValidation, withdrawalValidation } = require('../middleware/validation');
 
 const router = express.Router();
@@ -72,8 +73,8 @@ router.get('/transactions', auth, paginationValidation, getTransactions);
 router.get('/deposit/status/:reference', auth, checkDepositStatus);
 
 // Withdrawal endpoints (rate limited)
-router.post('/withdraw', auth, withdrawalLimiter, largeWithdrawalLimiter, withdrawalValidation, initiateWithdrawal);
-router.post('/withdraw/process/:reference', auth, processWithdrawal); // Admin endpoint
+router.post('/withdraw', auth, withdrawalLimiter, largeWithdrawalLimiter, withdrawalValidation, idempotency('wallet_withdraw', { holdUnknown: true }), initiateWithdrawal);
+router.post('/withdraw/process/:reference', auth, authorize('admin', 'finance'), processWithdrawal); // Admin/finance endpoint
 router.get('/withdraw/status/:reference', auth, getWithdrawalStatus);
 
 // Currency conversion
@@ -15,6 +15,15 @@ const websocketService = require('./services/websocketService');
 const redisService = require('./config/redis');
 const realtimeNotificationService = require('./services/realtimeNotificationService');
 const batchNotificationProcessor = require('./services/batchNotificationProcessor');
+const priceAlertJob = require('./jobs/priceAlertJob');
+const restingOrderJob = require('./jobs/restingOrderJob');
+const reconciliationJob = require('./jobs/reconciliationJob');
+const pendingPaymentJob = require('./jobs/pendingPaymentJob');
+const msSagaJob = require('./jobs/msSagaJob');
+const recurringInvestmentJob = require('./jobs/recurringInvestmentJob');
+const standingDepositJob = require('./jobs/standingDepositJob');
+const portfolioSnapshotJob = require('./jobs/portfolioSnapshotJob');
+const accountStatementJob = require('./jobs/accountStatementJob');
 
 // Core onboarding and authentication routes
 const authRoutes = require('./routes/auth');
@@ -41,6 +50,10 @@ const productionCallbackRoutes = require('./routes/productionCallback');
 const waitlistRoutes = require('./routes/waitlist');
 const referralRoutes = require('./routes/referral');
 const paperTradingRoutes = require('./routes/paperTrading');
+const alertRoutes = require('./routes/alerts');
+const recurringInvestmentRoutes = require('./routes/recurringInvestments');
+const standingDepositRoutes = require('./routes/standingDeposits');
+const beneficiaryRoutes = require('./routes/beneficiaries');
 
 // MyStocks Africa routes (wallet, bonds/funds, webhooks)
 const msWalletRoutes = require('./routes/mystocks/msWallet');
@@ -126,7 +139,8 @@ app.use(cors());
 app.use(compression());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 app.use(limiter);
-app.use(express.json({ limit: '50mb' }));
+// Keep the raw body: webhook signatures are computed over the exact bytes the provider sent
+app.use(express.json({ limit: '50mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(requestDurationMiddleware);
 
@@ -152,11 +166,15 @@ app.use('/api/v1/referral', referralRoutes);
 app.use('/api/v1/biometric', biometricRoutes);
 app.use('/api/v1/wallet', walletRoutes);
 app.use('/api/v1/funding', fundingRoutes);
+app.use('/api/v1/standing-deposits', standingDepositRoutes);
+app.use('/api/v1/beneficiaries', beneficiaryRoutes);
 app.use('/api/v1/kcb', kcbRoutes);
 app.use('/api/v1/orders', orderRoutes);
 app.use('/api/v1/stocks', stockRoutes);
 app.use('/api/v1/portfolio', portfolioRoutes);
 app.use('/api/v1/paper-trading', paperTradingRoutes);
+app.use('/api/v1/alerts', alertRoutes);
+app.use('/api/v1/recurring-investments', recurringInvestmentRoutes);
 app.use('/api/v1/assets', assetRoutes);
 app.use('/api/v1/account', accountRoutes);
 app.use('/api/v1/updates', updatesRoutes);
@@ -232,6 +250,55 @@ try {
   logger.error('Failed to initialize notification services:', error);
 }
 
+// Background jobs (not started under test so Jest can exit cleanly)
+if (process.env.NODE_ENV !== 'test') {
+  try {
+    priceAlertJob.start();
+  } catch (error) {
+    logger.error('Failed to start price alert job:', error);
+  }
+  try {
+    restingOrderJob.start();
+  } catch (error) {
+    logger.error('Failed to start resting order job:', error);
+  }
+  try {
+    reconciliationJob.start();
+  } catch (error) {
+    logger.error('Failed to start reconciliation job:', error);
+  }
+  try {
+    pendingPaymentJob.start();
+  } catch (error) {
+    logger.error('Failed to start pending payment job:', error);
+  }
+  try {
+    msSagaJob.start();
+  } catch (error) {
+    logger.error('Failed to start MyStocks saga job:', error);
+  }
+  try {
+    recurringInvestmentJob.start();
+  } catch (error) {
+    logger.error('Failed to start recurring investment job:', error);
+  }
+  try {
+    standingDepositJob.start();
+  } catch (error) {
+    logger.error('Failed to start standing deposit job:', error);
+  }
+  try {
+    portfolioSnapshotJob.start();
+  } catch (error) {
+    logger.error('Failed to start portfolio snapshot job:', error);
+  }
+  try {
+    accountStatementJob.start();
+  } catch (error) {
+    logger.error('Failed to start account statement job:', error);
+  }
+}
+
 server.listen(PORT, () => {
   logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
   logger.info('Services status:');
@@ -241,6 +308,15 @@ server.listen(PORT, () => {
   logger.info('- WebSocket (Native): Active at /ws/payment/:messageId');
   logger.info('- Notification System: Active');
   logger.info('- Batch Processor: Running');
+  logger.info(`- Price Alerts: ${priceAlertJob.isRunning ? 'Running' : 'Stopped'}`);
+  logger.info(`- Resting Orders: ${restingOrderJob.isRunning ? 'Running' : 'Stopped'}`);
+  logger.info(`- Reconciliation: ${reconciliationJob.isRunning ? 'Running' : 'Stopped'}`);
+  logger.info(`- Pending Payment Poller: ${pendingPaymentJob.isRunning ? 'Running' : 'Stopped'}`);
+  logger.info(`- MyStocks BUY Sagas: ${msSagaJob.isRunning ? 'Running' : 'Stopped'}`);
+  logger.info(`- Recurring Investments: ${recurringInvestmentJob.isRunning ? 'Running' : 'Stopped'}`);
+  logger.info(`- Standing Deposits: ${standingDepositJob.isRunning ? 'Running' : 'Stopped'}`);
+  logger.info(`- Portfolio Snapshots: ${portfolioSnapshotJob.isRunning ? 'Running' : 'Stopped'}`);
+  logger.info(`- Account Statements: ${accountStatementJob.isRunning ? 'Running' : 'Stopped'}`);
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,475 @@
+const { Op } = require('sequelize');
+const { AccountStatement, User, Wallet, Transaction, PlatformRevenue, PortfolioSnapshot, LedgerAccount } = require('../models');
+const ledgerService = require('./ledgerService');
+const taxLotService = require('./taxLotService');
+const emailService = require('./emailService');
+const { matchLots } = require('../utils/taxLots');
+const { renderTextPdf } = require('../utils/pdfDocument');
+const { toCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const CURRENCIES = ['KES', 'USD'];
+const BALANCE_COLUMNS = { KES: 'kes_balance', USD: 'usd_balance' };
+const MAX_RANGE_DAYS = 366;
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statement section each transaction type is totalled under
+const CATEGORIES = {
+  deposit: 'deposits',
+  withdrawal: 'withdrawals',
+  forex_conversion: 'conversions',
+  trade_buy: 'trades',
+  trade_sell: 'trades',
+  fee: 'fees',
+  dividend: 'dividends'
+};
+const CATEGORY_NAMES = Object.values(CATEGORIES).filter((name, i, all) => all.indexOf(name) === i);
+// Types that take money out of the wallet; forex conversions are already stored signed
+const OUTFLOW_TYPES = ['withdrawal', 'trade_buy', 'fee'];
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+const parseDay = (value, name) => {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || Number.isNaN(date.getTime()) || toDateString(date) !== value) {
+    throw badRequest(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return date;
+};
+
+const signedAmount = (tx) => {
+  const amount = parseFloat(tx.amount || 0);
+  if (tx.type === 'forex_conversion') return amount;
+  return OUTFLOW_TYPES.includes(tx.type) ? -Math.abs(amount) : Math.abs(amount);
+};
+
+const money = (value) => (value === null || value === undefined ? '' : Number(value).toFixed(2));
+const pad = (value, width) => String(value ?? '').slice(0, width).padEnd(width);
+const padLeft = (value, width) => String(value ?? '').slice(0, width).padStart(width);
+
+/**
+ * Bank-style account statements: opening and closing wallet balances, the period's wallet
+ * activity, trades, fees and the holdings at period end. Each statement is stored with its PDF
+ * and CSV for re-download, one per user and period.
+ */
+class AccountStatementService {
+  /**
+   * The period a request covers: a calendar month ('YYYY-MM') or an inclusive from/to range of
+   * up to a year. `end` is the exclusive end as a timestamp.
+   */
+  resolvePeriod({ month, from, to } = {}, now = new Date()) {
+    const today = toDateString(now);
+    let start;
+    let end;
+    let kind;
+
+    if (month) {
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) throw badRequest('month must be YYYY-MM');
+      start = new Date(`${month}-01T00:00:00.000Z`);
+      end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+      kind = 'monthly';
+    } else {
+      if (!from || !to) throw badRequest('Either month or both from and to are required');
+      start = parseDay(from, 'from');
+      end = new Date(parseDay(to, 'to').getTime() + DAY_MS);
+      if (start >= end) throw badRequest('from must not be after to');
+      if ((end - start) / DAY_MS > MAX_RANGE_DAYS) throw badRequest(`A statement can cover at most ${MAX_RANGE_DAYS} days`);
+      if (to > today) throw badRequest('to cannot be in the future');
+      kind = 'custom';
+    }
+
+    const periodStart = toDateString(start);
+    if (periodStart > today) throw badRequest('A statement cannot start in the future');
+    return { periodStart, periodEnd: toDateString(end.getTime() - DAY_MS), start, end, kind };
+  }
+
+  /**
+   * Opening and closing balance per wallet currency. Currencies with a ledger account are read
+   * from the postings; a wallet that never posted is worked back from its cached balance
+   * through the completed transactions since the period started.
+   */
+  async getBalances(wallet, period, transactionsSince) {
+    const balances = {};
+    if (!wallet) {
+      for (const currency of CURRENCIES) balances[currency] = { opening: 0, closing: 0, source: 'none' };
+      return balances;
+    }
+
+    const accounts = await LedgerAccount.findAll({
+      where: { code: CURRENCIES.map(currency => `wallet:${wallet.id}:${currency}`) },
+      attributes: ['code']
+    });
+    const opened = new Set(accounts.map(account => account.code));
+
+    for (const currency of CURRENCIES) {
+      if (opened.has(`wallet:${wallet.id}:${currency}`)) {
+        const { opening, closing } = await ledgerService.getWalletPeriodBalances(wallet.id, currency, period);
+        balances[currency] = { opening, closing, source: 'ledger' };
+        continue;
+      }
+      const sumSigned = (list) => list
+        .filter(tx => tx.currency === currency)
+        .reduce((sum, tx) => sum + signedAmount(tx), 0);
+      const after = transactionsSince.filter(tx => new Date(tx.created_at) >= period.end);
+      const during = transactionsSince.filter(tx => new Date(tx.created_at) < period.end);
+      const closing = parseFloat(wallet[BALANCE_COLUMNS[currency]] || 0) - sumSigned(after);
+      balances[currency] = { opening: round2(closing - sumSigned(during)), closing: round2(closing), source: 'transactions' };
+    }
+    return balances;
+  }
+
+  /**
+   * Holdings at period end: the last portfolio snapshot in the period at market value, or when
+   * there is none, the open tax lots at cost.
+   */
+  async getHoldings(user, period, fills) {
+    const snapshot = await PortfolioSnapshot.findOne({
+      where: { user_id: user.id, snapshot_date: { [Op.between]: [period.periodStart, period.periodEnd] } },
+      order: [['snapshot_date', 'DESC']]
+    });
+
+    if (snapshot && snapshot.provider !== 'demo') {
+      const positions = (snapshot.holdings || []).map(h => ({
+        symbol: h.symbol,
+        exchange: h.exchange,
+        quantity: round4(parseFloat(h.quantity || 0)),
+        priceUsd: round4(parseFloat(h.price || 0)),
+        valueUsd: round2(parseFloat(h.marketValue || 0))
+      }));
+      return {
+        valuedAt: snapshot.snapshot_date,
+        valuation: 'market',
+        positions,
+        totalUsd: round2(parseFloat(snapshot.holdings_value_usd || 0))
+      };
+    }
+
+    const { positions: lotPositions } = matchLots(fills.filter(fill => new Date(fill.date) < period.end), 'fifo');
+    const positions = lotPositions
+      .filter(p => p.lots.length > 0)
+      .map(p => {
+        const quantity = p.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+        const costUsd = p.lots.reduce((sum, lot) => sum + lot.costUsd, 0);
+        return {
+          symbol: p.symbol,
+          exchange: p.exchange,
+          quantity: round4(quantity),
+          priceUsd: round4(costUsd / quantity),
+          valueUsd: round2(costUsd)
+        };
+      });
+    return {
+      valuedAt: period.periodEnd,
+      valuation: 'cost',
+      positions,
+      totalUsd: round2(positions.reduce((sum, p) => sum + p.valueUsd, 0))
+    };
+  }
+
+  /**
+   * Everything that goes on the statement, as stored in AccountStatement.summary.
+   */
+  async buildStatement(user, period) {
+    const wallet = await Wallet.findOne({ where: { user_id: user.id } });
+    const [transactionsSince, revenue, fills] = await Promise.all([
+      wallet
+        ? Transaction.findAll({
+          // Rows tracking MyStocks sub-account activity never moved the wallet's balance
+          where: { wallet_id: wallet.id, status: 'completed', tracking_only: false, created_at: { [Op.gte]: period.start } },
+          order: [['created_at', 'ASC']]
+        })
+        : [],
+      PlatformRevenue.findAll({
+        where: { user_id: user.id, created_at: { [Op.gte]: period.start, [Op.lt]: period.end } },
+        order: [['created_at', 'ASC']]
+      }),
+      taxLotService.getLiveFills(user.id)
+    ]);
+
+    const during = transactionsSince.filter(tx => new Date(tx.created_at) < period.end);
+    const [balances, holdings] = await Promise.all([
+      this.getBalances(wallet, period, transactionsSince),
+      this.getHoldings(user, period, fills)
+    ]);
+
+    const totals = {};
+    for (const currency of CURRENCIES) {
+      totals[currency] = Object.fromEntries(CATEGORY_NAMES.map(name => [name, 0]));
+    }
+    const activity = during.map(tx => {
+      const amount = round2(signedAmount(tx));
+      const category = CATEGORIES[tx.type];
+      totals[tx.currency][category] = round2(totals[tx.currency][category] + amount);
+      return {
+        date: tx.created_at,
+        type: tx.type,
+        category,
+        currency: tx.currency,
+        amount,
+        reference: tx.reference,
+        description: tx.description
+      };
+    });
+
+    const trades = fills
+      .filter(fill => new Date(fill.date) >= period.start && new Date(fill.date) < period.end)
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map(fill => ({
+        date: fill.date,
+        provider: fill.provider,
+        symbol: fill.symbol,
+        exchange: fill.exchange,
+        side: fill.side,
+        quantity: round4(fill.quantity),
+        priceUsd: round4(fill.priceUsd),
+        amountUsd: round2(fill.quantity * fill.priceUsd),
+        feeUsd: round2(fill.feeUsd || 0)
+      }));
+
+    const charges = revenue.map(row => ({
+      date: row.created_at,
+      type: row.type,
+      currency: row.currency,
+      amountUsd: round4(parseFloat(row.amount_usd || 0)),
+      amountKes: round2(parseFloat(row.amount_kes || 0)),
+      reference: row.reference
+    }));
+
+    return {
+      periodStart: period.periodStart,
+      periodEnd: period.periodEnd,
+      kind: period.kind,
+      generatedAt: new Date(),
+      accountHolder: { name: [user.first_name, user.last_name].filter(Boolean).join(' '), email: user.email },
+      balances,
+      totals,
+      activity,
+      trades,
+      fees: {
+        charges,
+        totalUsd: round4(charges.reduce((sum, c) => sum + c.amountUsd, 0)),
+        totalKes: round2(charges.reduce((sum, c) => sum + c.amountKes, 0))
+      },
+      holdings
+    };
+  }
+
+  isEmpty(summary) {
+    return CURRENCIES.every(c => !summary.balances[c].opening && !summary.balances[c].closing) &&
+      summary.activity.length === 0 && summary.trades.length === 0 &&
+      summary.fees.charges.length === 0 && summary.holdings.positions.length === 0;
+  }
+
+  toCsv(summary) {
+    const rows = [['section', 'date', 'type', 'symbol', 'description', 'currency', 'amount', 'quantity', 'price_usd', 'reference']];
+    for (const currency of CURRENCIES) {
+      rows.push(['balance', summary.periodStart, 'opening', '', '', currency, summary.balances[currency].opening, '', '', '']);
+    }
+    for (const tx of summary.activity) {
+      rows.push(['activity', tx.date, tx.type, '', tx.description, tx.currency, tx.amount, '', '', tx.reference]);
+    }
+    for (const trade of summary.trades) {
+      const amount = trade.side === 'buy' ? -trade.amountUsd : trade.amountUsd;
+      rows.push(['trade', trade.date, trade.side, trade.symbol, `${trade.provider} ${trade.exchange}`, 'USD', amount, trade.quantity, trade.priceUsd, '']);
+    }
+    for (const charge of summary.fees.charges) {
+      const amount = charge.currency === 'KES' ? charge.amountKes : charge.amountUsd;
+      rows.push(['fee', charge.date, charge.type, '', '', charge.currency, amount, '', '', charge.reference]);
+    }
+    for (const position of summary.holdings.positions) {
+      rows.push(['holding', summary.holdings.valuedAt, summary.holdings.valuation, position.symbol, position.exchange, 'USD', position.valueUsd, position.quantity, position.priceUsd, '']);
+    }
+    for (const currency of CURRENCIES) {
+      rows.push(['balance', summary.periodEnd, 'closing', '', '', currency, summary.balances[currency].closing, '', '', '']);
+    }
+    return toCsv(rows);
+  }
+
+  toPdf(summary) {
+    const day = (value) => toDateString(value);
+    const lines = [
+      { text: `${process.env.APP_NAME || 'Riven Trading'} - Account Statement`, bold: true },
+      '',
+      `Account holder: ${summary.accountHolder.name}`,
+      `Email:          ${summary.accountHolder.email}`,
+      `Period:         ${summary.periodStart} to ${summary.periodEnd}`,
+      `Generated:      ${new Date(summary.generatedAt).toISOString()}`,
+      '',
+      { text: 'BALANCES', bold: true },
+      `${pad('Currency', 10)}${padLeft('Opening', 18)}${padLeft('Closing', 18)}`
+    ];
+    for (const currency of CURRENCIES) {
+      const { opening, closing } = summary.balances[currency];
+      lines.push(`${pad(currency, 10)}${padLeft(money(opening), 18)}${padLeft(money(closing), 18)}`);
+    }
+
+    lines.push('', { text: 'SUMMARY', bold: true }, `${pad('', 14)}${CURRENCIES.map(c => padLeft(c, 18)).join('')}`);
+    for (const name of CATEGORY_NAMES) {
+      lines.push(`${pad(name[0].toUpperCase() + name.slice(1), 14)}${CURRENCIES.map(c => padLeft(money(summary.totals[c][name]), 18)).join('')}`);
+    }
+
+    lines.push('', { text: 'ACTIVITY', bold: true });
+    if (summary.activity.length === 0) lines.push('No wallet activity in this period.');
+    else lines.push(`${pad('Date', 12)}${pad('Type', 18)}${pad('Ccy', 5)}${padLeft('Amount', 16)}  Reference`);
+    for (const tx of summary.activity) {
+      lines.push(`${pad(day(tx.date), 12)}${pad(tx.type, 18)}${pad(tx.currency, 5)}${padLeft(money(tx.amount), 16)}  ${tx.reference || ''}`);
+    }
+
+    lines.push('', { text: 'TRADES (USD)', bold: true });
+    if (summary.trades.length === 0) lines.push('No trades in this period.');
+    else lines.push(`${pad('Date', 12)}${pad('Provider', 10)}${pad('Symbol', 10)}${pad('Side', 6)}${padLeft('Quantity', 14)}${padLeft('Price', 14)}${padLeft('Amount', 14)}${padLeft('Fee', 10)}`);
+    for (const t of summary.trades) {
+      lines.push(`${pad(day(t.date), 12)}${pad(t.provider, 10)}${pad(t.symbol, 10)}${pad(t.side, 6)}${padLeft(t.quantity, 14)}${padLeft(t.priceUsd, 14)}${padLeft(money(t.amountUsd), 14)}${padLeft(money(t.feeUsd), 10)}`);
+    }
+
+    lines.push('', { text: 'FEES CHARGED', bold: true });
+    if (summary.fees.charges.length === 0) lines.push('No fees in this period.');
+    else lines.push(`${pad('Date', 12)}${pad('Type', 18)}${padLeft('USD', 14)}${padLeft('KES', 14)}  Reference`);
+    for (const c of summary.fees.charges) {
+      lines.push(`${pad(day(c.date), 12)}${pad(c.type, 18)}${padLeft(c.amountUsd, 14)}${padLeft(money(c.amountKes), 14)}  ${c.reference || ''}`);
+    }
+    if (summary.fees.charges.length) lines.push(`${pad('Total', 30)}${padLeft(summary.fees.totalUsd, 14)}${padLeft(money(summary.fees.totalKes), 14)}`);
+
+    const { holdings } = summary;
+    lines.push('', { text: `HOLDINGS AT ${holdings.valuedAt} (${holdings.valuation === 'market' ? 'market value' : 'at cost'}, USD)`, bold: true });
+    if (holdings.positions.length === 0) lines.push('No holdings.');
+    else lines.push(`${pad('Symbol', 10)}${pad('Exchange', 10)}${padLeft('Quantity', 14)}${padLeft('Price', 14)}${padLeft('Value', 16)}`);
+    for (const p of holdings.positions) {
+      lines.push(`${pad(p.symbol, 10)}${pad(p.exchange, 10)}${padLeft(p.quantity, 14)}${padLeft(p.priceUsd, 14)}${padLeft(money(p.valueUsd), 16)}`);
+    }
+    if (holdings.positions.length) lines.push(`${pad('Total', 48)}${padLeft(money(holdings.totalUsd), 16)}`);
+
+    return renderTextPdf(lines, { footer: `Account statement ${summary.periodStart} to ${summary.periodEnd}` });
+  }
+
+  /**
+   * Build (or reuse) and store the statement for a user and period. A stored statement is reused
+   * once it was generated after its period ended; otherwise it's rebuilt in place. With
+   * `skipEmpty`, nothing is stored for a period with no balances or activity and null is returned.
+   */
+  async saveStatement(user, period, { skipEmpty = false } = {}) {
+    const existing = await AccountStatement.findOne({
+      where: { user_id: user.id, period_start: period.periodStart, period_end: period.periodEnd }
+    });
+    if (existing && new Date(existing.generated_at) >= period.end) return existing;
+
+    const summary = await this.buildStatement(user, period);
+    if (skipEmpty && this.isEmpty(summary)) return null;
+
+    const values = {
+      kind: period.kind,
+      summary,
+      pdf: this.toPdf(summary),
+      csv: this.toCsv(summary),
+      generated_at: summary.generatedAt
+    };
+    if (existing) return existing.update(values);
+    return AccountStatement.create({ user_id: user.id, period_start: period.periodStart, period_end: period.periodEnd, ...values });
+  }
+
+  async generate(userId, { month, from, to, email = false } = {}) {
+    const period = this.resolvePeriod({ month, from, to });
+    const user = await User.findByPk(userId);
+    if (!user) throw notFound('User not found');
+
+    const statement = await this.saveStatement(user, period);
+    if (email) await this.emailStatement(user, statement);
+    return statement;
+  }
+
+  async listStatements(userId) {
+    return AccountStatement.findAll({
+      where: { user_id: userId },
+      attributes: { exclude: ['pdf', 'csv'] },
+      order: [['period_start', 'DESC'], ['period_end', 'DESC']]
+    });
+  }
+
+  async getStatement(userId, statementId) {
+    const statement = await AccountStatement.findOne({ where: { id: statementId, user_id: userId } });
+    if (!statement) throw notFound('Statement not found');
+    return statement;
+  }
+
+  attachments(statement) {
+    const name = `statement-${statement.period_start}-to-${statement.period_end}`;
+    return [
+      { filename: `${name}.pdf`, content: Buffer.from(statement.pdf), contentType: 'application/pdf' },
+      { filename: `${name}.csv`, content: statement.csv, contentType: 'text/csv' }
+    ];
+  }
+
+  async emailStatement(user, statement) {
+    const result = await emailService.sendAccountStatementEmail(
+      user,
+      { periodStart: statement.period_start, periodEnd: statement.period_end },
+      this.attachments(statement)
+    );
+    if (!result?.success) {
+      throw Object.assign(new Error('The statement could not be emailed, please try again later'), { status: 502 });
+    }
+    return statement.update({ emailed_at: new Date() });
+  }
+
+  async sendStatement(userId, statementId) {
+    const [user, statement] = await Promise.all([
+      User.findByPk(userId),
+      this.getStatement(userId, statementId)
+    ]);
+    if (!user) throw notFound('User not found');
+    return this.emailStatement(user, statement);
+  }
+
+  /**
+   * Generate and email last month's statement for every active user who had a balance or any
+   * activity in it. Run on the 1st of the month.
+   */
+  async run({ month } = {}) {
+    if (!month) {
+      const now = new Date();
+      month = toDateString(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1))).slice(0, 7);
+    }
+    const period = this.resolvePeriod({ month });
+    const stats = { month, users: 0, generated: 0, skipped: 0, failed: 0 };
+
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const users = await User.findAll({
+        where: { is_active: true },
+        attributes: ['id', 'email', 'first_name', 'last_name'],
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE,
+        offset
+      });
+
+      for (const user of users) {
+        stats.users += 1;
+        try {
+          const statement = await this.saveStatement(user, period, { skipEmpty: true });
+          if (!statement) {
+            stats.skipped += 1;
+            continue;
+          }
+          if (!statement.emailed_at) await this.emailStatement(user, statement);
+          stats.generated += 1;
+        } catch (error) {
+          stats.failed += 1;
+          logger.error(`Account statement for ${month} failed for user ${user.id}:`, error);
+        }
+      }
+
+      if (users.length < BATCH_SIZE) break;
+    }
+
+    logger.info(`Account statements for ${month}: ${stats.generated} sent, ${stats.skipped} skipped, ${stats.failed} failed`);
+    return stats;
+  }
+}
+
+module.exports = new AccountStatementService();
@@ -599,6 +599,12 @@ class AlpacaService {
         client_order_id: orderData.clientOrderId
       };
 
+      // Notional orders send a dollar amount instead of a share count; Alpaca rejects both together
+      if (orderData.notional != null) {
+        delete alpacaOrder.qty;
+        alpacaOrder.notional = orderData.notional;
+      }
+
       if (orderData.orderType === 'limit' || orderData.orderType === 'stop_limit') {
         alpacaOrder.limit_price = orderData.limitPrice;
       }
@@ -607,10 +613,33 @@ class AlpacaService {
         alpacaOrder.stop_price = orderData.stopPrice;
       }
 
+      // Alpaca tracks the high-water mark itself; it takes exactly one of trail_percent / trail_price
+      if (orderData.orderType === 'trailing_stop') {
+        if (orderData.trailPercent != null) {
+          alpacaOrder.trail_percent = orderData.trailPercent;
+        } else {
+          alpacaOrder.trail_price = orderData.trailAmount;
+        }
+      }
+
       if (orderData.extendedHours) {
         alpacaOrder.extended_hours = true;
       }
 
+      // Advanced orders: Alpaca creates the take-profit / stop-loss legs and returns them in `legs`
+      if (orderData.orderClass && orderData.orderClass !== 'simple') {
+        alpacaOrder.order_class = orderData.orderClass;
+        if (orderData.takeProfit) {
+          alpacaOrder.take_profit = { limit_price: orderData.takeProfit.limitPrice };
+        }
+        if (orderData.stopLoss) {
+          alpacaOrder.stop_loss = { stop_price: orderData.stopLoss.stopPrice };
+          if (orderData.stopLoss.limitPrice) {
+            alpacaOrder.stop_loss.limit_price = orderData.stopLoss.limitPrice;
+          }
+        }
+      }
+
       // Use Trading API (paper or live based on ALPACA_TRADING_MODE)
       const response = await axios.post(`${this.tradingUrl}/v2/orders`, alpacaOrder, {
         headers: this.activeTradingHeaders
@@ -659,6 +688,28 @@ class AlpacaService {
     }
   }
 
+  // Alpaca closes the original order as 'replaced' and returns the new order it opened
+  async replaceOrder(orderId, changes) {
+    try {
+      const payload = { client_order_id: changes.clientOrderId };
+      if (changes.quantity != null) payload.qty = changes.quantity;
+      if (changes.limitPrice != null) payload.limit_price = changes.limitPrice;
+      if (changes.stopPrice != null) payload.stop_price = changes.stopPrice;
+      if (changes.timeInForce) payload.time_in_force = changes.timeInForce;
+
+      // Use Trading API (paper or live based on ALPACA_TRADING_MODE)
+      const response = await axios.patch(`${this.tradingUrl}/v2/orders/${orderId}`, payload, {
+        headers: this.activeTradingHeaders
+      });
+
+      logger.info('Order replaced:', { orderId, newOrderId: response.data.id, mode: this.tradingMode });
+      return response.data;
+    } catch (error) {
+      logger.error('Replace order error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to replace order');
+    }
+  }
+
   async getOrders(status = 'all', limit = 50) {
     try {
       // Use Trading API (paper or live based on ALPACA_TRADING_MODE)
@@ -1047,6 +1098,20 @@ class AlpacaService {
     }
   }
 
+  // Activities (dividends, withholding, fees, fills...) of one broker account, a page at a time
+  async getBrokerAccountActivities(accountId, params = {}) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/v1/accounts/activities`, {
+        headers: this.tradingHeaders,
+        params: { ...params, account_id: accountId }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Get broker account activities error:', error.response?.data || error.message);
+      throw new Error('Failed to get account activities');
+    }
+  }
+
   async getAccountConfigurations() {
     try {
       const response = await axios.get(`${this.baseUrl}/v2/account/configurations`, {
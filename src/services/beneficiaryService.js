@@ -0,0 +1,197 @@
+const { Beneficiary, User } = require('../models');
+const kcbService = require('./kcbService');
+const platformConfigService = require('./platformConfigService');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+const MAX_ACTIVE_PER_USER = 20;
+const MAX_NICKNAME_LENGTH = 50;
+const MAX_ACCOUNT_NAME_LENGTH = 100;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const forbidden = (message) => Object.assign(new Error(message), { status: 403 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+// 254712345678 -> 2547****5678, so notifications don't carry the full number
+const maskAccountNumber = (accountNumber) =>
+  accountNumber.length > 8
+    ? `${accountNumber.slice(0, 4)}${'*'.repeat(accountNumber.length - 8)}${accountNumber.slice(-4)}`
+    : accountNumber;
+
+/**
+ * Saved payout destinations for withdrawals. Both withdrawal endpoints accept a beneficiaryId in
+ * place of a phone or account number and call resolveForWithdrawal, which enforces the
+ * cooling-off period: until cooling_off_until, payouts to a new beneficiary are capped at the
+ * withdrawal_beneficiary_cooling_off_limit_* settings. Payouts to a raw number go through
+ * checkRawDestination, which applies the same cap.
+ */
+class BeneficiaryService {
+  normalizeNickname(nickname) {
+    const value = typeof nickname === 'string' ? nickname.trim() : '';
+    if (!value || value.length > MAX_NICKNAME_LENGTH) {
+      throw badRequest(`nickname is required and must be at most ${MAX_NICKNAME_LENGTH} characters`);
+    }
+    return value;
+  }
+
+  // Format checks only, the same as POST /kcb/validate-account
+  normalizeAccountNumber(type, accountNumber) {
+    if (!['mpesa', 'bank'].includes(type)) throw badRequest('type must be mpesa or bank');
+    if (!accountNumber) throw badRequest('accountNumber is required');
+
+    if (type === 'mpesa') {
+      const phone = kcbService.formatPhoneNumber(String(accountNumber));
+      if (!/^254[17]\d{8}$/.test(phone)) {
+        throw badRequest('accountNumber must be a Kenyan M-Pesa number');
+      }
+      return phone;
+    }
+
+    const account = String(accountNumber).trim();
+    if (!kcbService.validateAccountNumber(account)) {
+      throw badRequest('accountNumber must be a KCB account number (10 to 13 digits)');
+    }
+    return account;
+  }
+
+  async createBeneficiary(userId, { type, nickname, accountNumber, accountName }, now = new Date()) {
+    const user = await User.findByPk(userId);
+    if (!user) throw notFound('User not found');
+
+    const normalizedNickname = this.normalizeNickname(nickname);
+    const normalizedAccount = this.normalizeAccountNumber(type, accountNumber);
+    const name = (accountName ? String(accountName).trim() : `${user.first_name || ''} ${user.last_name || ''}`.trim()) || user.email;
+    if (name.length > MAX_ACCOUNT_NAME_LENGTH) {
+      throw badRequest(`accountName must be at most ${MAX_ACCOUNT_NAME_LENGTH} characters`);
+    }
+
+    const existing = await Beneficiary.findOne({
+      where: { user_id: userId, type, account_number: normalizedAccount, status: 'active' }
+    });
+    if (existing) throw conflict(`This ${type === 'mpesa' ? 'number' : 'account'} is already saved as "${existing.nickname}"`);
+
+    const activeCount = await Beneficiary.count({ where: { user_id: userId, status: 'active' } });
+    if (activeCount >= MAX_ACTIVE_PER_USER) {
+      throw badRequest(`You can save at most ${MAX_ACTIVE_PER_USER} beneficiaries`);
+    }
+
+    const coolingOffHours = await platformConfigService.getSetting('withdrawal_beneficiary_cooling_off_hours');
+    const beneficiary = await Beneficiary.create({
+      user_id: userId,
+      type,
+      nickname: normalizedNickname,
+      account_number: normalizedAccount,
+      account_name: name,
+      cooling_off_until: coolingOffHours > 0 ? new Date(now.getTime() + coolingOffHours * 60 * 60 * 1000) : null
+    });
+
+    try {
+      await notificationService.sendBeneficiaryAdded(userId, {
+        beneficiaryId: beneficiary.id,
+        nickname: beneficiary.nickname,
+        destination: maskAccountNumber(beneficiary.account_number),
+        coolingOffUntil: beneficiary.cooling_off_until
+      });
+    } catch (error) {
+      logger.error(`Failed to notify user ${userId} about beneficiary ${beneficiary.id}:`, error);
+    }
+
+    logger.info(`Beneficiary ${beneficiary.id} (${type}) added for user ${userId}`);
+    return beneficiary;
+  }
+
+  async getUserBeneficiaries(userId, { type } = {}) {
+    const where = { user_id: userId, status: 'active' };
+    if (type) where.type = type;
+    return Beneficiary.findAll({ where, order: [['nickname', 'ASC']] });
+  }
+
+  async getUserBeneficiary(userId, beneficiaryId) {
+    const beneficiary = await Beneficiary.findOne({
+      where: { id: beneficiaryId, user_id: userId, status: 'active' }
+    });
+    if (!beneficiary) throw notFound('Beneficiary not found');
+    return beneficiary;
+  }
+
+  // Only the nickname can change; a different number or account is a new beneficiary
+  async renameBeneficiary(userId, beneficiaryId, nickname) {
+    const beneficiary = await this.getUserBeneficiary(userId, beneficiaryId);
+    await beneficiary.update({ nickname: this.normalizeNickname(nickname) });
+    return beneficiary;
+  }
+
+  async removeBeneficiary(userId, beneficiaryId) {
+    const beneficiary = await this.getUserBeneficiary(userId, beneficiaryId);
+    await beneficiary.update({ status: 'removed' });
+    logger.info(`Beneficiary ${beneficiary.id} removed by user ${userId}`);
+    return beneficiary;
+  }
+
+  /**
+   * Look up the beneficiary a withdrawal names and check it may receive this amount. Throws
+   * 404 for an unknown or removed beneficiary and 403 for an amount over the cooling-off cap.
+   */
+  async resolveForWithdrawal(userId, beneficiaryId, { amount, currency }, now = new Date()) {
+    const beneficiary = await this.getUserBeneficiary(userId, beneficiaryId);
+    await this.assertWithinCoolingOff(beneficiary, { amount, currency }, now);
+    return beneficiary;
+  }
+
+  /**
+   * The same check for a withdrawal sent to a raw phone or KCB account number, so the cooling-off
+   * period can't be sidestepped by leaving out beneficiaryId. A destination saved as a beneficiary
+   * gets that beneficiary's limit; an unsaved one is capped as if it had just been added. The
+   * user's own verified phone number is exempt.
+   *
+   * @returns {Promise<Beneficiary|null>} the matching beneficiary, if the destination is saved
+   */
+  async checkRawDestination(userId, { type, accountNumber }, { amount, currency }, now = new Date()) {
+    const destination = type === 'mpesa'
+      ? kcbService.formatPhoneNumber(String(accountNumber))
+      : String(accountNumber).trim();
+
+    if (type === 'mpesa') {
+      const user = await User.findByPk(userId, { attributes: ['id', 'phone', 'is_phone_verified'] });
+      if (user?.is_phone_verified && user.phone && kcbService.formatPhoneNumber(user.phone) === destination) {
+        return null;
+      }
+    }
+
+    const saved = await Beneficiary.findOne({
+      where: { user_id: userId, type, account_number: destination, status: 'active' }
+    });
+    if (saved) {
+      await this.assertWithinCoolingOff(saved, { amount, currency }, now);
+      return saved;
+    }
+
+    const limit = await this.coolingOffLimit(currency);
+    if (parseFloat(amount) > limit) {
+      throw forbidden(
+        `You can send at most ${currency} ${limit} to a ${type === 'mpesa' ? 'number' : 'account'} that isn't saved. ` +
+        'Save it as a beneficiary to send more once its cooling-off period ends'
+      );
+    }
+    return null;
+  }
+
+  async assertWithinCoolingOff(beneficiary, { amount, currency }, now = new Date()) {
+    if (!beneficiary.isCoolingOff(now)) return;
+
+    const limit = await this.coolingOffLimit(currency);
+    if (parseFloat(amount) > limit) {
+      throw forbidden(
+        `"${beneficiary.nickname}" was added recently. Until ${new Date(beneficiary.cooling_off_until).toISOString()} ` +
+        `you can send at most ${currency} ${limit} to it`
+      );
+    }
+  }
+
+  coolingOffLimit(currency) {
+    return platformConfigService.getSetting(`withdrawal_beneficiary_cooling_off_limit_${currency.toLowerCase()}`);
+  }
+}
+
+module.exports = new BeneficiaryService();
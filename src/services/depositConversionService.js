@@ -0,0 +1,75 @@
+const { Transaction } = require('../models');
+const exchangeService = require('./exchangeService');
+const ledgerService = require('./ledgerService');
+
+/**
+ * Auto-conversion of a settled KES deposit to USD, for users with auto_convert_deposits on.
+ * Shared by the wallet deposit endpoints and standing deposits, so every conversion posts the
+ * same ledger entry and the same AUTOCONV_/AUTOCRED_ pair of wallet transactions, keyed on the
+ * deposit's reference.
+ */
+class DepositConversionService {
+  /**
+   * Convert kesAmount of the wallet's KES balance to USD, inside the caller's db transaction
+   * when there is one. label finishes the description ("on <label>").
+   *
+   * @returns {Promise<{ kesAmount, usdAmount, rate, fees }>}
+   */
+  async convertToUsd(wallet, { kesAmount, depositReference, label = 'deposit' }, { transaction } = {}) {
+    const conversion = await exchangeService.convertCurrency(kesAmount, 'KES', 'USD');
+    const forexFees = exchangeService.calculateForexFees(conversion.convertedAmount);
+    const finalUSDAmount = conversion.convertedAmount - forexFees;
+    const reference = `AUTOCONV_${depositReference}`;
+    const description = `Auto-convert ${kesAmount} KES to USD on ${label}`;
+    const metadata = {
+      originalAmount: kesAmount,
+      convertedAmount: conversion.convertedAmount,
+      forexFees,
+      finalAmount: finalUSDAmount,
+      rate: conversion.rate,
+      autoConversion: true,
+      relatedDeposit: depositReference
+    };
+
+    // Update balances: remove KES, add USD
+    await ledgerService.recordConversion(wallet, {
+      fromCurrency: 'KES',
+      fromAmount: kesAmount,
+      toCurrency: 'USD',
+      convertedAmount: conversion.convertedAmount,
+      fee: forexFees,
+      reference,
+      description
+    }, { transaction });
+
+    await Transaction.create({
+      wallet_id: wallet.id,
+      type: 'forex_conversion',
+      amount: -kesAmount,
+      currency: 'KES',
+      reference,
+      exchange_rate: conversion.rate,
+      fees: { forex: forexFees },
+      description,
+      status: 'completed',
+      metadata
+    }, { transaction });
+
+    await Transaction.create({
+      wallet_id: wallet.id,
+      type: 'forex_conversion',
+      amount: finalUSDAmount,
+      currency: 'USD',
+      reference: `AUTOCRED_${depositReference}`,
+      exchange_rate: conversion.rate,
+      fees: { forex: forexFees },
+      description: `Receive ${finalUSDAmount} USD from auto-conversion`,
+      status: 'completed',
+      metadata
+    }, { transaction });
+
+    return { kesAmount, usdAmount: finalUSDAmount, rate: conversion.rate, fees: forexFees };
+  }
+}
+
+module.exports = new DepositConversionService();
@@ -33,7 +33,7 @@ class EmailService {
     }
   }
 
-  async sendEmail({ to, subject, html, text }) {
+  async sendEmail({ to, subject, html, text, attachments }) {
     try {
       if (!process.env.MAIL_USERNAME || !process.env.MAIL_PASSWORD) {
         logger.warn('SMTP credentials not configured. Email not sent.');
@@ -51,6 +51,7 @@ class EmailService {
           'X-Mailer': 'RIVEN Platform'
         }
       };
+      if (attachments?.length) mailOptions.attachments = attachments;
 
       const info = await this.transporter.sendMail(mailOptions);
 
@@ -581,9 +582,10 @@ RIVEN - Invest in the future, today.
             <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0;">
               <p><strong>Symbol:</strong> ${notification.data.symbol}</p>
               <p><strong>Alert Condition:</strong> ${notification.data.condition.replace('_', ' ')}</p>
-              <p><strong>Target Price:</strong> $${notification.data.targetPrice}</p>
-              <p><strong>Current Price:</strong> $${notification.data.currentPrice}</p>
+              ${notification.data.targetPrice != null ? `<p><strong>Target Price:</strong> ${notification.data.currency && notification.data.currency !== 'USD' ? `${notification.data.currency} ` : '$'}${notification.data.targetPrice}</p>` : ''}
+              <p><strong>Current Price:</strong> ${notification.data.currency && notification.data.currency !== 'USD' ? `${notification.data.currency} ` : '$'}${notification.data.currentPrice}</p>
             </div>
+            ${notification.data.message ? `<p>${notification.data.message}</p>` : ''}
             <p>Consider reviewing your trading strategy and taking appropriate action.</p>
           </div>
         `;
@@ -704,6 +706,34 @@ RIVEN - Invest in the future, today.
     });
   }
 
+  /**
+   * Send an account statement with its PDF and CSV attached.
+   *
+   * @param {Object} user
+   * @param {{ periodStart: string, periodEnd: string }} statement
+   * @param {Array<{ filename: string, content: Buffer|string, contentType: string }>} attachments
+   */
+  async sendAccountStatementEmail(user, statement, attachments) {
+    const html = `
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+        <h2 style="color: #2c5aa0;">Your Account Statement</h2>
+
+        <p>Hello ${user.first_name},</p>
+
+        <p>Your Riven account statement for ${statement.periodStart} to ${statement.periodEnd} is attached as a PDF, with a CSV copy of the same figures.</p>
+
+        <p style="color: #666;">You can download it again at any time from the Statements section of the app.</p>
+      </div>
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: `Account Statement ${statement.periodStart} to ${statement.periodEnd}`,
+      html,
+      attachments
+    });
+  }
+
   async sendOnboardingCompleteEmail(user, alpacaAccountCreated = false) {
     const html = `
       <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
@@ -0,0 +1,352 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize, Wallet, LedgerAccount, JournalEntry, LedgerPosting } = require('../models');
+const logger = require('../utils/logger');
+
+const BALANCE_COLUMNS = { KES: 'kes_balance', USD: 'usd_balance' };
+const FROZEN_COLUMNS = { KES: 'frozen_kes', USD: 'frozen_usd' };
+
+// Platform-side accounts, one per currency
+const PLATFORM_ACCOUNTS = {
+  cash: { type: 'asset', name: 'Platform cash (KCB / M-Pesa collections)' },
+  fx: { type: 'asset', name: 'Currency exchange position' },
+  fees: { type: 'revenue', name: 'Platform fee income' },
+  payouts_pending: { type: 'liability', name: 'Payouts sent to the bank, awaiting confirmation' },
+  suspense: { type: 'liability', name: 'Suspense (money received that could not be matched)' },
+  broker_receivable: { type: 'asset', name: 'Commission collected in broker accounts, awaiting transfer' },
+  opening_balances: { type: 'equity', name: 'Wallet balances carried over from before the ledger' }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const ledgerError = (message, status = 500) => Object.assign(new Error(message), { status });
+
+/**
+ * Double-entry ledger behind Wallet balances. Every movement of wallet money posts a balanced
+ * journal entry; the kes_balance / usd_balance columns are a cached view of the postings on
+ * each wallet's accounts, updated in the same database transaction and never below zero. A
+ * debit can't spend frozen funds either, unless the caller froze them for that very movement
+ * and says so with fromFrozen.
+ */
+class LedgerService {
+  walletAccount(wallet, currency) {
+    const cur = currency.toUpperCase();
+    return {
+      code: `wallet:${wallet.id}:${cur}`,
+      name: `Wallet ${wallet.id} (${cur})`,
+      type: 'liability',
+      currency: cur,
+      wallet
+    };
+  }
+
+  platformAccount(name, currency) {
+    const cur = currency.toUpperCase();
+    return { code: `platform:${name}:${cur}`, name: PLATFORM_ACCOUNTS[name].name, type: PLATFORM_ACCOUNTS[name].type, currency: cur };
+  }
+
+  async resolveAccount(descriptor, transaction) {
+    const [account, created] = await LedgerAccount.findOrCreate({
+      where: { code: descriptor.code },
+      defaults: {
+        name: descriptor.name,
+        type: descriptor.type,
+        currency: descriptor.currency,
+        wallet_id: descriptor.wallet?.id || null
+      },
+      transaction
+    });
+
+    // A wallet that held money before the ledger existed opens with its cached balance
+    if (created && descriptor.wallet) {
+      const opening = await this.cachedBalance(descriptor.wallet.id, descriptor.currency, transaction);
+      if (opening !== 0) {
+        await this.writeEntry({
+          type: 'opening_balance',
+          reference: descriptor.code,
+          description: `Opening balance for ${descriptor.name}`,
+          lines: [
+            { account: await this.resolveAccount(this.platformAccount('opening_balances', descriptor.currency), transaction), debit: opening },
+            { account, credit: opening }
+          ]
+        }, transaction);
+      }
+    }
+    return account;
+  }
+
+  async cachedBalance(walletId, currency, transaction) {
+    const wallet = await Wallet.findByPk(walletId, { attributes: ['id', BALANCE_COLUMNS[currency]], transaction });
+    return parseFloat(wallet?.[BALANCE_COLUMNS[currency]] || 0);
+  }
+
+  /**
+   * Post a balanced journal entry.
+   *
+   * @param {Object} entry
+   * @param {string} entry.type - deposit, withdrawal, forex_conversion, ...
+   * @param {string} entry.reference - unique per type
+   * @param {Array<{ account: Object, debit?: number, credit?: number }>} entry.lines -
+   *   accounts from walletAccount() / platformAccount()
+   * @param {Object} [options]
+   * @param {import('sequelize').Transaction} [options.transaction]
+   * @param {number} [options.fromFrozen] - how much of a wallet debit comes out of funds the
+   *   caller froze for this movement (a held payout); the caller still releases the freeze
+   * @returns {Promise<JournalEntry>}
+   */
+  async post(entry, { transaction, fromFrozen = 0 } = {}) {
+    if (!transaction) {
+      return sequelize.transaction(t => this.post(entry, { transaction: t, fromFrozen }));
+    }
+
+    const lines = entry.lines.filter(line => round2(line.debit || 0) !== 0 || round2(line.credit || 0) !== 0);
+    const resolved = [];
+    for (const line of lines) {
+      resolved.push({ ...line, descriptor: line.account, account: await this.resolveAccount(line.account, transaction) });
+    }
+
+    const journal = await this.writeEntry({ ...entry, lines: resolved }, transaction);
+
+    // Keep each wallet's cached balance in step with its postings
+    for (const line of resolved) {
+      if (!line.descriptor.wallet) continue;
+      const delta = round2((line.credit || 0) - (line.debit || 0));
+      await this.applyToWallet(line.descriptor.wallet, line.descriptor.currency, delta, transaction, fromFrozen);
+    }
+
+    logger.info(`Ledger ${entry.type} ${entry.reference} posted (${resolved.length} postings)`);
+    return journal;
+  }
+
+  async writeEntry({ type, reference, description, metadata, lines }, transaction) {
+    const totals = {};
+    for (const line of lines) {
+      const amount = round2((line.debit || 0) - (line.credit || 0));
+      totals[line.account.currency] = round2((totals[line.account.currency] || 0) + amount);
+    }
+    const unbalanced = Object.entries(totals).find(([, total]) => total !== 0);
+    if (unbalanced) {
+      throw ledgerError(`Journal entry ${type} ${reference} is unbalanced: ${unbalanced[0]} off by ${unbalanced[1]}`);
+    }
+
+    const journal = await JournalEntry.create({ type, reference, description, metadata: metadata || {} }, { transaction });
+    await LedgerPosting.bulkCreate(lines.map(line => ({
+      journal_entry_id: journal.id,
+      account_id: line.account.id,
+      currency: line.account.currency,
+      amount: round2((line.debit || 0) - (line.credit || 0))
+    })), { transaction });
+    return journal;
+  }
+
+  async applyToWallet(wallet, currency, delta, transaction, fromFrozen = 0) {
+    if (delta === 0) return;
+    const column = BALANCE_COLUMNS[currency];
+    // A debit leaves what is frozen for other orders and payouts in place
+    const floor = delta < 0 ? `GREATEST(${FROZEN_COLUMNS[currency]} - :fromFrozen, 0)` : '0';
+    const [, affected] = await sequelize.query(
+      `UPDATE wallets SET ${column} = ${column} + :delta, updated_at = NOW() WHERE id = :walletId AND ${column} + :delta >= ${floor}`,
+      { replacements: { delta, walletId: wallet.id, fromFrozen }, type: QueryTypes.UPDATE, transaction }
+    );
+    if (!affected) {
+      throw ledgerError(`Insufficient ${currency} balance`, 400);
+    }
+  }
+
+  // Money received from the user (M-Pesa STK push, KCB bank transfer), less any deposit fee
+  recordDeposit(wallet, { amount, currency = 'KES', fee = 0, reference, description, metadata }, options) {
+    return this.post({
+      type: 'deposit',
+      reference,
+      description,
+      metadata,
+      lines: [
+        { account: this.platformAccount('cash', currency), debit: amount },
+        { account: this.walletAccount(wallet, currency), credit: round2(amount - fee) },
+        { account: this.platformAccount('fees', currency), credit: fee }
+      ]
+    }, options);
+  }
+
+  // Money received for a wallet we couldn't identify: held in suspense until resolved
+  recordUnmatchedDeposit({ amount, currency = 'KES', reference, description, metadata }, options) {
+    return this.post({
+      type: 'unmatched_deposit',
+      reference,
+      description,
+      metadata,
+      lines: [
+        { account: this.platformAccount('cash', currency), debit: amount },
+        { account: this.platformAccount('suspense', currency), credit: amount }
+      ]
+    }, options);
+  }
+
+  // A payout that completed immediately: the wallet pays the amount, the user receives it less fees
+  recordWithdrawal(wallet, { amount, currency = 'KES', fee = 0, reference, description, metadata }, options) {
+    return this.post({
+      type: 'withdrawal',
+      reference,
+      description,
+      metadata,
+      lines: [
+        { account: this.walletAccount(wallet, currency), debit: amount },
+        { account: this.platformAccount('cash', currency), credit: round2(amount - fee) },
+        { account: this.platformAccount('fees', currency), credit: fee }
+      ]
+    }, options);
+  }
+
+  // A payout handed to the bank whose outcome arrives later by callback
+  holdPayout(wallet, { amount, currency = 'KES', reference, description }, options) {
+    return this.post({
+      type: 'payout_hold',
+      reference,
+      description,
+      lines: [
+        { account: this.walletAccount(wallet, currency), debit: amount },
+        { account: this.platformAccount('payouts_pending', currency), credit: amount }
+      ]
+    }, options);
+  }
+
+  settlePayout({ amount, currency = 'KES', reference, description }, options) {
+    return this.post({
+      type: 'payout_settlement',
+      reference,
+      description,
+      lines: [
+        { account: this.platformAccount('payouts_pending', currency), debit: amount },
+        { account: this.platformAccount('cash', currency), credit: amount }
+      ]
+    }, options);
+  }
+
+  reversePayout(wallet, { amount, currency = 'KES', reference, description }, options) {
+    return this.post({
+      type: 'payout_reversal',
+      reference,
+      description,
+      lines: [
+        { account: this.platformAccount('payouts_pending', currency), debit: amount },
+        { account: this.walletAccount(wallet, currency), credit: amount }
+      ]
+    }, options);
+  }
+
+  // Each currency balances against the platform's FX position; the forex fee is taken in the target currency
+  recordConversion(wallet, { fromCurrency, fromAmount, toCurrency, convertedAmount, fee = 0, reference, description, metadata }, options) {
+    return this.post({
+      type: 'forex_conversion',
+      reference,
+      description,
+      metadata,
+      lines: [
+        { account: this.walletAccount(wallet, fromCurrency), debit: fromAmount },
+        { account: this.platformAccount('fx', fromCurrency), credit: fromAmount },
+        { account: this.platformAccount('fx', toCurrency), debit: convertedAmount },
+        { account: this.walletAccount(wallet, toCurrency), credit: round2(convertedAmount - fee) },
+        { account: this.platformAccount('fees', toCurrency), credit: fee }
+      ]
+    }, options);
+  }
+
+  // Wallet money sent to a broker sub-account to pay for a trade
+  recordBrokerFunding(wallet, { amount, currency = 'KES', reference, description, metadata }, options) {
+    return this.post({
+      type: 'broker_funding',
+      reference,
+      description,
+      metadata,
+      lines: [
+        { account: this.walletAccount(wallet, currency), debit: amount },
+        { account: this.platformAccount('cash', currency), credit: amount }
+      ]
+    }, options);
+  }
+
+  // The broker rejected the funding transfer, so the money goes back to the wallet
+  reverseBrokerFunding(wallet, { amount, currency = 'KES', reference, description }, options) {
+    return this.post({
+      type: 'broker_funding_reversal',
+      reference,
+      description,
+      lines: [
+        { account: this.platformAccount('cash', currency), debit: amount },
+        { account: this.walletAccount(wallet, currency), credit: amount }
+      ]
+    }, options);
+  }
+
+  /**
+   * A fill at a broker. The trade itself is paid from, or into, the user's cash at the broker,
+   * which left the ledger when it was funded, so only the platform's commission has postings:
+   * collected in the broker account and owed to the platform until it is transferred. The
+   * entry is still written without a commission, so every fill has its journal entry.
+   */
+  recordBrokerTrade({ provider, side, amount, fee = 0, currency = 'USD', reference, description, metadata }, options) {
+    return this.post({
+      type: 'broker_trade',
+      reference,
+      description,
+      metadata: { ...metadata, provider, side, amount },
+      lines: [
+        { account: this.platformAccount('broker_receivable', currency), debit: fee },
+        { account: this.platformAccount('fees', currency), credit: fee }
+      ]
+    }, options);
+  }
+
+  // Balance of a wallet currency according to its postings (credits less debits)
+  async getWalletBalance(walletId, currency, { transaction } = {}) {
+    const [row] = await sequelize.query(
+      `SELECT COALESCE(SUM(p.amount), 0) AS total
+         FROM ledger_postings p
+         JOIN ledger_accounts a ON a.id = p.account_id
+        WHERE a.code = :code`,
+      { replacements: { code: `wallet:${walletId}:${currency}` }, type: QueryTypes.SELECT, transaction }
+    );
+    return round2(-parseFloat(row?.total || 0));
+  }
+
+  /**
+   * Balance of a wallet currency at the start and end of [start, end). A wallet whose ledger
+   * account was opened inside the period carried its opening balance in from before, so that
+   * entry counts towards the opening figure rather than the period's movements.
+   */
+  async getWalletPeriodBalances(walletId, currency, { start, end }) {
+    const [row] = await sequelize.query(
+      `SELECT COALESCE(SUM(p.amount) FILTER (
+                WHERE p.created_at < :start OR (j.type = 'opening_balance' AND p.created_at < :end)
+              ), 0) AS opening,
+              COALESCE(SUM(p.amount) FILTER (WHERE p.created_at < :end), 0) AS closing
+         FROM ledger_postings p
+         JOIN ledger_accounts a ON a.id = p.account_id
+         JOIN journal_entries j ON j.id = p.journal_entry_id
+        WHERE a.code = :code`,
+      { replacements: { code: `wallet:${walletId}:${currency}`, start, end }, type: QueryTypes.SELECT }
+    );
+    return {
+      opening: round2(-parseFloat(row?.opening || 0)),
+      closing: round2(-parseFloat(row?.closing || 0))
+    };
+  }
+
+  /**
+   * Compare a wallet's cached balances with its postings. Wallets that have never posted
+   * have no ledger history yet, so their cached balance is reported as the opening balance.
+   */
+  async verifyWallet(wallet) {
+    const result = { walletId: wallet.id, balanced: true, currencies: {} };
+    for (const currency of Object.keys(BALANCE_COLUMNS)) {
+      const cached = round2(parseFloat(wallet[BALANCE_COLUMNS[currency]] || 0));
+      const account = await LedgerAccount.findOne({ where: { code: `wallet:${wallet.id}:${currency}` } });
+      const ledger = account ? await this.getWalletBalance(wallet.id, currency) : cached;
+      const difference = round2(cached - ledger);
+      result.currencies[currency] = { cached, ledger, difference, opened: !!account };
+      if (difference !== 0) result.balanced = false;
+    }
+    return result;
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,87 @@
+const kcbService = require('./kcbService');
+const { Wallet, Transaction } = require('../models');
+const logger = require('../utils/logger');
+
+/**
+ * Starts a KCB M-Pesa STK push deposit into a user's wallet and records it as a pending
+ * Transaction, which the KCB callback or the pending payment poller settles. Used by
+ * POST /api/v1/kcb/stkpush and by scheduled standing deposits.
+ */
+class MpesaDepositService {
+  /**
+   * @param {object} user
+   * @param {{ phoneNumber: string, amount: number, transactionDescription?: string, metadata?: object }} params
+   *   metadata is merged into the Transaction's metadata
+   * @returns {Promise<{ success: boolean, error?: string, errorData?: object, result?: object, transaction?: object }>}
+   */
+  async initiate(user, { phoneNumber, amount, transactionDescription, metadata = {} }) {
+    // Get or create wallet
+    let wallet = await Wallet.findOne({
+      where: { user_id: user.id }
+    });
+
+    if (!wallet) {
+      wallet = await Wallet.create({
+        user_id: user.id,
+        kes_balance: 0,
+        usd_balance: 0,
+        frozen_kes: 0,
+        frozen_usd: 0
+      });
+    }
+
+    // Generate unique invoice number
+    const timestamp = Date.now();
+    const invoiceNumber = `RIVEN-${user.id}-${timestamp}`;
+
+    logger.info('Initiating KCB M-Pesa STK Push:', {
+      userId: user.id,
+      phoneNumber,
+      amount,
+      invoiceNumber
+    });
+
+    // Initiate STK Push through KCB Buni
+    const result = await kcbService.initiateSTKPush({
+      phoneNumber,
+      amount,
+      invoiceNumber,
+      transactionDescription: transactionDescription || `Deposit to Riven Trading - ${user.first_name}`,
+      callbackUrl: process.env.KCB_STK_CALLBACK_URL || 'https://api.rivenapp.com/api/v1/callback'
+    });
+
+    if (!result.success) {
+      return { success: false, error: result.error, errorData: result.errorData };
+    }
+
+    // Create pending transaction record
+    const transaction = await Transaction.create({
+      wallet_id: wallet.id,
+      type: 'deposit',
+      amount: amount,
+      currency: 'KES',
+      status: 'pending',
+      reference: result.messageId,
+      checkout_request_id: result.data?.response?.CheckoutRequestID || null,
+      description: transactionDescription || 'KCB M-Pesa wallet deposit',
+      metadata: {
+        ...metadata,
+        paymentMethod: 'kcb_mpesa',
+        phoneNumber: result.phoneNumber,
+        invoiceNumber: result.invoiceNumber,
+        messageId: result.messageId,
+        kcbResponse: result.data
+      }
+    });
+
+    logger.info('KCB STK Push initiated successfully:', {
+      userId: user.id,
+      messageId: result.messageId,
+      invoiceNumber: result.invoiceNumber
+    });
+
+    return { success: true, result, transaction };
+  }
+}
+
+module.exports = new MpesaDepositService();
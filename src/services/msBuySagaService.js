@@ -0,0 +1,297 @@
+const { Op } = require('sequelize');
+const { MsOrderSaga, MsOrder, User, Wallet, JournalEntry } = require('../models');
+const ms = require('./mystocksService');
+const ledgerService = require('./ledgerService');
+const logger = require('../utils/logger');
+
+const sagaError = (message, status = 500) => Object.assign(new Error(message), { status });
+
+// Failed compensations are retried after these delays, then left as stuck for an admin
+const RETRY_DELAYS_MINUTES = [5, 15, 60, 240];
+const MAX_COMPENSATION_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+// A saga still in flight this long died with the process running it
+const STALE_SAGA_MINUTES = 15;
+const IN_FLIGHT_STATUSES = ['started', 'wallet_debited', 'funded'];
+const SETTLED_STATUSES = ['compensated', 'aborted', 'resolved'];
+
+// Only a 4xx (or an error body MyStocks sent back) proves the trade was refused. A timeout or 5xx
+// may have placed it, so refunding then could leave the user with both the shares and the KES.
+const isTradeRejection = (error) => {
+  const status = error.response?.status;
+  return !!error.rejected || (status >= 400 && status < 500);
+};
+
+/**
+ * Funded MyStocks BUYs as sagas: the KES wallet is debited, the sub-account funded and the trade
+ * placed, each step recorded on an `ms_order_sagas` row. When a step fails the completed ones are
+ * undone (USD swept back out of the sub-account, KES credited back to the wallet), and a
+ * compensation that can't finish is retried by the saga job until it succeeds or is left as
+ * stuck for an admin.
+ */
+class MsBuySagaService {
+  /**
+   * Run the saga, calling `placeTrade` once the sub-account is funded. A failed step is
+   * compensated before its error is rethrown with `sagaStep` (wallet, funding or trade) and
+   * `compensated` (whether the money is already back in the wallet) set on it. A trade that
+   * failed without MyStocks rejecting it is not compensated: the saga is left stuck for
+   * reconciliation and the error carries `outcomeUnknown`.
+   *
+   * @returns {Promise<{ saga: MsOrderSaga, data: object }>} data is placeTrade's result
+   */
+  async run({
+    userId, source = 'order', msOrderId = null, wallet, subAccountId, symbol, quantity,
+    totalKes, usdAmount, exchangeRate, fundingReference, description
+  }, placeTrade) {
+    const saga = await MsOrderSaga.create({
+      user_id: userId,
+      ms_order_id: msOrderId,
+      source,
+      symbol,
+      quantity,
+      sub_account_id: subAccountId,
+      funding_reference: fundingReference,
+      total_kes: totalKes,
+      usd_amount: usdAmount,
+      exchange_rate: exchangeRate,
+      steps: []
+    });
+
+    try {
+      await ledgerService.recordBrokerFunding(wallet, {
+        amount: totalKes,
+        reference: fundingReference,
+        description,
+        metadata: { provider: 'mystocks', userId, subAccountId, usdAmount, sagaId: saga.id }
+      });
+    } catch (error) {
+      // Nothing moved, so there is nothing to undo
+      await this.recordStep(saga, 'debit_wallet', 'failed', { status: 'aborted', last_error: error.message }, { error: error.message });
+      throw Object.assign(error, { sagaStep: 'wallet' });
+    }
+    await this.recordStep(saga, 'debit_wallet', 'done', { status: 'wallet_debited', wallet_debited_at: new Date() });
+
+    try {
+      await ms.depositToSubAccount(subAccountId, {
+        amount: usdAmount,
+        currency: 'USD',
+        localAmount: totalKes,
+        localCurrency: 'KES',
+        fxRate: exchangeRate,
+        reference: fundingReference
+      });
+    } catch (error) {
+      await this.recordStep(saga, 'fund_sub_account', 'failed', { last_error: error.message }, { error: error.message });
+      throw await this.fail(saga, error, 'funding');
+    }
+    await this.recordStep(saga, 'fund_sub_account', 'done', { status: 'funded', funded_at: new Date() });
+    logger.info(`Funded MyStocks $${usdAmount} (KES ${totalKes}) for user ${userId}`);
+
+    let data;
+    try {
+      data = await placeTrade();
+    } catch (error) {
+      if (!isTradeRejection(error)) throw await this.holdUnconfirmed(saga, error);
+      await this.recordStep(saga, 'place_trade', 'failed', { last_error: error.message }, { error: error.message });
+      throw await this.fail(saga, error, 'trade');
+    }
+    await this.recordStep(saga, 'place_trade', 'done', { status: 'completed', traded_at: new Date() });
+
+    return { saga, data };
+  }
+
+  async fail(saga, error, step) {
+    logger.error(`MyStocks BUY saga ${saga.id} failed at ${step}: ${error.message}`);
+    await this.compensate(saga, error.message);
+    return Object.assign(error, { sagaStep: step, compensated: saga.status === 'compensated' });
+  }
+
+  // Like flagInterrupted: whether the trade went through is unknown, so an admin checks MyStocks
+  // before compensating or resolving
+  async holdUnconfirmed(saga, error) {
+    await this.recordStep(saga, 'place_trade', 'unknown', {
+      status: 'stuck',
+      last_error: `Trade outcome unknown: ${error.message}`
+    }, { error: error.message });
+    logger.error(`MyStocks BUY saga ${saga.id} trade outcome unknown and needs review: ${error.message}`);
+    return Object.assign(error, { sagaStep: 'trade', compensated: false, outcomeUnknown: true });
+  }
+
+  /**
+   * Undo a saga's completed steps: sweep the USD out of the sub-account if it was funded, then
+   * credit the KES wallet. Each step is recorded as it succeeds so a retry resumes where the
+   * last attempt stopped. Failures are recorded and scheduled for retry rather than thrown.
+   */
+  async compensate(saga, reason) {
+    if (SETTLED_STATUSES.includes(saga.status)) return saga;
+
+    if (saga.status !== 'compensating') {
+      await this.recordStep(saga, 'compensate', 'started', { status: 'compensating', last_error: reason || saga.last_error });
+    }
+
+    try {
+      if (saga.funded_at && !saga.swept_at) {
+        const result = await ms.withdrawFromSubAccount(saga.sub_account_id, {
+          amount: parseFloat(saga.usd_amount),
+          currency: 'USD',
+          reference: `REFUND_${saga.funding_reference}`
+        });
+        await this.recordStep(saga, 'sweep_sub_account', 'done', { swept_at: new Date() });
+        if (result?.newWalletBalance != null) {
+          await User.update({ mystocks_wallet_balance: result.newWalletBalance }, { where: { id: saga.user_id } });
+        }
+      }
+
+      if (!saga.refunded_at) await this.refundWallet(saga);
+
+      await this.recordStep(saga, 'compensate', 'done', { status: 'compensated', next_retry_at: null });
+      if (saga.ms_order_id) {
+        await MsOrder.update({ refunded_at: saga.refunded_at }, { where: { id: saga.ms_order_id, refunded_at: null } });
+      }
+      logger.info(`MyStocks BUY saga ${saga.id} compensated: KES ${saga.total_kes} returned to user ${saga.user_id}`);
+    } catch (error) {
+      const attempts = saga.compensation_attempts + 1;
+      const stuck = attempts >= MAX_COMPENSATION_ATTEMPTS;
+      const delay = RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1];
+      await this.recordStep(saga, 'compensate', 'failed', {
+        status: stuck ? 'stuck' : 'compensating',
+        compensation_attempts: attempts,
+        last_error: error.message,
+        next_retry_at: stuck ? null : new Date(Date.now() + delay * 60000)
+      }, { error: error.message });
+
+      if (stuck) {
+        logger.error(`MyStocks BUY saga ${saga.id} is stuck after ${attempts} compensation attempts: ${error.message}`);
+      } else {
+        logger.warn(`MyStocks BUY saga ${saga.id} compensation attempt ${attempts} failed, retrying in ${delay}m: ${error.message}`);
+      }
+    }
+
+    return saga;
+  }
+
+  async refundWallet(saga) {
+    // An earlier attempt may have credited the wallet and died before recording it
+    const reversal = await JournalEntry.findOne({
+      where: { type: 'broker_funding_reversal', reference: saga.funding_reference }
+    });
+
+    if (!reversal) {
+      const wallet = await Wallet.findOne({ where: { user_id: saga.user_id } });
+      if (!wallet) throw new Error(`Wallet not found for user ${saga.user_id}`);
+
+      await ledgerService.reverseBrokerFunding(wallet, {
+        amount: parseFloat(saga.total_kes),
+        reference: saga.funding_reference,
+        description: `Refund failed MyStocks BUY ${parseFloat(saga.quantity)} ${saga.symbol}`
+      });
+    }
+
+    await this.recordStep(saga, 'refund_wallet', 'done', { refunded_at: reversal?.created_at || new Date() });
+  }
+
+  /**
+   * Saga job entry point: retry compensations that are due, and flag sagas whose process died
+   * mid-flight. Those are never compensated automatically because whether the deposit or the
+   * trade went through is unknown; an admin checks MyStocks first.
+   */
+  async retryCompensations(now = new Date()) {
+    const due = await MsOrderSaga.findAll({
+      where: { status: 'compensating', next_retry_at: { [Op.lte]: now } },
+      order: [['next_retry_at', 'ASC']],
+      limit: 50
+    });
+
+    let retried = 0;
+    for (const saga of due) {
+      // Push the retry time out first so an overlapping run on another instance skips this saga
+      const [claimed] = await MsOrderSaga.update(
+        { next_retry_at: new Date(now.getTime() + STALE_SAGA_MINUTES * 60000) },
+        { where: { id: saga.id, status: 'compensating', next_retry_at: saga.next_retry_at } }
+      );
+      if (!claimed) continue;
+
+      await this.compensate(saga);
+      retried++;
+    }
+
+    const stale = await MsOrderSaga.findAll({
+      where: {
+        status: { [Op.in]: IN_FLIGHT_STATUSES },
+        updated_at: { [Op.lt]: new Date(now.getTime() - STALE_SAGA_MINUTES * 60000) }
+      }
+    });
+    for (const saga of stale) await this.flagInterrupted(saga);
+
+    if (retried || stale.length) {
+      logger.info(`MyStocks BUY sagas: ${retried} compensation(s) retried, ${stale.length} interrupted saga(s) flagged`);
+    }
+    return { retried, interrupted: stale.length };
+  }
+
+  async flagInterrupted(saga) {
+    if (saga.status === 'started') {
+      const debit = await JournalEntry.findOne({ where: { type: 'broker_funding', reference: saga.funding_reference } });
+      if (!debit) {
+        await this.recordStep(saga, 'debit_wallet', 'interrupted', { status: 'aborted', last_error: 'Interrupted before the wallet was debited' });
+        return;
+      }
+      await this.recordStep(saga, 'debit_wallet', 'done', { status: 'wallet_debited', wallet_debited_at: debit.created_at || new Date() });
+    }
+
+    const lastStep = saga.status === 'funded' ? 'placing the trade' : 'funding the sub-account';
+    await this.recordStep(saga, 'interrupted', 'stuck', { status: 'stuck', last_error: `Interrupted while ${lastStep}` });
+    logger.error(`MyStocks BUY saga ${saga.id} was interrupted while ${lastStep} and needs review`);
+  }
+
+  // Admin-triggered compensation of a stuck or failing saga
+  async compensateById(sagaId, { adminId }) {
+    const saga = await this.findSaga(sagaId);
+    if (!['stuck', 'compensating'].includes(saga.status)) {
+      throw sagaError(`Saga is ${saga.status}; only stuck or compensating sagas can be compensated`, 409);
+    }
+
+    logger.info(`MyStocks BUY saga ${saga.id} compensation triggered by admin ${adminId}`);
+    await this.recordStep(saga, 'compensate', 'requested', { status: 'compensating', compensation_attempts: 0 }, { adminId });
+    return this.compensate(saga);
+  }
+
+  // Close a saga an admin settled by hand (e.g. the trade did execute at MyStocks)
+  async resolve(sagaId, { adminId, note }) {
+    const saga = await this.findSaga(sagaId);
+    if (saga.status === 'completed' || SETTLED_STATUSES.includes(saga.status)) {
+      throw sagaError(`Saga is already ${saga.status}`, 409);
+    }
+
+    await this.recordStep(saga, 'resolve', 'done', {
+      status: 'resolved',
+      resolved_by: adminId,
+      resolved_at: new Date(),
+      resolution_note: note,
+      next_retry_at: null
+    }, { adminId });
+    logger.info(`MyStocks BUY saga ${saga.id} resolved by admin ${adminId}`);
+    return saga;
+  }
+
+  findByReference(fundingReference) {
+    return MsOrderSaga.findOne({ where: { funding_reference: fundingReference } });
+  }
+
+  findByOrderId(msOrderId) {
+    return MsOrderSaga.findOne({ where: { ms_order_id: msOrderId } });
+  }
+
+  async findSaga(sagaId) {
+    const saga = await MsOrderSaga.findByPk(sagaId);
+    if (!saga) throw sagaError('Saga not found', 404);
+    return saga;
+  }
+
+  // Apply `values` to the saga and append the step to its history
+  recordStep(saga, step, outcome, values = {}, detail = {}) {
+    const entry = { step, status: outcome, at: new Date().toISOString(), ...detail };
+    return saga.update({ ...values, steps: [...(saga.steps || []), entry] });
+  }
+}
+
+module.exports = new MsBuySagaService();
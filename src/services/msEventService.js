@@ -0,0 +1,287 @@
+const { MsOrder, User, Wallet, Transaction, JournalEntry } = require('../models');
+const ms = require('./mystocksService');
+const ledgerService = require('./ledgerService');
+const exchangeService = require('./exchangeService');
+const msBuySagaService = require('./msBuySagaService');
+const realtimeNotificationService = require('./realtimeNotificationService');
+const logger = require('../utils/logger');
+
+const toNumber = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+// MyStocks reports the sub-account balance under a few names depending on the event
+const walletBalanceOf = (data) =>
+  toNumber(data?.newWalletBalance ?? data?.walletBalance ?? data?.balance ?? data?.wallet?.balance);
+
+/**
+ * Applies MyStocks webhook events to our records: order status, the cached sub-account balance
+ * (`User.mystocks_wallet_balance`) and `Transaction` rows for the wallet history. The rows are
+ * for tracking only, like Alpaca fills: the money is held by MyStocks, not the ledger, so they
+ * are marked `tracking_only` and left out of wallet flows and withdrawal limits.
+ * Every method is safe to run twice for the same event.
+ */
+class MsEventService {
+  // trade.settled: MyStocks executed the trade
+  async tradeSettled(data) {
+    const order = await this.findOrder(data);
+    if (!order || order.status === 'SETTLED') return order;
+
+    const quantity = toNumber(data.quantity) ?? parseFloat(order.quantity);
+    const localPrice = toNumber(data.localPrice ?? data.price);
+    await order.update({
+      status: 'SETTLED',
+      settled_at: new Date(),
+      quantity,
+      local_price: localPrice ?? order.local_price,
+      usd_price: toNumber(data.usdPrice) ?? order.usd_price,
+      gross_usd: toNumber(data.gross) ?? order.gross_usd,
+      fee_usd: toNumber(data.fee) ?? order.fee_usd,
+      total_cost_usd: toNumber(data.totalCost ?? data.total) ?? order.total_cost_usd,
+      wallet_balance_after: walletBalanceOf(data) ?? order.wallet_balance_after
+    });
+    await this.updateWalletBalance(order.user_id, data);
+
+    const wallet = await Wallet.findOne({ where: { user_id: order.user_id } });
+    if (wallet) {
+      const totalUsd = parseFloat(order.total_cost_usd || 0);
+      const price = order.local_price != null ? parseFloat(order.local_price) : null;
+      await this.recordTransaction(wallet, {
+        type: order.side === 'BUY' ? 'trade_buy' : 'trade_sell',
+        amount: order.side === 'BUY' ? -totalUsd : totalUsd,
+        reference: `MSORDER_${order.id}`,
+        description: `${order.side} ${quantity} ${order.symbol}${price != null ? ` @ ${order.currency || 'KES'} ${price}` : ''}`,
+        metadata: { provider: 'mystocks', orderId: order.id, msOrderId: order.order_id, symbol: order.symbol, quantity, localPrice: price }
+      });
+
+      const feeUsd = parseFloat(order.fee_usd || 0);
+      if (feeUsd > 0) {
+        await this.recordTransaction(wallet, {
+          type: 'fee',
+          amount: -feeUsd,
+          reference: `MSFEE_${order.id}`,
+          description: `Trading fee for ${order.side} ${order.symbol}`,
+          metadata: { provider: 'mystocks', orderId: order.id }
+        });
+      }
+    }
+
+    logger.info(`MS order ${order.id} settled: ${order.side} ${quantity} ${order.symbol}`);
+    this.notifyOrder(order);
+    return order;
+  }
+
+  // trade.rejected: MyStocks refused the trade; a funded BUY gets its money back
+  async tradeRejected(data) {
+    const order = await this.findOrder(data);
+    if (!order) return null;
+
+    if (order.status !== 'REJECTED') {
+      await order.update({
+        status: 'REJECTED',
+        rejection_reason: data.rejectionReason || data.reason || 'Rejected by MyStocks',
+        settled_at: new Date()
+      });
+      logger.warn(`MS order ${order.id} rejected: ${order.rejection_reason}`);
+      this.notifyOrder(order);
+    }
+
+    if (order.side === 'BUY' && order.funding_reference && !order.refunded_at) {
+      await this.refundFunding(order);
+    }
+    return order;
+  }
+
+  /**
+   * Move a rejected BUY's funding out of the sub-account and back to the KES wallet. The USD is
+   * withdrawn first so the wallet is never credited for money still sitting at MyStocks; if the
+   * withdrawal fails the error propagates and the webhook event can be re-processed.
+   */
+  async refundFunding(order) {
+    // BUYs funded through a saga are compensated by it, which keeps retrying if MyStocks is down
+    const saga = await msBuySagaService.findByReference(order.funding_reference);
+    if (saga) {
+      await msBuySagaService.compensate(saga, `Rejected by MyStocks: ${order.rejection_reason}`);
+      if (saga.refunded_at) await order.update({ refunded_at: saga.refunded_at });
+      return;
+    }
+
+    // Already credited back by an earlier attempt that failed before marking the order
+    const reversal = await JournalEntry.findOne({
+      where: { type: 'broker_funding_reversal', reference: order.funding_reference }
+    });
+    if (reversal) {
+      await order.update({ refunded_at: reversal.created_at || new Date() });
+      return;
+    }
+
+    const user = await User.findByPk(order.user_id, { attributes: ['id', 'mystocks_sub_account_id'] });
+    const wallet = await Wallet.findOne({ where: { user_id: order.user_id } });
+    if (!user?.mystocks_sub_account_id || !wallet) {
+      throw new Error(`Cannot refund MS order ${order.id}: sub-account or wallet not found`);
+    }
+
+    const result = await ms.withdrawFromSubAccount(user.mystocks_sub_account_id, {
+      amount: parseFloat(order.funded_usd),
+      currency: 'USD',
+      reference: `REFUND_${order.funding_reference}`
+    });
+    await ledgerService.reverseBrokerFunding(wallet, {
+      amount: parseFloat(order.funded_kes),
+      reference: order.funding_reference,
+      description: `Refund rejected MyStocks ${order.side} ${order.quantity} ${order.symbol}`
+    });
+    await order.update({ refunded_at: new Date() });
+    await this.updateWalletBalance(order.user_id, result);
+
+    logger.info(`Refunded KES ${order.funded_kes} for rejected MS order ${order.id}`);
+  }
+
+  // deposit.confirmed: funds reached the sub-account
+  async depositConfirmed(data) {
+    return this.recordSubAccountMovement(data, {
+      type: 'deposit',
+      sign: 1,
+      prefix: 'MSDEP',
+      description: 'Deposit to MyStocks trading account'
+    });
+  }
+
+  // withdraw.confirmed: funds left the sub-account
+  async withdrawConfirmed(data) {
+    return this.recordSubAccountMovement(data, {
+      type: 'withdrawal',
+      sign: -1,
+      prefix: 'MSWDR',
+      description: 'Withdrawal from MyStocks trading account'
+    });
+  }
+
+  // dividend.paid: a dividend was credited to the sub-account
+  async dividendPaid(data) {
+    const user = await this.findUser(data);
+    if (!user) return null;
+
+    const amount = toNumber(data.amount ?? data.netAmount);
+    const wallet = await Wallet.findOne({ where: { user_id: user.id } });
+    await this.updateWalletBalance(user.id, data);
+    if (!wallet || !amount) return null;
+
+    const reference = `MSDIV_${data.id || data.dividendId || `${data.subAccountId}_${data.symbol}_${data.paymentDate || data.paidAt}`}`;
+    const txn = await this.recordTransaction(wallet, {
+      type: 'dividend',
+      amount,
+      currency: data.currency,
+      reference,
+      description: `Dividend from ${data.symbol}`,
+      metadata: {
+        provider: 'mystocks',
+        symbol: data.symbol,
+        shares: toNumber(data.shares ?? data.quantity),
+        dividendPerShare: toNumber(data.dividendPerShare),
+        paymentDate: data.paymentDate || data.paidAt || null
+      }
+    });
+
+    // In the currency it was paid in, which the transaction may have stored in USD
+    const currency = txn.metadata?.localCurrency || txn.currency;
+    realtimeNotificationService.sendToUser(user.id, 'dividend_paid', {
+      transactionId: txn.id,
+      symbol: data.symbol,
+      amount,
+      currency,
+      dividendPerShare: toNumber(data.dividendPerShare),
+      message: `You received a dividend of ${currency} ${amount} from ${data.symbol}`
+    }, { type: 'dividend', dedupe: true })
+      .catch(err => logger.warn(`Dividend notification failed for user ${user.id}: ${err.message}`));
+
+    return txn;
+  }
+
+  async recordSubAccountMovement(data, { type, sign, prefix, description }) {
+    const user = await this.findUser(data);
+    if (!user) return null;
+
+    await this.updateWalletBalance(user.id, data);
+    const amount = toNumber(data.amount);
+    const msReference = data.reference || data.id || data.transactionId;
+    const wallet = await Wallet.findOne({ where: { user_id: user.id } });
+    if (!wallet || !amount || !msReference) return null;
+
+    return this.recordTransaction(wallet, {
+      type,
+      amount: sign * Math.abs(amount),
+      currency: data.currency,
+      reference: `${prefix}_${msReference}`,
+      description,
+      metadata: { provider: 'mystocks', subAccountId: data.subAccountId, msReference }
+    });
+  }
+
+  /**
+   * Transaction references are unique, so a replayed event finds the row it created before.
+   * Amounts without a currency are the sub-account's USD. Transactions hold only KES and USD, so
+   * an amount in another currency (NGN, ZAR...) is stored in USD at today's rate, with the local
+   * amount kept in the metadata.
+   */
+  async recordTransaction(wallet, { type, amount, currency, reference, description, metadata }) {
+    const local = (currency || 'USD').toUpperCase();
+    let stored = { amount, currency: local, metadata };
+    if (local !== 'KES' && local !== 'USD') {
+      const rate = await exchangeService.getExchangeRate(local, 'USD');
+      stored = {
+        amount: Math.round(amount * rate * 100) / 100,
+        currency: 'USD',
+        metadata: { ...metadata, localAmount: amount, localCurrency: local, localToUsdRate: rate }
+      };
+    }
+
+    const [txn] = await Transaction.findOrCreate({
+      where: { reference },
+      defaults: {
+        wallet_id: wallet.id,
+        type,
+        ...stored,
+        status: 'completed',
+        tracking_only: true,
+        description
+      }
+    });
+    return txn;
+  }
+
+  async updateWalletBalance(userId, data) {
+    const balance = walletBalanceOf(data);
+    if (balance == null) return;
+    await User.update({ mystocks_wallet_balance: balance }, { where: { id: userId } });
+  }
+
+  async findOrder(data) {
+    const order = data?.orderId ? await MsOrder.findOne({ where: { order_id: data.orderId } }) : null;
+    if (!order) logger.warn(`MS webhook for unknown order ${data?.orderId}`);
+    return order;
+  }
+
+  async findUser(data) {
+    const user = data?.subAccountId
+      ? await User.findOne({ where: { mystocks_sub_account_id: data.subAccountId }, attributes: ['id'] })
+      : null;
+    if (!user) logger.warn(`MS webhook for unknown sub-account ${data?.subAccountId}`);
+    return user;
+  }
+
+  notifyOrder(order) {
+    realtimeNotificationService.sendOrderNotification(order.user_id, {
+      id: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      quantity: parseFloat(order.quantity),
+      status: order.status,
+      filled_at: order.settled_at || order.filled_at,
+      fill_price: order.local_price != null ? parseFloat(order.local_price) : null
+    }).catch(err => logger.warn(`Order notification failed for ${order.id}: ${err.message}`));
+  }
+}
+
+module.exports = new MsEventService();
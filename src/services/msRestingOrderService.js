@@ -0,0 +1,531 @@
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize, MsOrder, User, Wallet } = require('../models');
+const ms = require('./mystocksService');
+const exchangeService = require('./exchangeService');
+const platformConfigService = require('./platformConfigService');
+const realtimeNotificationService = require('./realtimeNotificationService');
+const { getMyStocksQuote } = require('../utils/mystocksQuote');
+const { ensureMyStocksSubAccount } = require('../utils/ensureMyStocksAccount');
+const { parseMyStocksHoldings } = require('../utils/mystocksHoldings');
+const { validateTrail, advanceTrailingStop } = require('../utils/trailingStop');
+const msBuySagaService = require('./msBuySagaService');
+const logger = require('../utils/logger');
+
+const RESTING_ORDER_TYPES = ['limit', 'stop_loss', 'take_profit', 'trailing_stop'];
+const TIME_IN_FORCE = ['day', 'gtc'];
+// Day orders lapse at their exchange's close, in UTC (standard time); exchanges not listed use
+// the NSE close. GTC orders are capped like most brokers do.
+const EXCHANGE_CLOSE_UTC = {
+  NSE: { hour: 12, minute: 0 }, // 15:00 EAT
+  NGX: { hour: 13, minute: 30 }, // 14:30 WAT
+  JSE: { hour: 15, minute: 0 }, // 17:00 SAST
+  GSE: { hour: 15, minute: 0 }, // 15:00 GMT
+  BRVM: { hour: 15, minute: 30 }, // 15:30 GMT
+  SEM: { hour: 9, minute: 30 }, // 13:30 MUT
+  EGX: { hour: 12, minute: 30, weekend: [5, 6] } // 14:30 EET, trades Sunday to Thursday
+};
+const DEFAULT_WEEKEND = [0, 6];
+const GTC_MAX_DAYS = 90;
+// Resting SELLs that still hold shares: waiting, being submitted, or submitted with no known outcome
+const OPEN_SELL_STATUSES = ['PENDING', 'TRIGGERED', 'UNCONFIRMED'];
+// A claim older than this belongs to a run that died before recording the outcome
+const STALE_CLAIM_MINUTES = 10;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Resting (conditional) orders for MyStocks-listed equities. MyStocks only executes market
+ * trades, so limit / stop-loss / take-profit / trailing-stop orders are held here as PENDING
+ * MsOrder rows and submitted via ms.placeTrade once the watcher sees the trigger price.
+ */
+class MsRestingOrderService {
+  constructor() {
+    this.orderTypes = RESTING_ORDER_TYPES;
+    this.timeInForceOptions = TIME_IN_FORCE;
+    this.isProcessing = false;
+  }
+
+  computeExpiry(timeInForce, from = new Date(), exchange = 'NSE') {
+    if (timeInForce === 'gtc') {
+      return new Date(from.getTime() + GTC_MAX_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    const close = EXCHANGE_CLOSE_UTC[(exchange || '').toUpperCase()] || EXCHANGE_CLOSE_UTC.NSE;
+    const weekend = close.weekend || DEFAULT_WEEKEND;
+    const expiry = new Date(from);
+    expiry.setUTCHours(close.hour, close.minute, 0, 0);
+    if (expiry <= from) expiry.setUTCDate(expiry.getUTCDate() + 1);
+    // Orders placed over the weekend carry to the next session
+    while (weekend.includes(expiry.getUTCDay())) {
+      expiry.setUTCDate(expiry.getUTCDate() + 1);
+    }
+    return expiry;
+  }
+
+  /**
+   * Shares of `symbol` the user can still commit to a resting SELL: the MyStocks holding less
+   * what open resting SELLs already hold.
+   */
+  async getAvailableShares(userId, symbol) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'mystocks_sub_account_id'] });
+    if (!user?.mystocks_sub_account_id) return 0;
+
+    let holdings;
+    try {
+      holdings = parseMyStocksHoldings(await ms.getPortfolio(user.mystocks_sub_account_id));
+    } catch (error) {
+      logger.warn(`MyStocks portfolio unavailable for user ${userId}: ${error.message}`);
+      throw Object.assign(new Error('Unable to check your holdings. Please try again.'), { status: 503 });
+    }
+    const held = holdings
+      .filter(h => (h.symbol || '').toUpperCase() === symbol)
+      .reduce((sum, h) => sum + h.quantity, 0);
+
+    const openSells = await MsOrder.findAll({
+      where: {
+        user_id: userId,
+        symbol,
+        side: 'SELL',
+        order_type: { [Op.in]: RESTING_ORDER_TYPES },
+        status: { [Op.in]: OPEN_SELL_STATUSES }
+      },
+      attributes: ['quantity']
+    });
+    return held - openSells.reduce((sum, o) => sum + parseFloat(o.quantity), 0);
+  }
+
+  shouldTrigger(order, price) {
+    const limitPrice = parseFloat(order.limit_price);
+    const stopPrice = parseFloat(order.stop_price);
+
+    switch (order.order_type) {
+      case 'limit':
+        return order.side === 'BUY' ? price <= limitPrice : price >= limitPrice;
+      case 'stop_loss':
+      case 'trailing_stop':
+        return price <= stopPrice;
+      case 'take_profit':
+        return price >= limitPrice;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Validate a resting order and work out what placing it would hold, without persisting
+   * anything. Shared by createRestingOrder and the order preview endpoint.
+   */
+  async prepareRestingOrder(userId, {
+    symbol,
+    side,
+    orderType,
+    quantity,
+    limitPrice,
+    stopPrice,
+    trailPercent,
+    trailAmount,
+    timeInForce = 'day'
+  }) {
+    const tradeType = side.toUpperCase();
+    const type = orderType.toLowerCase();
+    const qty = parseFloat(quantity);
+
+    if (!RESTING_ORDER_TYPES.includes(type)) {
+      throw badRequest(`type must be one of: market, ${RESTING_ORDER_TYPES.join(', ')}`);
+    }
+    if (!TIME_IN_FORCE.includes(timeInForce)) {
+      throw badRequest('time_in_force must be day or gtc for African exchanges');
+    }
+    if (type !== 'limit' && tradeType !== 'SELL') {
+      throw badRequest(`${type} orders must be SELL orders`);
+    }
+    if (type === 'stop_loss' && !(parseFloat(stopPrice) > 0)) {
+      throw badRequest('stop_price is required for stop_loss orders');
+    }
+    if (['limit', 'take_profit'].includes(type) && !(parseFloat(limitPrice) > 0)) {
+      throw badRequest(`limit_price is required for ${type} orders`);
+    }
+    if (type === 'trailing_stop') {
+      const trailError = validateTrail({ trailPercent, trailAmount });
+      if (trailError) throw badRequest(trailError);
+    }
+
+    const quote = await getMyStocksQuote(symbol);
+    if (!quote) {
+      throw Object.assign(new Error(`Asset ${symbol} not found`), { status: 404 });
+    }
+
+    // Hold the worst-case cost of a resting BUY so the same KES can't be spent twice, and count
+    // a SELL against the shares other resting SELLs have not already claimed
+    let grossKes = null;
+    let feeKes = null;
+    let reservedKes = null;
+    let wallet = null;
+    let availableShares = null;
+    if (tradeType === 'BUY') {
+      const tradeFeeRate = await platformConfigService.getSetting('trade_fee_rate');
+      grossKes = qty * parseFloat(limitPrice);
+      reservedKes = Math.round((grossKes + grossKes * tradeFeeRate) * 100) / 100;
+      feeKes = Math.round((reservedKes - grossKes) * 100) / 100;
+      wallet = await Wallet.findOne({ where: { user_id: userId } });
+    } else {
+      availableShares = await this.getAvailableShares(userId, quote.symbol);
+    }
+
+    // Trailing stops start trailing from the price at placement
+    const trail = type === 'trailing_stop'
+      ? advanceTrailingStop({ trailPercent, trailAmount }, quote.localPrice)
+      : null;
+
+    return {
+      tradeType,
+      type,
+      qty,
+      quote,
+      grossKes,
+      feeKes,
+      reservedKes,
+      wallet,
+      availableKes: wallet?.availableKes || 0,
+      availableShares,
+      trail
+    };
+  }
+
+  async createRestingOrder(userId, params) {
+    const { exchange, limitPrice, stopPrice, trailPercent, trailAmount, timeInForce = 'day' } = params;
+    const { tradeType, type, qty, quote, reservedKes, availableShares, trail } =
+      await this.prepareRestingOrder(userId, params);
+
+    if (tradeType === 'SELL' && availableShares < qty) {
+      throw Object.assign(badRequest('Insufficient shares'), {
+        available: parseFloat(Math.max(availableShares, 0).toFixed(6)),
+        required: qty
+      });
+    }
+
+    // The hold and the order are written together, so a failed insert never leaves KES frozen
+    const transaction = await sequelize.transaction();
+    let order;
+    try {
+      if (tradeType === 'BUY') {
+        const wallet = await Wallet.findOne({ where: { user_id: userId }, transaction, lock: true });
+        const availableKes = wallet?.availableKes || 0;
+        if (!wallet || availableKes < reservedKes) {
+          throw Object.assign(badRequest('Insufficient balance'), {
+            required: `KES ${reservedKes.toFixed(2)}`,
+            available: `KES ${availableKes.toFixed(2)}`
+          });
+        }
+        await wallet.freezeFunds(reservedKes, 'KES', { transaction });
+      }
+
+      order = await MsOrder.create({
+        user_id: userId,
+        symbol: quote.symbol,
+        side: tradeType,
+        quantity: qty,
+        order_type: type,
+        limit_price: limitPrice ? parseFloat(limitPrice) : null,
+        stop_price: trail ? trail.stopPrice : (stopPrice ? parseFloat(stopPrice) : null),
+        trail_percent: trail && trailPercent != null ? parseFloat(trailPercent) : null,
+        trail_amount: trail && trailAmount != null ? parseFloat(trailAmount) : null,
+        high_water_mark: trail ? trail.highWaterMark : null,
+        time_in_force: timeInForce,
+        expires_at: this.computeExpiry(timeInForce, new Date(), exchange),
+        reserved_kes: reservedKes,
+        currency: quote.currency,
+        exchange: exchange.toUpperCase(),
+        status: 'PENDING',
+        filled_at: null
+      }, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info(`Resting ${type} ${tradeType} order ${order.id} placed for user ${userId}: ${qty} ${quote.symbol}`);
+    return order;
+  }
+
+  async releaseReservation(order, { transaction } = {}) {
+    const reservedKes = parseFloat(order.reserved_kes || 0);
+    if (reservedKes <= 0) return;
+
+    const wallet = await Wallet.findOne({ where: { user_id: order.user_id }, ...(transaction && { transaction, lock: true }) });
+    if (wallet) await wallet.unfreezeFunds(reservedKes, 'KES', { transaction });
+  }
+
+  async cancelRestingOrder(userId, orderId) {
+    const order = await MsOrder.findOne({ where: { id: orderId, user_id: userId } });
+    if (!order) return null;
+    if (order.status !== 'PENDING' || order.triggered_at) {
+      throw badRequest(`Cannot cancel an order that is ${order.status.toLowerCase()}`);
+    }
+
+    // Claim the row the way executeOrder does, so a cancel racing the watcher can't overwrite
+    // TRIGGERED or release a BUY's reservation a second time
+    const transaction = await sequelize.transaction();
+    try {
+      const [cancelled] = await MsOrder.update(
+        { status: 'CANCELLED' },
+        { where: { id: order.id, status: 'PENDING', triggered_at: null }, transaction }
+      );
+      if (!cancelled) throw badRequest('Cannot cancel an order that is already being executed');
+      await this.releaseReservation(order, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    order.set({ status: 'CANCELLED' });
+    logger.info(`Resting order ${orderId} cancelled by user ${userId}`);
+    return order;
+  }
+
+  async expireOrders(now = new Date()) {
+    const expired = await MsOrder.findAll({
+      where: {
+        status: 'PENDING',
+        order_type: { [Op.in]: RESTING_ORDER_TYPES },
+        triggered_at: null,
+        expires_at: { [Op.lte]: now }
+      }
+    });
+
+    for (const order of expired) {
+      const transaction = await sequelize.transaction();
+      try {
+        const [claimed] = await MsOrder.update(
+          { status: 'EXPIRED' },
+          { where: { id: order.id, status: 'PENDING', triggered_at: null }, transaction }
+        );
+        if (claimed) await this.releaseReservation(order, { transaction });
+        await transaction.commit();
+        if (!claimed) continue;
+        order.set({ status: 'EXPIRED' });
+        this.notify(order);
+      } catch (error) {
+        await transaction.rollback();
+        logger.error(`Failed to expire resting order ${order.id}:`, error);
+      }
+    }
+
+    return expired.length;
+  }
+
+  async checkPendingOrders() {
+    if (this.isProcessing) {
+      logger.debug('Resting order check already in progress, skipping');
+      return;
+    }
+    this.isProcessing = true;
+
+    try {
+      await this.expireOrders();
+      await this.recoverStaleClaims();
+
+      const pending = await MsOrder.findAll({
+        // triggered_at guards against MyStocks reporting a submitted trade as PENDING
+        where: { status: 'PENDING', order_type: { [Op.in]: RESTING_ORDER_TYPES }, triggered_at: null }
+      });
+      if (pending.length === 0) return;
+
+      const bySymbol = pending.reduce((groups, order) => {
+        (groups[order.symbol] = groups[order.symbol] || []).push(order);
+        return groups;
+      }, {});
+
+      for (const [symbol, orders] of Object.entries(bySymbol)) {
+        let quote;
+        try {
+          quote = await getMyStocksQuote(symbol);
+        } catch (error) {
+          logger.warn(`Quote unavailable for ${symbol}, skipping ${orders.length} resting orders: ${error.message}`);
+          continue;
+        }
+        if (!quote?.localPrice) continue;
+
+        for (const order of orders) {
+          if (order.order_type === 'trailing_stop') {
+            await this.advanceTrail(order, quote.localPrice);
+          }
+          if (this.shouldTrigger(order, quote.localPrice)) {
+            await this.executeOrder(order, quote);
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('Error checking resting orders:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Ratchet a trailing stop up behind a new high; the stop never moves down
+  async advanceTrail(order, price) {
+    const trail = advanceTrailingStop({
+      highWaterMark: order.high_water_mark,
+      trailPercent: order.trail_percent,
+      trailAmount: order.trail_amount
+    }, price);
+
+    if (trail.highWaterMark > parseFloat(order.high_water_mark || 0)) {
+      await order.update({ high_water_mark: trail.highWaterMark, stop_price: trail.stopPrice });
+    }
+  }
+
+  /**
+   * Orders left TRIGGERED by a run that died mid-execution. A BUY whose saga never started (or
+   * aborted before the debit) never reached MyStocks, so it rests again with its KES held again.
+   * Anything else may have traded: it becomes UNCONFIRMED for review and is never re-triggered.
+   */
+  async recoverStaleClaims(now = new Date()) {
+    const stale = await MsOrder.findAll({
+      where: {
+        status: 'TRIGGERED',
+        order_type: { [Op.in]: RESTING_ORDER_TYPES },
+        triggered_at: { [Op.lte]: new Date(now.getTime() - STALE_CLAIM_MINUTES * 60000) }
+      }
+    });
+
+    for (const order of stale) {
+      try {
+        const saga = order.side === 'BUY' ? await msBuySagaService.findByOrderId(order.id) : null;
+        if (order.side === 'BUY' && (!saga || saga.status === 'aborted')) {
+          await this.rearm(order);
+        } else {
+          await order.update({ status: 'UNCONFIRMED', rejection_reason: 'Execution was interrupted; the outcome is being checked' });
+          logger.error(`Resting order ${order.id} was interrupted while executing and needs review`);
+        }
+        this.notify(order);
+      } catch (error) {
+        logger.error(`Failed to recover resting order ${order.id}:`, error);
+      }
+    }
+    return stale.length;
+  }
+
+  // Put an interrupted BUY back to resting, holding its KES again; if the wallet can no longer
+  // cover it, it is rejected instead
+  async rearm(order) {
+    const transaction = await sequelize.transaction();
+    try {
+      const reservedKes = parseFloat(order.reserved_kes || 0);
+      const wallet = await Wallet.findOne({ where: { user_id: order.user_id }, transaction, lock: true });
+      if (reservedKes > 0 && !(wallet && wallet.availableKes >= reservedKes)) {
+        await order.update({ status: 'REJECTED', rejection_reason: 'Insufficient balance' }, { transaction });
+      } else {
+        if (reservedKes > 0) await wallet.freezeFunds(reservedKes, 'KES', { transaction });
+        await order.update({ status: 'PENDING', triggered_at: null }, { transaction });
+      }
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  async executeOrder(order, quote) {
+    // Claim the row first so overlapping runs can never submit the same order twice. A BUY's
+    // reservation is released with the claim, so a TRIGGERED BUY never holds KES; it is then
+    // funded at the actual fill price.
+    const transaction = await sequelize.transaction();
+    try {
+      const [claimed] = await MsOrder.update(
+        { status: 'TRIGGERED', triggered_at: new Date() },
+        { where: { id: order.id, status: 'PENDING' }, transaction }
+      );
+      if (claimed && order.side === 'BUY') await this.releaseReservation(order, { transaction });
+      await transaction.commit();
+      if (!claimed) return null;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    const qty = parseFloat(order.quantity);
+
+    try {
+      const subAccountId = await ensureMyStocksSubAccount(order.user_id);
+      const placeTrade = () => ms.placeTrade(subAccountId, { symbol: order.symbol, type: order.side, quantity: qty });
+      let data;
+
+      if (order.side === 'BUY') {
+        const exchangeRate = await exchangeService.getExchangeRate('USD', 'KES');
+        const tradeFeeRate = await platformConfigService.getSetting('trade_fee_rate');
+        const grossKes = qty * quote.localPrice;
+        const totalKes = grossKes + Math.round(grossKes * tradeFeeRate * 100) / 100;
+
+        const wallet = await Wallet.findOne({ where: { user_id: order.user_id } });
+        const kesBalance = parseFloat(wallet?.kes_balance || 0);
+        if (kesBalance < totalKes) {
+          throw new Error(`Insufficient balance: KES ${totalKes.toFixed(2)} required`);
+        }
+
+        const usdAmount = Math.round((totalKes / exchangeRate) * 10000) / 10000;
+        const fundingReference = `ORDER_${uuidv4()}`;
+        ({ data } = await msBuySagaService.run({
+          userId: order.user_id,
+          source: 'resting_order',
+          msOrderId: order.id,
+          wallet,
+          subAccountId,
+          symbol: order.symbol,
+          quantity: qty,
+          totalKes,
+          usdAmount,
+          exchangeRate,
+          fundingReference,
+          description: `Fund resting ${order.order_type} BUY ${qty} ${order.symbol}`
+        }, placeTrade));
+        await order.update({ funding_reference: fundingReference, funded_kes: totalKes, funded_usd: usdAmount });
+      } else {
+        data = await placeTrade();
+      }
+
+      await order.update({
+        order_id: data?.orderId || null,
+        local_price: data?.localPrice || quote.localPrice,
+        usd_price: data?.usdPrice || quote.usdPrice,
+        gross_usd: data?.gross || null,
+        fee_usd: data?.fee || null,
+        total_cost_usd: data?.totalCost || null,
+        currency: data?.currency || order.currency,
+        status: data?.status || 'FILLED',
+        wallet_balance_after: data?.newWalletBalance || null,
+        filled_at: new Date()
+      });
+      if (data?.newWalletBalance != null) {
+        await User.update({ mystocks_wallet_balance: data.newWalletBalance }, { where: { id: order.user_id } });
+      }
+
+      logger.info(`Resting ${order.order_type} order ${order.id} executed: ${order.side} ${qty} ${order.symbol} @ ${quote.localPrice}`);
+    } catch (error) {
+      // A BUY that MyStocks rejected after funding is refunded by its saga; one with an unknown
+      // outcome may have filled, so it is held as UNCONFIRMED until the saga is reviewed
+      logger.error(`Resting order ${order.id} failed to execute${error.sagaStep === 'trade' ? ' after funding the sub-account' : ''}:`, error);
+      await order.update({ status: error.outcomeUnknown ? 'UNCONFIRMED' : 'REJECTED', rejection_reason: error.message });
+    }
+
+    this.notify(order);
+    return order;
+  }
+
+  notify(order) {
+    realtimeNotificationService.sendOrderNotification(order.user_id, {
+      id: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      quantity: parseFloat(order.quantity),
+      status: order.status,
+      filled_at: order.filled_at,
+      fill_price: order.local_price != null ? parseFloat(order.local_price) : null
+    }).catch(err => logger.warn(`Order notification failed for ${order.id}: ${err.message}`));
+  }
+}
+
+module.exports = new MsRestingOrderService();
@@ -119,10 +119,10 @@ const placeTrade = async (subAccountId, { symbol, type, quantity }) => {
     { headers: { 'Idempotency-Key': idempotencyKey() } }
   );
   if (typeof res.data === 'string' && res.data.trimStart().startsWith('<')) {
-    throw new Error('MyStocks trade endpoint not available in this environment. Contact MyStocks support or use a production API key.');
+    throw Object.assign(new Error('MyStocks trade endpoint not available in this environment. Contact MyStocks support or use a production API key.'), { rejected: true });
   }
   if (res.data?.error) {
-    throw new Error(res.data.error);
+    throw Object.assign(new Error(res.data.error), { rejected: true });
   }
   return res.data;
 };
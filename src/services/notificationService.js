@@ -223,6 +223,20 @@ class NotificationService {
     });
   }
 
+  // Sent on every new payout destination, so the user hears about one they didn't add
+  async sendBeneficiaryAdded(userId, { beneficiaryId, nickname, destination, coolingOffUntil }) {
+    return this.sendMultiChannelNotification(userId, 'security_alerts', {
+      title: 'New Withdrawal Beneficiary',
+      body: `"${nickname}" (${destination}) was added to your withdrawal beneficiaries. If this wasn't you, remove it and contact support.`,
+      icon: 'security_icon'
+    }, {
+      type: 'beneficiary_added',
+      beneficiaryId,
+      coolingOffUntil,
+      action: 'view_beneficiaries'
+    });
+  }
+
   async sendAccountActivated(userId, userName) {
     return this.sendMultiChannelNotification(userId, 'account_updates', {
       title: 'Account Activated!',
@@ -234,6 +248,58 @@ class NotificationService {
     });
   }
 
+  // Standing deposit notifications
+  async sendStandingDepositReminder(userId, { standingDepositId, amount, runAt }) {
+    return this.sendMultiChannelNotification(userId, 'transaction_alerts', {
+      title: 'M-Pesa Deposit Tomorrow',
+      body: `Your standing deposit of KES ${amount} is due tomorrow. Keep your phone close to approve the M-Pesa prompt.`,
+      icon: 'deposit_icon'
+    }, {
+      type: 'standing_deposit_reminder',
+      standingDepositId,
+      runAt,
+      action: 'view_standing_deposit'
+    });
+  }
+
+  async sendStandingDepositFailed(userId, { standingDepositId, amount, reason, paused }) {
+    return this.sendMultiChannelNotification(userId, 'transaction_alerts', {
+      title: 'M-Pesa Deposit Failed',
+      body: paused
+        ? `Your standing deposit of KES ${amount} failed again (${reason}) and has been paused. Resume it in the app.`
+        : `Your standing deposit of KES ${amount} did not go through: ${reason}.`,
+      icon: 'deposit_icon'
+    }, {
+      type: 'standing_deposit_failed',
+      standingDepositId,
+      reason,
+      paused,
+      action: 'view_standing_deposit'
+    });
+  }
+
+  // Withdrawal review: held, rejected, or paid/failed after approval
+  async sendWithdrawalReviewUpdate(userId, { reference, amount, currency, status, note }) {
+    const bodies = {
+      pending_review: `Your withdrawal of ${currency} ${amount} is being reviewed. We'll let you know once it has been processed.`,
+      rejected: `Your withdrawal of ${currency} ${amount} was not approved${note ? `: ${note}` : ''}. The funds are back in your wallet.`,
+      paid: `Your withdrawal of ${currency} ${amount} has been approved and sent.`,
+      payout_failed: `Your withdrawal of ${currency} ${amount} was approved but the payout failed. The funds are back in your wallet.`,
+      processing: `Your withdrawal of ${currency} ${amount} has been approved and is being processed by the bank.`
+    };
+
+    return this.sendMultiChannelNotification(userId, 'transaction_alerts', {
+      title: status === 'pending_review' ? 'Withdrawal Under Review' : 'Withdrawal Update',
+      body: bodies[status],
+      icon: 'withdrawal_icon'
+    }, {
+      type: 'withdrawal_review',
+      reference,
+      status,
+      action: 'view_transaction'
+    });
+  }
+
   // Device management
   async addDeviceToken(userId, deviceToken) {
     try {
@@ -0,0 +1,873 @@
+const { Order, User, Wallet, MsOrder, DemoOrder } = require('../models');
+const { v4: uuidv4 } = require('uuid');
+const alpacaService = require('./alpacaService');
+const ms = require('./mystocksService');
+const exchangeService = require('./exchangeService');
+const emailService = require('./emailService');
+const platformConfigService = require('./platformConfigService');
+const msRestingOrderService = require('./msRestingOrderService');
+const paperOrderService = require('./paperOrderService');
+const { recordRevenue } = require('./revenueService');
+const msBuySagaService = require('./msBuySagaService');
+const { isAfrican, getMyStocksQuote } = require('../utils/mystocksQuote');
+const { convertNotional, notionalToQuantity } = require('../utils/notional');
+const { validateTrail } = require('../utils/trailingStop');
+const { ensureMyStocksSubAccount } = require('../utils/ensureMyStocksAccount');
+const { clientOrderIdFor } = require('../middleware/idempotency');
+const logger = require('../utils/logger');
+
+const msStatusToAlpaca = { PENDING: 'pending_new', FILLED: 'filled', CANCELLED: 'canceled', EXPIRED: 'expired' };
+
+const formatMsOrder = (o) => {
+  const usdPrice = parseFloat(o.usd_price || 0);
+  const createdAt = o.createdAt || o.created_at || null;
+  const orderType = o.order_type || 'market';
+  return {
+    id: o.id,
+    orderId: o.order_id,
+    symbol: o.symbol,
+    logo: `/api/v1/assets/logo/${o.symbol}`,
+    side: o.side.toLowerCase(),       // Flutter expects lowercase: 'buy' / 'sell'
+    orderType,
+    quantity: parseFloat(o.quantity),
+    price: usdPrice,                  // Flutter: json['price']
+    averagePrice: usdPrice,           // Flutter: json['averagePrice']
+    // Resting orders report their local-currency trigger; filled market orders keep the fill price
+    limitPrice: orderType === 'market' ? usdPrice : (o.limit_price != null ? parseFloat(o.limit_price) : null),
+    stopPrice: o.stop_price != null ? parseFloat(o.stop_price) : null,
+    trailPercent: o.trail_percent != null ? parseFloat(o.trail_percent) : null,
+    trailAmount: o.trail_amount != null ? parseFloat(o.trail_amount) : null,
+    highWaterMark: o.high_water_mark != null ? parseFloat(o.high_water_mark) : null,
+    timeInForce: o.time_in_force || null,
+    expiresAt: o.expires_at || null,
+    triggeredAt: o.triggered_at || null,
+    rejectionReason: o.rejection_reason || null,
+    localPrice: parseFloat(o.local_price || 0),
+    usdPrice,
+    grossUsd: parseFloat(o.gross_usd || 0),
+    feeUsd: parseFloat(o.fee_usd || 0),
+    totalCostUsd: parseFloat(o.total_cost_usd || 0),
+    currency: o.currency,
+    status: msStatusToAlpaca[o.status] || o.status.toLowerCase(),
+    exchange: o.exchange,
+    filledAt: o.filled_at,
+    submittedAt: createdAt,           // Flutter: json['submittedAt'] → date display
+    createdAt
+  };
+};
+
+// Returns an error message when the legs don't fit the requested Alpaca order class
+const validateOrderClass = ({ orderClass, orderType, timeInForce, takeProfit, stopLoss }) => {
+  if (orderClass === 'simple') return null;
+
+  if (!['day', 'gtc'].includes(timeInForce || 'day')) {
+    return `${orderClass} orders must use day or gtc time_in_force`;
+  }
+  const hasTakeProfit = takeProfit?.limit_price != null;
+  const hasStopLoss = stopLoss?.stop_price != null;
+  if (orderClass === 'oto') {
+    if (hasTakeProfit === hasStopLoss) return 'oto orders need exactly one of take_profit or stop_loss';
+  } else if (!hasTakeProfit || !hasStopLoss) {
+    return `${orderClass} orders need both take_profit.limit_price and stop_loss.stop_price`;
+  }
+  // An OCO's primary order is its take-profit limit; bracket/OTO entries are market or limit
+  if (orderClass === 'oco' && orderType !== 'limit') {
+    return 'oco orders must be limit orders';
+  }
+  if (orderClass !== 'oco' && !['market', 'limit'].includes(orderType)) {
+    return `${orderClass} entry orders must be market or limit`;
+  }
+  return null;
+};
+
+// Track the take-profit / stop-loss legs Alpaca created for an advanced order as child rows
+const createLegOrders = async (parent, legs, { commissionRate, exchangeRate }) => {
+  const legOrders = [];
+
+  for (const leg of legs || []) {
+    const legQuantity = parseFloat(leg.qty || parent.quantity);
+    const legPrice = parseFloat(leg.limit_price || leg.stop_price || 0);
+    const legValue = legQuantity * legPrice;
+    const legCommissionUsd = legValue * commissionRate;
+
+    legOrders.push(await Order.create({
+      user_id: parent.user_id,
+      alpaca_order_id: leg.id,
+      symbol: parent.symbol,
+      side: leg.side,
+      order_type: leg.type,
+      order_class: parent.order_class,
+      parent_order_id: parent.id,
+      leg_type: leg.type === 'limit' ? 'take_profit' : 'stop_loss',
+      quantity: legQuantity,
+      limit_price: leg.limit_price ? parseFloat(leg.limit_price) : null,
+      stop_price: leg.stop_price ? parseFloat(leg.stop_price) : null,
+      time_in_force: leg.time_in_force || parent.time_in_force,
+      order_value: legValue,
+      currency: 'USD',
+      exchange_rate: exchangeRate,
+      status: leg.status || 'held',
+      fees: {
+        commission: {
+          rate: commissionRate,
+          percentage: parent.fees.commission.percentage,
+          amountUsd: legCommissionUsd,
+          amountKes: legCommissionUsd * exchangeRate
+        },
+        stockValueUsd: legValue,
+        stockValueKes: legValue * exchangeRate
+      },
+      metadata: {
+        client_order_id: leg.client_order_id,
+        parent_client_order_id: parent.metadata.client_order_id
+      }
+    }));
+  }
+
+  return legOrders;
+};
+
+const formatLegOrder = (leg) => ({
+  id: leg.id,
+  alpacaOrderId: leg.alpaca_order_id,
+  legType: leg.leg_type,
+  side: leg.side,
+  orderType: leg.order_type,
+  quantity: leg.quantity,
+  limitPrice: leg.limit_price,
+  stopPrice: leg.stop_price,
+  status: leg.status,
+  filledAt: leg.filled_at
+});
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Broker limitation: minimum order value is $1
+const MIN_ORDER_VALUE_USD = 1;
+
+// Returns an error message when a US order's type, class, notional or trail settings don't fit together
+const validateUsOrder = ({ orderType, orderClass, timeInForce, takeProfit, stopLoss, notional, trailPercent, trailAmount }) => {
+  const orderClassError = validateOrderClass({ orderClass, orderType, timeInForce, takeProfit, stopLoss });
+  if (orderClassError) return orderClassError;
+
+  // Alpaca only accepts notional amounts on simple market day orders
+  if (notional != null && (orderType !== 'market' || orderClass !== 'simple' || (timeInForce || 'day') !== 'day')) {
+    return 'notional orders must be simple market orders with day time_in_force';
+  }
+
+  if (orderType === 'trailing_stop') {
+    return validateTrail({ trailPercent, trailAmount })
+      || (!['day', 'gtc'].includes(timeInForce || 'day') && 'trailing_stop orders must use day or gtc time_in_force')
+      || null;
+  }
+  return null;
+};
+
+// Prices a US order and the cash available to fund it. createOrder and previewOrder both start here,
+// so the confirmation screen shows exactly what placing the order will charge.
+const estimateUsOrder = async ({ user, symbol, orderClass, quantity, notional, notionalCurrency, limitPrice, takeProfit, stopLoss }) => {
+  // Get Alpaca account to check available cash
+  const alpacaAccount = await alpacaService.getAccount(user.alpaca_account_id);
+  const alpacaCashOnly = parseFloat(alpacaAccount.cash || 0);
+
+  // Get local wallet balance to combine with Alpaca cash
+  let wallet = await Wallet.findOne({ where: { user_id: user.id } });
+  if (!wallet) {
+    wallet = { kes_balance: 0, usd_balance: 0, frozen_kes: 0, frozen_usd: 0 };
+  }
+  const localUsdBalance = parseFloat(wallet.usd_balance) || 0;
+  const localKesBalance = parseFloat(wallet.kes_balance) || 0;
+
+  // Get exchange rate for KES to USD conversion
+  const exchangeRate = await exchangeService.getExchangeRate('USD', 'KES');
+  const localCashUsd = localUsdBalance + (localKesBalance / exchangeRate);
+
+  // Combined available cash = Alpaca cash + Local wallet (matching portfolio calculation)
+  const alpacaCash = alpacaCashOnly + localCashUsd;
+
+  // Get current stock price for order value calculation
+  const quote = await alpacaService.getLatestQuote(symbol);
+
+  let estimatedPrice = 0;
+  if (limitPrice) {
+    estimatedPrice = parseFloat(limitPrice);
+  } else if (orderClass === 'oco') {
+    estimatedPrice = parseFloat(takeProfit.limit_price);
+  } else if (quote.ap) {
+    estimatedPrice = parseFloat(quote.ap);
+  } else if (quote.bp) {
+    estimatedPrice = parseFloat(quote.bp);
+  }
+
+  // A notional order's share count is only an estimate until Alpaca fills it
+  const notionalAmounts = notional != null ? convertNotional(notional, notionalCurrency, exchangeRate) : null;
+  const parsedQuantity = notionalAmounts
+    ? Math.round((notionalAmounts.usd / estimatedPrice) * 1e6) / 1e6
+    : parseFloat(quantity);
+  const orderValue = notionalAmounts ? notionalAmounts.usd : parsedQuantity * estimatedPrice;
+
+  const commissionRate = await platformConfigService.getSetting('trade_fee_rate');
+  const commissionUsd = orderValue * commissionRate;
+
+  // Exit legs of an advanced order. Only one of them can fill (for an OCO it fills instead of the
+  // primary take-profit), so the breakdown budgets the most expensive outcome.
+  const exitLegs = [];
+  if (orderClass !== 'simple') {
+    if (takeProfit?.limit_price != null && orderClass !== 'oco') {
+      exitLegs.push({ legType: 'take_profit', priceUsd: parseFloat(takeProfit.limit_price) });
+    }
+    if (stopLoss?.stop_price != null) {
+      exitLegs.push({ legType: 'stop_loss', priceUsd: parseFloat(stopLoss.limit_price || stopLoss.stop_price) });
+    }
+    for (const leg of exitLegs) {
+      leg.valueUsd = parsedQuantity * leg.priceUsd;
+      leg.commissionUsd = leg.valueUsd * commissionRate;
+    }
+  }
+  const maxLegCommissionUsd = exitLegs.reduce((max, leg) => Math.max(max, leg.commissionUsd), 0);
+  const legCommissionUsd = orderClass === 'oco'
+    ? Math.max(0, maxLegCommissionUsd - commissionUsd)
+    : maxLegCommissionUsd;
+
+  return {
+    alpacaCash,
+    exchangeRate,
+    quote,
+    estimatedPrice,
+    notionalAmounts,
+    parsedQuantity,
+    orderValue,
+    commissionRate,
+    commissionUsd,
+    exitLegs,
+    legCommissionUsd,
+    totalCostUsd: orderValue + commissionUsd + legCommissionUsd
+  };
+};
+
+const minimumOrderValueError = ({ orderValue, estimatedPrice, parsedQuantity }) => {
+  if (orderValue >= MIN_ORDER_VALUE_USD) return null;
+
+  const minQuantity = Math.ceil((MIN_ORDER_VALUE_USD / estimatedPrice) * 10000) / 10000;
+  return {
+    type: 'minimum_order_value',
+    orderValue: `$${orderValue.toFixed(4)}`,
+    minimumRequired: `$${MIN_ORDER_VALUE_USD}`,
+    currentPrice: `$${estimatedPrice.toFixed(2)}`,
+    currentQuantity: parsedQuantity,
+    minimumQuantity: minQuantity,
+    suggestion: `Increase quantity to at least ${minQuantity} shares to meet the $${MIN_ORDER_VALUE_USD} minimum order value`
+  };
+};
+
+// The 400 body for a US buy whose total cost is more than the cash available
+const insufficientFundsResponse = ({ alpacaCash, totalCostUsd }) => {
+  const usd = (amount) => `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const shortfall = totalCostUsd - alpacaCash;
+  return {
+    success: false,
+    message: 'Insufficient funds to place this order',
+    error: {
+      type: 'insufficient_funds',
+      currency: 'USD',
+      required: usd(totalCostUsd),
+      available: usd(alpacaCash),
+      shortfall: usd(shortfall),
+      suggestions: [
+        `Deposit at least ${usd(shortfall)} to complete this order`,
+        'Try a smaller order amount'
+      ]
+    }
+  };
+};
+
+// The fee snapshot stored on Order.fees
+const buildUsFees = ({ exchangeRate, orderValue, commissionRate, commissionUsd, exitLegs, legCommissionUsd, totalCostUsd }, orderClass) => ({
+  commission: {
+    rate: commissionRate,
+    percentage: '1%',
+    amountUsd: commissionUsd,
+    amountKes: commissionUsd * exchangeRate
+  },
+  totalCostUsd: totalCostUsd,
+  totalCostKes: totalCostUsd * exchangeRate,
+  stockValueUsd: orderValue,
+  stockValueKes: orderValue * exchangeRate,
+  ...(exitLegs.length > 0 && {
+    orderClass,
+    legs: exitLegs.map(leg => ({
+      ...leg,
+      valueKes: leg.valueUsd * exchangeRate,
+      commissionKes: leg.commissionUsd * exchangeRate
+    })),
+    legCommission: {
+      amountUsd: legCommissionUsd,
+      amountKes: legCommissionUsd * exchangeRate
+    }
+  })
+});
+
+const formatCostBreakdown = (fees) => ({
+  stockValue: {
+    usd: fees.stockValueUsd,
+    kes: fees.stockValueKes
+  },
+  commission: {
+    usd: fees.commission.amountUsd,
+    kes: fees.commission.amountKes,
+    rate: fees.commission.percentage
+  },
+  ...(fees.legCommission && {
+    exitCommission: {
+      usd: fees.legCommission.amountUsd,
+      kes: fees.legCommission.amountKes
+    }
+  }),
+  totalCost: {
+    usd: fees.totalCostUsd,
+    kes: fees.totalCostKes
+  }
+});
+
+// Share count for an African order; a notional amount becomes the fractional quantity it covers
+const resolveAfricanQuantity = async ({ msSymbol, orderType, quantity, notional, notionalCurrency }) => {
+  if (notional == null) {
+    const qty = parseFloat(quantity);
+    if (!qty || qty <= 0) throw httpError(400, 'qty must be a positive number');
+    return { qty, notionalAmounts: null };
+  }
+
+  if (msRestingOrderService.orderTypes.includes((orderType || '').toLowerCase())) {
+    throw httpError(400, 'notional orders must be market orders');
+  }
+  // A KES amount buys NSE shares at their KES price; on other exchanges the USD amount buys at the
+  // USD price, since the local price is in NGN, ZAR and so on
+  const quote = await getMyStocksQuote(msSymbol);
+  const priceInKes = quote?.currency === 'KES';
+  const price = priceInKes ? quote?.localPrice : quote?.usdPrice;
+  if (!price) {
+    throw httpError(503, 'Unable to fetch current price. Please try again.');
+  }
+  const notionalAmounts = convertNotional(notional, notionalCurrency, await exchangeService.getExchangeRate('USD', 'KES'));
+  const qty = notionalToQuantity(priceInKes ? notionalAmounts.kes : notionalAmounts.usd, price);
+  if (!qty) throw httpError(400, 'Notional amount is too small to buy a fraction of a share');
+  return { qty, notionalAmounts };
+};
+
+// USD price used for demo-mode African trades, with a user-facing reason when it can't be fetched
+const fetchDemoUsdPrice = async (msSymbol) => {
+  let currentPrice = 0;
+  let stockCurrency = 'KES';
+  let priceError = null;
+  try {
+    const quote = await getMyStocksQuote(msSymbol);
+    currentPrice = quote?.usdPrice || 0;
+    stockCurrency = quote?.currency || 'KES';
+  } catch (err) {
+    const status = err?.response?.status;
+    if (status === 503 || status === 502 || status === 504) {
+      priceError = 'Market data is temporarily unavailable. Please try again in a moment.';
+    } else if (err.message?.includes('timeout')) {
+      priceError = 'Market data request timed out. Please try again.';
+    } else {
+      priceError = 'Unable to fetch current price for this stock.';
+    }
+  }
+  return { currentPrice, stockCurrency, priceError };
+};
+
+const estimateDemoTrade = async (qty, priceUsd) => {
+  const gross = Math.round(qty * priceUsd * 100) / 100;
+  const tradeFeeRate = await platformConfigService.getSetting('trade_fee_rate');
+  const fee = Math.round(gross * tradeFeeRate * 100) / 100;
+  return { gross, fee, totalCost: gross + fee, proceeds: Math.round((gross - fee) * 100) / 100 };
+};
+
+// MyStocks quote for a market order: the local-currency price it fills at and the listing's currency
+const fetchMsQuote = async (msSymbol) => {
+  try {
+    return await getMyStocksQuote(msSymbol);
+  } catch (_) {
+    return null;
+  }
+};
+
+// KES cost of a MyStocks market BUY and the wallet balance that can fund it
+const estimateMsBuy = async (userId, qty, localPrice) => {
+  const exchangeRate = await exchangeService.getExchangeRate('USD', 'KES');
+  const tradeFeeRate = await platformConfigService.getSetting('trade_fee_rate');
+  const grossKes = qty * localPrice;
+  const feeKes = Math.round(grossKes * tradeFeeRate * 100) / 100;
+  const totalKes = grossKes + feeKes;
+
+  const wallet = await Wallet.findOne({ where: { user_id: userId } });
+  const kesBalance = parseFloat(wallet?.kes_balance || 0);
+  // KES held for resting BUY orders can't fund a market order
+  const availableKes = kesBalance - parseFloat(wallet?.frozen_kes || 0);
+
+  return { exchangeRate, tradeFeeRate, grossKes, feeKes, totalKes, wallet, kesBalance, availableKes };
+};
+
+// placeOrder answers with the response POST /orders sends rather than throwing
+const reply = (status, body) => ({ status, body });
+
+/**
+ * Place an order for a user, routed to MyStocks (African exchanges), the paper-trading account or
+ * Alpaca exactly as POST /api/v1/orders does. Never throws: resolves with the HTTP status and body
+ * the endpoint answers with, so callers outside a request (recurring plans) see the same outcome.
+ *
+ * @param {string} userId
+ * @param {object} body - the order request, in the POST /orders body shape
+ * @param {{ idempotencyKey?: string }} [options] - the key also sets the Alpaca client_order_id
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+const placeOrder = async (userId, body, { idempotencyKey } = {}) => {
+  try {
+    const {
+      symbol,
+      side,
+      type: orderType,
+      qty: quantity,
+      notional,
+      notional_currency: notionalCurrency = 'USD',
+      limit_price: limitPrice,
+      stop_price: stopPrice,
+      trail_percent: trailPercent,
+      trail_amount: trailAmount,
+      time_in_force: timeInForce,
+      order_class: orderClass = 'simple',
+      take_profit: takeProfit,
+      stop_loss: stopLoss,
+      currency = 'USD',
+      exchange
+    } = body;
+
+    const { alpacaEnabled, mystocksEnabled } = await platformConfigService.getProviderFlags();
+    const user = await User.findByPk(userId);
+
+    // African exchange → MyStocks trade (or paper trade in demo mode)
+    if (isAfrican(exchange)) {
+      if (!mystocksEnabled) {
+        return reply(503, { success: false, message: 'African market trading is currently disabled.' });
+      }
+      const tradeType = (side || orderType || '').toUpperCase();
+      if (!['BUY', 'SELL'].includes(tradeType)) {
+        return reply(400, { success: false, message: 'side must be BUY or SELL for African exchanges' });
+      }
+      const msSymbol = symbol.toUpperCase();
+
+      let qty;
+      let notionalAmounts;
+      try {
+        ({ qty, notionalAmounts } = await resolveAfricanQuantity({ msSymbol, orderType, quantity, notional, notionalCurrency }));
+      } catch (quantityError) {
+        if (!quantityError.status) throw quantityError;
+        return reply(quantityError.status, { success: false, message: quantityError.message });
+      }
+
+      // Demo mode: execute as paper trade using demo balance
+      const isDemo = user?.account_mode === 'demo' || process.env.NODE_ENV === 'development';
+
+      // Trailing stops are the only resting order simulated for paper trades
+      if (isDemo && (orderType || '').toLowerCase() === 'trailing_stop') {
+        try {
+          const order = await paperOrderService.createTrailingStop(userId, {
+            symbol: msSymbol, exchange, side: tradeType, quantity: qty, trailPercent, trailAmount
+          });
+          return reply(201, {
+            success: true,
+            provider: 'demo',
+            message: 'Order accepted and will execute when triggered',
+            order: { id: order.id, symbol: msSymbol, side: 'SELL', quantity: qty, orderType: 'trailing_stop', stopPrice: parseFloat(order.stop_price), highWaterMark: parseFloat(order.high_water_mark), status: 'pending_new' }
+          });
+        } catch (paperError) {
+          if (!paperError.status) throw paperError;
+          return reply(paperError.status, { success: false, message: paperError.message, required: paperError.required, available: paperError.available });
+        }
+      }
+
+      // Limit / stop / trailing-stop orders rest server-side until the watcher sees their trigger price
+      if (msRestingOrderService.orderTypes.includes((orderType || '').toLowerCase())) {
+        if (isDemo) {
+          return reply(400, { success: false, message: 'Only market and trailing_stop orders are supported in demo mode for African exchanges' });
+        }
+        try {
+          const order = await msRestingOrderService.createRestingOrder(userId, {
+            symbol: msSymbol,
+            exchange,
+            side: tradeType,
+            orderType,
+            quantity: qty,
+            limitPrice,
+            stopPrice,
+            trailPercent,
+            trailAmount,
+            timeInForce: (timeInForce || 'day').toLowerCase()
+          });
+          return reply(201, { success: true, provider: 'mystocks', message: 'Order accepted and will execute when triggered', order: formatMsOrder(order) });
+        } catch (restingError) {
+          if (!restingError.status) throw restingError;
+          return reply(restingError.status, {
+            success: false,
+            message: restingError.message,
+            required: restingError.required,
+            available: restingError.available
+          });
+        }
+      }
+
+      if (isDemo) {
+        const demoBalance = parseFloat(user?.demo_balance || 0);
+        const { currentPrice, stockCurrency, priceError } = await fetchDemoUsdPrice(msSymbol);
+        if (!currentPrice || currentPrice <= 0) {
+          return reply(503, { success: false, message: priceError || 'Unable to fetch current price for this stock.' });
+        }
+        const { gross, fee, totalCost, proceeds } = await estimateDemoTrade(qty, currentPrice);
+        if (tradeType === 'BUY') {
+          if (demoBalance < totalCost) {
+            return reply(400, { success: false, message: 'Insufficient demo balance', available: parseFloat(demoBalance.toFixed(2)), required: parseFloat(totalCost.toFixed(2)) });
+          }
+          const newBalance = Math.round((demoBalance - totalCost) * 100) / 100;
+          const demoOrder = await DemoOrder.create({ user_id: userId, symbol: msSymbol, side: 'BUY', quantity: qty, price_usd: currentPrice, gross_usd: gross, fee_usd: fee, total_cost_usd: totalCost, currency: stockCurrency, exchange: exchange.toUpperCase(), balance_after: newBalance, status: 'FILLED', filled_at: new Date() });
+          await user.update({ demo_balance: newBalance });
+          recordRevenue('trade_fee', { userId, amountUsd: fee, currency: 'USD', reference: `DEMO_${demoOrder.id}` });
+          return reply(201, { success: true, provider: 'demo', order: { symbol: msSymbol, side: 'BUY', quantity: qty, price: currentPrice, gross, fee, totalCost, balanceAfter: newBalance, ...(notionalAmounts && { notional: notionalAmounts }) } });
+        } else {
+          const netQty = await paperOrderService.getAvailableShares(userId, msSymbol);
+          if (netQty < qty) return reply(400, { success: false, message: 'Insufficient shares', available: parseFloat(netQty.toFixed(6)), required: qty });
+          const newBalance = Math.round((demoBalance + proceeds) * 100) / 100;
+          const demoOrder = await DemoOrder.create({ user_id: userId, symbol: msSymbol, side: 'SELL', quantity: qty, price_usd: currentPrice, gross_usd: gross, fee_usd: fee, total_cost_usd: proceeds, currency: stockCurrency, exchange: exchange.toUpperCase(), balance_after: newBalance, status: 'FILLED', filled_at: new Date() });
+          await user.update({ demo_balance: newBalance });
+          recordRevenue('trade_fee', { userId, amountUsd: fee, currency: 'USD', reference: `DEMO_${demoOrder.id}` });
+          return reply(201, { success: true, provider: 'demo', order: { symbol: msSymbol, side: 'SELL', quantity: qty, price: currentPrice, gross, fee, proceeds, balanceAfter: newBalance, ...(notionalAmounts && { notional: notionalAmounts }) } });
+        }
+      }
+
+      const subAccountId = await ensureMyStocksSubAccount(userId);
+
+      // For BUY orders: auto-fund MyStocks sub-account from local KES wallet
+      let funding = null;
+      let saga = null;
+      let data;
+      if (tradeType === 'BUY') {
+        const currentPrice = (await fetchMsQuote(msSymbol))?.localPrice;
+        if (!currentPrice || currentPrice <= 0) {
+          return reply(503, { success: false, message: 'Unable to fetch current price. Please try again.' });
+        }
+
+        const { exchangeRate, totalKes, wallet, availableKes } = await estimateMsBuy(userId, qty, currentPrice);
+
+        if (availableKes < totalKes) {
+          return reply(400, {
+            success: false,
+            message: 'Insufficient balance',
+            required: `KES ${totalKes.toFixed(2)}`,
+            available: `KES ${availableKes.toFixed(2)}`,
+          });
+        }
+
+        // Convert KES → USD, fund the MyStocks sub-account and place the trade as a saga. The wallet
+        // is debited first so the same KES can't fund two orders, and the funding is swept back to
+        // it if the deposit or the trade fails.
+        const usdAmount = Math.round((totalKes / exchangeRate) * 10000) / 10000;
+        const fundingReference = `ORDER_${uuidv4()}`;
+        try {
+          ({ saga, data } = await msBuySagaService.run({
+            userId,
+            wallet,
+            subAccountId,
+            symbol: msSymbol,
+            quantity: qty,
+            totalKes,
+            usdAmount,
+            exchangeRate,
+            fundingReference,
+            description: `Fund MyStocks BUY ${qty} ${msSymbol}`
+          }, () => ms.placeTrade(subAccountId, { symbol: msSymbol, type: tradeType, quantity: qty })));
+        } catch (sagaErr) {
+          if (sagaErr.sagaStep === 'wallet' && sagaErr.status === 400) {
+            return reply(400, {
+              success: false,
+              message: 'Insufficient balance',
+              required: `KES ${totalKes.toFixed(2)}`,
+              available: `KES ${availableKes.toFixed(2)}`,
+            });
+          }
+          if (sagaErr.sagaStep === 'funding') {
+            logger.error(`MyStocks deposit failed for user ${userId}: ${sagaErr.message}`);
+            const msError = sagaErr.response?.data?.error || sagaErr.response?.data?.message || '';
+            const userMessage = msError.toLowerCase().includes('master wallet')
+              ? 'Trading services are temporarily unavailable. Please try again later or contact support.'
+              : 'Failed to fund trading account. Please try again.';
+            return reply(502, { success: false, message: userMessage });
+          }
+          if (sagaErr.sagaStep === 'trade' && sagaErr.outcomeUnknown) {
+            return reply(502, {
+              success: false,
+              message: `We could not confirm whether your order was placed. KES ${totalKes.toFixed(2)} stays reserved for it while we check with the exchange.`,
+              refunded: false,
+              outcomeUnknown: true
+            });
+          }
+          if (sagaErr.sagaStep === 'trade') {
+            const msError = sagaErr.response?.data?.error || sagaErr.response?.data?.message;
+            const refund = sagaErr.compensated
+              ? `KES ${totalKes.toFixed(2)} has been returned to your wallet.`
+              : `KES ${totalKes.toFixed(2)} is being returned to your wallet.`;
+            return reply(502, { success: false, message: `${msError || 'Failed to place trade'}. ${refund}`, refunded: !!sagaErr.compensated });
+          }
+          throw sagaErr;
+        }
+        funding = { funding_reference: fundingReference, funded_kes: totalKes, funded_usd: usdAmount };
+      } else {
+        data = await ms.placeTrade(subAccountId, { symbol: msSymbol, type: tradeType, quantity: qty });
+      }
+
+      const msOrder = await MsOrder.create({
+        user_id: userId,
+        order_id: data?.orderId || null,
+        symbol: msSymbol,
+        side: tradeType,
+        quantity: qty,
+        local_price: data?.localPrice || null,
+        usd_price: data?.usdPrice || null,
+        gross_usd: data?.gross || null,
+        fee_usd: data?.fee || null,
+        total_cost_usd: data?.totalCost || null,
+        currency: data?.currency || 'KES',
+        status: data?.status || 'FILLED',
+        exchange: exchange?.toUpperCase() || 'NSE',
+        wallet_balance_after: data?.newWalletBalance || null,
+        filled_at: new Date(),
+        ...funding
+      });
+      if (saga) await saga.update({ ms_order_id: msOrder.id });
+      if (data?.newWalletBalance != null) {
+        const [updated] = await User.update(
+          { mystocks_wallet_balance: data.newWalletBalance },
+          { where: { id: userId } }
+        );
+        logger.info(`MyStocks wallet balance updated for user ${userId}: ${data.newWalletBalance} (rows updated: ${updated})`);
+      }
+      return reply(202, { success: true, provider: 'mystocks', data, ...(notionalAmounts && { notional: notionalAmounts }) });
+    }
+
+    if (!alpacaEnabled) {
+      return reply(503, { success: false, message: 'US market trading is currently disabled.' });
+    }
+
+    const usOrderError = validateUsOrder({
+      orderType, orderClass, timeInForce, takeProfit, stopLoss, notional, trailPercent, trailAmount
+    });
+    if (usOrderError) {
+      return reply(400, { success: false, message: usOrderError });
+    }
+
+    if (!user || !user.alpaca_account_id) {
+      return reply(404, {
+        success: false,
+        message: 'No trading account found. Complete onboarding to start trading.'
+      });
+    }
+
+    const estimate = await estimateUsOrder({
+      user, symbol, orderClass, quantity, notional, notionalCurrency, limitPrice, takeProfit, stopLoss
+    });
+    const {
+      alpacaCash,
+      exchangeRate,
+      estimatedPrice,
+      notionalAmounts,
+      parsedQuantity,
+      commissionRate: COMMISSION_RATE,
+      totalCostUsd
+    } = estimate;
+
+    // Validate estimated price
+    if (!estimatedPrice || isNaN(estimatedPrice) || estimatedPrice <= 0) {
+      return reply(400, {
+        success: false,
+        message: 'Unable to determine stock price. Please try again or use a limit order.',
+        error: 'Price unavailable'
+      });
+    }
+
+    if (!parsedQuantity || isNaN(parsedQuantity) || parsedQuantity <= 0) {
+      return reply(400, {
+        success: false,
+        message: 'Invalid quantity',
+        error: 'Quantity must be a positive number'
+      });
+    }
+
+    const minimumValueError = minimumOrderValueError(estimate);
+    if (minimumValueError) {
+      return reply(400, {
+        success: false,
+        message: 'Order value is below the minimum required',
+        error: minimumValueError
+      });
+    }
+
+    // Check Alpaca buying power (all orders execute in USD on Alpaca)
+    if (side === 'buy' && alpacaCash < totalCostUsd) {
+      return reply(400, insufficientFundsResponse(estimate));
+    }
+
+    // Create order in database first
+    const order = await Order.create({
+      user_id: userId,
+      symbol: symbol.toUpperCase(),
+      side,
+      order_type: orderType,
+      order_class: orderClass,
+      quantity: parsedQuantity,
+      notional: notionalAmounts ? notionalAmounts.usd : null,
+      limit_price: limitPrice ? parseFloat(limitPrice) : null,
+      stop_price: stopPrice ? parseFloat(stopPrice) : null,
+      trail_percent: trailPercent != null ? parseFloat(trailPercent) : null,
+      trail_amount: trailAmount != null ? parseFloat(trailAmount) : null,
+      time_in_force: timeInForce || 'day',
+      order_value: estimate.orderValue,
+      currency: 'USD', // All orders execute in USD on Alpaca
+      exchange_rate: exchangeRate,
+      status: 'pending',
+      fees: buildUsFees(estimate, orderClass),
+      metadata: {
+        client_order_id: idempotencyKey
+          ? clientOrderIdFor(userId, idempotencyKey)
+          : `ORDER_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+        estimated_price: estimatedPrice,
+        display_currency: currency, // What currency user selected for display
+        ...(notionalAmounts && { notional_amount: notionalAmounts.amount, notional_currency: notionalAmounts.currency })
+      }
+    });
+
+    try {
+
+      // Prepare Alpaca order
+      const alpacaOrderData = {
+        symbol: symbol.toUpperCase(),
+        side,
+        orderType,
+        quantity: parsedQuantity,
+        notional: notionalAmounts ? notionalAmounts.usd : undefined,
+        timeInForce: timeInForce || 'day',
+        clientOrderId: order.metadata.client_order_id
+      };
+
+      if (limitPrice) alpacaOrderData.limitPrice = parseFloat(limitPrice);
+      if (stopPrice) alpacaOrderData.stopPrice = parseFloat(stopPrice);
+      if (trailPercent != null) alpacaOrderData.trailPercent = parseFloat(trailPercent);
+      else if (trailAmount != null) alpacaOrderData.trailAmount = parseFloat(trailAmount);
+      if (orderClass !== 'simple') {
+        alpacaOrderData.orderClass = orderClass;
+        if (takeProfit?.limit_price != null) {
+          alpacaOrderData.takeProfit = { limitPrice: parseFloat(takeProfit.limit_price) };
+        }
+        if (stopLoss?.stop_price != null) {
+          alpacaOrderData.stopLoss = {
+            stopPrice: parseFloat(stopLoss.stop_price),
+            limitPrice: stopLoss.limit_price ? parseFloat(stopLoss.limit_price) : undefined
+          };
+        }
+      }
+
+      // Place order with Alpaca
+      const alpacaOrder = await alpacaService.createOrder(alpacaOrderData);
+
+      // Update order with Alpaca details
+      await order.updateFromAlpaca(alpacaOrder);
+
+      const legOrders = orderClass !== 'simple'
+        ? await createLegOrders(order, alpacaOrder.legs, { commissionRate: COMMISSION_RATE, exchangeRate })
+        : [];
+
+      logger.info(`Order created successfully for user ${userId}:`, {
+        orderId: order.id,
+        alpacaOrderId: alpacaOrder.id,
+        symbol,
+        side,
+        quantity
+      });
+
+      // Send notification email
+      try {
+        await emailService.sendTransactionEmail(user, {
+          type: `order_${side}`,
+          amount: estimate.orderValue,
+          currency,
+          status: 'submitted',
+          reference: order.id,
+          metadata: { symbol, quantity }
+        });
+      } catch (emailError) {
+        logger.warn('Failed to send order notification email:', emailError);
+      }
+
+      return reply(201, {
+        success: true,
+        message: 'Order placed successfully',
+        order: {
+          id: order.id,
+          alpacaOrderId: order.alpaca_order_id,
+          symbol: order.symbol,
+          side: order.side,
+          orderType: order.order_type,
+          orderClass: order.order_class,
+          quantity: order.quantity,
+          notional: order.notional,
+          status: order.status,
+          orderValue: order.order_value,
+          currency: order.currency,
+          exchangeRate: order.exchange_rate,
+          fees: order.fees,
+          legs: legOrders.map(formatLegOrder),
+          createdAt: order.createdAt
+        },
+        costBreakdown: formatCostBreakdown(order.fees)
+      });
+
+    } catch (alpacaError) {
+      // Update order status to failed
+      await order.update({
+        status: 'rejected',
+        rejection_reason: alpacaError.message
+      });
+
+      logger.error('Alpaca order creation failed:', alpacaError);
+
+      return reply(400, {
+        success: false,
+        message: 'Failed to place order with broker',
+        error: alpacaError.message
+      });
+    }
+
+  } catch (error) {
+    logger.error('Create order error:', error.message);
+    const msMessage = error.response?.data?.error || error.response?.data?.message;
+    const status = error.response?.status || 500;
+    return reply(status, {
+      success: false,
+      message: msMessage || error.message || 'Server error during order creation'
+    });
+  }
+};
+
+module.exports = {
+  placeOrder,
+  formatMsOrder,
+  formatLegOrder,
+  validateUsOrder,
+  estimateUsOrder,
+  minimumOrderValueError,
+  insufficientFundsResponse,
+  buildUsFees,
+  formatCostBreakdown,
+  resolveAfricanQuantity,
+  fetchDemoUsdPrice,
+  estimateDemoTrade,
+  fetchMsQuote,
+  estimateMsBuy
+};
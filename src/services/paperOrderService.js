@@ -0,0 +1,187 @@
+const { Op } = require('sequelize');
+const { DemoOrder, User } = require('../models');
+const alpacaService = require('./alpacaService');
+const platformConfigService = require('./platformConfigService');
+const { isAfrican, getMyStocksQuote } = require('../utils/mystocksQuote');
+const { validateTrail, advanceTrailingStop } = require('../utils/trailingStop');
+const logger = require('../utils/logger');
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Server-side simulation of paper-trading orders that don't fill immediately. Paper trades
+ * never reach a broker, so pending trailing stops are watched here and filled against the
+ * demo balance once the price retraces past the trail.
+ */
+class PaperOrderService {
+  constructor() {
+    this.isProcessing = false;
+  }
+
+  // Paper trades are priced in USD: MyStocks USD quote for African listings, Alpaca otherwise
+  async getPrice(symbol, exchange) {
+    if (isAfrican(exchange)) {
+      const quote = await getMyStocksQuote(symbol);
+      return { price: quote?.usdPrice || 0, currency: 'USD' };
+    }
+    const quote = await alpacaService.getLatestQuote(symbol);
+    return { price: parseFloat(quote.ap || quote.bp || 0), currency: 'USD' };
+  }
+
+  // Filled quantity held, less shares already promised to pending trailing stops
+  async getAvailableShares(userId, symbol) {
+    const orders = await DemoOrder.findAll({ where: { user_id: userId, symbol } });
+    let available = 0;
+    for (const o of orders) {
+      const qty = parseFloat(o.quantity);
+      if (o.status === 'FILLED') available += o.side === 'BUY' ? qty : -qty;
+      else if (o.status === 'PENDING' && o.side === 'SELL') available -= qty;
+    }
+    return available;
+  }
+
+  async createTrailingStop(userId, { symbol, exchange, side, quantity, trailPercent, trailAmount }) {
+    const sym = symbol.toUpperCase();
+    const qty = parseFloat(quantity);
+
+    if ((side || '').toUpperCase() !== 'SELL') {
+      throw badRequest('trailing_stop orders must be SELL orders');
+    }
+    const trailError = validateTrail({ trailPercent, trailAmount });
+    if (trailError) throw badRequest(trailError);
+
+    const available = await this.getAvailableShares(userId, sym);
+    if (available < qty) {
+      throw Object.assign(badRequest('Insufficient shares'), { available: parseFloat(available.toFixed(6)), required: qty });
+    }
+
+    const { price, currency } = await this.getPrice(sym, exchange);
+    if (!price || price <= 0) {
+      throw badRequest('Unable to fetch current price for this stock');
+    }
+
+    const trail = advanceTrailingStop({ trailPercent, trailAmount }, price);
+    const order = await DemoOrder.create({
+      user_id: userId,
+      symbol: sym,
+      side: 'SELL',
+      quantity: qty,
+      order_type: 'trailing_stop',
+      stop_price: trail.stopPrice,
+      trail_percent: trailPercent != null ? parseFloat(trailPercent) : null,
+      trail_amount: trailAmount != null ? parseFloat(trailAmount) : null,
+      high_water_mark: trail.highWaterMark,
+      currency,
+      exchange: exchange?.toUpperCase() || null,
+      status: 'PENDING',
+      filled_at: null
+    });
+
+    logger.info(`Paper trailing stop ${order.id} placed: user=${userId} sym=${sym} qty=${qty} stop=${trail.stopPrice}`);
+    return order;
+  }
+
+  async cancelOrder(userId, orderId) {
+    const order = await DemoOrder.findOne({ where: { id: orderId, user_id: userId } });
+    if (!order) return null;
+    if (order.status !== 'PENDING') {
+      throw badRequest(`Cannot cancel an order that is ${order.status.toLowerCase()}`);
+    }
+
+    await order.update({ status: 'CANCELLED' });
+    return order;
+  }
+
+  async checkPendingOrders() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const pending = await DemoOrder.findAll({
+        where: { status: 'PENDING', order_type: { [Op.in]: ['trailing_stop'] } }
+      });
+
+      const byListing = pending.reduce((groups, order) => {
+        const key = `${order.exchange || ''}:${order.symbol}`;
+        (groups[key] = groups[key] || []).push(order);
+        return groups;
+      }, {});
+
+      for (const orders of Object.values(byListing)) {
+        const { symbol, exchange } = orders[0];
+        let price;
+        try {
+          ({ price } = await this.getPrice(symbol, exchange));
+        } catch (error) {
+          logger.warn(`Paper price unavailable for ${symbol}: ${error.message}`);
+          continue;
+        }
+        if (!price) continue;
+
+        for (const order of orders) {
+          const trail = advanceTrailingStop({
+            highWaterMark: order.high_water_mark,
+            trailPercent: order.trail_percent,
+            trailAmount: order.trail_amount
+          }, price);
+
+          if (trail.triggered) {
+            await this.fillOrder(order, price);
+          } else if (trail.highWaterMark > parseFloat(order.high_water_mark || 0)) {
+            await order.update({ high_water_mark: trail.highWaterMark, stop_price: trail.stopPrice });
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('Error checking paper orders:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async fillOrder(order, price) {
+    const [claimed] = await DemoOrder.update(
+      { status: 'TRIGGERED', triggered_at: new Date() },
+      { where: { id: order.id, status: 'PENDING' } }
+    );
+    if (!claimed) return null;
+
+    try {
+      const qty = parseFloat(order.quantity);
+      // This order's own shares are no longer "promised" once it is claimed
+      const available = await this.getAvailableShares(order.user_id, order.symbol);
+      if (available < qty) {
+        await order.update({ status: 'REJECTED' });
+        logger.warn(`Paper trailing stop ${order.id} rejected: only ${available} ${order.symbol} held`);
+        return order;
+      }
+
+      const user = await User.findByPk(order.user_id, { attributes: ['id', 'demo_balance'] });
+      const tradeFeeRate = await platformConfigService.getSetting('trade_fee_rate');
+      const gross = Math.round(qty * price * 100) / 100;
+      const fee = Math.round(gross * tradeFeeRate * 100) / 100;
+      const proceeds = Math.round((gross - fee) * 100) / 100;
+      const newBalance = Math.round((parseFloat(user?.demo_balance || 0) + proceeds) * 100) / 100;
+
+      await user.update({ demo_balance: newBalance });
+      await order.update({
+        price_usd: price,
+        gross_usd: gross,
+        fee_usd: fee,
+        total_cost_usd: proceeds,
+        balance_after: newBalance,
+        status: 'FILLED',
+        filled_at: new Date()
+      });
+
+      logger.info(`Paper trailing stop ${order.id} filled: sym=${order.symbol} qty=${qty} price=${price} newBalance=${newBalance}`);
+    } catch (error) {
+      logger.error(`Paper trailing stop ${order.id} failed to fill:`, error);
+      await order.update({ status: 'REJECTED' });
+    }
+
+    return order;
+  }
+}
+
+module.exports = new PaperOrderService();
@@ -0,0 +1,139 @@
+const { WithdrawalReview, WithdrawalReviewAction } = require('../models');
+const websocketService = require('./websocketService');
+const ledgerService = require('./ledgerService');
+const { publishPaymentEvent } = require('../utils/redisPayment');
+const logger = require('../utils/logger');
+
+// Review statuses a payout outcome can still move on from
+const SETTLEABLE_REVIEW_STATUSES = ['auto_approved', 'approved', 'processing', 'payout_error'];
+
+/**
+ * Final state changes for KCB deposits and withdrawals, shared by the KCB callback and the
+ * pending payment poller so a payment settles the same way whichever of them hears first.
+ * Each method runs inside the caller's database transaction.
+ */
+class PaymentSettlementService {
+  // A confirmed deposit: credit the wallet and mark the transaction completed
+  async completeDeposit(txn, wallet, { amount, mpesaReceiptNumber, metadata = {} }, { transaction }) {
+    const creditedAmount = amount || Math.abs(parseFloat(txn.amount));
+    const source = txn.metadata?.paymentMethod === 'kcb_bank' ? 'Bank' : 'M-Pesa';
+
+    await ledgerService.recordDeposit(wallet, {
+      amount: creditedAmount,
+      currency: txn.currency || 'KES',
+      reference: txn.reference,
+      description: `${source} deposit ${mpesaReceiptNumber || txn.reference}`,
+      metadata: { mpesaReceiptNumber, checkoutRequestId: txn.checkout_request_id, transactionId: txn.id }
+    }, { transaction });
+
+    await txn.update({
+      status: 'completed',
+      amount: creditedAmount,
+      mpesa_transaction_id: mpesaReceiptNumber || txn.mpesa_transaction_id,
+      metadata: { ...txn.metadata, ...metadata, mpesaReceiptNumber }
+    }, { transaction });
+
+    return creditedAmount;
+  }
+
+  // A deposit that never arrived; nothing was credited, so only the transaction changes
+  async failDeposit(txn, { reason, metadata = {} }, { transaction }) {
+    await txn.update({
+      status: 'failed',
+      metadata: { ...txn.metadata, ...metadata, failureReason: reason }
+    }, { transaction });
+  }
+
+  // A payout the bank confirmed: the held amount leaves the platform and the freeze is released
+  async completeWithdrawal(txn, wallet, { metadata = {} }, { transaction }) {
+    const amount = Math.abs(parseFloat(txn.amount));
+    const currency = txn.currency || 'KES';
+
+    await ledgerService.settlePayout({
+      amount,
+      currency,
+      reference: txn.reference,
+      description: `Withdrawal ${txn.reference} confirmed`
+    }, { transaction });
+    if (wallet) await wallet.unfreezeFunds(amount, currency, { transaction });
+
+    await txn.update({
+      status: 'completed',
+      metadata: { ...txn.metadata, ...metadata, completedAt: new Date().toISOString() }
+    }, { transaction });
+    await this.settleReview(txn, 'paid', { metadata }, { transaction });
+  }
+
+  // A payout the bank rejected: the held amount goes back to the wallet and the freeze is released
+  async failWithdrawal(txn, wallet, { reason, metadata = {} }, { transaction }) {
+    const amount = Math.abs(parseFloat(txn.amount));
+    const currency = txn.currency || 'KES';
+
+    await ledgerService.reversePayout(wallet, {
+      amount,
+      currency,
+      reference: txn.reference,
+      description: `Withdrawal ${txn.reference} failed: refunded to wallet`
+    }, { transaction });
+    await wallet.unfreezeFunds(amount, currency, { transaction });
+
+    await txn.update({
+      status: 'failed',
+      metadata: {
+        ...txn.metadata,
+        ...metadata,
+        failureReason: reason,
+        refundedAmount: amount,
+        failedAt: new Date().toISOString()
+      }
+    }, { transaction });
+    await this.settleReview(txn, 'payout_failed', { note: reason, metadata }, { transaction });
+  }
+
+  /**
+   * Move the withdrawal's review, if it has one that is still waiting on the bank, to the
+   * payout outcome and add it to the audit trail. Reviews held, rejected or already settled
+   * are left alone.
+   */
+  async settleReview(txn, outcome, { note = null, metadata = {} } = {}, { transaction } = {}) {
+    const review = await WithdrawalReview.findOne({ where: { transaction_id: txn.id }, transaction });
+    if (!review || !SETTLEABLE_REVIEW_STATUSES.includes(review.status)) return null;
+
+    await review.update({ status: outcome }, { transaction });
+    await WithdrawalReviewAction.create({
+      review_id: review.id,
+      action: outcome,
+      note,
+      metadata
+    }, { transaction });
+    return review;
+  }
+
+  // Push the outcome to clients watching this payment on the payment websocket
+  async broadcast(txn, wallet, { status, message, metadata = {} }) {
+    try {
+      const paymentData = {
+        status,
+        type: txn.type,
+        amount: txn.amount,
+        currency: txn.currency || 'KES',
+        reference: txn.reference,
+        timestamp: new Date().toISOString(),
+        message,
+        wallet: wallet ? {
+          balance_kes: wallet.kes_balance,
+          balance_usd: wallet.usd_balance
+        } : null,
+        metadata: { ...metadata, transactionId: txn.id },
+        userId: wallet?.user_id || null
+      };
+
+      websocketService.broadcastPaymentUpdate(txn.reference, paymentData);
+      await publishPaymentEvent(txn.reference, paymentData);
+    } catch (error) {
+      logger.error(`Failed to broadcast ${status} for payment ${txn.reference}:`, error);
+    }
+  }
+}
+
+module.exports = new PaymentSettlementService();
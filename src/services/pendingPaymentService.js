@@ -0,0 +1,206 @@
+const { Op } = require('sequelize');
+const { sequelize, Wallet, Transaction } = require('../models');
+const kcbService = require('./kcbService');
+const paymentSettlementService = require('./paymentSettlementService');
+const standingDepositService = require('./standingDepositService');
+const logger = require('../utils/logger');
+const { parseKcbTransactionStatus } = require('../utils/kcbStatus');
+
+const KCB_PAYMENT_METHODS = ['kcb_bank', 'kcb_mpesa'];
+// Give the callback a head start before asking KCB ourselves
+const MIN_AGE_MINUTES = 2;
+// An STK push the customer hasn't answered by now has expired on their phone
+const STK_PUSH_TIMEOUT_MINUTES = parseInt(process.env.STK_PUSH_TIMEOUT_MINUTES, 10) || 15;
+// Money may already have moved for bank transfers and payouts, so silence is never treated as
+// failure; after this long they are flagged for an admin instead
+const REVIEW_AFTER_HOURS = 24;
+const BATCH_SIZE = 50;
+
+const minutesSince = (date, now) => (now - new Date(date)) / 60000;
+
+/**
+ * Settles KCB deposits and withdrawals whose callback never arrived, by polling
+ * kcbService.queryTransactionStatus. Unanswered STK pushes are timed out.
+ */
+class PendingPaymentService {
+  constructor() {
+    this.isProcessing = false;
+  }
+
+  async checkPendingPayments(now = new Date()) {
+    if (this.isProcessing) {
+      logger.warn('Pending payment check already in progress, skipping');
+      return null;
+    }
+
+    this.isProcessing = true;
+    const stats = { checked: 0, completed: 0, failed: 0, expired: 0, flagged: 0, pending: 0, errors: 0 };
+
+    try {
+      const transactions = await Transaction.findAll({
+        where: {
+          status: 'pending',
+          type: { [Op.in]: ['deposit', 'withdrawal'] },
+          'metadata.paymentMethod': { [Op.in]: KCB_PAYMENT_METHODS },
+          created_at: { [Op.lte]: new Date(now.getTime() - MIN_AGE_MINUTES * 60000) },
+          // Withdrawals held for review have not been sent to KCB yet
+          [Op.or]: [
+            { 'metadata.processingStatus': null },
+            { 'metadata.processingStatus': { [Op.ne]: 'pending_review' } }
+          ]
+        },
+        // Least recently checked first, so a large backlog is worked through in turn
+        order: [['updated_at', 'ASC']],
+        limit: BATCH_SIZE
+      });
+
+      for (const txn of transactions) {
+        stats.checked++;
+        try {
+          const outcome = await this.checkTransaction(txn, now);
+          stats[outcome]++;
+        } catch (error) {
+          stats.errors++;
+          logger.error(`Failed to check pending payment ${txn.reference}:`, error);
+        }
+      }
+
+      if (stats.checked > 0) {
+        logger.info('Pending payment check finished:', stats);
+      }
+      return stats;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * @returns {Promise<'completed'|'failed'|'expired'|'flagged'|'pending'>}
+   */
+  async checkTransaction(txn, now = new Date()) {
+    const result = await kcbService.queryTransactionStatus(txn.checkout_request_id || txn.reference);
+    const provider = result.success
+      ? parseKcbTransactionStatus(result.data)
+      : { status: 'unknown', amount: null, receipt: null, description: result.error || null };
+
+    if (provider.status === 'completed') {
+      const settled = await this.settle(txn, async (locked, wallet, transaction) => {
+        if (locked.type === 'deposit') {
+          await paymentSettlementService.completeDeposit(locked, wallet, {
+            amount: provider.amount,
+            mpesaReceiptNumber: provider.receipt,
+            metadata: { settledBy: 'status_poller' }
+          }, { transaction });
+        } else {
+          await paymentSettlementService.completeWithdrawal(locked, wallet, {
+            metadata: { settledBy: 'status_poller' }
+          }, { transaction });
+        }
+      }, {
+        status: 'completed',
+        message: txn.type === 'deposit'
+          ? 'Payment completed successfully! Your wallet has been credited.'
+          : 'Withdrawal completed successfully.'
+      });
+      return settled ? 'completed' : 'pending';
+    }
+
+    if (provider.status === 'failed') {
+      const reason = provider.description || 'Payment failed';
+      const settled = await this.settle(txn, async (locked, wallet, transaction) => {
+        if (locked.type === 'deposit') {
+          await paymentSettlementService.failDeposit(locked, {
+            reason,
+            metadata: { settledBy: 'status_poller' }
+          }, { transaction });
+        } else {
+          await paymentSettlementService.failWithdrawal(locked, wallet, {
+            reason,
+            metadata: { settledBy: 'status_poller' }
+          }, { transaction });
+        }
+      }, {
+        status: 'failed',
+        message: locked => locked.type === 'deposit'
+          ? `Payment failed: ${reason}`
+          : `Withdrawal failed: ${reason}. Funds have been returned to your wallet.`
+      });
+      return settled ? 'failed' : 'pending';
+    }
+
+    const ageMinutes = minutesSince(txn.created_at, now);
+    const isStkPush = txn.type === 'deposit' && txn.metadata?.paymentMethod === 'kcb_mpesa';
+
+    if (isStkPush && ageMinutes >= STK_PUSH_TIMEOUT_MINUTES) {
+      const reason = `No confirmation from M-Pesa within ${STK_PUSH_TIMEOUT_MINUTES} minutes`;
+      const settled = await this.settle(txn, async (locked, wallet, transaction) => {
+        // A success callback arriving later can still complete a deposit expired here
+        await paymentSettlementService.failDeposit(locked, {
+          reason,
+          metadata: { expiredBy: 'status_poller', expiredAt: now.toISOString(), lastProviderStatus: provider.status }
+        }, { transaction });
+      }, { status: 'failed', message: `Payment expired: ${reason}` });
+      return settled ? 'expired' : 'pending';
+    }
+
+    const metadata = {
+      ...txn.metadata,
+      statusChecks: (txn.metadata?.statusChecks || 0) + 1,
+      lastStatusCheckAt: now.toISOString(),
+      lastProviderStatus: provider.status
+    };
+
+    if (!isStkPush && !txn.metadata?.reviewRequired && ageMinutes >= REVIEW_AFTER_HOURS * 60) {
+      const reason = `KCB has not confirmed this ${txn.type} after ${REVIEW_AFTER_HOURS} hours`;
+      await txn.update({ metadata: { ...metadata, reviewRequired: true, reviewReason: reason } });
+
+      logger.warn('Pending KCB payment flagged for review:', { transactionId: txn.id, reference: txn.reference });
+      const wallet = await Wallet.findByPk(txn.wallet_id);
+      await paymentSettlementService.broadcast(txn, wallet, {
+        status: 'delayed',
+        message: `Your ${txn.type} is taking longer than usual. Our team is looking into it.`
+      });
+      return 'flagged';
+    }
+
+    await txn.update({ metadata });
+    return 'pending';
+  }
+
+  /**
+   * Re-reads the transaction under a row lock and applies `apply` only if it is still pending,
+   * since the KCB callback may have settled it since it was selected. Broadcasts after commit.
+   */
+  async settle(txn, apply, { status, message }) {
+    const dbTransaction = await sequelize.transaction();
+    let locked;
+    let wallet;
+
+    try {
+      locked = await Transaction.findByPk(txn.id, { transaction: dbTransaction, lock: true });
+      if (!locked || locked.status !== 'pending') {
+        await dbTransaction.rollback();
+        return false;
+      }
+
+      wallet = await Wallet.findByPk(locked.wallet_id, { transaction: dbTransaction, lock: true });
+      await apply(locked, wallet, dbTransaction);
+      await dbTransaction.commit();
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+
+    logger.info(`Pending KCB ${locked.type} ${locked.reference} settled by status poller: ${locked.status}`);
+    if (locked.type === 'deposit') await standingDepositService.handleSettlement(locked);
+    if (wallet) await wallet.reload();
+    await paymentSettlementService.broadcast(locked, wallet, {
+      status,
+      message: typeof message === 'function' ? message(locked) : message,
+      metadata: { failureReason: locked.metadata?.failureReason }
+    });
+    return true;
+  }
+}
+
+module.exports = new PendingPaymentService();
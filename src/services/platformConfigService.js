@@ -9,7 +9,21 @@ const DEFAULTS = {
   withdrawal_fee_rate: 0.015,
   alpaca_enabled: 1,
   mystocks_enabled: 1,
+  // Withdrawal controls (see withdrawalReviewService); only admins can change these
+  withdrawal_auto_approve_kes: 20000,
+  withdrawal_auto_approve_usd: 150,
+  withdrawal_daily_auto_approve_kes: 50000,
+  withdrawal_daily_auto_approve_usd: 400,
+  withdrawal_dual_approval_kes: 500000,
+  withdrawal_dual_approval_usd: 4000,
+  withdrawal_velocity_max_count: 5,
+  withdrawal_new_device_hours: 72,
+  // Payouts to a newly added beneficiary (see beneficiaryService)
+  withdrawal_beneficiary_cooling_off_hours: 24,
+  withdrawal_beneficiary_cooling_off_limit_kes: 10000,
+  withdrawal_beneficiary_cooling_off_limit_usd: 75,
 };
+const WITHDRAWAL_CONTROL_KEYS = Object.keys(DEFAULTS).filter(key => key.startsWith('withdrawal_') && key !== 'withdrawal_fee_rate');
 
 async function getSetting(key) {
   const cacheKey = `platform_config:${key}`;
@@ -47,4 +61,4 @@ async function getAllSettings() {
   return Object.fromEntries(rows.map(r => [r.key, { value: parseFloat(r.value), description: r.description }]));
 }
 
-module.exports = { getSetting, setSetting, getAllSettings, getProviderFlags };
+module.exports = { getSetting, setSetting, getAllSettings, getProviderFlags, WITHDRAWAL_CONTROL_KEYS };
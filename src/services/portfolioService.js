@@ -0,0 +1,400 @@
+const { User, Wallet, Order, MsOrder, DemoOrder } = require('../models');
+const alpacaService = require('./alpacaService');
+const ms = require('./mystocksService');
+const exchangeService = require('./exchangeService');
+const { getProviderFlags } = require('./platformConfigService');
+const { isAfrican, getMyStocksQuote } = require('../utils/mystocksQuote');
+const { parseMyStocksHoldings, myStocksCashBalance } = require('../utils/mystocksHoldings');
+const logger = require('../utils/logger');
+
+const unavailable = (message) => Object.assign(new Error(message), { status: 503 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+// users.demo_balance default
+const DEMO_STARTING_BALANCE = 10000;
+// Local Alpaca order statuses that mean the symbol still has an order working
+const OPEN_ORDER_STATUSES = [
+  'pending', 'new', 'partially_filled', 'accepted', 'pending_new',
+  'accepted_for_bidding', 'pending_cancel', 'pending_replace'
+];
+
+const toNumber = (value) => parseFloat(value || 0);
+const round2 = (value) => Math.round(value * 100) / 100;
+const sumOf = (items, key) => items.reduce((sum, item) => sum + (item[key] || 0), 0);
+
+// Runs `fn` inside a promise so that a client method that throws synchronously rejects instead
+const attempt = (fn) => Promise.resolve().then(fn);
+
+const africanAssetClass = (exchange) => (exchange?.toUpperCase() === 'NSE' ? 'ke_equity' : 'african_equity');
+
+/**
+ * A position in the normalized model every provider adapter returns. Amounts are in USD;
+ * `currency` is the currency the instrument is listed in.
+ */
+const makePosition = (fields) => {
+  const { symbol, quantity, averageEntryPrice, currentPrice } = fields;
+  const marketValue = fields.marketValue ?? quantity * currentPrice;
+  const costBasis = fields.costBasis ?? quantity * averageEntryPrice;
+  const unrealizedPL = marketValue - costBasis;
+  return {
+    provider: fields.provider,
+    symbol,
+    name: fields.name || symbol,
+    logo: fields.logo || `/api/v1/assets/logo/${symbol}`,
+    exchange: fields.exchange,
+    currency: fields.currency || 'USD',
+    assetClass: fields.assetClass,
+    sector: fields.sector || null,
+    side: fields.side || 'long',
+    quantity,
+    averageEntryPrice,
+    currentPrice,
+    marketValue,
+    costBasis,
+    unrealizedPL,
+    unrealizedPLPercent: costBasis > 0 ? round2((unrealizedPL / costBasis) * 100) : 0,
+    changeToday: fields.changeToday || 0,
+    lastDayPrice: fields.lastDayPrice || currentPrice,
+    status: fields.status || 'open',
+    ...(fields.orderId ? { orderId: fields.orderId, placedAt: fields.placedAt } : {})
+  };
+};
+
+// Net quantity and cost per symbol from filled DemoOrder or MsOrder rows
+const replayOrders = (orders, { priceField, currency }) => {
+  const bySymbol = {};
+  for (const o of orders) {
+    if (!bySymbol[o.symbol]) {
+      bySymbol[o.symbol] = { symbol: o.symbol, exchange: o.exchange || 'NSE', currency: o.currency || currency, quantity: 0, cost: 0 };
+    }
+    const qty = parseFloat(o.quantity);
+    const sign = o.side === 'BUY' ? 1 : -1;
+    bySymbol[o.symbol].quantity += sign * qty;
+    bySymbol[o.symbol].cost += sign * qty * toNumber(o[priceField]);
+  }
+  return Object.values(bySymbol).filter(p => p.quantity > 0.00001);
+};
+
+/**
+ * One portfolio across every provider a user trades through: Alpaca (US), MyStocks (African
+ * exchanges), the local KES/USD wallet, or the demo account on its own. Each provider has an
+ * adapter returning the same shape, { provider, cash, buyingPower, holdingsValue, equity,
+ * dayChange, positions, errors }, with positions in the model makePosition builds, and
+ * getPortfolio merges them into totals with a per-provider breakdown.
+ */
+class PortfolioService {
+  /**
+   * Which account a user's portfolio is read from, by the same rules trading uses: the demo
+   * account, MyStocks when the user has no Alpaca account or Alpaca is switched off, else Alpaca.
+   * Throws 503 when that provider is switched off, unless `requireEnabled` is false.
+   */
+  resolveMode(user, { alpacaEnabled, mystocksEnabled }, { requireEnabled = true } = {}) {
+    if (user.account_mode === 'demo' || process.env.NODE_ENV === 'development') return 'demo';
+    if (!user.alpaca_account_id || (!alpacaEnabled && mystocksEnabled)) {
+      if (!mystocksEnabled && requireEnabled) throw unavailable('Trading services are currently unavailable.');
+      return 'mystocks';
+    }
+    if (!alpacaEnabled && requireEnabled) throw unavailable('US market trading is currently disabled.');
+    return 'alpaca';
+  }
+
+  // Latest USD price from MyStocks for African listings and Alpaca otherwise; null if neither has one
+  async getLatestPrice(symbol, exchange) {
+    try {
+      if (isAfrican(exchange)) {
+        const quote = await getMyStocksQuote(symbol);
+        return quote?.usdPrice || null;
+      }
+      const quote = await alpacaService.getLatestQuote(symbol);
+      return parseFloat(quote?.ap || quote?.bp || 0) || null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Positions replayed from local order history, priced at the latest quote or else at cost
+  async priceReplayed(replayed, provider) {
+    return Promise.all(replayed.map(async p => {
+      const averageEntryPrice = p.cost > 0 ? p.cost / p.quantity : 0;
+      const currentPrice = (await this.getLatestPrice(p.symbol, p.exchange)) || averageEntryPrice;
+      return makePosition({
+        provider,
+        symbol: p.symbol,
+        exchange: p.exchange,
+        currency: p.currency,
+        assetClass: isAfrican(p.exchange) ? africanAssetClass(p.exchange) : 'us_equity',
+        quantity: p.quantity,
+        averageEntryPrice,
+        currentPrice
+      });
+    }));
+  }
+
+  async getDemoPositions(userId) {
+    const orders = await DemoOrder.findAll({ where: { user_id: userId, ...DemoOrder.executedWhere }, order: [['filled_at', 'ASC']] });
+    return this.priceReplayed(replayOrders(orders, { priceField: 'price_usd', currency: 'USD' }), 'demo');
+  }
+
+  async loadDemo(user) {
+    const positions = await this.getDemoPositions(user.id);
+    const cash = toNumber(user.demo_balance ?? DEMO_STARTING_BALANCE);
+    const holdingsValue = sumOf(positions, 'marketValue');
+    return { provider: 'demo', cash, buyingPower: cash, holdingsValue, equity: cash + holdingsValue, dayChange: 0, positions, errors: [] };
+  }
+
+  // Alpaca errors are thrown: a portfolio without the brokerage account would look like a loss
+  async loadAlpaca(user, { liveQuotes = false } = {}) {
+    const [account, positions, orders] = await Promise.all([
+      alpacaService.getAccount(user.alpaca_account_id),
+      alpacaService.getPositions(user.alpaca_account_id),
+      Order.findAll({ where: { user_id: user.id }, order: [['created_at', 'DESC']], limit: 100 })
+    ]);
+    const workingSymbols = new Set(
+      orders.filter(o => OPEN_ORDER_STATUSES.includes(o.status)).map(o => o.symbol.toUpperCase())
+    );
+
+    const normalized = await Promise.all((positions || []).map(async p => {
+      const quantity = toNumber(p.qty);
+      let currentPrice = toNumber(p.current_price);
+      if (liveQuotes) {
+        try {
+          const quote = await alpacaService.getLatestQuote(p.symbol);
+          currentPrice = parseFloat(quote.ap || quote.bp) || currentPrice;
+        } catch (error) {
+          logger.warn(`Failed to get current quote for ${p.symbol}:`, error);
+        }
+      }
+      return makePosition({
+        provider: 'alpaca',
+        symbol: p.symbol,
+        logo: alpacaService.getCompanyLogo(p.symbol),
+        exchange: p.exchange || 'NASDAQ',
+        assetClass: p.asset_class || 'us_equity',
+        side: p.side,
+        quantity,
+        averageEntryPrice: toNumber(p.avg_entry_price),
+        currentPrice,
+        marketValue: liveQuotes ? quantity * currentPrice : toNumber(p.market_value),
+        costBasis: toNumber(p.cost_basis),
+        changeToday: toNumber(p.change_today),
+        lastDayPrice: toNumber(p.lastday_price),
+        status: workingSymbols.has(p.symbol.toUpperCase()) ? 'pending' : 'open'
+      });
+    }));
+
+    const cash = toNumber(account.cash);
+    const equity = toNumber(account.equity);
+    return {
+      provider: 'alpaca',
+      cash,
+      buyingPower: toNumber(account.buying_power),
+      holdingsValue: equity - cash,
+      equity,
+      dayChange: toNumber(account.unrealized_pl),
+      positions: normalized,
+      errors: [],
+      account: {
+        status: account.status,
+        patternDayTrader: account.pattern_day_trader,
+        tradingBlocked: account.trading_blocked,
+        transfersBlocked: account.transfers_blocked,
+        accountBlocked: account.account_blocked,
+        createdAt: account.created_at
+      }
+    };
+  }
+
+  /**
+   * MyStocks holdings and cash. MyStocks failures are recorded in `errors` rather than thrown;
+   * with no live holdings and no pending orders the positions are replayed from local MsOrder
+   * history instead. Pending buy orders are included as positions unless `includePending` is false.
+   */
+  async loadMyStocks(user, { includePending = true } = {}) {
+    const subAccountId = user.mystocks_sub_account_id;
+    const [portfolioResult, walletResult, pendingResult, ordersResult] = await Promise.allSettled([
+      subAccountId ? attempt(() => ms.getPortfolio(subAccountId)) : null,
+      subAccountId ? attempt(() => ms.getWallet(subAccountId)) : null,
+      subAccountId && includePending ? attempt(() => ms.getUserOrders(subAccountId, { status: 'PENDING' })) : null,
+      MsOrder.findAll({ where: { user_id: user.id, ...MsOrder.executedWhere }, order: [['filled_at', 'ASC']] })
+    ]);
+
+    const errors = [];
+    [[portfolioResult, 'portfolio'], [walletResult, 'wallet'], [pendingResult, 'pending orders'], [ordersResult, 'order history']]
+      .filter(([result]) => result.status === 'rejected')
+      .forEach(([result, what]) => {
+        logger.warn(`MyStocks ${what} unavailable for user ${user.id}:`, result.reason?.message);
+        errors.push(`MyStocks ${what} unavailable`);
+      });
+
+    const apiBalance = walletResult.status === 'fulfilled' ? myStocksCashBalance(walletResult.value) : 0;
+    const cash = apiBalance > 0 ? apiBalance : toNumber(user.mystocks_wallet_balance);
+
+    const replayed = replayOrders(ordersResult.status === 'fulfilled' ? ordersResult.value : [], { priceField: 'usd_price', currency: 'KES' });
+    const averageCost = Object.fromEntries(replayed.map(p => [p.symbol, p.cost > 0 ? p.cost / p.quantity : 0]));
+
+    const holdings = portfolioResult.status === 'fulfilled' ? parseMyStocksHoldings(portfolioResult.value) : [];
+    const positions = holdings.map(h => makePosition({
+      provider: 'mystocks',
+      symbol: h.symbol,
+      name: h.name,
+      exchange: h.exchange,
+      currency: h.currency,
+      assetClass: africanAssetClass(h.exchange),
+      sector: h.sector,
+      quantity: h.quantity,
+      averageEntryPrice: h.averageCost || averageCost[h.symbol] || h.price,
+      currentPrice: h.price,
+      status: h.status === 'pending' ? 'pending' : 'open'
+    }));
+
+    const pendingOrders = pendingResult.status === 'fulfilled' && Array.isArray(pendingResult.value?.orders)
+      ? pendingResult.value.orders : [];
+    pendingOrders.forEach(o => {
+      const price = toNumber(o.usdPriceAtOrder);
+      const quantity = toNumber(o.quantity);
+      const amount = toNumber(o.totalAmount) || quantity * price;
+      positions.push(makePosition({
+        provider: 'mystocks',
+        symbol: o.symbol,
+        name: o.stockName,
+        exchange: o.exchange || 'NSE',
+        assetClass: africanAssetClass(o.exchange || 'NSE'),
+        quantity,
+        averageEntryPrice: price,
+        currentPrice: price,
+        marketValue: amount,
+        costBasis: amount,
+        status: 'pending',
+        orderId: o.orderId,
+        placedAt: o.createdAt
+      }));
+    });
+
+    if (positions.length === 0) positions.push(...await this.priceReplayed(replayed, 'mystocks'));
+
+    const holdingsValue = sumOf(positions, 'marketValue');
+    return { provider: 'mystocks', cash, buyingPower: cash, holdingsValue, equity: cash + holdingsValue, dayChange: 0, positions, errors };
+  }
+
+  // The local wallet as a cash-only provider, KES converted at `exchangeRate`
+  loadWallet(wallet, exchangeRate) {
+    const kesBalance = toNumber(wallet?.kes_balance);
+    const usdBalance = toNumber(wallet?.usd_balance);
+    const cash = usdBalance + kesBalance / (exchangeRate || 1);
+    return { provider: 'wallet', cash, buyingPower: cash, holdingsValue: 0, equity: cash, dayChange: 0, positions: [], errors: [], kesBalance, usdBalance };
+  }
+
+  /**
+   * The user's consolidated portfolio, in USD. Alpaca users with a MyStocks sub-account get
+   * both, plus the local wallet; MyStocks-only users get MyStocks and the wallet; the demo
+   * account stands alone. Throws 503 when the user's provider is switched off.
+   *
+   * @param {object} user
+   * @param {object} options
+   * @param {object} options.wallet - the user's Wallet row, or null
+   * @param {number} options.exchangeRate - KES per USD
+   * @param {{ alpacaEnabled, mystocksEnabled }} options.providerFlags
+   * @param {boolean} [options.liveQuotes] - reprice Alpaca positions at the latest quote
+   * @param {boolean} [options.includePending] - include pending MyStocks orders as positions
+   * @param {boolean} [options.requireEnabled] - false to value an account whose provider is switched off
+   */
+  async getPortfolio(user, { wallet, exchangeRate, providerFlags, liveQuotes = false, includePending = true, requireEnabled = true }) {
+    const mode = this.resolveMode(user, providerFlags, { requireEnabled });
+    const localWallet = this.loadWallet(wallet, exchangeRate);
+
+    let sources;
+    if (mode === 'demo') {
+      sources = [await this.loadDemo(user)];
+    } else if (mode === 'mystocks') {
+      sources = [await this.loadMyStocks(user, { includePending }), localWallet];
+    } else {
+      const withMyStocks = providerFlags.mystocksEnabled && !!user.mystocks_sub_account_id;
+      const [alpaca, mystocks] = await Promise.all([
+        this.loadAlpaca(user, { liveQuotes }),
+        withMyStocks ? this.loadMyStocks(user, { includePending }) : null
+      ]);
+      sources = [alpaca, mystocks, localWallet].filter(Boolean);
+    }
+
+    const positions = sources.flatMap(s => s.positions);
+    const equity = sumOf(sources, 'equity');
+    const dayChange = sumOf(sources, 'dayChange');
+    const costBasis = sumOf(positions, 'costBasis');
+    const holdingsValue = sumOf(sources, 'holdingsValue');
+
+    return {
+      mode,
+      exchangeRate,
+      cash: sumOf(sources, 'cash'),
+      buyingPower: sumOf(sources, 'buyingPower'),
+      holdingsValue,
+      equity,
+      costBasis,
+      unrealizedPL: sumOf(positions, 'unrealizedPL'),
+      dayChange,
+      dayChangePercent: equity - dayChange > 0 ? round2((dayChange / (equity - dayChange)) * 100) : 0,
+      positions,
+      account: sources.find(s => s.account)?.account || null,
+      localWallet: { kesBalance: localWallet.kesBalance, usdBalance: localWallet.usdBalance, totalUsd: localWallet.cash },
+      breakdown: sources.map(s => ({
+        provider: s.provider,
+        cash: s.cash,
+        buyingPower: s.buyingPower,
+        holdingsValue: s.holdingsValue,
+        equity: s.equity,
+        dayChange: s.dayChange,
+        positionsCount: s.positions.length,
+        errors: s.errors
+      }))
+    };
+  }
+
+  // getPortfolio for a user id, loading the user, wallet, exchange rate and provider flags
+  async getUserPortfolio(userId, options = {}) {
+    const [user, wallet, exchangeRate, providerFlags] = await Promise.all([
+      User.findByPk(userId),
+      Wallet.findOne({ where: { user_id: userId } }),
+      exchangeService.getExchangeRate('USD', 'KES'),
+      getProviderFlags()
+    ]);
+    if (!user) throw notFound('User not found');
+    return this.getPortfolio(user, { ...options, wallet, exchangeRate, providerFlags });
+  }
+
+  // A normalized position with its amounts also in KES
+  withKes(position, exchangeRate) {
+    const rate = exchangeRate || 1;
+    return {
+      ...position,
+      marketValueKES: position.marketValue * rate,
+      costBasisKES: position.costBasis * rate,
+      unrealizedPLKES: position.unrealizedPL * rate,
+      changeTodayKES: position.changeToday * rate
+    };
+  }
+
+  // Headline figures of a portfolio, in USD and KES
+  summarize(portfolio) {
+    const rate = portfolio.exchangeRate || 1;
+    return {
+      totalEquity: portfolio.equity,
+      totalEquityKES: portfolio.equity * rate,
+      dayChange: portfolio.dayChange,
+      dayChangeKES: portfolio.dayChange * rate,
+      dayChangePercent: portfolio.dayChangePercent,
+      buyingPower: portfolio.buyingPower,
+      buyingPowerKES: portfolio.buyingPower * rate,
+      cash: portfolio.cash,
+      cashKES: portfolio.cash * rate,
+      holdingsValue: portfolio.holdingsValue,
+      holdingsValueKES: portfolio.holdingsValue * rate,
+      unrealizedPL: portfolio.unrealizedPL,
+      unrealizedPLKES: portfolio.unrealizedPL * rate,
+      portfolioValue: portfolio.equity,
+      portfolioValueKES: portfolio.equity * rate,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new PortfolioService();
@@ -0,0 +1,252 @@
+const { Op } = require('sequelize');
+const { PortfolioSnapshot, User, Wallet, Transaction } = require('../models');
+const alpacaService = require('./alpacaService');
+const exchangeService = require('./exchangeService');
+const portfolioService = require('./portfolioService');
+const { getProviderFlags } = require('./platformConfigService');
+const { timeWeightedReturn, moneyWeightedReturn, maxDrawdown, benchmarkReturn } = require('../utils/portfolioReturns');
+const logger = require('../utils/logger');
+
+const BENCHMARK_SYMBOL = 'SPY';
+// The demo account starts with this balance (users.demo_balance default) and never gets deposits
+const DEMO_STARTING_BALANCE = 10000;
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+const round2 = (value) => Math.round(value * 100) / 100;
+const toPercent = (fraction) => (fraction === null || fraction === undefined ? null : round2(fraction * 100));
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// Start of the UTC day `date` (YYYY-MM-DD) and of the day after
+const dayBounds = (date) => {
+  const start = new Date(`${date}T00:00:00.000Z`);
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+};
+
+/**
+ * Nightly equity snapshots per user, and the returns the performance endpoints serve from them.
+ * A snapshot values the account the way GET /portfolio does: the demo account on its own, or
+ * Alpaca and MyStocks plus the local wallet. Deposits and withdrawals on the wallet are the
+ * only external flows; moving money between the wallet and a broker is not.
+ */
+class PortfolioSnapshotService {
+  /**
+   * Cash and holdings for one user, in USD, from the consolidated portfolio. A provider being
+   * switched off for trading does not stop its account being valued.
+   *
+   * @returns {Promise<{ provider, cashUsd, holdingsValueUsd, holdings, breakdown }>}
+   */
+  async measure(user, { wallet, exchangeRate, providerFlags }) {
+    const portfolio = await portfolioService.getPortfolio(user, { wallet, exchangeRate, providerFlags, requireEnabled: false });
+    return {
+      provider: portfolio.mode,
+      cashUsd: portfolio.cash,
+      holdingsValueUsd: portfolio.holdingsValue,
+      holdings: portfolio.positions.map(p => ({
+        symbol: p.symbol,
+        exchange: p.exchange,
+        quantity: p.quantity,
+        price: p.currentPrice,
+        marketValue: p.marketValue
+      })),
+      breakdown: Object.fromEntries(portfolio.breakdown.map(b => [b.provider, b.equity]))
+    };
+  }
+
+  /**
+   * Completed deposits less completed withdrawals on the wallet, in USD, created before `end`
+   * and, when given, at or after `start`. KES amounts are converted at `exchangeRate`. Rows that
+   * only track MyStocks sub-account movements are not wallet flows.
+   */
+  async netFlowUsd(walletId, { start = null, end }, exchangeRate) {
+    const createdAt = { [Op.lt]: end };
+    if (start) createdAt[Op.gte] = start;
+
+    const transactions = await Transaction.findAll({
+      where: { wallet_id: walletId, type: ['deposit', 'withdrawal'], status: 'completed', tracking_only: false, created_at: createdAt },
+      attributes: ['type', 'amount', 'currency']
+    });
+
+    return transactions.reduce((sum, txn) => {
+      const amount = Math.abs(parseFloat(txn.amount || 0));
+      const usd = txn.currency === 'KES' ? amount / (exchangeRate || 1) : amount;
+      return sum + (txn.type === 'deposit' ? usd : -usd);
+    }, 0);
+  }
+
+  // Latest daily close of the benchmark, or null if Alpaca has none
+  async getBenchmarkClose() {
+    try {
+      const bars = await alpacaService.getBars(BENCHMARK_SYMBOL, '1Day', null, null, 5);
+      const last = Array.isArray(bars) && bars.length ? bars[bars.length - 1] : null;
+      return last ? parseFloat(last.c) : null;
+    } catch (error) {
+      logger.warn(`Failed to fetch ${BENCHMARK_SYMBOL} close for portfolio snapshots:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Write (or rewrite) the user's snapshot for `date`. Returns null, writing nothing, for an
+   * account that has never been funded or traded.
+   */
+  async takeSnapshot(user, { date, exchangeRate, providerFlags, benchmarkClose = null }) {
+    const wallet = await Wallet.findOne({ where: { user_id: user.id } });
+    const measured = await this.measure(user, { wallet, exchangeRate, providerFlags });
+    const previous = await PortfolioSnapshot.findOne({
+      where: { user_id: user.id, snapshot_date: { [Op.lt]: date } },
+      order: [['snapshot_date', 'DESC']]
+    });
+
+    let flowUsd = 0;
+    let netDepositsUsd = DEMO_STARTING_BALANCE;
+    if (measured.provider !== 'demo') {
+      const continues = previous && previous.provider !== 'demo';
+      // Flows since the end of the previous snapshot's day, so nights the job missed aren't lost
+      // to the returns; the first snapshot's flow is just its own day's.
+      const { end } = dayBounds(date);
+      const start = continues ? dayBounds(toDateString(previous.snapshot_date)).end : dayBounds(date).start;
+      flowUsd = wallet ? await this.netFlowUsd(wallet.id, { start, end }, exchangeRate) : 0;
+      // The first snapshot takes every flow so far; later ones add the flows since to the last total.
+      // A switch from demo to live starts the total again.
+      netDepositsUsd = continues
+        ? parseFloat(previous.net_deposits_usd) + flowUsd
+        : wallet ? await this.netFlowUsd(wallet.id, { end }, exchangeRate) : 0;
+    }
+
+    const equityUsd = measured.cashUsd + measured.holdingsValueUsd;
+    const untouched = measured.provider === 'demo'
+      ? measured.cashUsd === DEMO_STARTING_BALANCE
+      : equityUsd <= 0 && netDepositsUsd === 0;
+    if (!previous && measured.holdings.length === 0 && untouched) return null;
+
+    const values = {
+      user_id: user.id,
+      snapshot_date: date,
+      provider: measured.provider,
+      equity_usd: round4(equityUsd),
+      cash_usd: round4(measured.cashUsd),
+      holdings_value_usd: round4(measured.holdingsValueUsd),
+      holdings: measured.holdings.map(h => ({ ...h, price: round4(h.price), marketValue: round4(h.marketValue) })),
+      net_deposits_usd: round4(netDepositsUsd),
+      flow_usd: round4(flowUsd),
+      exchange_rate: exchangeRate,
+      breakdown: Object.fromEntries(Object.entries(measured.breakdown).map(([key, value]) => [key, round4(value)])),
+      benchmark_close: benchmarkClose
+    };
+    const [snapshot] = await PortfolioSnapshot.upsert(values, { conflictFields: ['user_id', 'snapshot_date'], returning: true });
+    return snapshot;
+  }
+
+  /**
+   * Snapshot every active user for `date` (default: today, UTC). One user's failure is logged
+   * and doesn't stop the run.
+   */
+  async run({ date = toDateString(new Date()) } = {}) {
+    const [exchangeRate, providerFlags, benchmarkClose] = await Promise.all([
+      exchangeService.getExchangeRate('USD', 'KES'),
+      getProviderFlags(),
+      this.getBenchmarkClose()
+    ]);
+    const stats = { date, users: 0, snapshotted: 0, skipped: 0, failed: 0 };
+
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const users = await User.findAll({
+        where: { is_active: true },
+        attributes: ['id', 'account_mode', 'demo_balance', 'alpaca_account_id', 'mystocks_sub_account_id', 'mystocks_wallet_balance'],
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE,
+        offset
+      });
+
+      for (const user of users) {
+        stats.users += 1;
+        try {
+          const snapshot = await this.takeSnapshot(user, { date, exchangeRate, providerFlags, benchmarkClose });
+          if (snapshot) stats.snapshotted += 1;
+          else stats.skipped += 1;
+        } catch (error) {
+          stats.failed += 1;
+          logger.error(`Portfolio snapshot failed for user ${user.id}:`, error);
+        }
+      }
+
+      if (users.length < BATCH_SIZE) break;
+    }
+
+    logger.info(`Portfolio snapshots for ${date}: ${stats.snapshotted} written, ${stats.skipped} skipped, ${stats.failed} failed`);
+    return stats;
+  }
+
+  async getHistory(userId, { from, to = toDateString(new Date()) }) {
+    return PortfolioSnapshot.findAll({
+      where: { user_id: userId, snapshot_date: { [Op.between]: [from, to] } },
+      order: [['snapshot_date', 'ASC']]
+    });
+  }
+
+  /**
+   * Returns over the snapshots from `from` to `to`, with the equity curve. Returns are percent.
+   * Null until there are two snapshots in the range.
+   */
+  async getReturns(userId, { from, to }) {
+    const snapshots = await this.getHistory(userId, { from, to });
+    if (snapshots.length < 2) return null;
+    return this.computeReturns(snapshots);
+  }
+
+  computeReturns(snapshots) {
+    const points = snapshots.map(s => ({
+      date: s.snapshot_date,
+      equity: parseFloat(s.equity_usd),
+      flow: parseFloat(s.flow_usd)
+    }));
+    const first = points[0];
+    const last = points[points.length - 1];
+    const flows = points.slice(1).reduce((sum, p) => sum + p.flow, 0);
+
+    const twr = timeWeightedReturn(points);
+    const mwr = moneyWeightedReturn(points);
+    const drawdown = maxDrawdown(twr.index);
+    const closes = snapshots.map(s => ({
+      date: s.snapshot_date,
+      close: s.benchmark_close === null || s.benchmark_close === undefined ? null : parseFloat(s.benchmark_close)
+    }));
+    const benchmark = benchmarkReturn(closes);
+    const firstClose = closes.find(c => c.close > 0)?.close;
+
+    return {
+      from: first.date,
+      to: last.date,
+      days: points.length,
+      startEquity: round4(first.equity),
+      endEquity: round4(last.equity),
+      netFlows: round4(flows),
+      profit: round4(last.equity - first.equity - flows),
+      timeWeightedReturn: toPercent(twr.return),
+      moneyWeightedReturn: toPercent(mwr?.period),
+      annualizedMoneyWeightedReturn: toPercent(mwr?.annualized),
+      maxDrawdown: toPercent(drawdown.maxDrawdown),
+      maxDrawdownPeak: drawdown.peakDate,
+      maxDrawdownTrough: drawdown.troughDate,
+      benchmark: benchmark
+        ? {
+            symbol: BENCHMARK_SYMBOL,
+            return: toPercent(benchmark.return),
+            excessReturn: toPercent(twr.return - benchmark.return)
+          }
+        : null,
+      equityCurve: snapshots.map((s, i) => ({
+        date: s.snapshot_date,
+        equity: parseFloat(s.equity_usd),
+        netDeposits: parseFloat(s.net_deposits_usd),
+        twrIndex: round4(twr.index[i].value),
+        benchmarkIndex: firstClose && closes[i].close ? round4(closes[i].close / firstClose) : null
+      }))
+    };
+  }
+}
+
+module.exports = new PortfolioSnapshotService();
@@ -1,15 +1,35 @@
-const { Notification, User } = require('../models');
+const { Op } = require('sequelize');
+const { PriceAlert, User } = require('../models');
 const alpacaService = require('./alpacaService');
 const emailService = require('./emailService');
-const batchNotificationProcessor = require('./batchNotificationProcessor');
 const realtimeNotificationService = require('./realtimeNotificationService');
-const redisService = require('../config/redis');
+const { isAfrican, getMyStocksQuote } = require('../utils/mystocksQuote');
 const logger = require('../utils/logger');
 
+const PRICE_CONDITIONS = ['above', 'below', 'crosses_up', 'crosses_down'];
+// Conditions computed from daily bar history rather than a fixed target price
+const INDICATOR_CONDITIONS = ['percent_move', 'volume_spike', 'high_52w', 'low_52w'];
+// Conditions that need alpacaService.getBars history (not available for MyStocks symbols)
+const HISTORY_CONDITIONS = ['volume_spike', 'high_52w', 'low_52w'];
+// Conditions that need a threshold: % change for percent_move, multiple of average volume for volume_spike
+const THRESHOLD_CONDITIONS = ['percent_move', 'volume_spike'];
+const MAX_ACTIVE_ALERTS_PER_USER = 50;
+// Indicator alerts stay armed and re-fire at most once per cooldown window
+const DEFAULT_INDICATOR_COOLDOWN_MINUTES = 24 * 60;
+const VOLUME_LOOKBACK_DAYS = 20;
+const TRADING_DAYS_PER_YEAR = 252;
+
 class PriceAlertService {
   constructor() {
     this.alertCheckInterval = null;
     this.isRunning = false;
+    this.priceConditions = PRICE_CONDITIONS;
+    this.indicatorConditions = INDICATOR_CONDITIONS;
+    this.historyConditions = HISTORY_CONDITIONS;
+    this.thresholdConditions = THRESHOLD_CONDITIONS;
+    this.conditions = [...PRICE_CONDITIONS, ...INDICATOR_CONDITIONS];
+    this.defaultIndicatorCooldownMinutes = DEFAULT_INDICATOR_COOLDOWN_MINUTES;
+    this.maxActiveAlertsPerUser = MAX_ACTIVE_ALERTS_PER_USER;
   }
 
   start() {
@@ -37,12 +57,9 @@ class PriceAlertService {
 
   async checkPriceAlerts() {
     try {
-      const activeAlerts = await Notification.findAll({
-        where: {
-          type: 'price_alert',
-          'metadata.active': true
-        },
-        include: [{ model: User, attributes: ['id', 'email', 'first_name', 'notification_preferences'] }]
+      const activeAlerts = await PriceAlert.findAll({
+        where: { status: 'active' },
+        include: [{ model: User, as: 'user', attributes: ['id', 'email', 'first_name'] }]
       });
 
       if (activeAlerts.length === 0) {
@@ -51,60 +68,149 @@ class PriceAlertService {
 
       logger.info(`Checking ${activeAlerts.length} active price alerts`);
 
+      // Group by exchange + symbol so each quote is fetched once per provider
       const alertsBySymbol = {};
       activeAlerts.forEach(alert => {
-        const symbol = alert.metadata.symbol;
-        if (!alertsBySymbol[symbol]) {
-          alertsBySymbol[symbol] = [];
+        const key = `${alert.exchange || 'US'}:${alert.symbol}`;
+        if (!alertsBySymbol[key]) {
+          alertsBySymbol[key] = [];
         }
-        alertsBySymbol[symbol].push(alert);
+        alertsBySymbol[key].push(alert);
       });
 
-      for (const symbol in alertsBySymbol) {
-        await this.checkSymbolAlerts(symbol, alertsBySymbol[symbol]);
+      for (const key in alertsBySymbol) {
+        const alerts = alertsBySymbol[key];
+        await this.checkSymbolAlerts(alerts[0].symbol, alerts);
       }
     } catch (error) {
       logger.error('Error checking price alerts:', error);
     }
   }
 
+  // African symbols are priced via MyStocks (local + USD); everything else via Alpaca (USD only)
+  async getQuote(symbol, exchange = null) {
+    if (isAfrican(exchange)) {
+      return getMyStocksQuote(symbol);
+    }
+
+    const quote = await alpacaService.getLatestQuote(symbol);
+    const usdPrice = parseFloat(quote?.ap || quote?.bp || 0);
+    if (!usdPrice) return null;
+    return { symbol, currency: 'USD', localPrice: usdPrice, usdPrice };
+  }
+
+  /**
+   * Summarise daily bar history for indicator conditions. Today's (possibly partial) bar is
+   * split off so comparisons are made against completed sessions only.
+   */
+  async getDailyStats(symbol) {
+    const bars = await alpacaService.getBars(symbol, '1Day', undefined, undefined, TRADING_DAYS_PER_YEAR + 5);
+    if (!Array.isArray(bars) || bars.length === 0) return null;
+
+    const today = new Date().toISOString().split('T')[0];
+    const lastBar = bars[bars.length - 1];
+    const hasTodayBar = String(lastBar.t).startsWith(today);
+    const todayBar = hasTodayBar ? lastBar : null;
+    const prior = (hasTodayBar ? bars.slice(0, -1) : bars).slice(-TRADING_DAYS_PER_YEAR);
+    if (prior.length === 0) return null;
+
+    const volumeWindow = prior.slice(-VOLUME_LOOKBACK_DAYS);
+    const avgVolume = volumeWindow.reduce((sum, b) => sum + parseFloat(b.v || 0), 0) / volumeWindow.length;
+
+    return {
+      previousClose: parseFloat(prior[prior.length - 1].c),
+      todayVolume: todayBar ? parseFloat(todayBar.v || 0) : 0,
+      avgVolume,
+      high52w: Math.max(...prior.map(b => parseFloat(b.h))),
+      low52w: Math.min(...prior.map(b => parseFloat(b.l)))
+    };
+  }
+
+  isCoolingDown(alert, now = Date.now()) {
+    if (!alert.cooldown_minutes || !alert.triggered_at) return false;
+    return now - new Date(alert.triggered_at).getTime() < alert.cooldown_minutes * 60000;
+  }
+
+  priceFor(quote, denomination) {
+    if (!quote) return 0;
+    return denomination === 'local' ? quote.localPrice : quote.usdPrice;
+  }
+
+  formatPrice(amount, currency) {
+    const value = parseFloat(amount).toFixed(2);
+    return currency === 'USD' ? `$${value}` : `${currency} ${value}`;
+  }
+
+  evaluateCondition(condition, { currentPrice, lastPrice, targetPrice, threshold, stats }) {
+    switch (condition) {
+      case 'above':
+        return currentPrice > targetPrice;
+      case 'below':
+        return currentPrice < targetPrice;
+      case 'crosses_up':
+        return lastPrice != null && lastPrice <= targetPrice && currentPrice > targetPrice;
+      case 'crosses_down':
+        return lastPrice != null && lastPrice >= targetPrice && currentPrice < targetPrice;
+      case 'percent_move':
+        return stats?.previousClose > 0 &&
+          Math.abs((currentPrice - stats.previousClose) / stats.previousClose) * 100 >= threshold;
+      case 'volume_spike':
+        return stats?.avgVolume > 0 && stats.todayVolume >= threshold * stats.avgVolume;
+      case 'high_52w':
+        return stats?.high52w > 0 && currentPrice > stats.high52w;
+      case 'low_52w':
+        return stats?.low52w > 0 && currentPrice < stats.low52w;
+      default:
+        return false;
+    }
+  }
+
   async checkSymbolAlerts(symbol, alerts) {
     try {
-      const quote = await alpacaService.getLatestQuote(symbol);
-      const currentPrice = quote.ap || quote.bp;
+      const exchange = alerts[0].exchange;
+      const quote = await this.getQuote(symbol, exchange);
+      if (!quote) {
+        logger.debug(`No price available for ${symbol}, skipping ${alerts.length} alerts`);
+        return;
+      }
+
+      // Only pull bar history when an armed alert in this batch needs it
+      let stats = null;
+      const needsHistory = alerts.some(a => INDICATOR_CONDITIONS.includes(a.condition) && !this.isCoolingDown(a));
+      if (needsHistory) {
+        if (isAfrican(exchange)) {
+          // MyStocks snapshots carry the previous close, which is all percent_move needs
+          stats = quote.previousClose ? { previousClose: quote.previousClose } : null;
+        } else {
+          try {
+            stats = await this.getDailyStats(symbol);
+          } catch (historyError) {
+            logger.warn(`Bar history unavailable for ${symbol}: ${historyError.message}`);
+          }
+        }
+      }
 
       const triggeredAlerts = [];
 
       for (const alert of alerts) {
-        const { condition, targetPrice, currentPrice: lastPrice } = alert.metadata;
-        let isTriggered = false;
-
-        switch (condition) {
-          case 'above':
-            isTriggered = currentPrice > targetPrice;
-            break;
-          case 'below':
-            isTriggered = currentPrice < targetPrice;
-            break;
-          case 'crosses_up':
-            isTriggered = lastPrice <= targetPrice && currentPrice > targetPrice;
-            break;
-          case 'crosses_down':
-            isTriggered = lastPrice >= targetPrice && currentPrice < targetPrice;
-            break;
-        }
-
-        // Update current price for all alerts regardless of trigger status
-        await alert.update({
-          metadata: {
-            ...alert.metadata,
-            currentPrice,
-            lastChecked: new Date().toISOString()
-          }
-        });
+        const currentPrice = this.priceFor(quote, alert.denomination);
+        if (!currentPrice || currentPrice <= 0) continue;
+
+        const lastPrice = alert.last_price != null ? parseFloat(alert.last_price) : null;
+        const targetPrice = parseFloat(alert.target_price);
+        const threshold = parseFloat(alert.threshold);
+        // MyStocks previous close is in local currency; rescale for USD-denominated alerts
+        const alertStats = stats && isAfrican(exchange) && alert.denomination === 'usd' && quote.localPrice > 0
+          ? { previousClose: stats.previousClose * (quote.usdPrice / quote.localPrice) }
+          : stats;
+        const isTriggered = !this.isCoolingDown(alert) &&
+          this.evaluateCondition(alert.condition, { currentPrice, lastPrice, targetPrice, threshold, stats: alertStats });
+
+        // Update last seen price for all alerts regardless of trigger status
+        await alert.update({ last_price: currentPrice, last_checked_at: new Date() });
 
         if (isTriggered) {
-          triggeredAlerts.push({ alert, currentPrice });
+          triggeredAlerts.push({ alert, currentPrice, stats: alertStats });
         }
       }
 
@@ -117,142 +223,86 @@ class PriceAlertService {
   }
 
   async processTriggeredAlerts(triggeredAlerts) {
-    // Batch process alerts for efficiency
-    const alertsToSend = [];
-
-    for (const { alert, currentPrice } of triggeredAlerts) {
+    for (const { alert, currentPrice, stats } of triggeredAlerts) {
       try {
-        const user = alert.User;
-        const { symbol, condition, targetPrice, assetName } = alert.metadata;
-
-        // Mark alert as triggered in database
-        await alert.update({
-          metadata: {
-            ...alert.metadata,
-            active: false,
-            triggeredAt: new Date().toISOString(),
-            triggerPrice: currentPrice
-          },
-          is_read: false
-        });
-
-        // Create triggered alert notification
-        await Notification.create({
-          user_id: user.id,
-          type: 'price_alert_triggered',
-          title: `Price Alert Triggered - ${symbol}`,
-          message: `${symbol} has ${condition.replace('_', ' ')} your target price of $${targetPrice}. Current price: $${currentPrice.toFixed(2)}`,
-          priority: 'high',
-          is_read: false,
-          metadata: {
-            symbol,
-            assetName,
-            condition,
-            targetPrice,
-            currentPrice,
-            originalAlertId: alert.id,
-            triggeredAt: new Date().toISOString()
-          },
-          action_url: `/stocks/${symbol}`
-        });
-
-        // Add to batch for real-time notification
-        alertsToSend.push({
-          userId: user.id,
-          symbol,
-          currentPrice,
-          targetPrice,
-          condition,
-          assetName
-        });
-
-        // Send email notification if enabled
-        const emailEnabled = user.notification_preferences?.email?.priceAlerts !== false;
-        if (emailEnabled) {
-          await emailService.sendNotificationEmail(user, {
-            type: 'price_alert_triggered',
-            title: `Price Alert Triggered - ${symbol}`,
-            data: {
-              symbol,
-              assetName,
-              condition,
-              targetPrice,
-              currentPrice
-            }
-          });
-        }
-
-        logger.info(`Price alert triggered for user ${user.id}:`, {
-          symbol,
-          condition,
-          targetPrice,
-          currentPrice,
-          alertId: alert.id
-        });
+        await this.triggerAlert(alert, currentPrice, stats);
       } catch (error) {
         logger.error(`Error processing triggered alert ${alert.id}:`, error);
       }
     }
+  }
 
-    // Send all alerts in batch
-    if (alertsToSend.length > 0) {
-      await batchNotificationProcessor.sendPriceAlerts(alertsToSend);
-      logger.info(`Batched ${alertsToSend.length} price alerts for processing`);
+  describeTrigger(alert, currentPrice, stats) {
+    const { symbol, condition, currency } = alert;
+    const price = this.formatPrice(currentPrice, currency);
+    const threshold = parseFloat(alert.threshold);
+
+    switch (condition) {
+      case 'percent_move': {
+        const change = ((currentPrice - stats.previousClose) / stats.previousClose) * 100;
+        return `${symbol} is ${change >= 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(2)}% today (alert at ±${threshold}%). Current price: ${price}`;
+      }
+      case 'volume_spike':
+        return `${symbol} volume is ${(stats.todayVolume / stats.avgVolume).toFixed(1)}x its ${VOLUME_LOOKBACK_DAYS}-day average. Current price: ${price}`;
+      case 'high_52w':
+        return `${symbol} hit a new 52-week high of ${price}`;
+      case 'low_52w':
+        return `${symbol} hit a new 52-week low of ${price}`;
+      default:
+        return `${symbol} has ${condition.replace('_', ' ')} ${this.formatPrice(alert.target_price, currency)}. Current price: ${price}`;
     }
   }
 
-  async triggerAlert(alert, currentPrice) {
-    const user = alert.User;
-    const { symbol, condition, targetPrice, assetName } = alert.metadata;
+  async triggerAlert(alert, currentPrice, stats = null) {
+    const user = alert.user || await User.findByPk(alert.user_id, { attributes: ['id', 'email', 'first_name'] });
+    const { symbol, condition, asset_name: assetName, currency } = alert;
+    const targetPrice = alert.target_price != null ? parseFloat(alert.target_price) : null;
+    const message = this.describeTrigger(alert, currentPrice, stats);
 
-    // Deactivate the alert
+    // Alerts with a cooldown stay armed; one-shot alerts deactivate once fired
     await alert.update({
-      metadata: {
-        ...alert.metadata,
-        active: false,
-        triggeredAt: new Date().toISOString(),
-        triggerPrice: currentPrice
-      },
-      is_read: false // Mark as unread so user sees the notification
+      status: alert.cooldown_minutes ? 'active' : 'triggered',
+      triggered_at: new Date(),
+      trigger_price: currentPrice,
+      trigger_count: (alert.trigger_count || 0) + 1
     });
 
-    // Create triggered alert notification
-    await Notification.create({
-      user_id: user.id,
-      type: 'price_alert_triggered',
-      title: `Price Alert Triggered - ${symbol}`,
-      message: `${symbol} has ${condition.replace('_', ' ')} your target price of $${targetPrice}. Current price: $${currentPrice.toFixed(2)}`,
-      priority: 'high',
-      is_read: false,
-      metadata: {
+    const method = alert.notification_method;
+
+    if (method === 'push' || method === 'both') {
+      await realtimeNotificationService.sendPriceAlert(alert.user_id, {
+        alertId: alert.id,
         symbol,
         assetName,
-        condition,
-        targetPrice,
         currentPrice,
-        originalAlertId: alert.id,
-        triggeredAt: new Date().toISOString()
-      },
-      action_url: `/stocks/${symbol}`
-    });
-
-    // Send email notification if enabled
-    const emailEnabled = user.notification_preferences?.email?.priceAlerts !== false;
-    if (emailEnabled) {
-      await emailService.sendNotificationEmail(user, {
-        type: 'price_alert_triggered',
-        title: `Price Alert Triggered - ${symbol}`,
-        data: {
-          symbol,
-          assetName,
-          condition,
-          targetPrice,
-          currentPrice
-        }
+        targetPrice,
+        condition,
+        currency,
+        message
       });
     }
 
-    logger.info(`Price alert triggered for user ${user.id}:`, {
+    if ((method === 'email' || method === 'both') && user?.email) {
+      try {
+        await emailService.sendNotificationEmail(user, {
+          type: 'price_alert_triggered',
+          title: `Price Alert Triggered - ${symbol}`,
+          data: {
+            symbol,
+            assetName,
+            condition,
+            targetPrice,
+            currentPrice,
+            currency,
+            message
+          }
+        });
+      } catch (emailError) {
+        logger.warn(`Failed to send price alert email for alert ${alert.id}:`, emailError.message);
+      }
+    }
+
+    logger.info(`Price alert triggered for user ${alert.user_id}:`, {
       symbol,
       condition,
       targetPrice,
@@ -261,41 +311,71 @@ class PriceAlertService {
     });
   }
 
-  async createAlert(userId, { symbol, condition, targetPrice, notificationMethod = 'both' }) {
+  async createAlert(userId, {
+    symbol,
+    exchange = null,
+    denomination,
+    condition,
+    targetPrice,
+    threshold,
+    cooldownMinutes,
+    notificationMethod = 'both',
+    note = null
+  }) {
     try {
+      const upperSymbol = symbol.toUpperCase();
+      const african = isAfrican(exchange);
+
       // Verify symbol and get current price
-      const [asset, quote] = await Promise.all([
-        alpacaService.getAsset(symbol),
-        alpacaService.getLatestQuote(symbol)
-      ]);
+      let assetName = null;
+      let quote;
+      if (african) {
+        quote = await getMyStocksQuote(upperSymbol);
+        if (!quote) throw new Error(`Asset ${upperSymbol} not found`);
+        assetName = quote.name;
+      } else {
+        const [asset, usQuote] = await Promise.all([
+          alpacaService.getAsset(upperSymbol),
+          this.getQuote(upperSymbol)
+        ]);
+        assetName = asset?.name || null;
+        quote = usQuote;
+      }
 
-      const currentPrice = quote.ap || quote.bp;
+      // African alerts default to the listing currency; US alerts are always USD
+      const alertDenomination = african ? (denomination || 'local') : 'usd';
+      const currency = alertDenomination === 'local' ? quote?.currency || 'USD' : 'USD';
+      const currentPrice = this.priceFor(quote, alertDenomination);
+      const isIndicator = INDICATOR_CONDITIONS.includes(condition);
 
-      const alert = await Notification.create({
+      const alert = await PriceAlert.create({
         user_id: userId,
-        type: 'price_alert',
-        title: `Price Alert for ${symbol}`,
-        message: `Alert when ${symbol} ${condition.replace('_', ' ')} $${targetPrice}`,
-        priority: 'medium',
-        is_read: false,
-        metadata: {
-          symbol,
-          assetName: asset.name,
-          condition,
-          targetPrice: parseFloat(targetPrice),
-          currentPrice,
-          notificationMethod,
-          active: true,
-          createdAt: new Date().toISOString(),
-          lastChecked: new Date().toISOString()
-        }
+        symbol: african ? quote.symbol : upperSymbol,
+        asset_name: assetName,
+        exchange: african ? exchange.toUpperCase() : null,
+        denomination: alertDenomination,
+        currency,
+        condition,
+        target_price: isIndicator ? null : parseFloat(targetPrice),
+        threshold: threshold != null ? parseFloat(threshold) : null,
+        cooldown_minutes: cooldownMinutes != null
+          ? parseInt(cooldownMinutes, 10)
+          : (isIndicator ? DEFAULT_INDICATOR_COOLDOWN_MINUTES : null),
+        last_price: currentPrice || null,
+        notification_method: notificationMethod,
+        status: 'active',
+        note,
+        last_checked_at: new Date()
       });
 
       logger.info('Price alert created:', {
         userId,
-        symbol,
+        symbol: upperSymbol,
+        exchange,
+        currency,
         condition,
         targetPrice,
+        threshold,
         currentPrice,
         alertId: alert.id
       });
@@ -307,23 +387,79 @@ class PriceAlertService {
     }
   }
 
-  async getActiveAlertsCount() {
-    return await Notification.count({
-      where: {
-        type: 'price_alert',
-        'metadata.active': true
-      }
+  async getUserAlerts(userId, { status } = {}) {
+    const where = { user_id: userId };
+    if (status) where.status = status;
+
+    return PriceAlert.findAll({
+      where,
+      order: [['created_at', 'DESC']]
     });
   }
 
+  async getUserAlert(userId, alertId) {
+    return PriceAlert.findOne({ where: { id: alertId, user_id: userId } });
+  }
+
+  async updateAlert(userId, alertId, { condition, targetPrice, threshold, cooldownMinutes, denomination, notificationMethod, note }) {
+    const alert = await this.getUserAlert(userId, alertId);
+    if (!alert) return null;
+
+    const updates = {};
+    // Only MyStocks-priced alerts can switch between local currency and USD
+    if (denomination !== undefined && alert.exchange && denomination !== alert.denomination) {
+      const quote = await getMyStocksQuote(alert.symbol);
+      updates.denomination = denomination;
+      updates.currency = denomination === 'local' ? quote?.currency || alert.currency : 'USD';
+      updates.last_price = this.priceFor(quote, denomination) || null;
+    }
+    if (condition !== undefined) updates.condition = condition;
+    if (targetPrice !== undefined) updates.target_price = parseFloat(targetPrice);
+    if (threshold !== undefined) updates.threshold = threshold != null ? parseFloat(threshold) : null;
+    if (cooldownMinutes !== undefined) updates.cooldown_minutes = cooldownMinutes != null ? parseInt(cooldownMinutes, 10) : null;
+    // An alert switched to an indicator condition gets the default cooldown, as createAlert gives it
+    const cooldown = updates.cooldown_minutes !== undefined ? updates.cooldown_minutes : alert.cooldown_minutes;
+    if (condition !== alert.condition && INDICATOR_CONDITIONS.includes(condition) && cooldown == null) {
+      updates.cooldown_minutes = DEFAULT_INDICATOR_COOLDOWN_MINUTES;
+    }
+    if (notificationMethod !== undefined) updates.notification_method = notificationMethod;
+    if (note !== undefined) updates.note = note;
+
+    // Editing a fired alert re-arms it
+    if (alert.status === 'triggered') {
+      updates.status = 'active';
+      updates.triggered_at = null;
+      updates.trigger_price = null;
+    }
+
+    await alert.update(updates);
+    logger.info(`Price alert ${alertId} updated by user ${userId}`);
+    return alert;
+  }
+
+  async setAlertStatus(userId, alertId, status) {
+    const alert = await this.getUserAlert(userId, alertId);
+    if (!alert) return null;
+
+    await alert.update({ status });
+    logger.info(`Price alert ${alertId} set to ${status} by user ${userId}`);
+    return alert;
+  }
+
+  async deleteAlert(userId, alertId) {
+    const deleted = await PriceAlert.destroy({ where: { id: alertId, user_id: userId } });
+    if (deleted) {
+      logger.info(`Price alert ${alertId} deleted by user ${userId}`);
+    }
+    return deleted > 0;
+  }
+
+  async getActiveAlertsCount() {
+    return await PriceAlert.count({ where: { status: 'active' } });
+  }
+
   async getUserAlertsCount(userId) {
-    return await Notification.count({
-      where: {
-        user_id: userId,
-        type: 'price_alert',
-        'metadata.active': true
-      }
-    });
+    return await PriceAlert.count({ where: { user_id: userId, status: 'active' } });
   }
 
   async cleanupTriggeredAlerts(daysOld = 30) {
@@ -331,12 +467,10 @@ class PriceAlertService {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
-      const deletedCount = await Notification.destroy({
+      const deletedCount = await PriceAlert.destroy({
         where: {
-          type: 'price_alert_triggered',
-          created_at: {
-            [Notification.sequelize.Sequelize.Op.lt]: cutoffDate
-          }
+          status: 'triggered',
+          triggered_at: { [Op.lt]: cutoffDate }
         }
       });
 
@@ -353,32 +487,19 @@ class PriceAlertService {
 
   async getAlertStats() {
     try {
-      const [totalActive, totalTriggered, alertsBySymbol] = await Promise.all([
-        Notification.count({
-          where: {
-            type: 'price_alert',
-            'metadata.active': true
-          }
-        }),
-        Notification.count({
-          where: {
-            type: 'price_alert_triggered'
-          }
-        }),
-        Notification.findAll({
-          where: {
-            type: 'price_alert',
-            'metadata.active': true
-          },
-          attributes: ['metadata'],
+      const [totalActive, totalTriggered, activeAlerts] = await Promise.all([
+        PriceAlert.count({ where: { status: 'active' } }),
+        PriceAlert.count({ where: { status: 'triggered' } }),
+        PriceAlert.findAll({
+          where: { status: 'active' },
+          attributes: ['symbol'],
           raw: true
         })
       ]);
 
       const symbolCounts = {};
-      alertsBySymbol.forEach(alert => {
-        const symbol = alert.metadata.symbol;
-        symbolCounts[symbol] = (symbolCounts[symbol] || 0) + 1;
+      activeAlerts.forEach(alert => {
+        symbolCounts[alert.symbol] = (symbolCounts[alert.symbol] || 0) + 1;
       });
 
       const topSymbols = Object.entries(symbolCounts)
@@ -399,4 +520,4 @@ class PriceAlertService {
   }
 }
 
-module.exports = new PriceAlertService();
\ No newline at end of file
+module.exports = new PriceAlertService();
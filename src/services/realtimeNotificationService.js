@@ -350,10 +350,14 @@ class RealtimeNotificationService {
       userId,
       'price_alert',
       {
+        alertId: alertData.alertId,
         symbol: alertData.symbol,
         currentPrice: alertData.currentPrice,
         targetPrice: alertData.targetPrice,
         condition: alertData.condition,
+        currency: alertData.currency || 'USD',
+        title: `Price Alert Triggered - ${alertData.symbol}`,
+        message: alertData.message || `${alertData.symbol} has ${alertData.condition.replace('_', ' ')} $${alertData.targetPrice}. Current price: $${alertData.currentPrice}`,
       },
       {
         type: 'price_alert',
@@ -0,0 +1,525 @@
+const { Op, QueryTypes } = require('sequelize');
+const {
+  sequelize,
+  User,
+  Wallet,
+  Transaction,
+  JournalEntry,
+  ReconciliationRun,
+  ReconciliationDiscrepancy
+} = require('../models');
+const kcbService = require('./kcbService');
+const alpacaService = require('./alpacaService');
+const ms = require('./mystocksService');
+const ledgerService = require('./ledgerService');
+const logger = require('../utils/logger');
+const { parseKcbTransactionStatus } = require('../utils/kcbStatus');
+
+const KCB_PAYMENT_METHODS = ['kcb_bank', 'kcb_mpesa'];
+// Records younger than this may still be waiting for their callback, so they aren't reconciled yet
+const SETTLEMENT_GRACE_MINUTES = 15;
+const DEFAULT_LOOKBACK_HOURS = parseInt(process.env.RECONCILIATION_LOOKBACK_HOURS, 10) || 48;
+// KCB has no statement API, so each transaction costs a status query
+const MAX_KCB_STATUS_QUERIES = parseInt(process.env.RECONCILIATION_MAX_STATUS_QUERIES, 10) || 200;
+const MS_PAGE_SIZE = 100;
+const MS_MAX_PAGES = 10;
+// A run still marked running after this long is assumed to have died with its process
+const STALE_RUN_MINUTES = 120;
+const AMOUNT_TOLERANCE = 0.01;
+
+const ALPACA_FAILED_TRANSFER = ['CANCELED', 'REJECTED', 'RETURNED'];
+
+const reconciliationError = (message, status = 500) => Object.assign(new Error(message), { status });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toAmount = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? round2(Math.abs(parsed)) : null;
+};
+
+const amountsDiffer = (a, b) => a != null && b != null && Math.abs(a - b) > AMOUNT_TOLERANCE;
+
+const inPeriod = (date, { since, until }) => {
+  const time = new Date(date).getTime();
+  return time >= since.getTime() && time <= until.getTime();
+};
+
+const receiptOf = (txn) => txn.metadata?.mpesaReceiptNumber || txn.mpesa_transaction_id || null;
+
+const listOf = (data, ...keys) => {
+  if (Array.isArray(data)) return data;
+  for (const key of keys) {
+    if (Array.isArray(data?.[key])) return data[key];
+  }
+  return [];
+};
+
+/**
+ * Matches our Transaction rows and ledger entries against KCB / M-Pesa, MyStocks and Alpaca,
+ * and checks every wallet touched in the period against its ledger. Anything that doesn't
+ * match is stored as a ReconciliationDiscrepancy for an admin to review.
+ */
+class ReconciliationService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  defaultPeriod(now = new Date()) {
+    const until = new Date(now.getTime() - SETTLEMENT_GRACE_MINUTES * 60 * 1000);
+    const since = new Date(until.getTime() - DEFAULT_LOOKBACK_HOURS * 60 * 60 * 1000);
+    return { since, until };
+  }
+
+  /**
+   * Create a run record. Rejects with a 409 while another run is in progress.
+   *
+   * @param {Object} [options]
+   * @param {Date} [options.since]
+   * @param {Date} [options.until]
+   * @param {'scheduled'|'manual'} [options.trigger]
+   * @param {string} [options.triggeredBy] - admin user id for manual runs
+   * @returns {Promise<ReconciliationRun>}
+   */
+  async createRun({ since, until, trigger = 'scheduled', triggeredBy = null } = {}) {
+    const period = this.defaultPeriod();
+    const periodStart = since ? new Date(since) : period.since;
+    const periodEnd = until ? new Date(until) : period.until;
+    if (periodStart >= periodEnd) {
+      throw reconciliationError('since must be before until', 400);
+    }
+
+    const running = await ReconciliationRun.findOne({
+      where: {
+        status: 'running',
+        created_at: { [Op.gte]: new Date(Date.now() - STALE_RUN_MINUTES * 60 * 1000) }
+      }
+    });
+    if (this.isRunning || running) {
+      throw reconciliationError('A reconciliation run is already in progress', 409);
+    }
+
+    return ReconciliationRun.create({
+      trigger,
+      triggered_by: triggeredBy,
+      period_start: periodStart,
+      period_end: periodEnd
+    });
+  }
+
+  async execute(run) {
+    this.isRunning = true;
+    const period = { since: new Date(run.period_start), until: new Date(run.period_end) };
+    const findings = [];
+    const summary = {};
+
+    try {
+      for (const [provider, check] of [
+        ['kcb', this.reconcileKcb],
+        ['mystocks', this.reconcileMyStocks],
+        ['alpaca', this.reconcileAlpaca],
+        ['ledger', this.reconcileLedger]
+      ]) {
+        try {
+          summary[provider] = await check.call(this, period, findings);
+        } catch (error) {
+          // One provider being down shouldn't stop the others from being checked
+          logger.error(`Reconciliation of ${provider} failed in run ${run.id}:`, error);
+          summary[provider] = { error: error.message };
+        }
+      }
+
+      summary.discrepancies = await this.recordDiscrepancies(run, findings);
+      await run.update({ status: 'completed', finished_at: new Date(), summary });
+      logger.info(`Reconciliation run ${run.id} completed: ${findings.length} discrepancies`);
+      return run;
+    } catch (error) {
+      logger.error(`Reconciliation run ${run.id} failed:`, error);
+      await run.update({ status: 'failed', finished_at: new Date(), summary, error: error.message });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async run(options) {
+    const run = await this.createRun(options);
+    return this.execute(run);
+  }
+
+  // Deposits and withdrawals through KCB (bank transfers and M-Pesa), matched by reference and receipt
+  async reconcileKcb(period, findings) {
+    const rows = (await Transaction.findAll({
+      where: {
+        type: { [Op.in]: ['deposit', 'withdrawal'] },
+        created_at: { [Op.between]: [period.since, period.until] }
+      },
+      include: [{ model: Wallet, as: 'wallet', attributes: ['id', 'user_id'] }],
+      order: [['created_at', 'ASC']]
+    })).filter(txn => KCB_PAYMENT_METHODS.includes(txn.metadata?.paymentMethod));
+
+    const stats = { checked: rows.length, matched: 0, unverified: 0, skipped: 0 };
+    const base = (txn) => ({
+      provider: 'kcb',
+      reference: txn.reference,
+      transaction_id: txn.id,
+      wallet_id: txn.wallet_id,
+      user_id: txn.wallet?.user_id || null,
+      currency: txn.currency,
+      internal_amount: toAmount(txn.amount)
+    });
+
+    // The same M-Pesa receipt credited twice, here or against a transaction outside the period
+    const receipts = [...new Set(rows.map(receiptOf).filter(Boolean))];
+    if (receipts.length) {
+      const sharing = await Transaction.findAll({
+        where: {
+          [Op.or]: [
+            { mpesa_transaction_id: { [Op.in]: receipts } },
+            { 'metadata.mpesaReceiptNumber': { [Op.in]: receipts } }
+          ]
+        },
+        attributes: ['id', 'reference', 'mpesa_transaction_id', 'metadata', 'status']
+      });
+      for (const receipt of receipts) {
+        const matches = sharing.filter(txn => receiptOf(txn) === receipt);
+        if (matches.length > 1) {
+          const first = rows.find(txn => receiptOf(txn) === receipt);
+          findings.push({
+            ...base(first),
+            type: 'duplicate',
+            reference: receipt,
+            details: { receipt, references: matches.map(txn => txn.reference), statuses: matches.map(txn => txn.status) }
+          });
+        }
+      }
+    }
+
+    // Completed movements must have been posted to the ledger
+    const completed = rows.filter(txn => txn.status === 'completed');
+    const posted = new Set(completed.length
+      ? (await JournalEntry.findAll({
+        where: { reference: { [Op.in]: completed.map(txn => txn.reference) } },
+        attributes: ['reference']
+      })).map(entry => entry.reference)
+      : []);
+    for (const txn of completed) {
+      if (!posted.has(txn.reference)) {
+        findings.push({ ...base(txn), type: 'missing_in_ledger', details: { status: txn.status } });
+      }
+    }
+
+    let queries = 0;
+    for (const txn of rows) {
+      if (txn.status === 'cancelled') {
+        stats.skipped++;
+        continue;
+      }
+      if (queries >= MAX_KCB_STATUS_QUERIES) {
+        stats.unverified++;
+        continue;
+      }
+      queries++;
+
+      const result = await kcbService.queryTransactionStatus(txn.checkout_request_id || txn.reference);
+      const provider = result.success ? parseKcbTransactionStatus(result.data) : null;
+      if (!provider || provider.status === 'unknown' || provider.status === 'pending') {
+        stats.unverified++;
+        continue;
+      }
+
+      const before = findings.length;
+      const internalReceipt = receiptOf(txn);
+
+      if (provider.status === 'not_found') {
+        if (txn.status === 'completed') {
+          findings.push({ ...base(txn), type: 'missing_at_provider', details: { status: txn.status } });
+        }
+      } else if (provider.status !== txn.status) {
+        findings.push({
+          ...base(txn),
+          type: 'status_mismatch',
+          provider_amount: provider.amount,
+          details: { internalStatus: txn.status, providerStatus: provider.status }
+        });
+      } else if (amountsDiffer(toAmount(txn.amount), provider.amount)) {
+        findings.push({ ...base(txn), type: 'amount_mismatch', provider_amount: provider.amount, details: {} });
+      } else if (internalReceipt && provider.receipt && internalReceipt !== provider.receipt) {
+        findings.push({
+          ...base(txn),
+          type: 'receipt_mismatch',
+          provider_amount: provider.amount,
+          details: { internalReceipt, providerReceipt: provider.receipt }
+        });
+      }
+
+      if (findings.length === before) stats.matched++;
+    }
+
+    return stats;
+  }
+
+  // Ledger broker_funding entries tagged with provider, net of any reversal with the same reference
+  async brokerFundings(provider, period) {
+    const entries = await JournalEntry.findAll({
+      where: {
+        type: { [Op.in]: ['broker_funding', 'broker_funding_reversal'] },
+        created_at: { [Op.between]: [period.since, period.until] }
+      },
+      include: [{ association: 'postings', attributes: ['amount'] }],
+      order: [['created_at', 'ASC']]
+    });
+
+    const reversed = new Set(entries.filter(e => e.type === 'broker_funding_reversal').map(e => e.reference));
+    return entries
+      .filter(e => e.type === 'broker_funding' && e.metadata?.provider === provider)
+      .map(e => ({
+        reference: e.reference,
+        reversed: reversed.has(e.reference),
+        metadata: e.metadata,
+        amount: round2((e.postings || []).filter(p => parseFloat(p.amount) > 0).reduce((sum, p) => sum + parseFloat(p.amount), 0))
+      }));
+  }
+
+  // Sub-account deposits at MyStocks against the KES we debited from wallets to pay for BUYs
+  async reconcileMyStocks(period, findings) {
+    const fundings = await this.brokerFundings('mystocks', period);
+    const users = await User.findAll({
+      where: { mystocks_sub_account_id: { [Op.ne]: null } },
+      attributes: ['id', 'mystocks_sub_account_id']
+    });
+    const stats = { accounts: 0, checked: fundings.length, matched: 0, unverified: 0, cashUsd: 0 };
+
+    for (const user of users) {
+      const subAccountId = user.mystocks_sub_account_id;
+      const ours = fundings.filter(f => f.metadata.userId === user.id);
+
+      let deposits;
+      try {
+        deposits = await this.fetchMyStocksDeposits(subAccountId, period);
+        const wallet = await ms.getWallet(subAccountId);
+        stats.cashUsd = round2(stats.cashUsd + parseFloat(wallet?.wallet?.balance ?? wallet?.balance ?? 0));
+      } catch (error) {
+        logger.warn(`Reconciliation could not read MyStocks sub-account ${subAccountId}: ${error.message}`);
+        stats.unverified += ours.length;
+        continue;
+      }
+      stats.accounts++;
+
+      const base = { provider: 'mystocks', user_id: user.id, currency: 'KES' };
+      const byReference = new Map();
+      for (const deposit of deposits) {
+        const list = byReference.get(deposit.reference) || [];
+        list.push(deposit);
+        byReference.set(deposit.reference, list);
+      }
+
+      for (const funding of ours) {
+        const matches = byReference.get(funding.reference) || [];
+        byReference.delete(funding.reference);
+        const providerAmount = matches.length ? toAmount(matches[0].localAmount ?? matches[0].local_amount) : null;
+        const details = { subAccountId, usdAmount: funding.metadata.usdAmount };
+
+        if (funding.reversed) {
+          // The deposit was reported as failed and the wallet refunded, so MyStocks shouldn't hold it
+          if (matches.length) {
+            findings.push({ ...base, type: 'status_mismatch', reference: funding.reference, internal_amount: funding.amount, provider_amount: providerAmount, details: { ...details, internalStatus: 'reversed', providerStatus: 'deposited' } });
+          } else {
+            stats.matched++;
+          }
+        } else if (!matches.length) {
+          findings.push({ ...base, type: 'missing_at_provider', reference: funding.reference, internal_amount: funding.amount, details });
+        } else if (matches.length > 1) {
+          findings.push({ ...base, type: 'duplicate', reference: funding.reference, internal_amount: funding.amount, provider_amount: providerAmount, details: { ...details, count: matches.length } });
+        } else if (amountsDiffer(funding.amount, providerAmount)) {
+          findings.push({ ...base, type: 'amount_mismatch', reference: funding.reference, internal_amount: funding.amount, provider_amount: providerAmount, details });
+        } else {
+          stats.matched++;
+        }
+      }
+
+      // Deposits MyStocks holds that we have no funding entry for
+      for (const [reference, matches] of byReference) {
+        findings.push({
+          ...base,
+          type: 'missing_internally',
+          reference: reference || `${subAccountId}:${matches[0].id}`,
+          provider_amount: toAmount(matches[0].localAmount ?? matches[0].local_amount),
+          details: { subAccountId, providerIds: matches.map(d => d.id) }
+        });
+      }
+    }
+
+    return stats;
+  }
+
+  async fetchMyStocksDeposits(subAccountId, period) {
+    const deposits = [];
+    for (let page = 1; page <= MS_MAX_PAGES; page++) {
+      const data = await ms.getTransactions(subAccountId, { page, limit: MS_PAGE_SIZE });
+      const items = listOf(data, 'transactions', 'data', 'items');
+      deposits.push(...items.filter(item =>
+        String(item.type || '').toUpperCase() === 'DEPOSIT' &&
+        inPeriod(item.createdAt || item.created_at, period)
+      ));
+      // Newest first: stop once a page reaches back past the period
+      const oldest = items[items.length - 1];
+      if (items.length < MS_PAGE_SIZE || (oldest && new Date(oldest.createdAt || oldest.created_at) < period.since)) break;
+    }
+    return deposits;
+  }
+
+  // Incoming Alpaca transfers against the wallet money we sent to fund them
+  async reconcileAlpaca(period, findings) {
+    const fundings = await this.brokerFundings('alpaca', period);
+    const users = await User.findAll({
+      where: { alpaca_account_id: { [Op.ne]: null } },
+      attributes: ['id', 'alpaca_account_id']
+    });
+    const stats = { accounts: 0, checked: fundings.length, matched: 0, unverified: 0, cashUsd: 0 };
+
+    for (const user of users) {
+      const accountId = user.alpaca_account_id;
+      const ours = fundings.filter(f => f.metadata.userId === user.id);
+
+      let transfers;
+      try {
+        transfers = listOf(await alpacaService.getTransfers(accountId), 'transfers')
+          .filter(t => t.direction === 'INCOMING' && inPeriod(t.created_at, period));
+        const account = await alpacaService.getAccount(accountId);
+        stats.cashUsd = round2(stats.cashUsd + parseFloat(account?.cash || 0));
+      } catch (error) {
+        logger.warn(`Reconciliation could not read Alpaca account ${accountId}: ${error.message}`);
+        stats.unverified += ours.length;
+        continue;
+      }
+      stats.accounts++;
+
+      const base = { provider: 'alpaca', user_id: user.id, currency: 'USD' };
+      const unmatched = new Map(transfers.map(t => [t.id, t]));
+
+      for (const funding of ours) {
+        const transferId = funding.metadata.alpaca_transfer_id;
+        const transfer = unmatched.get(transferId);
+        unmatched.delete(transferId);
+        const internalUsd = toAmount(funding.metadata.usd_amount);
+        const details = { accountId, transferId, fundingReference: funding.reference };
+        const reference = transferId || funding.reference;
+
+        if (!transfer) {
+          findings.push({ ...base, type: 'missing_at_provider', reference, internal_amount: internalUsd, details });
+        } else if (ALPACA_FAILED_TRANSFER.includes(String(transfer.status).toUpperCase())) {
+          findings.push({ ...base, type: 'status_mismatch', reference, internal_amount: internalUsd, provider_amount: toAmount(transfer.amount), details: { ...details, internalStatus: 'completed', providerStatus: transfer.status } });
+        } else if (amountsDiffer(internalUsd, toAmount(transfer.amount))) {
+          findings.push({ ...base, type: 'amount_mismatch', reference, internal_amount: internalUsd, provider_amount: toAmount(transfer.amount), details });
+        } else {
+          stats.matched++;
+        }
+      }
+
+      for (const transfer of unmatched.values()) {
+        findings.push({
+          ...base,
+          type: 'missing_internally',
+          reference: transfer.id,
+          provider_amount: toAmount(transfer.amount),
+          details: { accountId, status: transfer.status }
+        });
+      }
+    }
+
+    return stats;
+  }
+
+  // Cached wallet balances against the ledger, for every wallet that moved money in the period
+  async reconcileLedger(period, findings) {
+    const rows = await sequelize.query(
+      `SELECT DISTINCT a.wallet_id
+         FROM ledger_postings p
+         JOIN ledger_accounts a ON a.id = p.account_id
+        WHERE a.wallet_id IS NOT NULL AND p.created_at BETWEEN :since AND :until`,
+      { replacements: { since: period.since, until: period.until }, type: QueryTypes.SELECT }
+    );
+    const wallets = rows.length
+      ? await Wallet.findAll({ where: { id: { [Op.in]: rows.map(row => row.wallet_id) } } })
+      : [];
+
+    const stats = { checked: wallets.length, matched: 0 };
+    for (const wallet of wallets) {
+      const result = await ledgerService.verifyWallet(wallet);
+      if (result.balanced) {
+        stats.matched++;
+        continue;
+      }
+      for (const [currency, balance] of Object.entries(result.currencies)) {
+        if (balance.difference === 0) continue;
+        findings.push({
+          provider: 'ledger',
+          type: 'balance_mismatch',
+          reference: `${wallet.id}:${currency}`,
+          wallet_id: wallet.id,
+          user_id: wallet.user_id,
+          currency,
+          internal_amount: balance.cached,
+          provider_amount: balance.ledger,
+          details: { difference: balance.difference }
+        });
+      }
+    }
+    return stats;
+  }
+
+  // New discrepancies are created; ones still open from an earlier run are updated in place
+  async recordDiscrepancies(run, findings) {
+    const totals = { total: findings.length, new: 0, recurring: 0, byType: {} };
+
+    for (const finding of findings) {
+      const fingerprint = `${finding.provider}:${finding.type}:${finding.reference}`;
+      totals.byType[finding.type] = (totals.byType[finding.type] || 0) + 1;
+
+      const existing = await ReconciliationDiscrepancy.findOne({ where: { fingerprint, status: 'open' } });
+      if (existing) {
+        await existing.update({
+          last_run_id: run.id,
+          occurrences: existing.occurrences + 1,
+          internal_amount: finding.internal_amount ?? existing.internal_amount,
+          provider_amount: finding.provider_amount ?? existing.provider_amount,
+          details: finding.details || {}
+        });
+        totals.recurring++;
+      } else {
+        await ReconciliationDiscrepancy.create({
+          ...finding,
+          fingerprint,
+          run_id: run.id,
+          last_run_id: run.id,
+          details: finding.details || {}
+        });
+        totals.new++;
+      }
+    }
+
+    return totals;
+  }
+
+  async resolveDiscrepancy(discrepancyId, { status, note, adminId }) {
+    const discrepancy = await ReconciliationDiscrepancy.findByPk(discrepancyId);
+    if (!discrepancy) {
+      throw reconciliationError('Discrepancy not found', 404);
+    }
+    if (!discrepancy.isOpen) {
+      throw reconciliationError(`Discrepancy is already ${discrepancy.status}`, 409);
+    }
+
+    await discrepancy.update({
+      status,
+      resolution_note: note || null,
+      resolved_by: adminId,
+      resolved_at: new Date()
+    });
+    logger.info(`Reconciliation discrepancy ${discrepancyId} marked ${status} by admin ${adminId}`);
+    return discrepancy;
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,410 @@
+const { Op } = require('sequelize');
+const { RecurringInvestmentPlan, RecurringInvestmentExecution, User } = require('../models');
+const orderPlacementService = require('./orderPlacementService');
+const tradingAccessService = require('./tradingAccessService');
+const realtimeNotificationService = require('./realtimeNotificationService');
+const { AFRICAN_EXCHANGES } = require('../utils/mystocksQuote');
+const { validateSchedule, nextRunDate } = require('../utils/recurringSchedule');
+const logger = require('../utils/logger');
+
+const MAX_ACTIVE_PLANS_PER_USER = 20;
+const MAX_TARGETS = 10;
+const MIN_AMOUNT = { KES: 100, USD: 1 };
+// A run short of funds is retried this many times, this far apart, before it is given up
+const MAX_RETRIES = 3;
+const RETRY_INTERVAL_HOURS = 4;
+// A claimed plan is left alone by other runners for this long
+const CLAIM_LEASE_MINUTES = 30;
+const BATCH_SIZE = 100;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const targetKey = ({ symbol, exchange }) => `${exchange || 'US'}:${symbol}`;
+
+// Place an order for `user` with the checks and provider routing (Alpaca, MyStocks or demo) of an
+// order placed in the app; resolves with the response POST /api/v1/orders would have sent
+const submitOrder = async (user, body, idempotencyKey) => {
+  const block = await tradingAccessService.check(user, body);
+  if (block) return block;
+  return orderPlacementService.placeOrder(user.id, body, { idempotencyKey });
+};
+
+/**
+ * `unknown` is a failure that may still have bought the target: a server error on an African
+ * order, where only Alpaca honours the idempotency key (as its client_order_id) and MyStocks or
+ * the demo account could take a retry as a second order. 503 is left out because the order
+ * endpoint answers it before reaching a provider (trading switched off, no price).
+ */
+const outcomeOf = (target, status, body) => {
+  if (status < 300) return 'placed';
+  if (status === 400 && /insufficient/i.test(body?.message || '')) return 'insufficient_funds';
+  if (target.exchange && (status == null || (status >= 500 && status !== 503))) return 'unknown';
+  return 'error';
+};
+
+/**
+ * Targets with symbols upper-cased and weights that add up to 100. Weights can be left out
+ * altogether for an equal split.
+ */
+const normalizeTargets = (targets) => {
+  if (!Array.isArray(targets) || targets.length === 0) throw badRequest('targets must list at least one symbol');
+  if (targets.length > MAX_TARGETS) throw badRequest(`A plan can have at most ${MAX_TARGETS} targets`);
+
+  const normalized = targets.map(target => {
+    const symbol = String(target?.symbol || '').trim().toUpperCase();
+    if (!symbol) throw badRequest('Every target needs a symbol');
+    const exchange = target.exchange ? String(target.exchange).trim().toUpperCase() : null;
+    if (exchange && !AFRICAN_EXCHANGES.has(exchange)) {
+      throw badRequest(`${exchange} is not a supported African exchange (omit exchange for US stocks)`);
+    }
+    return { symbol, exchange, weight: target.weight != null ? parseFloat(target.weight) : null };
+  });
+
+  const keys = new Set(normalized.map(targetKey));
+  if (keys.size !== normalized.length) throw badRequest('Each symbol can only appear once in a plan');
+
+  const weighted = normalized.filter(t => t.weight != null);
+  if (weighted.length === 0) {
+    const share = Math.floor((100 / normalized.length) * 100) / 100;
+    normalized.forEach((t, i) => {
+      t.weight = i === normalized.length - 1 ? round2(100 - share * (normalized.length - 1)) : share;
+    });
+    return normalized;
+  }
+  if (weighted.length !== normalized.length) throw badRequest('Give every target a weight, or none for an equal split');
+  if (normalized.some(t => !(t.weight > 0))) throw badRequest('Target weights must be greater than 0');
+  if (Math.abs(normalized.reduce((sum, t) => sum + t.weight, 0) - 100) > 0.01) {
+    throw badRequest('Target weights must add up to 100');
+  }
+  return normalized;
+};
+
+// Split the plan amount across its targets; the last one takes the rounding remainder
+const allocate = (amount, targets) => {
+  let remaining = round2(amount);
+  return targets.map((target, i) => {
+    const share = i === targets.length - 1 ? remaining : round2((amount * target.weight) / 100);
+    remaining = round2(remaining - share);
+    return { ...target, amount: share };
+  });
+};
+
+const scheduleOf = (plan) => ({
+  frequency: plan.frequency,
+  dayOfWeek: plan.day_of_week,
+  dayOfMonth: plan.day_of_month
+});
+
+const formatAmount = (currency, amount) =>
+  `${currency} ${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Recurring investment plans: create and manage them, and run the ones that are due. Each run
+ * places a market BUY per target through the regular order pipeline, for the target's share
+ * of the plan amount, and records the outcome as an execution.
+ */
+class RecurringInvestmentService {
+  constructor() {
+    this.maxActivePlansPerUser = MAX_ACTIVE_PLANS_PER_USER;
+    this.isProcessing = false;
+  }
+
+  validatePlan({ amount, fundingCurrency, frequency, dayOfWeek, dayOfMonth, targets }) {
+    const currency = String(fundingCurrency || '').toUpperCase();
+    if (!MIN_AMOUNT[currency]) throw badRequest('fundingCurrency must be KES or USD');
+    if (!(parseFloat(amount) >= MIN_AMOUNT[currency])) {
+      throw badRequest(`amount must be at least ${formatAmount(currency, MIN_AMOUNT[currency])}`);
+    }
+
+    const scheduleError = validateSchedule({ frequency, dayOfWeek, dayOfMonth });
+    if (scheduleError) throw badRequest(scheduleError);
+
+    return { amount: round2(parseFloat(amount)), currency, targets: normalizeTargets(targets) };
+  }
+
+  async createPlan(userId, input, now = new Date()) {
+    const { frequency, dayOfWeek, dayOfMonth } = input;
+    const { amount, currency, targets } = this.validatePlan(input);
+
+    const activeCount = await RecurringInvestmentPlan.count({ where: { user_id: userId, status: 'active' } });
+    if (activeCount >= MAX_ACTIVE_PLANS_PER_USER) {
+      throw badRequest(`You can have at most ${MAX_ACTIVE_PLANS_PER_USER} active recurring investments`);
+    }
+
+    const firstRun = nextRunDate({ frequency, dayOfWeek, dayOfMonth }, now);
+    const plan = await RecurringInvestmentPlan.create({
+      user_id: userId,
+      name: input.name || null,
+      amount,
+      funding_currency: currency,
+      targets,
+      frequency,
+      day_of_week: ['weekly', 'biweekly'].includes(frequency) ? dayOfWeek : null,
+      day_of_month: frequency === 'monthly' ? dayOfMonth : null,
+      on_insufficient_funds: input.onInsufficientFunds || 'retry',
+      scheduled_for: firstRun,
+      next_run_at: firstRun
+    });
+
+    logger.info(`Recurring investment plan ${plan.id} created for user ${userId}: ${formatAmount(currency, amount)} ${frequency}, first run ${firstRun.toISOString()}`);
+    return plan;
+  }
+
+  async getUserPlans(userId, { status } = {}) {
+    const where = { user_id: userId };
+    where.status = status || { [Op.ne]: 'cancelled' };
+    return RecurringInvestmentPlan.findAll({ where, order: [['created_at', 'DESC']] });
+  }
+
+  async getUserPlan(userId, planId) {
+    const plan = await RecurringInvestmentPlan.findOne({ where: { id: planId, user_id: userId } });
+    if (!plan || plan.status === 'cancelled') throw notFound('Recurring investment not found');
+    return plan;
+  }
+
+  async updatePlan(userId, planId, changes, now = new Date()) {
+    const plan = await this.getUserPlan(userId, planId);
+
+    const merged = {
+      amount: changes.amount ?? plan.amount,
+      fundingCurrency: changes.fundingCurrency ?? plan.funding_currency,
+      frequency: changes.frequency ?? plan.frequency,
+      dayOfWeek: changes.dayOfWeek !== undefined ? changes.dayOfWeek : plan.day_of_week,
+      dayOfMonth: changes.dayOfMonth !== undefined ? changes.dayOfMonth : plan.day_of_month,
+      targets: changes.targets ?? plan.targets
+    };
+    const { amount, currency, targets } = this.validatePlan(merged);
+
+    const values = {
+      amount,
+      funding_currency: currency,
+      targets,
+      frequency: merged.frequency,
+      day_of_week: ['weekly', 'biweekly'].includes(merged.frequency) ? merged.dayOfWeek : null,
+      day_of_month: merged.frequency === 'monthly' ? merged.dayOfMonth : null
+    };
+    if (changes.name !== undefined) values.name = changes.name || null;
+    if (changes.onInsufficientFunds) values.on_insufficient_funds = changes.onInsufficientFunds;
+
+    // A new schedule starts from its next matching day, dropping any pending retry
+    const scheduleChanged = values.frequency !== plan.frequency ||
+      values.day_of_week !== plan.day_of_week ||
+      values.day_of_month !== plan.day_of_month;
+    if (scheduleChanged && plan.isActive) {
+      const nextRun = nextRunDate(scheduleOf(values), now);
+      Object.assign(values, { scheduled_for: nextRun, next_run_at: nextRun, retry_count: 0 });
+    }
+
+    await plan.update(values);
+    return plan;
+  }
+
+  async pausePlan(userId, planId) {
+    const plan = await this.getUserPlan(userId, planId);
+    if (plan.status !== 'active') throw badRequest(`Cannot pause a plan that is ${plan.status}`);
+
+    await plan.update({ status: 'paused', next_run_at: null, retry_count: 0 });
+    return plan;
+  }
+
+  // A resumed plan picks up at its next scheduled day; runs missed while paused are not made up
+  async resumePlan(userId, planId, now = new Date()) {
+    const plan = await this.getUserPlan(userId, planId);
+    if (plan.status !== 'paused') throw badRequest(`Cannot resume a plan that is ${plan.status}`);
+
+    const activeCount = await RecurringInvestmentPlan.count({ where: { user_id: userId, status: 'active' } });
+    if (activeCount >= MAX_ACTIVE_PLANS_PER_USER) {
+      throw badRequest(`You can have at most ${MAX_ACTIVE_PLANS_PER_USER} active recurring investments`);
+    }
+
+    const nextRun = nextRunDate(scheduleOf(plan), now, plan.scheduled_for);
+    await plan.update({ status: 'active', scheduled_for: nextRun, next_run_at: nextRun, retry_count: 0 });
+    return plan;
+  }
+
+  // Cancelled plans are kept with their executions for the history
+  async cancelPlan(userId, planId) {
+    const plan = await this.getUserPlan(userId, planId);
+    await plan.update({ status: 'cancelled', next_run_at: null });
+    return plan;
+  }
+
+  async getExecutions(userId, planId, { limit = 20, offset = 0 } = {}) {
+    await this.getUserPlan(userId, planId);
+    return RecurringInvestmentExecution.findAndCountAll({
+      where: { plan_id: planId, user_id: userId },
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+  }
+
+  /**
+   * Job entry point: run every active plan whose next_run_at has passed. Each plan is claimed
+   * by pushing its next_run_at out first, so overlapping runners never invest twice.
+   */
+  async runDuePlans(now = new Date()) {
+    if (this.isProcessing) return { ran: 0 };
+    this.isProcessing = true;
+
+    let ran = 0;
+    try {
+      const due = await RecurringInvestmentPlan.findAll({
+        where: { status: 'active', next_run_at: { [Op.lte]: now } },
+        order: [['next_run_at', 'ASC']],
+        limit: BATCH_SIZE
+      });
+
+      for (const plan of due) {
+        const [claimed] = await RecurringInvestmentPlan.update(
+          { next_run_at: new Date(now.getTime() + CLAIM_LEASE_MINUTES * 60000) },
+          { where: { id: plan.id, status: 'active', next_run_at: plan.next_run_at } }
+        );
+        if (!claimed) continue;
+
+        try {
+          await this.executePlan(plan, now);
+          ran++;
+        } catch (error) {
+          // The claim lapses and the plan is picked up again by a later run
+          logger.error(`Recurring investment plan ${plan.id} failed to run:`, error);
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+
+    if (ran) logger.info(`Recurring investments: ${ran} plan(s) run`);
+    return { ran };
+  }
+
+  /**
+   * Place the plan's orders for its current scheduled run. Targets an earlier attempt at the same
+   * run bought, or may have bought (outcome unknown), are left out, and a run is only retried for
+   * targets that certainly weren't bought. US orders also carry an idempotency key derived from
+   * the plan, run and symbol, which Alpaca uses to reject a duplicate.
+   */
+  async executePlan(plan, now = new Date()) {
+    const scheduledFor = new Date(plan.scheduled_for);
+    const attempt = plan.retry_count + 1;
+    const user = await User.findByPk(plan.user_id);
+
+    const earlier = await RecurringInvestmentExecution.findAll({
+      where: { plan_id: plan.id, scheduled_for: scheduledFor },
+      attributes: ['orders']
+    });
+    const alreadyPlaced = new Set(
+      earlier.flatMap(execution => execution.orders || [])
+        .filter(o => ['placed', 'unknown'].includes(o.outcome))
+        .map(targetKey)
+    );
+
+    const orders = [];
+    for (const target of allocate(parseFloat(plan.amount), plan.targets)) {
+      if (alreadyPlaced.has(targetKey(target))) continue;
+      orders.push(await this.placeTargetOrder(plan, user, target, scheduledFor));
+    }
+
+    const placed = orders.filter(o => o.outcome === 'placed');
+    const missing = orders.filter(o => o.outcome !== 'placed');
+    const shortOfFunds = missing.some(o => o.outcome === 'insufficient_funds');
+    // Provider outages are worth another try whatever the plan's funding policy
+    const transient = missing.some(o => o.outcome === 'error' && !(o.httpStatus < 500));
+
+    let status = 'completed';
+    if (missing.length) {
+      if (placed.length || alreadyPlaced.size) status = 'partial';
+      else status = missing.every(o => o.outcome === 'insufficient_funds') ? 'skipped' : 'failed';
+    }
+
+    const retry = missing.length > 0 && attempt <= MAX_RETRIES &&
+      (transient || (shortOfFunds && plan.on_insufficient_funds === 'retry'));
+    const retryAt = retry ? new Date(now.getTime() + RETRY_INTERVAL_HOURS * 3600000) : null;
+
+    const execution = await RecurringInvestmentExecution.create({
+      plan_id: plan.id,
+      user_id: plan.user_id,
+      scheduled_for: scheduledFor,
+      attempt,
+      status,
+      amount: round2(placed.reduce((sum, o) => sum + o.amount, 0)),
+      currency: plan.funding_currency,
+      orders,
+      retry_at: retryAt,
+      error: missing.length ? missing.map(o => `${o.symbol}: ${o.message}`).join('; ') : null
+    });
+
+    if (retry) {
+      await plan.update({ next_run_at: retryAt, retry_count: attempt, last_run_at: now, last_run_status: status });
+    } else {
+      const nextRun = nextRunDate(scheduleOf(plan), now, scheduledFor);
+      await plan.update({ scheduled_for: nextRun, next_run_at: nextRun, retry_count: 0, last_run_at: now, last_run_status: status });
+    }
+
+    logger.info(`Recurring investment plan ${plan.id} run ${scheduledFor.toISOString()} attempt ${attempt}: ${status}${retry ? `, retrying at ${retryAt.toISOString()}` : ''}`);
+    this.notify(plan, execution);
+    return execution;
+  }
+
+  async placeTargetOrder(plan, user, target, scheduledFor) {
+    const result = { symbol: target.symbol, exchange: target.exchange, amount: target.amount };
+    if (!user) return { ...result, outcome: 'error', httpStatus: 404, message: 'User not found' };
+
+    const body = {
+      symbol: target.symbol,
+      side: 'buy',
+      type: 'market',
+      notional: target.amount,
+      notional_currency: plan.funding_currency,
+      time_in_force: 'day',
+      currency: plan.funding_currency,
+      ...(target.exchange && { exchange: target.exchange })
+    };
+    const idempotencyKey = `recurring:${plan.id}:${scheduledFor.toISOString()}:${targetKey(target)}`;
+
+    try {
+      const { status, body: response } = await submitOrder(user, body, idempotencyKey);
+      return {
+        ...result,
+        outcome: outcomeOf(target, status, response),
+        httpStatus: status,
+        provider: response?.provider || (target.exchange ? 'mystocks' : 'alpaca'),
+        orderId: response?.order?.id || response?.data?.orderId || null,
+        message: response?.message || null
+      };
+    } catch (error) {
+      logger.error(`Recurring investment order for ${target.symbol} (plan ${plan.id}) failed:`, error);
+      return { ...result, outcome: outcomeOf(target, null), httpStatus: null, message: error.message };
+    }
+  }
+
+  notify(plan, execution) {
+    const amount = formatAmount(plan.funding_currency, plan.amount);
+    const symbols = plan.targets.map(t => t.symbol).join(', ');
+    const invested = formatAmount(execution.currency, execution.amount);
+    const retryNote = execution.retry_at ? ' We will try again later today.' : '';
+    const messages = {
+      completed: `Your recurring investment of ${amount} into ${symbols} was placed.`,
+      partial: `Your recurring investment into ${symbols} was only partly placed (${invested} this time).${retryNote}`,
+      skipped: `Not enough funds for your recurring investment of ${amount} into ${symbols}.${retryNote || ' This run was skipped.'}`,
+      failed: `Your recurring investment of ${amount} into ${symbols} could not be placed.${retryNote}`
+    };
+
+    realtimeNotificationService.sendToUser(plan.user_id, 'recurring_investment', {
+      planId: plan.id,
+      executionId: execution.id,
+      status: execution.status,
+      amount: parseFloat(execution.amount),
+      currency: execution.currency,
+      retryAt: execution.retry_at,
+      title: 'Recurring investment',
+      message: messages[execution.status]
+    }, { type: 'recurring_investment', dedupe: true })
+      .catch(err => logger.warn(`Recurring investment notification failed for plan ${plan.id}: ${err.message}`));
+  }
+}
+
+module.exports = new RecurringInvestmentService();
@@ -0,0 +1,343 @@
+const { Op } = require('sequelize');
+const { sequelize, StandingDeposit, Transaction, User, Wallet, RecurringInvestmentPlan } = require('../models');
+const mpesaDepositService = require('./mpesaDepositService');
+const kcbService = require('./kcbService');
+const depositConversionService = require('./depositConversionService');
+const notificationService = require('./notificationService');
+const recurringInvestmentService = require('./recurringInvestmentService');
+const { nextRunDate, MAX_DAY_OF_MONTH } = require('../utils/recurringSchedule');
+const logger = require('../utils/logger');
+
+const MAX_ACTIVE_PER_USER = 5;
+const MIN_AMOUNT = 10;
+// M-Pesa's per-transaction limit
+const MAX_AMOUNT = 250000;
+const REMIND_HOURS_BEFORE = 24;
+// A deposit that fails this many runs in a row pauses itself
+const MAX_CONSECUTIVE_FAILURES = 3;
+const BATCH_SIZE = 100;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+const monthlyOn = (dayOfMonth) => ({ frequency: 'monthly', dayOfMonth });
+
+const formatKes = (amount) =>
+  Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Standing deposits: a monthly STK push for a fixed amount, started by the server. Each push
+ * is a regular KCB deposit (see mpesaDepositService) tagged with the standing deposit's id, so
+ * it settles through the KCB callback or the pending payment poller like any other; both call
+ * handleSettlement afterwards.
+ */
+class StandingDepositService {
+  constructor() {
+    this.isProcessing = false;
+  }
+
+  validate({ amount, dayOfMonth, phoneNumber }) {
+    const value = parseFloat(amount);
+    if (!(value >= MIN_AMOUNT && value <= MAX_AMOUNT)) {
+      throw badRequest(`amount must be between KES ${MIN_AMOUNT} and KES ${formatKes(MAX_AMOUNT)}`);
+    }
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > MAX_DAY_OF_MONTH) {
+      throw badRequest(`dayOfMonth must be 1 to ${MAX_DAY_OF_MONTH}`);
+    }
+    const phone = phoneNumber ? kcbService.formatPhoneNumber(String(phoneNumber)) : null;
+    if (!phone || !/^254[17]\d{8}$/.test(phone)) {
+      throw badRequest('phoneNumber must be a Kenyan M-Pesa number');
+    }
+    return { amount: Math.round(value * 100) / 100, dayOfMonth, phone };
+  }
+
+  async createDeposit(userId, input, now = new Date()) {
+    const user = await User.findByPk(userId);
+    if (!user) throw notFound('User not found');
+
+    const { amount, dayOfMonth, phone } = this.validate({ ...input, phoneNumber: input.phoneNumber || user.phone });
+    if (input.recurringPlanId) await recurringInvestmentService.getUserPlan(userId, input.recurringPlanId);
+
+    const activeCount = await StandingDeposit.count({ where: { user_id: userId, status: 'active' } });
+    if (activeCount >= MAX_ACTIVE_PER_USER) {
+      throw badRequest(`You can have at most ${MAX_ACTIVE_PER_USER} active standing deposits`);
+    }
+
+    const firstRun = nextRunDate(monthlyOn(dayOfMonth), now);
+    const deposit = await StandingDeposit.create({
+      user_id: userId,
+      phone_number: phone,
+      amount,
+      day_of_month: dayOfMonth,
+      recurring_plan_id: input.recurringPlanId || null,
+      next_run_at: firstRun
+    });
+
+    logger.info(`Standing deposit ${deposit.id} created for user ${userId}: KES ${amount} on day ${dayOfMonth}, first run ${firstRun.toISOString()}`);
+    return deposit;
+  }
+
+  async getUserDeposits(userId, { status } = {}) {
+    return StandingDeposit.findAll({
+      where: { user_id: userId, status: status || { [Op.ne]: 'cancelled' } },
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  async getUserDeposit(userId, depositId) {
+    const deposit = await StandingDeposit.findOne({ where: { id: depositId, user_id: userId } });
+    if (!deposit || deposit.status === 'cancelled') throw notFound('Standing deposit not found');
+    return deposit;
+  }
+
+  async updateDeposit(userId, depositId, changes, now = new Date()) {
+    const deposit = await this.getUserDeposit(userId, depositId);
+
+    const { amount, dayOfMonth, phone } = this.validate({
+      amount: changes.amount ?? deposit.amount,
+      dayOfMonth: changes.dayOfMonth ?? deposit.day_of_month,
+      phoneNumber: changes.phoneNumber ?? deposit.phone_number
+    });
+
+    const values = { amount, day_of_month: dayOfMonth, phone_number: phone };
+    if (changes.recurringPlanId !== undefined) {
+      if (changes.recurringPlanId) await recurringInvestmentService.getUserPlan(userId, changes.recurringPlanId);
+      values.recurring_plan_id = changes.recurringPlanId || null;
+    }
+    if (dayOfMonth !== deposit.day_of_month && deposit.isActive) {
+      values.next_run_at = nextRunDate(monthlyOn(dayOfMonth), now);
+    }
+
+    await deposit.update(values);
+    return deposit;
+  }
+
+  async pauseDeposit(userId, depositId) {
+    const deposit = await this.getUserDeposit(userId, depositId);
+    if (deposit.status !== 'active') throw badRequest(`Cannot pause a standing deposit that is ${deposit.status}`);
+
+    await deposit.update({ status: 'paused', next_run_at: null });
+    return deposit;
+  }
+
+  // Picks up at the next matching day; months missed while paused are not made up
+  async resumeDeposit(userId, depositId, now = new Date()) {
+    const deposit = await this.getUserDeposit(userId, depositId);
+    if (deposit.status !== 'paused') throw badRequest(`Cannot resume a standing deposit that is ${deposit.status}`);
+
+    const activeCount = await StandingDeposit.count({ where: { user_id: userId, status: 'active' } });
+    if (activeCount >= MAX_ACTIVE_PER_USER) {
+      throw badRequest(`You can have at most ${MAX_ACTIVE_PER_USER} active standing deposits`);
+    }
+
+    await deposit.update({
+      status: 'active',
+      next_run_at: nextRunDate(monthlyOn(deposit.day_of_month), now),
+      consecutive_failures: 0
+    });
+    return deposit;
+  }
+
+  async cancelDeposit(userId, depositId) {
+    const deposit = await this.getUserDeposit(userId, depositId);
+    await deposit.update({ status: 'cancelled', next_run_at: null });
+    return deposit;
+  }
+
+  // The deposit Transactions this standing deposit has started, newest first
+  async getAttempts(userId, depositId, { limit = 20, offset = 0 } = {}) {
+    await this.getUserDeposit(userId, depositId);
+    return Transaction.findAndCountAll({
+      where: { type: 'deposit', 'metadata.standingDepositId': depositId },
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+  }
+
+  /**
+   * Job entry point: remind users of tomorrow's pushes, then send the pushes that are due. A
+   * deposit is claimed by moving next_run_at to the following month before its push is sent,
+   * so overlapping runners never push twice.
+   */
+  async runDue(now = new Date()) {
+    if (this.isProcessing) return { reminded: 0, pushed: 0 };
+    this.isProcessing = true;
+
+    const stats = { reminded: 0, pushed: 0 };
+    try {
+      stats.reminded = await this.sendReminders(now);
+
+      const due = await StandingDeposit.findAll({
+        where: { status: 'active', next_run_at: { [Op.lte]: now } },
+        order: [['next_run_at', 'ASC']],
+        limit: BATCH_SIZE
+      });
+
+      for (const deposit of due) {
+        const [claimed] = await StandingDeposit.update(
+          { next_run_at: nextRunDate(monthlyOn(deposit.day_of_month), now) },
+          { where: { id: deposit.id, status: 'active', next_run_at: deposit.next_run_at } }
+        );
+        if (!claimed) continue;
+
+        try {
+          if (await this.runDeposit(deposit, now)) stats.pushed++;
+        } catch (error) {
+          logger.error(`Standing deposit ${deposit.id} failed to run:`, error);
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+
+    if (stats.reminded || stats.pushed) logger.info('Standing deposits run:', stats);
+    return stats;
+  }
+
+  async sendReminders(now) {
+    const upcoming = await StandingDeposit.findAll({
+      where: {
+        status: 'active',
+        next_run_at: { [Op.gt]: now, [Op.lte]: new Date(now.getTime() + REMIND_HOURS_BEFORE * 3600000) }
+      },
+      limit: BATCH_SIZE
+    });
+
+    let reminded = 0;
+    for (const deposit of upcoming) {
+      if (deposit.reminded_for && new Date(deposit.reminded_for).getTime() === new Date(deposit.next_run_at).getTime()) continue;
+
+      await deposit.update({ reminded_for: deposit.next_run_at });
+      await notificationService.sendStandingDepositReminder(deposit.user_id, {
+        standingDepositId: deposit.id,
+        amount: formatKes(deposit.amount),
+        runAt: deposit.next_run_at
+      });
+      reminded++;
+    }
+    return reminded;
+  }
+
+  // Send this run's STK push; resolves true when the push went out
+  async runDeposit(deposit, now = new Date()) {
+    const user = await User.findByPk(deposit.user_id);
+    if (!user) {
+      await this.recordFailure(deposit, 'User not found', { last_run_at: now });
+      return false;
+    }
+
+    const { success, error, transaction } = await mpesaDepositService.initiate(user, {
+      phoneNumber: deposit.phone_number,
+      amount: parseFloat(deposit.amount),
+      transactionDescription: 'Standing deposit to Riven wallet',
+      metadata: { standingDepositId: deposit.id, scheduledRun: now.toISOString() }
+    });
+
+    if (!success) {
+      await this.recordFailure(deposit, error || 'STK Push failed', { last_run_at: now });
+      return false;
+    }
+
+    await deposit.update({ last_run_at: now, last_run_status: 'pending', last_transaction_id: transaction.id });
+    logger.info(`Standing deposit ${deposit.id}: STK push ${transaction.reference} sent for KES ${deposit.amount}`);
+    return true;
+  }
+
+  async recordFailure(deposit, reason, values = {}) {
+    const failures = deposit.consecutive_failures + 1;
+    const paused = failures >= MAX_CONSECUTIVE_FAILURES && deposit.isActive;
+
+    await deposit.update({
+      ...values,
+      last_run_status: 'failed',
+      consecutive_failures: failures,
+      ...(paused && { status: 'paused', next_run_at: null })
+    });
+    if (paused) logger.warn(`Standing deposit ${deposit.id} paused after ${failures} failed runs`);
+
+    await notificationService.sendStandingDepositFailed(deposit.user_id, {
+      standingDepositId: deposit.id,
+      amount: formatKes(deposit.amount),
+      reason,
+      paused
+    });
+  }
+
+  /**
+   * Called once a deposit Transaction has settled, after its database transaction committed.
+   * Does nothing for deposits a standing deposit didn't start. A completed push is auto-converted
+   * to USD when the user has auto_convert_deposits on, and lets a linked recurring plan waiting
+   * on a retry run straight away; a failed one is counted and the user notified.
+   */
+  async handleSettlement(txn, now = new Date()) {
+    const depositId = txn.metadata?.standingDepositId;
+    if (!depositId) return;
+
+    try {
+      const deposit = await StandingDeposit.findByPk(depositId);
+      if (!deposit) return;
+
+      if (txn.status === 'completed') {
+        await deposit.update({ last_run_status: 'completed', consecutive_failures: 0 });
+        await this.autoConvert(deposit, txn);
+        await this.releaseLinkedPlan(deposit, now);
+      } else if (txn.status === 'failed') {
+        await this.recordFailure(deposit, txn.metadata?.failureReason || 'Payment failed');
+      }
+    } catch (error) {
+      logger.error(`Standing deposit ${depositId}: failed to handle settlement of ${txn.reference}:`, error);
+    }
+  }
+
+  /**
+   * Convert the deposit to USD for a user with auto_convert_deposits on, unless it is funding a
+   * linked plan that invests in KES: converting it would leave that plan short.
+   */
+  async autoConvert(deposit, txn) {
+    const user = await User.findByPk(deposit.user_id);
+    if (!user?.auto_convert_deposits || txn.metadata?.autoConversion) return null;
+
+    if (deposit.recurring_plan_id) {
+      const plan = await RecurringInvestmentPlan.findByPk(deposit.recurring_plan_id);
+      if (plan?.funding_currency === 'KES') return null;
+    }
+
+    const kesAmount = Math.abs(parseFloat(txn.amount));
+    const transaction = await sequelize.transaction();
+    let conversion;
+    try {
+      const wallet = await Wallet.findByPk(txn.wallet_id, { transaction, lock: true });
+      conversion = await depositConversionService.convertToUsd(wallet, {
+        kesAmount,
+        depositReference: txn.reference,
+        label: 'standing deposit'
+      }, { transaction });
+
+      await txn.update({
+        metadata: { ...txn.metadata, autoConversion: { usdAmount: conversion.usdAmount, rate: conversion.rate, fees: conversion.fees } }
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info(`Standing deposit ${deposit.id}: auto-converted KES ${kesAmount} to USD ${conversion.usdAmount}`);
+    return conversion.usdAmount;
+  }
+
+  // A linked plan held back for lack of funds is brought forward to the recurring runner's next pass
+  async releaseLinkedPlan(deposit, now) {
+    if (!deposit.recurring_plan_id) return;
+
+    const [released] = await RecurringInvestmentPlan.update(
+      { next_run_at: now },
+      { where: { id: deposit.recurring_plan_id, status: 'active', retry_count: { [Op.gt]: 0 } } }
+    );
+    if (released) logger.info(`Standing deposit ${deposit.id}: recurring plan ${deposit.recurring_plan_id} released to retry now`);
+  }
+}
+
+module.exports = new StandingDepositService();
@@ -0,0 +1,244 @@
+const { Op } = require('sequelize');
+const { User, Order, MsOrder, DemoOrder } = require('../models');
+const alpacaService = require('./alpacaService');
+const exchangeService = require('./exchangeService');
+const { isAfrican, getMyStocksQuote } = require('../utils/mystocksQuote');
+const { COST_BASIS_METHODS, matchLots } = require('../utils/taxLots');
+const logger = require('../utils/logger');
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`${name} must be a date (YYYY-MM-DD)`);
+  return date;
+};
+
+// Alpaca fills. The commission on the order is for its full quantity, so a partial fill gets its share
+const fromOrder = (order) => {
+  const quantity = parseFloat(order.filled_quantity || 0);
+  const ordered = parseFloat(order.quantity || 0) || quantity;
+  const commissionUsd = parseFloat(order.fees?.commission?.amountUsd || 0);
+  return {
+    provider: 'alpaca',
+    orderId: order.id,
+    symbol: order.symbol,
+    exchange: 'US',
+    side: order.side,
+    quantity,
+    priceUsd: parseFloat(order.average_price || 0),
+    feeUsd: ordered > 0 ? commissionUsd * Math.min(1, quantity / ordered) : 0,
+    exchangeRate: order.exchange_rate ? parseFloat(order.exchange_rate) : null,
+    date: order.filled_at || order.updated_at || order.created_at
+  };
+};
+
+// MyStocks fills; the KES rate is implied by the local and USD prices of KES-quoted stocks
+const fromMsOrder = (order) => {
+  const quantity = parseFloat(order.quantity || 0);
+  const priceUsd = parseFloat(order.usd_price || 0) || (quantity > 0 ? parseFloat(order.gross_usd || 0) / quantity : 0);
+  const localPrice = parseFloat(order.local_price || 0);
+  return {
+    provider: 'mystocks',
+    orderId: order.id,
+    symbol: order.symbol,
+    exchange: order.exchange || 'NSE',
+    side: order.side.toLowerCase(),
+    quantity,
+    priceUsd,
+    feeUsd: parseFloat(order.fee_usd || 0),
+    exchangeRate: (order.currency || 'KES') === 'KES' && localPrice > 0 && priceUsd > 0 ? localPrice / priceUsd : null,
+    date: order.filled_at || order.created_at
+  };
+};
+
+const fromDemoOrder = (order) => ({
+  provider: 'demo',
+  orderId: order.id,
+  symbol: order.symbol,
+  exchange: order.exchange || 'NSE',
+  side: order.side.toLowerCase(),
+  quantity: parseFloat(order.quantity || 0),
+  priceUsd: parseFloat(order.price_usd || 0),
+  feeUsd: parseFloat(order.fee_usd || 0),
+  exchangeRate: null,
+  date: order.filled_at || order.created_at
+});
+
+/**
+ * Cost basis per tax lot for Alpaca, MyStocks and demo fills, and the realized and unrealized
+ * P&L that follows from it. Lots are rebuilt from the order tables on each call; the matching
+ * itself is in utils/taxLots.
+ */
+class TaxLotService {
+  /**
+   * The user's fills: demo orders in demo mode, otherwise their Alpaca and MyStocks orders.
+   */
+  async getFills(user) {
+    if (user.account_mode === 'demo') {
+      const demoOrders = await DemoOrder.findAll({ where: { user_id: user.id, ...DemoOrder.executedWhere }, order: [['filled_at', 'ASC']] });
+      return demoOrders.map(fromDemoOrder);
+    }
+    return this.getLiveFills(user.id);
+  }
+
+  /**
+   * The user's Alpaca and MyStocks fills, whatever mode the account is in.
+   */
+  async getLiveFills(userId) {
+    const [orders, msOrders] = await Promise.all([
+      Order.findAll({
+        where: { user_id: userId, filled_quantity: { [Op.gt]: 0 } },
+        order: [['filled_at', 'ASC']]
+      }),
+      MsOrder.findAll({ where: { user_id: userId, ...MsOrder.executedWhere }, order: [['filled_at', 'ASC']] })
+    ]);
+    return [...orders.map(fromOrder), ...msOrders.map(fromMsOrder)];
+  }
+
+  /**
+   * Open lots and disposals for the user, matched by `method`.
+   */
+  async getLots(userId, { method = 'fifo' } = {}) {
+    if (!COST_BASIS_METHODS.includes(method)) {
+      throw badRequest(`method must be one of: ${COST_BASIS_METHODS.join(', ')}`);
+    }
+    const user = await User.findByPk(userId);
+    if (!user) throw notFound('User not found');
+
+    const fills = await this.getFills(user);
+    return { user, ...matchLots(fills, method) };
+  }
+
+  /**
+   * Latest USD price per open position, keyed provider:symbol. Alpaca prices come from the
+   * account's positions; the rest from quotes. Positions without a price are left out.
+   */
+  async getPrices(user, positions) {
+    const prices = {};
+    const alpacaPrices = {};
+    if (user.alpaca_account_id && positions.some(p => p.provider === 'alpaca')) {
+      try {
+        const alpacaPositions = await alpacaService.getPositions(user.alpaca_account_id);
+        for (const p of alpacaPositions || []) alpacaPrices[p.symbol] = parseFloat(p.current_price || 0);
+      } catch (error) {
+        logger.warn(`Failed to fetch Alpaca positions for user ${user.id}:`, error);
+      }
+    }
+
+    await Promise.all(positions.map(async (position) => {
+      const key = `${position.provider}:${position.symbol}`;
+      try {
+        if (alpacaPrices[position.symbol] && position.provider === 'alpaca') {
+          prices[key] = alpacaPrices[position.symbol];
+        } else if (isAfrican(position.exchange)) {
+          const quote = await getMyStocksQuote(position.symbol);
+          if (quote?.usdPrice) prices[key] = quote.usdPrice;
+        } else {
+          const quote = await alpacaService.getLatestQuote(position.symbol);
+          if (quote?.ap || quote?.bp) prices[key] = parseFloat(quote.ap || quote.bp);
+        }
+      } catch (_) {}
+    }));
+    return prices;
+  }
+
+  /**
+   * Realized P&L on sells between `from` and `to` (all time by default) and unrealized P&L on
+   * what's still held, per position and in total.
+   */
+  async getProfitAndLoss(userId, { method = 'fifo', from = null, to = null } = {}) {
+    const fromDate = parseDate(from, 'from');
+    let toDate = parseDate(to, 'to');
+    // A bare date covers the whole of that day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) toDate = new Date(toDate.getTime() + DAY_MS - 1);
+    if (fromDate && toDate && fromDate > toDate) throw badRequest('from must be before to');
+
+    const { user, positions, disposals } = await this.getLots(userId, { method });
+    const periodDisposals = disposals.filter(d =>
+      (!fromDate || d.disposedAt >= fromDate) && (!toDate || d.disposedAt <= toDate));
+
+    const open = positions.filter(p => p.lots.length > 0);
+    const [prices, exchangeRate] = await Promise.all([
+      this.getPrices(user, open),
+      exchangeService.getExchangeRate('USD', 'KES')
+    ]);
+
+    const realizedByKey = {};
+    for (const d of periodDisposals) {
+      const key = `${d.provider}:${d.symbol}`;
+      realizedByKey[key] = (realizedByKey[key] || 0) + d.realizedPLUsd;
+    }
+
+    const rows = positions
+      .filter(p => p.lots.length > 0 || realizedByKey[`${p.provider}:${p.symbol}`] !== undefined)
+      .map(p => {
+        const key = `${p.provider}:${p.symbol}`;
+        const quantity = p.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+        const costBasisUsd = p.lots.reduce((sum, lot) => sum + lot.costUsd, 0);
+        const currentPriceUsd = prices[key] ?? null;
+        const marketValueUsd = currentPriceUsd !== null ? quantity * currentPriceUsd : null;
+        const unrealizedPLUsd = marketValueUsd !== null ? marketValueUsd - costBasisUsd : null;
+        return {
+          provider: p.provider,
+          symbol: p.symbol,
+          exchange: p.exchange,
+          quantity: round4(quantity),
+          costBasisUsd: round4(costBasisUsd),
+          averageCostUsd: quantity > 0 ? round4(costBasisUsd / quantity) : 0,
+          currentPriceUsd,
+          marketValueUsd: marketValueUsd !== null ? round4(marketValueUsd) : null,
+          unrealizedPLUsd: unrealizedPLUsd !== null ? round4(unrealizedPLUsd) : null,
+          unrealizedPLPercent: unrealizedPLUsd !== null && costBasisUsd > 0 ? round2((unrealizedPLUsd / costBasisUsd) * 100) : null,
+          realizedPLUsd: round4(realizedByKey[key] || 0),
+          lots: p.lots.map(lot => ({
+            orderId: lot.orderId,
+            acquiredAt: lot.acquiredAt,
+            quantity: round4(lot.quantity),
+            costUsd: round4(lot.costUsd),
+            unitCostUsd: round4(lot.costUsd / lot.quantity)
+          }))
+        };
+      });
+
+    const realizedPLUsd = periodDisposals.reduce((sum, d) => sum + d.realizedPLUsd, 0);
+    const unrealizedPLUsd = rows.reduce((sum, r) => sum + (r.unrealizedPLUsd || 0), 0);
+
+    return {
+      method,
+      period: { from: fromDate, to: toDate },
+      positions: rows,
+      disposals: periodDisposals.map(d => ({
+        provider: d.provider,
+        symbol: d.symbol,
+        exchange: d.exchange,
+        orderId: d.orderId,
+        acquiredAt: d.acquiredAt,
+        disposedAt: d.disposedAt,
+        quantity: round4(d.quantity),
+        proceedsUsd: round4(d.proceedsUsd),
+        costBasisUsd: round4(d.costBasisUsd),
+        realizedPLUsd: round4(d.realizedPLUsd),
+        unmatchedQuantity: round4(d.unmatchedQuantity)
+      })),
+      totals: {
+        costBasisUsd: round4(rows.reduce((sum, r) => sum + r.costBasisUsd, 0)),
+        marketValueUsd: round4(rows.reduce((sum, r) => sum + (r.marketValueUsd || 0), 0)),
+        unrealizedPLUsd: round4(unrealizedPLUsd),
+        unrealizedPLKES: round2(unrealizedPLUsd * exchangeRate),
+        realizedPLUsd: round4(realizedPLUsd),
+        realizedPLKES: round2(realizedPLUsd * exchangeRate)
+      },
+      exchangeRate
+    };
+  }
+}
+
+module.exports = new TaxLotService();
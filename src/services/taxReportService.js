@@ -0,0 +1,400 @@
+const { Op } = require('sequelize');
+const { User, PlatformRevenue, PortfolioSnapshot } = require('../models');
+const alpacaService = require('./alpacaService');
+const ms = require('./mystocksService');
+const exchangeService = require('./exchangeService');
+const taxLotService = require('./taxLotService');
+const { COST_BASIS_METHODS, matchLots } = require('../utils/taxLots');
+const { renderTextPdf } = require('../utils/pdfDocument');
+const { toCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIRST_YEAR = 2000;
+const ALPACA_PAGE_SIZE = 100;
+// A stored USD/KES rate further than this from the day being converted is not used for it
+const MAX_RATE_GAP_DAYS = 7;
+
+// Alpaca dividend activity types: payments, and what was withheld or charged against them
+const ALPACA_DIVIDEND_TYPES = ['DIV', 'DIVCGL', 'DIVCGS', 'DIVROC', 'DIVTXEX'];
+const ALPACA_WITHHOLDING_TYPES = ['DIVNRA', 'DIVFT', 'DIVTW'];
+const ALPACA_FEE_TYPES = ['DIVFEE', 'FEE'];
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+
+const money = (value) => Number(value || 0).toFixed(2);
+const pad = (value, width) => String(value ?? '').slice(0, width).padEnd(width);
+const padLeft = (value, width) => String(value ?? '').slice(0, width).padStart(width);
+
+// MyStocks returns lists bare or wrapped, as with the dividend calendar
+const unwrapList = (data) => (Array.isArray(data) ? data
+  : Array.isArray(data?.data) ? data.data
+  : Array.isArray(data?.dividends) ? data.dividends : []);
+
+/**
+ * USD/KES on a given day, from the rates stored on the user's orders and portfolio snapshots:
+ * the stored rate nearest in time if it is within MAX_RATE_GAP_DAYS, else `fallback` (flagged
+ * as estimated).
+ */
+const rateLookup = (knownRates, fallback) => {
+  const known = knownRates
+    .filter(r => r.rate > 0)
+    .map(r => ({ time: new Date(r.date).getTime(), rate: r.rate }));
+
+  return (date) => {
+    const time = new Date(date).getTime();
+    let nearest = null;
+    for (const r of known) {
+      if (!nearest || Math.abs(r.time - time) < Math.abs(nearest.time - time)) nearest = r;
+    }
+    return nearest && Math.abs(nearest.time - time) <= MAX_RATE_GAP_DAYS * DAY_MS
+      ? { rate: nearest.rate, estimated: false }
+      : { rate: fallback, estimated: true };
+  };
+};
+
+/**
+ * Year-end tax report: realized gains per disposal, dividends and the tax withheld on them, and
+ * fees, in USD and in KES at the rate of the day. Gains use the tax lots from taxLotService;
+ * each lot and sale is converted at the rate stored on its order.
+ */
+class TaxReportService {
+  resolveYear(year, now = new Date()) {
+    const value = Number(year);
+    if (!Number.isInteger(value) || value < FIRST_YEAR || value > now.getUTCFullYear()) {
+      throw badRequest(`year must be between ${FIRST_YEAR} and ${now.getUTCFullYear()}`);
+    }
+    return {
+      year: value,
+      start: new Date(Date.UTC(value, 0, 1)),
+      end: new Date(Date.UTC(value + 1, 0, 1))
+    };
+  }
+
+  /**
+   * Dividend payments on the Alpaca account in the period, one row per symbol and day with the
+   * gross amount, tax withheld and fees. Alpaca pays in USD.
+   */
+  async getAlpacaDividends(accountId, { start, end }) {
+    const activities = [];
+    let pageToken;
+    do {
+      const page = await alpacaService.getBrokerAccountActivities(accountId, {
+        activity_types: [...ALPACA_DIVIDEND_TYPES, ...ALPACA_WITHHOLDING_TYPES, ...ALPACA_FEE_TYPES].join(','),
+        after: toDateString(start.getTime() - DAY_MS),
+        until: toDateString(end.getTime() - DAY_MS),
+        direction: 'asc',
+        page_size: ALPACA_PAGE_SIZE,
+        ...(pageToken ? { page_token: pageToken } : {})
+      });
+      const list = Array.isArray(page) ? page : [];
+      activities.push(...list);
+      pageToken = list.length === ALPACA_PAGE_SIZE ? list[list.length - 1].id : null;
+    } while (pageToken);
+
+    const rows = new Map();
+    const fees = [];
+    for (const activity of activities) {
+      const date = activity.date || toDateString(activity.transaction_time);
+      if (!date || new Date(date) < start || new Date(date) >= end) continue;
+      const amount = parseFloat(activity.net_amount || 0);
+      const type = activity.activity_type;
+
+      if (type === 'FEE') {
+        fees.push({ date, description: activity.description || 'Broker fee', amountUsd: -amount });
+        continue;
+      }
+      const key = `${activity.symbol}:${date}`;
+      if (!rows.has(key)) {
+        rows.set(key, { provider: 'alpaca', symbol: activity.symbol, date, currency: 'USD', gross: 0, withholding: 0, fees: 0 });
+      }
+      const row = rows.get(key);
+      if (ALPACA_DIVIDEND_TYPES.includes(type)) row.gross += amount;
+      else if (ALPACA_WITHHOLDING_TYPES.includes(type)) row.withholding += -amount;
+      else row.fees += -amount;
+    }
+    return { dividends: [...rows.values()], fees };
+  }
+
+  /**
+   * Dividends MyStocks credited to the sub-account in the period, in the currency they were paid in.
+   */
+  async getMyStocksDividends(subAccountId, { start, end }) {
+    const list = unwrapList(await ms.getUserDividends(subAccountId));
+    return list
+      .map(d => {
+        const net = parseFloat(d.netAmount ?? d.amount ?? 0);
+        const withholding = Math.abs(parseFloat(d.withholdingTax ?? d.withholding ?? d.taxWithheld ?? 0));
+        const gross = parseFloat(d.grossAmount ?? 0) || net + withholding;
+        return {
+          provider: 'mystocks',
+          symbol: d.symbol,
+          date: d.paymentDate || d.paidAt || d.date,
+          currency: (d.currency || 'KES').toUpperCase(),
+          gross,
+          withholding,
+          fees: 0
+        };
+      })
+      .filter(d => d.date && new Date(d.date) >= start && new Date(d.date) < end);
+  }
+
+  /**
+   * The report for a calendar year. Provider dividend lookups that fail are left out and named
+   * in `warnings`, so a partial report is never mistaken for a complete one.
+   */
+  async getReport(userId, { year, method = 'fifo' } = {}) {
+    const period = this.resolveYear(year);
+    if (!COST_BASIS_METHODS.includes(method)) {
+      throw badRequest(`method must be one of: ${COST_BASIS_METHODS.join(', ')}`);
+    }
+    const user = await User.findByPk(userId);
+    if (!user) throw notFound('User not found');
+
+    const warnings = [];
+    const [fills, snapshots, revenue, currentRate] = await Promise.all([
+      taxLotService.getLiveFills(user.id),
+      PortfolioSnapshot.findAll({
+        where: { user_id: user.id, snapshot_date: { [Op.gte]: toDateString(period.start), [Op.lt]: toDateString(period.end) } },
+        attributes: ['snapshot_date', 'exchange_rate']
+      }),
+      PlatformRevenue.findAll({
+        where: { user_id: user.id, created_at: { [Op.gte]: period.start, [Op.lt]: period.end } },
+        order: [['created_at', 'ASC']]
+      }),
+      exchangeService.getExchangeRate('USD', 'KES')
+    ]);
+
+    const rateOn = rateLookup([
+      ...fills.map(f => ({ date: f.date, rate: f.exchangeRate })),
+      ...snapshots.map(s => ({ date: s.snapshot_date, rate: parseFloat(s.exchange_rate || 0) }))
+    ], currentRate);
+    const kesAt = (usd, date, storedRate) => {
+      if (storedRate) return { kes: usd * storedRate, estimated: false };
+      const { rate, estimated } = rateOn(date);
+      return { kes: usd * rate, estimated };
+    };
+
+    // Realized gains
+    const { disposals } = matchLots(fills, method);
+    const gains = disposals
+      .filter(d => d.disposedAt >= period.start && d.disposedAt < period.end)
+      .map(d => {
+        const proceeds = kesAt(d.proceedsUsd, d.disposedAt, d.exchangeRate);
+        const costs = d.lots.map(lot => kesAt(lot.costUsd, lot.acquiredAt, lot.exchangeRate));
+        const proceedsKes = proceeds.kes;
+        const costBasisKes = costs.reduce((total, cost) => total + cost.kes, 0);
+        return {
+          provider: d.provider,
+          symbol: d.symbol,
+          exchange: d.exchange,
+          acquiredAt: d.acquiredAt,
+          disposedAt: d.disposedAt,
+          holdingDays: d.acquiredAt ? Math.floor((d.disposedAt - d.acquiredAt) / DAY_MS) : null,
+          quantity: round4(d.quantity),
+          proceedsUsd: round2(d.proceedsUsd),
+          costBasisUsd: round2(d.costBasisUsd),
+          gainUsd: round2(d.realizedPLUsd),
+          proceedsKes: round2(proceedsKes),
+          costBasisKes: round2(costBasisKes),
+          gainKes: round2(proceedsKes - costBasisKes),
+          unmatchedQuantity: round4(d.unmatchedQuantity),
+          exchangeRateEstimated: proceeds.estimated || costs.some(cost => cost.estimated)
+        };
+      });
+
+    // Dividends and withholding
+    const dividendRows = [];
+    const brokerFees = [];
+    if (user.alpaca_account_id) {
+      try {
+        const alpaca = await this.getAlpacaDividends(user.alpaca_account_id, period);
+        dividendRows.push(...alpaca.dividends);
+        brokerFees.push(...alpaca.fees);
+      } catch (error) {
+        logger.warn(`Tax report: Alpaca dividends unavailable for user ${user.id}:`, error);
+        warnings.push('Alpaca dividends could not be fetched and are not included');
+      }
+    }
+    if (user.mystocks_sub_account_id) {
+      try {
+        dividendRows.push(...await this.getMyStocksDividends(user.mystocks_sub_account_id, period));
+      } catch (error) {
+        logger.warn(`Tax report: MyStocks dividends unavailable for user ${user.id}:`, error);
+        warnings.push('MyStocks dividends could not be fetched and are not included');
+      }
+    }
+    // Dividends paid in another currency (NGN, ZAR, GHS...) are converted to USD at today's rate,
+    // as no rate for them is stored, and flagged as estimated
+    const otherCurrencies = [...new Set(dividendRows.map(d => d.currency))].filter(c => c !== 'USD' && c !== 'KES');
+    const usdRates = Object.fromEntries(await Promise.all(
+      otherCurrencies.map(async currency => [currency, await exchangeService.getExchangeRate(currency, 'USD')])
+    ));
+    const dividends = dividendRows
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map(d => {
+        const { rate, estimated } = rateOn(d.date);
+        const toUsd = d.currency === 'KES' ? (v) => v / rate
+          : d.currency === 'USD' ? (v) => v
+          : (v) => v * usdRates[d.currency];
+        const toKes = d.currency === 'KES' ? (v) => v : (v) => toUsd(v) * rate;
+        const net = d.gross - d.withholding - d.fees;
+        return {
+          provider: d.provider,
+          symbol: d.symbol,
+          date: toDateString(d.date),
+          currency: d.currency,
+          grossUsd: round2(toUsd(d.gross)),
+          withholdingUsd: round2(toUsd(d.withholding)),
+          feesUsd: round2(toUsd(d.fees)),
+          netUsd: round2(toUsd(net)),
+          grossKes: round2(toKes(d.gross)),
+          withholdingKes: round2(toKes(d.withholding)),
+          feesKes: round2(toKes(d.fees)),
+          netKes: round2(toKes(net)),
+          exchangeRate: rate,
+          exchangeRateEstimated: estimated || d.currency in usdRates
+        };
+      });
+
+    // Fees: commissions on the year's fills, broker account fees and platform fees. The trade fee
+    // recorded as revenue for an Alpaca order (ORDER_<id>) is the commission already on its fill,
+    // and demo trades (DEMO_<id>) are not real fees.
+    const commissionFills = fills.filter(f => f.feeUsd > 0);
+    const commissionRefs = new Set(commissionFills.filter(f => f.provider === 'alpaca').map(f => `ORDER_${f.orderId}`));
+    const feeRow = (date, type, description, amountUsd, { kes, estimated }) => ({
+      date, type, description, amountUsd, amountKes: kes, exchangeRateEstimated: estimated
+    });
+    const fees = [
+      ...commissionFills
+        .filter(f => new Date(f.date) >= period.start && new Date(f.date) < period.end)
+        .map(f => feeRow(f.date, 'commission', `${f.side} ${f.symbol} (${f.provider})`, f.feeUsd, kesAt(f.feeUsd, f.date, f.exchangeRate))),
+      ...brokerFees.map(f => feeRow(f.date, 'broker_fee', f.description, f.amountUsd, kesAt(f.amountUsd, f.date))),
+      ...revenue
+        .filter(r => !commissionRefs.has(r.reference) && !String(r.reference || '').startsWith('DEMO_'))
+        .map(r => feeRow(r.created_at, r.type, r.reference, parseFloat(r.amount_usd || 0), { kes: parseFloat(r.amount_kes || 0), estimated: false }))
+    ]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map(f => ({ ...f, date: toDateString(f.date), amountUsd: round2(f.amountUsd), amountKes: round2(f.amountKes) }));
+
+    const taxInfo = user.kyc_data?.taxInfo || {};
+    return {
+      year: period.year,
+      method,
+      taxpayer: {
+        name: [user.first_name, user.last_name].filter(Boolean).join(' '),
+        email: user.email,
+        taxId: taxInfo.taxId || null,
+        taxIdType: taxInfo.taxIdType || null
+      },
+      realizedGains: gains,
+      dividends,
+      fees,
+      totals: {
+        proceedsUsd: round2(sum(gains, 'proceedsUsd')),
+        costBasisUsd: round2(sum(gains, 'costBasisUsd')),
+        realizedGainUsd: round2(sum(gains, 'gainUsd')),
+        proceedsKes: round2(sum(gains, 'proceedsKes')),
+        costBasisKes: round2(sum(gains, 'costBasisKes')),
+        realizedGainKes: round2(sum(gains, 'gainKes')),
+        dividendsGrossUsd: round2(sum(dividends, 'grossUsd')),
+        withholdingUsd: round2(sum(dividends, 'withholdingUsd')),
+        dividendsNetUsd: round2(sum(dividends, 'netUsd')),
+        dividendsGrossKes: round2(sum(dividends, 'grossKes')),
+        withholdingKes: round2(sum(dividends, 'withholdingKes')),
+        dividendsNetKes: round2(sum(dividends, 'netKes')),
+        feesUsd: round2(sum(fees, 'amountUsd')),
+        feesKes: round2(sum(fees, 'amountKes'))
+      },
+      // Set when some amount had no stored rate within MAX_RATE_GAP_DAYS of its date, or was paid
+      // in a currency with no stored rate, and today's rate was used; each row carries its own flag
+      exchangeRateEstimated: [...gains, ...dividends, ...fees].some(row => row.exchangeRateEstimated),
+      warnings,
+      generatedAt: new Date()
+    };
+  }
+
+  toCsv(report) {
+    const rows = [['section', 'provider', 'symbol', 'acquired', 'date', 'quantity', 'description', 'amount_usd', 'cost_usd', 'gain_usd', 'amount_kes', 'cost_kes', 'gain_kes']];
+    for (const g of report.realizedGains) {
+      rows.push(['disposal', g.provider, g.symbol, g.acquiredAt ? toDateString(g.acquiredAt) : '', toDateString(g.disposedAt), g.quantity, g.exchange,
+        g.proceedsUsd, g.costBasisUsd, g.gainUsd, g.proceedsKes, g.costBasisKes, g.gainKes]);
+    }
+    for (const d of report.dividends) {
+      rows.push(['dividend', d.provider, d.symbol, '', d.date, '', `paid in ${d.currency}`, d.grossUsd, '', '', d.grossKes, '', '']);
+      if (d.withholdingUsd) rows.push(['withholding', d.provider, d.symbol, '', d.date, '', 'tax withheld', d.withholdingUsd, '', '', d.withholdingKes, '', '']);
+      if (d.feesUsd) rows.push(['dividend_fee', d.provider, d.symbol, '', d.date, '', '', d.feesUsd, '', '', d.feesKes, '', '']);
+    }
+    for (const f of report.fees) {
+      rows.push(['fee', '', '', '', f.date, '', `${f.type}: ${f.description || ''}`, f.amountUsd, '', '', f.amountKes, '', '']);
+    }
+    const t = report.totals;
+    rows.push(['total', '', '', '', '', '', 'realized gains', t.proceedsUsd, t.costBasisUsd, t.realizedGainUsd, t.proceedsKes, t.costBasisKes, t.realizedGainKes]);
+    rows.push(['total', '', '', '', '', '', 'dividends (gross)', t.dividendsGrossUsd, '', '', t.dividendsGrossKes, '', '']);
+    rows.push(['total', '', '', '', '', '', 'tax withheld', t.withholdingUsd, '', '', t.withholdingKes, '', '']);
+    rows.push(['total', '', '', '', '', '', 'fees', t.feesUsd, '', '', t.feesKes, '', '']);
+    return toCsv(rows);
+  }
+
+  toPdf(report) {
+    const t = report.totals;
+    const lines = [
+      { text: `${process.env.APP_NAME || 'Riven Trading'} - Tax Report ${report.year}`, bold: true },
+      '',
+      `Taxpayer:     ${report.taxpayer.name}`,
+      `Tax ID:       ${report.taxpayer.taxId ? `${report.taxpayer.taxId} (${report.taxpayer.taxIdType})` : 'not provided'}`,
+      `Period:       ${report.year}-01-01 to ${report.year}-12-31`,
+      `Cost basis:   ${report.method.toUpperCase()}`,
+      `Generated:    ${new Date(report.generatedAt).toISOString()}`,
+      ''
+    ];
+    for (const warning of report.warnings) lines.push(`NOTE: ${warning}`);
+    if (report.exchangeRateEstimated) lines.push('NOTE: some amounts use the current exchange rate where no rate was stored within a week of their date');
+
+    lines.push('', { text: 'SUMMARY', bold: true }, `${pad('', 24)}${padLeft('USD', 16)}${padLeft('KES', 18)}`);
+    const summaryRows = [
+      ['Proceeds', t.proceedsUsd, t.proceedsKes],
+      ['Cost basis', t.costBasisUsd, t.costBasisKes],
+      ['Realized gain', t.realizedGainUsd, t.realizedGainKes],
+      ['Dividends (gross)', t.dividendsGrossUsd, t.dividendsGrossKes],
+      ['Tax withheld', t.withholdingUsd, t.withholdingKes],
+      ['Dividends (net)', t.dividendsNetUsd, t.dividendsNetKes],
+      ['Fees', t.feesUsd, t.feesKes]
+    ];
+    for (const [label, usd, kes] of summaryRows) lines.push(`${pad(label, 24)}${padLeft(money(usd), 16)}${padLeft(money(kes), 18)}`);
+
+    lines.push('', { text: 'REALIZED GAINS', bold: true });
+    if (report.realizedGains.length === 0) lines.push('No disposals in this year.');
+    else lines.push(`${pad('Symbol', 8)}${pad('Acquired', 11)}${pad('Sold', 11)}${padLeft('Qty', 10)}${padLeft('Proceeds $', 12)}${padLeft('Cost $', 12)}${padLeft('Gain $', 11)}${padLeft('Gain KES', 14)}`);
+    for (const g of report.realizedGains) {
+      lines.push(`${pad(g.symbol, 8)}${pad(g.acquiredAt ? toDateString(g.acquiredAt) : '-', 11)}${pad(toDateString(g.disposedAt), 11)}${padLeft(g.quantity, 10)}` +
+        `${padLeft(money(g.proceedsUsd), 12)}${padLeft(money(g.costBasisUsd), 12)}${padLeft(money(g.gainUsd), 11)}${padLeft(money(g.gainKes), 14)}`);
+    }
+
+    lines.push('', { text: 'DIVIDENDS', bold: true });
+    if (report.dividends.length === 0) lines.push('No dividends in this year.');
+    else lines.push(`${pad('Date', 11)}${pad('Symbol', 8)}${pad('Source', 10)}${padLeft('Gross $', 12)}${padLeft('Withheld $', 12)}${padLeft('Net $', 12)}${padLeft('Net KES', 14)}`);
+    for (const d of report.dividends) {
+      lines.push(`${pad(d.date, 11)}${pad(d.symbol, 8)}${pad(d.provider, 10)}${padLeft(money(d.grossUsd), 12)}${padLeft(money(d.withholdingUsd), 12)}${padLeft(money(d.netUsd), 12)}${padLeft(money(d.netKes), 14)}`);
+    }
+
+    lines.push('', { text: 'FEES', bold: true });
+    if (report.fees.length === 0) lines.push('No fees in this year.');
+    else lines.push(`${pad('Date', 11)}${pad('Type', 16)}${pad('Description', 34)}${padLeft('USD', 12)}${padLeft('KES', 14)}`);
+    for (const f of report.fees) {
+      lines.push(`${pad(f.date, 11)}${pad(f.type, 16)}${pad(f.description, 34)}${padLeft(money(f.amountUsd), 12)}${padLeft(money(f.amountKes), 14)}`);
+    }
+
+    lines.push('', 'This report is a summary of your account activity to help you file your taxes. It is not tax advice.');
+    return renderTextPdf(lines, { footer: `Tax report ${report.year}` });
+  }
+}
+
+module.exports = new TaxReportService();
@@ -0,0 +1,121 @@
+const { User } = require('../models');
+const alpacaService = require('./alpacaService');
+const { isAfrican } = require('../utils/mystocksQuote');
+const logger = require('../utils/logger');
+
+// African orders go through MyStocks, by exchange or by a suffixed symbol such as SCOM.KE
+const isAfricanOrder = ({ exchange, symbol } = {}) =>
+  isAfrican(exchange?.trim()) || /\.[A-Z]{2,3}$/i.test(symbol || '');
+
+const blocked = (status, body) => ({ block: { status, body: { success: false, ...body, blocked: true } } });
+
+/**
+ * Whether a user may place an order: approved KYC and an Alpaca account that can trade, for US
+ * orders. Shared by the requireKYCOrMyStocks and checkAccountStatus middleware and by orders
+ * placed outside a request, such as recurring investment runs. A block is the response the
+ * order endpoint refuses with: `{ status, body }`.
+ */
+class TradingAccessService {
+  // The 403 for a US order from a user without approved KYC, or null when the order may go ahead
+  kycBlock(user, body = {}) {
+    if (isAfricanOrder(body)) return null;
+    if (user.kyc_status === 'approved') return null;
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message: 'KYC verification required for this action.',
+        kycStatus: user.kyc_status
+      }
+    };
+  }
+
+  /**
+   * Whether the user's Alpaca account can trade. Resolves with `{ account }` when it can, or with
+   * `{ block }` when it can't. African orders are not checked.
+   */
+  async accountBlock(userId, body = {}) {
+    try {
+      if (isAfricanOrder(body)) return {};
+
+      // Get user's Alpaca account ID
+      const user = await User.findByPk(userId);
+
+      if (!user || !user.alpaca_account_id) {
+        return blocked(403, {
+          message: 'No trading account found. Complete onboarding to start trading.',
+          reason: 'no_account'
+        });
+      }
+
+      // Get account status from Alpaca
+      const account = await alpacaService.getAccount(user.alpaca_account_id);
+
+      // Check if account is closed
+      const isClosed = account.status === 'ACCOUNT_CLOSED' || account.status === 'CLOSED';
+      if (isClosed) {
+        logger.warn('Blocked trading attempt on closed account:', {
+          userId,
+          accountId: user.alpaca_account_id,
+          accountNumber: account.account_number,
+          status: account.status
+        });
+
+        return blocked(403, {
+          message: 'Your trading account is closed and cannot be used for trading or transfers. Please contact support for assistance.',
+          reason: 'account_closed'
+        });
+      }
+
+      // Check if account is inactive or pending
+      const inactiveStatuses = ['INACTIVE', 'DISABLED', 'REJECTED'];
+      if (inactiveStatuses.includes(account.status)) {
+        return blocked(403, {
+          message: 'Your trading account is not active. Please contact support.',
+          reason: 'account_inactive',
+          status: account.status
+        });
+      }
+
+      // Check if trading is blocked
+      if (account.trading_blocked) {
+        return blocked(403, {
+          message: 'Trading is currently blocked on your account. Please contact support.',
+          reason: 'trading_blocked'
+        });
+      }
+
+      // Check if account is blocked
+      if (account.account_blocked) {
+        return blocked(403, {
+          message: 'Your account is blocked. Please contact support.',
+          reason: 'account_blocked'
+        });
+      }
+
+      return { account };
+
+    } catch (error) {
+      logger.error('Account status check error:', {
+        userId,
+        error: error.message
+      });
+
+      // On error, fail safely by blocking the request
+      return blocked(500, {
+        message: 'Unable to verify account status. Please try again.',
+        reason: 'verification_error'
+      });
+    }
+  }
+
+  // Both checks POST /api/v1/orders runs, for an order placed outside a request; null when it may go ahead
+  async check(user, body) {
+    const kycBlock = this.kycBlock(user, body);
+    if (kycBlock) return kycBlock;
+    const { block } = await this.accountBlock(user.id, body);
+    return block || null;
+  }
+}
+
+module.exports = new TradingAccessService();
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const { WebhookEvent } = require('../models');
+const logger = require('../utils/logger');
+
+const webhookError = (message, status = 500) => Object.assign(new Error(message), { status });
+
+// Events stamped further than this from our clock are rejected as replays
+const MAX_EVENT_AGE_SECONDS = parseInt(process.env.WEBHOOK_MAX_AGE_SECONDS, 10) || 300;
+// An event left in processing this long is assumed to have died with its process
+const STALE_PROCESSING_MINUTES = 10;
+// Without an allow-list or secret, callbacks are only accepted outside production
+const UNVERIFIED_ENVIRONMENTS = ['development', 'test'];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const kcbReceiptId = (body) => {
+  const checkoutRequestId = body?.Body?.stkCallback?.CheckoutRequestID;
+  if (checkoutRequestId) return `stk:${checkoutRequestId}`;
+  const reference = body?.transactionReference || body?.retrievalRefNumber || body?.TransactionID;
+  return reference ? `b2c:${reference}` : null;
+};
+
+const kcbEventType = (body) => {
+  if (body?.Body?.stkCallback) return 'stk_push';
+  if (body?.transactionReference || body?.merchantID || body?.retrievalRefNumber) return 'b2c';
+  return 'unknown';
+};
+
+// Verification settings are read per request so they can be rotated without a restart
+const PROVIDERS = {
+  kcb: {
+    secretEnv: 'KCB_WEBHOOK_SECRET',
+    allowedIpsEnv: 'KCB_WEBHOOK_IPS',
+    signatureHeader: 'x-kcb-signature',
+    timestampHeader: 'x-kcb-timestamp',
+    receiptId: kcbReceiptId,
+    eventType: kcbEventType,
+    sentAt: () => null
+  },
+  mystocks: {
+    secretEnv: 'MYSTOCKS_WEBHOOK_SECRET',
+    allowedIpsEnv: 'MYSTOCKS_WEBHOOK_IPS',
+    signatureHeader: 'x-mystocks-signature',
+    timestampHeader: 'x-mystocks-timestamp',
+    receiptId: (body) => body?.id || body?.eventId || null,
+    eventType: (body) => body?.event || 'unknown',
+    sentAt: (body) => body?.timestamp || body?.createdAt || null
+  }
+};
+
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:/, '');
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet, 10), 0) >>> 0;
+
+// Allow-list entries are single addresses or IPv4 CIDR ranges
+const ipAllowed = (ip, allowList) => allowList.some(entry => {
+  if (!entry.includes('/')) return normalizeIp(entry) === ip;
+  const [range, bits] = entry.split('/');
+  if (!/^\d+\.\d+\.\d+\.\d+$/.test(ip)) return false;
+  const mask = parseInt(bits, 10) === 0 ? 0 : (~0 << (32 - parseInt(bits, 10))) >>> 0;
+  return (ipv4ToInt(ip) & mask) === (ipv4ToInt(range) & mask);
+});
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Accepts epoch seconds, epoch milliseconds or an ISO date
+const parseTimestamp = (value) => {
+  if (value == null || value === '') return null;
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) return new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? undefined : new Date(parsed);
+};
+
+/**
+ * Inbound webhook layer shared by the KCB callback and MyStocks webhook endpoints: authenticates
+ * the sender, keeps every verified event in `webhook_events` deduplicated on the provider's
+ * receipt ID, and runs the provider's handler against it (again, on an admin's request).
+ */
+class WebhookEventService {
+  constructor() {
+    this.handlers = {};
+  }
+
+  // Handlers take the stored payload and return the acknowledgement sent back to the provider
+  registerHandler(provider, handler) {
+    this.handlers[provider] = handler;
+  }
+
+  /**
+   * Check the request's source IP and HMAC signature against the provider's settings and
+   * reject stale timestamps. When a timestamp header is sent it is part of the signed content
+   * (`<timestamp>.<raw body>`), otherwise the raw body alone is signed.
+   *
+   * @returns {string} how the sender was verified: hmac, ip, hmac+ip or none
+   */
+  verify(provider, req, now = new Date()) {
+    const config = PROVIDERS[provider];
+    const secret = process.env[config.secretEnv];
+    const allowList = (process.env[config.allowedIpsEnv] || '').split(',').map(ip => ip.trim()).filter(Boolean);
+
+    if (!secret && allowList.length === 0) {
+      if (UNVERIFIED_ENVIRONMENTS.includes(process.env.NODE_ENV)) return 'none';
+      logger.error(`${provider} webhook received but neither ${config.secretEnv} nor ${config.allowedIpsEnv} is set`);
+      throw webhookError('Webhook verification is not configured', 503);
+    }
+
+    if (allowList.length > 0 && !ipAllowed(normalizeIp(req.ip), allowList)) {
+      throw webhookError('Source IP not allowed', 403);
+    }
+
+    const timestampHeader = req.headers[config.timestampHeader];
+    if (secret) {
+      const signature = String(req.headers[config.signatureHeader] || '').replace(/^sha256=/, '');
+      if (!signature) throw webhookError('Missing signature', 401);
+
+      const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
+      const signed = timestampHeader ? `${timestampHeader}.${rawBody}` : rawBody;
+      const expected = crypto.createHmac('sha256', secret).update(signed).digest('hex');
+      if (!safeEqual(signature, expected)) throw webhookError('Invalid signature', 401);
+    }
+
+    const sentAt = parseTimestamp(timestampHeader ?? config.sentAt(req.body));
+    if (sentAt === undefined) throw webhookError('Invalid webhook timestamp', 401);
+    if (sentAt && Math.abs(now - sentAt) > MAX_EVENT_AGE_SECONDS * 1000) {
+      throw webhookError('Webhook timestamp outside the allowed window', 401);
+    }
+
+    return [secret && 'hmac', allowList.length > 0 && 'ip'].filter(Boolean).join('+');
+  }
+
+  /**
+   * Store a verified event. A receipt ID seen before is a duplicate and isn't processed again,
+   * unless its earlier attempt failed, in which case the redelivery is a retry.
+   *
+   * @returns {Promise<{ event: WebhookEvent|null, duplicate: boolean }>}
+   */
+  async receive(provider, req, verifiedBy) {
+    const config = PROVIDERS[provider];
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
+    const receiptId = config.receiptId(req.body) || `sha256:${sha256(rawBody)}`;
+
+    try {
+      const [event, created] = await WebhookEvent.findOrCreate({
+        where: { provider, receipt_id: receiptId },
+        defaults: {
+          event_type: config.eventType(req.body),
+          payload: req.body,
+          source_ip: normalizeIp(req.ip),
+          verified_by: verifiedBy || 'none'
+        }
+      });
+      if (created || event.status === 'failed') return { event, duplicate: false };
+
+      await event.increment('duplicates');
+      return { event, duplicate: true };
+    } catch (error) {
+      // A concurrent delivery of the same receipt won the insert
+      if (error instanceof UniqueConstraintError) return { event: null, duplicate: true };
+      throw error;
+    }
+  }
+
+  /**
+   * Run `handler` against the event's payload and record the outcome. Returns null without
+   * running it when another delivery or admin has already claimed the event.
+   */
+  async process(event, handler = this.handlers[event.provider]) {
+    if (!handler) throw webhookError(`No webhook handler registered for ${event.provider}`);
+
+    // Claim the event; the status and attempt count act as a version so only one caller wins
+    const attempts = event.attempts + 1;
+    const [claimed] = await WebhookEvent.update(
+      { status: 'processing', attempts },
+      { where: { id: event.id, status: event.status, attempts: event.attempts } }
+    );
+    if (claimed === 0) return null;
+    event.set({ status: 'processing', attempts });
+
+    try {
+      const result = await handler(event.payload);
+      await event.update({ status: 'processed', result: result || null, last_error: null, processed_at: new Date() });
+      return result;
+    } catch (error) {
+      await event.update({ status: 'failed', last_error: error.message });
+      throw error;
+    }
+  }
+
+  // Admin re-run of a stored event that failed or never finished
+  async reprocess(eventId, { adminId }) {
+    const event = await WebhookEvent.findByPk(eventId);
+    if (!event) throw webhookError('Webhook event not found', 404);
+    if (event.isSettled) throw webhookError('Webhook event has already been processed', 409);
+    if (event.status === 'processing' &&
+        Date.now() - new Date(event.updated_at).getTime() < STALE_PROCESSING_MINUTES * 60000) {
+      throw webhookError('Webhook event is still being processed', 409);
+    }
+
+    await event.update({ reprocessed_by: adminId, reprocessed_at: new Date() });
+    logger.info(`Webhook event ${eventId} (${event.provider} ${event.receipt_id}) re-processed by admin ${adminId}`);
+
+    try {
+      const result = await this.process(event);
+      if (result === null) throw webhookError('Webhook event is already being processed', 409);
+    } catch (error) {
+      if (error.status) throw error;
+      // The failure is recorded on the event, which is returned for the admin to inspect
+      logger.error(`Re-processing webhook event ${eventId} failed:`, error);
+    }
+    return event;
+  }
+}
+
+module.exports = new WebhookEventService();
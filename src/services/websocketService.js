@@ -1,6 +1,8 @@
 const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
 const { createAdapter } = require('@socket.io/redis-adapter');
 const alpacaService = require('./alpacaService');
+const portfolioService = require('./portfolioService');
 const redisService = require('../config/redis');
 const logger = require('../utils/logger');
 
@@ -281,30 +283,69 @@ class WebSocketService {
     }
   }
 
-  handlePortfolioSubscription(socket, data) {
+  // Sent as both events: `portfolio_error` is the new name, `error` what older clients listen for
+  emitPortfolioError(socket, message) {
+    socket.emit('portfolio_error', { message });
+    socket.emit('error', { message });
+  }
+
+  // Portfolio data is private, so unlike 'authenticate' this requires the user's access token
+  async handlePortfolioSubscription(socket, data = {}) {
     try {
-      const { userId } = data;
+      // Deprecated: clients that still send { userId } keep the old reply (popular symbols, no
+      // portfolio data) until they move to { token }
+      if (!data.token && data.userId) {
+        this.handleLegacyPortfolioSubscription(socket, data);
+        return;
+      }
 
-      // This would typically fetch user's portfolio from database
-      // For now, we'll subscribe to popular symbols as an example
-      this.handleBulkSubscription(socket, {
-        symbols: this.popularSymbols,
-        replace: true
-      });
+      let userId;
+      try {
+        ({ id: userId } = jwt.verify(data.token, process.env.JWT_SECRET));
+      } catch (_) {
+        this.emitPortfolioError(socket, 'A valid access token is required for portfolio updates');
+        return;
+      }
+
+      const portfolio = await portfolioService.getUserPortfolio(userId);
+      const symbols = [...new Set(portfolio.positions.map(p => p.symbol.toUpperCase()))];
+
+      // Price updates for what the user holds
+      this.handleBulkSubscription(socket, { symbols, replace: true });
 
       socket.emit('portfolio_subscription_confirmed', {
-        userId: userId,
-        symbols: this.popularSymbols,
+        userId,
+        symbols,
+        timestamp: Date.now()
+      });
+      socket.emit('portfolio_update', {
+        provider: portfolio.mode,
+        summary: portfolioService.summarize(portfolio),
+        breakdown: portfolio.breakdown,
+        positions: portfolio.positions.map(p => portfolioService.withKes(p, portfolio.exchangeRate)),
+        exchangeRate: portfolio.exchangeRate,
         timestamp: Date.now()
       });
 
       logger.debug(`Client ${socket.id} subscribed to portfolio for user: ${userId}`);
     } catch (error) {
       logger.error('Error handling portfolio subscription:', error);
-      socket.emit('error', { message: 'Portfolio subscription failed' });
+      this.emitPortfolioError(socket, error.status ? error.message : 'Portfolio subscription failed');
     }
   }
 
+  handleLegacyPortfolioSubscription(socket, { userId }) {
+    logger.warn(`Client ${socket.id} subscribed to portfolio with the deprecated { userId } message`);
+    this.handleBulkSubscription(socket, { symbols: this.popularSymbols, replace: true });
+
+    socket.emit('portfolio_subscription_confirmed', {
+      userId,
+      symbols: this.popularSymbols,
+      deprecated: true,
+      timestamp: Date.now()
+    });
+  }
+
   handlePopularSubscription(socket) {
     this.handleBulkSubscription(socket, {
       symbols: this.popularSymbols,
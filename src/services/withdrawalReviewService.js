@@ -0,0 +1,520 @@
+const { Op } = require('sequelize');
+const { sequelize, Transaction, Wallet, User, BiometricAuth, WithdrawalReview, WithdrawalReviewAction } = require('../models');
+const kcbService = require('./kcbService');
+const ledgerService = require('./ledgerService');
+const paymentSettlementService = require('./paymentSettlementService');
+const platformConfigService = require('./platformConfigService');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REVIEW_STATUSES = ['auto_approved', 'pending_review', 'approved', 'processing', 'paid', 'payout_failed', 'payout_error', 'rejected'];
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const forbidden = (message) => Object.assign(new Error(message), { status: 403 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Payout review queue. Both withdrawal endpoints run a request through evaluate() once the
+ * funds are held: with no risk flags the payout goes out straight away and the review is
+ * recorded as auto_approved; otherwise the transaction stays pending with processingStatus
+ * 'pending_review' (which the pending payment poller skips) until admin or finance staff
+ * approve or reject it here. Thresholds are PlatformSettings, so they can be changed through
+ * PUT /admin/config without a deploy.
+ */
+class WithdrawalReviewService {
+  async loadRules(currency) {
+    const suffix = currency.toLowerCase();
+    const [autoApprove, dailyAutoApprove, dualApproval, velocityMaxCount, newDeviceHours] = await Promise.all([
+      platformConfigService.getSetting(`withdrawal_auto_approve_${suffix}`),
+      platformConfigService.getSetting(`withdrawal_daily_auto_approve_${suffix}`),
+      platformConfigService.getSetting(`withdrawal_dual_approval_${suffix}`),
+      platformConfigService.getSetting('withdrawal_velocity_max_count'),
+      platformConfigService.getSetting('withdrawal_new_device_hours')
+    ]);
+    return { autoApprove, dailyAutoApprove, dualApproval, velocityMaxCount, newDeviceHours };
+  }
+
+  /**
+   * Risk checks for a withdrawal the user is asking for. Returns the flags it raised, whether
+   * the payout can go out without review, and how many reviewers must approve it otherwise.
+   * manualPayout marks methods staff pay out by hand (bank transfer, PayPal), which are always
+   * reviewed.
+   */
+  async evaluate(user, wallet, { amount, currency, method, manualPayout = false }, now = new Date()) {
+    const rules = await this.loadRules(currency);
+    const flags = [];
+
+    if (manualPayout) {
+      flags.push({ rule: 'manual_payout', detail: `${method} payouts are sent by finance` });
+    }
+
+    if (amount > rules.autoApprove) {
+      flags.push({ rule: 'amount', detail: `${currency} ${amount} is above the auto-approve limit of ${currency} ${rules.autoApprove}` });
+    }
+
+    // Withdrawals that are paid or still on their way out; both endpoints sign amounts differently.
+    // Money leaving the MyStocks sub-account is tracked too, but it is not a wallet withdrawal.
+    const recent = await Transaction.findAll({
+      where: {
+        wallet_id: wallet.id,
+        type: 'withdrawal',
+        tracking_only: false,
+        status: { [Op.in]: ['pending', 'completed'] },
+        created_at: { [Op.gte]: new Date(now.getTime() - DAY_MS) }
+      },
+      attributes: ['amount', 'currency']
+    });
+
+    const dailyTotal = recent
+      .filter(txn => txn.currency === currency)
+      .reduce((sum, txn) => sum + Math.abs(parseFloat(txn.amount)), 0);
+    if (dailyTotal + amount > rules.dailyAutoApprove) {
+      flags.push({
+        rule: 'daily_limit',
+        detail: `${currency} ${round2(dailyTotal + amount)} withdrawn in 24 hours including this one, above ${currency} ${rules.dailyAutoApprove}`
+      });
+    }
+
+    if (recent.length >= rules.velocityMaxCount) {
+      flags.push({ rule: 'velocity', detail: `${recent.length} withdrawals in the last 24 hours` });
+    }
+
+    // A device enrolled shortly before a withdrawal is the usual shape of an account takeover
+    const newDevice = await BiometricAuth.findOne({
+      where: {
+        user_id: user.id,
+        registered_at: { [Op.gte]: new Date(now.getTime() - rules.newDeviceHours * 60 * 60 * 1000) }
+      },
+      order: [['registered_at', 'DESC']]
+    });
+    if (newDevice) {
+      flags.push({
+        rule: 'new_device',
+        detail: `Device ${newDevice.device_id} was enrolled at ${new Date(newDevice.registered_at).toISOString()}`
+      });
+    }
+
+    const requiredApprovals = amount > rules.dualApproval ? 2 : 1;
+    if (requiredApprovals > 1) {
+      flags.push({ rule: 'dual_approval', detail: `${currency} ${amount} is above the four-eyes limit of ${currency} ${rules.dualApproval}` });
+    }
+
+    return { flags, autoApprove: flags.length === 0, requiredApprovals };
+  }
+
+  /**
+   * Record the review for a withdrawal transaction, inside the caller's db transaction. payout
+   * holds what executePayout needs later: transferData for the kcb channel, or phoneNumber,
+   * beneficiaryName, netAmount and fee for the wallet channel.
+   */
+  async open(txn, { userId, amount, currency, channel, method, destination, payout, deviceId, evaluation }, { transaction } = {}) {
+    const status = evaluation.autoApprove ? 'auto_approved' : 'pending_review';
+
+    const review = await WithdrawalReview.create({
+      transaction_id: txn.id,
+      user_id: userId,
+      wallet_id: txn.wallet_id,
+      reference: txn.reference,
+      amount,
+      currency,
+      channel,
+      method,
+      destination,
+      payout: payout || {},
+      status,
+      risk_flags: evaluation.flags,
+      required_approvals: evaluation.requiredApprovals,
+      device_id: deviceId || null,
+      decided_at: evaluation.autoApprove ? new Date() : null
+    }, { transaction });
+
+    await WithdrawalReviewAction.create({
+      review_id: review.id,
+      action: evaluation.autoApprove ? 'auto_approved' : 'held',
+      metadata: { flags: evaluation.flags }
+    }, { transaction });
+
+    if (!evaluation.autoApprove) {
+      logger.info(`Withdrawal ${txn.reference} held for review:`, { rules: evaluation.flags.map(flag => flag.rule) });
+    }
+
+    return review;
+  }
+
+  async listReviews({ status = 'pending_review', page = 1, limit = 20 } = {}) {
+    if (status !== 'all' && !REVIEW_STATUSES.includes(status)) {
+      throw badRequest(`status must be all or one of ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    const { count, rows } = await WithdrawalReview.findAndCountAll({
+      where: status === 'all' ? {} : { status },
+      include: [{ model: User, as: 'user', attributes: ['id', 'email', 'first_name', 'last_name'] }],
+      // Oldest first, so the queue is worked in the order users asked
+      order: [['created_at', status === 'pending_review' ? 'ASC' : 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return { items: rows, total: count };
+  }
+
+  async getReview(reviewId) {
+    const review = await WithdrawalReview.findByPk(reviewId, {
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'email', 'first_name', 'last_name'] },
+        {
+          model: WithdrawalReviewAction,
+          as: 'actions',
+          include: [{ model: User, as: 'actor', attributes: ['id', 'email', 'first_name', 'last_name'] }]
+        }
+      ],
+      order: [[{ model: WithdrawalReviewAction, as: 'actions' }, 'created_at', 'ASC']]
+    });
+    if (!review) throw notFound('Withdrawal review not found');
+    return review;
+  }
+
+  async findByReference(reference) {
+    const review = await WithdrawalReview.findOne({ where: { reference } });
+    if (!review) throw notFound('Withdrawal review not found');
+    return review;
+  }
+
+  assertReviewable(review, actor) {
+    if (review.status !== 'pending_review') {
+      throw conflict(`Withdrawal is ${review.status.replace('_', ' ')}, not pending review`);
+    }
+    if (review.user_id === actor.id) {
+      throw forbidden('You cannot review your own withdrawal');
+    }
+  }
+
+  /**
+   * One reviewer's approval. Each reviewer counts once; when the review has the approvals it
+   * needs, the payout is sent. Returns the review and, once sent, the payout outcome.
+   */
+  async approve(reviewId, actor, note) {
+    const review = await WithdrawalReview.findByPk(reviewId);
+    if (!review) throw notFound('Withdrawal review not found');
+    this.assertReviewable(review, actor);
+
+    const alreadyApproved = await WithdrawalReviewAction.findOne({
+      where: { review_id: review.id, actor_id: actor.id, action: 'approved' }
+    });
+    if (alreadyApproved) {
+      throw conflict('You have already approved this withdrawal; it needs another reviewer');
+    }
+
+    const approvals = review.approvals + 1;
+    const decided = approvals >= review.required_approvals;
+    const values = decided
+      ? { approvals, status: 'approved', decided_at: new Date() }
+      : { approvals };
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+      // Only the reviewer whose update lands counts; a concurrent decision makes this a no-op
+      const [claimed] = await WithdrawalReview.update(values, {
+        where: { id: review.id, status: 'pending_review', approvals: review.approvals },
+        transaction: dbTransaction
+      });
+      if (!claimed) throw conflict('Withdrawal review changed while you were reviewing it; reload and try again');
+
+      await WithdrawalReviewAction.create({
+        review_id: review.id,
+        actor_id: actor.id,
+        actor_role: actor.role,
+        action: 'approved',
+        note: note || null,
+        metadata: { approval: approvals, requiredApprovals: review.required_approvals }
+      }, { transaction: dbTransaction });
+
+      await dbTransaction.commit();
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+    Object.assign(review, values);
+
+    logger.info(`Withdrawal ${review.reference} approved by ${actor.id} (${approvals}/${review.required_approvals})`);
+
+    if (!decided) return { review, payout: null };
+
+    const payout = await this.sendPayout(review);
+    return { review, payout };
+  }
+
+  /**
+   * Send again a payout that errored before it reached the bank. One that may have been sent is
+   * left to the callback or the pending payment poller, so it is never paid twice.
+   */
+  async retryPayout(reviewId, actor, note) {
+    const review = await WithdrawalReview.findByPk(reviewId);
+    if (!review) throw notFound('Withdrawal review not found');
+    if (review.status !== 'payout_error') {
+      throw conflict(`Withdrawal is ${review.status.replace('_', ' ')}, not a payout error`);
+    }
+
+    const lastError = await WithdrawalReviewAction.findOne({
+      where: { review_id: review.id, action: 'payout_error' },
+      order: [['created_at', 'DESC']]
+    });
+    if (lastError?.metadata?.sent !== false) {
+      throw conflict('The payout may have reached the bank; wait for the bank to settle it instead of retrying');
+    }
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const [claimed] = await WithdrawalReview.update({ status: 'approved' }, {
+        where: { id: review.id, status: 'payout_error' },
+        transaction: dbTransaction
+      });
+      if (!claimed) throw conflict('Withdrawal review changed while you were reviewing it; reload and try again');
+
+      await WithdrawalReviewAction.create({
+        review_id: review.id,
+        actor_id: actor.id,
+        actor_role: actor.role,
+        action: 'payout_retried',
+        note: note || null
+      }, { transaction: dbTransaction });
+
+      await dbTransaction.commit();
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+    review.status = 'approved';
+
+    logger.info(`Withdrawal ${review.reference} payout retried by ${actor.id}`);
+
+    const payout = await this.sendPayout(review);
+    return { review, payout };
+  }
+
+  // Rejection hands the held funds back to the user's balance and cancels the transaction
+  async reject(reviewId, actor, note) {
+    if (!note || !String(note).trim()) throw badRequest('A note is required to reject a withdrawal');
+
+    const review = await WithdrawalReview.findByPk(reviewId);
+    if (!review) throw notFound('Withdrawal review not found');
+    this.assertReviewable(review, actor);
+
+    const txn = await Transaction.findByPk(review.transaction_id);
+    const wallet = await Wallet.findByPk(review.wallet_id);
+    const amount = parseFloat(review.amount);
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+      const [claimed] = await WithdrawalReview.update({ status: 'rejected', decided_at: new Date() }, {
+        where: { id: review.id, status: 'pending_review' },
+        transaction: dbTransaction
+      });
+      if (!claimed) throw conflict('Withdrawal review changed while you were reviewing it; reload and try again');
+
+      // The KCB endpoint moved the amount into pending payouts when it held it
+      if (review.channel === 'kcb') {
+        await ledgerService.reversePayout(wallet, {
+          amount,
+          currency: review.currency,
+          reference: review.reference,
+          description: `Withdrawal ${review.reference} rejected: refunded to wallet`
+        }, { transaction: dbTransaction });
+      }
+      await wallet.unfreezeFunds(amount, review.currency, { transaction: dbTransaction });
+
+      await txn.update({
+        status: 'cancelled',
+        metadata: { ...txn.metadata, processingStatus: 'rejected', rejectionReason: note, rejectedBy: actor.id }
+      }, { transaction: dbTransaction });
+
+      await WithdrawalReviewAction.create({
+        review_id: review.id,
+        actor_id: actor.id,
+        actor_role: actor.role,
+        action: 'rejected',
+        note
+      }, { transaction: dbTransaction });
+
+      await dbTransaction.commit();
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+    review.status = 'rejected';
+
+    logger.info(`Withdrawal ${review.reference} rejected by ${actor.id}`);
+    await this.notifyUser(review, 'rejected', note);
+    return { review };
+  }
+
+  /**
+   * executePayout for an approved review, never leaving it stuck in approved: an error moves it
+   * to payout_error. When the error came before the request went to the bank (sent false) the
+   * payout can be retried; otherwise the transaction is left for the pending payment poller.
+   */
+  async sendPayout(review) {
+    const progress = { sent: false };
+    try {
+      return await this.executePayout(review, progress);
+    } catch (error) {
+      logger.error(`Withdrawal ${review.reference} payout errored:`, { error: error.message, sent: progress.sent });
+
+      if (progress.sent && progress.txn) {
+        await progress.txn.update({
+          metadata: { ...progress.txn.metadata, processingStatus: 'processing', requiresStatusCheck: true }
+        }).catch(err => logger.error(`Failed to flag withdrawal ${review.reference} for a status check:`, err));
+      }
+
+      await review.update({ status: 'payout_error' });
+      await WithdrawalReviewAction.create({
+        review_id: review.id,
+        action: 'payout_error',
+        note: error.message,
+        metadata: { sent: progress.sent }
+      });
+      await this.notifyUser(review, 'processing');
+      return { outcome: 'payout_error', reason: error.message, retryable: !progress.sent };
+    }
+  }
+
+  /**
+   * Send an approved payout and settle the transaction and the review on the result: paid,
+   * payout_failed (funds back in the wallet) or processing (KCB timed out; the callback or the
+   * pending payment poller settles both). progress.sent is set once the request goes to the bank.
+   */
+  async executePayout(review, progress = {}) {
+    const txn = await Transaction.findByPk(review.transaction_id);
+    const wallet = await Wallet.findByPk(review.wallet_id);
+    progress.txn = txn;
+
+    const result = review.channel === 'kcb'
+      ? await this.sendKcbPayout(review, txn, wallet, progress)
+      : await this.sendWalletPayout(review, txn, wallet, progress);
+    review.status = result.outcome;
+
+    logger.info(`Withdrawal ${review.reference} payout ${result.outcome}`, result.metadata || {});
+    await this.notifyUser(review, result.outcome);
+    return result;
+  }
+
+  async sendKcbPayout(review, txn, wallet, progress = {}) {
+    progress.sent = true;
+    const transferResult = await kcbService.transferFunds(review.payout.transferData);
+
+    if (!transferResult.success && (transferResult.isTimeout || transferResult.statusCode === 504)) {
+      const dbTransaction = await sequelize.transaction();
+      try {
+        await txn.update({
+          metadata: { ...txn.metadata, processingStatus: 'processing', timedOut: true, requiresStatusCheck: true }
+        }, { transaction: dbTransaction });
+        await paymentSettlementService.settleReview(txn, 'processing', {}, { transaction: dbTransaction });
+        await dbTransaction.commit();
+      } catch (error) {
+        await dbTransaction.rollback();
+        throw error;
+      }
+      return { outcome: 'processing' };
+    }
+
+    const accepted = transferResult.success && (transferResult.statusCode === '0' || transferResult.statusCode === 0);
+    const dbTransaction = await sequelize.transaction();
+    try {
+      if (accepted) {
+        await paymentSettlementService.completeWithdrawal(txn, wallet, {
+          metadata: {
+            processingStatus: 'completed',
+            retrievalRefNumber: transferResult.retrievalRefNumber,
+            kcbResponse: transferResult.data
+          }
+        }, { transaction: dbTransaction });
+      } else {
+        await paymentSettlementService.failWithdrawal(txn, wallet, {
+          reason: transferResult.statusMessage || transferResult.statusDescription || transferResult.error || 'Transfer was not successful',
+          metadata: { processingStatus: 'failed' }
+        }, { transaction: dbTransaction });
+      }
+      await dbTransaction.commit();
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+
+    return accepted
+      ? { outcome: 'paid', metadata: { retrievalRefNumber: transferResult.retrievalRefNumber } }
+      : { outcome: 'payout_failed', reason: txn.metadata.failureReason };
+  }
+
+  async sendWalletPayout(review, txn, wallet, progress = {}) {
+    const amount = parseFloat(review.amount);
+    const { phoneNumber, beneficiaryName, netAmount, fee } = review.payout;
+
+    // Bank transfer and PayPal payouts are sent by finance; approving one records it as paid
+    let kcbResult = null;
+    if (review.method === 'mpesa') {
+      progress.sent = true;
+      kcbResult = await kcbService.withdrawToMpesa({ phoneNumber, amount: netAmount, beneficiaryName, reference: review.reference });
+    }
+
+    const dbTransaction = await sequelize.transaction();
+    try {
+      await wallet.unfreezeFunds(amount, review.currency, { transaction: dbTransaction });
+
+      if (kcbResult && !kcbResult.success) {
+        await txn.update({
+          status: 'failed',
+          metadata: { ...txn.metadata, processingStatus: 'failed', failureReason: kcbResult.error, errorData: kcbResult.errorData }
+        }, { transaction: dbTransaction });
+        await paymentSettlementService.settleReview(txn, 'payout_failed', { note: kcbResult.error }, { transaction: dbTransaction });
+      } else {
+        await ledgerService.recordWithdrawal(wallet, {
+          amount,
+          currency: review.currency,
+          fee: fee || 0,
+          reference: review.reference,
+          description: txn.description
+        }, { transaction: dbTransaction });
+        await txn.update({
+          status: 'completed',
+          metadata: {
+            ...txn.metadata,
+            processingStatus: 'completed',
+            processedAt: new Date().toISOString(),
+            kcbReference: kcbResult?.retrievalRefNumber
+          }
+        }, { transaction: dbTransaction });
+        await paymentSettlementService.settleReview(txn, 'paid', {
+          metadata: kcbResult ? { kcbReference: kcbResult.retrievalRefNumber } : {}
+        }, { transaction: dbTransaction });
+      }
+      await dbTransaction.commit();
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+
+    return kcbResult && !kcbResult.success
+      ? { outcome: 'payout_failed', reason: kcbResult.error }
+      : { outcome: 'paid', metadata: kcbResult ? { kcbReference: kcbResult.retrievalRefNumber } : {} };
+  }
+
+  async notifyUser(review, status, note) {
+    try {
+      await notificationService.sendWithdrawalReviewUpdate(review.user_id, {
+        reference: review.reference,
+        amount: parseFloat(review.amount).toFixed(2),
+        currency: review.currency,
+        status,
+        note
+      });
+    } catch (error) {
+      logger.error(`Failed to notify user about withdrawal ${review.reference}:`, error);
+    }
+  }
+}
+
+module.exports = new WithdrawalReviewService();
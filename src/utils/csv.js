@@ -0,0 +1,18 @@
+// CSV writing for report downloads. Fields with commas, quotes or line breaks are quoted; a
+// leading =, +, - or @ on a text field is prefixed with ' so spreadsheets don't run it as a formula.
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<Array<*>>} rows - the header row first
+ * @returns {string}
+ */
+const toCsv = (rows) => rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { toCsv };
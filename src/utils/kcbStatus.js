@@ -0,0 +1,32 @@
+// KCB's transaction status payloads vary by product (STK push, funds transfer), so the
+// fields we act on are pulled out here: a normalised status, the amount and the M-Pesa receipt.
+
+const KCB_STATUS = {
+  completed: ['0', 'SUCCESS', 'SUCCESSFUL', 'COMPLETED'],
+  failed: ['1', 'FAILED', 'FAILURE', 'DECLINED', 'REVERSED', 'CANCELLED'],
+  not_found: ['NOT_FOUND', 'NOTFOUND'],
+  pending: ['PENDING', 'PROCESSING', 'IN_PROGRESS']
+};
+
+const parseAmount = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? Math.round(Math.abs(parsed) * 100) / 100 : null;
+};
+
+/**
+ * @param {Object} data - `data` from kcbService.queryTransactionStatus()
+ * @returns {{ status: 'completed'|'failed'|'not_found'|'pending'|'unknown', amount: number|null,
+ *   receipt: string|null, description: string|null }}
+ */
+const parseKcbTransactionStatus = (data = {}) => {
+  const payload = data?.payload || data || {};
+  const raw = String(payload.transactionStatus ?? payload.status ?? payload.statusCode ?? '').toUpperCase();
+  return {
+    status: Object.keys(KCB_STATUS).find(key => KCB_STATUS[key].includes(raw)) || 'unknown',
+    amount: parseAmount(payload.amount ?? payload.transactionAmount),
+    receipt: payload.mpesaReceiptNumber || payload.MpesaReceiptNumber || payload.receiptNumber || null,
+    description: payload.statusDescription || payload.statusMessage || payload.resultDesc || null
+  };
+};
+
+module.exports = { parseKcbTransactionStatus };
@@ -0,0 +1,46 @@
+// MyStocks has returned holdings under several shapes and field names over time; this is the one
+// place that knows them all.
+
+const holdingsList = (portfolio) => (
+  Array.isArray(portfolio) ? portfolio
+    : Array.isArray(portfolio?.holdings) ? portfolio.holdings
+    : Array.isArray(portfolio?.positions) ? portfolio.positions : []
+);
+
+/**
+ * Holdings from a MyStocks portfolio response with a positive quantity.
+ * `price` is per unit, taken from whichever price field is present or else from the total value;
+ * `averageCost` is 0 when MyStocks does not report one.
+ *
+ * @returns {Array<{ symbol, name, exchange, currency, sector, status, quantity, price, averageCost }>}
+ */
+const parseMyStocksHoldings = (portfolio) => holdingsList(portfolio).map(h => {
+  const quantity = parseFloat(h.quantity || h.qty || h.units || h.shares || 0);
+  const unitPrice = parseFloat(
+    h.currentPrice || h.price || h.localPrice || h.lastPrice ||
+    h.marketPrice || h.usdPrice || h.unitPrice || h.closePrice ||
+    h.tradePrice || h.currentUnitPrice || 0
+  );
+  const totalValue = parseFloat(h.value || h.currentValue || h.totalValue || h.marketValue || 0);
+  const averageCost = parseFloat(
+    h.averageCost || h.avgCost || h.averagePrice || h.avgPrice ||
+    h.purchasePrice || h.costBasis || 0
+  );
+  return {
+    symbol: h.symbol,
+    name: h.name || h.symbol,
+    exchange: h.exchange || 'NSE',
+    currency: h.currency || 'KES',
+    sector: h.sector || null,
+    status: h.status ? h.status.toLowerCase() : null,
+    quantity,
+    price: unitPrice || (quantity > 0 && totalValue > 0 ? totalValue / quantity : 0),
+    averageCost
+  };
+}).filter(h => h.quantity > 0);
+
+// USD cash on a MyStocks wallet response, or 0 when it has none
+const myStocksCashBalance = (wallet) =>
+  parseFloat(wallet?.wallet?.balance || wallet?.balance || wallet?.usdBalance || 0);
+
+module.exports = { parseMyStocksHoldings, myStocksCashBalance };
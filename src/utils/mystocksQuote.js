@@ -0,0 +1,52 @@
+const ms = require('../services/mystocksService');
+const exchangeService = require('../services/exchangeService');
+
+const AFRICAN_EXCHANGES = new Set(['NSE', 'NGX', 'JSE', 'GSE', 'BRVM', 'LUSE', 'EGX', 'BSE', 'SEM']);
+const isAfrican = (exchange) => !!exchange && AFRICAN_EXCHANGES.has(exchange.toUpperCase());
+
+// Strip exchange suffix (e.g. SCOM.KE → SCOM) to match MyStocks symbol format
+const toTicker = (symbol) => {
+  const upper = (symbol || '').toUpperCase();
+  return upper.includes('.') ? upper.split('.')[0] : upper;
+};
+
+/**
+ * Look up the latest MyStocks quote for an African symbol.
+ * Returns null when the symbol is not listed or no usable price came back.
+ *
+ * @param {string} symbol - e.g. 'SCOM' or 'SCOM.KE'
+ * @returns {Promise<{ symbol, name, exchange, currency, localPrice, usdPrice, previousClose, volume } | null>}
+ */
+const getMyStocksQuote = async (symbol) => {
+  const upper = (symbol || '').toUpperCase();
+  const ticker = toTicker(upper);
+  const snap = await ms.getStocks({ search: ticker });
+  const all = Array.isArray(snap) ? snap : (snap?.stocks || []);
+  const stock = all.find(s => {
+    const sym = (s.symbol || '').toUpperCase();
+    return sym === upper || sym === ticker;
+  });
+  if (!stock) return null;
+
+  const localPrice = parseFloat(stock.price || stock.currentPrice || 0);
+  const currency = stock.currency || 'KES';
+  let usdPrice = parseFloat(stock.usdPrice || 0);
+  if (!usdPrice && localPrice > 0) {
+    const rate = await exchangeService.getExchangeRate('USD', currency);
+    usdPrice = rate ? localPrice / rate : 0;
+  }
+  if (!localPrice && !usdPrice) return null;
+
+  return {
+    symbol: (stock.symbol || upper).toUpperCase(),
+    name: stock.name || null,
+    exchange: stock.exchange || null,
+    currency,
+    localPrice,
+    usdPrice,
+    previousClose: parseFloat(stock.previousClose || 0) || null,
+    volume: parseFloat(stock.volume || 0) || null
+  };
+};
+
+module.exports = { AFRICAN_EXCHANGES, isAfrican, toTicker, getMyStocksQuote };
@@ -0,0 +1,35 @@
+// Notional (amount-based) orders: "invest KES 1,000 in AAPL" instead of a share count.
+
+// MyStocks and paper trades accept fractional shares down to 0.0001
+const QUANTITY_DECIMALS = 4;
+
+/**
+ * Express a notional amount in both USD and KES.
+ *
+ * @param {number|string} amount
+ * @param {'KES'|'USD'} currency - currency the amount was entered in
+ * @param {number} usdKesRate - KES per USD, from exchangeService
+ * @returns {{ amount: number, currency: string, usd: number, kes: number }}
+ */
+const convertNotional = (amount, currency, usdKesRate) => {
+  const value = parseFloat(amount);
+  const upper = (currency || 'USD').toUpperCase();
+  const usd = upper === 'KES' ? value / usdKesRate : value;
+  const kes = upper === 'KES' ? value : value * usdKesRate;
+  return {
+    amount: value,
+    currency: upper,
+    usd: Math.round(usd * 100) / 100,
+    kes: Math.round(kes * 100) / 100
+  };
+};
+
+/**
+ * Shares an amount buys at `price`, rounded down so the order never spends more than the amount.
+ */
+const notionalToQuantity = (amount, price) => {
+  const factor = 10 ** QUANTITY_DECIMALS;
+  return Math.floor((amount / price) * factor) / factor;
+};
+
+module.exports = { convertNotional, notionalToQuantity };
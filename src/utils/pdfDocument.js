@@ -0,0 +1,76 @@
+// Minimal PDF writer for plain-text reports such as account statements. Lines are set in Courier
+// on A4 pages, so columns padded with spaces stay aligned; there is no wrapping, images or
+// fonts beyond Courier and Courier-Bold. Text outside printable ASCII is replaced with '?'.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 8;
+const LEADING = 10;
+// Leave room for the page footer
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN - 2 * LEADING) / LEADING);
+// Courier glyphs are 0.6em wide
+const CHARS_PER_LINE = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7e]/g, '?')
+  .slice(0, CHARS_PER_LINE)
+  .replace(/([\\()])/g, '\\$1');
+
+const pageContent = (lines, footer) => {
+  const ops = [`BT /F1 ${FONT_SIZE} Tf ${LEADING} TL ${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`];
+  for (const line of lines) {
+    const { text, bold } = typeof line === 'string' ? { text: line, bold: false } : line;
+    ops.push(`/${bold ? 'F2' : 'F1'} ${FONT_SIZE} Tf (${escapeText(text)}) Tj T*`);
+  }
+  ops.push('ET');
+  ops.push(`BT /F1 ${FONT_SIZE} Tf ${MARGIN} ${MARGIN} Td (${escapeText(footer)}) Tj ET`);
+  return ops.join('\n');
+};
+
+/**
+ * Lay out text lines on as many pages as they need.
+ *
+ * @param {Array<string|{ text: string, bold?: boolean }>} lines
+ * @param {{ footer?: string }} [options] - footer text; "Page n of m" is appended
+ * @returns {Buffer}
+ */
+const renderTextPdf = (lines, { footer = '' } = {}) => {
+  const pages = [];
+  for (let i = 0; i < lines.length || pages.length === 0; i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+
+  // 1 catalog, 2 page tree, 3 and 4 fonts, then a page and its content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 5 + i * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>';
+  pages.forEach((pageLines, i) => {
+    const pageFooter = `${footer}${footer ? '   ' : ''}Page ${i + 1} of ${pages.length}`;
+    const content = pageContent(pageLines, pageFooter);
+    objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  let body = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id += 1) {
+    offsets[id] = Buffer.byteLength(body, 'latin1');
+    body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id += 1) {
+    body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  body += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+};
+
+module.exports = { renderTextPdf, CHARS_PER_LINE };
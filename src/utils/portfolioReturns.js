@@ -0,0 +1,107 @@
+// Return measures over a daily equity curve from portfolio_snapshots. Every function takes points
+// in date order, each { date: 'YYYY-MM-DD', equity, flow }, where flow is the money deposited
+// (positive) or withdrawn (negative) that day. Results are fractions: 0.05 is 5%.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+const daysBetween = (from, to) => (new Date(to) - new Date(from)) / DAY_MS;
+
+/**
+ * Time-weighted return: daily returns chain-linked so deposits and withdrawals don't count as
+ * gains or losses. A day's flow is treated as arriving at the start of the day, so it earns that
+ * day's return. Days that start with nothing invested are skipped.
+ *
+ * @returns {{ return: number, index: Array<{ date: string, value: number }> }} index starts at 1
+ */
+const timeWeightedReturn = (points) => {
+  if (!points.length) return { return: 0, index: [] };
+
+  let growth = 1;
+  const index = [{ date: points[0].date, value: 1 }];
+  for (let i = 1; i < points.length; i++) {
+    const base = points[i - 1].equity + points[i].flow;
+    if (base > 0) growth *= points[i].equity / base;
+    index.push({ date: points[i].date, value: growth });
+  }
+  return { return: growth - 1, index };
+};
+
+/**
+ * Money-weighted return: the XIRR of the opening equity, each day's flow and the closing equity,
+ * so it reflects when the user added or took out money. Returns null when no rate solves the
+ * cash flows (e.g. a single day, or nothing ever invested).
+ *
+ * @returns {{ annualized: number, period: number } | null}
+ */
+const moneyWeightedReturn = (points) => {
+  if (points.length < 2) return null;
+  const first = points[0];
+  const last = points[points.length - 1];
+  const days = daysBetween(first.date, last.date);
+  if (days <= 0) return null;
+
+  // From the account's side: money put in is negative, the closing equity is paid back out
+  const cashFlows = [{ days: 0, amount: -first.equity }];
+  for (const point of points.slice(1)) {
+    if (point.flow) cashFlows.push({ days: daysBetween(first.date, point.date), amount: -point.flow });
+  }
+  cashFlows.push({ days, amount: last.equity });
+
+  const npv = (rate) => cashFlows.reduce((sum, cf) => sum + cf.amount / Math.pow(1 + rate, cf.days / DAYS_PER_YEAR), 0);
+
+  // NPV falls as the rate rises for invest-then-redeem flows, so bisect for its root
+  let low = -0.9999;
+  let high = 1000;
+  let npvLow = npv(low);
+  if (!Number.isFinite(npvLow) || npvLow * npv(high) > 0) return null;
+
+  for (let i = 0; i < 200 && high - low > 1e-10; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid);
+    if (npvMid * npvLow > 0) {
+      low = mid;
+      npvLow = npvMid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const annualized = (low + high) / 2;
+  return { annualized, period: Math.pow(1 + annualized, days / DAYS_PER_YEAR) - 1 };
+};
+
+/**
+ * Largest peak-to-trough fall of a series of { date, value }, e.g. the TWR index, so deposits
+ * and withdrawals don't show up as recoveries or drawdowns.
+ *
+ * @returns {{ maxDrawdown: number, peakDate: string|null, troughDate: string|null }}
+ */
+const maxDrawdown = (series) => {
+  let peak = null;
+  let worst = { maxDrawdown: 0, peakDate: null, troughDate: null };
+  for (const point of series) {
+    if (!peak || point.value > peak.value) peak = point;
+    const drawdown = peak.value > 0 ? (peak.value - point.value) / peak.value : 0;
+    if (drawdown > worst.maxDrawdown) {
+      worst = { maxDrawdown: drawdown, peakDate: peak.date, troughDate: point.date };
+    }
+  }
+  return worst;
+};
+
+/**
+ * Benchmark return between the first and last points that have a close.
+ *
+ * @param {Array<{ date: string, close: number|null }>} closes
+ * @returns {{ return: number, from: string, to: string } | null}
+ */
+const benchmarkReturn = (closes) => {
+  const priced = closes.filter(c => c.close > 0);
+  if (priced.length < 2) return null;
+  const first = priced[0];
+  const last = priced[priced.length - 1];
+  return { return: last.close / first.close - 1, from: first.date, to: last.date };
+};
+
+module.exports = { timeWeightedReturn, moneyWeightedReturn, maxDrawdown, benchmarkReturn };
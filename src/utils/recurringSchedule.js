@@ -0,0 +1,62 @@
+// Schedules for recurring investment plans. Every run falls at RUN_HOUR_UTC on its day, while
+// the NSE is open and before the US open, where Alpaca queues market day orders.
+
+const FREQUENCIES = ['daily', 'weekly', 'biweekly', 'monthly'];
+const RUN_HOUR_UTC = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Monthly plans stop at the 28th so every month has the day
+const MAX_DAY_OF_MONTH = 28;
+
+/**
+ * Returns an error message unless the schedule has the day its frequency needs.
+ */
+const validateSchedule = ({ frequency, dayOfWeek, dayOfMonth }) => {
+  if (!FREQUENCIES.includes(frequency)) {
+    return `frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  if (['weekly', 'biweekly'].includes(frequency) && !(Number.isInteger(dayOfWeek) && dayOfWeek >= 0 && dayOfWeek <= 6)) {
+    return `dayOfWeek (0 = Sunday to 6 = Saturday) is required for ${frequency} plans`;
+  }
+  if (frequency === 'monthly' && !(Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= MAX_DAY_OF_MONTH)) {
+    return `dayOfMonth (1 to ${MAX_DAY_OF_MONTH}) is required for monthly plans`;
+  }
+  return null;
+};
+
+const atRunHour = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), RUN_HOUR_UTC));
+
+/**
+ * First run strictly after `after`. Biweekly plans count two weeks on from `previous`, the run
+ * they last had, so they keep their cadence; without one they start on the next matching day.
+ *
+ * @param {{ frequency: string, dayOfWeek?: number, dayOfMonth?: number }} schedule
+ * @param {Date} after
+ * @param {Date|null} previous - the plan's last scheduled run
+ * @returns {Date}
+ */
+const nextRunDate = ({ frequency, dayOfWeek, dayOfMonth }, after, previous = null) => {
+  if (frequency === 'biweekly' && previous) {
+    let next = atRunHour(new Date(new Date(previous).getTime() + 14 * DAY_MS));
+    while (next <= after) next = new Date(next.getTime() + 14 * DAY_MS);
+    return next;
+  }
+
+  let candidate = atRunHour(after);
+  if (candidate <= after) candidate = new Date(candidate.getTime() + DAY_MS);
+
+  if (frequency === 'daily') return candidate;
+
+  if (frequency === 'weekly' || frequency === 'biweekly') {
+    const offset = (dayOfWeek - candidate.getUTCDay() + 7) % 7;
+    return new Date(candidate.getTime() + offset * DAY_MS);
+  }
+
+  // monthly
+  let next = new Date(Date.UTC(candidate.getUTCFullYear(), candidate.getUTCMonth(), dayOfMonth, RUN_HOUR_UTC));
+  if (next < candidate) {
+    next = new Date(Date.UTC(candidate.getUTCFullYear(), candidate.getUTCMonth() + 1, dayOfMonth, RUN_HOUR_UTC));
+  }
+  return next;
+};
+
+module.exports = { FREQUENCIES, RUN_HOUR_UTC, MAX_DAY_OF_MONTH, validateSchedule, nextRunDate };
@@ -0,0 +1,103 @@
+// Tax-lot matching for order fills. Each buy opens a lot; each sell is matched against the open
+// lots of the same provider and symbol by the chosen cost-basis method and becomes a disposal
+// with its realized gain. Amounts are USD; buy fees are added to a lot's cost and sell fees come
+// off the proceeds.
+
+const COST_BASIS_METHODS = ['fifo', 'lifo', 'average'];
+const EPSILON = 1e-9;
+
+const positionKey = ({ provider, symbol }) => `${provider}:${symbol}`;
+
+// Take `quantity` out of `lot`, returning the part taken
+const splitLot = (lot, quantity) => {
+  const fraction = quantity / lot.quantity;
+  const taken = { ...lot, quantity, costUsd: lot.costUsd * fraction };
+  lot.quantity -= quantity;
+  lot.costUsd -= taken.costUsd;
+  return taken;
+};
+
+/**
+ * Match fills into open lots and disposals.
+ *
+ * @param {Array<{ provider, orderId, symbol, exchange, side: 'buy'|'sell', quantity, priceUsd, feeUsd, exchangeRate, date }>} fills
+ * @param {'fifo'|'lifo'|'average'} method
+ * @returns {{ positions: Array<{ provider, symbol, exchange, lots }>, disposals: Array<object> }}
+ *   Each lot is { orderId, acquiredAt, quantity, costUsd, exchangeRate }. A disposal lists the lot
+ *   parts it used; unmatchedQuantity is sold quantity no open lot covered, given no cost.
+ */
+const matchLots = (fills, method = 'fifo') => {
+  if (!COST_BASIS_METHODS.includes(method)) {
+    throw new Error(`Unknown cost basis method: ${method}`);
+  }
+
+  const positions = new Map();
+  const disposals = [];
+  const sorted = [...fills].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  for (const fill of sorted) {
+    if (!(fill.quantity > 0)) continue;
+    const key = positionKey(fill);
+    if (!positions.has(key)) {
+      positions.set(key, { provider: fill.provider, symbol: fill.symbol, exchange: fill.exchange, lots: [] });
+    }
+    const position = positions.get(key);
+
+    if (fill.side === 'buy') {
+      position.lots.push({
+        orderId: fill.orderId,
+        acquiredAt: new Date(fill.date),
+        quantity: fill.quantity,
+        costUsd: fill.quantity * fill.priceUsd + (fill.feeUsd || 0),
+        exchangeRate: fill.exchangeRate || null
+      });
+      continue;
+    }
+
+    const held = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const matchedQuantity = Math.min(fill.quantity, held);
+    const matched = [];
+
+    if (method === 'average') {
+      // Every lot gives up the same share, so the average cost of what's left doesn't change
+      const fraction = held > 0 ? matchedQuantity / held : 0;
+      for (const lot of position.lots) {
+        if (fraction > 0) matched.push(splitLot(lot, lot.quantity * fraction));
+      }
+    } else {
+      let remaining = matchedQuantity;
+      while (remaining > EPSILON && position.lots.length) {
+        const lot = method === 'fifo' ? position.lots[0] : position.lots[position.lots.length - 1];
+        const taken = splitLot(lot, Math.min(remaining, lot.quantity));
+        matched.push(taken);
+        remaining -= taken.quantity;
+        if (lot.quantity <= EPSILON) position.lots.splice(position.lots.indexOf(lot), 1);
+      }
+    }
+    position.lots = position.lots.filter(lot => lot.quantity > EPSILON);
+
+    const proceedsUsd = fill.quantity * fill.priceUsd - (fill.feeUsd || 0);
+    const costBasisUsd = matched.reduce((sum, lot) => sum + lot.costUsd, 0);
+    const acquiredAt = matched.length ? new Date(Math.min(...matched.map(lot => lot.acquiredAt.getTime()))) : null;
+
+    disposals.push({
+      provider: fill.provider,
+      symbol: fill.symbol,
+      exchange: fill.exchange,
+      orderId: fill.orderId,
+      disposedAt: new Date(fill.date),
+      acquiredAt,
+      quantity: fill.quantity,
+      proceedsUsd,
+      costBasisUsd,
+      realizedPLUsd: proceedsUsd - costBasisUsd,
+      unmatchedQuantity: fill.quantity - matchedQuantity > EPSILON ? fill.quantity - matchedQuantity : 0,
+      exchangeRate: fill.exchangeRate || null,
+      lots: matched
+    });
+  }
+
+  return { positions: [...positions.values()], disposals };
+};
+
+module.exports = { COST_BASIS_METHODS, matchLots };
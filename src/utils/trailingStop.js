@@ -0,0 +1,37 @@
+// Trailing stops are SELL orders: the stop follows the highest price seen, trail_percent or
+// trail_amount below it, and fires once the price falls back to the stop.
+
+/**
+ * Returns an error message unless exactly one of trailPercent / trailAmount is a usable number.
+ */
+const validateTrail = ({ trailPercent, trailAmount }) => {
+  const hasPercent = trailPercent != null && trailPercent !== '';
+  const hasAmount = trailAmount != null && trailAmount !== '';
+  if (hasPercent === hasAmount) {
+    return 'trailing_stop orders need exactly one of trail_percent or trail_amount';
+  }
+  if (hasPercent && !(parseFloat(trailPercent) > 0 && parseFloat(trailPercent) < 100)) {
+    return 'trail_percent must be between 0 and 100';
+  }
+  if (hasAmount && !(parseFloat(trailAmount) > 0)) {
+    return 'trail_amount must be greater than 0';
+  }
+  return null;
+};
+
+/**
+ * Advance a simulated trailing stop by one price observation.
+ *
+ * @param {{ highWaterMark, trailPercent, trailAmount }} trail
+ * @param {number} price - latest price, in the same currency as the trail amount
+ * @returns {{ highWaterMark: number, stopPrice: number, triggered: boolean }}
+ */
+const advanceTrailingStop = ({ highWaterMark, trailPercent, trailAmount }, price) => {
+  const hwm = Math.max(parseFloat(highWaterMark) || 0, price);
+  const stopPrice = trailPercent != null
+    ? hwm * (1 - parseFloat(trailPercent) / 100)
+    : hwm - parseFloat(trailAmount);
+  return { highWaterMark: hwm, stopPrice, triggered: price <= stopPrice };
+};
+
+module.exports = { validateTrail, advanceTrailingStop };
@@ -0,0 +1,194 @@
+jest.mock('../src/models', () => ({
+  AccountStatement: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+  User: { findByPk: jest.fn(), findAll: jest.fn() },
+  Wallet: { findOne: jest.fn() },
+  Transaction: { findAll: jest.fn() },
+  PlatformRevenue: { findAll: jest.fn() },
+  PortfolioSnapshot: { findOne: jest.fn() },
+  LedgerAccount: { findAll: jest.fn() },
+}));
+jest.mock('../src/services/ledgerService', () => ({
+  getWalletPeriodBalances: jest.fn(),
+}));
+jest.mock('../src/services/taxLotService', () => ({
+  getLiveFills: jest.fn(),
+}));
+jest.mock('../src/services/emailService', () => ({
+  sendAccountStatementEmail: jest.fn(),
+}));
+
+const { AccountStatement, User, Wallet, Transaction, PlatformRevenue, PortfolioSnapshot, LedgerAccount } = require('../src/models');
+const ledgerService = require('../src/services/ledgerService');
+const taxLotService = require('../src/services/taxLotService');
+const emailService = require('../src/services/emailService');
+const accountStatementService = require('../src/services/accountStatementService');
+
+const user = { id: 'user-1', first_name: 'Test', last_name: 'User', email: 'test@example.com' };
+const september = accountStatementService.resolvePeriod({ month: '2026-09' }, new Date('2026-10-19T12:00:00Z'));
+
+const fill = (side, quantity, priceUsd, date) => ({
+  provider: 'mystocks', orderId: `${side}-${date}`, symbol: 'SCOM', exchange: 'NSE',
+  side, quantity, priceUsd, feeUsd: 0, exchangeRate: null, date: new Date(date),
+});
+
+const makeStatement = (overrides = {}) => {
+  const statement = {
+    id: 'statement-1',
+    user_id: 'user-1',
+    period_start: '2026-09-01',
+    period_end: '2026-09-30',
+    pdf: Buffer.from('%PDF-1.4'),
+    csv: 'section\r\n',
+    generated_at: new Date('2026-10-01T04:00:00Z'),
+    emailed_at: null,
+    ...overrides,
+  };
+  statement.update = jest.fn(async values => Object.assign(statement, values));
+  return statement;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findByPk.mockResolvedValue(user);
+  Wallet.findOne.mockResolvedValue({ id: 'wallet-1', kes_balance: '5000', usd_balance: '40' });
+  LedgerAccount.findAll.mockResolvedValue([{ code: 'wallet:wallet-1:KES' }, { code: 'wallet:wallet-1:USD' }]);
+  ledgerService.getWalletPeriodBalances.mockImplementation(async (walletId, currency) =>
+    (currency === 'KES' ? { opening: 1000, closing: 5000 } : { opening: 0, closing: 40 }));
+  Transaction.findAll.mockResolvedValue([
+    { type: 'deposit', amount: '10000', currency: 'KES', reference: 'MP1', created_at: new Date('2026-09-02') },
+    { type: 'forex_conversion', amount: '-6000', currency: 'KES', reference: 'FX1', created_at: new Date('2026-09-03') },
+    { type: 'forex_conversion', amount: '45', currency: 'USD', reference: 'FX1', created_at: new Date('2026-09-03') },
+    { type: 'withdrawal', amount: '-5', currency: 'USD', reference: 'WD1', created_at: new Date('2026-09-20') },
+  ]);
+  PlatformRevenue.findAll.mockResolvedValue([
+    { type: 'forex_fee', currency: 'KES', amount_usd: '0.46', amount_kes: '60', reference: 'FX1', created_at: new Date('2026-09-03') },
+  ]);
+  taxLotService.getLiveFills.mockResolvedValue([
+    fill('buy', 100, 0.2, '2026-08-10'),
+    fill('buy', 50, 0.3, '2026-09-10'),
+    fill('sell', 20, 0.4, '2026-10-05'),
+  ]);
+  PortfolioSnapshot.findOne.mockResolvedValue(null);
+  AccountStatement.findOne.mockResolvedValue(null);
+  AccountStatement.create.mockImplementation(async values => makeStatement(values));
+  emailService.sendAccountStatementEmail.mockResolvedValue({ success: true });
+});
+
+describe('resolvePeriod', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  it('covers a calendar month, ending at the start of the next', () => {
+    expect(accountStatementService.resolvePeriod({ month: '2026-02' }, now)).toMatchObject({
+      periodStart: '2026-02-01',
+      periodEnd: '2026-02-28',
+      end: new Date('2026-03-01T00:00:00Z'),
+      kind: 'monthly',
+    });
+  });
+
+  it('rejects ranges longer than a year, in the future or back to front', () => {
+    expect(() => accountStatementService.resolvePeriod({ from: '2025-01-01', to: '2026-06-30' }, now)).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => accountStatementService.resolvePeriod({ from: '2026-10-01', to: '2026-10-31' }, now)).toThrow('to cannot be in the future');
+    expect(() => accountStatementService.resolvePeriod({ month: '2026-11' }, now)).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => accountStatementService.resolvePeriod({ from: '2026-09-10', to: '2026-09-01' }, now)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('buildStatement', () => {
+  it('reads balances from the ledger and totals the period\'s activity, trades and fees', async () => {
+    const summary = await accountStatementService.buildStatement(user, september);
+
+    expect(summary.balances).toEqual({
+      KES: { opening: 1000, closing: 5000, source: 'ledger' },
+      USD: { opening: 0, closing: 40, source: 'ledger' },
+    });
+    expect(summary.totals.KES).toMatchObject({ deposits: 10000, conversions: -6000, withdrawals: 0 });
+    expect(summary.totals.USD).toMatchObject({ conversions: 45, withdrawals: -5 });
+    expect(summary.trades).toEqual([expect.objectContaining({ symbol: 'SCOM', side: 'buy', quantity: 50, amountUsd: 15 })]);
+    expect(summary.fees).toMatchObject({ totalUsd: 0.46, totalKes: 60 });
+    // No snapshot in September, so the lots held at the end of it are shown at cost
+    expect(summary.holdings).toMatchObject({ valuation: 'cost', valuedAt: '2026-09-30', totalUsd: 35 });
+    expect(summary.holdings.positions).toEqual([expect.objectContaining({ symbol: 'SCOM', quantity: 150 })]);
+  });
+
+  it('works balances back from the cached wallet balance when the wallet has no ledger account', async () => {
+    LedgerAccount.findAll.mockResolvedValue([]);
+    Transaction.findAll.mockResolvedValue([
+      { type: 'deposit', amount: '3000', currency: 'KES', created_at: new Date('2026-09-02') },
+      { type: 'withdrawal', amount: '2000', currency: 'KES', created_at: new Date('2026-10-02') },
+    ]);
+
+    const summary = await accountStatementService.buildStatement(user, september);
+
+    // 5000 now, 7000 before October's withdrawal, 4000 before September's deposit
+    expect(summary.balances.KES).toEqual({ opening: 4000, closing: 7000, source: 'transactions' });
+    expect(summary.activity).toHaveLength(1);
+    expect(ledgerService.getWalletPeriodBalances).not.toHaveBeenCalled();
+    expect(Transaction.findAll.mock.calls[0][0].where).toMatchObject({ tracking_only: false });
+  });
+
+  it('values holdings from the last portfolio snapshot in the period', async () => {
+    PortfolioSnapshot.findOne.mockResolvedValue({
+      snapshot_date: '2026-09-30',
+      provider: 'mystocks',
+      holdings: [{ symbol: 'SCOM', exchange: 'NSE', quantity: 150, price: 0.25, marketValue: 37.5 }],
+      holdings_value_usd: '37.5',
+    });
+
+    const summary = await accountStatementService.buildStatement(user, september);
+
+    expect(summary.holdings).toMatchObject({ valuation: 'market', valuedAt: '2026-09-30', totalUsd: 37.5 });
+  });
+});
+
+describe('generate', () => {
+  it('stores the statement with a PDF and CSV and emails both', async () => {
+    const statement = await accountStatementService.generate('user-1', { month: '2026-09', email: true });
+
+    expect(AccountStatement.create).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'user-1', period_start: '2026-09-01', period_end: '2026-09-30', kind: 'monthly',
+    }));
+    expect(statement.pdf.subarray(0, 8).toString()).toBe('%PDF-1.4');
+    expect(statement.csv).toContain('activity,2026-09-02T00:00:00.000Z,deposit,,,KES,10000,,,MP1');
+    expect(statement.csv).toContain('balance,2026-09-30,closing,,,KES,5000');
+    expect(emailService.sendAccountStatementEmail).toHaveBeenCalledWith(user, { periodStart: '2026-09-01', periodEnd: '2026-09-30' }, [
+      expect.objectContaining({ filename: 'statement-2026-09-01-to-2026-09-30.pdf', contentType: 'application/pdf' }),
+      expect.objectContaining({ filename: 'statement-2026-09-01-to-2026-09-30.csv', contentType: 'text/csv' }),
+    ]);
+    expect(statement.emailed_at).toBeInstanceOf(Date);
+  });
+
+  it('reuses a statement generated after its period ended and rebuilds one generated during it', async () => {
+    const final = makeStatement();
+    AccountStatement.findOne.mockResolvedValueOnce(final);
+    await expect(accountStatementService.generate('user-1', { month: '2026-09' })).resolves.toBe(final);
+    expect(Transaction.findAll).not.toHaveBeenCalled();
+
+    const partial = makeStatement({ generated_at: new Date('2026-09-15T10:00:00Z') });
+    AccountStatement.findOne.mockResolvedValueOnce(partial);
+    await accountStatementService.generate('user-1', { month: '2026-09' });
+    expect(partial.update).toHaveBeenCalledWith(expect.objectContaining({ summary: expect.any(Object), csv: expect.any(String) }));
+    expect(AccountStatement.create).not.toHaveBeenCalled();
+  });
+
+  it('answers 502 when the email could not be sent', async () => {
+    emailService.sendAccountStatementEmail.mockResolvedValue({ success: false, error: 'SMTP down' });
+
+    await expect(accountStatementService.generate('user-1', { month: '2026-09', email: true })).rejects.toMatchObject({ status: 502 });
+  });
+});
+
+describe('run', () => {
+  it('sends statements to users with activity and skips empty accounts', async () => {
+    User.findAll.mockResolvedValue([user, { ...user, id: 'user-2' }]);
+    Wallet.findOne.mockImplementation(async ({ where }) => (where.user_id === 'user-1' ? { id: 'wallet-1', kes_balance: '5000', usd_balance: '40' } : null));
+    taxLotService.getLiveFills.mockResolvedValue([]);
+    PlatformRevenue.findAll.mockResolvedValue([]);
+
+    const stats = await accountStatementService.run({ month: '2026-09' });
+
+    expect(stats).toEqual({ month: '2026-09', users: 2, generated: 1, skipped: 1, failed: 0 });
+    expect(AccountStatement.create).toHaveBeenCalledTimes(1);
+    expect(emailService.sendAccountStatementEmail).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,470 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+jest.mock('../src/services/alpacaService', () => ({
+  getAssets: jest.fn(),
+  getAsset: jest.fn(),
+  getLatestQuote: jest.fn(),
+  getBars: jest.fn(),
+  createOrder: jest.fn(),
+  getOrders: jest.fn(),
+  getOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+  getMostActiveStocks: jest.fn(),
+  getTopMovers: jest.fn(),
+  searchAssets: jest.fn(),
+  getCompanyLogo: jest.fn((sym) => `https://logo/${sym}`),
+  getMarketStatus: jest.fn(),
+  getNews: jest.fn(),
+  getAccount: jest.fn(),
+  getPositions: jest.fn(),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getStocks: jest.fn(),
+  getStockBySlug: jest.fn(),
+  getStockPulse: jest.fn(),
+  buildStockSlug: jest.fn(),
+  getWallet: jest.fn(),
+  placeTrade: jest.fn(),
+  getOrders: jest.fn(),
+  createSubAccount: jest.fn(),
+  getSubAccount: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(129.26),
+  convertCurrency: jest.fn().mockResolvedValue({ convertedAmount: 129.26, rate: 129.26 }),
+  getCurrentRates: jest.fn().mockResolvedValue({ rates: { USD_KES: 129.26 } }),
+}));
+jest.mock('../src/config/redis', () => {
+  const mockQuit = jest.fn().mockResolvedValue(undefined);
+  const mockClient = { quit: mockQuit, subscribe: jest.fn(), on: jest.fn(), disconnect: jest.fn() };
+  const mockPub = { quit: mockQuit, on: jest.fn(), publish: jest.fn().mockResolvedValue(1) };
+  const mockSub = { quit: mockQuit, subscribe: jest.fn().mockResolvedValue(undefined), psubscribe: jest.fn().mockResolvedValue(undefined), on: jest.fn() };
+  return {
+    initialize: jest.fn(),
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    del: jest.fn().mockResolvedValue(1),
+    client: mockClient,
+    publisher: mockPub,
+    subscriber: mockSub,
+    getClient: jest.fn().mockReturnValue(mockClient),
+    getPublisher: jest.fn().mockReturnValue(mockPub),
+    getSubscriber: jest.fn().mockReturnValue(mockSub),
+    isConnected: false,
+  };
+});
+jest.mock('../src/middleware/auth', () => ({
+  auth: (req, _res, next) => {
+    req.user = { id: 'test-user-id', email: 'test@example.com', account_mode: 'demo', demo_balance: 10000 };
+    next();
+  },
+  requireKYCOrMyStocks: (_req, _res, next) => next(),
+  requireKYC: (_req, _res, next) => next(),
+  authorize: () => (_req, _res, next) => next(),
+  requireBiometric: (_req, _res, next) => next(),
+  requirePin: (_req, _res, next) => next(),
+  adminAuth: (_req, _res, next) => next(),
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+jest.mock('../src/middleware/checkAccountStatus', () => ({
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+
+jest.mock('../src/models', () => ({
+  User: {
+    findByPk: jest.fn().mockResolvedValue({ id: 'test-user-id', email: 'test@example.com', first_name: 'Test' }),
+    findOne: jest.fn(),
+    update: jest.fn(),
+  },
+  PriceAlert: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    count: jest.fn(),
+    destroy: jest.fn(),
+  },
+  sequelize: { Sequelize: { Op: {} } },
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendNotificationEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendTransactionEmail: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/services/realtimeNotificationService', () => ({
+  initialize: jest.fn().mockResolvedValue(undefined),
+  sendPriceAlert: jest.fn().mockResolvedValue({ success: true }),
+  sendOrderNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendToUser: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const ALERT_ID = '3f1c2b4a-5d6e-4f70-8a9b-0c1d2e3f4a5b';
+
+const alpacaService = require('../src/services/alpacaService');
+const ms = require('../src/services/mystocksService');
+const realtimeNotificationService = require('../src/services/realtimeNotificationService');
+const priceAlertService = require('../src/services/priceAlertService');
+const { PriceAlert } = require('../src/models');
+
+const makeAlert = (overrides = {}) => {
+  const alert = {
+    id: ALERT_ID,
+    user_id: 'test-user-id',
+    symbol: 'AAPL',
+    asset_name: 'Apple Inc.',
+    condition: 'above',
+    target_price: '200.00',
+    last_price: '190.00',
+    notification_method: 'push',
+    status: 'active',
+    note: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    ...overrides,
+  };
+  alert.update = jest.fn(async (updates) => Object.assign(alert, updates));
+  return alert;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('POST /api/v1/alerts', () => {
+  it('creates an alert for a valid symbol', async () => {
+    PriceAlert.count.mockResolvedValue(0);
+    alpacaService.getAsset.mockResolvedValue({ symbol: 'AAPL', name: 'Apple Inc.' });
+    alpacaService.getLatestQuote.mockResolvedValue({ ap: 190, bp: 189.9 });
+    PriceAlert.create.mockImplementation(async (data) => makeAlert(data));
+
+    const res = await request(app)
+      .post('/api/v1/alerts')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'aapl', condition: 'above', targetPrice: 200 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.success).toBe(true);
+    expect(res.body.alert.symbol).toBe('AAPL');
+    expect(res.body.alert.targetPrice).toBe(200);
+    expect(PriceAlert.create).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'test-user-id',
+      symbol: 'AAPL',
+      status: 'active',
+    }));
+  });
+
+  it('creates a KES-denominated alert for an NSE symbol via MyStocks', async () => {
+    PriceAlert.count.mockResolvedValue(0);
+    ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', name: 'Safaricom PLC', exchange: 'NSE', price: 18.5, usdPrice: 0.143, currency: 'KES' }]);
+    PriceAlert.create.mockImplementation(async (data) => makeAlert(data));
+
+    const res = await request(app)
+      .post('/api/v1/alerts')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'nse', condition: 'above', targetPrice: 20 });
+
+    expect(res.status).toBe(201);
+    expect(alpacaService.getAsset).not.toHaveBeenCalled();
+    expect(PriceAlert.create).toHaveBeenCalledWith(expect.objectContaining({
+      symbol: 'SCOM',
+      exchange: 'NSE',
+      denomination: 'local',
+      currency: 'KES',
+      last_price: 18.5,
+    }));
+  });
+
+  it('returns 404 when the African symbol is not listed on MyStocks', async () => {
+    PriceAlert.count.mockResolvedValue(0);
+    ms.getStocks.mockResolvedValue([]);
+
+    const res = await request(app)
+      .post('/api/v1/alerts')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'NOPE', exchange: 'NSE', condition: 'above', targetPrice: 20 });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('returns 400 for an unknown condition', async () => {
+    const res = await request(app)
+      .post('/api/v1/alerts')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', condition: 'sideways', targetPrice: 200 });
+
+    expect(res.status).toBe(400);
+    expect(PriceAlert.create).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 when the active alert limit is reached', async () => {
+    PriceAlert.count.mockResolvedValue(priceAlertService.maxActiveAlertsPerUser);
+
+    const res = await request(app)
+      .post('/api/v1/alerts')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', condition: 'below', targetPrice: 150 });
+
+    expect(res.status).toBe(400);
+    expect(PriceAlert.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/v1/alerts', () => {
+  it('lists the user alerts', async () => {
+    PriceAlert.findAll.mockResolvedValue([makeAlert()]);
+
+    const res = await request(app)
+      .get('/api/v1/alerts')
+      .set('Authorization', 'Bearer test');
+
+    expect(res.status).toBe(200);
+    expect(res.body.alerts).toHaveLength(1);
+    expect(PriceAlert.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: { user_id: 'test-user-id' },
+    }));
+  });
+});
+
+describe('PATCH /api/v1/alerts/:alertId', () => {
+  it('re-arms a triggered alert when edited', async () => {
+    const alert = makeAlert({ status: 'triggered', triggered_at: new Date() });
+    PriceAlert.findOne.mockResolvedValue(alert);
+    PriceAlert.count.mockResolvedValue(0);
+
+    const res = await request(app)
+      .patch(`/api/v1/alerts/${ALERT_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ targetPrice: 210 });
+
+    expect(res.status).toBe(200);
+    expect(alert.update).toHaveBeenCalledWith(expect.objectContaining({ target_price: 210, status: 'active' }));
+  });
+
+  it('returns 400 rather than re-arm a triggered alert past the active alert limit', async () => {
+    const alert = makeAlert({ status: 'triggered', triggered_at: new Date() });
+    PriceAlert.findOne.mockResolvedValue(alert);
+    PriceAlert.count.mockResolvedValue(priceAlertService.maxActiveAlertsPerUser);
+
+    const res = await request(app)
+      .patch(`/api/v1/alerts/${ALERT_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ targetPrice: 210 });
+
+    expect(res.status).toBe(400);
+    expect(alert.update).not.toHaveBeenCalled();
+  });
+
+  it('edits an active alert without checking the limit', async () => {
+    const alert = makeAlert();
+    PriceAlert.findOne.mockResolvedValue(alert);
+    PriceAlert.count.mockResolvedValue(priceAlertService.maxActiveAlertsPerUser);
+
+    const res = await request(app)
+      .patch(`/api/v1/alerts/${ALERT_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ note: 'trim' });
+
+    expect(res.status).toBe(200);
+    expect(alert.update).toHaveBeenCalledWith(expect.objectContaining({ note: 'trim' }));
+  });
+
+  it('gives an alert switched to an indicator condition the default cooldown', async () => {
+    const alert = makeAlert({ cooldown_minutes: null });
+    PriceAlert.findOne.mockResolvedValue(alert);
+
+    const res = await request(app)
+      .patch(`/api/v1/alerts/${ALERT_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ condition: 'percent_move', threshold: 5 });
+
+    expect(res.status).toBe(200);
+    expect(alert.update).toHaveBeenCalledWith(expect.objectContaining({
+      condition: 'percent_move',
+      cooldown_minutes: priceAlertService.defaultIndicatorCooldownMinutes,
+    }));
+  });
+
+  it('returns 404 for an alert owned by someone else', async () => {
+    PriceAlert.findOne.mockResolvedValue(null);
+
+    const res = await request(app)
+      .patch(`/api/v1/alerts/${ALERT_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ targetPrice: 210 });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/v1/alerts/:alertId/pause', () => {
+  it('pauses an active alert', async () => {
+    const alert = makeAlert();
+    PriceAlert.findOne.mockResolvedValue(alert);
+
+    const res = await request(app)
+      .post(`/api/v1/alerts/${ALERT_ID}/pause`)
+      .set('Authorization', 'Bearer test');
+
+    expect(res.status).toBe(200);
+    expect(res.body.alert.status).toBe('paused');
+  });
+});
+
+describe('DELETE /api/v1/alerts/:alertId', () => {
+  it('deletes the alert', async () => {
+    PriceAlert.destroy.mockResolvedValue(1);
+
+    const res = await request(app)
+      .delete(`/api/v1/alerts/${ALERT_ID}`)
+      .set('Authorization', 'Bearer test');
+
+    expect(res.status).toBe(200);
+    expect(PriceAlert.destroy).toHaveBeenCalledWith({ where: { id: ALERT_ID, user_id: 'test-user-id' } });
+  });
+});
+
+describe('priceAlertService.checkSymbolAlerts', () => {
+  it('triggers alerts whose condition is met and notifies the user', async () => {
+    alpacaService.getLatestQuote.mockResolvedValue({ ap: 205, bp: 204.9 });
+    const hit = makeAlert();
+    const miss = makeAlert({ id: 'other-alert', condition: 'below', target_price: '150.00' });
+
+    await priceAlertService.checkSymbolAlerts('AAPL', [hit, miss]);
+
+    expect(hit.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'triggered', trigger_price: 205 }));
+    expect(miss.status).toBe('active');
+    expect(realtimeNotificationService.sendPriceAlert).toHaveBeenCalledTimes(1);
+    expect(realtimeNotificationService.sendPriceAlert).toHaveBeenCalledWith('test-user-id', expect.objectContaining({
+      alertId: ALERT_ID,
+      symbol: 'AAPL',
+      currentPrice: 205,
+    }));
+  });
+});
+
+describe('priceAlertService.checkSymbolAlerts (MyStocks)', () => {
+  it('evaluates local and USD alerts against the matching MyStocks price', async () => {
+    ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', name: 'Safaricom PLC', exchange: 'NSE', price: 21, usdPrice: 0.16, currency: 'KES' }]);
+    const local = makeAlert({ symbol: 'SCOM', exchange: 'NSE', denomination: 'local', currency: 'KES', target_price: '20.00', last_price: '19.00' });
+    const usd = makeAlert({ id: 'usd-alert', symbol: 'SCOM', exchange: 'NSE', denomination: 'usd', currency: 'USD', target_price: '0.20', last_price: '0.15' });
+
+    await priceAlertService.checkSymbolAlerts('SCOM', [local, usd]);
+
+    expect(alpacaService.getLatestQuote).not.toHaveBeenCalled();
+    expect(local.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'triggered', trigger_price: 21 }));
+    expect(usd.update).toHaveBeenCalledWith(expect.objectContaining({ last_price: 0.16 }));
+    expect(usd.status).toBe('active');
+    expect(realtimeNotificationService.sendPriceAlert).toHaveBeenCalledWith('test-user-id', expect.objectContaining({
+      symbol: 'SCOM',
+      currency: 'KES',
+    }));
+  });
+});
+
+describe('indicator alert conditions', () => {
+  const today = new Date().toISOString().split('T')[0];
+  const dailyBars = (count, { high = 180, low = 120, close = 150, volume = 1000000 } = {}) =>
+    Array.from({ length: count }, (_, i) => ({
+      t: new Date(Date.UTC(2025, 0, 1) + i * 86400000).toISOString(),
+      o: close, h: high, l: low, c: close, v: volume,
+    }));
+
+  it('creates a percent_move alert for an NSE symbol with the default cooldown', async () => {
+    PriceAlert.count.mockResolvedValue(0);
+    ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', name: 'Safaricom PLC', exchange: 'NSE', price: 18.5, previousClose: 18, currency: 'KES' }]);
+    PriceAlert.create.mockImplementation(async (data) => makeAlert(data));
+
+    const res = await request(app)
+      .post('/api/v1/alerts')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'NSE', condition: 'percent_move', threshold: 5 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.alert.threshold).toBe(5);
+    expect(res.body.alert.cooldownMinutes).toBe(priceAlertService.defaultIndicatorCooldownMinutes);
+    expect(PriceAlert.create).toHaveBeenCalledWith(expect.objectContaining({
+      condition: 'percent_move',
+      target_price: null,
+      threshold: 5,
+    }));
+  });
+
+  it('returns 400 when percent_move has no threshold', async () => {
+    const res = await request(app)
+      .post('/api/v1/alerts')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', condition: 'percent_move' });
+
+    expect(res.status).toBe(400);
+    expect(PriceAlert.create).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 for history-based conditions on African exchanges', async () => {
+    PriceAlert.count.mockResolvedValue(0);
+
+    const res = await request(app)
+      .post('/api/v1/alerts')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'NSE', condition: 'high_52w' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/only available for US stocks/);
+  });
+
+  it('fires volume_spike and high_52w alerts from bar history and keeps them armed', async () => {
+    alpacaService.getLatestQuote.mockResolvedValue({ ap: 185, bp: 184.9 });
+    alpacaService.getBars.mockResolvedValue([
+      ...dailyBars(260),
+      { t: `${today}T13:30:00Z`, o: 150, h: 185, l: 150, c: 185, v: 3500000 },
+    ]);
+    const spike = makeAlert({ condition: 'volume_spike', target_price: null, threshold: '3', cooldown_minutes: 1440, trigger_count: 0 });
+    const high = makeAlert({ id: 'high-alert', condition: 'high_52w', target_price: null, cooldown_minutes: 1440, trigger_count: 0 });
+    const low = makeAlert({ id: 'low-alert', condition: 'low_52w', target_price: null, cooldown_minutes: 1440, trigger_count: 0 });
+
+    await priceAlertService.checkSymbolAlerts('AAPL', [spike, high, low]);
+
+    expect(alpacaService.getBars).toHaveBeenCalledTimes(1);
+    expect(spike.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'active', trigger_count: 1, trigger_price: 185 }));
+    expect(high.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'active', trigger_count: 1 }));
+    expect(low.trigger_count).toBe(0);
+    expect(realtimeNotificationService.sendPriceAlert).toHaveBeenCalledTimes(2);
+    expect(realtimeNotificationService.sendPriceAlert).toHaveBeenCalledWith('test-user-id', expect.objectContaining({
+      condition: 'volume_spike',
+      message: expect.stringContaining('3.5x'),
+    }));
+  });
+
+  it('does not re-fire an alert inside its cooldown window', async () => {
+    alpacaService.getLatestQuote.mockResolvedValue({ ap: 185, bp: 184.9 });
+    const high = makeAlert({
+      condition: 'high_52w',
+      target_price: null,
+      cooldown_minutes: 1440,
+      trigger_count: 1,
+      triggered_at: new Date(Date.now() - 60 * 60000),
+    });
+
+    await priceAlertService.checkSymbolAlerts('AAPL', [high]);
+
+    expect(alpacaService.getBars).not.toHaveBeenCalled();
+    expect(realtimeNotificationService.sendPriceAlert).not.toHaveBeenCalled();
+    expect(high.update).toHaveBeenCalledWith(expect.objectContaining({ last_price: 185 }));
+  });
+
+  it('evaluates percent_move for MyStocks symbols from the previous close', async () => {
+    ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', name: 'Safaricom PLC', exchange: 'NSE', price: 19, usdPrice: 0.147, previousClose: 20, currency: 'KES' }]);
+    const move = makeAlert({
+      symbol: 'SCOM', exchange: 'NSE', denomination: 'local', currency: 'KES',
+      condition: 'percent_move', target_price: null, threshold: '5', cooldown_minutes: 1440, trigger_count: 0,
+    });
+
+    await priceAlertService.checkSymbolAlerts('SCOM', [move]);
+
+    expect(alpacaService.getBars).not.toHaveBeenCalled();
+    expect(move.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'active', trigger_count: 1 }));
+    expect(realtimeNotificationService.sendPriceAlert).toHaveBeenCalledWith('test-user-id', expect.objectContaining({
+      message: expect.stringContaining('down 5.00%'),
+    }));
+  });
+});
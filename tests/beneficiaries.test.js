@@ -0,0 +1,147 @@
+jest.mock('../src/models', () => ({
+  Beneficiary: { create: jest.fn(), count: jest.fn(), findAll: jest.fn(), findOne: jest.fn() },
+  User: { findByPk: jest.fn() },
+}));
+jest.mock('../src/services/kcbService', () => ({
+  formatPhoneNumber: jest.fn(phone => phone.replace(/\D/g, '').replace(/^0/, '254')),
+  validateAccountNumber: jest.fn(account => /^\d{10,13}$/.test(account)),
+}));
+jest.mock('../src/services/platformConfigService', () => {
+  const settings = {
+    withdrawal_beneficiary_cooling_off_hours: 24,
+    withdrawal_beneficiary_cooling_off_limit_kes: 10000,
+    withdrawal_beneficiary_cooling_off_limit_usd: 75,
+  };
+  return { getSetting: jest.fn(async key => settings[key]) };
+});
+jest.mock('../src/services/notificationService', () => ({
+  sendBeneficiaryAdded: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const { Beneficiary, User } = require('../src/models');
+const notificationService = require('../src/services/notificationService');
+const beneficiaryService = require('../src/services/beneficiaryService');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const user = { id: 'user-1', first_name: 'Test', last_name: 'User', email: 'test@example.com' };
+
+const makeBeneficiary = (overrides = {}) => {
+  const beneficiary = {
+    id: 'beneficiary-1',
+    user_id: 'user-1',
+    type: 'mpesa',
+    nickname: 'My Safaricom',
+    account_number: '254712345678',
+    account_name: 'Test User',
+    status: 'active',
+    cooling_off_until: null,
+    ...overrides,
+  };
+  beneficiary.isCoolingOff = (at) => !!beneficiary.cooling_off_until && beneficiary.cooling_off_until > at;
+  beneficiary.update = jest.fn(async values => Object.assign(beneficiary, values));
+  return beneficiary;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findByPk.mockResolvedValue(user);
+  Beneficiary.findOne.mockResolvedValue(null);
+  Beneficiary.count.mockResolvedValue(0);
+  Beneficiary.create.mockImplementation(async data => ({ id: 'beneficiary-1', ...data }));
+});
+
+describe('createBeneficiary', () => {
+  it('normalizes an M-Pesa number, names it after the user and starts the cooling-off period', async () => {
+    const beneficiary = await beneficiaryService.createBeneficiary('user-1', {
+      type: 'mpesa', nickname: ' My Safaricom ', accountNumber: '0712345678',
+    }, now);
+
+    expect(beneficiary).toMatchObject({
+      nickname: 'My Safaricom',
+      account_number: '254712345678',
+      account_name: 'Test User',
+      cooling_off_until: new Date('2026-10-20T12:00:00Z'),
+    });
+    expect(notificationService.sendBeneficiaryAdded).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      nickname: 'My Safaricom', destination: '2547****5678',
+    }));
+  });
+
+  it('rejects a KCB account number in the wrong format', async () => {
+    await expect(beneficiaryService.createBeneficiary('user-1', {
+      type: 'bank', nickname: 'Salary account', accountNumber: '12-345',
+    }, now)).rejects.toMatchObject({ status: 400 });
+    expect(Beneficiary.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses to save the same destination twice', async () => {
+    Beneficiary.findOne.mockResolvedValue(makeBeneficiary());
+
+    await expect(beneficiaryService.createBeneficiary('user-1', {
+      type: 'mpesa', nickname: 'Phone', accountNumber: '254712345678',
+    }, now)).rejects.toMatchObject({ status: 409, message: 'This number is already saved as "My Safaricom"' });
+  });
+});
+
+describe('resolveForWithdrawal', () => {
+  it('caps payouts to a beneficiary still in its cooling-off period', async () => {
+    Beneficiary.findOne.mockResolvedValue(makeBeneficiary({ cooling_off_until: new Date('2026-10-20T09:00:00Z') }));
+
+    await expect(beneficiaryService.resolveForWithdrawal('user-1', 'beneficiary-1', { amount: 15000, currency: 'KES' }, now))
+      .rejects.toMatchObject({ status: 403 });
+    await expect(beneficiaryService.resolveForWithdrawal('user-1', 'beneficiary-1', { amount: 5000, currency: 'KES' }, now))
+      .resolves.toMatchObject({ id: 'beneficiary-1' });
+  });
+
+  it('allows any amount once the cooling-off period is over', async () => {
+    Beneficiary.findOne.mockResolvedValue(makeBeneficiary({ cooling_off_until: new Date('2026-10-18T09:00:00Z') }));
+
+    await expect(beneficiaryService.resolveForWithdrawal('user-1', 'beneficiary-1', { amount: 150000, currency: 'KES' }, now))
+      .resolves.toMatchObject({ id: 'beneficiary-1' });
+  });
+
+  it('only resolves the user\'s own active beneficiaries', async () => {
+    await expect(beneficiaryService.resolveForWithdrawal('user-1', 'beneficiary-9', { amount: 100, currency: 'KES' }, now))
+      .rejects.toMatchObject({ status: 404 });
+    expect(Beneficiary.findOne).toHaveBeenCalledWith({ where: { id: 'beneficiary-9', user_id: 'user-1', status: 'active' } });
+  });
+});
+
+describe('checkRawDestination', () => {
+  it('caps an unsaved number as if it had just been added', async () => {
+    await expect(beneficiaryService.checkRawDestination('user-1', { type: 'mpesa', accountNumber: '0798765432' }, { amount: 15000, currency: 'KES' }, now))
+      .rejects.toMatchObject({ status: 403 });
+    await expect(beneficiaryService.checkRawDestination('user-1', { type: 'mpesa', accountNumber: '0798765432' }, { amount: 5000, currency: 'KES' }, now))
+      .resolves.toBeNull();
+  });
+
+  it('applies a saved beneficiary\'s own cooling-off period', async () => {
+    Beneficiary.findOne.mockResolvedValue(makeBeneficiary({ type: 'bank', account_number: '1234567890' }));
+
+    const saved = await beneficiaryService.checkRawDestination('user-1', { type: 'bank', accountNumber: '1234567890' }, { amount: 50000, currency: 'KES' }, now);
+
+    expect(saved.id).toBe('beneficiary-1');
+    expect(Beneficiary.findOne).toHaveBeenCalledWith({
+      where: { user_id: 'user-1', type: 'bank', account_number: '1234567890', status: 'active' },
+    });
+  });
+
+  it('lets the user withdraw any amount to their own verified phone', async () => {
+    User.findByPk.mockResolvedValue({ ...user, phone: '+254712345678', is_phone_verified: true });
+
+    await expect(beneficiaryService.checkRawDestination('user-1', { type: 'mpesa', accountNumber: '0712345678' }, { amount: 50000, currency: 'KES' }, now))
+      .resolves.toBeNull();
+    expect(Beneficiary.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('removeBeneficiary', () => {
+  it('keeps the row but stops it being used', async () => {
+    const beneficiary = makeBeneficiary();
+    Beneficiary.findOne.mockResolvedValue(beneficiary);
+
+    await beneficiaryService.removeBeneficiary('user-1', 'beneficiary-1');
+
+    expect(beneficiary.update).toHaveBeenCalledWith({ status: 'removed' });
+  });
+});
@@ -0,0 +1,334 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+jest.mock('../src/services/alpacaService', () => ({
+  getAssets: jest.fn(),
+  getAsset: jest.fn(),
+  getLatestQuote: jest.fn(),
+  getBars: jest.fn(),
+  createOrder: jest.fn(),
+  getOrders: jest.fn(),
+  getOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+  getMostActiveStocks: jest.fn(),
+  getTopMovers: jest.fn(),
+  searchAssets: jest.fn(),
+  getCompanyLogo: jest.fn((sym) => `https://logo/${sym}`),
+  getMarketStatus: jest.fn(),
+  getNews: jest.fn(),
+  getAccount: jest.fn(),
+  getPositions: jest.fn(),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getStocks: jest.fn(),
+  getStockBySlug: jest.fn(),
+  getStockPulse: jest.fn(),
+  buildStockSlug: jest.fn(),
+  getWallet: jest.fn(),
+  placeTrade: jest.fn(),
+  depositToSubAccount: jest.fn(),
+  getOrders: jest.fn(),
+  createSubAccount: jest.fn(),
+  getSubAccount: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(129.26),
+  convertCurrency: jest.fn().mockResolvedValue({ convertedAmount: 129.26, rate: 129.26 }),
+  getCurrentRates: jest.fn().mockResolvedValue({ rates: { USD_KES: 129.26 } }),
+}));
+jest.mock('../src/config/redis', () => {
+  const mockQuit = jest.fn().mockResolvedValue(undefined);
+  const mockClient = { quit: mockQuit, subscribe: jest.fn(), on: jest.fn(), disconnect: jest.fn() };
+  const mockPub = { quit: mockQuit, on: jest.fn() };
+  const mockSub = { quit: mockQuit, subscribe: jest.fn().mockResolvedValue(undefined), psubscribe: jest.fn().mockResolvedValue(undefined), on: jest.fn() };
+  return {
+    initialize: jest.fn(),
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    del: jest.fn().mockResolvedValue(1),
+    client: mockClient,
+    publisher: mockPub,
+    subscriber: mockSub,
+    getClient: jest.fn().mockReturnValue(mockClient),
+    getPublisher: jest.fn().mockReturnValue(mockPub),
+    getSubscriber: jest.fn().mockReturnValue(mockSub),
+    isConnected: false,
+  };
+});
+jest.mock('../src/middleware/auth', () => ({
+  auth: (req, _res, next) => {
+    req.user = { id: 'test-user-id', email: 'test@example.com', account_mode: 'real' };
+    next();
+  },
+  requireKYCOrMyStocks: (_req, _res, next) => next(),
+  requireKYC: (_req, _res, next) => next(),
+  authorize: () => (_req, _res, next) => next(),
+  requireBiometric: (_req, _res, next) => next(),
+  requirePin: (_req, _res, next) => next(),
+  adminAuth: (_req, _res, next) => next(),
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+jest.mock('../src/middleware/checkAccountStatus', () => ({
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+
+jest.mock('../src/models', () => ({
+  User: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn().mockResolvedValue([1]),
+  },
+  Order: { create: jest.fn(), findOne: jest.fn(), findAndCountAll: jest.fn() },
+  DemoOrder: {
+    findAll: jest.fn().mockResolvedValue([]),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  MsOrder: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findAndCountAll: jest.fn(),
+    update: jest.fn(),
+  },
+  Wallet: { findOne: jest.fn().mockResolvedValue({ id: 'wallet-123', kes_balance: 0, usd_balance: 0, frozen_kes: 0, frozen_usd: 0 }) },
+  Transaction: { findAll: jest.fn().mockResolvedValue([]), create: jest.fn() },
+  IdempotencyKey: { findOrCreate: jest.fn() },
+  sequelize: { Sequelize: { Op: {} }, transaction: jest.fn() },
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendTransactionEmail: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/services/realtimeNotificationService', () => ({
+  initialize: jest.fn().mockResolvedValue(undefined),
+  sendOrderNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendPriceAlert: jest.fn().mockResolvedValue({ success: true }),
+  sendToUser: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/models/Wallet', () => ({
+  Wallet: { findOne: jest.fn() },
+  Transaction: { findOne: jest.fn(), create: jest.fn() },
+}));
+
+jest.mock('../src/services/kcbService', () => ({
+  formatPhoneNumber: jest.fn((phone) => phone),
+  validateAccountNumber: jest.fn().mockReturnValue(true),
+  generateTransactionReference: jest.fn().mockReturnValue('WD_REF'),
+  transferFunds: jest.fn(),
+  withdrawToMpesa: jest.fn(),
+}));
+
+jest.mock('../src/services/beneficiaryService', () => ({
+  resolveForWithdrawal: jest.fn(),
+  checkRawDestination: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../src/utils/ensureMyStocksAccount', () => ({
+  ensureMyStocksSubAccount: jest.fn().mockResolvedValue('ms-sub-123'),
+}));
+
+const crypto = require('crypto');
+const alpacaService = require('../src/services/alpacaService');
+const kcbService = require('../src/services/kcbService');
+const { clientOrderIdFor } = require('../src/middleware/idempotency');
+const { User, Order, IdempotencyKey, sequelize } = require('../src/models');
+
+const ORDER = { symbol: 'AAPL', side: 'buy', type: 'market', qty: 1, time_in_force: 'day' };
+const hashOf = (body) => crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
+const keyRecord = (fields) => {
+  const record = {
+    created_at: new Date(),
+    destroy: jest.fn().mockResolvedValue(undefined),
+    get isCompleted() { return this.status === 'completed'; },
+    ...fields
+  };
+  record.update = jest.fn(async values => Object.assign(record, values));
+  return record;
+};
+
+const placeOrder = (body, key) => request(app)
+  .post('/api/v1/orders')
+  .set('Authorization', 'Bearer test')
+  .set('Idempotency-Key', key)
+  .send(body);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'real', alpaca_account_id: 'alp-123' });
+  alpacaService.getAccount.mockResolvedValue({ cash: '10000' });
+  alpacaService.getLatestQuote.mockResolvedValue({ ap: 200, bp: 199.9 });
+  Order.create.mockImplementation(async (data) => ({
+    id: 'order-1',
+    ...data,
+    update: jest.fn().mockResolvedValue(undefined),
+    updateFromAlpaca: jest.fn().mockResolvedValue(undefined),
+  }));
+});
+
+describe('Idempotency-Key on POST /api/v1/orders', () => {
+  it('places the order once and stores the response, using the key as the Alpaca client_order_id', async () => {
+    const record = keyRecord({ status: 'processing', request_hash: hashOf(ORDER) });
+    IdempotencyKey.findOrCreate.mockResolvedValue([record, true]);
+    alpacaService.createOrder.mockResolvedValue({ id: 'alp-1', status: 'accepted' });
+
+    const res = await placeOrder(ORDER, 'retry-abc');
+
+    expect(res.status).toBe(201);
+    expect(IdempotencyKey.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { user_id: 'test-user-id', scope: 'orders', key: 'retry-abc' }
+    }));
+    expect(alpacaService.createOrder).toHaveBeenCalledWith(expect.objectContaining({
+      clientOrderId: clientOrderIdFor('test-user-id', 'retry-abc')
+    }));
+    expect(record.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'completed', response_status: 201 }));
+  });
+
+  it('replays the stored response for a retry without placing a second order', async () => {
+    const stored = { success: true, message: 'Order placed successfully', order: { id: 'order-1' } };
+    IdempotencyKey.findOrCreate.mockResolvedValue([
+      keyRecord({ status: 'completed', request_hash: hashOf(ORDER), response_status: 201, response_body: stored }),
+      false
+    ]);
+
+    const res = await placeOrder(ORDER, 'retry-abc');
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual(stored);
+    expect(res.headers['idempotent-replayed']).toBe('true');
+    expect(alpacaService.createOrder).not.toHaveBeenCalled();
+    expect(Order.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects a reused key with a different body', async () => {
+    IdempotencyKey.findOrCreate.mockResolvedValue([
+      keyRecord({ status: 'completed', request_hash: hashOf(ORDER), response_status: 201, response_body: {} }),
+      false
+    ]);
+
+    const res = await placeOrder({ ...ORDER, qty: 5 }, 'retry-abc');
+
+    expect(res.status).toBe(422);
+    expect(Order.create).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 while the original request is still running', async () => {
+    IdempotencyKey.findOrCreate.mockResolvedValue([keyRecord({ status: 'processing', request_hash: hashOf(ORDER) }), false]);
+
+    const res = await placeOrder(ORDER, 'retry-abc');
+
+    expect(res.status).toBe(409);
+    expect(alpacaService.createOrder).not.toHaveBeenCalled();
+  });
+
+  it('holds the key as unknown when the order fails with a server error', async () => {
+    const record = keyRecord({ status: 'processing', request_hash: hashOf(ORDER) });
+    IdempotencyKey.findOrCreate.mockResolvedValue([record, true]);
+    alpacaService.getAccount.mockRejectedValue(new Error('Alpaca unavailable'));
+
+    const res = await placeOrder(ORDER, 'retry-abc');
+
+    expect(res.status).toBe(500);
+    expect(record.destroy).not.toHaveBeenCalled();
+    expect(record.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'unknown', response_status: 500 }));
+  });
+
+  it('refuses a retry whose earlier attempt has an unknown outcome', async () => {
+    IdempotencyKey.findOrCreate.mockResolvedValue([keyRecord({ status: 'unknown', request_hash: hashOf(ORDER) }), false]);
+
+    const res = await placeOrder(ORDER, 'retry-abc');
+
+    expect(res.status).toBe(409);
+    expect(res.body.outcomeUnknown).toBe(true);
+    expect(alpacaService.createOrder).not.toHaveBeenCalled();
+  });
+
+  it('holds a key left processing by a request that died as unknown', async () => {
+    const record = keyRecord({ status: 'processing', request_hash: hashOf(ORDER), created_at: new Date(Date.now() - 10 * 60 * 1000) });
+    IdempotencyKey.findOrCreate.mockResolvedValue([record, false]);
+
+    const res = await placeOrder(ORDER, 'retry-abc');
+
+    expect(res.status).toBe(409);
+    expect(res.body.outcomeUnknown).toBe(true);
+    expect(record.update).toHaveBeenCalledWith({ status: 'unknown' });
+    expect(alpacaService.createOrder).not.toHaveBeenCalled();
+  });
+
+  it('does not claim the key for a request that fails validation', async () => {
+    const res = await placeOrder({ ...ORDER, side: 'sideways' }, 'retry-abc');
+
+    expect(res.status).toBe(400);
+    expect(IdempotencyKey.findOrCreate).not.toHaveBeenCalled();
+  });
+});
+
+describe('Idempotency-Key on POST /api/v1/kcb/wallet/withdraw', () => {
+  it('replays a completed withdrawal instead of paying out twice', async () => {
+    const withdrawal = { amount: 500, currency: 'KES', phoneNumber: '254712345678' };
+    const stored = { success: true, message: 'Withdrawal initiated', data: { reference: 'WD_1' } };
+    IdempotencyKey.findOrCreate.mockResolvedValue([
+      keyRecord({ status: 'completed', request_hash: hashOf(withdrawal), response_status: 200, response_body: stored }),
+      false
+    ]);
+
+    const res = await request(app)
+      .post('/api/v1/kcb/wallet/withdraw')
+      .set('Authorization', 'Bearer test')
+      .set('Idempotency-Key', 'withdraw-1')
+      .send(withdrawal);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(stored);
+    expect(IdempotencyKey.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { user_id: 'test-user-id', scope: 'kcb_wallet_withdraw', key: 'withdraw-1' }
+    }));
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+    expect(kcbService.transferFunds).not.toHaveBeenCalled();
+  });
+});
+
+describe('Idempotency-Key on POST /api/v1/wallet/withdraw', () => {
+  const { Wallet: WalletModel, Transaction: TransactionModel } = require('../src/models/Wallet');
+  const { sequelize: db } = require('../src/config/database');
+  const withdrawalReviewService = require('../src/services/withdrawalReviewService');
+  const platformConfigService = require('../src/services/platformConfigService');
+  const withdrawal = { amount: 500, currency: 'KES', method: 'mpesa', phoneNumber: '0712345678' };
+
+  const withdraw = () => request(app)
+    .post('/api/v1/wallet/withdraw')
+    .set('Authorization', 'Bearer test')
+    .set('Idempotency-Key', 'withdraw-2')
+    .send(withdrawal);
+
+  it('holds the key when the payout outcome is unknown, so a retry can\'t pay out again', async () => {
+    const record = keyRecord({ status: 'processing', request_hash: hashOf(withdrawal) });
+    IdempotencyKey.findOrCreate
+      .mockResolvedValueOnce([record, true])
+      .mockResolvedValueOnce([record, false]);
+    User.findByPk.mockResolvedValue({ id: 'test-user-id', email: 'test@example.com' });
+    WalletModel.findOne.mockResolvedValue({ id: 'wallet-123', kes_balance: 1000, frozen_kes: 0, save: jest.fn() });
+    TransactionModel.findOne.mockResolvedValue(null);
+    TransactionModel.create.mockResolvedValue({ id: 'txn-1', metadata: {}, update: jest.fn() });
+    jest.spyOn(db, 'transaction').mockResolvedValue({ commit: jest.fn(), rollback: jest.fn() });
+    jest.spyOn(platformConfigService, 'getSetting').mockResolvedValue(0.01);
+    jest.spyOn(withdrawalReviewService, 'evaluate').mockResolvedValue({ autoApprove: true, flags: [] });
+    jest.spyOn(withdrawalReviewService, 'open').mockResolvedValue({ id: 'review-1' });
+    // The freeze is committed, then the KCB call fails without saying whether the money went
+    kcbService.withdrawToMpesa.mockRejectedValue(new Error('socket hang up'));
+
+    const first = await withdraw();
+    const retry = await withdraw();
+
+    expect(first.status).toBe(500);
+    expect(record.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'unknown', response_status: 500 }));
+    expect(record.destroy).not.toHaveBeenCalled();
+    expect(retry.status).toBe(409);
+    expect(retry.body.outcomeUnknown).toBe(true);
+    expect(kcbService.withdrawToMpesa).toHaveBeenCalledTimes(1);
+  });
+});
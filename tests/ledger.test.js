@@ -0,0 +1,154 @@
+jest.mock('../src/models', () => ({
+  sequelize: {
+    Sequelize: { Op: {} },
+    transaction: jest.fn(async (callback) => callback('tx')),
+    query: jest.fn(),
+  },
+  Wallet: { findByPk: jest.fn() },
+  LedgerAccount: { findOrCreate: jest.fn(), findOne: jest.fn() },
+  JournalEntry: { create: jest.fn() },
+  LedgerPosting: { bulkCreate: jest.fn() },
+}));
+
+const { sequelize, Wallet, LedgerAccount, JournalEntry, LedgerPosting } = require('../src/models');
+const ledgerService = require('../src/services/ledgerService');
+
+const wallet = { id: 'wallet-123' };
+
+// Existing accounts: no opening balance is posted
+const existingAccount = ({ where }) => {
+  const [, , currency] = where.code.split(':');
+  return Promise.resolve([{ id: where.code, code: where.code, currency }, false]);
+};
+
+const postingsByCode = () => Object.fromEntries(
+  LedgerPosting.bulkCreate.mock.calls.at(-1)[0].map(p => [p.account_id, p.amount])
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  LedgerAccount.findOrCreate.mockImplementation(existingAccount);
+  JournalEntry.create.mockImplementation(async (data) => ({ id: 'journal-1', ...data }));
+  LedgerPosting.bulkCreate.mockResolvedValue([]);
+  sequelize.query.mockResolvedValue([undefined, 1]);
+});
+
+describe('ledgerService.post', () => {
+  it('posts a deposit net of fees and credits the wallet balance', async () => {
+    await ledgerService.recordDeposit(wallet, { amount: 1000, fee: 15, reference: 'DEP_1' });
+
+    expect(sequelize.transaction).toHaveBeenCalled();
+    expect(JournalEntry.create).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'deposit', reference: 'DEP_1' }),
+      { transaction: 'tx' }
+    );
+    expect(postingsByCode()).toEqual({
+      'platform:cash:KES': 1000,
+      'wallet:wallet-123:KES': -985,
+      'platform:fees:KES': -15,
+    });
+    expect(sequelize.query).toHaveBeenCalledWith(
+      expect.stringContaining('kes_balance = kes_balance + :delta'),
+      expect.objectContaining({ replacements: { delta: 985, walletId: 'wallet-123', fromFrozen: 0 }, transaction: 'tx' })
+    );
+  });
+
+  it('balances a conversion in each currency separately', async () => {
+    await ledgerService.recordConversion(wallet, {
+      fromCurrency: 'KES', fromAmount: 13000, toCurrency: 'USD', convertedAmount: 100, fee: 1.5, reference: 'CONV_1',
+    });
+
+    expect(postingsByCode()).toEqual({
+      'wallet:wallet-123:KES': 13000,
+      'platform:fx:KES': -13000,
+      'platform:fx:USD': 100,
+      'wallet:wallet-123:USD': -98.5,
+      'platform:fees:USD': -1.5,
+    });
+  });
+
+  it('rejects an unbalanced entry without writing anything', async () => {
+    await expect(ledgerService.post({
+      type: 'adjustment',
+      reference: 'ADJ_1',
+      lines: [
+        { account: ledgerService.walletAccount(wallet, 'KES'), credit: 100 },
+        { account: ledgerService.platformAccount('cash', 'KES'), debit: 90 },
+      ],
+    })).rejects.toMatchObject({ status: 500, message: expect.stringContaining('unbalanced') });
+
+    expect(JournalEntry.create).not.toHaveBeenCalled();
+    expect(sequelize.query).not.toHaveBeenCalled();
+  });
+
+  it('refuses to take a wallet below zero', async () => {
+    sequelize.query.mockResolvedValue([undefined, 0]);
+
+    await expect(ledgerService.recordWithdrawal(wallet, { amount: 500, reference: 'WD_1' }))
+      .rejects.toMatchObject({ status: 400, message: 'Insufficient KES balance' });
+  });
+
+  it('keeps a debit from spending frozen funds unless they were frozen for it', async () => {
+    await ledgerService.recordWithdrawal(wallet, { amount: 500, reference: 'WD_2' });
+
+    expect(sequelize.query).toHaveBeenCalledWith(
+      expect.stringContaining('kes_balance + :delta >= GREATEST(frozen_kes - :fromFrozen, 0)'),
+      expect.objectContaining({ replacements: { delta: -500, walletId: 'wallet-123', fromFrozen: 0 } })
+    );
+
+    await ledgerService.holdPayout(wallet, { amount: 500, reference: 'WD_3' }, { fromFrozen: 500 });
+
+    expect(sequelize.query).toHaveBeenLastCalledWith(
+      expect.any(String),
+      expect.objectContaining({ replacements: { delta: -500, walletId: 'wallet-123', fromFrozen: 500 } })
+    );
+  });
+
+  it('journals a broker fill and posts its commission to platform fees', async () => {
+    await ledgerService.recordBrokerTrade({
+      provider: 'alpaca', side: 'buy', amount: 1000, fee: 10, reference: 'ORDER_1',
+    });
+
+    expect(JournalEntry.create).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'broker_trade', reference: 'ORDER_1', metadata: { provider: 'alpaca', side: 'buy', amount: 1000 } }),
+      { transaction: 'tx' }
+    );
+    expect(postingsByCode()).toEqual({
+      'platform:broker_receivable:USD': 10,
+      'platform:fees:USD': -10,
+    });
+    expect(sequelize.query).not.toHaveBeenCalled();
+  });
+
+  it('opens a new wallet account with its existing cached balance', async () => {
+    LedgerAccount.findOrCreate.mockImplementation(({ where }) => {
+      const [, , currency] = where.code.split(':');
+      return Promise.resolve([{ id: where.code, code: where.code, currency }, where.code.startsWith('wallet:')]);
+    });
+    Wallet.findByPk.mockResolvedValue({ id: 'wallet-123', kes_balance: '250.00' });
+
+    await ledgerService.recordDeposit(wallet, { amount: 100, reference: 'DEP_2' });
+
+    expect(JournalEntry.create).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'opening_balance', reference: 'wallet:wallet-123:KES' }),
+      { transaction: 'tx' }
+    );
+    expect(LedgerPosting.bulkCreate.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ account_id: 'platform:opening_balances:KES', amount: 250 }),
+      expect.objectContaining({ account_id: 'wallet:wallet-123:KES', amount: -250 }),
+    ]);
+  });
+});
+
+describe('ledgerService.verifyWallet', () => {
+  it('reports the difference between cached and ledger balances', async () => {
+    LedgerAccount.findOne.mockImplementation(async ({ where }) => (where.code.endsWith(':KES') ? { id: 'acct-kes' } : null));
+    sequelize.query.mockResolvedValue([{ total: '-900.00' }]);
+
+    const result = await ledgerService.verifyWallet({ id: 'wallet-123', kes_balance: '1000.00', usd_balance: '12.50' });
+
+    expect(result.balanced).toBe(false);
+    expect(result.currencies.KES).toEqual({ cached: 1000, ledger: 900, difference: 100, opened: true });
+    expect(result.currencies.USD).toEqual({ cached: 12.5, ledger: 12.5, difference: 0, opened: false });
+  });
+});
@@ -0,0 +1,220 @@
+jest.mock('../src/models', () => ({
+  MsOrderSaga: { create: jest.fn(), findAll: jest.fn(), findByPk: jest.fn(), findOne: jest.fn(), update: jest.fn() },
+  MsOrder: { update: jest.fn() },
+  User: { update: jest.fn() },
+  Wallet: { findOne: jest.fn() },
+  JournalEntry: { findOne: jest.fn() },
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  depositToSubAccount: jest.fn(),
+  withdrawFromSubAccount: jest.fn(),
+}));
+jest.mock('../src/services/ledgerService', () => ({
+  recordBrokerFunding: jest.fn(),
+  reverseBrokerFunding: jest.fn(),
+}));
+
+const { MsOrderSaga, MsOrder, Wallet, JournalEntry } = require('../src/models');
+const ms = require('../src/services/mystocksService');
+const ledgerService = require('../src/services/ledgerService');
+const msBuySagaService = require('../src/services/msBuySagaService');
+
+const wallet = { id: 'wallet-1', user_id: 'user-1' };
+const now = new Date('2026-10-19T12:00:00Z');
+
+const makeSaga = (overrides = {}) => {
+  const saga = {
+    id: 'saga-1',
+    user_id: 'user-1',
+    ms_order_id: null,
+    status: 'started',
+    symbol: 'SCOM',
+    quantity: '100.000000',
+    sub_account_id: 'ms-sub-1',
+    funding_reference: 'ORDER_user-1_1',
+    total_kes: '2030.00',
+    usd_amount: '15.7050',
+    steps: [],
+    compensation_attempts: 0,
+    next_retry_at: null,
+    funded_at: null,
+    swept_at: null,
+    refunded_at: null,
+    ...overrides,
+  };
+  saga.update = jest.fn(async values => Object.assign(saga, values));
+  return saga;
+};
+
+const runParams = {
+  userId: 'user-1',
+  wallet,
+  subAccountId: 'ms-sub-1',
+  symbol: 'SCOM',
+  quantity: 100,
+  totalKes: 2030,
+  usdAmount: 15.705,
+  exchangeRate: 129.26,
+  fundingReference: 'ORDER_user-1_1',
+  description: 'Fund MyStocks BUY 100 SCOM',
+};
+
+let saga;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  saga = makeSaga();
+  MsOrderSaga.create.mockResolvedValue(saga);
+  Wallet.findOne.mockResolvedValue(wallet);
+  JournalEntry.findOne.mockResolvedValue(null);
+  ledgerService.recordBrokerFunding.mockResolvedValue({});
+  ledgerService.reverseBrokerFunding.mockResolvedValue({});
+  ms.depositToSubAccount.mockResolvedValue({});
+  ms.withdrawFromSubAccount.mockResolvedValue({ newWalletBalance: 0 });
+});
+
+const stepsOf = (s) => s.steps.map(step => `${step.step}:${step.status}`);
+
+describe('msBuySagaService.run', () => {
+  it('debits the wallet, funds the sub-account and places the trade, recording each step', async () => {
+    const placeTrade = jest.fn().mockResolvedValue({ orderId: 'ms-ord-1' });
+
+    const result = await msBuySagaService.run(runParams, placeTrade);
+
+    expect(result.data).toEqual({ orderId: 'ms-ord-1' });
+    expect(ledgerService.recordBrokerFunding).toHaveBeenCalledWith(wallet, expect.objectContaining({ amount: 2030, reference: 'ORDER_user-1_1' }));
+    expect(ms.depositToSubAccount).toHaveBeenCalledWith('ms-sub-1', expect.objectContaining({ amount: 15.705, reference: 'ORDER_user-1_1' }));
+    expect(saga.status).toBe('completed');
+    expect(stepsOf(saga)).toEqual(['debit_wallet:done', 'fund_sub_account:done', 'place_trade:done']);
+  });
+
+  it('sweeps the sub-account and credits the wallet when MyStocks rejects the trade', async () => {
+    const rejection = Object.assign(new Error('Market closed'), { response: { status: 422 } });
+    const error = await msBuySagaService.run(runParams, jest.fn().mockRejectedValue(rejection)).catch(e => e);
+
+    expect(error).toMatchObject({ message: 'Market closed', sagaStep: 'trade', compensated: true });
+    expect(ms.withdrawFromSubAccount).toHaveBeenCalledWith('ms-sub-1', { amount: 15.705, currency: 'USD', reference: 'REFUND_ORDER_user-1_1' });
+    expect(ledgerService.reverseBrokerFunding).toHaveBeenCalledWith(wallet, expect.objectContaining({ amount: 2030, reference: 'ORDER_user-1_1' }));
+    expect(saga.status).toBe('compensated');
+    expect(stepsOf(saga)).toEqual([
+      'debit_wallet:done', 'fund_sub_account:done', 'place_trade:failed',
+      'compensate:started', 'sweep_sub_account:done', 'refund_wallet:done', 'compensate:done',
+    ]);
+  });
+
+  it('leaves the saga stuck without refunding when the trade outcome is unknown', async () => {
+    const timeout = Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' });
+    const error = await msBuySagaService.run(runParams, jest.fn().mockRejectedValue(timeout)).catch(e => e);
+
+    expect(error).toMatchObject({ sagaStep: 'trade', compensated: false, outcomeUnknown: true });
+    expect(ms.withdrawFromSubAccount).not.toHaveBeenCalled();
+    expect(ledgerService.reverseBrokerFunding).not.toHaveBeenCalled();
+    expect(saga.status).toBe('stuck');
+    expect(stepsOf(saga)).toEqual(['debit_wallet:done', 'fund_sub_account:done', 'place_trade:unknown']);
+  });
+
+  it('only credits the wallet when the deposit itself fails', async () => {
+    ms.depositToSubAccount.mockRejectedValue(new Error('master wallet empty'));
+    const placeTrade = jest.fn();
+
+    const error = await msBuySagaService.run(runParams, placeTrade).catch(e => e);
+
+    expect(error).toMatchObject({ sagaStep: 'funding', compensated: true });
+    expect(placeTrade).not.toHaveBeenCalled();
+    expect(ms.withdrawFromSubAccount).not.toHaveBeenCalled();
+    expect(ledgerService.reverseBrokerFunding).toHaveBeenCalled();
+  });
+
+  it('aborts without compensating when the wallet cannot be debited', async () => {
+    ledgerService.recordBrokerFunding.mockRejectedValue(Object.assign(new Error('Insufficient KES balance'), { status: 400 }));
+
+    const error = await msBuySagaService.run(runParams, jest.fn()).catch(e => e);
+
+    expect(error).toMatchObject({ status: 400, sagaStep: 'wallet' });
+    expect(saga.status).toBe('aborted');
+    expect(ms.depositToSubAccount).not.toHaveBeenCalled();
+    expect(ledgerService.reverseBrokerFunding).not.toHaveBeenCalled();
+  });
+});
+
+describe('msBuySagaService.compensate', () => {
+  it('leaves the wallet alone and schedules a retry when the sweep fails', async () => {
+    const funded = makeSaga({ status: 'funded', funded_at: now });
+    ms.withdrawFromSubAccount.mockRejectedValue(new Error('MyStocks unavailable'));
+
+    await msBuySagaService.compensate(funded, 'Market closed');
+
+    expect(ledgerService.reverseBrokerFunding).not.toHaveBeenCalled();
+    expect(funded.status).toBe('compensating');
+    expect(funded.compensation_attempts).toBe(1);
+    expect(funded.next_retry_at).toBeInstanceOf(Date);
+  });
+
+  it('gives up and marks the saga stuck after the last attempt', async () => {
+    const failing = makeSaga({ status: 'compensating', funded_at: now, compensation_attempts: 4 });
+    ms.withdrawFromSubAccount.mockRejectedValue(new Error('MyStocks unavailable'));
+
+    await msBuySagaService.compensate(failing);
+
+    expect(failing.status).toBe('stuck');
+    expect(failing.next_retry_at).toBeNull();
+  });
+
+  it('resumes after an earlier sweep and does not credit the wallet twice', async () => {
+    const resumed = makeSaga({ status: 'compensating', funded_at: now, swept_at: now, ms_order_id: 'order-1' });
+    JournalEntry.findOne.mockResolvedValue({ created_at: now });
+
+    await msBuySagaService.compensate(resumed);
+
+    expect(ms.withdrawFromSubAccount).not.toHaveBeenCalled();
+    expect(ledgerService.reverseBrokerFunding).not.toHaveBeenCalled();
+    expect(resumed.status).toBe('compensated');
+    expect(resumed.refunded_at).toBe(now);
+    expect(MsOrder.update).toHaveBeenCalledWith({ refunded_at: now }, { where: { id: 'order-1', refunded_at: null } });
+  });
+});
+
+describe('msBuySagaService.retryCompensations', () => {
+  it('retries due compensations it can claim and flags interrupted sagas', async () => {
+    const due = makeSaga({ id: 'saga-due', status: 'compensating', next_retry_at: now });
+    const notStarted = makeSaga({ id: 'saga-started', status: 'started' });
+    const midTrade = makeSaga({ id: 'saga-funded', status: 'funded', funded_at: now });
+    MsOrderSaga.findAll.mockResolvedValueOnce([due]).mockResolvedValueOnce([notStarted, midTrade]);
+    MsOrderSaga.update.mockResolvedValue([1]);
+
+    const result = await msBuySagaService.retryCompensations(now);
+
+    expect(result).toEqual({ retried: 1, interrupted: 2 });
+    expect(due.status).toBe('compensated');
+    expect(notStarted.status).toBe('aborted');
+    expect(midTrade.status).toBe('stuck');
+    // Interrupted sagas are never compensated automatically
+    expect(ms.withdrawFromSubAccount).not.toHaveBeenCalled();
+  });
+});
+
+describe('msBuySagaService admin actions', () => {
+  it('compensates a stuck saga on request and refuses finished ones', async () => {
+    const stuck = makeSaga({ status: 'stuck', funded_at: now, compensation_attempts: 5 });
+    MsOrderSaga.findByPk.mockResolvedValueOnce(stuck);
+
+    await msBuySagaService.compensateById('saga-1', { adminId: 'admin-1' });
+    expect(stuck.status).toBe('compensated');
+    expect(stuck.steps[0]).toMatchObject({ step: 'compensate', status: 'requested', adminId: 'admin-1' });
+
+    MsOrderSaga.findByPk.mockResolvedValueOnce(makeSaga({ status: 'completed' }));
+    await expect(msBuySagaService.compensateById('saga-1', { adminId: 'admin-1' })).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('resolves an open saga with a note', async () => {
+    const stuck = makeSaga({ status: 'stuck' });
+    MsOrderSaga.findByPk.mockResolvedValueOnce(stuck);
+
+    await msBuySagaService.resolve('saga-1', { adminId: 'admin-1', note: 'Trade filled at MyStocks' });
+
+    expect(stuck).toMatchObject({ status: 'resolved', resolved_by: 'admin-1', resolution_note: 'Trade filled at MyStocks' });
+
+    MsOrderSaga.findByPk.mockResolvedValueOnce(null);
+    await expect(msBuySagaService.resolve('saga-9', { adminId: 'admin-1', note: 'x' })).rejects.toMatchObject({ status: 404 });
+  });
+});
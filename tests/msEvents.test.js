@@ -0,0 +1,207 @@
+jest.mock('../src/models', () => ({
+  MsOrder: { findOne: jest.fn() },
+  User: { findOne: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+  Wallet: { findOne: jest.fn() },
+  Transaction: { findOrCreate: jest.fn() },
+  JournalEntry: { findOne: jest.fn() },
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  withdrawFromSubAccount: jest.fn(),
+}));
+jest.mock('../src/services/ledgerService', () => ({
+  reverseBrokerFunding: jest.fn(),
+}));
+jest.mock('../src/services/msBuySagaService', () => ({
+  findByReference: jest.fn().mockResolvedValue(null),
+  compensate: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(0.00065),
+}));
+jest.mock('../src/services/realtimeNotificationService', () => ({
+  sendOrderNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendToUser: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const { MsOrder, User, Wallet, Transaction, JournalEntry } = require('../src/models');
+const ms = require('../src/services/mystocksService');
+const ledgerService = require('../src/services/ledgerService');
+const msBuySagaService = require('../src/services/msBuySagaService');
+const realtimeNotificationService = require('../src/services/realtimeNotificationService');
+const msEventService = require('../src/services/msEventService');
+
+const wallet = { id: 'wallet-1', user_id: 'user-1' };
+
+const makeOrder = (overrides = {}) => {
+  const order = {
+    id: 'order-1',
+    user_id: 'user-1',
+    order_id: 'ms-ord-1',
+    symbol: 'SCOM',
+    side: 'BUY',
+    quantity: '100.000000',
+    currency: 'KES',
+    status: 'PENDING',
+    local_price: null,
+    fee_usd: null,
+    total_cost_usd: null,
+    funding_reference: 'ORDER_user-1_1',
+    funded_kes: '2030.00',
+    funded_usd: '15.7050',
+    refunded_at: null,
+    ...overrides,
+  };
+  order.update = jest.fn(async values => Object.assign(order, values));
+  return order;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Wallet.findOne.mockResolvedValue(wallet);
+  Transaction.findOrCreate.mockImplementation(async ({ where, defaults }) => [{ id: 'txn-1', ...where, ...defaults }, true]);
+  JournalEntry.findOne.mockResolvedValue(null);
+});
+
+describe('msEventService.tradeSettled', () => {
+  it('settles the order, updates the sub-account balance, records the trade and notifies the user', async () => {
+    const order = makeOrder();
+    MsOrder.findOne.mockResolvedValue(order);
+
+    await msEventService.tradeSettled({
+      orderId: 'ms-ord-1', symbol: 'SCOM', type: 'BUY', quantity: 100,
+      localPrice: 20, usdPrice: 0.1547, gross: 15.47, fee: 0.23, totalCost: 15.70, newWalletBalance: 0.0050,
+    });
+
+    expect(MsOrder.findOne).toHaveBeenCalledWith({ where: { order_id: 'ms-ord-1' } });
+    expect(order.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'SETTLED', local_price: 20, total_cost_usd: 15.70 }));
+    expect(User.update).toHaveBeenCalledWith({ mystocks_wallet_balance: 0.005 }, { where: { id: 'user-1' } });
+    expect(Transaction.findOrCreate).toHaveBeenCalledWith({
+      where: { reference: 'MSORDER_order-1' },
+      defaults: expect.objectContaining({ wallet_id: 'wallet-1', type: 'trade_buy', amount: -15.70, currency: 'USD', status: 'completed' }),
+    });
+    expect(Transaction.findOrCreate).toHaveBeenCalledWith({
+      where: { reference: 'MSFEE_order-1' },
+      defaults: expect.objectContaining({ type: 'fee', amount: -0.23 }),
+    });
+    expect(realtimeNotificationService.sendOrderNotification).toHaveBeenCalledWith('user-1', expect.objectContaining({ id: 'order-1', status: 'SETTLED', fill_price: 20 }));
+  });
+
+  it('ignores an order that is already settled', async () => {
+    const order = makeOrder({ status: 'SETTLED' });
+    MsOrder.findOne.mockResolvedValue(order);
+
+    await msEventService.tradeSettled({ orderId: 'ms-ord-1' });
+
+    expect(order.update).not.toHaveBeenCalled();
+    expect(Transaction.findOrCreate).not.toHaveBeenCalled();
+  });
+});
+
+describe('msEventService.tradeRejected', () => {
+  it('rejects a funded BUY and moves its funding back to the KES wallet', async () => {
+    const order = makeOrder();
+    MsOrder.findOne.mockResolvedValue(order);
+    User.findByPk.mockResolvedValue({ id: 'user-1', mystocks_sub_account_id: 'ms-sub-1' });
+    ms.withdrawFromSubAccount.mockResolvedValue({ newWalletBalance: 0 });
+
+    await msEventService.tradeRejected({ orderId: 'ms-ord-1', rejectionReason: 'Market closed' });
+
+    expect(order.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'REJECTED', rejection_reason: 'Market closed' }));
+    expect(ms.withdrawFromSubAccount).toHaveBeenCalledWith('ms-sub-1', { amount: 15.705, currency: 'USD', reference: 'REFUND_ORDER_user-1_1' });
+    expect(ledgerService.reverseBrokerFunding).toHaveBeenCalledWith(wallet, expect.objectContaining({ amount: 2030, reference: 'ORDER_user-1_1' }));
+    expect(order.refunded_at).toBeInstanceOf(Date);
+    expect(User.update).toHaveBeenCalledWith({ mystocks_wallet_balance: 0 }, { where: { id: 'user-1' } });
+    expect(realtimeNotificationService.sendOrderNotification).toHaveBeenCalledWith('user-1', expect.objectContaining({ status: 'REJECTED' }));
+  });
+
+  it('does not refund twice when the wallet was already credited back', async () => {
+    const order = makeOrder({ status: 'REJECTED' });
+    MsOrder.findOne.mockResolvedValue(order);
+    JournalEntry.findOne.mockResolvedValue({ created_at: new Date('2026-10-19T10:00:00Z') });
+
+    await msEventService.tradeRejected({ orderId: 'ms-ord-1' });
+
+    expect(ms.withdrawFromSubAccount).not.toHaveBeenCalled();
+    expect(ledgerService.reverseBrokerFunding).not.toHaveBeenCalled();
+    expect(order.update).toHaveBeenCalledWith({ refunded_at: new Date('2026-10-19T10:00:00Z') });
+    expect(realtimeNotificationService.sendOrderNotification).not.toHaveBeenCalled();
+  });
+
+  it('hands a BUY funded through a saga to the saga for compensation', async () => {
+    const order = makeOrder();
+    const saga = { id: 'saga-1', status: 'completed', refunded_at: null };
+    MsOrder.findOne.mockResolvedValue(order);
+    msBuySagaService.findByReference.mockResolvedValueOnce(saga);
+    msBuySagaService.compensate.mockImplementationOnce(async s => Object.assign(s, { status: 'compensated', refunded_at: new Date('2026-10-19T10:00:00Z') }));
+
+    await msEventService.tradeRejected({ orderId: 'ms-ord-1', rejectionReason: 'Market closed' });
+
+    expect(msBuySagaService.findByReference).toHaveBeenCalledWith('ORDER_user-1_1');
+    expect(msBuySagaService.compensate).toHaveBeenCalledWith(saga, 'Rejected by MyStocks: Market closed');
+    expect(ms.withdrawFromSubAccount).not.toHaveBeenCalled();
+    expect(order.update).toHaveBeenCalledWith({ refunded_at: new Date('2026-10-19T10:00:00Z') });
+  });
+
+  it('leaves the wallet alone when the sub-account withdrawal fails', async () => {
+    MsOrder.findOne.mockResolvedValue(makeOrder());
+    User.findByPk.mockResolvedValue({ id: 'user-1', mystocks_sub_account_id: 'ms-sub-1' });
+    ms.withdrawFromSubAccount.mockRejectedValue(new Error('MyStocks unavailable'));
+
+    await expect(msEventService.tradeRejected({ orderId: 'ms-ord-1' })).rejects.toThrow('MyStocks unavailable');
+    expect(ledgerService.reverseBrokerFunding).not.toHaveBeenCalled();
+  });
+});
+
+describe('msEventService sub-account events', () => {
+  beforeEach(() => {
+    User.findOne.mockResolvedValue({ id: 'user-1' });
+  });
+
+  it('records a confirmed withdrawal as a negative USD transaction', async () => {
+    await msEventService.withdrawConfirmed({ subAccountId: 'ms-sub-1', amount: 50, reference: 'WD-9', newWalletBalance: 10 });
+
+    expect(User.findOne).toHaveBeenCalledWith({ where: { mystocks_sub_account_id: 'ms-sub-1' }, attributes: ['id'] });
+    expect(User.update).toHaveBeenCalledWith({ mystocks_wallet_balance: 10 }, { where: { id: 'user-1' } });
+    expect(Transaction.findOrCreate).toHaveBeenCalledWith({
+      where: { reference: 'MSWDR_WD-9' },
+      defaults: expect.objectContaining({ type: 'withdrawal', amount: -50, currency: 'USD', tracking_only: true }),
+    });
+  });
+
+  it('stores an amount in another currency in USD, keeping the local amount', async () => {
+    await msEventService.dividendPaid({
+      id: 'div-2', subAccountId: 'ms-sub-1', symbol: 'DANGCEM', amount: 10000, currency: 'NGN', paymentDate: '2026-08-20',
+    });
+
+    expect(Transaction.findOrCreate).toHaveBeenCalledWith({
+      where: { reference: 'MSDIV_div-2' },
+      defaults: expect.objectContaining({
+        type: 'dividend', amount: 6.5, currency: 'USD', tracking_only: true,
+        metadata: expect.objectContaining({ localAmount: 10000, localCurrency: 'NGN', localToUsdRate: 0.00065 }),
+      }),
+    });
+    expect(realtimeNotificationService.sendToUser).toHaveBeenCalledWith('user-1', 'dividend_paid', expect.objectContaining({ amount: 10000, currency: 'NGN' }), expect.anything());
+  });
+
+  it('records a dividend and notifies the user', async () => {
+    await msEventService.dividendPaid({
+      id: 'div-1', subAccountId: 'ms-sub-1', symbol: 'SCOM', amount: 1.2, currency: 'USD', dividendPerShare: 0.012, shares: 100,
+    });
+
+    expect(Transaction.findOrCreate).toHaveBeenCalledWith({
+      where: { reference: 'MSDIV_div-1' },
+      defaults: expect.objectContaining({
+        type: 'dividend', amount: 1.2, currency: 'USD',
+        metadata: expect.objectContaining({ symbol: 'SCOM', shares: 100, dividendPerShare: 0.012 }),
+      }),
+    });
+    expect(realtimeNotificationService.sendToUser).toHaveBeenCalledWith('user-1', 'dividend_paid', expect.objectContaining({ symbol: 'SCOM', amount: 1.2 }), expect.anything());
+  });
+
+  it('ignores events for sub-accounts we do not know', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    expect(await msEventService.depositConfirmed({ subAccountId: 'unknown', amount: 10, reference: 'D-1' })).toBeNull();
+    expect(Transaction.findOrCreate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,253 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+jest.mock('../src/services/alpacaService', () => ({
+  getAssets: jest.fn(),
+  getAsset: jest.fn(),
+  getLatestQuote: jest.fn(),
+  getBars: jest.fn(),
+  createOrder: jest.fn(),
+  getOrders: jest.fn(),
+  getOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+  getMostActiveStocks: jest.fn(),
+  getTopMovers: jest.fn(),
+  searchAssets: jest.fn(),
+  getCompanyLogo: jest.fn((sym) => `https://logo/${sym}`),
+  getMarketStatus: jest.fn(),
+  getNews: jest.fn(),
+  getAccount: jest.fn(),
+  getPositions: jest.fn(),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getStocks: jest.fn(),
+  getStockBySlug: jest.fn(),
+  getStockPulse: jest.fn(),
+  buildStockSlug: jest.fn(),
+  getWallet: jest.fn(),
+  placeTrade: jest.fn(),
+  depositToSubAccount: jest.fn(),
+  getOrders: jest.fn(),
+  createSubAccount: jest.fn(),
+  getSubAccount: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(129.26),
+  convertCurrency: jest.fn().mockResolvedValue({ convertedAmount: 129.26, rate: 129.26 }),
+  getCurrentRates: jest.fn().mockResolvedValue({ rates: { USD_KES: 129.26 } }),
+}));
+jest.mock('../src/config/redis', () => {
+  const mockQuit = jest.fn().mockResolvedValue(undefined);
+  const mockClient = { quit: mockQuit, subscribe: jest.fn(), on: jest.fn(), disconnect: jest.fn() };
+  const mockPub = { quit: mockQuit, on: jest.fn() };
+  const mockSub = { quit: mockQuit, subscribe: jest.fn().mockResolvedValue(undefined), psubscribe: jest.fn().mockResolvedValue(undefined), on: jest.fn() };
+  return {
+    initialize: jest.fn(),
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    del: jest.fn().mockResolvedValue(1),
+    client: mockClient,
+    publisher: mockPub,
+    subscriber: mockSub,
+    getClient: jest.fn().mockReturnValue(mockClient),
+    getPublisher: jest.fn().mockReturnValue(mockPub),
+    getSubscriber: jest.fn().mockReturnValue(mockSub),
+    isConnected: false,
+  };
+});
+jest.mock('../src/middleware/auth', () => ({
+  auth: (req, _res, next) => {
+    req.user = { id: 'test-user-id', email: 'test@example.com', account_mode: 'real' };
+    next();
+  },
+  requireKYCOrMyStocks: (_req, _res, next) => next(),
+  requireKYC: (_req, _res, next) => next(),
+  authorize: () => (_req, _res, next) => next(),
+  requireBiometric: (_req, _res, next) => next(),
+  requirePin: (_req, _res, next) => next(),
+  adminAuth: (_req, _res, next) => next(),
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+jest.mock('../src/middleware/checkAccountStatus', () => ({
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+
+jest.mock('../src/models', () => ({
+  User: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn().mockResolvedValue([1]),
+  },
+  Order: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    findAndCountAll: jest.fn(),
+    update: jest.fn().mockResolvedValue([2]),
+    sequelize: { Sequelize: { Op: { notIn: Symbol('notIn') } } },
+  },
+  DemoOrder: { findAll: jest.fn().mockResolvedValue([]), create: jest.fn() },
+  MsOrder: { create: jest.fn(), findAll: jest.fn(), findOne: jest.fn(), findAndCountAll: jest.fn(), update: jest.fn() },
+  Wallet: { findOne: jest.fn().mockResolvedValue({ id: 'wallet-123', kes_balance: 0, usd_balance: 0, frozen_kes: 0, frozen_usd: 0 }) },
+  Transaction: { findAll: jest.fn().mockResolvedValue([]), create: jest.fn() },
+  sequelize: { Sequelize: { Op: {} } },
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendTransactionEmail: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/services/realtimeNotificationService', () => ({
+  initialize: jest.fn().mockResolvedValue(undefined),
+  sendOrderNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendPriceAlert: jest.fn().mockResolvedValue({ success: true }),
+  sendToUser: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const alpacaService = require('../src/services/alpacaService');
+const { User, Order } = require('../src/models');
+
+let createdOrders;
+
+const makeOrder = (data) => {
+  const order = {
+    id: `order-${createdOrders.length + 1}`,
+    createdAt: new Date().toISOString(),
+    ...data,
+  };
+  order.update = jest.fn(async (updates) => Object.assign(order, updates));
+  order.updateFromAlpaca = jest.fn(async (alpacaOrder) => Object.assign(order, {
+    alpaca_order_id: alpacaOrder.id,
+    status: alpacaOrder.status,
+  }));
+  createdOrders.push(order);
+  return order;
+};
+
+const bracketResponse = {
+  id: 'alp-parent',
+  status: 'accepted',
+  legs: [
+    { id: 'alp-tp', client_order_id: 'tp-1', side: 'sell', type: 'limit', qty: '10', limit_price: '220', time_in_force: 'gtc', status: 'held' },
+    { id: 'alp-sl', client_order_id: 'sl-1', side: 'sell', type: 'stop', qty: '10', stop_price: '180', time_in_force: 'gtc', status: 'held' },
+  ],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  createdOrders = [];
+  User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'real', alpaca_account_id: 'alp-123' });
+  alpacaService.getAccount.mockResolvedValue({ cash: '10000' });
+  alpacaService.getLatestQuote.mockResolvedValue({ ap: 200, bp: 199.9 });
+  Order.create.mockImplementation(async (data) => makeOrder(data));
+});
+
+describe('POST /api/v1/orders (advanced order classes)', () => {
+  it('places a bracket order and records both exit legs as child orders', async () => {
+    alpacaService.createOrder.mockResolvedValue(bracketResponse);
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({
+        symbol: 'AAPL', side: 'buy', type: 'market', qty: 10, time_in_force: 'gtc',
+        order_class: 'bracket', take_profit: { limit_price: 220 }, stop_loss: { stop_price: 180 },
+      });
+
+    expect(res.status).toBe(201);
+    expect(alpacaService.createOrder).toHaveBeenCalledWith(expect.objectContaining({
+      orderClass: 'bracket',
+      takeProfit: { limitPrice: 220 },
+      stopLoss: expect.objectContaining({ stopPrice: 180 }),
+    }));
+
+    const [parent, takeProfit, stopLoss] = createdOrders;
+    expect(parent.order_class).toBe('bracket');
+    expect(takeProfit).toEqual(expect.objectContaining({ parent_order_id: parent.id, leg_type: 'take_profit', alpaca_order_id: 'alp-tp', status: 'held' }));
+    expect(stopLoss).toEqual(expect.objectContaining({ parent_order_id: parent.id, leg_type: 'stop_loss', alpaca_order_id: 'alp-sl' }));
+    expect(res.body.order.legs).toHaveLength(2);
+  });
+
+  it('budgets the larger exit-leg commission in the bracket cost breakdown', async () => {
+    alpacaService.createOrder.mockResolvedValue(bracketResponse);
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({
+        symbol: 'AAPL', side: 'buy', type: 'market', qty: 10, time_in_force: 'day',
+        order_class: 'bracket', take_profit: { limit_price: 220 }, stop_loss: { stop_price: 180 },
+      });
+
+    expect(res.status).toBe(201);
+    const { fees } = createdOrders[0];
+    const rate = fees.commission.rate;
+    expect(fees.legs.map(l => l.legType)).toEqual(['take_profit', 'stop_loss']);
+    expect(fees.legCommission.amountUsd).toBeCloseTo(2200 * rate);
+    expect(fees.totalCostUsd).toBeCloseTo(2000 + 2000 * rate + 2200 * rate);
+    expect(res.body.costBreakdown.exitCommission.usd).toBeCloseTo(2200 * rate);
+  });
+
+  it('prices an OCO from its take-profit limit', async () => {
+    alpacaService.createOrder.mockResolvedValue({
+      id: 'alp-oco',
+      status: 'new',
+      legs: [{ id: 'alp-oco-sl', side: 'sell', type: 'stop', qty: '10', stop_price: '180', status: 'held' }],
+    });
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({
+        symbol: 'AAPL', side: 'sell', type: 'limit', qty: 10, time_in_force: 'gtc',
+        order_class: 'oco', take_profit: { limit_price: 220 }, stop_loss: { stop_price: 180 },
+      });
+
+    expect(res.status).toBe(201);
+    expect(createdOrders[0].order_value).toBe(2200);
+    expect(createdOrders[0].fees.legCommission.amountUsd).toBe(0);
+    expect(createdOrders).toHaveLength(2);
+  });
+
+  it('rejects a bracket without a stop-loss leg', async () => {
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', side: 'buy', type: 'market', qty: 10, time_in_force: 'day', order_class: 'bracket', take_profit: { limit_price: 220 } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/stop_loss/);
+    expect(alpacaService.createOrder).not.toHaveBeenCalled();
+  });
+
+  it('rejects an OTO with both exit legs', async () => {
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({
+        symbol: 'AAPL', side: 'buy', type: 'limit', limit_price: 195, qty: 10, time_in_force: 'day',
+        order_class: 'oto', take_profit: { limit_price: 220 }, stop_loss: { stop_price: 180 },
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/exactly one/);
+  });
+});
+
+describe('DELETE /api/v1/orders/:orderId (advanced order classes)', () => {
+  it('marks open legs canceled along with the bracket parent', async () => {
+    const parent = makeOrder({ id: 'parent-1', user_id: 'test-user-id', alpaca_order_id: 'alp-parent', side: 'sell', order_class: 'bracket', parent_order_id: null, isCompleted: false });
+    Order.findOne.mockResolvedValue(parent);
+    alpacaService.cancelOrder.mockResolvedValue({});
+
+    const res = await request(app)
+      .delete('/api/v1/orders/parent-1')
+      .set('Authorization', 'Bearer test');
+
+    expect(res.status).toBe(200);
+    expect(Order.update).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'canceled' }),
+      { where: expect.objectContaining({ parent_order_id: 'parent-1' }) }
+    );
+  });
+});
@@ -0,0 +1,257 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+jest.mock('../src/services/alpacaService', () => ({
+  getAssets: jest.fn(),
+  getAsset: jest.fn(),
+  getLatestQuote: jest.fn(),
+  getBars: jest.fn(),
+  createOrder: jest.fn(),
+  getOrders: jest.fn(),
+  getOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+  getMostActiveStocks: jest.fn(),
+  getTopMovers: jest.fn(),
+  searchAssets: jest.fn(),
+  getCompanyLogo: jest.fn((sym) => `https://logo/${sym}`),
+  getMarketStatus: jest.fn(),
+  getNews: jest.fn(),
+  getAccount: jest.fn(),
+  getPositions: jest.fn(),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getStocks: jest.fn(),
+  getStockBySlug: jest.fn(),
+  getStockPulse: jest.fn(),
+  buildStockSlug: jest.fn(),
+  getWallet: jest.fn(),
+  placeTrade: jest.fn(),
+  depositToSubAccount: jest.fn(),
+  getOrders: jest.fn(),
+  createSubAccount: jest.fn(),
+  getSubAccount: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(129.26),
+  convertCurrency: jest.fn().mockResolvedValue({ convertedAmount: 129.26, rate: 129.26 }),
+  getCurrentRates: jest.fn().mockResolvedValue({ rates: { USD_KES: 129.26 } }),
+}));
+jest.mock('../src/config/redis', () => {
+  const mockQuit = jest.fn().mockResolvedValue(undefined);
+  const mockClient = { quit: mockQuit, subscribe: jest.fn(), on: jest.fn(), disconnect: jest.fn() };
+  const mockPub = { quit: mockQuit, on: jest.fn() };
+  const mockSub = { quit: mockQuit, subscribe: jest.fn().mockResolvedValue(undefined), psubscribe: jest.fn().mockResolvedValue(undefined), on: jest.fn() };
+  return {
+    initialize: jest.fn(),
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    del: jest.fn().mockResolvedValue(1),
+    client: mockClient,
+    publisher: mockPub,
+    subscriber: mockSub,
+    getClient: jest.fn().mockReturnValue(mockClient),
+    getPublisher: jest.fn().mockReturnValue(mockPub),
+    getSubscriber: jest.fn().mockReturnValue(mockSub),
+    isConnected: false,
+  };
+});
+jest.mock('../src/middleware/auth', () => ({
+  auth: (req, _res, next) => {
+    req.user = { id: 'test-user-id', email: 'test@example.com', account_mode: 'real' };
+    next();
+  },
+  requireKYCOrMyStocks: (_req, _res, next) => next(),
+  requireKYC: (_req, _res, next) => next(),
+  authorize: () => (_req, _res, next) => next(),
+  requireBiometric: (_req, _res, next) => next(),
+  requirePin: (_req, _res, next) => next(),
+  adminAuth: (_req, _res, next) => next(),
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+jest.mock('../src/middleware/checkAccountStatus', () => ({
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+
+jest.mock('../src/models', () => ({
+  User: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn().mockResolvedValue([1]),
+  },
+  Order: { create: jest.fn(), findOne: jest.fn(), findAndCountAll: jest.fn() },
+  DemoOrder: {
+    findAll: jest.fn().mockResolvedValue([]),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  MsOrder: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findAndCountAll: jest.fn(),
+    update: jest.fn(),
+  },
+  MsOrderSaga: {
+    create: jest.fn(async values => ({ id: 'saga-1', ...values, update: jest.fn(async function (v) { return Object.assign(this, v); }) })),
+  },
+  Wallet: { findOne: jest.fn().mockResolvedValue({ id: 'wallet-123', kes_balance: 0, usd_balance: 0, frozen_kes: 0, frozen_usd: 0 }) },
+  Transaction: { findAll: jest.fn().mockResolvedValue([]), create: jest.fn() },
+  sequelize: { Sequelize: { Op: {} } },
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendTransactionEmail: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/services/realtimeNotificationService', () => ({
+  initialize: jest.fn().mockResolvedValue(undefined),
+  sendOrderNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendPriceAlert: jest.fn().mockResolvedValue({ success: true }),
+  sendToUser: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/utils/ensureMyStocksAccount', () => ({
+  ensureMyStocksSubAccount: jest.fn().mockResolvedValue('ms-sub-123'),
+}));
+
+jest.mock('../src/services/ledgerService', () => ({
+  recordBrokerFunding: jest.fn().mockResolvedValue({}),
+  reverseBrokerFunding: jest.fn().mockResolvedValue({}),
+}));
+
+const alpacaService = require('../src/services/alpacaService');
+const ms = require('../src/services/mystocksService');
+const { convertNotional, notionalToQuantity } = require('../src/utils/notional');
+const { User, Order, DemoOrder, MsOrder, Wallet } = require('../src/models');
+const ledgerService = require('../src/services/ledgerService');
+
+const withUpdate = (row) => {
+  row.update = jest.fn(async (updates) => Object.assign(row, updates));
+  return row;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'real', alpaca_account_id: 'alp-123' });
+  ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', name: 'Safaricom PLC', exchange: 'NSE', price: 20, usdPrice: 0.155, currency: 'KES' }]);
+  alpacaService.getAccount.mockResolvedValue({ cash: '10000' });
+  alpacaService.getLatestQuote.mockResolvedValue({ ap: 200, bp: 199.9 });
+});
+
+describe('notional helpers', () => {
+  it('converts KES amounts to USD and rounds fractional shares down', () => {
+    expect(convertNotional(1000, 'kes', 129.26)).toEqual({ amount: 1000, currency: 'KES', usd: 7.74, kes: 1000 });
+    expect(convertNotional(10, 'USD', 129.26)).toEqual({ amount: 10, currency: 'USD', usd: 10, kes: 1292.6 });
+    expect(notionalToQuantity(100, 30)).toBe(3.3333);
+  });
+});
+
+describe('POST /api/v1/orders (notional, US equities)', () => {
+  it('sends a KES amount to Alpaca as a USD notional order', async () => {
+    alpacaService.createOrder.mockResolvedValue({ id: 'alp-notional', status: 'accepted' });
+    Order.create.mockImplementation(async (data) => withUpdate({
+      id: 'order-1',
+      ...data,
+      updateFromAlpaca: jest.fn().mockResolvedValue(undefined),
+    }));
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', side: 'buy', type: 'market', notional: 1000, notional_currency: 'KES', time_in_force: 'day' });
+
+    expect(res.status).toBe(201);
+    expect(alpacaService.createOrder).toHaveBeenCalledWith(expect.objectContaining({ orderType: 'market', notional: 7.74 }));
+    const created = Order.create.mock.calls[0][0];
+    expect(created).toEqual(expect.objectContaining({ notional: 7.74, order_value: 7.74 }));
+    expect(created.quantity).toBeCloseTo(7.74 / 200, 6);
+    expect(created.fees.commission.amountUsd).toBeCloseTo(7.74 * created.fees.commission.rate);
+    expect(created.metadata).toEqual(expect.objectContaining({ notional_amount: 1000, notional_currency: 'KES' }));
+  });
+
+  it('rejects a notional limit order', async () => {
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', side: 'buy', type: 'limit', limit_price: 190, notional: 50, time_in_force: 'day' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/market/);
+    expect(alpacaService.createOrder).not.toHaveBeenCalled();
+  });
+
+  it('rejects an order with both qty and notional', async () => {
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', side: 'buy', type: 'market', qty: 1, notional: 50, time_in_force: 'day' });
+
+    expect(res.status).toBe(400);
+    expect(Order.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/v1/orders (notional, African exchanges)', () => {
+  it('buys the fractional quantity the KES amount covers on MyStocks', async () => {
+    Wallet.findOne.mockResolvedValue({ id: 'wallet-123', kes_balance: 5000, frozen_kes: 0, update: jest.fn().mockResolvedValue(undefined) });
+    ms.depositToSubAccount.mockResolvedValue({});
+    ms.placeTrade.mockResolvedValue({ orderId: 'ms-1', localPrice: 20, status: 'FILLED' });
+    MsOrder.create.mockResolvedValue({});
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'NSE', side: 'buy', notional: 1000, notional_currency: 'KES' });
+
+    expect(res.status).toBe(202);
+    expect(ms.placeTrade).toHaveBeenCalledWith('ms-sub-123', { symbol: 'SCOM', type: 'BUY', quantity: 50 });
+    expect(ledgerService.recordBrokerFunding).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'wallet-123' }),
+      expect.objectContaining({ amount: 1015 })
+    );
+    expect(res.body.notional).toEqual(expect.objectContaining({ amount: 1000, currency: 'KES' }));
+  });
+
+  it('sizes a notional order on a non-KES exchange from the USD price', async () => {
+    ms.getStocks.mockResolvedValue([{ symbol: 'DANGCEM', exchange: 'NGX', price: 480, usdPrice: 0.3, currency: 'NGN' }]);
+
+    // KES 1,000 is USD 7.74 at 129.26
+    const res = await request(app)
+      .post('/api/v1/orders/preview')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'DANGCEM', exchange: 'NGX', side: 'buy', notional: 1000, notional_currency: 'KES' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.preview.quantity).toBe(25.8);
+  });
+});
+
+describe('POST /api/v1/paper-trading/trade (notional)', () => {
+  it('fills a USD amount as a fractional paper trade with the platform fee', async () => {
+    const user = withUpdate({ id: 'test-user-id', demo_balance: '1000' });
+    User.findByPk.mockResolvedValue(user);
+    DemoOrder.create.mockResolvedValue({});
+
+    const res = await request(app)
+      .post('/api/v1/paper-trading/trade')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', side: 'BUY', notional: 100, notional_currency: 'USD' });
+
+    expect(res.status).toBe(201);
+    expect(DemoOrder.create).toHaveBeenCalledWith(expect.objectContaining({ quantity: 0.5, gross_usd: 100, fee_usd: 1.5 }));
+    expect(user.demo_balance).toBeCloseTo(1000 - 101.5);
+  });
+
+  it('rejects an amount too small for a fraction of a share', async () => {
+    User.findByPk.mockResolvedValue(withUpdate({ id: 'test-user-id', demo_balance: '1000' }));
+
+    const res = await request(app)
+      .post('/api/v1/paper-trading/trade')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', side: 'BUY', notional: 0.01 });
+
+    expect(res.status).toBe(400);
+    expect(DemoOrder.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,239 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+jest.mock('../src/services/alpacaService', () => ({
+  getAssets: jest.fn(),
+  getAsset: jest.fn(),
+  getLatestQuote: jest.fn(),
+  getBars: jest.fn(),
+  createOrder: jest.fn(),
+  getOrders: jest.fn(),
+  getOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+  getMostActiveStocks: jest.fn(),
+  getTopMovers: jest.fn(),
+  searchAssets: jest.fn(),
+  getCompanyLogo: jest.fn((sym) => `https://logo/${sym}`),
+  getMarketStatus: jest.fn(),
+  getNews: jest.fn(),
+  getAccount: jest.fn(),
+  getPositions: jest.fn(),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getStocks: jest.fn(),
+  getStockBySlug: jest.fn(),
+  getStockPulse: jest.fn(),
+  buildStockSlug: jest.fn(),
+  getWallet: jest.fn(),
+  placeTrade: jest.fn(),
+  depositToSubAccount: jest.fn(),
+  getOrders: jest.fn(),
+  createSubAccount: jest.fn(),
+  getSubAccount: jest.fn(),
+  getPortfolio: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(129.26),
+  convertCurrency: jest.fn().mockResolvedValue({ convertedAmount: 129.26, rate: 129.26 }),
+  getCurrentRates: jest.fn().mockResolvedValue({ rates: { USD_KES: 129.26 } }),
+}));
+jest.mock('../src/config/redis', () => {
+  const mockQuit = jest.fn().mockResolvedValue(undefined);
+  const mockClient = { quit: mockQuit, subscribe: jest.fn(), on: jest.fn(), disconnect: jest.fn() };
+  const mockPub = { quit: mockQuit, on: jest.fn() };
+  const mockSub = { quit: mockQuit, subscribe: jest.fn().mockResolvedValue(undefined), psubscribe: jest.fn().mockResolvedValue(undefined), on: jest.fn() };
+  return {
+    initialize: jest.fn(),
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    del: jest.fn().mockResolvedValue(1),
+    client: mockClient,
+    publisher: mockPub,
+    subscriber: mockSub,
+    getClient: jest.fn().mockReturnValue(mockClient),
+    getPublisher: jest.fn().mockReturnValue(mockPub),
+    getSubscriber: jest.fn().mockReturnValue(mockSub),
+    isConnected: false,
+  };
+});
+jest.mock('../src/middleware/auth', () => ({
+  auth: (req, _res, next) => {
+    req.user = { id: 'test-user-id', email: 'test@example.com', account_mode: 'real' };
+    next();
+  },
+  requireKYCOrMyStocks: (_req, _res, next) => next(),
+  requireKYC: (_req, _res, next) => next(),
+  authorize: () => (_req, _res, next) => next(),
+  requireBiometric: (_req, _res, next) => next(),
+  requirePin: (_req, _res, next) => next(),
+  adminAuth: (_req, _res, next) => next(),
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+jest.mock('../src/middleware/checkAccountStatus', () => ({
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+
+jest.mock('../src/models', () => ({
+  User: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn().mockResolvedValue([1]),
+  },
+  Order: { create: jest.fn(), findOne: jest.fn(), findAndCountAll: jest.fn() },
+  DemoOrder: {
+    findAll: jest.fn().mockResolvedValue([]),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  MsOrder: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findAndCountAll: jest.fn(),
+    update: jest.fn(),
+  },
+  Wallet: { findOne: jest.fn().mockResolvedValue({ id: 'wallet-123', kes_balance: 0, usd_balance: 0, frozen_kes: 0, frozen_usd: 0 }) },
+  Transaction: { findAll: jest.fn().mockResolvedValue([]), create: jest.fn() },
+  sequelize: { Sequelize: { Op: {} } },
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendTransactionEmail: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/services/realtimeNotificationService', () => ({
+  initialize: jest.fn().mockResolvedValue(undefined),
+  sendOrderNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendPriceAlert: jest.fn().mockResolvedValue({ success: true }),
+  sendToUser: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/utils/ensureMyStocksAccount', () => ({
+  ensureMyStocksSubAccount: jest.fn().mockResolvedValue('ms-sub-123'),
+}));
+
+const alpacaService = require('../src/services/alpacaService');
+const ms = require('../src/services/mystocksService');
+const { User, Order, DemoOrder, MsOrder, Wallet } = require('../src/models');
+
+const preview = (body) => request(app)
+  .post('/api/v1/orders/preview')
+  .set('Authorization', 'Bearer test')
+  .send(body);
+
+const expectNothingPlaced = () => {
+  expect(Order.create).not.toHaveBeenCalled();
+  expect(MsOrder.create).not.toHaveBeenCalled();
+  expect(DemoOrder.create).not.toHaveBeenCalled();
+  expect(alpacaService.createOrder).not.toHaveBeenCalled();
+  expect(ms.placeTrade).not.toHaveBeenCalled();
+  expect(ms.depositToSubAccount).not.toHaveBeenCalled();
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'real', alpaca_account_id: 'alp-123' });
+  Wallet.findOne.mockResolvedValue({ id: 'wallet-123', kes_balance: 0, usd_balance: 0, frozen_kes: 0, frozen_usd: 0 });
+  ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', name: 'Safaricom PLC', exchange: 'NSE', price: 20, usdPrice: 0.155, currency: 'KES' }]);
+  alpacaService.getAccount.mockResolvedValue({ cash: '100' });
+  alpacaService.getLatestQuote.mockResolvedValue({ ap: 200, bp: 199.9 });
+  alpacaService.getMarketStatus.mockResolvedValue({ is_open: true });
+});
+
+describe('POST /api/v1/orders/preview (US equities)', () => {
+  it('returns the cost breakdown and funding shortfall without placing the order', async () => {
+    const res = await preview({ symbol: 'AAPL', side: 'buy', type: 'market', qty: 1, time_in_force: 'day' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.provider).toBe('alpaca');
+    const { preview: p } = res.body;
+    expect(p).toEqual(expect.objectContaining({ symbol: 'AAPL', quantity: 1, estimatedPrice: 200, canPlace: false }));
+    expect(p.costBreakdown.stockValue.usd).toBe(200);
+    expect(p.costBreakdown.totalCost.usd).toBeCloseTo(200 + p.costBreakdown.commission.usd);
+    expect(p.funding).toEqual(expect.objectContaining({ currency: 'USD', available: 100 }));
+    expect(p.funding.shortfall).toBeCloseTo(p.funding.required - 100, 2);
+    expect(p.warnings).toEqual([expect.objectContaining({ type: 'insufficient_funds' })]);
+    expectNothingPlaced();
+  });
+
+  it('warns when the order is below the minimum value or the market is closed', async () => {
+    alpacaService.getMarketStatus.mockResolvedValue({ is_open: false, next_open: '2026-10-20T13:30:00Z' });
+
+    const res = await preview({ symbol: 'AAPL', side: 'buy', type: 'market', qty: 0.001, time_in_force: 'day' });
+
+    expect(res.status).toBe(200);
+    const types = res.body.preview.warnings.map(w => w.type);
+    expect(types).toEqual(['minimum_order_value', 'market_closed']);
+    expect(res.body.preview.canPlace).toBe(false);
+    expect(res.body.preview.warnings[0].minimumQuantity).toBe(0.005);
+    expectNothingPlaced();
+  });
+
+  it('applies the same validation as placing an order', async () => {
+    const res = await preview({ symbol: 'AAPL', side: 'buy', type: 'limit', limit_price: 190, notional: 50, time_in_force: 'day' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/market/);
+  });
+});
+
+describe('POST /api/v1/orders/preview (African exchanges)', () => {
+  it('funds a MyStocks BUY from the KES wallet', async () => {
+    Wallet.findOne.mockResolvedValue({ id: 'wallet-123', kes_balance: 5000, frozen_kes: 1000 });
+
+    const res = await preview({ symbol: 'SCOM', exchange: 'NSE', side: 'buy', qty: 100 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.provider).toBe('mystocks');
+    const { preview: p } = res.body;
+    expect(p.costBreakdown.stockValue.kes).toBe(2000);
+    expect(p.funding).toEqual({ currency: 'KES', available: 4000, required: p.costBreakdown.totalCost.kes, shortfall: 0 });
+    expect(p.canPlace).toBe(true);
+    expectNothingPlaced();
+  });
+
+  it('flags a MyStocks market SELL for more shares than are free to sell', async () => {
+    User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'real', mystocks_sub_account_id: 'ms-sub-123' });
+    ms.getPortfolio.mockResolvedValue({ holdings: [{ symbol: 'SCOM', quantity: 50 }] });
+    MsOrder.findAll.mockResolvedValue([{ quantity: '30' }]);
+
+    const res = await preview({ symbol: 'SCOM', exchange: 'NSE', side: 'sell', qty: 25 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.provider).toBe('mystocks');
+    expect(res.body.preview.shares).toEqual({ available: 20, required: 25 });
+    expect(res.body.preview.warnings).toEqual([expect.objectContaining({ type: 'insufficient_shares' })]);
+    expect(res.body.preview.canPlace).toBe(false);
+    expectNothingPlaced();
+  });
+
+  it('quotes a MyStocks listing in its own currency', async () => {
+    User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'real', mystocks_sub_account_id: 'ms-sub-123' });
+    ms.getStocks.mockResolvedValue([{ symbol: 'DANGCEM', name: 'Dangote Cement', exchange: 'NGX', price: 480, usdPrice: 0.31, currency: 'NGN' }]);
+    ms.getPortfolio.mockResolvedValue({ holdings: [{ symbol: 'DANGCEM', quantity: 10 }] });
+    MsOrder.findAll.mockResolvedValue([]);
+
+    const res = await preview({ symbol: 'DANGCEM', exchange: 'NGX', side: 'sell', qty: 10 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.preview.currency).toBe('NGN');
+    expect(res.body.preview.estimatedPrice).toBe(480);
+    expect(res.body.preview.canPlace).toBe(true);
+  });
+
+  it('flags a demo SELL for more shares than are held', async () => {
+    User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'demo', demo_balance: '1000' });
+    DemoOrder.findAll.mockResolvedValue([{ side: 'BUY', quantity: '10', status: 'FILLED' }]);
+
+    const res = await preview({ symbol: 'SCOM', exchange: 'NSE', side: 'sell', qty: 25 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.provider).toBe('demo');
+    expect(res.body.preview.shares).toEqual({ available: 10, required: 25 });
+    expect(res.body.preview.costBreakdown.netProceeds.usd).toBeLessThan(res.body.preview.costBreakdown.stockValue.usd);
+    expect(res.body.preview.warnings).toEqual([expect.objectContaining({ type: 'insufficient_shares' })]);
+    expect(res.body.preview.canPlace).toBe(false);
+    expectNothingPlaced();
+  });
+});
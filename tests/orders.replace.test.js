@@ -0,0 +1,303 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+jest.mock('../src/services/alpacaService', () => ({
+  getAssets: jest.fn(),
+  getAsset: jest.fn(),
+  getLatestQuote: jest.fn(),
+  getBars: jest.fn(),
+  createOrder: jest.fn(),
+  getOrders: jest.fn(),
+  getOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+  replaceOrder: jest.fn(),
+  getMostActiveStocks: jest.fn(),
+  getTopMovers: jest.fn(),
+  searchAssets: jest.fn(),
+  getCompanyLogo: jest.fn((sym) => `https://logo/${sym}`),
+  getMarketStatus: jest.fn(),
+  getNews: jest.fn(),
+  getAccount: jest.fn(),
+  getPositions: jest.fn(),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getStocks: jest.fn(),
+  getStockBySlug: jest.fn(),
+  getStockPulse: jest.fn(),
+  buildStockSlug: jest.fn(),
+  getWallet: jest.fn(),
+  placeTrade: jest.fn(),
+  depositToSubAccount: jest.fn(),
+  getOrders: jest.fn(),
+  createSubAccount: jest.fn(),
+  getSubAccount: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(129.26),
+  convertCurrency: jest.fn().mockResolvedValue({ convertedAmount: 129.26, rate: 129.26 }),
+  getCurrentRates: jest.fn().mockResolvedValue({ rates: { USD_KES: 129.26 } }),
+}));
+jest.mock('../src/config/redis', () => {
+  const mockQuit = jest.fn().mockResolvedValue(undefined);
+  const mockClient = { quit: mockQuit, subscribe: jest.fn(), on: jest.fn(), disconnect: jest.fn() };
+  const mockPub = { quit: mockQuit, on: jest.fn() };
+  const mockSub = { quit: mockQuit, subscribe: jest.fn().mockResolvedValue(undefined), psubscribe: jest.fn().mockResolvedValue(undefined), on: jest.fn() };
+  return {
+    initialize: jest.fn(),
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    del: jest.fn().mockResolvedValue(1),
+    client: mockClient,
+    publisher: mockPub,
+    subscriber: mockSub,
+    getClient: jest.fn().mockReturnValue(mockClient),
+    getPublisher: jest.fn().mockReturnValue(mockPub),
+    getSubscriber: jest.fn().mockReturnValue(mockSub),
+    isConnected: false,
+  };
+});
+jest.mock('../src/middleware/auth', () => ({
+  auth: (req, _res, next) => {
+    req.user = { id: 'test-user-id', email: 'test@example.com', account_mode: 'real' };
+    next();
+  },
+  requireKYCOrMyStocks: (_req, _res, next) => next(),
+  requireKYC: (_req, _res, next) => next(),
+  authorize: () => (_req, _res, next) => next(),
+  requireBiometric: (_req, _res, next) => next(),
+  requirePin: (_req, _res, next) => next(),
+  adminAuth: (_req, _res, next) => next(),
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+jest.mock('../src/middleware/checkAccountStatus', () => ({
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+
+jest.mock('../src/models', () => ({
+  User: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn().mockResolvedValue([1]),
+  },
+  Order: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    findAndCountAll: jest.fn(),
+    update: jest.fn().mockResolvedValue([2]),
+    sequelize: { Sequelize: { Op: { notIn: Symbol('notIn') } } },
+  },
+  DemoOrder: { findAll: jest.fn().mockResolvedValue([]), create: jest.fn() },
+  MsOrder: { create: jest.fn(), findAll: jest.fn(), findOne: jest.fn(), findAndCountAll: jest.fn(), update: jest.fn() },
+  Wallet: { findOne: jest.fn().mockResolvedValue({ id: 'wallet-123', kes_balance: 0, usd_balance: 0, frozen_kes: 0, frozen_usd: 0 }) },
+  Transaction: { findAll: jest.fn().mockResolvedValue([]), create: jest.fn() },
+  sequelize: { Sequelize: { Op: {} } },
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendTransactionEmail: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/services/realtimeNotificationService', () => ({
+  initialize: jest.fn().mockResolvedValue(undefined),
+  sendOrderNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendPriceAlert: jest.fn().mockResolvedValue({ success: true }),
+  sendToUser: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const ORDER_ID = '4f1d2c3b-5a6e-4d7f-8a9b-0c1d2e3f4a5b';
+
+const alpacaService = require('../src/services/alpacaService');
+const { User, Order, MsOrder } = require('../src/models');
+
+const withUpdate = (row) => {
+  row.update = jest.fn(async (updates) => Object.assign(row, updates));
+  row.updateFromAlpaca = jest.fn(async (alpacaOrder) => Object.assign(row, {
+    alpaca_order_id: alpacaOrder.id,
+    status: alpacaOrder.status,
+  }));
+  return row;
+};
+
+const makeOpenOrder = (overrides = {}) => withUpdate({
+  id: ORDER_ID,
+  user_id: 'test-user-id',
+  alpaca_order_id: 'alp-old',
+  symbol: 'AAPL',
+  side: 'buy',
+  order_type: 'limit',
+  order_class: 'simple',
+  parent_order_id: null,
+  quantity: '10',
+  limit_price: '190.00',
+  stop_price: null,
+  time_in_force: 'gtc',
+  order_value: 1900,
+  currency: 'USD',
+  exchange_rate: '129.26',
+  status: 'new',
+  isCompleted: false,
+  fees: { commission: { rate: 0.015, percentage: '1%', amountUsd: 28.5, amountKes: 3683.91 } },
+  metadata: { client_order_id: 'ORDER_old', estimated_price: 190 },
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'real', alpaca_account_id: 'alp-123' });
+  Order.create.mockImplementation(async (data) => withUpdate({ id: 'order-new', ...data }));
+  alpacaService.getAccount.mockResolvedValue({ cash: '10000' });
+  alpacaService.getLatestQuote.mockResolvedValue({ ap: 192, bp: 191.9 });
+});
+
+describe('PATCH /api/v1/orders/:orderId', () => {
+  it('replaces an open limit order through Alpaca and links the two rows', async () => {
+    const original = makeOpenOrder();
+    Order.findOne.mockResolvedValue(original);
+    alpacaService.replaceOrder.mockResolvedValue({ id: 'alp-new', status: 'accepted' });
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/${ORDER_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ limit_price: 195, qty: 12 });
+
+    expect(res.status).toBe(200);
+    expect(alpacaService.replaceOrder).toHaveBeenCalledWith('alp-old', expect.objectContaining({
+      quantity: 12,
+      limitPrice: 195,
+      stopPrice: undefined,
+      timeInForce: undefined,
+      clientOrderId: expect.stringMatching(/^ORDER_/),
+    }));
+    expect(Order.create).toHaveBeenCalledWith(expect.objectContaining({
+      replaces_order_id: ORDER_ID,
+      quantity: 12,
+      limit_price: 195,
+      time_in_force: 'gtc',
+      order_value: 2340,
+    }));
+    expect(original.status).toBe('replaced');
+    expect(original.replaced_by_order_id).toBe('order-new');
+    expect(res.body.replacedOrderId).toBe(ORDER_ID);
+    expect(res.body.order).toEqual(expect.objectContaining({ alpacaOrderId: 'alp-new', status: 'accepted' }));
+    expect(res.body.order.fees.commission.amountUsd).toBeCloseTo(2340 * 0.015);
+  });
+
+  it('rejects a larger buy the account cannot fund', async () => {
+    const original = makeOpenOrder();
+    Order.findOne.mockResolvedValue(original);
+    alpacaService.getAccount.mockResolvedValue({ cash: '2000' });
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/${ORDER_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ qty: 20 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.type).toBe('insufficient_funds');
+    expect(alpacaService.replaceOrder).not.toHaveBeenCalled();
+    expect(Order.create).not.toHaveBeenCalled();
+  });
+
+  it('does not re-check funds when the order gets cheaper', async () => {
+    Order.findOne.mockResolvedValue(makeOpenOrder());
+    alpacaService.replaceOrder.mockResolvedValue({ id: 'alp-new', status: 'accepted' });
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/${ORDER_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ limit_price: 185 });
+
+    expect(res.status).toBe(200);
+    expect(alpacaService.getAccount).not.toHaveBeenCalled();
+  });
+
+  it.each(['pending_replace', 'pending_cancel'])('returns 422 for an order in %s', async (status) => {
+    Order.findOne.mockResolvedValue(makeOpenOrder({ status }));
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/${ORDER_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ limit_price: 185 });
+
+    expect(res.status).toBe(422);
+    expect(alpacaService.replaceOrder).not.toHaveBeenCalled();
+  });
+
+  it('keeps the original order when Alpaca rejects the replacement', async () => {
+    const original = makeOpenOrder();
+    Order.findOne.mockResolvedValue(original);
+    alpacaService.replaceOrder.mockRejectedValue(new Error('order is not open'));
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/${ORDER_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ limit_price: 195 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('order is not open');
+    expect(Order.create).not.toHaveBeenCalled();
+    expect(original.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects changes to a market order', async () => {
+    Order.findOne.mockResolvedValue(makeOpenOrder({ order_type: 'market', limit_price: null }));
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/${ORDER_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ qty: 5 });
+
+    expect(res.status).toBe(400);
+    expect(alpacaService.replaceOrder).not.toHaveBeenCalled();
+  });
+
+  it('rejects a limit_price on a stop order', async () => {
+    Order.findOne.mockResolvedValue(makeOpenOrder({ order_type: 'stop', limit_price: null, stop_price: '180.00' }));
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/${ORDER_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ limit_price: 185 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/limit_price/);
+  });
+
+  it('rejects changes to a completed order', async () => {
+    Order.findOne.mockResolvedValue(makeOpenOrder({ status: 'filled', isCompleted: true }));
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/${ORDER_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ limit_price: 195 });
+
+    expect(res.status).toBe(400);
+    expect(alpacaService.replaceOrder).not.toHaveBeenCalled();
+  });
+
+  it('points African resting orders at cancel-and-replace', async () => {
+    Order.findOne.mockResolvedValue(null);
+    MsOrder.findOne.mockResolvedValue({ id: ORDER_ID, status: 'PENDING' });
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/${ORDER_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ qty: 5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Cancel the order/);
+  });
+
+  it('returns 404 for an unknown order', async () => {
+    Order.findOne.mockResolvedValue(null);
+    MsOrder.findOne.mockResolvedValue(null);
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/${ORDER_ID}`)
+      .set('Authorization', 'Bearer test')
+      .send({ qty: 5 });
+
+    expect(res.status).toBe(404);
+  });
+});
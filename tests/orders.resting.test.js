@@ -0,0 +1,430 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+jest.mock('../src/services/alpacaService', () => ({
+  getAssets: jest.fn(),
+  getAsset: jest.fn(),
+  getLatestQuote: jest.fn(),
+  getBars: jest.fn(),
+  createOrder: jest.fn(),
+  getOrders: jest.fn(),
+  getOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+  getMostActiveStocks: jest.fn(),
+  getTopMovers: jest.fn(),
+  searchAssets: jest.fn(),
+  getCompanyLogo: jest.fn((sym) => `https://logo/${sym}`),
+  getMarketStatus: jest.fn(),
+  getNews: jest.fn(),
+  getAccount: jest.fn(),
+  getPositions: jest.fn(),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getStocks: jest.fn(),
+  getStockBySlug: jest.fn(),
+  getStockPulse: jest.fn(),
+  buildStockSlug: jest.fn(),
+  getWallet: jest.fn(),
+  placeTrade: jest.fn(),
+  depositToSubAccount: jest.fn(),
+  getOrders: jest.fn(),
+  createSubAccount: jest.fn(),
+  getSubAccount: jest.fn(),
+  getPortfolio: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(129.26),
+  convertCurrency: jest.fn().mockResolvedValue({ convertedAmount: 129.26, rate: 129.26 }),
+  getCurrentRates: jest.fn().mockResolvedValue({ rates: { USD_KES: 129.26 } }),
+}));
+jest.mock('../src/config/redis', () => {
+  const mockQuit = jest.fn().mockResolvedValue(undefined);
+  const mockClient = { quit: mockQuit, subscribe: jest.fn(), on: jest.fn(), disconnect: jest.fn() };
+  const mockPub = { quit: mockQuit, on: jest.fn() };
+  const mockSub = { quit: mockQuit, subscribe: jest.fn().mockResolvedValue(undefined), psubscribe: jest.fn().mockResolvedValue(undefined), on: jest.fn() };
+  return {
+    initialize: jest.fn(),
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    del: jest.fn().mockResolvedValue(1),
+    client: mockClient,
+    publisher: mockPub,
+    subscriber: mockSub,
+    getClient: jest.fn().mockReturnValue(mockClient),
+    getPublisher: jest.fn().mockReturnValue(mockPub),
+    getSubscriber: jest.fn().mockReturnValue(mockSub),
+    isConnected: false,
+  };
+});
+jest.mock('../src/middleware/auth', () => ({
+  auth: (req, _res, next) => {
+    req.user = { id: 'test-user-id', email: 'test@example.com', account_mode: 'real' };
+    next();
+  },
+  requireKYCOrMyStocks: (_req, _res, next) => next(),
+  requireKYC: (_req, _res, next) => next(),
+  authorize: () => (_req, _res, next) => next(),
+  requireBiometric: (_req, _res, next) => next(),
+  requirePin: (_req, _res, next) => next(),
+  adminAuth: (_req, _res, next) => next(),
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+jest.mock('../src/middleware/checkAccountStatus', () => ({
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+
+jest.mock('../src/models', () => ({
+  User: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn().mockResolvedValue([1]),
+  },
+  Order: { findOne: jest.fn(), findAndCountAll: jest.fn() },
+  DemoOrder: { findAll: jest.fn().mockResolvedValue([]), create: jest.fn() },
+  MsOrder: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findAndCountAll: jest.fn(),
+    update: jest.fn(),
+  },
+  Wallet: { findOne: jest.fn() },
+  Transaction: { findAll: jest.fn().mockResolvedValue([]), create: jest.fn() },
+  sequelize: {
+    Sequelize: { Op: {} },
+    transaction: jest.fn(async () => ({ commit: jest.fn(), rollback: jest.fn() })),
+  },
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendTransactionEmail: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/services/realtimeNotificationService', () => ({
+  initialize: jest.fn().mockResolvedValue(undefined),
+  sendOrderNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendPriceAlert: jest.fn().mockResolvedValue({ success: true }),
+  sendToUser: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/utils/ensureMyStocksAccount', () => ({
+  ensureMyStocksSubAccount: jest.fn().mockResolvedValue('ms-sub-123'),
+}));
+
+const ORDER_ID = '9b2f6c1e-7a4d-4e3b-8c5a-1d2e3f4a5b6c';
+
+const ms = require('../src/services/mystocksService');
+const msRestingOrderService = require('../src/services/msRestingOrderService');
+const msBuySagaService = require('../src/services/msBuySagaService');
+const { sequelize, User, Order, MsOrder, Wallet } = require('../src/models');
+
+const makeMsOrder = (overrides = {}) => {
+  const order = {
+    id: ORDER_ID,
+    user_id: 'test-user-id',
+    symbol: 'SCOM',
+    side: 'SELL',
+    quantity: '100',
+    order_type: 'stop_loss',
+    limit_price: null,
+    stop_price: '17.00',
+    time_in_force: 'gtc',
+    reserved_kes: null,
+    currency: 'KES',
+    exchange: 'NSE',
+    status: 'PENDING',
+    createdAt: new Date().toISOString(),
+    ...overrides,
+  };
+  order.update = jest.fn(async (updates) => Object.assign(order, updates));
+  order.set = jest.fn((values) => Object.assign(order, values));
+  return order;
+};
+
+const makeWallet = (kesBalance, frozenKes = 0) => ({
+  id: 'wallet-123',
+  kes_balance: kesBalance,
+  frozen_kes: frozenKes,
+  get availableKes() { return this.kes_balance - this.frozen_kes; },
+  freezeFunds: jest.fn().mockResolvedValue(undefined),
+  unfreezeFunds: jest.fn().mockResolvedValue(undefined),
+  update: jest.fn().mockResolvedValue(undefined),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'real', alpaca_account_id: null });
+  ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', name: 'Safaricom PLC', exchange: 'NSE', price: 18.5, usdPrice: 0.143, currency: 'KES' }]);
+});
+
+describe('POST /api/v1/orders (MyStocks resting orders)', () => {
+  it('stores a limit BUY as a pending order and reserves the KES cost', async () => {
+    const wallet = makeWallet(10000);
+    Wallet.findOne.mockResolvedValue(wallet);
+    MsOrder.create.mockImplementation(async (data) => makeMsOrder({ id: ORDER_ID, ...data }));
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'NSE', side: 'buy', type: 'limit', qty: 100, limit_price: 18, time_in_force: 'gtc' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.order.status).toBe('pending_new');
+    expect(res.body.order.orderType).toBe('limit');
+    expect(res.body.order.limitPrice).toBe(18);
+    expect(ms.placeTrade).not.toHaveBeenCalled();
+    expect(wallet.freezeFunds).toHaveBeenCalledWith(expect.any(Number), 'KES', { transaction: expect.anything() });
+    expect(MsOrder.create).toHaveBeenCalledWith(expect.objectContaining({
+      side: 'BUY',
+      order_type: 'limit',
+      limit_price: 18,
+      time_in_force: 'gtc',
+      status: 'PENDING',
+    }), { transaction: expect.anything() });
+  });
+
+  it('rejects a limit BUY the wallet cannot cover', async () => {
+    Wallet.findOne.mockResolvedValue(makeWallet(2000, 500));
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'NSE', side: 'buy', type: 'limit', qty: 100, limit_price: 18 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Insufficient balance');
+    expect(MsOrder.create).not.toHaveBeenCalled();
+  });
+
+  it('releases the KES hold when the order cannot be stored', async () => {
+    const wallet = makeWallet(10000);
+    Wallet.findOne.mockResolvedValue(wallet);
+    MsOrder.create.mockRejectedValue(new Error('insert failed'));
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'NSE', side: 'buy', type: 'limit', qty: 100, limit_price: 18 });
+
+    expect(res.status).toBe(500);
+    const transaction = await sequelize.transaction.mock.results[0].value;
+    expect(wallet.freezeFunds).toHaveBeenCalledWith(expect.any(Number), 'KES', { transaction });
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(transaction.commit).not.toHaveBeenCalled();
+  });
+
+  it('rejects a resting SELL for shares other resting SELLs already hold', async () => {
+    User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'real', mystocks_sub_account_id: 'ms-sub-123' });
+    ms.getPortfolio.mockResolvedValue({ holdings: [{ symbol: 'SCOM', quantity: '150', price: '18.5' }] });
+    MsOrder.findAll.mockResolvedValue([{ quantity: '100' }]);
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'NSE', side: 'sell', type: 'stop_loss', qty: 100, stop_price: 17 });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ message: 'Insufficient shares', available: 50, required: 100 });
+    expect(MsOrder.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ user_id: 'test-user-id', symbol: 'SCOM', side: 'SELL' }),
+    }));
+    expect(MsOrder.create).not.toHaveBeenCalled();
+  });
+
+  it('accepts a resting SELL the unclaimed shares cover', async () => {
+    User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'real', mystocks_sub_account_id: 'ms-sub-123' });
+    ms.getPortfolio.mockResolvedValue({ holdings: [{ symbol: 'SCOM', quantity: '150', price: '18.5' }] });
+    MsOrder.findAll.mockResolvedValue([{ quantity: '100' }]);
+    MsOrder.create.mockImplementation(async (data) => makeMsOrder({ id: ORDER_ID, ...data }));
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'NSE', side: 'sell', type: 'take_profit', qty: 50, limit_price: 25 });
+
+    expect(res.status).toBe(201);
+    expect(MsOrder.create).toHaveBeenCalledWith(expect.objectContaining({ side: 'SELL', quantity: 50 }), expect.anything());
+  });
+
+  it('rejects a stop_loss BUY', async () => {
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'NSE', side: 'buy', type: 'stop_loss', qty: 100, stop_price: 17 });
+
+    expect(res.status).toBe(400);
+    expect(MsOrder.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unsupported time_in_force for African exchanges', async () => {
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'NSE', side: 'sell', type: 'take_profit', qty: 100, limit_price: 25, time_in_force: 'ioc' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/v1/orders (MyStocks resting orders)', () => {
+  it('lists pending resting orders alongside fills', async () => {
+    MsOrder.findAndCountAll.mockResolvedValue({ count: 1, rows: [makeMsOrder()] });
+
+    const res = await request(app)
+      .get('/api/v1/orders')
+      .set('Authorization', 'Bearer test');
+
+    expect(res.status).toBe(200);
+    expect(res.body.provider).toBe('mystocks');
+    expect(res.body.orders[0]).toEqual(expect.objectContaining({
+      orderType: 'stop_loss',
+      stopPrice: 17,
+      timeInForce: 'gtc',
+      status: 'pending_new',
+    }));
+  });
+});
+
+describe('DELETE /api/v1/orders/:orderId (MyStocks resting orders)', () => {
+  it('cancels a pending resting order and releases its reservation', async () => {
+    const order = makeMsOrder({ side: 'BUY', order_type: 'limit', limit_price: '18.00', reserved_kes: '1818.00' });
+    const wallet = makeWallet(10000, 1818);
+    Order.findOne.mockResolvedValue(null);
+    MsOrder.findOne.mockResolvedValue(order);
+    MsOrder.update.mockResolvedValue([1]);
+    Wallet.findOne.mockResolvedValue(wallet);
+
+    const res = await request(app)
+      .delete(`/api/v1/orders/${ORDER_ID}`)
+      .set('Authorization', 'Bearer test');
+
+    expect(res.status).toBe(200);
+    expect(order.status).toBe('CANCELLED');
+    expect(MsOrder.update).toHaveBeenCalledWith(
+      { status: 'CANCELLED' },
+      expect.objectContaining({ where: { id: ORDER_ID, status: 'PENDING', triggered_at: null } })
+    );
+    const transaction = await sequelize.transaction.mock.results[0].value;
+    expect(wallet.unfreezeFunds).toHaveBeenCalledWith(1818, 'KES', { transaction });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('refuses the cancel, and keeps the reservation, when the watcher claimed the order first', async () => {
+    const order = makeMsOrder({ side: 'BUY', order_type: 'limit', limit_price: '18.00', reserved_kes: '1818.00' });
+    const wallet = makeWallet(10000, 1818);
+    Order.findOne.mockResolvedValue(null);
+    MsOrder.findOne.mockResolvedValue(order);
+    // executeOrder set TRIGGERED between the read and the cancel
+    MsOrder.update.mockResolvedValue([0]);
+    Wallet.findOne.mockResolvedValue(wallet);
+
+    const res = await request(app)
+      .delete(`/api/v1/orders/${ORDER_ID}`)
+      .set('Authorization', 'Bearer test');
+
+    expect(res.status).toBe(400);
+    expect(order.status).toBe('PENDING');
+    expect(wallet.unfreezeFunds).not.toHaveBeenCalled();
+    const transaction = await sequelize.transaction.mock.results[0].value;
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+});
+
+describe('msRestingOrderService.checkPendingOrders', () => {
+  it('submits a stop_loss SELL once the price falls through the stop', async () => {
+    const order = makeMsOrder();
+    MsOrder.findAll
+      .mockResolvedValueOnce([])        // nothing to expire
+      .mockResolvedValueOnce([])        // no interrupted claims
+      .mockResolvedValueOnce([order]);
+    MsOrder.update.mockResolvedValue([1]);
+    ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', price: 16.8, usdPrice: 0.13, currency: 'KES' }]);
+    ms.placeTrade.mockResolvedValue({ orderId: 'ms-1', localPrice: 16.8, usdPrice: 0.13, status: 'FILLED' });
+
+    await msRestingOrderService.checkPendingOrders();
+
+    expect(MsOrder.findAll).toHaveBeenLastCalledWith({ where: expect.objectContaining({ status: 'PENDING', triggered_at: null }) });
+    expect(ms.placeTrade).toHaveBeenCalledWith('ms-sub-123', { symbol: 'SCOM', type: 'SELL', quantity: 100 });
+    expect(order.status).toBe('FILLED');
+    expect(order.local_price).toBe(16.8);
+  });
+
+  it('leaves the order resting while the trigger is not hit', async () => {
+    const order = makeMsOrder();
+    MsOrder.findAll
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([order]);
+
+    await msRestingOrderService.checkPendingOrders();
+
+    expect(MsOrder.update).not.toHaveBeenCalled();
+    expect(ms.placeTrade).not.toHaveBeenCalled();
+    expect(order.status).toBe('PENDING');
+  });
+
+  it('expires lapsed orders and releases reserved KES', async () => {
+    const order = makeMsOrder({ side: 'BUY', order_type: 'limit', limit_price: '15.00', reserved_kes: '1515.00' });
+    const wallet = makeWallet(10000, 1515);
+    Wallet.findOne.mockResolvedValue(wallet);
+    MsOrder.findAll
+      .mockResolvedValueOnce([order])
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([]);
+    MsOrder.update.mockResolvedValue([1]);
+
+    await msRestingOrderService.checkPendingOrders();
+
+    expect(order.status).toBe('EXPIRED');
+    expect(wallet.unfreezeFunds).toHaveBeenCalledWith(1515, 'KES', expect.anything());
+  });
+});
+
+describe('msRestingOrderService.recoverStaleClaims', () => {
+  const triggeredAt = new Date('2026-10-19T09:00:00Z');
+  const now = new Date('2026-10-19T09:30:00Z');
+
+  it('rests an interrupted BUY that never reached MyStocks again, holding its KES', async () => {
+    const order = makeMsOrder({ side: 'BUY', order_type: 'limit', limit_price: '18.00', reserved_kes: '1818.00', status: 'TRIGGERED', triggered_at: triggeredAt });
+    const wallet = makeWallet(10000);
+    MsOrder.findAll.mockResolvedValue([order]);
+    Wallet.findOne.mockResolvedValue(wallet);
+    jest.spyOn(msBuySagaService, 'findByOrderId').mockResolvedValue(null);
+
+    await msRestingOrderService.recoverStaleClaims(now);
+
+    expect(MsOrder.findAll.mock.calls[0][0].where).toMatchObject({ status: 'TRIGGERED' });
+    expect(wallet.freezeFunds).toHaveBeenCalledWith(1818, 'KES', expect.anything());
+    expect(order).toMatchObject({ status: 'PENDING', triggered_at: null });
+  });
+
+  it('holds an interrupted order that may have traded as UNCONFIRMED without re-triggering it', async () => {
+    const sell = makeMsOrder({ status: 'TRIGGERED', triggered_at: triggeredAt });
+    const buy = makeMsOrder({ id: 'buy-1', side: 'BUY', order_type: 'limit', limit_price: '18.00', reserved_kes: '1818.00', status: 'TRIGGERED', triggered_at: triggeredAt });
+    MsOrder.findAll.mockResolvedValue([sell, buy]);
+    jest.spyOn(msBuySagaService, 'findByOrderId').mockResolvedValue({ id: 'saga-1', status: 'stuck' });
+
+    await msRestingOrderService.recoverStaleClaims(now);
+
+    expect(sell.status).toBe('UNCONFIRMED');
+    expect(buy.status).toBe('UNCONFIRMED');
+    expect(ms.placeTrade).not.toHaveBeenCalled();
+  });
+});
+
+describe('msRestingOrderService.computeExpiry', () => {
+  it('expires day orders at the next weekday close', () => {
+    // Friday 14:00 UTC, after the NSE close → Monday 12:00 UTC
+    const expiry = msRestingOrderService.computeExpiry('day', new Date('2026-10-16T14:00:00Z'));
+    expect(expiry.toISOString()).toBe('2026-10-19T12:00:00.000Z');
+  });
+
+  it('uses the exchange\'s own close and trading week', () => {
+    // Friday 14:00 UTC is before the JSE close (17:00 SAST)
+    expect(msRestingOrderService.computeExpiry('day', new Date('2026-10-16T14:00:00Z'), 'JSE').toISOString())
+      .toBe('2026-10-16T15:00:00.000Z');
+    // The EGX trades Sunday to Thursday, so Thursday after the close carries to Sunday
+    expect(msRestingOrderService.computeExpiry('day', new Date('2026-10-15T14:00:00Z'), 'EGX').toISOString())
+      .toBe('2026-10-18T12:30:00.000Z');
+  });
+});
@@ -231,6 +231,18 @@ describe('POST /api/v1/orders (African symbol in demo mode)', () => {
     expect(res.body.provider).toBe('demo');
     expect(res.body).toHaveProperty('order');
   });
+
+  it('returns 503 rather than price the order off another stock the search matched', async () => {
+    ms.getStocks.mockResolvedValue([{ symbol: 'ABSAP', exchange: 'NSE', price: 2, usdPrice: 0.015, currency: 'KES' }]);
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'ABSA.KE', side: 'buy', qty: 10, type: 'market', time_in_force: 'day', exchange: 'NSE' });
+
+    expect(res.status).toBe(503);
+    expect(DemoOrder.create).not.toHaveBeenCalled();
+  });
 });
 
 describe('POST /api/v1/orders (US symbol)', () => {
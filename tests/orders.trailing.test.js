@@ -0,0 +1,323 @@
+const request = require('supertest');
+const app = require('../src/server');
+
+jest.mock('../src/services/alpacaService', () => ({
+  getAssets: jest.fn(),
+  getAsset: jest.fn(),
+  getLatestQuote: jest.fn(),
+  getBars: jest.fn(),
+  createOrder: jest.fn(),
+  getOrders: jest.fn(),
+  getOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+  getMostActiveStocks: jest.fn(),
+  getTopMovers: jest.fn(),
+  searchAssets: jest.fn(),
+  getCompanyLogo: jest.fn((sym) => `https://logo/${sym}`),
+  getMarketStatus: jest.fn(),
+  getNews: jest.fn(),
+  getAccount: jest.fn(),
+  getPositions: jest.fn(),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getStocks: jest.fn(),
+  getStockBySlug: jest.fn(),
+  getStockPulse: jest.fn(),
+  buildStockSlug: jest.fn(),
+  getWallet: jest.fn(),
+  placeTrade: jest.fn(),
+  depositToSubAccount: jest.fn(),
+  getOrders: jest.fn(),
+  createSubAccount: jest.fn(),
+  getSubAccount: jest.fn(),
+  getPortfolio: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(129.26),
+  convertCurrency: jest.fn().mockResolvedValue({ convertedAmount: 129.26, rate: 129.26 }),
+  getCurrentRates: jest.fn().mockResolvedValue({ rates: { USD_KES: 129.26 } }),
+}));
+jest.mock('../src/config/redis', () => {
+  const mockQuit = jest.fn().mockResolvedValue(undefined);
+  const mockClient = { quit: mockQuit, subscribe: jest.fn(), on: jest.fn(), disconnect: jest.fn() };
+  const mockPub = { quit: mockQuit, on: jest.fn() };
+  const mockSub = { quit: mockQuit, subscribe: jest.fn().mockResolvedValue(undefined), psubscribe: jest.fn().mockResolvedValue(undefined), on: jest.fn() };
+  return {
+    initialize: jest.fn(),
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    del: jest.fn().mockResolvedValue(1),
+    client: mockClient,
+    publisher: mockPub,
+    subscriber: mockSub,
+    getClient: jest.fn().mockReturnValue(mockClient),
+    getPublisher: jest.fn().mockReturnValue(mockPub),
+    getSubscriber: jest.fn().mockReturnValue(mockSub),
+    isConnected: false,
+  };
+});
+jest.mock('../src/middleware/auth', () => ({
+  auth: (req, _res, next) => {
+    req.user = { id: 'test-user-id', email: 'test@example.com', account_mode: 'real' };
+    next();
+  },
+  requireKYCOrMyStocks: (_req, _res, next) => next(),
+  requireKYC: (_req, _res, next) => next(),
+  authorize: () => (_req, _res, next) => next(),
+  requireBiometric: (_req, _res, next) => next(),
+  requirePin: (_req, _res, next) => next(),
+  adminAuth: (_req, _res, next) => next(),
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+jest.mock('../src/middleware/checkAccountStatus', () => ({
+  checkAccountStatus: (_req, _res, next) => next(),
+}));
+
+jest.mock('../src/models', () => ({
+  User: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn().mockResolvedValue([1]),
+  },
+  Order: { create: jest.fn(), findOne: jest.fn(), findAndCountAll: jest.fn() },
+  DemoOrder: {
+    findAll: jest.fn().mockResolvedValue([]),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  MsOrder: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findAndCountAll: jest.fn(),
+    update: jest.fn(),
+  },
+  Wallet: { findOne: jest.fn().mockResolvedValue({ id: 'wallet-123', kes_balance: 0, usd_balance: 0, frozen_kes: 0, frozen_usd: 0 }) },
+  Transaction: { findAll: jest.fn().mockResolvedValue([]), create: jest.fn() },
+  sequelize: {
+    Sequelize: { Op: {} },
+    transaction: jest.fn(async () => ({ commit: jest.fn(), rollback: jest.fn() })),
+  },
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendTransactionEmail: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/services/realtimeNotificationService', () => ({
+  initialize: jest.fn().mockResolvedValue(undefined),
+  sendOrderNotification: jest.fn().mockResolvedValue({ success: true }),
+  sendPriceAlert: jest.fn().mockResolvedValue({ success: true }),
+  sendToUser: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../src/utils/ensureMyStocksAccount', () => ({
+  ensureMyStocksSubAccount: jest.fn().mockResolvedValue('ms-sub-123'),
+}));
+
+const alpacaService = require('../src/services/alpacaService');
+const ms = require('../src/services/mystocksService');
+const msRestingOrderService = require('../src/services/msRestingOrderService');
+const paperOrderService = require('../src/services/paperOrderService');
+const { advanceTrailingStop } = require('../src/utils/trailingStop');
+const { User, Order, DemoOrder, MsOrder } = require('../src/models');
+
+const withUpdate = (row) => {
+  row.update = jest.fn(async (updates) => Object.assign(row, updates));
+  return row;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'real', alpaca_account_id: 'alp-123' });
+  ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', name: 'Safaricom PLC', exchange: 'NSE', price: 20, usdPrice: 0.155, currency: 'KES' }]);
+});
+
+describe('advanceTrailingStop', () => {
+  it('ratchets the stop up behind new highs and fires on the retrace', () => {
+    const start = advanceTrailingStop({ trailPercent: 10 }, 100);
+    expect(start).toEqual({ highWaterMark: 100, stopPrice: 90, triggered: false });
+
+    const higher = advanceTrailingStop({ highWaterMark: 100, trailPercent: 10 }, 120);
+    expect(higher.stopPrice).toBeCloseTo(108);
+
+    const dip = advanceTrailingStop({ highWaterMark: 120, trailPercent: 10 }, 115);
+    expect(dip).toEqual(expect.objectContaining({ highWaterMark: 120, triggered: false }));
+
+    expect(advanceTrailingStop({ highWaterMark: 120, trailAmount: 5 }, 115).triggered).toBe(true);
+  });
+});
+
+describe('POST /api/v1/orders (Alpaca trailing stops)', () => {
+  it('passes trail_percent through to Alpaca', async () => {
+    alpacaService.getAccount.mockResolvedValue({ cash: '10000' });
+    alpacaService.getLatestQuote.mockResolvedValue({ ap: 200, bp: 199.9 });
+    alpacaService.createOrder.mockResolvedValue({ id: 'alp-trail', status: 'new' });
+    Order.create.mockImplementation(async (data) => withUpdate({
+      id: 'order-1',
+      ...data,
+      updateFromAlpaca: jest.fn().mockResolvedValue(undefined),
+    }));
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', side: 'sell', type: 'trailing_stop', qty: 5, trail_percent: 5, time_in_force: 'gtc' });
+
+    expect(res.status).toBe(201);
+    expect(Order.create).toHaveBeenCalledWith(expect.objectContaining({ order_type: 'trailing_stop', trail_percent: 5, trail_amount: null }));
+    expect(alpacaService.createOrder).toHaveBeenCalledWith(expect.objectContaining({ orderType: 'trailing_stop', trailPercent: 5 }));
+    expect(alpacaService.createOrder.mock.calls[0][0]).not.toHaveProperty('trailAmount');
+  });
+
+  it('rejects an order with both trail_percent and trail_amount', async () => {
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', side: 'sell', type: 'trailing_stop', qty: 5, trail_percent: 5, trail_amount: 2, time_in_force: 'day' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/exactly one/);
+    expect(alpacaService.createOrder).not.toHaveBeenCalled();
+  });
+});
+
+describe('MyStocks trailing stops', () => {
+  it('rests the order with a stop trailing the current local price', async () => {
+    User.findByPk.mockResolvedValue({ id: 'test-user-id', account_mode: 'real', mystocks_sub_account_id: 'ms-sub-123' });
+    ms.getPortfolio.mockResolvedValue({ holdings: [{ symbol: 'SCOM', quantity: '100', price: '20' }] });
+    MsOrder.findAll.mockResolvedValue([]);
+    MsOrder.create.mockImplementation(async (data) => withUpdate({ id: 'ms-trail-1', createdAt: new Date().toISOString(), ...data }));
+
+    const res = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'NSE', side: 'sell', type: 'trailing_stop', qty: 100, trail_amount: 2, time_in_force: 'gtc' });
+
+    expect(res.status).toBe(201);
+    expect(MsOrder.create).toHaveBeenCalledWith(expect.objectContaining({
+      order_type: 'trailing_stop',
+      trail_amount: 2,
+      high_water_mark: 20,
+      stop_price: 18,
+      status: 'PENDING',
+    }), expect.anything());
+    expect(res.body.order).toEqual(expect.objectContaining({ orderType: 'trailing_stop', highWaterMark: 20, stopPrice: 18 }));
+    expect(ms.placeTrade).not.toHaveBeenCalled();
+  });
+
+  it('raises the stop on a new high, then sells on the retrace', async () => {
+    const order = withUpdate({
+      id: 'ms-trail-1', user_id: 'test-user-id', symbol: 'SCOM', side: 'SELL', quantity: '100',
+      order_type: 'trailing_stop', trail_percent: '10.0000', trail_amount: null,
+      high_water_mark: '20.00', stop_price: '18.00', currency: 'KES', exchange: 'NSE', status: 'PENDING',
+    });
+    MsOrder.findAll.mockResolvedValueOnce([]).mockResolvedValueOnce([]).mockResolvedValueOnce([order]);
+    ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', price: 25, usdPrice: 0.19, currency: 'KES' }]);
+
+    await msRestingOrderService.checkPendingOrders();
+
+    expect(order.high_water_mark).toBe(25);
+    expect(order.stop_price).toBeCloseTo(22.5);
+    expect(ms.placeTrade).not.toHaveBeenCalled();
+
+    MsOrder.findAll.mockResolvedValueOnce([]).mockResolvedValueOnce([]).mockResolvedValueOnce([order]);
+    MsOrder.update.mockResolvedValue([1]);
+    ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', price: 22.4, usdPrice: 0.17, currency: 'KES' }]);
+    ms.placeTrade.mockResolvedValue({ orderId: 'ms-1', localPrice: 22.4, usdPrice: 0.17, status: 'FILLED' });
+
+    await msRestingOrderService.checkPendingOrders();
+
+    expect(ms.placeTrade).toHaveBeenCalledWith('ms-sub-123', { symbol: 'SCOM', type: 'SELL', quantity: 100 });
+    expect(order.status).toBe('FILLED');
+  });
+});
+
+describe('Paper trailing stops', () => {
+  const filledBuy = { symbol: 'AAPL', side: 'BUY', quantity: '10', status: 'FILLED' };
+
+  it('rests a paper trailing stop without touching the demo balance', async () => {
+    const user = withUpdate({ id: 'test-user-id', demo_balance: '1000' });
+    User.findByPk.mockResolvedValue(user);
+    DemoOrder.findAll.mockResolvedValue([filledBuy]);
+    DemoOrder.create.mockImplementation(async (data) => withUpdate({ id: 'demo-trail-1', ...data }));
+    alpacaService.getLatestQuote.mockResolvedValue({ ap: 200, bp: 199.9 });
+
+    const res = await request(app)
+      .post('/api/v1/paper-trading/trade')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', side: 'SELL', qty: 10, type: 'trailing_stop', trail_percent: 5 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.order).toEqual(expect.objectContaining({ orderType: 'trailing_stop', stopPrice: 190, highWaterMark: 200, status: 'PENDING' }));
+    expect(user.update).not.toHaveBeenCalled();
+  });
+
+  it('prices an African paper trailing stop from the exact symbol\'s USD quote', async () => {
+    DemoOrder.findAll.mockResolvedValue([{ symbol: 'SCOM', side: 'BUY', quantity: '10', status: 'FILLED' }]);
+    DemoOrder.create.mockImplementation(async (data) => withUpdate({ id: 'demo-trail-2', ...data }));
+    ms.getStocks.mockResolvedValue([
+      { symbol: 'SCOMX', price: 5, usdPrice: 0.04, currency: 'KES' },
+      { symbol: 'SCOM', price: 20, usdPrice: 0.155, currency: 'KES' },
+    ]);
+
+    const res = await request(app)
+      .post('/api/v1/paper-trading/trade')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'SCOM', exchange: 'NSE', side: 'SELL', qty: 10, type: 'trailing_stop', trail_percent: 10 });
+
+    expect(res.status).toBe(201);
+    expect(DemoOrder.create).toHaveBeenCalledWith(expect.objectContaining({ high_water_mark: 0.155, currency: 'USD' }));
+  });
+
+  it('refuses a trailing stop for shares already promised to another one', async () => {
+    DemoOrder.findAll.mockResolvedValue([filledBuy, { symbol: 'AAPL', side: 'SELL', quantity: '8', status: 'PENDING' }]);
+
+    const res = await request(app)
+      .post('/api/v1/paper-trading/trade')
+      .set('Authorization', 'Bearer test')
+      .send({ symbol: 'AAPL', side: 'SELL', qty: 5, type: 'trailing_stop', trail_amount: 3 });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual(expect.objectContaining({ message: 'Insufficient shares', available: 2 }));
+    expect(DemoOrder.create).not.toHaveBeenCalled();
+  });
+
+  it('fills against the demo balance once the price retraces past the trail', async () => {
+    const user = withUpdate({ id: 'test-user-id', demo_balance: '1000' });
+    const order = withUpdate({
+      id: 'demo-trail-1', user_id: 'test-user-id', symbol: 'AAPL', side: 'SELL', quantity: '10',
+      order_type: 'trailing_stop', trail_percent: '5.0000', trail_amount: null,
+      high_water_mark: '200', stop_price: '190', exchange: null, status: 'PENDING',
+    });
+    DemoOrder.findAll
+      .mockResolvedValueOnce([order])
+      .mockResolvedValueOnce([filledBuy]);
+    DemoOrder.update.mockResolvedValue([1]);
+    User.findByPk.mockResolvedValue(user);
+    alpacaService.getLatestQuote.mockResolvedValue({ ap: 189, bp: 188.9 });
+
+    await paperOrderService.checkPendingOrders();
+
+    expect(DemoOrder.update).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'TRIGGERED' }),
+      { where: { id: 'demo-trail-1', status: 'PENDING' } }
+    );
+    expect(order.status).toBe('FILLED');
+    expect(order.gross_usd).toBe(1890);
+    expect(user.demo_balance).toBeCloseTo(1000 + 1890 - 1890 * 0.015);
+  });
+
+  it('cancels a pending paper trailing stop', async () => {
+    const order = withUpdate({ id: 'demo-trail-1', user_id: 'test-user-id', symbol: 'AAPL', side: 'SELL', quantity: '10', status: 'PENDING' });
+    DemoOrder.findOne.mockResolvedValue(order);
+
+    const res = await request(app)
+      .delete('/api/v1/paper-trading/orders/demo-trail-1')
+      .set('Authorization', 'Bearer test');
+
+    expect(res.status).toBe(200);
+    expect(order.status).toBe('CANCELLED');
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock('../src/models', () => ({
+  sequelize: { transaction: jest.fn() },
+  Wallet: { findByPk: jest.fn() },
+  Transaction: { findAll: jest.fn(), findByPk: jest.fn() },
+  WithdrawalReview: { findOne: jest.fn() },
+  WithdrawalReviewAction: { create: jest.fn() },
+}));
+jest.mock('../src/services/kcbService', () => ({
+  queryTransactionStatus: jest.fn(),
+}));
+jest.mock('../src/services/ledgerService', () => ({
+  recordDeposit: jest.fn(),
+  settlePayout: jest.fn(),
+  reversePayout: jest.fn(),
+}));
+jest.mock('../src/services/websocketService', () => ({
+  broadcastPaymentUpdate: jest.fn(),
+}));
+jest.mock('../src/utils/redisPayment', () => ({
+  publishPaymentEvent: jest.fn(),
+}));
+
+const { sequelize, Wallet, Transaction, WithdrawalReview, WithdrawalReviewAction } = require('../src/models');
+const kcbService = require('../src/services/kcbService');
+const ledgerService = require('../src/services/ledgerService');
+const websocketService = require('../src/services/websocketService');
+const pendingPaymentService = require('../src/services/pendingPaymentService');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60000);
+
+const makeTxn = (overrides = {}) => {
+  const txn = {
+    id: 'txn-1',
+    wallet_id: 'wallet-1',
+    type: 'deposit',
+    amount: '1000.00',
+    currency: 'KES',
+    status: 'pending',
+    reference: 'MSG-1',
+    checkout_request_id: 'ws_CO_1',
+    created_at: minutesAgo(5),
+    metadata: { paymentMethod: 'kcb_mpesa' },
+    ...overrides,
+  };
+  txn.update = jest.fn(async (values) => Object.assign(txn, values));
+  return txn;
+};
+
+const makeWallet = () => ({
+  id: 'wallet-1',
+  user_id: 'user-1',
+  kes_balance: '0.00',
+  usd_balance: '0.00',
+  unfreezeFunds: jest.fn(),
+  reload: jest.fn(),
+});
+
+let dbTransaction;
+let wallet;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dbTransaction = { commit: jest.fn(), rollback: jest.fn() };
+  sequelize.transaction.mockResolvedValue(dbTransaction);
+  wallet = makeWallet();
+  Wallet.findByPk.mockResolvedValue(wallet);
+  WithdrawalReview.findOne.mockResolvedValue(null);
+});
+
+describe('pendingPaymentService.checkTransaction', () => {
+  it('completes a deposit KCB reports as successful and broadcasts it', async () => {
+    const txn = makeTxn();
+    Transaction.findByPk.mockResolvedValue(txn);
+    kcbService.queryTransactionStatus.mockResolvedValue({
+      success: true,
+      data: { payload: { transactionStatus: 'SUCCESS', amount: '1000', mpesaReceiptNumber: 'QWE123' } },
+    });
+
+    const outcome = await pendingPaymentService.checkTransaction(txn, now);
+
+    expect(outcome).toBe('completed');
+    expect(kcbService.queryTransactionStatus).toHaveBeenCalledWith('ws_CO_1');
+    expect(ledgerService.recordDeposit).toHaveBeenCalledWith(wallet, expect.objectContaining({ amount: 1000, reference: 'MSG-1' }), { transaction: dbTransaction });
+    expect(txn.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'completed', mpesa_transaction_id: 'QWE123' }), { transaction: dbTransaction });
+    expect(dbTransaction.commit).toHaveBeenCalled();
+    expect(websocketService.broadcastPaymentUpdate).toHaveBeenCalledWith('MSG-1', expect.objectContaining({ status: 'completed', userId: 'user-1' }));
+  });
+
+  it('leaves a transaction the callback already settled alone', async () => {
+    const txn = makeTxn();
+    Transaction.findByPk.mockResolvedValue(makeTxn({ status: 'completed' }));
+    kcbService.queryTransactionStatus.mockResolvedValue({ success: true, data: { payload: { transactionStatus: 'SUCCESS' } } });
+
+    const outcome = await pendingPaymentService.checkTransaction(txn, now);
+
+    expect(outcome).toBe('pending');
+    expect(ledgerService.recordDeposit).not.toHaveBeenCalled();
+    expect(dbTransaction.rollback).toHaveBeenCalled();
+    expect(websocketService.broadcastPaymentUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refunds and unfreezes a withdrawal KCB reports as failed', async () => {
+    const txn = makeTxn({ type: 'withdrawal', amount: '-500.00', reference: 'WD-1', checkout_request_id: null, metadata: { paymentMethod: 'kcb_bank' } });
+    Transaction.findByPk.mockResolvedValue(txn);
+    kcbService.queryTransactionStatus.mockResolvedValue({
+      success: true,
+      data: { payload: { transactionStatus: 'FAILED', statusDescription: 'Invalid account' } },
+    });
+
+    const outcome = await pendingPaymentService.checkTransaction(txn, now);
+
+    expect(outcome).toBe('failed');
+    expect(kcbService.queryTransactionStatus).toHaveBeenCalledWith('WD-1');
+    expect(ledgerService.reversePayout).toHaveBeenCalledWith(wallet, expect.objectContaining({ amount: 500, reference: 'WD-1' }), { transaction: dbTransaction });
+    expect(wallet.unfreezeFunds).toHaveBeenCalledWith(500, 'KES', { transaction: dbTransaction });
+    expect(txn.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      metadata: expect.objectContaining({ failureReason: 'Invalid account', refundedAmount: 500 }),
+    }), { transaction: dbTransaction });
+  });
+
+  it('moves the withdrawal review on once the bank settles an approved payout', async () => {
+    const txn = makeTxn({ type: 'withdrawal', amount: '-500.00', reference: 'WD-1', checkout_request_id: null, metadata: { paymentMethod: 'kcb_bank' } });
+    const review = { id: 'review-1', status: 'processing', update: jest.fn() };
+    Transaction.findByPk.mockResolvedValue(txn);
+    WithdrawalReview.findOne.mockResolvedValue(review);
+    kcbService.queryTransactionStatus.mockResolvedValue({ success: true, data: { payload: { transactionStatus: 'SUCCESS' } } });
+
+    const outcome = await pendingPaymentService.checkTransaction(txn, now);
+
+    expect(outcome).toBe('completed');
+    expect(WithdrawalReview.findOne).toHaveBeenCalledWith({ where: { transaction_id: 'txn-1' }, transaction: dbTransaction });
+    expect(review.update).toHaveBeenCalledWith({ status: 'paid' }, { transaction: dbTransaction });
+    expect(WithdrawalReviewAction.create).toHaveBeenCalledWith(expect.objectContaining({ review_id: 'review-1', action: 'paid' }), { transaction: dbTransaction });
+  });
+
+  it('times out an STK push nobody answered', async () => {
+    const txn = makeTxn({ created_at: minutesAgo(20) });
+    Transaction.findByPk.mockResolvedValue(txn);
+    kcbService.queryTransactionStatus.mockResolvedValue({ success: false, error: 'Forbidden' });
+
+    const outcome = await pendingPaymentService.checkTransaction(txn, now);
+
+    expect(outcome).toBe('expired');
+    expect(txn.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      metadata: expect.objectContaining({ expiredBy: 'status_poller', failureReason: 'No confirmation from M-Pesa within 15 minutes' }),
+    }), { transaction: dbTransaction });
+    expect(websocketService.broadcastPaymentUpdate).toHaveBeenCalledWith('MSG-1', expect.objectContaining({ status: 'failed' }));
+  });
+
+  it('records the check on a recent transaction that is still pending', async () => {
+    const txn = makeTxn({ metadata: { paymentMethod: 'kcb_mpesa', statusChecks: 2 } });
+    kcbService.queryTransactionStatus.mockResolvedValue({ success: true, data: { payload: { transactionStatus: 'PENDING' } } });
+
+    const outcome = await pendingPaymentService.checkTransaction(txn, now);
+
+    expect(outcome).toBe('pending');
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+    expect(txn.update).toHaveBeenCalledWith({
+      metadata: expect.objectContaining({ statusChecks: 3, lastProviderStatus: 'pending', lastStatusCheckAt: now.toISOString() }),
+    });
+  });
+
+  it('flags a day-old withdrawal for review instead of refunding it', async () => {
+    const txn = makeTxn({ type: 'withdrawal', created_at: minutesAgo(25 * 60), metadata: { paymentMethod: 'kcb_mpesa' } });
+    kcbService.queryTransactionStatus.mockResolvedValue({ success: true, data: { payload: { transactionStatus: 'NOT_FOUND' } } });
+
+    const outcome = await pendingPaymentService.checkTransaction(txn, now);
+
+    expect(outcome).toBe('flagged');
+    expect(ledgerService.reversePayout).not.toHaveBeenCalled();
+    expect(txn.update).toHaveBeenCalledWith({ metadata: expect.objectContaining({ reviewRequired: true }) });
+    expect(websocketService.broadcastPaymentUpdate).toHaveBeenCalledWith('MSG-1', expect.objectContaining({ status: 'delayed' }));
+  });
+});
+
+describe('pendingPaymentService.checkPendingPayments', () => {
+  it('counts outcomes and keeps going past a failing transaction', async () => {
+    const broken = makeTxn({ id: 'txn-2', reference: 'MSG-2' });
+    Transaction.findAll.mockResolvedValue([makeTxn(), broken]);
+    kcbService.queryTransactionStatus
+      .mockResolvedValueOnce({ success: true, data: { payload: { transactionStatus: 'PENDING' } } })
+      .mockRejectedValueOnce(new Error('socket hang up'));
+
+    const stats = await pendingPaymentService.checkPendingPayments(now);
+
+    expect(stats).toEqual(expect.objectContaining({ checked: 2, pending: 1, errors: 1 }));
+    expect(pendingPaymentService.isProcessing).toBe(false);
+  });
+});
@@ -210,6 +210,7 @@ describe('GET /api/v1/portfolio/positions', () => {
       },
     ]);
     alpacaService.getLatestQuote.mockResolvedValue({ ap: 178.5, bp: 178.4 });
+    alpacaService.getAccount.mockResolvedValue({ cash: '5000', equity: '5357' });
     const Order = require('../src/models/Order');
     Order.findAll.mockResolvedValue([]);
 
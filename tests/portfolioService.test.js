@@ -0,0 +1,158 @@
+jest.mock('../src/models', () => ({
+  User: { findByPk: jest.fn() },
+  Wallet: { findOne: jest.fn() },
+  Order: { findAll: jest.fn() },
+  MsOrder: { findAll: jest.fn(), executedWhere: { status: 'FILLED' } },
+  DemoOrder: { findAll: jest.fn(), executedWhere: { status: 'FILLED' } },
+}));
+jest.mock('../src/services/alpacaService', () => ({
+  getAccount: jest.fn(),
+  getPositions: jest.fn(),
+  getLatestQuote: jest.fn(),
+  getCompanyLogo: jest.fn((symbol) => `https://logo/${symbol}`),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getPortfolio: jest.fn(),
+  getWallet: jest.fn(),
+  getUserOrders: jest.fn(),
+  getStocks: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(130),
+}));
+jest.mock('../src/services/platformConfigService', () => ({
+  getProviderFlags: jest.fn().mockResolvedValue({ alpacaEnabled: true, mystocksEnabled: true }),
+}));
+
+const { User, Wallet, Order, MsOrder, DemoOrder } = require('../src/models');
+const alpacaService = require('../src/services/alpacaService');
+const ms = require('../src/services/mystocksService');
+const { getProviderFlags } = require('../src/services/platformConfigService');
+const portfolioService = require('../src/services/portfolioService');
+
+const liveUser = {
+  id: 'user-1',
+  account_mode: 'live',
+  alpaca_account_id: 'alp-1',
+  mystocks_sub_account_id: 'sub-1',
+  mystocks_wallet_balance: '0',
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findByPk.mockResolvedValue(liveUser);
+  Wallet.findOne.mockResolvedValue({ kes_balance: '13000', usd_balance: '0' });
+  Order.findAll.mockResolvedValue([]);
+  MsOrder.findAll.mockResolvedValue([
+    { symbol: 'SCOM', exchange: 'NSE', side: 'BUY', quantity: '100', usd_price: '1.2' },
+  ]);
+  DemoOrder.findAll.mockResolvedValue([]);
+  alpacaService.getAccount.mockResolvedValue({ cash: '500', equity: '1500', buying_power: '1000', unrealized_pl: '20', status: 'ACTIVE' });
+  alpacaService.getPositions.mockResolvedValue([
+    { symbol: 'AAPL', qty: '5', market_value: '1000', cost_basis: '900', avg_entry_price: '180', current_price: '200', change_today: '0.01', lastday_price: '198', side: 'long', asset_class: 'us_equity' },
+  ]);
+  ms.getWallet.mockResolvedValue({ wallet: { balance: '50' } });
+  ms.getPortfolio.mockResolvedValue({ holdings: [{ symbol: 'SCOM', exchange: 'NSE', quantity: '100', usdPrice: '1.5' }] });
+  ms.getUserOrders.mockResolvedValue({
+    orders: [{ orderId: 'o-1', symbol: 'EQTY', exchange: 'NSE', quantity: '10', usdPriceAtOrder: '0.4', totalAmount: '4' }],
+  });
+  ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', usdPrice: '1.5', price: '195' }]);
+});
+
+describe('getUserPortfolio', () => {
+  it('merges Alpaca, MyStocks and the local wallet with a breakdown per provider', async () => {
+    const portfolio = await portfolioService.getUserPortfolio('user-1');
+
+    expect(portfolio).toMatchObject({
+      mode: 'alpaca',
+      cash: 650,
+      buyingPower: 1150,
+      holdingsValue: 1154,
+      equity: 1804,
+      dayChange: 20,
+      dayChangePercent: 1.12,
+      localWallet: { kesBalance: 13000, usdBalance: 0, totalUsd: 100 },
+    });
+    expect(portfolio.breakdown).toEqual([
+      expect.objectContaining({ provider: 'alpaca', cash: 500, equity: 1500, positionsCount: 1 }),
+      expect.objectContaining({ provider: 'mystocks', cash: 50, holdingsValue: 154, equity: 204, positionsCount: 2, errors: [] }),
+      expect.objectContaining({ provider: 'wallet', cash: 100, equity: 100, positionsCount: 0 }),
+    ]);
+    expect(portfolio.positions.map(p => [p.provider, p.symbol, p.status])).toEqual([
+      ['alpaca', 'AAPL', 'open'],
+      ['mystocks', 'SCOM', 'open'],
+      ['mystocks', 'EQTY', 'pending'],
+    ]);
+  });
+
+  it('takes MyStocks average cost from local order history when MyStocks has none', async () => {
+    const { positions } = await portfolioService.getUserPortfolio('user-1');
+
+    expect(positions.find(p => p.symbol === 'SCOM')).toMatchObject({
+      quantity: 100,
+      averageEntryPrice: 1.2,
+      currentPrice: 1.5,
+      marketValue: 150,
+      unrealizedPLPercent: 25,
+      assetClass: 'ke_equity',
+      currency: 'KES',
+    });
+  });
+
+  it('replays MyStocks positions from local history, and says so, when MyStocks is down', async () => {
+    User.findByPk.mockResolvedValue({ ...liveUser, alpaca_account_id: null });
+    ms.getPortfolio.mockRejectedValue(new Error('MyStocks unavailable'));
+    ms.getUserOrders.mockRejectedValue(new Error('MyStocks unavailable'));
+    MsOrder.findAll.mockResolvedValue([
+      { symbol: 'SCOM', exchange: 'NSE', side: 'BUY', quantity: '100', usd_price: '1.2' },
+      { symbol: 'SCOM', exchange: 'NSE', side: 'SELL', quantity: '40', usd_price: '1.3' },
+    ]);
+
+    const portfolio = await portfolioService.getUserPortfolio('user-1');
+
+    expect(portfolio.mode).toBe('mystocks');
+    expect(portfolio.positions).toEqual([expect.objectContaining({ symbol: 'SCOM', quantity: 60, currentPrice: 1.5, marketValue: 90 })]);
+    expect(portfolio.breakdown[0].errors).toEqual(['MyStocks portfolio unavailable', 'MyStocks pending orders unavailable']);
+    expect(alpacaService.getAccount).not.toHaveBeenCalled();
+  });
+
+  it('values the demo account on its own', async () => {
+    User.findByPk.mockResolvedValue({ ...liveUser, account_mode: 'demo', demo_balance: '9000' });
+    DemoOrder.findAll.mockResolvedValue([
+      { symbol: 'AAPL', exchange: 'NASDAQ', side: 'BUY', quantity: '2', price_usd: '100' },
+    ]);
+    alpacaService.getLatestQuote.mockResolvedValue({ ap: 110 });
+
+    const portfolio = await portfolioService.getUserPortfolio('user-1');
+
+    expect(portfolio).toMatchObject({ mode: 'demo', cash: 9000, holdingsValue: 220, equity: 9220 });
+    expect(portfolio.breakdown.map(b => b.provider)).toEqual(['demo']);
+    expect(portfolio.positions).toEqual([expect.objectContaining({ provider: 'demo', symbol: 'AAPL', unrealizedPL: 20, unrealizedPLPercent: 10 })]);
+  });
+
+  it('answers 503 when the user\'s provider is switched off, unless only valuing the account', async () => {
+    getProviderFlags.mockResolvedValueOnce({ alpacaEnabled: false, mystocksEnabled: false });
+    await expect(portfolioService.getUserPortfolio('user-1')).rejects.toMatchObject({ status: 503 });
+
+    const portfolio = await portfolioService.getPortfolio(liveUser, {
+      wallet: null, exchangeRate: 130, providerFlags: { alpacaEnabled: false, mystocksEnabled: false }, requireEnabled: false,
+    });
+    expect(portfolio.breakdown.map(b => b.provider)).toEqual(['alpaca', 'wallet']);
+  });
+
+  it('fails rather than leave out the Alpaca account', async () => {
+    alpacaService.getAccount.mockRejectedValue(new Error('Alpaca unavailable'));
+
+    await expect(portfolioService.getUserPortfolio('user-1')).rejects.toThrow('Alpaca unavailable');
+  });
+});
+
+describe('withKes', () => {
+  it('adds KES amounts to a position', () => {
+    const position = { marketValue: 10, costBasis: 8, unrealizedPL: 2, changeToday: 0.5 };
+
+    expect(portfolioService.withKes(position, 130)).toMatchObject({
+      marketValueKES: 1300, costBasisKES: 1040, unrealizedPLKES: 260, changeTodayKES: 65,
+    });
+  });
+});
@@ -0,0 +1,196 @@
+jest.mock('../src/models', () => ({
+  PortfolioSnapshot: { findOne: jest.fn(), findAll: jest.fn(), upsert: jest.fn() },
+  User: { findAll: jest.fn() },
+  Wallet: { findOne: jest.fn() },
+  Transaction: { findAll: jest.fn() },
+  Order: { findAll: jest.fn().mockResolvedValue([]) },
+  MsOrder: { findAll: jest.fn(), executedWhere: { status: 'FILLED' } },
+  DemoOrder: { findAll: jest.fn(), executedWhere: { status: 'FILLED' } },
+}));
+jest.mock('../src/services/alpacaService', () => ({
+  getAccount: jest.fn(),
+  getPositions: jest.fn(),
+  getLatestQuote: jest.fn(),
+  getBars: jest.fn(),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getWallet: jest.fn(),
+  getPortfolio: jest.fn(),
+  getStocks: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(130),
+}));
+jest.mock('../src/services/platformConfigService', () => ({
+  getProviderFlags: jest.fn().mockResolvedValue({ alpacaEnabled: true, mystocksEnabled: true }),
+}));
+
+const { Op } = require('sequelize');
+const { PortfolioSnapshot, User, Wallet, Transaction, MsOrder } = require('../src/models');
+const alpacaService = require('../src/services/alpacaService');
+const ms = require('../src/services/mystocksService');
+const portfolioSnapshotService = require('../src/services/portfolioSnapshotService');
+const { timeWeightedReturn, moneyWeightedReturn, maxDrawdown } = require('../src/utils/portfolioReturns');
+
+const providerFlags = { alpacaEnabled: true, mystocksEnabled: true };
+const msUser = {
+  id: 'user-1',
+  account_mode: 'live',
+  alpaca_account_id: null,
+  mystocks_sub_account_id: 'sub-1',
+  mystocks_wallet_balance: 0,
+};
+
+const snapshotRow = (date, equity, flow, netDeposits, benchmarkClose = null) => ({
+  snapshot_date: date,
+  provider: 'mystocks',
+  equity_usd: String(equity),
+  flow_usd: String(flow),
+  net_deposits_usd: String(netDeposits),
+  benchmark_close: benchmarkClose === null ? null : String(benchmarkClose),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Wallet.findOne.mockResolvedValue({ id: 'wallet-1', kes_balance: '13000', usd_balance: '0' });
+  PortfolioSnapshot.findOne.mockResolvedValue(null);
+  PortfolioSnapshot.upsert.mockImplementation(async values => [values, true]);
+  Transaction.findAll.mockResolvedValue([]);
+  MsOrder.findAll.mockResolvedValue([]);
+  ms.getWallet.mockResolvedValue({ wallet: { balance: '50' } });
+  ms.getPortfolio.mockResolvedValue({ holdings: [{ symbol: 'SCOM', exchange: 'NSE', quantity: '100', usdPrice: '1.5' }] });
+});
+
+describe('portfolio return measures', () => {
+  it('keeps deposits out of the time-weighted return', () => {
+    // 10% up on day two, while a 1,000 deposit lands the same day
+    const points = [
+      { date: '2026-10-01', equity: 1000, flow: 0 },
+      { date: '2026-10-02', equity: 2200, flow: 1000 },
+    ];
+
+    expect(timeWeightedReturn(points).return).toBeCloseTo(0.1, 10);
+  });
+
+  it('solves the money-weighted return from the dated cash flows', () => {
+    const points = [
+      { date: '2025-10-19', equity: 1000, flow: 0 },
+      { date: '2026-10-19', equity: 1100, flow: 0 },
+    ];
+
+    expect(moneyWeightedReturn(points).annualized).toBeCloseTo(0.1, 6);
+    expect(moneyWeightedReturn(points.slice(0, 1))).toBeNull();
+  });
+
+  it('measures the largest peak-to-trough fall', () => {
+    const series = [
+      { date: '2026-10-01', value: 1 },
+      { date: '2026-10-02', value: 1.2 },
+      { date: '2026-10-03', value: 0.9 },
+      { date: '2026-10-04', value: 1.3 },
+    ];
+
+    expect(maxDrawdown(series)).toEqual({ maxDrawdown: expect.closeTo(0.25, 10), peakDate: '2026-10-02', troughDate: '2026-10-03' });
+  });
+});
+
+describe('takeSnapshot', () => {
+  it('values MyStocks holdings, MyStocks cash and the local wallet, and totals every deposit on the first snapshot', async () => {
+    Transaction.findAll
+      // The day's flows, then every flow up to the end of the day
+      .mockResolvedValueOnce([{ type: 'deposit', amount: '6500', currency: 'KES' }])
+      .mockResolvedValueOnce([
+        { type: 'deposit', amount: '26000', currency: 'KES' },
+        { type: 'withdrawal', amount: '-20', currency: 'USD' },
+      ]);
+
+    const snapshot = await portfolioSnapshotService.takeSnapshot(msUser, { date: '2026-10-19', exchangeRate: 130, providerFlags, benchmarkClose: 580.25 });
+
+    expect(snapshot).toMatchObject({
+      user_id: 'user-1',
+      snapshot_date: '2026-10-19',
+      provider: 'mystocks',
+      holdings_value_usd: 150,
+      cash_usd: 150,
+      equity_usd: 300,
+      flow_usd: 50,
+      net_deposits_usd: 180,
+      breakdown: { mystocks: 200, wallet: 100 },
+      benchmark_close: 580.25,
+    });
+    expect(PortfolioSnapshot.upsert).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ conflictFields: ['user_id', 'snapshot_date'] }));
+  });
+
+  it('adds the flows since the previous snapshot to its net deposits', async () => {
+    PortfolioSnapshot.findOne.mockResolvedValue(snapshotRow('2026-10-18', 250, 0, 130));
+    Transaction.findAll.mockResolvedValue([{ type: 'withdrawal', amount: '-1300', currency: 'KES' }]);
+
+    const snapshot = await portfolioSnapshotService.takeSnapshot(msUser, { date: '2026-10-19', exchangeRate: 130, providerFlags });
+
+    expect(snapshot).toMatchObject({ flow_usd: -10, net_deposits_usd: 120 });
+    expect(Transaction.findAll).toHaveBeenCalledTimes(1);
+    expect(Transaction.findAll.mock.calls[0][0].where).toMatchObject({ tracking_only: false });
+  });
+
+  it('takes every flow since the previous snapshot when nights were missed', async () => {
+    PortfolioSnapshot.findOne.mockResolvedValue(snapshotRow('2026-10-16', 250, 0, 130));
+    Transaction.findAll.mockResolvedValue([{ type: 'deposit', amount: '2600', currency: 'KES' }]);
+
+    const snapshot = await portfolioSnapshotService.takeSnapshot(msUser, { date: '2026-10-19', exchangeRate: 130, providerFlags });
+
+    expect(snapshot).toMatchObject({ flow_usd: 20, net_deposits_usd: 150 });
+    const { created_at: createdAt } = Transaction.findAll.mock.calls[0][0].where;
+    expect(createdAt[Op.gte]).toEqual(new Date('2026-10-17T00:00:00.000Z'));
+    expect(createdAt[Op.lt]).toEqual(new Date('2026-10-20T00:00:00.000Z'));
+  });
+
+  it('writes nothing for an account that was never funded', async () => {
+    Wallet.findOne.mockResolvedValue(null);
+    ms.getWallet.mockResolvedValue({ wallet: { balance: '0' } });
+    ms.getPortfolio.mockResolvedValue({ holdings: [] });
+
+    await expect(portfolioSnapshotService.takeSnapshot(msUser, { date: '2026-10-19', exchangeRate: 130, providerFlags }))
+      .resolves.toBeNull();
+    expect(PortfolioSnapshot.upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe('run', () => {
+  it('snapshots every active user and carries on past a failed account', async () => {
+    alpacaService.getBars.mockResolvedValue([{ t: '2026-10-19T04:00:00Z', c: 580.25 }]);
+    alpacaService.getAccount.mockRejectedValue(new Error('Alpaca unavailable'));
+    User.findAll.mockResolvedValue([
+      { ...msUser, alpaca_account_id: 'alp-1', id: 'user-2' },
+      msUser,
+    ]);
+
+    const stats = await portfolioSnapshotService.run({ date: '2026-10-19' });
+
+    expect(stats).toEqual({ date: '2026-10-19', users: 2, snapshotted: 1, skipped: 0, failed: 1 });
+    expect(PortfolioSnapshot.upsert).toHaveBeenCalledTimes(1);
+    expect(PortfolioSnapshot.upsert.mock.calls[0][0]).toMatchObject({ user_id: 'user-1', benchmark_close: 580.25 });
+  });
+});
+
+describe('computeReturns', () => {
+  it('compares the time-weighted return with the benchmark over the same days', () => {
+    const returns = portfolioSnapshotService.computeReturns([
+      snapshotRow('2026-10-01', 1000, 0, 1000, 500),
+      snapshotRow('2026-10-02', 2200, 1000, 2000, 520),
+      snapshotRow('2026-10-03', 1980, 0, 2000, 510),
+    ]);
+
+    expect(returns).toMatchObject({
+      from: '2026-10-01',
+      to: '2026-10-03',
+      netFlows: 1000,
+      profit: -20,
+      timeWeightedReturn: -1,
+      maxDrawdown: 10,
+      maxDrawdownPeak: '2026-10-02',
+      maxDrawdownTrough: '2026-10-03',
+      benchmark: { symbol: 'SPY', return: 2, excessReturn: -3 },
+    });
+    expect(returns.equityCurve[1]).toMatchObject({ twrIndex: 1.1, benchmarkIndex: 1.04 });
+  });
+});
@@ -0,0 +1,205 @@
+jest.mock('../src/models', () => ({
+  sequelize: { Sequelize: { Op: {} }, query: jest.fn() },
+  User: { findAll: jest.fn() },
+  Wallet: { findAll: jest.fn() },
+  Transaction: { findAll: jest.fn() },
+  JournalEntry: { findAll: jest.fn() },
+  ReconciliationRun: { findOne: jest.fn(), create: jest.fn() },
+  ReconciliationDiscrepancy: { findOne: jest.fn(), create: jest.fn(), findByPk: jest.fn() },
+}));
+jest.mock('../src/services/kcbService', () => ({
+  queryTransactionStatus: jest.fn(),
+}));
+jest.mock('../src/services/alpacaService', () => ({
+  getTransfers: jest.fn(),
+  getAccount: jest.fn(),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getTransactions: jest.fn(),
+  getWallet: jest.fn(),
+}));
+jest.mock('../src/services/ledgerService', () => ({
+  verifyWallet: jest.fn(),
+}));
+
+const { sequelize, User, Wallet, Transaction, JournalEntry, ReconciliationRun, ReconciliationDiscrepancy } = require('../src/models');
+const kcbService = require('../src/services/kcbService');
+const alpacaService = require('../src/services/alpacaService');
+const ms = require('../src/services/mystocksService');
+const ledgerService = require('../src/services/ledgerService');
+const reconciliationService = require('../src/services/reconciliationService');
+
+const period = { since: new Date('2026-10-17T00:00:00Z'), until: new Date('2026-10-19T00:00:00Z') };
+const inPeriod = '2026-10-18T09:00:00Z';
+
+const kcbTxn = (overrides = {}) => ({
+  id: 'txn-1',
+  wallet_id: 'wallet-1',
+  wallet: { id: 'wallet-1', user_id: 'user-1' },
+  type: 'deposit',
+  amount: '1000.00',
+  currency: 'KES',
+  status: 'completed',
+  reference: 'MSG-1',
+  mpesa_transaction_id: null,
+  metadata: { paymentMethod: 'kcb_mpesa', mpesaReceiptNumber: 'QWE123' },
+  ...overrides,
+});
+
+const funding = (reference, metadata, amount = 1015) => ({
+  type: 'broker_funding',
+  reference,
+  metadata,
+  postings: [{ amount: String(amount) }, { amount: String(-amount) }],
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Transaction.findAll.mockResolvedValue([]);
+  JournalEntry.findAll.mockResolvedValue([]);
+  User.findAll.mockResolvedValue([]);
+});
+
+describe('reconciliationService.reconcileKcb', () => {
+  it('matches a completed M-Pesa deposit by reference, amount and receipt', async () => {
+    const txn = kcbTxn();
+    Transaction.findAll.mockResolvedValueOnce([txn]).mockResolvedValueOnce([txn]);
+    JournalEntry.findAll.mockResolvedValue([{ reference: 'MSG-1' }]);
+    kcbService.queryTransactionStatus.mockResolvedValue({
+      success: true,
+      data: { payload: { transactionStatus: 'SUCCESS', amount: '1000', mpesaReceiptNumber: 'QWE123' } },
+    });
+
+    const findings = [];
+    const stats = await reconciliationService.reconcileKcb(period, findings);
+
+    expect(kcbService.queryTransactionStatus).toHaveBeenCalledWith('MSG-1');
+    expect(findings).toEqual([]);
+    expect(stats).toEqual(expect.objectContaining({ checked: 1, matched: 1, unverified: 0 }));
+  });
+
+  it('flags a duplicated receipt, a missing ledger entry and a provider status mismatch', async () => {
+    const first = kcbTxn();
+    const second = kcbTxn({ id: 'txn-2', reference: 'MSG-2', status: 'pending' });
+    Transaction.findAll.mockResolvedValueOnce([first, second]).mockResolvedValueOnce([first, second]);
+    kcbService.queryTransactionStatus
+      .mockResolvedValueOnce({ success: true, data: { payload: { transactionStatus: 'SUCCESS', amount: 1000 } } })
+      .mockResolvedValueOnce({ success: true, data: { payload: { transactionStatus: 'SUCCESS', amount: 1000 } } });
+
+    const findings = [];
+    await reconciliationService.reconcileKcb(period, findings);
+
+    expect(findings.map(f => [f.type, f.reference])).toEqual([
+      ['duplicate', 'QWE123'],
+      ['missing_in_ledger', 'MSG-1'],
+      ['status_mismatch', 'MSG-2'],
+    ]);
+    expect(findings[2].details).toEqual({ internalStatus: 'pending', providerStatus: 'completed' });
+  });
+
+  it('leaves a transaction unverified when KCB cannot report its status', async () => {
+    Transaction.findAll.mockResolvedValueOnce([kcbTxn({ metadata: { paymentMethod: 'kcb_bank' } })]);
+    JournalEntry.findAll.mockResolvedValue([{ reference: 'MSG-1' }]);
+    kcbService.queryTransactionStatus.mockResolvedValue({ success: false, error: 'Forbidden' });
+
+    const findings = [];
+    const stats = await reconciliationService.reconcileKcb(period, findings);
+
+    expect(findings).toEqual([]);
+    expect(stats.unverified).toBe(1);
+  });
+});
+
+describe('reconciliationService.reconcileMyStocks', () => {
+  it('flags fundings MyStocks never received and deposits we never sent', async () => {
+    User.findAll.mockResolvedValue([{ id: 'user-1', mystocks_sub_account_id: 'ms-sub-1' }]);
+    JournalEntry.findAll.mockResolvedValue([
+      funding('ORDER_user-1_1', { provider: 'mystocks', userId: 'user-1', subAccountId: 'ms-sub-1' }),
+      funding('ORDER_user-1_2', { provider: 'mystocks', userId: 'user-1', subAccountId: 'ms-sub-1' }, 500),
+    ]);
+    ms.getTransactions.mockResolvedValue({
+      transactions: [
+        { id: 'd-1', type: 'DEPOSIT', reference: 'ORDER_user-1_1', localAmount: 1015, createdAt: inPeriod },
+        { id: 'd-9', type: 'DEPOSIT', reference: 'SOMETHING_ELSE', localAmount: 200, createdAt: inPeriod },
+      ],
+    });
+    ms.getWallet.mockResolvedValue({ wallet: { balance: 3.5 } });
+
+    const findings = [];
+    const stats = await reconciliationService.reconcileMyStocks(period, findings);
+
+    expect(findings.map(f => [f.type, f.reference])).toEqual([
+      ['missing_at_provider', 'ORDER_user-1_2'],
+      ['missing_internally', 'SOMETHING_ELSE'],
+    ]);
+    expect(stats).toEqual(expect.objectContaining({ accounts: 1, matched: 1, cashUsd: 3.5 }));
+  });
+});
+
+describe('reconciliationService.reconcileAlpaca', () => {
+  it('flags a transfer whose amount differs from what we funded', async () => {
+    User.findAll.mockResolvedValue([{ id: 'user-1', alpaca_account_id: 'alpaca-1' }]);
+    JournalEntry.findAll.mockResolvedValue([
+      funding('ALPACA_DEP_1', { provider: 'alpaca', userId: 'user-1', alpaca_transfer_id: 'tr-1', usd_amount: 100 }, 100),
+    ]);
+    alpacaService.getTransfers.mockResolvedValue([
+      { id: 'tr-1', direction: 'INCOMING', amount: '90', status: 'COMPLETE', created_at: inPeriod },
+    ]);
+    alpacaService.getAccount.mockResolvedValue({ cash: '250.00' });
+
+    const findings = [];
+    await reconciliationService.reconcileAlpaca(period, findings);
+
+    expect(findings).toEqual([
+      expect.objectContaining({ provider: 'alpaca', type: 'amount_mismatch', reference: 'tr-1', internal_amount: 100, provider_amount: 90 }),
+    ]);
+  });
+});
+
+describe('reconciliationService.reconcileLedger', () => {
+  it('flags wallets whose cached balance differs from the ledger', async () => {
+    sequelize.query.mockResolvedValue([{ wallet_id: 'wallet-1' }]);
+    Wallet.findAll.mockResolvedValue([{ id: 'wallet-1', user_id: 'user-1' }]);
+    ledgerService.verifyWallet.mockResolvedValue({
+      walletId: 'wallet-1',
+      balanced: false,
+      currencies: {
+        KES: { cached: 1000, ledger: 900, difference: 100, opened: true },
+        USD: { cached: 0, ledger: 0, difference: 0, opened: false },
+      },
+    });
+
+    const findings = [];
+    await reconciliationService.reconcileLedger(period, findings);
+
+    expect(findings).toEqual([
+      expect.objectContaining({ provider: 'ledger', type: 'balance_mismatch', reference: 'wallet-1:KES', internal_amount: 1000, provider_amount: 900 }),
+    ]);
+  });
+});
+
+describe('reconciliationService runs', () => {
+  it('updates an open discrepancy found again instead of duplicating it', async () => {
+    const existing = { occurrences: 2, internal_amount: '1000.00', provider_amount: null, update: jest.fn() };
+    ReconciliationDiscrepancy.findOne.mockResolvedValueOnce(existing).mockResolvedValueOnce(null);
+
+    const totals = await reconciliationService.recordDiscrepancies({ id: 'run-2' }, [
+      { provider: 'kcb', type: 'missing_in_ledger', reference: 'MSG-1', details: {} },
+      { provider: 'kcb', type: 'duplicate', reference: 'QWE123', details: {} },
+    ]);
+
+    expect(ReconciliationDiscrepancy.findOne).toHaveBeenCalledWith({ where: { fingerprint: 'kcb:missing_in_ledger:MSG-1', status: 'open' } });
+    expect(existing.update).toHaveBeenCalledWith(expect.objectContaining({ last_run_id: 'run-2', occurrences: 3 }));
+    expect(ReconciliationDiscrepancy.create).toHaveBeenCalledWith(expect.objectContaining({
+      fingerprint: 'kcb:duplicate:QWE123', run_id: 'run-2', last_run_id: 'run-2',
+    }));
+    expect(totals).toEqual({ total: 2, new: 1, recurring: 1, byType: { missing_in_ledger: 1, duplicate: 1 } });
+  });
+
+  it('refuses to start while another run is in progress', async () => {
+    ReconciliationRun.findOne.mockResolvedValue({ id: 'run-1', status: 'running' });
+
+    await expect(reconciliationService.createRun({ trigger: 'manual' })).rejects.toMatchObject({ status: 409 });
+    expect(ReconciliationRun.create).not.toHaveBeenCalled();
+  });
+});
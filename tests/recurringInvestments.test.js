@@ -0,0 +1,317 @@
+jest.mock('../src/models', () => ({
+  RecurringInvestmentPlan: { create: jest.fn(), count: jest.fn(), findAll: jest.fn(), findOne: jest.fn(), update: jest.fn() },
+  RecurringInvestmentExecution: { create: jest.fn(), findAll: jest.fn(), findAndCountAll: jest.fn() },
+  User: { findByPk: jest.fn() },
+}));
+jest.mock('../src/services/orderPlacementService', () => ({
+  placeOrder: jest.fn(),
+}));
+jest.mock('../src/services/tradingAccessService', () => ({
+  check: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../src/services/mystocksService', () => ({}));
+jest.mock('../src/services/exchangeService', () => ({}));
+jest.mock('../src/services/realtimeNotificationService', () => ({
+  sendToUser: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const { RecurringInvestmentPlan, RecurringInvestmentExecution, User } = require('../src/models');
+const orderPlacementService = require('../src/services/orderPlacementService');
+const tradingAccessService = require('../src/services/tradingAccessService');
+const realtimeNotificationService = require('../src/services/realtimeNotificationService');
+const recurringInvestmentService = require('../src/services/recurringInvestmentService');
+const { nextRunDate, validateSchedule } = require('../src/utils/recurringSchedule');
+
+// A Monday
+const now = new Date('2026-10-19T12:00:00Z');
+const user = { id: 'user-1', account_mode: 'live', kyc_status: 'approved' };
+
+const makePlan = (overrides = {}) => {
+  const plan = {
+    id: 'plan-1',
+    user_id: 'user-1',
+    amount: '1000.00',
+    funding_currency: 'KES',
+    targets: [
+      { symbol: 'SCOM', exchange: 'NSE', weight: 60 },
+      { symbol: 'AAPL', exchange: null, weight: 40 },
+    ],
+    frequency: 'weekly',
+    day_of_week: 1,
+    day_of_month: null,
+    on_insufficient_funds: 'retry',
+    status: 'active',
+    scheduled_for: new Date('2026-10-19T07:00:00Z'),
+    next_run_at: new Date('2026-10-19T07:00:00Z'),
+    retry_count: 0,
+    ...overrides,
+  };
+  plan.update = jest.fn(async values => Object.assign(plan, values));
+  return plan;
+};
+
+const respondWith = (responses) => {
+  orderPlacementService.placeOrder.mockImplementation(async (_userId, body) => {
+    const [status, response] = responses[body.symbol];
+    return { status, body: response };
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findByPk.mockResolvedValue(user);
+  tradingAccessService.check.mockResolvedValue(null);
+  RecurringInvestmentExecution.findAll.mockResolvedValue([]);
+  RecurringInvestmentExecution.create.mockImplementation(async data => ({ id: 'exec-1', ...data }));
+});
+
+describe('recurring schedule', () => {
+  it('runs daily plans at 07:00 UTC, the same day when that is still ahead', () => {
+    expect(nextRunDate({ frequency: 'daily' }, new Date('2026-10-19T06:00:00Z')).toISOString()).toBe('2026-10-19T07:00:00.000Z');
+    expect(nextRunDate({ frequency: 'daily' }, now).toISOString()).toBe('2026-10-20T07:00:00.000Z');
+  });
+
+  it('finds the next matching weekday and day of month', () => {
+    expect(nextRunDate({ frequency: 'weekly', dayOfWeek: 1 }, now).toISOString()).toBe('2026-10-26T07:00:00.000Z');
+    expect(nextRunDate({ frequency: 'weekly', dayOfWeek: 5 }, now).toISOString()).toBe('2026-10-23T07:00:00.000Z');
+    expect(nextRunDate({ frequency: 'monthly', dayOfMonth: 1 }, now).toISOString()).toBe('2026-11-01T07:00:00.000Z');
+    expect(nextRunDate({ frequency: 'monthly', dayOfMonth: 25 }, now).toISOString()).toBe('2026-10-25T07:00:00.000Z');
+  });
+
+  it('keeps a biweekly cadence from the previous run', () => {
+    const previous = new Date('2026-10-12T07:00:00Z');
+    expect(nextRunDate({ frequency: 'biweekly', dayOfWeek: 1 }, now, previous).toISOString()).toBe('2026-10-26T07:00:00.000Z');
+  });
+
+  it('requires the day a frequency needs', () => {
+    expect(validateSchedule({ frequency: 'weekly' })).toMatch(/dayOfWeek/);
+    expect(validateSchedule({ frequency: 'monthly', dayOfMonth: 31 })).toMatch(/dayOfMonth/);
+    expect(validateSchedule({ frequency: 'hourly' })).toMatch(/frequency/);
+    expect(validateSchedule({ frequency: 'daily' })).toBeNull();
+  });
+});
+
+describe('createPlan', () => {
+  beforeEach(() => {
+    RecurringInvestmentPlan.count.mockResolvedValue(0);
+    RecurringInvestmentPlan.create.mockImplementation(async data => ({ id: 'plan-1', ...data }));
+  });
+
+  it('splits a basket equally when no weights are given and schedules the first run', async () => {
+    const plan = await recurringInvestmentService.createPlan('user-1', {
+      amount: 1500,
+      fundingCurrency: 'kes',
+      frequency: 'weekly',
+      dayOfWeek: 1,
+      targets: [{ symbol: 'scom', exchange: 'nse' }, { symbol: 'EQTY', exchange: 'NSE' }, { symbol: 'KCB', exchange: 'NSE' }],
+    }, now);
+
+    expect(plan.funding_currency).toBe('KES');
+    expect(plan.targets.map(t => t.weight)).toEqual([33.33, 33.33, 33.34]);
+    expect(plan.targets[0]).toEqual({ symbol: 'SCOM', exchange: 'NSE', weight: 33.33 });
+    expect(plan.next_run_at.toISOString()).toBe('2026-10-26T07:00:00.000Z');
+    expect(plan.on_insufficient_funds).toBe('retry');
+  });
+
+  it('rejects weights that do not add up to 100', async () => {
+    await expect(recurringInvestmentService.createPlan('user-1', {
+      amount: 50,
+      fundingCurrency: 'USD',
+      frequency: 'daily',
+      targets: [{ symbol: 'AAPL', weight: 50 }, { symbol: 'MSFT', weight: 30 }],
+    }, now)).rejects.toMatchObject({ status: 400, message: 'Target weights must add up to 100' });
+    expect(RecurringInvestmentPlan.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects amounts below the currency minimum', async () => {
+    await expect(recurringInvestmentService.createPlan('user-1', {
+      amount: 50,
+      fundingCurrency: 'KES',
+      frequency: 'daily',
+      targets: [{ symbol: 'SCOM', exchange: 'NSE' }],
+    }, now)).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('enforces the active plan limit', async () => {
+    RecurringInvestmentPlan.count.mockResolvedValue(recurringInvestmentService.maxActivePlansPerUser);
+
+    await expect(recurringInvestmentService.createPlan('user-1', {
+      amount: 10,
+      fundingCurrency: 'USD',
+      frequency: 'daily',
+      targets: [{ symbol: 'AAPL' }],
+    }, now)).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('executePlan', () => {
+  it('places a market BUY per target through the order pipeline and advances the plan', async () => {
+    respondWith({
+      SCOM: [201, { success: true, provider: 'mystocks', order: { id: 'ms-order-1' } }],
+      AAPL: [201, { success: true, order: { id: 'alpaca-order-1' } }],
+    });
+    const plan = makePlan();
+
+    const execution = await recurringInvestmentService.executePlan(plan, now);
+
+    const { placeOrder } = orderPlacementService;
+    expect(placeOrder).toHaveBeenCalledTimes(2);
+    const [userId, scomBody, options] = placeOrder.mock.calls[0];
+    expect(userId).toBe('user-1');
+    expect(tradingAccessService.check).toHaveBeenCalledWith(user, scomBody);
+    expect(scomBody).toEqual(expect.objectContaining({
+      symbol: 'SCOM', exchange: 'NSE', side: 'buy', type: 'market', notional: 600, notional_currency: 'KES',
+    }));
+    expect(options).toEqual({ idempotencyKey: 'recurring:plan-1:2026-10-19T07:00:00.000Z:NSE:SCOM' });
+    expect(placeOrder.mock.calls[1][1]).toEqual(expect.objectContaining({ symbol: 'AAPL', notional: 400 }));
+    expect(placeOrder.mock.calls[1][1].exchange).toBeUndefined();
+
+    expect(execution.status).toBe('completed');
+    expect(execution.amount).toBe(1000);
+    expect(execution.orders.map(o => o.orderId)).toEqual(['ms-order-1', 'alpaca-order-1']);
+    expect(plan.update).toHaveBeenCalledWith(expect.objectContaining({
+      scheduled_for: new Date('2026-10-26T07:00:00Z'),
+      next_run_at: new Date('2026-10-26T07:00:00Z'),
+      retry_count: 0,
+      last_run_status: 'completed',
+    }));
+    expect(realtimeNotificationService.sendToUser).toHaveBeenCalledWith('user-1', 'recurring_investment',
+      expect.objectContaining({ planId: 'plan-1', status: 'completed' }),
+      { type: 'recurring_investment', dedupe: true });
+  });
+
+  it('schedules a retry when funds are short under the retry policy', async () => {
+    respondWith({
+      SCOM: [400, { success: false, message: 'Insufficient balance' }],
+      AAPL: [400, { success: false, message: 'Insufficient funds to place this order' }],
+    });
+    const plan = makePlan();
+
+    const execution = await recurringInvestmentService.executePlan(plan, now);
+
+    expect(execution.status).toBe('skipped');
+    expect(execution.amount).toBe(0);
+    expect(execution.retry_at).toEqual(new Date('2026-10-19T16:00:00Z'));
+    expect(plan.update).toHaveBeenCalledWith(expect.objectContaining({
+      next_run_at: new Date('2026-10-19T16:00:00Z'),
+      retry_count: 1,
+      last_run_status: 'skipped',
+    }));
+    expect(plan.scheduled_for).toEqual(new Date('2026-10-19T07:00:00Z'));
+  });
+
+  it('skips to the next run when funds are short under the skip policy', async () => {
+    respondWith({
+      SCOM: [400, { success: false, message: 'Insufficient balance' }],
+      AAPL: [400, { success: false, message: 'Insufficient funds to place this order' }],
+    });
+    const plan = makePlan({ on_insufficient_funds: 'skip' });
+
+    const execution = await recurringInvestmentService.executePlan(plan, now);
+
+    expect(execution.status).toBe('skipped');
+    expect(execution.retry_at).toBeNull();
+    expect(plan.next_run_at).toEqual(new Date('2026-10-26T07:00:00Z'));
+  });
+
+  it('gives up once the retries are used', async () => {
+    respondWith({
+      SCOM: [400, { success: false, message: 'Insufficient balance' }],
+      AAPL: [400, { success: false, message: 'Insufficient funds to place this order' }],
+    });
+    const plan = makePlan({ retry_count: 3 });
+
+    const execution = await recurringInvestmentService.executePlan(plan, now);
+
+    expect(execution.attempt).toBe(4);
+    expect(execution.retry_at).toBeNull();
+    expect(plan.retry_count).toBe(0);
+    expect(plan.next_run_at).toEqual(new Date('2026-10-26T07:00:00Z'));
+  });
+
+  it('only buys the targets an earlier attempt missed', async () => {
+    RecurringInvestmentExecution.findAll.mockResolvedValue([{
+      orders: [
+        { symbol: 'SCOM', exchange: 'NSE', outcome: 'placed' },
+        { symbol: 'AAPL', exchange: null, outcome: 'insufficient_funds' },
+      ],
+    }]);
+    respondWith({ AAPL: [201, { success: true, order: { id: 'alpaca-order-1' } }] });
+    const plan = makePlan({ retry_count: 1 });
+
+    const execution = await recurringInvestmentService.executePlan(plan, now);
+
+    expect(orderPlacementService.placeOrder).toHaveBeenCalledTimes(1);
+    expect(orderPlacementService.placeOrder.mock.calls[0][1].symbol).toBe('AAPL');
+    expect(execution.attempt).toBe(2);
+    expect(execution.status).toBe('completed');
+    expect(execution.amount).toBe(400);
+  });
+
+  it('retries provider errors whatever the funding policy', async () => {
+    respondWith({
+      SCOM: [201, { success: true, order: { id: 'ms-order-1' } }],
+      AAPL: [500, { success: false, message: 'Failed to place order' }],
+    });
+    const plan = makePlan({ on_insufficient_funds: 'skip' });
+
+    const execution = await recurringInvestmentService.executePlan(plan, now);
+
+    expect(execution.status).toBe('partial');
+    expect(execution.amount).toBe(600);
+    expect(execution.retry_at).not.toBeNull();
+    expect(execution.error).toBe('AAPL: Failed to place order');
+  });
+
+  it('does not retry an African order whose outcome is unknown, or place it again later', async () => {
+    respondWith({
+      SCOM: [502, { success: false, message: 'We could not confirm whether your order was placed.' }],
+      AAPL: [400, { success: false, message: 'Insufficient funds to place this order' }],
+    });
+    const plan = makePlan();
+
+    const execution = await recurringInvestmentService.executePlan(plan, now);
+
+    expect(execution.orders.map(o => o.outcome)).toEqual(['unknown', 'insufficient_funds']);
+    expect(execution.retry_at).not.toBeNull();
+
+    RecurringInvestmentExecution.findAll.mockResolvedValue([{ orders: execution.orders }]);
+    respondWith({ AAPL: [201, { success: true, order: { id: 'alpaca-order-1' } }] });
+    orderPlacementService.placeOrder.mockClear();
+
+    await recurringInvestmentService.executePlan(plan, now);
+
+    expect(orderPlacementService.placeOrder).toHaveBeenCalledTimes(1);
+    expect(orderPlacementService.placeOrder.mock.calls[0][1].symbol).toBe('AAPL');
+  });
+
+  it('returns the access check refusal without placing the order', async () => {
+    tradingAccessService.check.mockResolvedValue({ status: 403, body: { success: false, message: 'KYC verification required for this action.' } });
+    const plan = makePlan();
+
+    const execution = await recurringInvestmentService.executePlan(plan, now);
+
+    expect(orderPlacementService.placeOrder).not.toHaveBeenCalled();
+    expect(execution.status).toBe('failed');
+    expect(execution.retry_at).toBeNull();
+  });
+});
+
+describe('runDuePlans', () => {
+  it('runs only the plans it manages to claim', async () => {
+    const claimed = makePlan({ id: 'plan-1' });
+    const taken = makePlan({ id: 'plan-2' });
+    RecurringInvestmentPlan.findAll.mockResolvedValue([claimed, taken]);
+    RecurringInvestmentPlan.update.mockResolvedValueOnce([1]).mockResolvedValueOnce([0]);
+    respondWith({
+      SCOM: [201, { success: true }],
+      AAPL: [201, { success: true }],
+    });
+
+    const result = await recurringInvestmentService.runDuePlans(now);
+
+    expect(result).toEqual({ ran: 1 });
+    expect(RecurringInvestmentExecution.create).toHaveBeenCalledTimes(1);
+    expect(RecurringInvestmentExecution.create.mock.calls[0][0].plan_id).toBe('plan-1');
+  });
+});
@@ -0,0 +1,265 @@
+jest.mock('../src/models', () => ({
+  sequelize: { transaction: jest.fn() },
+  StandingDeposit: { create: jest.fn(), count: jest.fn(), findAll: jest.fn(), findOne: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+  Transaction: { create: jest.fn(), findAndCountAll: jest.fn() },
+  User: { findByPk: jest.fn() },
+  Wallet: { findByPk: jest.fn() },
+  RecurringInvestmentPlan: { findByPk: jest.fn(), update: jest.fn() },
+}));
+jest.mock('../src/services/mpesaDepositService', () => ({
+  initiate: jest.fn(),
+}));
+jest.mock('../src/services/kcbService', () => ({
+  formatPhoneNumber: jest.fn(phone => phone.replace(/\D/g, '').replace(/^0/, '254')),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  convertCurrency: jest.fn().mockResolvedValue({ convertedAmount: 38.68, rate: 0.007736 }),
+  calculateForexFees: jest.fn().mockReturnValue(0.58),
+}));
+jest.mock('../src/services/ledgerService', () => ({
+  recordConversion: jest.fn().mockResolvedValue({}),
+}));
+jest.mock('../src/services/notificationService', () => ({
+  sendStandingDepositReminder: jest.fn().mockResolvedValue({ success: true }),
+  sendStandingDepositFailed: jest.fn().mockResolvedValue({ success: true }),
+}));
+jest.mock('../src/services/recurringInvestmentService', () => ({
+  getUserPlan: jest.fn(),
+}));
+
+const { sequelize, StandingDeposit, Transaction, User, Wallet, RecurringInvestmentPlan } = require('../src/models');
+const mpesaDepositService = require('../src/services/mpesaDepositService');
+const ledgerService = require('../src/services/ledgerService');
+const notificationService = require('../src/services/notificationService');
+const recurringInvestmentService = require('../src/services/recurringInvestmentService');
+const standingDepositService = require('../src/services/standingDepositService');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const user = { id: 'user-1', first_name: 'Test', phone: '0712345678', auto_convert_deposits: false };
+const dbTransaction = { commit: jest.fn(), rollback: jest.fn() };
+
+const makeDeposit = (overrides = {}) => {
+  const deposit = {
+    id: 'deposit-1',
+    user_id: 'user-1',
+    phone_number: '254712345678',
+    amount: '5000.00',
+    day_of_month: 19,
+    recurring_plan_id: null,
+    status: 'active',
+    next_run_at: new Date('2026-10-19T07:00:00Z'),
+    reminded_for: null,
+    last_run_at: null,
+    consecutive_failures: 0,
+    ...overrides,
+  };
+  Object.defineProperty(deposit, 'isActive', { get: () => deposit.status === 'active' });
+  deposit.update = jest.fn(async values => Object.assign(deposit, values));
+  return deposit;
+};
+
+const makeTxn = (overrides = {}) => {
+  const txn = {
+    id: 'txn-1',
+    wallet_id: 'wallet-1',
+    reference: 'MSG123',
+    amount: '5000.00',
+    status: 'completed',
+    metadata: { paymentMethod: 'kcb_mpesa', standingDepositId: 'deposit-1' },
+    ...overrides,
+  };
+  txn.update = jest.fn(async values => Object.assign(txn, values));
+  return txn;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findByPk.mockResolvedValue(user);
+  StandingDeposit.count.mockResolvedValue(0);
+  StandingDeposit.create.mockImplementation(async data => ({ id: 'deposit-1', ...data }));
+  StandingDeposit.update.mockResolvedValue([1]);
+  StandingDeposit.findAll.mockResolvedValue([]);
+  RecurringInvestmentPlan.update.mockResolvedValue([0]);
+  sequelize.transaction.mockResolvedValue(dbTransaction);
+  Wallet.findByPk.mockResolvedValue({ id: 'wallet-1' });
+});
+
+describe('createDeposit', () => {
+  it('defaults to the account phone and schedules the first push', async () => {
+    const deposit = await standingDepositService.createDeposit('user-1', { amount: 5000, dayOfMonth: 1 }, now);
+
+    expect(deposit.phone_number).toBe('254712345678');
+    expect(deposit.amount).toBe(5000);
+    expect(deposit.next_run_at.toISOString()).toBe('2026-11-01T07:00:00.000Z');
+  });
+
+  it('checks a linked recurring plan belongs to the user', async () => {
+    recurringInvestmentService.getUserPlan.mockRejectedValue(Object.assign(new Error('Recurring investment not found'), { status: 404 }));
+
+    await expect(standingDepositService.createDeposit('user-1', {
+      amount: 5000, dayOfMonth: 1, recurringPlanId: 'plan-9',
+    }, now)).rejects.toMatchObject({ status: 404 });
+    expect(StandingDeposit.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects a phone number that is not a Kenyan mobile number', async () => {
+    await expect(standingDepositService.createDeposit('user-1', {
+      amount: 5000, dayOfMonth: 1, phoneNumber: '12345',
+    }, now)).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('rejects days past the 28th', async () => {
+    await expect(standingDepositService.createDeposit('user-1', {
+      amount: 5000, dayOfMonth: 30,
+    }, now)).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('runDue', () => {
+  it('reminds once for a push due within a day', async () => {
+    const upcoming = makeDeposit({ next_run_at: new Date('2026-10-20T07:00:00Z'), day_of_month: 20 });
+    StandingDeposit.findAll.mockResolvedValueOnce([upcoming]).mockResolvedValueOnce([]);
+
+    const first = await standingDepositService.runDue(now);
+    StandingDeposit.findAll.mockResolvedValueOnce([upcoming]).mockResolvedValueOnce([]);
+    const second = await standingDepositService.runDue(now);
+
+    expect(first.reminded).toBe(1);
+    expect(second.reminded).toBe(0);
+    expect(notificationService.sendStandingDepositReminder).toHaveBeenCalledTimes(1);
+    expect(notificationService.sendStandingDepositReminder).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      standingDepositId: 'deposit-1', amount: '5,000.00',
+    }));
+  });
+
+  it('claims a due deposit for next month and sends the STK push tagged with its id', async () => {
+    const deposit = makeDeposit();
+    StandingDeposit.findAll.mockResolvedValueOnce([]).mockResolvedValueOnce([deposit]);
+    mpesaDepositService.initiate.mockResolvedValue({ success: true, transaction: { id: 'txn-1', reference: 'MSG123' } });
+
+    const stats = await standingDepositService.runDue(now);
+
+    expect(stats.pushed).toBe(1);
+    expect(StandingDeposit.update).toHaveBeenCalledWith(
+      { next_run_at: new Date('2026-11-19T07:00:00Z') },
+      { where: { id: 'deposit-1', status: 'active', next_run_at: deposit.next_run_at } }
+    );
+    expect(mpesaDepositService.initiate).toHaveBeenCalledWith(user, expect.objectContaining({
+      phoneNumber: '254712345678',
+      amount: 5000,
+      metadata: expect.objectContaining({ standingDepositId: 'deposit-1' }),
+    }));
+    expect(deposit.update).toHaveBeenCalledWith({ last_run_at: now, last_run_status: 'pending', last_transaction_id: 'txn-1' });
+  });
+
+  it('leaves a deposit another runner claimed', async () => {
+    StandingDeposit.findAll.mockResolvedValueOnce([]).mockResolvedValueOnce([makeDeposit()]);
+    StandingDeposit.update.mockResolvedValue([0]);
+
+    const stats = await standingDepositService.runDue(now);
+
+    expect(stats.pushed).toBe(0);
+    expect(mpesaDepositService.initiate).not.toHaveBeenCalled();
+  });
+
+  it('notifies the user when the push cannot be sent and pauses after repeated failures', async () => {
+    const deposit = makeDeposit({ consecutive_failures: 2 });
+    StandingDeposit.findAll.mockResolvedValueOnce([]).mockResolvedValueOnce([deposit]);
+    mpesaDepositService.initiate.mockResolvedValue({ success: false, error: 'Request failed with status code 500' });
+
+    await standingDepositService.runDue(now);
+
+    expect(deposit.status).toBe('paused');
+    expect(deposit.next_run_at).toBeNull();
+    expect(deposit.consecutive_failures).toBe(3);
+    expect(notificationService.sendStandingDepositFailed).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      reason: 'Request failed with status code 500', paused: true,
+    }));
+  });
+});
+
+describe('handleSettlement', () => {
+  it('ignores deposits a standing deposit did not start', async () => {
+    await standingDepositService.handleSettlement(makeTxn({ metadata: { paymentMethod: 'kcb_mpesa' } }));
+
+    expect(StandingDeposit.findByPk).not.toHaveBeenCalled();
+  });
+
+  it('resets the failure count on a completed push and leaves KES alone without auto-convert', async () => {
+    const deposit = makeDeposit({ consecutive_failures: 1 });
+    StandingDeposit.findByPk.mockResolvedValue(deposit);
+
+    await standingDepositService.handleSettlement(makeTxn(), now);
+
+    expect(deposit.consecutive_failures).toBe(0);
+    expect(deposit.last_run_status).toBe('completed');
+    expect(ledgerService.recordConversion).not.toHaveBeenCalled();
+  });
+
+  it('auto-converts a completed push to USD when the user has auto-convert on', async () => {
+    StandingDeposit.findByPk.mockResolvedValue(makeDeposit());
+    User.findByPk.mockResolvedValue({ ...user, auto_convert_deposits: true });
+    const txn = makeTxn();
+
+    await standingDepositService.handleSettlement(txn, now);
+
+    expect(ledgerService.recordConversion).toHaveBeenCalledWith({ id: 'wallet-1' }, expect.objectContaining({
+      fromCurrency: 'KES', fromAmount: 5000, toCurrency: 'USD', convertedAmount: 38.68, fee: 0.58, reference: 'AUTOCONV_MSG123',
+    }), { transaction: dbTransaction });
+    expect(Transaction.create).toHaveBeenCalledTimes(2);
+    expect(dbTransaction.commit).toHaveBeenCalled();
+    expect(txn.metadata.autoConversion).toEqual({ usdAmount: 38.1, rate: 0.007736, fees: 0.58 });
+  });
+
+  it('leaves the deposit in KES when it funds a linked plan that invests in KES', async () => {
+    StandingDeposit.findByPk.mockResolvedValue(makeDeposit({ recurring_plan_id: 'plan-1' }));
+    User.findByPk.mockResolvedValue({ ...user, auto_convert_deposits: true });
+    RecurringInvestmentPlan.findByPk.mockResolvedValue({ id: 'plan-1', funding_currency: 'KES' });
+    RecurringInvestmentPlan.update.mockResolvedValue([1]);
+
+    await standingDepositService.handleSettlement(makeTxn(), now);
+
+    expect(ledgerService.recordConversion).not.toHaveBeenCalled();
+    expect(Transaction.create).not.toHaveBeenCalled();
+    expect(RecurringInvestmentPlan.update).toHaveBeenCalled();
+  });
+
+  it('does not convert the same deposit twice', async () => {
+    StandingDeposit.findByPk.mockResolvedValue(makeDeposit());
+    User.findByPk.mockResolvedValue({ ...user, auto_convert_deposits: true });
+
+    await standingDepositService.handleSettlement(makeTxn({
+      metadata: { standingDepositId: 'deposit-1', autoConversion: { usdAmount: 38.1 } },
+    }), now);
+
+    expect(ledgerService.recordConversion).not.toHaveBeenCalled();
+  });
+
+  it('releases a linked recurring plan waiting on a retry', async () => {
+    StandingDeposit.findByPk.mockResolvedValue(makeDeposit({ recurring_plan_id: 'plan-1' }));
+    RecurringInvestmentPlan.update.mockResolvedValue([1]);
+
+    await standingDepositService.handleSettlement(makeTxn(), now);
+
+    expect(RecurringInvestmentPlan.update).toHaveBeenCalledWith(
+      { next_run_at: now },
+      { where: { id: 'plan-1', status: 'active', retry_count: expect.any(Object) } }
+    );
+  });
+
+  it('counts a failed push and tells the user why', async () => {
+    const deposit = makeDeposit();
+    StandingDeposit.findByPk.mockResolvedValue(deposit);
+
+    await standingDepositService.handleSettlement(makeTxn({
+      status: 'failed',
+      metadata: { standingDepositId: 'deposit-1', failureReason: 'User cancelled the transaction' },
+    }), now);
+
+    expect(deposit.consecutive_failures).toBe(1);
+    expect(deposit.status).toBe('active');
+    expect(notificationService.sendStandingDepositFailed).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      reason: 'User cancelled the transaction', paused: false,
+    }));
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../src/models', () => ({
+  User: { findByPk: jest.fn() },
+  Order: { findAll: jest.fn() },
+  MsOrder: { findAll: jest.fn(), executedWhere: {} },
+  DemoOrder: { findAll: jest.fn(), executedWhere: { status: 'FILLED' } },
+}));
+jest.mock('../src/services/alpacaService', () => ({
+  getPositions: jest.fn(),
+  getLatestQuote: jest.fn(),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getStocks: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(130),
+}));
+
+const { User, Order, MsOrder, DemoOrder } = require('../src/models');
+const alpacaService = require('../src/services/alpacaService');
+const ms = require('../src/services/mystocksService');
+const taxLotService = require('../src/services/taxLotService');
+const { matchLots } = require('../src/utils/taxLots');
+
+const fill = (side, quantity, priceUsd, date, extra = {}) => ({
+  provider: 'mystocks', orderId: `${side}-${date}`, symbol: 'SCOM', exchange: 'NSE',
+  side, quantity, priceUsd, feeUsd: 0, exchangeRate: null, date: new Date(date), ...extra,
+});
+
+// Two buys at 1.00 and 2.00, then 15 of the 20 shares sold at 3.00
+const fills = [
+  fill('buy', 10, 1, '2026-01-05'),
+  fill('buy', 10, 2, '2026-02-05'),
+  fill('sell', 15, 3, '2026-03-05'),
+];
+
+describe('matchLots', () => {
+  it('sells the oldest lots first under FIFO', () => {
+    const { positions, disposals } = matchLots(fills, 'fifo');
+
+    expect(disposals[0]).toMatchObject({ quantity: 15, proceedsUsd: 45, costBasisUsd: 20, realizedPLUsd: 25, unmatchedQuantity: 0 });
+    expect(disposals[0].acquiredAt).toEqual(new Date('2026-01-05'));
+    expect(positions[0].lots).toEqual([expect.objectContaining({ quantity: 5, costUsd: 10 })]);
+  });
+
+  it('sells the newest lots first under LIFO', () => {
+    const { positions, disposals } = matchLots(fills, 'lifo');
+
+    expect(disposals[0]).toMatchObject({ costBasisUsd: 25, realizedPLUsd: 20 });
+    expect(positions[0].lots).toEqual([expect.objectContaining({ quantity: 5, costUsd: 5 })]);
+  });
+
+  it('keeps the average cost of what is left under average cost', () => {
+    const { positions, disposals } = matchLots(fills, 'average');
+
+    expect(disposals[0].costBasisUsd).toBeCloseTo(22.5, 10);
+    const remaining = positions[0].lots;
+    const quantity = remaining.reduce((sum, lot) => sum + lot.quantity, 0);
+    const cost = remaining.reduce((sum, lot) => sum + lot.costUsd, 0);
+    expect(quantity).toBeCloseTo(5, 10);
+    expect(cost / quantity).toBeCloseTo(1.5, 10);
+  });
+
+  it('adds buy fees to cost, takes sell fees off proceeds and flags sells with no lots behind them', () => {
+    const { disposals } = matchLots([
+      fill('buy', 10, 1, '2026-01-05', { feeUsd: 0.5 }),
+      fill('sell', 12, 2, '2026-03-05', { feeUsd: 0.4 }),
+    ], 'fifo');
+
+    expect(disposals[0]).toMatchObject({ proceedsUsd: 23.6, costBasisUsd: 10.5, unmatchedQuantity: 2 });
+    expect(disposals[0].realizedPLUsd).toBeCloseTo(13.1, 10);
+  });
+});
+
+describe('getProfitAndLoss', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByPk.mockResolvedValue({ id: 'user-1', account_mode: 'live', alpaca_account_id: 'alp-1' });
+    Order.findAll.mockResolvedValue([
+      { id: 'o1', symbol: 'AAPL', side: 'buy', quantity: '2', filled_quantity: '2', average_price: '100', fees: { commission: { amountUsd: 2 } }, filled_at: new Date('2026-01-10') },
+      { id: 'o2', symbol: 'AAPL', side: 'sell', quantity: '1', filled_quantity: '1', average_price: '150', fees: {}, filled_at: new Date('2026-06-10') },
+    ]);
+    MsOrder.findAll.mockResolvedValue([
+      { id: 'm1', symbol: 'SCOM', exchange: 'NSE', side: 'BUY', quantity: '100', usd_price: '0.2', local_price: '26', fee_usd: '0', currency: 'KES', filled_at: new Date('2026-02-01') },
+    ]);
+    alpacaService.getPositions.mockResolvedValue([{ symbol: 'AAPL', current_price: '160' }]);
+    ms.getStocks.mockResolvedValue([{ symbol: 'SCOM', price: '39', usdPrice: '0.3', currency: 'KES' }]);
+  });
+
+  it('reports realized P&L in the period and unrealized P&L on open lots across Alpaca and MyStocks', async () => {
+    const pnl = await taxLotService.getProfitAndLoss('user-1', { method: 'fifo', from: '2026-06-01', to: '2026-06-30' });
+
+    expect(pnl.positions).toEqual(expect.arrayContaining([
+      expect.objectContaining({ provider: 'alpaca', symbol: 'AAPL', quantity: 1, costBasisUsd: 101, marketValueUsd: 160, unrealizedPLUsd: 59, realizedPLUsd: 49 }),
+      expect.objectContaining({ provider: 'mystocks', symbol: 'SCOM', quantity: 100, costBasisUsd: 20, marketValueUsd: 30, unrealizedPLUsd: 10, realizedPLUsd: 0 }),
+    ]));
+    expect(pnl.disposals).toHaveLength(1);
+    expect(pnl.totals).toMatchObject({ realizedPLUsd: 49, unrealizedPLUsd: 69, realizedPLKES: 6370 });
+  });
+
+  it('leaves sells outside the period out of realized P&L', async () => {
+    const pnl = await taxLotService.getProfitAndLoss('user-1', { from: '2026-07-01' });
+
+    expect(pnl.disposals).toHaveLength(0);
+    expect(pnl.totals.realizedPLUsd).toBe(0);
+  });
+
+  it('uses demo orders for a demo account', async () => {
+    User.findByPk.mockResolvedValue({ id: 'user-1', account_mode: 'demo' });
+    DemoOrder.findAll.mockResolvedValue([]);
+
+    const pnl = await taxLotService.getProfitAndLoss('user-1');
+
+    expect(DemoOrder.findAll).toHaveBeenCalled();
+    expect(Order.findAll).not.toHaveBeenCalled();
+    expect(pnl.positions).toEqual([]);
+  });
+
+  it('rejects an unknown cost basis method', async () => {
+    await expect(taxLotService.getProfitAndLoss('user-1', { method: 'hifo' })).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,161 @@
+jest.mock('../src/models', () => ({
+  User: { findByPk: jest.fn() },
+  PlatformRevenue: { findAll: jest.fn() },
+  PortfolioSnapshot: { findAll: jest.fn() },
+}));
+jest.mock('../src/services/alpacaService', () => ({
+  getBrokerAccountActivities: jest.fn(),
+}));
+jest.mock('../src/services/mystocksService', () => ({
+  getUserDividends: jest.fn(),
+}));
+jest.mock('../src/services/exchangeService', () => ({
+  getExchangeRate: jest.fn().mockResolvedValue(130),
+}));
+jest.mock('../src/services/taxLotService', () => ({
+  getLiveFills: jest.fn(),
+}));
+
+const { User, PlatformRevenue, PortfolioSnapshot } = require('../src/models');
+const alpacaService = require('../src/services/alpacaService');
+const ms = require('../src/services/mystocksService');
+const exchangeService = require('../src/services/exchangeService');
+const taxLotService = require('../src/services/taxLotService');
+const taxReportService = require('../src/services/taxReportService');
+
+const user = {
+  id: 'user-1',
+  first_name: 'Test',
+  last_name: 'User',
+  email: 'test@example.com',
+  alpaca_account_id: 'alp-1',
+  mystocks_sub_account_id: 'sub-1',
+  kyc_data: { taxInfo: { taxId: 'A012345678Z', taxIdType: 'KRA_PIN' } },
+};
+
+const fill = (provider, side, quantity, priceUsd, date, exchangeRate, feeUsd = 0) => ({
+  provider, orderId: `${provider}-${side}-${date}`, symbol: provider === 'alpaca' ? 'AAPL' : 'SCOM',
+  exchange: provider === 'alpaca' ? 'US' : 'NSE', side, quantity, priceUsd, feeUsd, exchangeRate, date: new Date(date),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  exchangeService.getExchangeRate.mockResolvedValue(130);
+  User.findByPk.mockResolvedValue(user);
+  PortfolioSnapshot.findAll.mockResolvedValue([
+    { snapshot_date: '2026-05-14', exchange_rate: '130' },
+    { snapshot_date: '2026-08-19', exchange_rate: '130' },
+  ]);
+  PlatformRevenue.findAll.mockResolvedValue([
+    { type: 'forex_fee', amount_usd: '0.77', amount_kes: '100', reference: 'FX1', created_at: new Date('2026-03-01') },
+  ]);
+  taxLotService.getLiveFills.mockResolvedValue([
+    // Bought in 2025 at 120 KES/USD, half sold in 2026 at 130
+    fill('alpaca', 'buy', 10, 100, '2025-05-01', 120, 1),
+    fill('alpaca', 'sell', 5, 150, '2026-06-01', 130),
+    fill('alpaca', 'sell', 5, 160, '2027-01-05', 131),
+  ]);
+  alpacaService.getBrokerAccountActivities.mockResolvedValue([
+    { id: 'a1', activity_type: 'DIV', symbol: 'AAPL', date: '2026-05-15', net_amount: '10' },
+    { id: 'a2', activity_type: 'DIVNRA', symbol: 'AAPL', date: '2026-05-15', net_amount: '-3' },
+  ]);
+  ms.getUserDividends.mockResolvedValue({
+    data: [
+      { symbol: 'SCOM', amount: '1100', withholdingTax: '55', currency: 'KES', paymentDate: '2026-08-20' },
+      { symbol: 'SCOM', amount: '900', currency: 'KES', paymentDate: '2025-08-20' },
+    ],
+  });
+});
+
+describe('getReport', () => {
+  it('converts each disposal at the rates stored on its buy and sell orders', async () => {
+    const report = await taxReportService.getReport('user-1', { year: 2026 });
+
+    expect(report.realizedGains).toEqual([expect.objectContaining({
+      symbol: 'AAPL',
+      quantity: 5,
+      proceedsUsd: 750,
+      costBasisUsd: 500.5,
+      gainUsd: 249.5,
+      proceedsKes: 97500,
+      costBasisKes: 60060,
+      gainKes: 37440,
+      holdingDays: 396,
+    })]);
+    expect(report.taxpayer).toMatchObject({ taxId: 'A012345678Z', taxIdType: 'KRA_PIN' });
+    expect(report.exchangeRateEstimated).toBe(false);
+  });
+
+  it('reports Alpaca and MyStocks dividends in the year with the tax withheld', async () => {
+    const report = await taxReportService.getReport('user-1', { year: 2026 });
+
+    expect(report.dividends).toEqual([
+      expect.objectContaining({ provider: 'alpaca', date: '2026-05-15', grossUsd: 10, withholdingUsd: 3, netUsd: 7, netKes: 910 }),
+      expect.objectContaining({ provider: 'mystocks', date: '2026-08-20', grossKes: 1155, withholdingKes: 55, netKes: 1100 }),
+    ]);
+    expect(alpacaService.getBrokerAccountActivities).toHaveBeenCalledWith('alp-1', expect.objectContaining({ after: '2025-12-31', until: '2026-12-31' }));
+    expect(report.totals).toMatchObject({ withholdingKes: 445, feesKes: 100 });
+  });
+
+  it('converts dividends paid in another currency from that currency, flagged as estimated', async () => {
+    exchangeService.getExchangeRate.mockImplementation(async (from) => (from === 'NGN' ? 0.00065 : 130));
+    ms.getUserDividends.mockResolvedValue({
+      data: [{ symbol: 'DANGCEM', amount: '10000', currency: 'NGN', paymentDate: '2026-08-20' }],
+    });
+
+    const report = await taxReportService.getReport('user-1', { year: 2026 });
+
+    expect(report.dividends[1]).toMatchObject({ currency: 'NGN', grossUsd: 6.5, grossKes: 845, exchangeRateEstimated: true });
+    expect(report.dividends[0].exchangeRateEstimated).toBe(false);
+    expect(report.exchangeRateEstimated).toBe(true);
+    expect(exchangeService.getExchangeRate).toHaveBeenCalledWith('NGN', 'USD');
+  });
+
+  it('uses today\'s rate, flagged as estimated, when no stored rate is within a week', async () => {
+    exchangeService.getExchangeRate.mockResolvedValue(140);
+    PortfolioSnapshot.findAll.mockResolvedValue([{ snapshot_date: '2026-04-01', exchange_rate: '120' }]);
+
+    const report = await taxReportService.getReport('user-1', { year: 2026 });
+
+    expect(report.dividends[0]).toMatchObject({ netKes: 980, exchangeRate: 140, exchangeRateEstimated: true });
+    expect(report.realizedGains[0].exchangeRateEstimated).toBe(false);
+    expect(report.exchangeRateEstimated).toBe(true);
+  });
+
+  it('counts an Alpaca commission once and leaves out demo fees', async () => {
+    PlatformRevenue.findAll.mockResolvedValue([
+      { type: 'trade_fee', amount_usd: '1', amount_kes: '120', reference: 'ORDER_alpaca-buy-2025-05-01', created_at: new Date('2026-01-02') },
+      { type: 'trade_fee', amount_usd: '2', amount_kes: '260', reference: 'DEMO_demo-1', created_at: new Date('2026-03-01') },
+      { type: 'forex_fee', amount_usd: '0.77', amount_kes: '100', reference: 'FX1', created_at: new Date('2026-03-01') },
+    ]);
+
+    const report = await taxReportService.getReport('user-1', { year: 2026 });
+
+    expect(report.fees.map(f => f.description)).toEqual(['FX1']);
+    expect(report.totals.feesKes).toBe(100);
+  });
+
+  it('still reports when a provider is down, and says so', async () => {
+    ms.getUserDividends.mockRejectedValue(new Error('MyStocks unavailable'));
+
+    const report = await taxReportService.getReport('user-1', { year: 2026 });
+
+    expect(report.dividends).toHaveLength(1);
+    expect(report.warnings).toEqual(['MyStocks dividends could not be fetched and are not included']);
+  });
+
+  it('rejects a year that has not started', async () => {
+    await expect(taxReportService.getReport('user-1', { year: new Date().getUTCFullYear() + 1 })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('exports', () => {
+  it('renders the report as CSV and PDF', async () => {
+    const report = await taxReportService.getReport('user-1', { year: 2026 });
+
+    const csv = taxReportService.toCsv(report);
+    expect(csv).toContain('disposal,alpaca,AAPL,2025-05-01,2026-06-01,5,US,750,500.5,249.5,97500,60060,37440');
+    expect(csv).toContain('withholding,alpaca,AAPL,,2026-05-15,,tax withheld,3,,,390,,');
+    expect(taxReportService.toPdf(report).subarray(0, 8).toString()).toBe('%PDF-1.4');
+  });
+});
@@ -173,6 +173,11 @@ jest.mock('../src/services/kcbService', () => ({
   checkTransactionStatus: jest.fn(),
 }));
 
+jest.mock('../src/services/beneficiaryService', () => ({
+  resolveForWithdrawal: jest.fn(),
+  checkRawDestination: jest.fn(),
+}));
+
 // Re-require mocked wallet model
 const { Wallet: WalletModel, Transaction: TransactionModel } = require('../src/models/Wallet');
 
@@ -261,3 +266,41 @@ describe('GET /api/v1/wallet/rates/USD/KES', () => {
     expect(res.body.rate).toBe(129.26);
   });
 });
+
+describe('POST /api/v1/wallet/withdraw', () => {
+  const beneficiaryService = require('../src/services/beneficiaryService');
+  const beneficiaryId = '6f1c2b3a-4d5e-4f60-8a7b-9c0d1e2f3a4b';
+  const coolingOff = Object.assign(new Error('"My Safaricom" was added recently'), { status: 403 });
+
+  const withdraw = (body) => request(app)
+    .post('/api/v1/wallet/withdraw')
+    .set('Authorization', 'Bearer test')
+    .send(body);
+
+  it('accepts a beneficiaryId on its own and resolves the destination from it', async () => {
+    beneficiaryService.resolveForWithdrawal.mockRejectedValue(coolingOff);
+
+    const res = await withdraw({ amount: 500, currency: 'KES', beneficiaryId });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe(coolingOff.message);
+    expect(beneficiaryService.resolveForWithdrawal).toHaveBeenCalledWith('test-user-id', beneficiaryId, { amount: 500, currency: 'KES' });
+  });
+
+  it('applies the cooling-off cap to a raw M-Pesa number', async () => {
+    beneficiaryService.checkRawDestination.mockRejectedValue(Object.assign(new Error('You can send at most KES 10000 to a number that isn\'t saved'), { status: 403 }));
+
+    const res = await withdraw({ amount: 800, currency: 'KES', method: 'mpesa', phoneNumber: '0712345678' });
+
+    expect(res.status).toBe(403);
+    expect(beneficiaryService.checkRawDestination).toHaveBeenCalledWith('test-user-id', { type: 'mpesa', accountNumber: '0712345678' }, { amount: 800, currency: 'KES' });
+    expect(beneficiaryService.resolveForWithdrawal).not.toHaveBeenCalled();
+  });
+
+  it('still requires a method and destination without a beneficiaryId', async () => {
+    const res = await withdraw({ amount: 500, currency: 'KES' });
+
+    expect(res.status).toBe(400);
+    expect(beneficiaryService.resolveForWithdrawal).not.toHaveBeenCalled();
+  });
+});
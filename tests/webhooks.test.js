@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+
+jest.mock('../src/models', () => ({
+  WebhookEvent: { findOrCreate: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+}));
+
+const { WebhookEvent } = require('../src/models');
+const webhookEventService = require('../src/services/webhookEventService');
+const { verifyWebhook, recordWebhook } = require('../src/middleware/webhook');
+
+const SECRET = 'test-webhook-secret';
+const now = new Date('2026-10-19T12:00:00Z');
+
+const sign = (body, timestamp) => crypto
+  .createHmac('sha256', SECRET)
+  .update(timestamp ? `${timestamp}.${body}` : body)
+  .digest('hex');
+
+const makeReq = ({ body, headers = {}, ip = '196.201.214.200' }) => {
+  const raw = JSON.stringify(body);
+  return { body, rawBody: Buffer.from(raw), headers, ip };
+};
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const makeEvent = (overrides = {}) => {
+  const event = {
+    id: 'evt-1',
+    provider: 'kcb',
+    receipt_id: 'stk:ws_CO_1',
+    payload: { Body: { stkCallback: { CheckoutRequestID: 'ws_CO_1' } } },
+    status: 'received',
+    attempts: 0,
+    updated_at: now,
+    ...overrides,
+  };
+  event.set = jest.fn(values => Object.assign(event, values));
+  event.update = jest.fn(async values => Object.assign(event, values));
+  event.increment = jest.fn();
+  Object.defineProperty(event, 'isSettled', { get: () => event.status === 'processed' });
+  return event;
+};
+
+const stkBody = { Body: { stkCallback: { CheckoutRequestID: 'ws_CO_1', ResultCode: 0 } } };
+const originalEnv = { ...process.env };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env = { ...originalEnv, NODE_ENV: 'production' };
+  delete process.env.KCB_WEBHOOK_SECRET;
+  delete process.env.KCB_WEBHOOK_IPS;
+  delete process.env.MYSTOCKS_WEBHOOK_SECRET;
+  delete process.env.MYSTOCKS_WEBHOOK_IPS;
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+describe('webhookEventService.verify', () => {
+  it('refuses callbacks in production when nothing is configured to verify them', () => {
+    expect(() => webhookEventService.verify('kcb', makeReq({ body: stkBody }), now)).toThrow(
+      expect.objectContaining({ status: 503 })
+    );
+
+    process.env.NODE_ENV = 'development';
+    expect(webhookEventService.verify('kcb', makeReq({ body: stkBody }), now)).toBe('none');
+  });
+
+  it('accepts allow-listed addresses and CIDR ranges and rejects everything else', () => {
+    process.env.KCB_WEBHOOK_IPS = '10.0.0.5, 196.201.214.0/24';
+
+    expect(webhookEventService.verify('kcb', makeReq({ body: stkBody, ip: '::ffff:196.201.214.200' }), now)).toBe('ip');
+    expect(webhookEventService.verify('kcb', makeReq({ body: stkBody, ip: '10.0.0.5' }), now)).toBe('ip');
+    expect(() => webhookEventService.verify('kcb', makeReq({ body: stkBody, ip: '196.201.215.1' }), now)).toThrow(
+      expect.objectContaining({ status: 403, message: 'Source IP not allowed' })
+    );
+  });
+
+  it('checks the HMAC over the raw body, or over timestamp.body when a timestamp is sent', () => {
+    process.env.MYSTOCKS_WEBHOOK_SECRET = SECRET;
+    const body = { id: 'evt_1', event: 'trade.settled', data: {} };
+    const raw = JSON.stringify(body);
+    const timestamp = String(Math.floor(now.getTime() / 1000));
+
+    expect(webhookEventService.verify('mystocks', makeReq({ body, headers: { 'x-mystocks-signature': sign(raw) } }), now)).toBe('hmac');
+    expect(webhookEventService.verify('mystocks', makeReq({
+      body,
+      headers: { 'x-mystocks-signature': `sha256=${sign(raw, timestamp)}`, 'x-mystocks-timestamp': timestamp },
+    }), now)).toBe('hmac');
+
+    expect(() => webhookEventService.verify('mystocks', makeReq({ body }), now)).toThrow('Missing signature');
+    expect(() => webhookEventService.verify('mystocks', makeReq({ body, headers: { 'x-mystocks-signature': 'abc' } }), now))
+      .toThrow('Invalid signature');
+  });
+
+  it('rejects a correctly signed event replayed outside the allowed window', () => {
+    process.env.MYSTOCKS_WEBHOOK_SECRET = SECRET;
+    const body = { id: 'evt_1', event: 'trade.settled', data: {} };
+    const timestamp = String(Math.floor(now.getTime() / 1000) - 600);
+
+    expect(() => webhookEventService.verify('mystocks', makeReq({
+      body,
+      headers: { 'x-mystocks-signature': sign(JSON.stringify(body), timestamp), 'x-mystocks-timestamp': timestamp },
+    }), now)).toThrow(expect.objectContaining({ status: 401, message: 'Webhook timestamp outside the allowed window' }));
+  });
+});
+
+describe('webhookEventService.receive', () => {
+  it('stores a new event under the provider receipt ID', async () => {
+    const event = makeEvent();
+    WebhookEvent.findOrCreate.mockResolvedValue([event, true]);
+
+    const result = await webhookEventService.receive('kcb', makeReq({ body: stkBody }), 'ip');
+
+    expect(WebhookEvent.findOrCreate).toHaveBeenCalledWith({
+      where: { provider: 'kcb', receipt_id: 'stk:ws_CO_1' },
+      defaults: expect.objectContaining({ event_type: 'stk_push', payload: stkBody, source_ip: '196.201.214.200', verified_by: 'ip' }),
+    });
+    expect(result).toEqual({ event, duplicate: false });
+  });
+
+  it('treats a redelivered receipt as a duplicate unless the first attempt failed', async () => {
+    const processed = makeEvent({ status: 'processed' });
+    WebhookEvent.findOrCreate.mockResolvedValueOnce([processed, false]);
+    expect(await webhookEventService.receive('kcb', makeReq({ body: stkBody }), 'ip')).toEqual({ event: processed, duplicate: true });
+    expect(processed.increment).toHaveBeenCalledWith('duplicates');
+
+    const failed = makeEvent({ status: 'failed' });
+    WebhookEvent.findOrCreate.mockResolvedValueOnce([failed, false]);
+    expect(await webhookEventService.receive('kcb', makeReq({ body: stkBody }), 'ip')).toEqual({ event: failed, duplicate: false });
+  });
+
+  it('falls back to a hash of the body when the event has no receipt ID', async () => {
+    WebhookEvent.findOrCreate.mockResolvedValue([makeEvent(), true]);
+    const body = { unexpected: true };
+
+    await webhookEventService.receive('kcb', makeReq({ body }), 'ip');
+
+    const expected = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+    expect(WebhookEvent.findOrCreate.mock.calls[0][0].where.receipt_id).toBe(`sha256:${expected}`);
+  });
+});
+
+describe('webhookEventService.process', () => {
+  it('records the acknowledgement of a successful run', async () => {
+    const event = makeEvent();
+    WebhookEvent.update.mockResolvedValue([1]);
+    const handler = jest.fn().mockResolvedValue({ ResultCode: 0, ResultDesc: 'ok' });
+
+    const result = await webhookEventService.process(event, handler);
+
+    expect(WebhookEvent.update).toHaveBeenCalledWith(
+      { status: 'processing', attempts: 1 },
+      { where: { id: 'evt-1', status: 'received', attempts: 0 } }
+    );
+    expect(handler).toHaveBeenCalledWith(event.payload);
+    expect(result).toEqual({ ResultCode: 0, ResultDesc: 'ok' });
+    expect(event.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'processed', result, last_error: null }));
+  });
+
+  it('marks the event failed and rethrows when the handler throws', async () => {
+    const event = makeEvent();
+    WebhookEvent.update.mockResolvedValue([1]);
+
+    await expect(webhookEventService.process(event, jest.fn().mockRejectedValue(new Error('db down')))).rejects.toThrow('db down');
+    expect(event.update).toHaveBeenCalledWith({ status: 'failed', last_error: 'db down' });
+  });
+
+  it('does not run the handler when another caller claimed the event first', async () => {
+    WebhookEvent.update.mockResolvedValue([0]);
+    const handler = jest.fn();
+
+    expect(await webhookEventService.process(makeEvent(), handler)).toBeNull();
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
+
+describe('webhookEventService.reprocess', () => {
+  it('re-runs a failed event with the registered handler', async () => {
+    const handler = jest.fn().mockResolvedValue({ ResultCode: 0, ResultDesc: 'Payment processed successfully' });
+    webhookEventService.registerHandler('kcb', handler);
+    const event = makeEvent({ status: 'failed', attempts: 1 });
+    WebhookEvent.findByPk.mockResolvedValue(event);
+    WebhookEvent.update.mockResolvedValue([1]);
+
+    const result = await webhookEventService.reprocess('evt-1', { adminId: 'admin-1' });
+
+    expect(event.update).toHaveBeenCalledWith(expect.objectContaining({ reprocessed_by: 'admin-1' }));
+    expect(handler).toHaveBeenCalledWith(event.payload);
+    expect(result.status).toBe('processed');
+    expect(result.attempts).toBe(2);
+  });
+
+  it('refuses events that are processed or still being processed', async () => {
+    WebhookEvent.findByPk.mockResolvedValueOnce(makeEvent({ status: 'processed' }));
+    await expect(webhookEventService.reprocess('evt-1', { adminId: 'admin-1' })).rejects.toMatchObject({ status: 409 });
+
+    WebhookEvent.findByPk.mockResolvedValueOnce(makeEvent({ status: 'processing', updated_at: new Date() }));
+    await expect(webhookEventService.reprocess('evt-1', { adminId: 'admin-1' })).rejects.toMatchObject({ status: 409 });
+
+    WebhookEvent.findByPk.mockResolvedValueOnce(null);
+    await expect(webhookEventService.reprocess('evt-9', { adminId: 'admin-1' })).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('webhook middleware', () => {
+  it('rejects an unverified sender before anything is recorded', () => {
+    process.env.KCB_WEBHOOK_IPS = '10.0.0.5';
+    const res = makeRes();
+    const next = jest.fn();
+
+    verifyWebhook('kcb')(makeReq({ body: stkBody }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(WebhookEvent.findOrCreate).not.toHaveBeenCalled();
+  });
+
+  it('acknowledges a duplicate without calling the handler', async () => {
+    WebhookEvent.findOrCreate.mockResolvedValue([makeEvent({ status: 'processed' }), false]);
+    const res = makeRes();
+    const next = jest.fn();
+    const ack = { ResultCode: 0, ResultDesc: 'Callback received - already processed' };
+
+    await recordWebhook('kcb', ack)(makeReq({ body: stkBody }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(ack);
+  });
+});
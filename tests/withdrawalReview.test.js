@@ -0,0 +1,330 @@
+jest.mock('../src/models', () => ({
+  sequelize: { transaction: jest.fn() },
+  Transaction: { findAll: jest.fn(), findByPk: jest.fn() },
+  Wallet: { findByPk: jest.fn() },
+  User: {},
+  BiometricAuth: { findOne: jest.fn() },
+  WithdrawalReview: { create: jest.fn(), findByPk: jest.fn(), findOne: jest.fn(), findAndCountAll: jest.fn(), update: jest.fn() },
+  WithdrawalReviewAction: { create: jest.fn(), findOne: jest.fn() },
+}));
+jest.mock('../src/services/kcbService', () => ({
+  transferFunds: jest.fn(),
+  withdrawToMpesa: jest.fn(),
+}));
+jest.mock('../src/services/ledgerService', () => ({
+  recordWithdrawal: jest.fn().mockResolvedValue({}),
+  reversePayout: jest.fn().mockResolvedValue({}),
+}));
+jest.mock('../src/services/paymentSettlementService', () => ({
+  completeWithdrawal: jest.fn().mockResolvedValue(),
+  failWithdrawal: jest.fn().mockResolvedValue(),
+  settleReview: jest.fn().mockResolvedValue(),
+}));
+jest.mock('../src/services/platformConfigService', () => {
+  const settings = {
+    withdrawal_auto_approve_kes: 20000,
+    withdrawal_daily_auto_approve_kes: 50000,
+    withdrawal_dual_approval_kes: 500000,
+    withdrawal_velocity_max_count: 5,
+    withdrawal_new_device_hours: 72,
+  };
+  return { getSetting: jest.fn(async key => settings[key]) };
+});
+jest.mock('../src/services/notificationService', () => ({
+  sendWithdrawalReviewUpdate: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const { sequelize, Transaction, Wallet, BiometricAuth, WithdrawalReview, WithdrawalReviewAction } = require('../src/models');
+const kcbService = require('../src/services/kcbService');
+const ledgerService = require('../src/services/ledgerService');
+const paymentSettlementService = require('../src/services/paymentSettlementService');
+const notificationService = require('../src/services/notificationService');
+const withdrawalReviewService = require('../src/services/withdrawalReviewService');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const user = { id: 'user-1' };
+const wallet = { id: 'wallet-1', unfreezeFunds: jest.fn().mockResolvedValue() };
+const reviewer = { id: 'finance-1', role: 'finance' };
+const dbTransaction = { commit: jest.fn(), rollback: jest.fn() };
+
+const makeReview = (overrides = {}) => {
+  const review = {
+    id: 'review-1',
+    transaction_id: 'txn-1',
+    user_id: 'user-1',
+    wallet_id: 'wallet-1',
+    reference: 'WD123',
+    amount: '30000.00',
+    currency: 'KES',
+    channel: 'kcb',
+    method: 'mpesa',
+    payout: { transferData: { transactionType: 'MO', amount: 30000, transactionReference: 'WD123' } },
+    status: 'pending_review',
+    required_approvals: 1,
+    approvals: 0,
+    ...overrides,
+  };
+  review.update = jest.fn(async values => Object.assign(review, values));
+  return review;
+};
+
+const makeTxn = (overrides = {}) => {
+  const txn = {
+    id: 'txn-1',
+    wallet_id: 'wallet-1',
+    reference: 'WD123',
+    amount: '30000.00',
+    currency: 'KES',
+    status: 'pending',
+    description: 'M-Pesa withdrawal to 254712345678',
+    metadata: { paymentMethod: 'kcb_mpesa', processingStatus: 'pending_review' },
+    ...overrides,
+  };
+  txn.update = jest.fn(async values => Object.assign(txn, values));
+  return txn;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sequelize.transaction.mockResolvedValue(dbTransaction);
+  Transaction.findAll.mockResolvedValue([]);
+  BiometricAuth.findOne.mockResolvedValue(null);
+  WithdrawalReviewAction.findOne.mockResolvedValue(null);
+  WithdrawalReview.update.mockResolvedValue([1]);
+  Wallet.findByPk.mockResolvedValue(wallet);
+});
+
+describe('evaluate', () => {
+  it('lets a small withdrawal through without review', async () => {
+    const result = await withdrawalReviewService.evaluate(user, wallet, { amount: 5000, currency: 'KES', method: 'mpesa' }, now);
+
+    expect(result).toEqual({ flags: [], autoApprove: true, requiredApprovals: 1 });
+  });
+
+  it('holds an amount above the auto-approve limit and asks for two approvers above the four-eyes limit', async () => {
+    const result = await withdrawalReviewService.evaluate(user, wallet, { amount: 600000, currency: 'KES', method: 'bank' }, now);
+
+    expect(result.autoApprove).toBe(false);
+    expect(result.requiredApprovals).toBe(2);
+    expect(result.flags.map(flag => flag.rule)).toEqual(['amount', 'daily_limit', 'dual_approval']);
+  });
+
+  it('counts withdrawals from both endpoints towards the daily limit', async () => {
+    // /wallet/withdraw stores withdrawals as negative amounts, /kcb/wallet/withdraw as positive
+    Transaction.findAll.mockResolvedValue([
+      { amount: '-20000.00', currency: 'KES' },
+      { amount: '19000.00', currency: 'KES' },
+      { amount: '-100.00', currency: 'USD' },
+    ]);
+
+    const result = await withdrawalReviewService.evaluate(user, wallet, { amount: 15000, currency: 'KES', method: 'mpesa' }, now);
+
+    expect(result.flags).toEqual([expect.objectContaining({ rule: 'daily_limit' })]);
+    // MyStocks sub-account withdrawals are tracked on the wallet but are not wallet withdrawals
+    expect(Transaction.findAll.mock.calls[0][0].where).toMatchObject({ type: 'withdrawal', tracking_only: false });
+  });
+
+  it('holds the next withdrawal once the 24-hour count reaches the velocity limit', async () => {
+    Transaction.findAll.mockResolvedValue(Array.from({ length: 5 }, () => ({ amount: '-100.00', currency: 'KES' })));
+
+    const result = await withdrawalReviewService.evaluate(user, wallet, { amount: 100, currency: 'KES', method: 'mpesa' }, now);
+
+    expect(result.flags).toEqual([expect.objectContaining({ rule: 'velocity' })]);
+  });
+
+  it('holds withdrawals after a device was enrolled within the window', async () => {
+    BiometricAuth.findOne.mockResolvedValue({ device_id: 'pixel-9', registered_at: new Date('2026-10-18T09:00:00Z') });
+
+    const result = await withdrawalReviewService.evaluate(user, wallet, { amount: 100, currency: 'KES', method: 'mpesa' }, now);
+
+    expect(result.flags).toEqual([expect.objectContaining({ rule: 'new_device' })]);
+    expect(BiometricAuth.findOne).toHaveBeenCalledWith(expect.objectContaining({
+      where: { user_id: 'user-1', registered_at: expect.any(Object) },
+    }));
+  });
+
+  it('always holds payouts finance sends by hand', async () => {
+    const result = await withdrawalReviewService.evaluate(user, wallet, {
+      amount: 100, currency: 'KES', method: 'bank_transfer', manualPayout: true,
+    }, now);
+
+    expect(result.autoApprove).toBe(false);
+    expect(result.flags).toEqual([expect.objectContaining({ rule: 'manual_payout' })]);
+  });
+});
+
+describe('approve', () => {
+  it('does not let a reviewer approve their own withdrawal', async () => {
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview({ user_id: 'finance-1' }));
+
+    await expect(withdrawalReviewService.approve('review-1', reviewer)).rejects.toMatchObject({ status: 403 });
+    expect(WithdrawalReview.update).not.toHaveBeenCalled();
+  });
+
+  it('records the first of two approvals without paying out', async () => {
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview({ required_approvals: 2 }));
+
+    const { review, payout } = await withdrawalReviewService.approve('review-1', reviewer, 'Checked with the customer');
+
+    expect(payout).toBeNull();
+    expect(review.status).toBe('pending_review');
+    expect(WithdrawalReview.update).toHaveBeenCalledWith({ approvals: 1 }, {
+      where: { id: 'review-1', status: 'pending_review', approvals: 0 },
+      transaction: dbTransaction,
+    });
+    expect(WithdrawalReviewAction.create).toHaveBeenCalledWith(expect.objectContaining({
+      review_id: 'review-1', actor_id: 'finance-1', actor_role: 'finance', action: 'approved', note: 'Checked with the customer',
+    }), { transaction: dbTransaction });
+    expect(kcbService.transferFunds).not.toHaveBeenCalled();
+  });
+
+  it('needs the second approval to come from someone else', async () => {
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview({ required_approvals: 2, approvals: 1 }));
+    WithdrawalReviewAction.findOne.mockResolvedValue({ id: 'action-1' });
+
+    await expect(withdrawalReviewService.approve('review-1', reviewer)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('sends the held KCB transfer on the final approval and settles it', async () => {
+    const txn = makeTxn();
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview());
+    Transaction.findByPk.mockResolvedValue(txn);
+    kcbService.transferFunds.mockResolvedValue({ success: true, statusCode: '0', retrievalRefNumber: 'RRN1', data: {} });
+
+    const { review, payout } = await withdrawalReviewService.approve('review-1', reviewer);
+
+    expect(kcbService.transferFunds).toHaveBeenCalledWith(expect.objectContaining({ transactionReference: 'WD123' }));
+    expect(paymentSettlementService.completeWithdrawal).toHaveBeenCalledWith(txn, wallet, expect.any(Object), { transaction: dbTransaction });
+    expect(payout.outcome).toBe('paid');
+    expect(review.status).toBe('paid');
+    expect(notificationService.sendWithdrawalReviewUpdate).toHaveBeenCalledWith('user-1', expect.objectContaining({ status: 'paid' }));
+  });
+
+  it('hands a timed-out transfer to the pending payment poller', async () => {
+    const txn = makeTxn();
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview());
+    Transaction.findByPk.mockResolvedValue(txn);
+    kcbService.transferFunds.mockResolvedValue({ success: false, isTimeout: true });
+
+    const { review } = await withdrawalReviewService.approve('review-1', reviewer);
+
+    expect(review.status).toBe('processing');
+    expect(txn.metadata).toMatchObject({ processingStatus: 'processing', requiresStatusCheck: true });
+    expect(paymentSettlementService.settleReview).toHaveBeenCalledWith(txn, 'processing', {}, { transaction: dbTransaction });
+    expect(paymentSettlementService.completeWithdrawal).not.toHaveBeenCalled();
+    expect(paymentSettlementService.failWithdrawal).not.toHaveBeenCalled();
+  });
+
+  it('returns the funds when an approved M-Pesa payout fails', async () => {
+    const txn = makeTxn({ amount: '-30000.00', metadata: { method: 'mpesa', processingStatus: 'pending_review' } });
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview({
+      channel: 'wallet',
+      payout: { phoneNumber: '254712345678', beneficiaryName: 'Test User', netAmount: 29550, fee: 450 },
+    }));
+    Transaction.findByPk.mockResolvedValue(txn);
+    kcbService.withdrawToMpesa.mockResolvedValue({ success: false, error: 'Insufficient float' });
+
+    const { review } = await withdrawalReviewService.approve('review-1', reviewer);
+
+    expect(wallet.unfreezeFunds).toHaveBeenCalledWith(30000, 'KES', { transaction: dbTransaction });
+    expect(ledgerService.recordWithdrawal).not.toHaveBeenCalled();
+    expect(txn.status).toBe('failed');
+    expect(paymentSettlementService.settleReview).toHaveBeenCalledWith(txn, 'payout_failed', { note: 'Insufficient float' }, { transaction: dbTransaction });
+    expect(review.status).toBe('payout_failed');
+  });
+
+  it('marks the payout as errored, and retryable, when it fails before reaching the bank', async () => {
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview());
+    Transaction.findByPk.mockRejectedValue(new Error('connection reset'));
+
+    const { review, payout } = await withdrawalReviewService.approve('review-1', reviewer);
+
+    expect(payout).toEqual({ outcome: 'payout_error', reason: 'connection reset', retryable: true });
+    expect(review.status).toBe('payout_error');
+    expect(WithdrawalReviewAction.create).toHaveBeenCalledWith({
+      review_id: 'review-1', action: 'payout_error', note: 'connection reset', metadata: { sent: false },
+    });
+    expect(kcbService.transferFunds).not.toHaveBeenCalled();
+  });
+
+  it('leaves a payout that errored after reaching the bank for the status check', async () => {
+    const txn = makeTxn();
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview());
+    Transaction.findByPk.mockResolvedValue(txn);
+    kcbService.transferFunds.mockResolvedValue({ success: true, statusCode: '0', data: {} });
+    paymentSettlementService.completeWithdrawal.mockRejectedValueOnce(new Error('deadlock detected'));
+
+    const { review, payout } = await withdrawalReviewService.approve('review-1', reviewer);
+
+    expect(dbTransaction.rollback).toHaveBeenCalled();
+    expect(payout).toMatchObject({ outcome: 'payout_error', retryable: false });
+    expect(review.status).toBe('payout_error');
+    expect(txn.metadata).toMatchObject({ processingStatus: 'processing', requiresStatusCheck: true });
+    expect(WithdrawalReviewAction.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'payout_error', metadata: { sent: true } }));
+  });
+});
+
+describe('retryPayout', () => {
+  it('sends again a payout that errored before reaching the bank', async () => {
+    const txn = makeTxn();
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview({ status: 'payout_error' }));
+    WithdrawalReviewAction.findOne.mockResolvedValue({ action: 'payout_error', metadata: { sent: false } });
+    Transaction.findByPk.mockResolvedValue(txn);
+    kcbService.transferFunds.mockResolvedValue({ success: true, statusCode: '0', retrievalRefNumber: 'RRN1', data: {} });
+
+    const { review, payout } = await withdrawalReviewService.retryPayout('review-1', reviewer, 'Bank API back up');
+
+    expect(WithdrawalReview.update).toHaveBeenCalledWith({ status: 'approved' }, {
+      where: { id: 'review-1', status: 'payout_error' },
+      transaction: dbTransaction,
+    });
+    expect(WithdrawalReviewAction.create).toHaveBeenCalledWith(expect.objectContaining({
+      actor_id: 'finance-1', action: 'payout_retried', note: 'Bank API back up',
+    }), { transaction: dbTransaction });
+    expect(payout.outcome).toBe('paid');
+    expect(review.status).toBe('paid');
+  });
+
+  it('refuses to resend a payout that may have reached the bank', async () => {
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview({ status: 'payout_error' }));
+    WithdrawalReviewAction.findOne.mockResolvedValue({ action: 'payout_error', metadata: { sent: true } });
+
+    await expect(withdrawalReviewService.retryPayout('review-1', reviewer)).rejects.toMatchObject({ status: 409 });
+    expect(WithdrawalReview.update).not.toHaveBeenCalled();
+    expect(kcbService.transferFunds).not.toHaveBeenCalled();
+  });
+
+  it('only retries a payout that errored', async () => {
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview({ status: 'approved' }));
+
+    await expect(withdrawalReviewService.retryPayout('review-1', reviewer)).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('reject', () => {
+  it('requires a note', async () => {
+    await expect(withdrawalReviewService.reject('review-1', reviewer, ' ')).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('refunds a held KCB withdrawal and cancels the transaction', async () => {
+    const txn = makeTxn();
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview());
+    Transaction.findByPk.mockResolvedValue(txn);
+
+    const { review } = await withdrawalReviewService.reject('review-1', reviewer, 'Destination does not match the account holder');
+
+    expect(ledgerService.reversePayout).toHaveBeenCalledWith(wallet, expect.objectContaining({ amount: 30000, reference: 'WD123' }), { transaction: dbTransaction });
+    expect(wallet.unfreezeFunds).toHaveBeenCalledWith(30000, 'KES', { transaction: dbTransaction });
+    expect(txn.status).toBe('cancelled');
+    expect(review.status).toBe('rejected');
+    expect(notificationService.sendWithdrawalReviewUpdate).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      status: 'rejected', note: 'Destination does not match the account holder',
+    }));
+  });
+
+  it('refuses a review that has already been decided', async () => {
+    WithdrawalReview.findByPk.mockResolvedValue(makeReview({ status: 'paid' }));
+
+    await expect(withdrawalReviewService.reject('review-1', reviewer, 'Too late')).rejects.toMatchObject({ status: 409 });
+  });
+});